@@ -95,6 +95,8 @@ app.set('trust proxy', 1);
 // Security middleware (apply first)
 app.use(securityHeaders());
 // app.use(require('./middleware').logAllHeaders); // Disabled - too verbose for normal operation
+// CardDAV clients probe with OPTIONS and need DAV headers the CORS middleware would not send
+app.use('/carddav', require('./routes/carddav').davOptions);
 app.use(corsMiddleware);
 
 // Development HTTP access middleware (when enabled by admin)
@@ -302,15 +304,35 @@ checkDatabaseConnection().then(async (connected) => {
   app.use('/auth', require('./routes/auth'));
   app.use('/passkeys', require('./routes/passkeys'));
   app.use('/admin', require('./routes/admin'));
+  app.use('/contacts/duplicates', require('./routes/contactDuplicates'));
+  app.use('/contacts', require('./routes/contactTransfer'));
+  app.use('/contacts', require('./routes/contactGraph'));
+  app.use('/contacts', require('./routes/contactReminders'));
+  app.use('/contacts', require('./routes/contactTimeline'));
   app.use('/contacts', require('./routes/contacts'));
+  app.use('/files', require('./routes/transcripts').files);
   app.use('/files', require('./routes/files'));
+  app.use('/content/groups', require('./routes/contentGroups'));
+  app.use('/content/smart-collections', require('./routes/smartCollections'));
+  app.use('/content', require('./routes/contentMonitor'));
+  app.use('/content', require('./routes/transcripts'));
   app.use('/content', require('./routes/content'));
   app.use('/multimedia', require('./routes/multimedia'));
+  app.use('/people', require('./routes/people'));
+  app.use('/map', require('./routes/map'));
+  app.use('/api/v1', require('./routes/api/v1'));
+  app.use('/carddav', require('./routes/carddav'));
+  app.use('/.well-known/carddav', require('./routes/carddav').wellKnown);
   app.use('/api/keys', require('./routes/apiKeys'));
+  app.use('/webhooks', require('./routes/webhooks'));
+  app.use('/api/progress', require('./routes/progress'));
+  app.use('/search', require('./routes/search'));
+  app.use('/library', require('./routes/library'));
   app.use('/api/places', require('./routes/places'));
   app.use('/subscription', require('./routes/subscription'));
   app.use('/api/subscription', require('./routes/subscription'));
   app.use('/profile', require('./routes/profile'));
+  app.use('/shares', require('./routes/shares'));
 
   // Legal and informational routes
   app.get('/privacy-policy', (req, res) => {
@@ -363,16 +385,15 @@ checkDatabaseConnection().then(async (connected) => {
 
   app.get('/test-openai-api', async (req, res) => {
     try {
-      const openaiApiKey = process.env.OPENAI_API_KEY;
+      const OpenAICompatibleProvider = require('./services/multimedia/OpenAICompatibleProvider');
+      const ai = OpenAICompatibleProvider.getInstance();
       
-      if (openaiApiKey) {
-        // Simple test of OpenAI API availability
-        const OpenAI = require('openai');
-        const openai = new OpenAI({ apiKey: openaiApiKey });
-        
+      if (ai.isAvailable('text')) {
         res.json({
           success: true,
-          message: 'OpenAI API key is configured and accessible'
+          message: ai.isSelfHosted('text')
+            ? `Self-hosted OpenAI-compatible API configured at ${ai.settings('text').baseURL}`
+            : 'OpenAI API key is configured and accessible'
         });
       } else {
         res.json({
@@ -393,7 +414,7 @@ checkDatabaseConnection().then(async (connected) => {
       const MultimediaAnalyzer = require('./services/multimedia/MultimediaAnalyzer');
       const analyzer = new MultimediaAnalyzer({ enableLogging: false });
       
-      if (analyzer.visionClient || analyzer.googleApiKey || process.env.OPENAI_API_KEY) {
+      if (analyzer.visionClient || analyzer.googleApiKey || analyzer.ai.isAvailable('vision')) {
         res.json({
           success: true,
           message: 'Object detection service available via Google Vision or OpenAI'
@@ -417,7 +438,7 @@ checkDatabaseConnection().then(async (connected) => {
       const MultimediaAnalyzer = require('./services/multimedia/MultimediaAnalyzer');
       const analyzer = new MultimediaAnalyzer({ enableLogging: false });
       
-      if (analyzer.visionClient || analyzer.googleApiKey || process.env.OPENAI_API_KEY) {
+      if (analyzer.visionClient || analyzer.googleApiKey || analyzer.ai.isAvailable('vision')) {
         res.json({
           success: true,
           message: 'OCR text extraction service available via Google Vision or OpenAI'
@@ -438,7 +459,8 @@ checkDatabaseConnection().then(async (connected) => {
 
   app.get('/test-image-description', async (req, res) => {
     try {
-      if (process.env.OPENAI_API_KEY) {
+      const OpenAICompatibleProvider = require('./services/multimedia/OpenAICompatibleProvider');
+      if (OpenAICompatibleProvider.getInstance().isAvailable('vision')) {
         res.json({
           success: true,
           message: 'Image description service available via OpenAI Vision'
@@ -459,7 +481,8 @@ checkDatabaseConnection().then(async (connected) => {
 
   app.get('/test-sentiment', async (req, res) => {
     try {
-      if (process.env.OPENAI_API_KEY) {
+      const OpenAICompatibleProvider = require('./services/multimedia/OpenAICompatibleProvider');
+      if (OpenAICompatibleProvider.getInstance().isAvailable('text')) {
         res.json({
           success: true,
           message: 'Sentiment analysis service available via OpenAI'
@@ -581,6 +604,20 @@ checkDatabaseConnection().then(async (connected) => {
     
     res.render('api-keys/manage', { 
       title: 'API Key Management - DaySave',
+      user: req.user,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+  });
+
+  // API Explorer for the /api/v1 OpenAPI document
+  app.get('/api-keys/explorer', isAuthenticated, enforceMfa, (req, res) => {
+    logAuthEvent('API_EXPLORER_ACCESSED', {
+      userId: req.user.id,
+      username: req.user.username
+    });
+    
+    res.render('api-keys/explorer', {
+      title: 'API Explorer',
       user: req.user
     });
   });
@@ -613,11 +650,17 @@ checkDatabaseConnection().then(async (connected) => {
       delete req.session.mfaEnforcementMessage;
     }
     
-    res.render('profile', { 
+    const emailInService = require('./services/emailInService');
+
+    res.render('profile', {
       title: 'Profile - DaySave',
       user: req.user,
       subscription: subscriptionInfo,
-      mfaEnforcementMessage
+      mfaEnforcementMessage,
+      emailIn: {
+        enabled: emailInService.isEnabled(),
+        address: emailInService.addressFor(req.user)
+      }
     });
   });
 
@@ -708,6 +751,23 @@ checkDatabaseConnection().then(async (connected) => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📁 Auth logs will be written to: ${logBasePath}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Retry webhook deliveries that failed earlier
+    require('./services/webhookService').startRetryLoop();
+
+    // Birthday, anniversary and keep-in-touch reminders
+    require('./services/contactReminderService').startScheduler();
+
+    // Save content forwarded to personal addresses (EMAIL_IN_ENABLED)
+    require('./services/emailInService').startPoller();
+
+    // Re-check watched URLs for removals and changes
+    require('./services/contentMonitorService').startScheduler();
+
+    // Run queued analysis jobs here unless dedicated workers (npm run worker) do
+    if (process.env.JOB_WORKER !== 'external') {
+      require('./services/jobQueueService').startWorker();
+    }
   });
 
 }).catch(err => {
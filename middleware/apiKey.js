@@ -7,18 +7,50 @@ const { logAuthEvent, logAuthError } = require('../config/logger');
  * Handles API key validation, rate limiting, and usage logging
  */
 
+/**
+ * Extract HTTP Basic credentials from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { username, password } or null
+ */
+const extractBasicCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return null;
+  }
+  
+  const credentials = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  if (separator <= 0 || separator === credentials.length - 1) {
+    return null;
+  }
+  return {
+    username: credentials.substring(0, separator),
+    password: credentials.substring(separator + 1)
+  };
+};
+
 /**
  * Extract API key from request headers
  * @param {Object} req - Express request object
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.allowBasicAuth - Accept the key as HTTP Basic password
  * @returns {string|null} API key or null
  */
-const extractApiKey = (req) => {
+const extractApiKey = (req, options = {}) => {
   // Check Authorization header: "Bearer daysave_..."
   const authHeader = req.headers.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) {
     return authHeader.substring(7);
   }
   
+  // Check Basic auth with the key as password (only where the route opts in)
+  if (options.allowBasicAuth) {
+    const credentials = extractBasicCredentials(req);
+    if (credentials) {
+      return credentials.password;
+    }
+  }
+  
   // Check X-API-Key header
   const apiKeyHeader = req.headers['x-api-key'];
   if (apiKeyHeader) {
@@ -75,6 +107,9 @@ const hasPermission = (permissions, method, endpoint) => {
     return false; // No permissions defined
   }
   
+  // Query strings never take part in matching
+  endpoint = endpoint.split('?')[0];
+  
   // Check exact endpoint match
   const endpointPermissions = permissions[endpoint];
   if (endpointPermissions) {
@@ -95,6 +130,21 @@ const hasPermission = (permissions, method, endpoint) => {
   return false;
 };
 
+/**
+ * Check that a Basic auth user name belongs to the API key's owner
+ * @param {string} username - User name sent with the key
+ * @param {Object} owner - Key owner (username, email)
+ * @returns {boolean} Whether the user name is the owner's user name or email
+ */
+const isKeyOwner = (username, owner) => {
+  if (!owner) {
+    return false;
+  }
+  const name = username.trim().toLowerCase();
+  return name === String(owner.username || '').toLowerCase() ||
+         name === String(owner.email || '').toLowerCase();
+};
+
 /**
  * Get client information from request
  * @param {Object} req - Express request object
@@ -123,16 +173,24 @@ const getClientInfo = (req) => {
  * @param {boolean} options.required - Whether API key is required
  * @param {Array} options.allowedMethods - Allowed HTTP methods
  * @param {boolean} options.logUsage - Whether to log usage
+ * @param {Function} options.formatError - Optional (req, res, status, body) responder for error envelopes
+ * @param {boolean} options.allowBasicAuth - Accept HTTP Basic auth: user name (owner's user name or email) and key as password
  * @returns {Function} Express middleware function
  */
 const authenticateApiKey = (options = {}) => {
   const {
     required = true,
     allowedMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    logUsage = true
+    logUsage = true,
+    formatError = null,
+    allowBasicAuth = false
   } = options;
 
   return async (req, res, next) => {
+    const sendError = (status, body) => (formatError
+      ? formatError(req, res, status, body)
+      : res.status(status).json(body));
+
     const requestId = uuidv4();
     const startTime = Date.now();
     const clientInfo = getClientInfo(req);
@@ -143,11 +201,11 @@ const authenticateApiKey = (options = {}) => {
     
     try {
       // Extract API key from request
-      const apiKey = extractApiKey(req);
+      const apiKey = extractApiKey(req, { allowBasicAuth });
       
       if (!apiKey) {
         if (required) {
-          return res.status(401).json({
+          return sendError(401, {
             error: 'API key required',
             message: 'Please provide a valid API key in the Authorization header, X-API-Key header, or api_key query parameter'
           });
@@ -175,15 +233,40 @@ const authenticateApiKey = (options = {}) => {
           });
         }
         
-        return res.status(401).json({
+        return sendError(401, {
           error: 'Invalid API key',
           message: 'The provided API key is invalid, expired, or disabled'
         });
       }
 
+      // Basic auth: the user name must be the key owner's
+      const basicCredentials = allowBasicAuth ? extractBasicCredentials(req) : null;
+      if (basicCredentials && !isKeyOwner(basicCredentials.username, apiKeyRecord.owner)) {
+        if (logUsage) {
+          await apiKeyService.logUsage(apiKeyRecord.id, apiKeyRecord.user_id, {
+            endpoint: req.originalUrl,
+            method: req.method,
+            statusCode: 401,
+            responseTime: Date.now() - startTime,
+            clientIp: clientInfo.ip,
+            userAgent: clientInfo.userAgent,
+            referer: clientInfo.referer,
+            origin: clientInfo.origin,
+            requestId,
+            errorMessage: 'User name does not match API key owner',
+            rateLimited: false
+          });
+        }
+        
+        return sendError(401, {
+          error: 'Invalid credentials',
+          message: 'The user name does not belong to the owner of this API key'
+        });
+      }
+
       // Check if method is allowed
       if (!allowedMethods.includes(req.method)) {
-        return res.status(405).json({
+        return sendError(405, {
           error: 'Method not allowed',
           message: `HTTP method ${req.method} is not allowed for this endpoint`
         });
@@ -207,7 +290,7 @@ const authenticateApiKey = (options = {}) => {
           });
         }
         
-        return res.status(403).json({
+        return sendError(403, {
           error: 'IP not allowed',
           message: 'Your IP address is not authorized to use this API key'
         });
@@ -231,7 +314,7 @@ const authenticateApiKey = (options = {}) => {
           });
         }
         
-        return res.status(403).json({
+        return sendError(403, {
           error: 'Origin not allowed',
           message: 'Your origin domain is not authorized to use this API key'
         });
@@ -255,7 +338,7 @@ const authenticateApiKey = (options = {}) => {
           });
         }
         
-        return res.status(403).json({
+        return sendError(403, {
           error: 'Insufficient permissions',
           message: 'Your API key does not have permission to access this endpoint'
         });
@@ -281,7 +364,7 @@ const authenticateApiKey = (options = {}) => {
         }
         
         const resetTime = rateLimitResult.resetTime;
-        return res.status(429).json({
+        return sendError(429, {
           error: 'Rate limit exceeded',
           message: rateLimitResult.reason,
           resetTime: resetTime ? resetTime.toISOString() : null
@@ -349,7 +432,7 @@ const authenticateApiKey = (options = {}) => {
         clientIp: clientInfo.ip
       });
       
-      res.status(500).json({
+      sendError(500, {
         error: 'Authentication error',
         message: 'An error occurred while validating your API key'
       });
@@ -406,5 +489,8 @@ module.exports = {
   requireAdmin,
   apiKeyCors,
   extractApiKey,
+  extractBasicCredentials,
+  isKeyOwner,
+  hasPermission,
   getClientInfo
 }; 
\ No newline at end of file
@@ -0,0 +1,139 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('share_links', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Owner of the shared item'
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'Unguessable token used in the public share URL'
+      },
+      share_type: {
+        type: Sequelize.ENUM('content', 'file', 'group'),
+        allowNull: false,
+        comment: 'Kind of item the link points at'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      file_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'files',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_group_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contact_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Recipient contact for contact-scoped links (null for public links)'
+      },
+      contact_group_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'contact_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Contact group the link was issued through, if any'
+      },
+      password_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'bcrypt hash of the optional link password'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Link stops resolving after this time'
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set when the owner revokes the link'
+      },
+      view_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of successful views'
+      },
+      last_viewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Additional metadata (message, notification status, etc.)'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('share_links', ['user_id']);
+    await queryInterface.addIndex('share_links', ['content_id']);
+    await queryInterface.addIndex('share_links', ['file_id']);
+    await queryInterface.addIndex('share_links', ['content_group_id']);
+    await queryInterface.addIndex('share_links', ['contact_id']);
+    await queryInterface.addIndex('share_links', ['expires_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('share_links');
+  }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('share_logs', 'share_link_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'share_links',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Share link this log entry belongs to'
+    });
+
+    await queryInterface.addColumn('share_logs', 'action', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'created, viewed, revoked or password_failed'
+    });
+
+    await queryInterface.addColumn('share_logs', 'client_ip', {
+      type: Sequelize.STRING(45),
+      allowNull: true,
+      comment: 'IP address of the viewer'
+    });
+
+    await queryInterface.addColumn('share_logs', 'user_agent', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'User agent of the viewer'
+    });
+
+    await queryInterface.addIndex('share_logs', ['share_link_id'], {
+      name: 'idx_share_logs_share_link_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('share_logs', 'idx_share_logs_share_link_id');
+    await queryInterface.removeColumn('share_logs', 'user_agent');
+    await queryInterface.removeColumn('share_logs', 'client_ip');
+    await queryInterface.removeColumn('share_logs', 'action');
+    await queryInterface.removeColumn('share_logs', 'share_link_id');
+  }
+};
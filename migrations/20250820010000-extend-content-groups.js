@@ -0,0 +1,99 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // content_groups: nesting, ordering, description and cover
+    await queryInterface.addColumn('content_groups', 'parent_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content_groups',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Parent group for nested collections'
+    });
+
+    await queryInterface.addColumn('content_groups', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('content_groups', 'position', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sort order among sibling groups'
+    });
+
+    await queryInterface.addColumn('content_groups', 'cover_thumbnail_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'thumbnails',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Explicit cover thumbnail (falls back to first member thumbnail)'
+    });
+
+    await queryInterface.addIndex('content_groups', ['user_id', 'parent_id', 'position'], {
+      name: 'idx_content_groups_user_parent_position'
+    });
+
+    // content_group_members: allow File members alongside Content members
+    await queryInterface.changeColumn('content_group_members', 'content_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: true,
+      references: { model: 'content', key: 'id' }
+    });
+
+    await queryInterface.addColumn('content_group_members', 'file_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'File member (content_id is null for file members)'
+    });
+
+    await queryInterface.addColumn('content_group_members', 'position', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sort order of the member within its group'
+    });
+
+    await queryInterface.addIndex('content_group_members', ['group_id', 'position'], {
+      name: 'idx_content_group_members_group_position'
+    });
+    await queryInterface.addIndex('content_group_members', ['file_id'], {
+      name: 'idx_content_group_members_file_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('content_group_members', 'idx_content_group_members_file_id');
+    await queryInterface.removeIndex('content_group_members', 'idx_content_group_members_group_position');
+    await queryInterface.removeColumn('content_group_members', 'position');
+    await queryInterface.removeColumn('content_group_members', 'file_id');
+    await queryInterface.bulkDelete('content_group_members', { content_id: null });
+    await queryInterface.changeColumn('content_group_members', 'content_id', {
+      type: Sequelize.CHAR(36),
+      allowNull: false,
+      references: { model: 'content', key: 'id' }
+    });
+
+    await queryInterface.removeIndex('content_groups', 'idx_content_groups_user_parent_position');
+    await queryInterface.removeColumn('content_groups', 'cover_thumbnail_id');
+    await queryInterface.removeColumn('content_groups', 'position');
+    await queryInterface.removeColumn('content_groups', 'description');
+    await queryInterface.removeColumn('content_groups', 'parent_id');
+  }
+};
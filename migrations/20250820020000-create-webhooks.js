@@ -0,0 +1,185 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('webhook_endpoints', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Owner of the endpoint; events for this user are delivered'
+      },
+      api_key_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'api_keys',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'When set, only events caused through this API key are delivered'
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+        comment: 'Receiver URL (POST)'
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      secret: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'HMAC-SHA256 signing secret'
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Subscribed event names, or ["*"] for all'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      consecutive_failures: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Deliveries that exhausted their retries in a row; the endpoint is disabled at the limit'
+      },
+      last_delivery_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_endpoints', ['user_id']);
+    await queryInterface.addIndex('webhook_endpoints', ['api_key_id']);
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      endpoint_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'webhook_endpoints',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      event: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      event_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        comment: 'Shared by every delivery (and redelivery) of the same event, for receiver de-duplication'
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Exact JSON body that is signed and sent'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'retrying', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempt_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the retry loop should try again (retrying only)'
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      response_body: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'First 2 KB of the last response'
+      },
+      error_message: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      redelivery_of_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        comment: 'Original delivery when sent with the manual redeliver button'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['endpoint_id', 'createdAt']);
+    await queryInterface.addIndex('webhook_deliveries', ['user_id']);
+    await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_endpoints');
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Leases: a worker owns a processing job until lease_expires_at; an expired
+    // lease means the worker died and the job is retried
+    await queryInterface.addColumn('processing_jobs', 'lease_expires_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the claiming worker lease runs out (processing jobs only)'
+    });
+
+    await queryInterface.addColumn('processing_jobs', 'available_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Earliest time a pending/retrying job may be claimed (retry backoff)'
+    });
+
+    // file_analysis: queued before the media type of an upload is known
+    await queryInterface.changeColumn('processing_jobs', 'job_type', {
+      type: Sequelize.ENUM('video_analysis', 'audio_analysis', 'image_analysis', 'url_analysis', 'batch_processing', 'document_analysis', 'content_analysis', 'file_analysis'),
+      allowNull: false,
+      comment: 'Type of processing job being executed'
+    });
+
+    await queryInterface.addIndex('processing_jobs', ['status', 'available_at', 'priority'], {
+      name: 'idx_processing_jobs_queue'
+    });
+    await queryInterface.addIndex('processing_jobs', ['status', 'lease_expires_at'], {
+      name: 'idx_processing_jobs_lease'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('processing_jobs', 'idx_processing_jobs_lease');
+    await queryInterface.removeIndex('processing_jobs', 'idx_processing_jobs_queue');
+    await queryInterface.changeColumn('processing_jobs', 'job_type', {
+      type: Sequelize.ENUM('video_analysis', 'audio_analysis', 'image_analysis', 'url_analysis', 'batch_processing', 'document_analysis', 'content_analysis'),
+      allowNull: false,
+      comment: 'Type of processing job being executed'
+    });
+    await queryInterface.removeColumn('processing_jobs', 'available_at');
+    await queryInterface.removeColumn('processing_jobs', 'lease_expires_at');
+  }
+};
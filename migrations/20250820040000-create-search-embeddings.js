@@ -0,0 +1,89 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('search_embeddings', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      file_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'files',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      model: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Embedding model that produced the vector'
+      },
+      dimensions: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      vector: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Embedding as an array of floats'
+      },
+      source_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false,
+        comment: 'SHA-256 of the embedded text; unchanged text is not embedded again'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('search_embeddings', ['user_id', 'model'], {
+      name: 'idx_search_embeddings_user_model'
+    });
+    await queryInterface.addIndex('search_embeddings', ['content_id', 'model'], {
+      name: 'idx_search_embeddings_content',
+      unique: true
+    });
+    await queryInterface.addIndex('search_embeddings', ['file_id', 'model'], {
+      name: 'idx_search_embeddings_file',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('search_embeddings');
+  }
+};
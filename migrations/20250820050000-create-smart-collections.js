@@ -0,0 +1,146 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('smart_collections', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      filters: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Saved content list filters: tag, from, to, content_type, status, search'
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      show_count: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Show a count badge next to the collection'
+      },
+      notify_email: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Email the owner when new items match'
+      },
+      match_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_evaluated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_viewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Items matched after this are shown as new'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('smart_collections', ['user_id', 'name'], {
+      name: 'idx_smart_collections_user_name',
+      unique: true
+    });
+
+    await queryInterface.createTable('smart_collection_matches', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      smart_collection_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'smart_collections',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      file_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'files',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      notified_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the owner was emailed about this match (or it was part of the initial set)'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('smart_collection_matches', ['smart_collection_id', 'content_id'], {
+      name: 'idx_smart_collection_matches_content',
+      unique: true
+    });
+    await queryInterface.addIndex('smart_collection_matches', ['smart_collection_id', 'file_id'], {
+      name: 'idx_smart_collection_matches_file',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('smart_collection_matches');
+    await queryInterface.dropTable('smart_collections');
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('contact_duplicate_candidates', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contact_id_1: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Lower of the two contact IDs, so each pair is stored once'
+      },
+      contact_id_2: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      score: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        comment: 'Likelihood the two contacts are the same person (0-1)'
+      },
+      reasons: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Why the pair matched, e.g. same email, same phone, similar name'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'dismissed'),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'Dismissed pairs are not suggested again'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('contact_duplicate_candidates', ['contact_id_1', 'contact_id_2'], {
+      name: 'idx_contact_duplicates_pair',
+      unique: true
+    });
+    await queryInterface.addIndex('contact_duplicate_candidates', ['user_id', 'status', 'score'], {
+      name: 'idx_contact_duplicates_user_status'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('contact_duplicate_candidates');
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Change log for CardDAV sync tokens: every contact or group membership
+    // change gets the next revision; a sync token is the last revision a
+    // client has seen
+    await queryInterface.createTable('contact_sync_changes', {
+      revision: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contact_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        comment: 'No foreign key: rows for deleted contacts are kept'
+      },
+      group_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        comment: 'Set for group membership changes'
+      },
+      resource_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'CardDAV resource name of the contact at the time of the change'
+      },
+      operation: {
+        type: Sequelize.ENUM('upsert', 'delete'),
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('contact_sync_changes', ['user_id', 'revision'], {
+      name: 'idx_contact_sync_changes_user_revision'
+    });
+
+    // Cards created by CardDAV clients keep the client's UID and resource name
+    await queryInterface.addColumn('contacts', 'carddav_uid', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'vCard UID chosen by a CardDAV client (the contact ID is used otherwise)'
+    });
+    await queryInterface.addColumn('contacts', 'carddav_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'CardDAV resource name chosen by the client (<id>.vcf otherwise)'
+    });
+    await queryInterface.addIndex('contacts', ['user_id', 'carddav_name'], {
+      name: 'idx_contacts_user_carddav_name'
+    });
+
+    await queryInterface.addColumn('contact_groups', 'carddav_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Offer the group as its own CardDAV address book'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('contact_groups', 'carddav_enabled');
+    await queryInterface.removeIndex('contacts', 'idx_contacts_user_carddav_name');
+    await queryInterface.removeColumn('contacts', 'carddav_name');
+    await queryInterface.removeColumn('contacts', 'carddav_uid');
+    await queryInterface.dropTable('contact_sync_changes');
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('contact_reminders', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contact_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      kind: {
+        type: Sequelize.ENUM('birthday', 'anniversary', 'date', 'keep_in_touch'),
+        allowNull: false
+      },
+      label: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Date label from contacts.dates, or keep_in_touch'
+      },
+      due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'Day of the occurrence or the day the contact is due'
+      },
+      emailed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      dismissed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set when the user dismisses the in-app notification'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('contact_reminders', ['contact_id', 'kind', 'label', 'due_date'], {
+      name: 'idx_contact_reminders_occurrence',
+      unique: true
+    });
+    await queryInterface.addIndex('contact_reminders', ['user_id', 'dismissed_at', 'due_date'], {
+      name: 'idx_contact_reminders_user_open'
+    });
+
+    await queryInterface.addColumn('contacts', 'keep_in_touch_weeks', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Remind the owner when there was no interaction for this many weeks'
+    });
+
+    await queryInterface.addColumn('users', 'reminder_email_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('users', 'reminder_lead_days', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 7,
+      comment: 'Days ahead that contact date reminders are created'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'reminder_lead_days');
+    await queryInterface.removeColumn('users', 'reminder_email_enabled');
+    await queryInterface.removeColumn('contacts', 'keep_in_touch_weeks');
+    await queryInterface.dropTable('contact_reminders');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Detected faces and identified speakers confirmed as (or matched to) a contact
+    for (const table of ['faces', 'speakers']) {
+      await queryInterface.addColumn(table, 'contact_id', {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex(table, ['contact_id'], {
+        name: `idx_${table}_contact_id`
+      });
+    }
+
+    // Faces already have user_confirmed; speakers need to tell user links from propagated ones
+    await queryInterface.addColumn('speakers', 'contact_confirmed', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the user confirmed contact_id (false when it was propagated from a matching voice)'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('speakers', 'contact_confirmed');
+    for (const table of ['faces', 'speakers']) {
+      await queryInterface.removeIndex(table, `idx_${table}_contact_id`);
+      await queryInterface.removeColumn(table, 'contact_id');
+    }
+  }
+};
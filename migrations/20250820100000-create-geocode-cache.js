@@ -0,0 +1,59 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Server-side cache of address lookups (Google Geocoding API), shared by all users
+    await queryInterface.createTable('geocode_cache', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      query_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false,
+        comment: 'SHA-256 of the normalized address'
+      },
+      query: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('ok', 'not_found'),
+        allowNull: false
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: true
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: true
+      },
+      formatted_address: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('geocode_cache', ['query_hash'], {
+      name: 'idx_geocode_cache_query_hash',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('geocode_cache');
+  }
+};
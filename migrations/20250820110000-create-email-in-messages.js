@@ -0,0 +1,96 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Secret part of the user's personal email-in address (save+TOKEN@domain)
+    await queryInterface.addColumn('users', 'email_in_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Plus-address token for saving content by email; null when email-in is off'
+    });
+    await queryInterface.addIndex('users', ['email_in_token'], {
+      name: 'idx_users_email_in_token',
+      unique: true
+    });
+
+    // One row per received message, so messages are saved once and answered once
+    await queryInterface.createTable('email_in_messages', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      message_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Message-ID header of the received email'
+      },
+      from_address: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      subject: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'replied', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued',
+        comment: 'queued until the summary reply is sent'
+      },
+      content_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      file_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      errors: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Links and attachments that could not be saved'
+      },
+      replied_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('email_in_messages', ['user_id', 'message_id'], {
+      name: 'idx_email_in_messages_message',
+      unique: true
+    });
+    await queryInterface.addIndex('email_in_messages', ['status'], {
+      name: 'idx_email_in_messages_status'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_in_messages');
+    await queryInterface.removeIndex('users', 'idx_users_email_in_token');
+    await queryInterface.removeColumn('users', 'email_in_token');
+  }
+};
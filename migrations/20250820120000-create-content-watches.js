@@ -0,0 +1,177 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Re-check schedules for one saved URL or for every URL in a content group
+    await queryInterface.createTable('content_watches', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      group_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content_groups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Group watch (content_id is null): every URL in the group is checked'
+      },
+      interval_hours: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 24
+      },
+      notify_email: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Email the owner about changes in addition to the dashboard'
+      },
+      last_checked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      next_check_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      last_error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('content_watches', ['user_id', 'content_id'], {
+      name: 'idx_content_watches_content',
+      unique: true
+    });
+    await queryInterface.addIndex('content_watches', ['user_id', 'group_id'], {
+      name: 'idx_content_watches_group',
+      unique: true
+    });
+    await queryInterface.addIndex('content_watches', ['next_check_at'], {
+      name: 'idx_content_watches_due'
+    });
+
+    // What a check found, stored for the first check and whenever something changed
+    await queryInterface.createTable('content_versions', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('available', 'removed', 'private'),
+        allowNull: false
+      },
+      http_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      title: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      comment_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Differences to the previous version: [{ field, from, to }]; empty for the first version'
+      },
+      alert: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Shown as a dashboard notification until dismissed'
+      },
+      dismissed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('content_versions', ['content_id', 'createdAt'], {
+      name: 'idx_content_versions_content'
+    });
+    await queryInterface.addIndex('content_versions', ['user_id', 'alert', 'dismissed_at'], {
+      name: 'idx_content_versions_user_alerts'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('content_versions');
+    await queryInterface.dropTable('content_watches');
+  }
+};
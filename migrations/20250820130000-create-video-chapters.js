@@ -0,0 +1,94 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Shots found by scene-change detection, each with a representative thumbnail
+    await queryInterface.createTable('video_chapters', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      file_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'files',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      thumbnail_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'thumbnails',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Representative frame (null when every frame of the shot was black, flat, blurry or a duplicate)'
+      },
+      chapter_index: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      start_seconds: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false
+      },
+      end_seconds: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false
+      },
+      scene_score: {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+        comment: 'ffmpeg scene score of the cut that starts the chapter (null for the first chapter)'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('video_chapters', ['content_id', 'chapter_index'], {
+      name: 'idx_video_chapters_content'
+    });
+    await queryInterface.addIndex('video_chapters', ['file_id', 'chapter_index'], {
+      name: 'idx_video_chapters_file'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('video_chapters');
+  }
+};
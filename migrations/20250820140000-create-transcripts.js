@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Timestamped transcript segments, one transcript per content item or file
+    await queryInterface.createTable('transcripts', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'content',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      file_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: true,
+        references: {
+          model: 'files',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'youtube-captions, whisper, google-speech or diarization'
+      },
+      language: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      segments: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Array of { start, end, text, speaker?, words? } in seconds; speaker is a Speaker speaker_tag'
+      },
+      duration: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('transcripts', ['content_id'], {
+      name: 'idx_transcripts_content',
+      unique: true
+    });
+    await queryInterface.addIndex('transcripts', ['file_id'], {
+      name: 'idx_transcripts_file',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('transcripts');
+  }
+};
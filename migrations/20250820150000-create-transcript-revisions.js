@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Correction history of a transcript: the original, every edit, restores and re-analyses
+    await queryInterface.createTable('transcript_revisions', {
+      id: {
+        type: Sequelize.CHAR(36),
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      transcript_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        references: {
+          model: 'transcripts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      revision_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      change_type: {
+        type: Sequelize.ENUM('original', 'edit', 'restore', 'reanalysis'),
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      segments: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Transcript segments as of this revision'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('transcript_revisions', ['transcript_id', 'revision_number'], {
+      name: 'idx_transcript_revisions_number',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('transcript_revisions');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Migration: Add "processing" to email_in_messages.status
+ *
+ * The row of a received message is now written before its links and
+ * attachments are saved (status "processing"), so a failed save can never
+ * import the message a second time.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('email_in_messages', 'status', {
+      type: Sequelize.ENUM('processing', 'queued', 'replied', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued',
+      comment: 'processing while items are saved, queued until the summary reply is sent'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('email_in_messages', { status: 'queued' }, { status: 'processing' });
+    await queryInterface.changeColumn('email_in_messages', 'status', {
+      type: Sequelize.ENUM('queued', 'replied', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued',
+      comment: 'queued until the summary reply is sent'
+    });
+  }
+};
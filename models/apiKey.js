@@ -131,6 +131,7 @@ module.exports = (sequelize, DataTypes) => {
     ApiKey.belongsTo(models.User, { foreignKey: 'user_id', as: 'owner' });
     ApiKey.hasMany(models.ApiKeyUsage, { foreignKey: 'api_key_id', as: 'usage' });
     ApiKey.hasMany(models.ApiKeyAuditLog, { foreignKey: 'api_key_id', as: 'auditLogs' });
+    ApiKey.hasMany(models.WebhookEndpoint, { foreignKey: 'api_key_id', as: 'webhookEndpoints' });
   };
 
   return ApiKey;
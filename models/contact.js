@@ -27,12 +27,40 @@ module.exports = (sequelize, DataTypes) => {
     instant_messages: { type: DataTypes.JSON },
     urls: { type: DataTypes.JSON },
     dates: { type: DataTypes.JSON },
-    notes: { type: DataTypes.JSON }
+    notes: { type: DataTypes.JSON },
+    carddav_uid: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'vCard UID chosen by a CardDAV client (the contact ID is used otherwise)'
+    },
+    carddav_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'CardDAV resource name chosen by the client (<id>.vcf otherwise)'
+    },
+    keep_in_touch_weeks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Remind the owner when there was no interaction for this many weeks'
+    }
   }, {
     tableName: 'contacts',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_contacts_user_carddav_name',
+        fields: ['user_id', 'carddav_name']
+      }
+    ]
   });
 
+  // CardDAV sync log (see contactSyncChange.js)
+  Contact.addHook('afterCreate', (contact, options) => sequelize.models.ContactSyncChange.recordContact(contact, 'upsert', options));
+  Contact.addHook('afterUpdate', (contact, options) => sequelize.models.ContactSyncChange.recordContact(contact, 'upsert', options));
+  Contact.addHook('afterDestroy', (contact, options) => sequelize.models.ContactSyncChange.recordContact(contact, 'delete', options));
+  Contact.addHook('afterBulkCreate', (contacts, options) =>
+    Promise.all(contacts.map(contact => sequelize.models.ContactSyncChange.recordContact(contact, 'upsert', options))));
+
   Contact.associate = (models) => {
     Contact.belongsTo(models.User, { foreignKey: 'user_id' });
     Contact.hasMany(models.ContactGroupMember, { foreignKey: 'contact_id' });
@@ -41,6 +69,9 @@ module.exports = (sequelize, DataTypes) => {
     Contact.hasMany(models.ContactRelation, { as: 'Contact1', foreignKey: 'contact_id_1' });
     Contact.hasMany(models.ContactRelation, { as: 'Contact2', foreignKey: 'contact_id_2' });
     Contact.hasMany(models.ShareLog, { foreignKey: 'contact_id' });
+    Contact.hasMany(models.ContactReminder, { foreignKey: 'contact_id', as: 'reminders' });
+    Contact.hasMany(models.Face, { foreignKey: 'contact_id', as: 'faces' });
+    Contact.hasMany(models.Speaker, { foreignKey: 'contact_id', as: 'speakers' });
   };
 
   return Contact;
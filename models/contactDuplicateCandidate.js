@@ -0,0 +1,75 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ContactDuplicateCandidate = sequelize.define('ContactDuplicateCandidate', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    contact_id_1: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      },
+      comment: 'Lower of the two contact IDs, so each pair is stored once'
+    },
+    contact_id_2: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      }
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      comment: 'Likelihood the two contacts are the same person (0-1)'
+    },
+    reasons: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Why the pair matched, e.g. same email, same phone, similar name'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'dismissed'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Dismissed pairs are not suggested again'
+    }
+  }, {
+    tableName: 'contact_duplicate_candidates',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_contact_duplicates_pair',
+        unique: true,
+        fields: ['contact_id_1', 'contact_id_2']
+      },
+      {
+        name: 'idx_contact_duplicates_user_status',
+        fields: ['user_id', 'status', 'score']
+      }
+    ]
+  });
+
+  ContactDuplicateCandidate.associate = (models) => {
+    ContactDuplicateCandidate.belongsTo(models.User, { foreignKey: 'user_id' });
+    ContactDuplicateCandidate.belongsTo(models.Contact, { as: 'Contact1', foreignKey: 'contact_id_1' });
+    ContactDuplicateCandidate.belongsTo(models.Contact, { as: 'Contact2', foreignKey: 'contact_id_2' });
+  };
+
+  return ContactDuplicateCandidate;
+};
@@ -19,6 +19,12 @@ module.exports = (sequelize, DataTypes) => {
     name: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    carddav_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Offer the group as its own CardDAV address book'
     }
   }, {
     tableName: 'contact_groups',
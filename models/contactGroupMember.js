@@ -29,6 +29,17 @@ module.exports = (sequelize, DataTypes) => {
     timestamps: true
   });
 
+  // CardDAV sync log for group address books (see contactSyncChange.js); bulk
+  // updates and destroys need individualHooks: true to be recorded
+  ContactGroupMember.addHook('afterCreate', (member, options) => sequelize.models.ContactSyncChange.recordMembership(member, 'upsert', options));
+  ContactGroupMember.addHook('afterDestroy', (member, options) => sequelize.models.ContactSyncChange.recordMembership(member, 'delete', options));
+  ContactGroupMember.addHook('afterUpdate', async (member, options) => {
+    if (member.changed('contact_id')) {
+      await sequelize.models.ContactSyncChange.recordMembership({ ...member.get({ plain: true }), contact_id: member.previous('contact_id') }, 'delete', options);
+    }
+    await sequelize.models.ContactSyncChange.recordMembership(member, 'upsert', options);
+  });
+
   ContactGroupMember.associate = (models) => {
     ContactGroupMember.belongsTo(models.Contact, { foreignKey: 'contact_id' });
     ContactGroupMember.belongsTo(models.ContactGroup, { foreignKey: 'group_id' });
@@ -0,0 +1,72 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ContactReminder = sequelize.define('ContactReminder', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    contact_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      }
+    },
+    kind: {
+      type: DataTypes.ENUM('birthday', 'anniversary', 'date', 'keep_in_touch'),
+      allowNull: false
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Date label from contacts.dates, or keep_in_touch'
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Day of the occurrence or the day the contact is due'
+    },
+    emailed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dismissed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the user dismisses the in-app notification'
+    }
+  }, {
+    tableName: 'contact_reminders',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_contact_reminders_occurrence',
+        unique: true,
+        fields: ['contact_id', 'kind', 'label', 'due_date']
+      },
+      {
+        name: 'idx_contact_reminders_user_open',
+        fields: ['user_id', 'dismissed_at', 'due_date']
+      }
+    ]
+  });
+
+  ContactReminder.associate = (models) => {
+    ContactReminder.belongsTo(models.User, { foreignKey: 'user_id' });
+    ContactReminder.belongsTo(models.Contact, { foreignKey: 'contact_id' });
+  };
+
+  return ContactReminder;
+};
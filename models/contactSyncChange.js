@@ -0,0 +1,98 @@
+const { logAuthError } = require('../config/logger');
+
+module.exports = (sequelize, DataTypes) => {
+  const ContactSyncChange = sequelize.define('ContactSyncChange', {
+    revision: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+      comment: 'Increasing change number; CardDAV sync tokens carry the last one a client saw'
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    contact_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      comment: 'No foreign key: rows for deleted contacts are kept'
+    },
+    group_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      comment: 'Set for group membership changes'
+    },
+    resource_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'CardDAV resource name of the contact at the time of the change'
+    },
+    operation: {
+      type: DataTypes.ENUM('upsert', 'delete'),
+      allowNull: false
+    }
+  }, {
+    tableName: 'contact_sync_changes',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        name: 'idx_contact_sync_changes_user_revision',
+        fields: ['user_id', 'revision']
+      }
+    ]
+  });
+
+  ContactSyncChange.associate = (models) => {
+    ContactSyncChange.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  ContactSyncChange.resourceName = (contact) => contact.carddav_name || `${contact.id}.vcf`;
+
+  /**
+   * Record a contact change (Contact hooks). Failures are logged, never
+   * thrown, so bookkeeping cannot block saving a contact.
+   */
+  ContactSyncChange.recordContact = async (contact, operation, options = {}) => {
+    try {
+      await ContactSyncChange.create({
+        user_id: contact.user_id,
+        contact_id: contact.id,
+        resource_name: ContactSyncChange.resourceName(contact),
+        operation
+      }, { transaction: options.transaction });
+    } catch (error) {
+      logAuthError('CONTACT_SYNC_CHANGE_ERROR', error, { contactId: contact.id, operation });
+    }
+  };
+
+  /**
+   * Record a group membership change (ContactGroupMember hooks)
+   */
+  ContactSyncChange.recordMembership = async (member, operation, options = {}) => {
+    try {
+      const { Contact, ContactGroup } = sequelize.models;
+      const [group, contact] = await Promise.all([
+        ContactGroup.findByPk(member.group_id, { attributes: ['user_id'], transaction: options.transaction }),
+        Contact.findByPk(member.contact_id, { attributes: ['id', 'carddav_name'], transaction: options.transaction })
+      ]);
+      if (!group) return;
+      await ContactSyncChange.create({
+        user_id: group.user_id,
+        contact_id: member.contact_id,
+        group_id: member.group_id,
+        resource_name: ContactSyncChange.resourceName(contact || { id: member.contact_id }),
+        operation
+      }, { transaction: options.transaction });
+    } catch (error) {
+      logAuthError('CONTACT_SYNC_CHANGE_ERROR', error, { groupId: member.group_id, contactId: member.contact_id, operation });
+    }
+  };
+
+  return ContactSyncChange;
+};
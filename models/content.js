@@ -134,9 +134,13 @@ module.exports = (sequelize, DataTypes) => {
     Content.hasMany(models.ContentRelation, { as: 'Content1', foreignKey: 'content_id_1' });
     Content.hasMany(models.ContentRelation, { as: 'Content2', foreignKey: 'content_id_2' });
     Content.hasMany(models.ShareLog, { foreignKey: 'content_id' });
+    Content.hasMany(models.ContentWatch, { foreignKey: 'content_id', as: 'watches' });
+    Content.hasMany(models.ContentVersion, { foreignKey: 'content_id', as: 'versions' });
     
     // Multimedia analysis associations
     Content.hasMany(models.Thumbnail, { foreignKey: 'content_id', as: 'thumbnails' });
+    Content.hasMany(models.VideoChapter, { foreignKey: 'content_id', as: 'chapters' });
+    Content.hasOne(models.Transcript, { foreignKey: 'content_id', as: 'transcript' });
     Content.hasMany(models.OCRCaption, { foreignKey: 'content_id', as: 'ocrCaptions' });
     Content.hasOne(models.VideoAnalysis, { foreignKey: 'content_id', as: 'videoAnalysis' });
     Content.hasOne(models.AudioAnalysis, { foreignKey: 'content_id', as: 'audioAnalysis' });
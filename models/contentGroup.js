@@ -19,6 +19,34 @@ module.exports = (sequelize, DataTypes) => {
     name: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    parent_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content_groups',
+        key: 'id'
+      },
+      comment: 'Parent group for nested collections'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sort order among sibling groups'
+    },
+    cover_thumbnail_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'thumbnails',
+        key: 'id'
+      },
+      comment: 'Explicit cover thumbnail (falls back to first member thumbnail)'
     }
   }, {
     tableName: 'content_groups',
@@ -28,6 +56,9 @@ module.exports = (sequelize, DataTypes) => {
   ContentGroup.associate = (models) => {
     ContentGroup.belongsTo(models.User, { foreignKey: 'user_id' });
     ContentGroup.hasMany(models.ContentGroupMember, { foreignKey: 'group_id' });
+    ContentGroup.belongsTo(models.ContentGroup, { foreignKey: 'parent_id', as: 'parent' });
+    ContentGroup.hasMany(models.ContentGroup, { foreignKey: 'parent_id', as: 'children' });
+    ContentGroup.belongsTo(models.Thumbnail, { foreignKey: 'cover_thumbnail_id', as: 'coverThumbnail' });
   };
 
   return ContentGroup;
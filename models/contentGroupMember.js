@@ -10,12 +10,21 @@ module.exports = (sequelize, DataTypes) => {
     },
     content_id: {
       type: DataTypes.CHAR(36),
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'content',
         key: 'id'
       }
     },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      },
+      comment: 'File member (content_id is null for file members)'
+    },
     group_id: {
       type: DataTypes.CHAR(36),
       allowNull: false,
@@ -23,14 +32,28 @@ module.exports = (sequelize, DataTypes) => {
         model: 'content_groups',
         key: 'id'
       }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sort order of the member within its group'
     }
   }, {
     tableName: 'content_group_members',
-    timestamps: true
+    timestamps: true,
+    validate: {
+      exactlyOneMember() {
+        if (!this.content_id === !this.file_id) {
+          throw new Error('A group member must reference either content_id or file_id');
+        }
+      }
+    }
   });
 
   ContentGroupMember.associate = (models) => {
     ContentGroupMember.belongsTo(models.Content, { foreignKey: 'content_id' });
+    ContentGroupMember.belongsTo(models.File, { foreignKey: 'file_id' });
     ContentGroupMember.belongsTo(models.ContentGroup, { foreignKey: 'group_id' });
   };
 
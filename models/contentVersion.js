@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ContentVersion = sequelize.define('ContentVersion', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('available', 'removed', 'private'),
+      allowNull: false
+    },
+    http_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    title: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    comment_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Differences to the previous version: [{ field, from, to }]; empty for the first version'
+    },
+    alert: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Shown as a dashboard notification until dismissed'
+    },
+    dismissed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'content_versions',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_content_versions_content',
+        fields: ['content_id', 'createdAt']
+      },
+      {
+        name: 'idx_content_versions_user_alerts',
+        fields: ['user_id', 'alert', 'dismissed_at']
+      }
+    ]
+  });
+
+  ContentVersion.associate = (models) => {
+    ContentVersion.belongsTo(models.User, { foreignKey: 'user_id' });
+    ContentVersion.belongsTo(models.Content, { foreignKey: 'content_id' });
+  };
+
+  return ContentVersion;
+};
@@ -0,0 +1,94 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ContentWatch = sequelize.define('ContentWatch', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    group_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content_groups',
+        key: 'id'
+      },
+      comment: 'Group watch (content_id is null): every URL in the group is checked'
+    },
+    interval_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 24
+    },
+    notify_email: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Email the owner about changes in addition to the dashboard'
+    },
+    last_checked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    next_check_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'content_watches',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_content_watches_content',
+        unique: true,
+        fields: ['user_id', 'content_id']
+      },
+      {
+        name: 'idx_content_watches_group',
+        unique: true,
+        fields: ['user_id', 'group_id']
+      },
+      {
+        name: 'idx_content_watches_due',
+        fields: ['next_check_at']
+      }
+    ],
+    validate: {
+      exactlyOneTarget() {
+        if (!this.content_id === !this.group_id) {
+          throw new Error('A watch must reference either content_id or group_id');
+        }
+      }
+    }
+  });
+
+  ContentWatch.associate = (models) => {
+    ContentWatch.belongsTo(models.User, { foreignKey: 'user_id' });
+    ContentWatch.belongsTo(models.Content, { foreignKey: 'content_id' });
+    ContentWatch.belongsTo(models.ContentGroup, { foreignKey: 'group_id', as: 'group' });
+  };
+
+  return ContentWatch;
+};
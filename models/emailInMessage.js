@@ -0,0 +1,76 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const EmailInMessage = sequelize.define('EmailInMessage', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    message_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Message-ID header of the received email'
+    },
+    from_address: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'queued', 'replied', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued',
+      comment: 'processing while items are saved, queued until the summary reply is sent'
+    },
+    content_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    file_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    errors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Links and attachments that could not be saved'
+    },
+    replied_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'email_in_messages',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_email_in_messages_message',
+        unique: true,
+        fields: ['user_id', 'message_id']
+      },
+      {
+        name: 'idx_email_in_messages_status',
+        fields: ['status']
+      }
+    ]
+  });
+
+  EmailInMessage.associate = (models) => {
+    EmailInMessage.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return EmailInMessage;
+};
@@ -100,6 +100,20 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Video analysis record containing this face (for video frames)'
     },
 
+    /**
+     * Contact ID - Contact this face was confirmed as or matched to (optional)
+     */
+    contact_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Contact shown in this face (user-confirmed when user_confirmed, otherwise propagated)'
+    },
+
     /**
      * Face Name - Identified or user-provided name
      */
@@ -301,6 +315,10 @@ module.exports = (sequelize, DataTypes) => {
         name: 'idx_faces_name',
         fields: ['face_name']
       },
+      {
+        name: 'idx_faces_contact_id',
+        fields: ['contact_id']
+      },
       {
         name: 'idx_faces_group_id',
         fields: ['face_group_id']
@@ -353,6 +371,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'video_analysis_id',
       as: 'VideoAnalysis'
     });
+
+    // Face belongs to Contact (optional)
+    Face.belongsTo(models.Contact, {
+      foreignKey: 'contact_id',
+      as: 'Contact'
+    });
   };
 
   return Face;
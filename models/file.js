@@ -70,9 +70,12 @@ module.exports = (sequelize, DataTypes) => {
   File.associate = (models) => {
     File.belongsTo(models.User, { foreignKey: 'user_id' });
     File.hasMany(models.ShareLog, { foreignKey: 'file_id' });
+    File.hasMany(models.ContentGroupMember, { foreignKey: 'file_id' });
     
     // Multimedia analysis associations
     File.hasMany(models.Thumbnail, { foreignKey: 'file_id', as: 'thumbnails' });
+    File.hasMany(models.VideoChapter, { foreignKey: 'file_id', as: 'chapters' });
+    File.hasOne(models.Transcript, { foreignKey: 'file_id', as: 'transcript' });
     File.hasMany(models.OCRCaption, { foreignKey: 'file_id', as: 'ocrCaptions' });
     File.hasOne(models.VideoAnalysis, { foreignKey: 'file_id', as: 'videoAnalysis' });
     File.hasOne(models.AudioAnalysis, { foreignKey: 'file_id', as: 'audioAnalysis' });
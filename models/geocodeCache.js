@@ -0,0 +1,49 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const GeocodeCache = sequelize.define('GeocodeCache', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    query_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      comment: 'SHA-256 of the normalized address'
+    },
+    query: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('ok', 'not_found'),
+      allowNull: false
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true
+    },
+    formatted_address: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'geocode_cache',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_geocode_cache_query_hash',
+        unique: true,
+        fields: ['query_hash']
+      }
+    ]
+  });
+
+  return GeocodeCache;
+};
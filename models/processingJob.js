@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 
 /**
  * Processing Job Model
@@ -79,7 +80,7 @@ module.exports = (sequelize, DataTypes) => {
      * Type of processing job being executed
      */
     job_type: {
-      type: DataTypes.ENUM('video_analysis', 'audio_analysis', 'image_analysis', 'url_analysis', 'batch_processing'),
+      type: DataTypes.ENUM('video_analysis', 'audio_analysis', 'image_analysis', 'url_analysis', 'batch_processing', 'document_analysis', 'content_analysis', 'file_analysis'),
       allowNull: false,
       comment: 'Type of processing job being executed'
     },
@@ -275,6 +276,27 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true,
       comment: 'Identifier of the worker processing this job'
+    },
+
+    /**
+     * Lease Expiry
+     * A claimed job belongs to worker_id until this time; workers extend it
+     * while running, so an expired lease means the worker died
+     */
+    lease_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the claiming worker lease runs out (processing jobs only)'
+    },
+
+    /**
+     * Available At
+     * Earliest time a pending or retrying job may be claimed (retry backoff)
+     */
+    available_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Earliest time a pending/retrying job may be claimed (retry backoff)'
     }
   }, {
     tableName: 'processing_jobs',
@@ -309,6 +331,14 @@ module.exports = (sequelize, DataTypes) => {
       {
         name: 'idx_processing_jobs_status_priority',
         fields: ['status', 'priority']
+      },
+      {
+        name: 'idx_processing_jobs_queue',
+        fields: ['status', 'available_at', 'priority']
+      },
+      {
+        name: 'idx_processing_jobs_lease',
+        fields: ['status', 'lease_expires_at']
       }
     ]
   });
@@ -466,13 +496,16 @@ module.exports = (sequelize, DataTypes) => {
    */
 
   /**
-   * Get pending jobs for processing
+   * Get jobs that are ready to be claimed by a worker
    * @param {number} limit - Maximum number of jobs to return
-   * @returns {Promise<Array>} Pending jobs ordered by priority
+   * @returns {Promise<Array>} Pending and retrying jobs whose backoff has passed, ordered by priority
    */
   ProcessingJob.getPendingJobs = async function(limit = 10) {
     return await this.findAll({
-      where: { status: 'pending' },
+      where: {
+        status: { [Op.in]: ['pending', 'retrying'] },
+        [Op.or]: [{ available_at: null }, { available_at: { [Op.lte]: new Date() } }]
+      },
       order: [
         ['priority', 'DESC'],
         ['createdAt', 'ASC']
@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const SearchEmbedding = sequelize.define('SearchEmbedding', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      }
+    },
+    model: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Embedding model that produced the vector'
+    },
+    dimensions: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    vector: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Embedding as an array of floats'
+    },
+    source_hash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      comment: 'SHA-256 of the embedded text; unchanged text is not embedded again'
+    }
+  }, {
+    tableName: 'search_embeddings',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_search_embeddings_user_model',
+        fields: ['user_id', 'model']
+      },
+      {
+        name: 'idx_search_embeddings_content',
+        unique: true,
+        fields: ['content_id', 'model']
+      },
+      {
+        name: 'idx_search_embeddings_file',
+        unique: true,
+        fields: ['file_id', 'model']
+      }
+    ]
+  });
+
+  SearchEmbedding.associate = (models) => {
+    SearchEmbedding.belongsTo(models.User, { foreignKey: 'user_id' });
+    SearchEmbedding.belongsTo(models.Content, { foreignKey: 'content_id' });
+    SearchEmbedding.belongsTo(models.File, { foreignKey: 'file_id' });
+  };
+
+  return SearchEmbedding;
+};
@@ -0,0 +1,143 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const ShareLink = sequelize.define('ShareLink', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Owner of the shared item'
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Unguessable token used in the public share URL'
+    },
+    share_type: {
+      type: DataTypes.ENUM('content', 'file', 'group'),
+      allowNull: false,
+      comment: 'Kind of item the link points at'
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      }
+    },
+    content_group_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content_groups',
+        key: 'id'
+      }
+    },
+    contact_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      },
+      comment: 'Recipient contact for contact-scoped links (null for public links)'
+    },
+    contact_group_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'contact_groups',
+        key: 'id'
+      },
+      comment: 'Contact group the link was issued through, if any'
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'bcrypt hash of the optional link password'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Link stops resolving after this time'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the owner revokes the link'
+    },
+    view_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of successful views'
+    },
+    last_viewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Additional metadata (message, notification status, etc.)'
+    }
+  }, {
+    tableName: 'share_links',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['token']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['content_id']
+      },
+      {
+        fields: ['file_id']
+      },
+      {
+        fields: ['content_group_id']
+      },
+      {
+        fields: ['contact_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  ShareLink.associate = (models) => {
+    ShareLink.belongsTo(models.User, { foreignKey: 'user_id', as: 'owner' });
+    ShareLink.belongsTo(models.Content, { foreignKey: 'content_id' });
+    ShareLink.belongsTo(models.File, { foreignKey: 'file_id' });
+    ShareLink.belongsTo(models.ContentGroup, { foreignKey: 'content_group_id' });
+    ShareLink.belongsTo(models.Contact, { foreignKey: 'contact_id' });
+    ShareLink.belongsTo(models.ContactGroup, { foreignKey: 'contact_group_id' });
+    ShareLink.hasMany(models.ShareLog, { foreignKey: 'share_link_id', as: 'logs' });
+  };
+
+  return ShareLink;
+};
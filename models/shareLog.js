@@ -33,6 +33,19 @@ module.exports = (sequelize, DataTypes) => {
     },
     language: {
       type: DataTypes.STRING
+    },
+    share_link_id: {
+      type: DataTypes.CHAR(36),
+      references: { model: 'share_links', key: 'id' }
+    },
+    action: {
+      type: DataTypes.STRING(20) // created, viewed, revoked, password_failed
+    },
+    client_ip: {
+      type: DataTypes.STRING(45)
+    },
+    user_agent: {
+      type: DataTypes.TEXT
     }
   }, {
     tableName: 'share_logs',
@@ -44,6 +57,7 @@ module.exports = (sequelize, DataTypes) => {
     ShareLog.belongsTo(models.Content, { foreignKey: 'content_id' });
     ShareLog.belongsTo(models.File, { foreignKey: 'file_id' });
     ShareLog.belongsTo(models.Contact, { foreignKey: 'contact_id' });
+    ShareLog.belongsTo(models.ShareLink, { foreignKey: 'share_link_id' });
   };
 
   return ShareLog;
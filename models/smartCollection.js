@@ -0,0 +1,77 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const SmartCollection = sequelize.define('SmartCollection', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Saved content list filters: tag, from, to, content_type, status, search'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    show_count: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Show a count badge next to the collection'
+    },
+    notify_email: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Email the owner when new items match'
+    },
+    match_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_evaluated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_viewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Items matched after this are shown as new'
+    }
+  }, {
+    tableName: 'smart_collections',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_smart_collections_user_name',
+        unique: true,
+        fields: ['user_id', 'name']
+      }
+    ]
+  });
+
+  SmartCollection.associate = (models) => {
+    SmartCollection.belongsTo(models.User, { foreignKey: 'user_id' });
+    SmartCollection.hasMany(models.SmartCollectionMatch, { foreignKey: 'smart_collection_id', as: 'matches' });
+  };
+
+  return SmartCollection;
+};
@@ -0,0 +1,71 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const SmartCollectionMatch = sequelize.define('SmartCollectionMatch', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    smart_collection_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'smart_collections',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      }
+    },
+    notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the owner was emailed about this match (or it was part of the initial set)'
+    }
+  }, {
+    tableName: 'smart_collection_matches',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_smart_collection_matches_content',
+        unique: true,
+        fields: ['smart_collection_id', 'content_id']
+      },
+      {
+        name: 'idx_smart_collection_matches_file',
+        unique: true,
+        fields: ['smart_collection_id', 'file_id']
+      }
+    ],
+    validate: {
+      exactlyOneItem() {
+        if (!this.content_id === !this.file_id) {
+          throw new Error('A smart collection match must reference either content_id or file_id');
+        }
+      }
+    }
+  });
+
+  SmartCollectionMatch.associate = (models) => {
+    SmartCollectionMatch.belongsTo(models.SmartCollection, { foreignKey: 'smart_collection_id' });
+    SmartCollectionMatch.belongsTo(models.Content, { foreignKey: 'content_id' });
+    SmartCollectionMatch.belongsTo(models.File, { foreignKey: 'file_id' });
+  };
+
+  return SmartCollectionMatch;
+};
@@ -82,6 +82,31 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Human-readable name for the speaker (user-assigned or AI-generated)'
     },
 
+    /**
+     * Contact Association
+     * Contact this voice belongs to, confirmed by the user or propagated from a matching voice
+     */
+    contact_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      },
+      comment: 'UUID of the contact this speaker was identified as'
+    },
+
+    /**
+     * Contact Confirmed
+     * Whether the user linked this speaker to the contact (false when propagated)
+     */
+    contact_confirmed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the user confirmed contact_id (false when it was propagated from a matching voice)'
+    },
+
     /**
      * Voice Fingerprint
      * JSON object containing voice characteristics for speaker identification
@@ -94,7 +119,9 @@ module.exports = (sequelize, DataTypes) => {
      *   avgWordLength: number,
      *   vocabularyDiversity: number,
      *   formality: "casual|formal|technical",
-     *   pace: "rushed|normal|detailed"
+     *   pace: "rushed|normal|detailed",
+     *   pitchHz: number,          // measured by diarization
+     *   embedding: [number]       // voice embedding from diarization (pitch, spectral shape)
      * }
      */
     voice_fingerprint: {
@@ -253,6 +280,10 @@ module.exports = (sequelize, DataTypes) => {
         fields: ['speaker_tag'],
         unique: true
       },
+      {
+        name: 'idx_speakers_contact_id',
+        fields: ['contact_id']
+      },
       {
         name: 'idx_speakers_status',
         fields: ['status']
@@ -284,6 +315,14 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'CASCADE',
       onUpdate: 'CASCADE'
     });
+
+    // Speaker may be identified as a Contact
+    Speaker.belongsTo(models.Contact, {
+      foreignKey: 'contact_id',
+      as: 'contact',
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
   };
 
   /**
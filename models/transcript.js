@@ -0,0 +1,79 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const Transcript = sequelize.define('Transcript', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'youtube-captions, whisper, google-speech or diarization'
+    },
+    language: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    segments: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Array of { start, end, text, speaker?, words? } in seconds; speaker is a Speaker speaker_tag'
+    },
+    duration: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true
+    }
+  }, {
+    tableName: 'transcripts',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_transcripts_content',
+        unique: true,
+        fields: ['content_id']
+      },
+      {
+        name: 'idx_transcripts_file',
+        unique: true,
+        fields: ['file_id']
+      }
+    ]
+  });
+
+  Transcript.associate = (models) => {
+    Transcript.belongsTo(models.User, { foreignKey: 'user_id' });
+    Transcript.belongsTo(models.Content, { foreignKey: 'content_id' });
+    Transcript.belongsTo(models.File, { foreignKey: 'file_id' });
+    Transcript.hasMany(models.TranscriptRevision, { foreignKey: 'transcript_id', as: 'revisions' });
+  };
+
+  return Transcript;
+};
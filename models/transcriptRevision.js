@@ -0,0 +1,63 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const TranscriptRevision = sequelize.define('TranscriptRevision', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    transcript_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'transcripts',
+        key: 'id'
+      }
+    },
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    change_type: {
+      type: DataTypes.ENUM('original', 'edit', 'restore', 'reanalysis'),
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    segments: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Transcript segments as of this revision'
+    }
+  }, {
+    tableName: 'transcript_revisions',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_transcript_revisions_number',
+        unique: true,
+        fields: ['transcript_id', 'revision_number']
+      }
+    ]
+  });
+
+  TranscriptRevision.associate = (models) => {
+    TranscriptRevision.belongsTo(models.User, { foreignKey: 'user_id' });
+    TranscriptRevision.belongsTo(models.Transcript, { foreignKey: 'transcript_id' });
+  };
+
+  return TranscriptRevision;
+};
@@ -115,6 +115,24 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true,
       comment: 'When MFA requirement was enforced'
+    },
+    reminder_email_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Email contact reminders in addition to showing them in the app'
+    },
+    reminder_lead_days: {
+      type: DataTypes.INTEGER,
+      defaultValue: 7,
+      allowNull: false,
+      comment: 'Days ahead that contact date reminders are created'
+    },
+    email_in_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: 'idx_users_email_in_token',
+      comment: 'Plus-address token for saving content by email; null when email-in is off'
     }
   }, {
     tableName: 'users',
@@ -133,8 +151,13 @@ module.exports = (sequelize, DataTypes) => {
     User.hasMany(models.Relationship, { foreignKey: 'user_id' });
     User.hasMany(models.ContactRelation, { foreignKey: 'user_id' });
     User.hasMany(models.ContentGroup, { foreignKey: 'user_id' });
+    User.hasMany(models.SmartCollection, { foreignKey: 'user_id', as: 'smartCollections' });
     User.hasMany(models.ContentRelation, { foreignKey: 'user_id' });
     User.hasMany(models.ShareLog, { foreignKey: 'user_id' });
+    User.hasMany(models.ContactReminder, { foreignKey: 'user_id', as: 'contactReminders' });
+    User.hasMany(models.EmailInMessage, { foreignKey: 'user_id', as: 'emailInMessages' });
+    User.hasMany(models.ShareLink, { foreignKey: 'user_id', as: 'shareLinks' });
+    User.hasMany(models.WebhookEndpoint, { foreignKey: 'user_id', as: 'webhookEndpoints' });
     User.hasMany(models.LoginAttempt, { foreignKey: 'user_id' });
     User.hasMany(models.ContactSubmission, { foreignKey: 'user_id', allowNull: true });
     User.hasMany(models.AdminSetting, { foreignKey: 'user_id' });
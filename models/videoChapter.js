@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const VideoChapter = sequelize.define('VideoChapter', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'content',
+        key: 'id'
+      }
+    },
+    file_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'files',
+        key: 'id'
+      }
+    },
+    thumbnail_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'thumbnails',
+        key: 'id'
+      },
+      comment: 'Representative frame (null when every frame of the shot was black, flat, blurry or a duplicate)'
+    },
+    chapter_index: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    start_seconds: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false
+    },
+    end_seconds: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false
+    },
+    scene_score: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      comment: 'ffmpeg scene score of the cut that starts the chapter (null for the first chapter)'
+    }
+  }, {
+    tableName: 'video_chapters',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_video_chapters_content',
+        fields: ['content_id', 'chapter_index']
+      },
+      {
+        name: 'idx_video_chapters_file',
+        fields: ['file_id', 'chapter_index']
+      }
+    ]
+  });
+
+  VideoChapter.associate = (models) => {
+    VideoChapter.belongsTo(models.User, { foreignKey: 'user_id' });
+    VideoChapter.belongsTo(models.Content, { foreignKey: 'content_id' });
+    VideoChapter.belongsTo(models.File, { foreignKey: 'file_id' });
+    VideoChapter.belongsTo(models.Thumbnail, { foreignKey: 'thumbnail_id', as: 'thumbnail' });
+  };
+
+  return VideoChapter;
+};
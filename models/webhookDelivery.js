@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    endpoint_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'webhook_endpoints',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    event: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    event_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      comment: 'Shared by every delivery (and redelivery) of the same event, for receiver de-duplication'
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Exact JSON body that is signed and sent'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'retrying', 'succeeded', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempt_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the retry loop should try again (retrying only)'
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    response_body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'First 2 KB of the last response'
+    },
+    error_message: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    redelivery_of_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      comment: 'Original delivery when sent with the manual redeliver button'
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['endpoint_id', 'createdAt']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  WebhookDelivery.associate = (models) => {
+    WebhookDelivery.belongsTo(models.WebhookEndpoint, { foreignKey: 'endpoint_id', as: 'endpoint' });
+    WebhookDelivery.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return WebhookDelivery;
+};
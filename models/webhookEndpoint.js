@@ -0,0 +1,90 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookEndpoint = sequelize.define('WebhookEndpoint', {
+    id: {
+      type: DataTypes.CHAR(36),
+      primaryKey: true,
+      defaultValue: () => uuidv4(),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Owner of the endpoint; events for this user are delivered'
+    },
+    api_key_id: {
+      type: DataTypes.CHAR(36),
+      allowNull: true,
+      references: {
+        model: 'api_keys',
+        key: 'id'
+      },
+      comment: 'When set, only events caused through this API key are delivered'
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+      comment: 'Receiver URL (POST)'
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'HMAC-SHA256 signing secret'
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: ['*'],
+      comment: 'Subscribed event names, or ["*"] for all'
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    consecutive_failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Deliveries that exhausted their retries in a row; the endpoint is disabled at the limit'
+    },
+    last_delivery_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_endpoints',
+    timestamps: true,
+    defaultScope: {
+      attributes: { exclude: ['secret'] }
+    },
+    scopes: {
+      withSecret: {}
+    },
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['api_key_id']
+      }
+    ]
+  });
+
+  WebhookEndpoint.associate = (models) => {
+    WebhookEndpoint.belongsTo(models.User, { foreignKey: 'user_id', as: 'owner' });
+    WebhookEndpoint.belongsTo(models.ApiKey, { foreignKey: 'api_key_id', as: 'apiKey' });
+    WebhookEndpoint.hasMany(models.WebhookDelivery, { foreignKey: 'endpoint_id', as: 'deliveries' });
+  };
+
+  return WebhookEndpoint;
+};
@@ -0,0 +1,258 @@
+/**
+ * API Explorer JavaScript
+ * Renders the /api/v1 OpenAPI document as a list of operations that can be
+ * tried with one of the user's API keys, and shows the ApiKeyUsage entry
+ * each call produced.
+ */
+
+const METHOD_COLORS = { GET: 'primary', POST: 'success', PATCH: 'warning', PUT: 'warning', DELETE: 'danger' };
+
+let explorerSpec = null;
+let explorerKeys = [];
+
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        const [specResponse, keysResponse] = await Promise.all([
+            fetch('/api/v1/openapi.json', { credentials: 'same-origin' }),
+            fetch('/api/keys', { credentials: 'same-origin' })
+        ]);
+        explorerSpec = await specResponse.json();
+        if (keysResponse.ok) {
+            explorerKeys = (await keysResponse.json()).data || [];
+        }
+    } catch (error) {
+        showExplorerAlert('danger', 'Failed to load the API description: ' + error.message);
+        return;
+    }
+
+    const select = document.getElementById('explorerKeySelect');
+    explorerKeys.forEach(key => {
+        const option = document.createElement('option');
+        option.value = key.id;
+        option.textContent = `${key.key_name} (${key.key_prefix}...)${key.enabled ? '' : ' - disabled'}`;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', markAllowedOperations);
+
+    renderOperations();
+    markAllowedOperations();
+});
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * Same rules as hasPermission() in middleware/apiKey.js:
+ * exact path or wildcard pattern
+ */
+function keyAllows(permissions, method, path) {
+    if (!permissions) return false;
+    return Object.entries(permissions).some(([scope, methods]) => {
+        const methodOk = methods.includes(method) || methods.includes('ALL');
+        if (!methodOk) return false;
+        if (scope.includes('*')) return new RegExp(scope.replace(/\*/g, '.*')).test(path);
+        return path === scope;
+    });
+}
+
+function renderOperations() {
+    const container = document.getElementById('explorerOperations');
+    const groups = {};
+    Object.entries(explorerSpec.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            const tag = operation.tags[0];
+            (groups[tag] = groups[tag] || []).push({ path, method: method.toUpperCase(), operation });
+        });
+    });
+
+    container.innerHTML = '';
+    Object.entries(groups).forEach(([tag, operations]) => {
+        const section = document.createElement('div');
+        section.className = 'mb-4';
+        section.innerHTML = `<h5>${escapeHtml(tag)}</h5><div class="list-group"></div>`;
+        const list = section.querySelector('.list-group');
+        operations.forEach((op, index) => list.appendChild(renderOperation(op, `${tag}-${index}`)));
+        container.appendChild(section);
+    });
+}
+
+function renderOperation({ path, method, operation }, uid) {
+    const item = document.createElement('div');
+    item.className = 'list-group-item explorer-operation';
+    item.setAttribute('data-method', method);
+    item.setAttribute('data-scope', operation['x-required-scope']);
+
+    const params = operation.parameters || [];
+    const bodySchema = operation.requestBody ? resolveSchema(operation.requestBody.content['application/json'].schema) : null;
+
+    item.innerHTML = `
+        <div class="d-flex align-items-center gap-2" role="button" data-bs-toggle="collapse" data-bs-target="#op-${uid}">
+            <span class="badge bg-${METHOD_COLORS[method] || 'secondary'} method-badge">${method}</span>
+            <span class="op-path">${escapeHtml(path)}</span>
+            <span class="text-muted small flex-grow-1">${escapeHtml(operation.summary)}</span>
+            <span class="badge scope-badge bg-light text-dark border" title="${escapeHtml(operation.description)}">${escapeHtml(operation['x-required-scope'])}</span>
+        </div>
+        <div class="collapse mt-3" id="op-${uid}">
+            <form class="explorer-form" novalidate>
+                <div class="row g-2 mb-2">
+                    ${params.map(param => `
+                        <div class="col-md-4">
+                            <label class="form-label small mb-0">${escapeHtml(param.name)} <span class="text-muted">(${param.in}${param.required ? ', required' : ''})</span></label>
+                            <input class="form-control form-control-sm" data-param-in="${param.in}" data-param-name="${escapeHtml(param.name)}" ${param.required ? 'required' : ''}>
+                        </div>`).join('')}
+                </div>
+                ${bodySchema ? `
+                    <label class="form-label small mb-0">JSON body</label>
+                    <textarea class="form-control form-control-sm font-monospace mb-2" rows="6" data-body>${escapeHtml(JSON.stringify(exampleFor(bodySchema), null, 2))}</textarea>` : ''}
+                <button type="submit" class="btn btn-sm btn-primary"><i class="bi bi-send"></i> Send</button>
+            </form>
+            <div class="explorer-result d-none mt-3">
+                <div class="small mb-1 result-status"></div>
+                <pre class="explorer-output result-body"></pre>
+                <div class="small fw-semibold mb-1">Usage entry</div>
+                <pre class="explorer-output result-usage">Waiting for the usage log...</pre>
+            </div>
+        </div>`;
+
+    item.querySelector('.explorer-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        sendOperation(item, path, method);
+    });
+    return item;
+}
+
+function resolveSchema(schema) {
+    if (schema && schema.$ref) {
+        return explorerSpec.components.schemas[schema.$ref.split('/').pop()];
+    }
+    return schema;
+}
+
+// Build a starter body from the schema's required fields and examples
+function exampleFor(schema) {
+    const example = {};
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (property.example !== undefined) example[name] = property.example;
+        else if ((schema.required || []).includes(name)) example[name] = property.type === 'array' ? [] : '';
+    });
+    return example;
+}
+
+function markAllowedOperations() {
+    const key = explorerKeys.find(k => k.id === document.getElementById('explorerKeySelect').value);
+    document.querySelectorAll('.explorer-operation').forEach(item => {
+        const badge = item.querySelector('.scope-badge');
+        if (!key) {
+            badge.className = 'badge scope-badge bg-light text-dark border';
+            return;
+        }
+        const allowed = keyAllows(key.permissions, item.getAttribute('data-method'), item.getAttribute('data-scope'));
+        badge.className = `badge scope-badge ${allowed ? 'bg-success' : 'bg-secondary'}`;
+        badge.innerHTML = `<i class="bi ${allowed ? 'bi-unlock' : 'bi-lock'}"></i> ${escapeHtml(item.getAttribute('data-scope'))}`;
+    });
+}
+
+async function sendOperation(item, path, method) {
+    const secret = document.getElementById('explorerKeySecret').value.trim();
+    if (!secret) {
+        showExplorerAlert('warning', 'Paste the value of an API key first.');
+        return;
+    }
+
+    let url = path;
+    const query = new URLSearchParams();
+    for (const input of item.querySelectorAll('[data-param-name]')) {
+        const value = input.value.trim();
+        if (input.getAttribute('data-param-in') === 'path') {
+            if (!value) {
+                showExplorerAlert('warning', `${input.getAttribute('data-param-name')} is required.`);
+                return;
+            }
+            url = url.replace(`{${input.getAttribute('data-param-name')}}`, encodeURIComponent(value));
+        } else if (value) {
+            query.set(input.getAttribute('data-param-name'), value);
+        }
+    }
+
+    const bodyInput = item.querySelector('[data-body]');
+    let body;
+    if (bodyInput) {
+        try {
+            body = JSON.stringify(JSON.parse(bodyInput.value || '{}'));
+        } catch (error) {
+            showExplorerAlert('warning', 'The JSON body is not valid: ' + error.message);
+            return;
+        }
+    }
+
+    const result = item.querySelector('.explorer-result');
+    result.classList.remove('d-none');
+    const started = performance.now();
+    const requestUrl = explorerSpec.servers[0].url + url + (query.toString() ? `?${query}` : '');
+
+    try {
+        const response = await fetch(requestUrl, {
+            method,
+            credentials: 'omit',
+            headers: { Authorization: `Bearer ${secret}`, Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            body
+        });
+        const data = await response.json().catch(() => null);
+        result.querySelector('.result-status').innerHTML =
+            `<span class="badge bg-${response.ok ? 'success' : 'danger'}">${response.status}</span> ${method} ${escapeHtml(requestUrl)} · ${Math.round(performance.now() - started)} ms`;
+        result.querySelector('.result-body').textContent = JSON.stringify(data, null, 2);
+        loadUsageEntry(result.querySelector('.result-usage'), data && data.meta ? data.meta.request_id : null);
+    } catch (error) {
+        result.querySelector('.result-status').textContent = 'Request failed: ' + error.message;
+        result.querySelector('.result-body').textContent = '';
+        result.querySelector('.result-usage').textContent = '';
+    }
+}
+
+/**
+ * Usage is logged just after the response is sent, so poll briefly
+ */
+async function loadUsageEntry(output, requestId, attempt = 0) {
+    if (!requestId) {
+        output.textContent = 'No request ID in the response.';
+        return;
+    }
+    const response = await fetch(`/api/keys/usage/requests/${encodeURIComponent(requestId)}`, { credentials: 'same-origin' });
+    if (response.ok) {
+        const { data } = await response.json();
+        output.textContent = JSON.stringify({
+            request_id: data.request_id,
+            api_key: data.apiKey ? `${data.apiKey.key_name} (${data.apiKey.key_prefix}...)` : null,
+            endpoint: data.endpoint,
+            method: data.method,
+            status_code: data.status_code,
+            response_time_ms: data.response_time_ms,
+            response_size_bytes: data.response_size_bytes,
+            rate_limited: data.rate_limited,
+            error_message: data.error_message,
+            logged_at: data.createdAt
+        }, null, 2);
+    } else if (attempt < 5) {
+        setTimeout(() => loadUsageEntry(output, requestId, attempt + 1), 500);
+    } else {
+        output.textContent = 'No usage entry for your keys. Requests rejected before the key was identified are logged without an owner.';
+    }
+}
+
+function showExplorerAlert(type, message) {
+    const container = document.getElementById('explorerAlert');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.setAttribute('data-bs-dismiss', 'alert');
+    alert.appendChild(close);
+    container.innerHTML = '';
+    container.appendChild(alert);
+}
@@ -246,7 +246,11 @@ async function createApiKey() {
     
     permissionCheckboxes.forEach(checkbox => {
         const [endpoint, methods] = checkbox.value.split(':');
-        permissions[endpoint] = methods.split(',');
+        // Read and write checkboxes share a scope, so merge their methods; sub-routes
+        // ("/api/v1/content/:id") are only granted through an explicit "<scope>/*" pattern
+        [endpoint, `${endpoint}/*`].forEach(scope => {
+            permissions[scope] = [...(permissions[scope] || []), ...methods.split(',')];
+        });
     });
     
     // Build request data
@@ -0,0 +1,206 @@
+/**
+ * Duplicate Contacts JavaScript
+ * Lists candidate pairs side by side, lets the user pick which contact to
+ * keep and which value to use where single fields differ, then merges or
+ * dismisses the pair.
+ */
+
+const DUPLICATE_FIELD_LABELS = {
+    name: 'Name',
+    nickname: 'Nickname',
+    organization: 'Organization',
+    job_title: 'Job title',
+    emails: 'Emails',
+    phones: 'Phones',
+    addresses: 'Addresses'
+};
+
+let duplicateScalarFields = [];
+
+document.addEventListener('DOMContentLoaded', function() {
+    const page = document.getElementById('duplicatesPage');
+    if (!page) return;
+
+    duplicateScalarFields = (page.getAttribute('data-scalar-fields') || '').split(',').filter(Boolean);
+    document.getElementById('duplicatesScanBtn').addEventListener('click', scanDuplicates);
+    document.getElementById('duplicatesList').addEventListener('click', handleDuplicateAction);
+    document.getElementById('duplicatesList').addEventListener('change', handleKeepChange);
+    loadDuplicates();
+});
+
+function escapeDuplicateHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showDuplicatesAlert(message, type) {
+    const alertEl = document.getElementById('duplicatesAlert');
+    alertEl.className = `alert alert-${type || 'danger'}` + (message ? '' : ' d-none');
+    alertEl.textContent = message || '';
+}
+
+function duplicateList(value) {
+    if (typeof value === 'string') {
+        try { value = JSON.parse(value); } catch (error) { return []; }
+    }
+    return Array.isArray(value) ? value.filter(item => item && item.value) : [];
+}
+
+async function postDuplicateJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify(body || {})
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function loadDuplicates() {
+    document.getElementById('duplicatesLoading').classList.remove('d-none');
+    try {
+        const response = await fetch('/contacts/duplicates/api', { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Could not load duplicates');
+        renderDuplicates(data.candidates.filter(c => c.Contact1 && c.Contact2));
+    } catch (error) {
+        showDuplicatesAlert(error.message);
+    } finally {
+        document.getElementById('duplicatesLoading').classList.add('d-none');
+    }
+}
+
+async function scanDuplicates() {
+    const button = document.getElementById('duplicatesScanBtn');
+    const spinner = document.getElementById('duplicatesScanSpinner');
+    button.disabled = true;
+    spinner.classList.remove('d-none');
+    try {
+        const result = await postDuplicateJson('/contacts/duplicates/scan');
+        showDuplicatesAlert(`Scan finished: ${result.pending} pair(s) to review, ${result.added} new.`, 'info');
+        await loadDuplicates();
+    } catch (error) {
+        showDuplicatesAlert(error.message);
+    } finally {
+        button.disabled = false;
+        spinner.classList.add('d-none');
+    }
+}
+
+function renderDuplicates(candidates) {
+    document.getElementById('duplicatesEmpty').classList.toggle('d-none', candidates.length > 0);
+    document.getElementById('duplicatesList').innerHTML = candidates.map(renderDuplicatePair).join('');
+}
+
+function renderDuplicatePair(candidate) {
+    const contacts = [candidate.Contact1, candidate.Contact2];
+    const score = Math.round(candidate.score * 100);
+    const badge = score >= 80 ? 'bg-danger' : score >= 65 ? 'bg-warning text-dark' : 'bg-secondary';
+    const reasons = (candidate.reasons || []).map(r => `<span class="badge bg-light text-dark border me-1">${escapeDuplicateHtml(r)}</span>`).join('');
+
+    // Single fields where both contacts have different values need a choice
+    const differing = duplicateScalarFields.filter(field =>
+        contacts[0][field] && contacts[1][field] && contacts[0][field] !== contacts[1][field]);
+
+    const columns = contacts.map((contact, index) => {
+        const scalarRows = duplicateScalarFields.filter(field => contact[field]).map(field => {
+            const value = escapeDuplicateHtml(contact[field]);
+            const control = differing.includes(field)
+                ? `<input class="form-check-input me-1" type="radio" name="field-${candidate.id}-${field}" value="${index}" ${index === 0 ? 'checked' : ''}>`
+                : '';
+            return `<div class="field-row"><span class="field-label">${DUPLICATE_FIELD_LABELS[field]}</span>${control}${value}</div>`;
+        }).join('');
+        const listRows = ['emails', 'phones', 'addresses'].map(field => {
+            const values = duplicateList(contact[field]).map(item => escapeDuplicateHtml(item.value));
+            return values.length
+                ? `<div class="field-row"><span class="field-label">${DUPLICATE_FIELD_LABELS[field]}</span>${values.join(', ')}</div>`
+                : '';
+        }).join('');
+
+        return `
+            <div class="col-md-6 mb-2">
+                <div class="contact-column ${index === 0 ? 'kept' : ''}" data-column="${index}">
+                    <div class="form-check mb-2">
+                        <input class="form-check-input keep-radio" type="radio" name="keep-${candidate.id}" id="keep-${candidate.id}-${index}" value="${index}" ${index === 0 ? 'checked' : ''}>
+                        <label class="form-check-label fw-semibold" for="keep-${candidate.id}-${index}">Keep this contact</label>
+                        <a href="/contacts/${contact.id}" target="_blank" class="ms-2 small">Open</a>
+                    </div>
+                    ${scalarRows}${listRows}
+                </div>
+            </div>`;
+    }).join('');
+
+    return `
+        <div class="duplicate-pair" data-candidate-id="${candidate.id}" data-contact-ids="${contacts[0].id},${contacts[1].id}" data-differing="${differing.join(',')}">
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <div><span class="badge ${badge} me-2">${score}% match</span>${reasons}</div>
+                <div>
+                    <button type="button" class="btn btn-sm btn-outline-secondary me-1" data-action="dismiss">
+                        <i class="fas fa-times me-1"></i>Not duplicates
+                    </button>
+                    <button type="button" class="btn btn-sm btn-success" data-action="merge">
+                        <i class="fas fa-compress-alt me-1"></i>Merge
+                    </button>
+                </div>
+            </div>
+            <div class="row">${columns}</div>
+            <p class="small text-muted mb-0">${differing.length ? 'Where single fields differ, choose the value to keep. ' : ''}Emails, phones, addresses and other lists are combined.</p>
+        </div>`;
+}
+
+function handleKeepChange(event) {
+    if (!event.target.classList.contains('keep-radio')) return;
+    const pair = event.target.closest('.duplicate-pair');
+    pair.querySelectorAll('.contact-column').forEach(column => {
+        column.classList.toggle('kept', column.getAttribute('data-column') === event.target.value);
+    });
+}
+
+async function handleDuplicateAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const pair = button.closest('.duplicate-pair');
+    const candidateId = pair.getAttribute('data-candidate-id');
+    const merging = button.getAttribute('data-action') === 'merge';
+    if (merging && !confirm('Merge these contacts? The other contact is deleted after its details, groups and relationships are moved over.')) return;
+    showDuplicatesAlert('');
+    button.disabled = true;
+
+    try {
+        if (merging) {
+            await mergeDuplicatePair(pair, candidateId);
+            // Other pairs with the deleted contact are gone too
+            await loadDuplicates();
+            return;
+        }
+        await postDuplicateJson(`/contacts/duplicates/${candidateId}/dismiss`);
+        pair.remove();
+        if (!document.querySelector('.duplicate-pair')) {
+            document.getElementById('duplicatesEmpty').classList.remove('d-none');
+        }
+    } catch (error) {
+        showDuplicatesAlert(error.message);
+        button.disabled = false;
+    }
+}
+
+async function mergeDuplicatePair(pair, candidateId) {
+    const ids = pair.getAttribute('data-contact-ids').split(',');
+    const keep = pair.querySelector(`input[name="keep-${candidateId}"]:checked`).value;
+    const primaryIndex = parseInt(keep, 10);
+    const choices = {};
+    pair.getAttribute('data-differing').split(',').filter(Boolean).forEach(field => {
+        const chosen = pair.querySelector(`input[name="field-${candidateId}-${field}"]:checked`);
+        choices[field] = chosen && parseInt(chosen.value, 10) !== primaryIndex ? 'duplicate' : 'primary';
+    });
+
+    await postDuplicateJson('/contacts/duplicates/merge', {
+        primary_id: ids[primaryIndex],
+        duplicate_id: ids[1 - primaryIndex],
+        choices
+    });
+    showDuplicatesAlert('Contacts merged.', 'success');
+}
@@ -190,6 +190,38 @@ document.addEventListener('DOMContentLoaded', function() {
       handleCustomLabel(select, 'note');
     });
   }
+  // Date fields
+  const datesList = document.getElementById('dates-list');
+  const addDateBtn = document.getElementById('add-date');
+  if (addDateBtn && datesList) {
+    addDateBtn.onclick = function() {
+      const idx = getNextIndex(datesList, 'date-row');
+      const row = document.createElement('div');
+      row.className = 'input-group mb-2 date-row';
+      row.innerHTML = `
+        <select class="form-select form-select-sm" name="dates[${idx}][label]" style="max-width: 130px;">
+          <option value="birthday">Birthday</option>
+          <option value="anniversary">Anniversary</option>
+          <option value="other">Other</option>
+          <option value="__custom__">Other...</option>
+        </select>
+        <input type="text" class="form-control" name="dates[${idx}][value]" placeholder="YYYY-MM-DD" pattern="(\\d{4}|--)-?\\d{2}-?\\d{2}.*">
+        <button type="button" class="btn btn-outline-danger remove-date">–</button>
+      `;
+      datesList.appendChild(row);
+      row.querySelector('.remove-date').onclick = function() { row.remove(); };
+      handleCustomLabel(row.querySelector('select'), 'date');
+    };
+    datesList.querySelectorAll('.remove-date').forEach(btn => {
+      btn.disabled = datesList.querySelectorAll('.date-row').length <= 1 ? true : false;
+      btn.onclick = function() {
+        if (datesList.querySelectorAll('.date-row').length > 1) btn.closest('.date-row').remove();
+      };
+    });
+    datesList.querySelectorAll('select').forEach(function(select) {
+      handleCustomLabel(select, 'date');
+    });
+  }
   // Social fields
   const socialsList = document.getElementById('socials-list');
   const addSocialBtn = document.getElementById('add-social');
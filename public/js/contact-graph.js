@@ -0,0 +1,319 @@
+/**
+ * Contact Relationship Graph JavaScript
+ * Draws the contacts around the current contact as an SVG graph (simple
+ * force layout, draggable nodes) and finds the shortest chain of
+ * relationships to another contact.
+ */
+
+const GRAPH_COLORS = {
+    family: '#0d6efd',
+    professional: '#198754',
+    social: '#fd7e14',
+    other: '#6c757d'
+};
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const ContactGraphView = {
+    contactId: null,
+    nodes: [],
+    links: [],
+    names: {},
+    elements: null
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const card = document.getElementById('contactGraphCard');
+    if (!card) return;
+
+    ContactGraphView.contactId = card.getAttribute('data-contact-id');
+    document.getElementById('contactGraphDepth').addEventListener('change', loadContactGraph);
+    document.getElementById('contactPathForm').addEventListener('submit', findContactPath);
+    loadContactGraph();
+    loadPathTargets();
+});
+
+function escapeGraphHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showGraphMessage(message) {
+    document.getElementById('contactGraphCanvas').innerHTML =
+        `<div class="text-center py-5 text-muted small">${escapeGraphHtml(message)}</div>`;
+}
+
+async function loadContactGraph() {
+    const depth = document.getElementById('contactGraphDepth').value;
+    try {
+        const response = await fetch(`/contacts/${ContactGraphView.contactId}/graph?depth=${depth}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load graph');
+
+        data.nodes.forEach(node => { ContactGraphView.names[node.id] = node.name; });
+        if (data.nodes.length < 2) {
+            showGraphMessage('No relationships yet. Add one in the Relationships section above.');
+            return;
+        }
+        prepareGraph(data);
+        layoutGraph();
+        renderGraph();
+    } catch (error) {
+        console.error('Error loading relationship graph:', error);
+        showGraphMessage('Failed to load the relationship graph');
+    }
+}
+
+// One link per pair of contacts; stored edges give the labels, inferred ones only fill gaps
+function prepareGraph(data) {
+    const canvas = document.getElementById('contactGraphCanvas');
+    const width = canvas.clientWidth || 600;
+    const height = canvas.clientHeight || 420;
+
+    ContactGraphView.nodes = data.nodes.map((node, index) => {
+        const angle = (2 * Math.PI * index) / data.nodes.length;
+        const radius = node.depth * 90;
+        return {
+            ...node,
+            x: width / 2 + radius * Math.cos(angle),
+            y: height / 2 + radius * Math.sin(angle),
+            fixed: node.id === data.center
+        };
+    });
+
+    const pairs = new Map();
+    data.edges.slice().sort((a, b) => a.inferred - b.inferred).forEach(edge => {
+        const key = [edge.source, edge.target].sort().join('|');
+        if (!pairs.has(key)) pairs.set(key, { source: edge.source, target: edge.target, category: edge.category, edges: [] });
+        const pair = pairs.get(key);
+        if (!edge.inferred || !pair.edges.length) pair.edges.push(edge);
+    });
+    ContactGraphView.links = Array.from(pairs.values());
+    ContactGraphView.size = { width, height };
+}
+
+// Repulsion between all nodes, springs along links, pull toward the middle
+function layoutGraph() {
+    const { nodes, links, size } = ContactGraphView;
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const spring = 110;
+
+    for (let iteration = 0; iteration < 300; iteration++) {
+        const cooling = 1 - iteration / 300;
+        nodes.forEach(node => { node.dx = 0; node.dy = 0; });
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y || 0.01;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+                const force = (spring * spring) / distance / distance;
+                a.dx += dx * force; a.dy += dy * force;
+                b.dx -= dx * force; b.dy -= dy * force;
+            }
+        }
+        links.forEach(link => {
+            const a = byId.get(link.source);
+            const b = byId.get(link.target);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+            const force = (distance - spring) / distance * 0.5;
+            a.dx += dx * force; a.dy += dy * force;
+            b.dx -= dx * force; b.dy -= dy * force;
+        });
+
+        nodes.forEach(node => {
+            if (node.fixed) return;
+            node.dx += (size.width / 2 - node.x) * 0.02;
+            node.dy += (size.height / 2 - node.y) * 0.02;
+            const step = Math.min(Math.sqrt(node.dx * node.dx + node.dy * node.dy), 20 * cooling + 1);
+            const length = Math.sqrt(node.dx * node.dx + node.dy * node.dy) || 1;
+            node.x = Math.min(Math.max(node.x + node.dx / length * step, 40), size.width - 40);
+            node.y = Math.min(Math.max(node.y + node.dy / length * step, 30), size.height - 30);
+        });
+    }
+}
+
+function svgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes || {}).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+function linkLabel(link) {
+    return link.edges.map(edge => edge.type).join(', ');
+}
+
+function linkTitle(link) {
+    return link.edges
+        .map(edge => `${ContactGraphView.names[edge.source]} is ${edge.type} of ${ContactGraphView.names[edge.target]}`)
+        .join('\n');
+}
+
+function renderGraph() {
+    const canvas = document.getElementById('contactGraphCanvas');
+    const { nodes, links, size } = ContactGraphView;
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const svg = svgElement('svg', { width: '100%', height: '100%', viewBox: `0 0 ${size.width} ${size.height}` });
+    const linkLayer = svgElement('g');
+    const nodeLayer = svgElement('g');
+    svg.appendChild(linkLayer);
+    svg.appendChild(nodeLayer);
+
+    const elements = { links: [], nodes: new Map() };
+    links.forEach(link => {
+        const color = GRAPH_COLORS[link.category] || GRAPH_COLORS.other;
+        const group = svgElement('g');
+        const line = svgElement('line', { stroke: color, 'stroke-width': 2 });
+        const label = svgElement('text', { 'font-size': 11, fill: color, 'text-anchor': 'middle' });
+        const title = svgElement('title');
+        label.textContent = linkLabel(link);
+        title.textContent = linkTitle(link);
+        group.appendChild(line);
+        group.appendChild(label);
+        group.appendChild(title);
+        linkLayer.appendChild(group);
+        elements.links.push({ link, line, label });
+    });
+
+    nodes.forEach(node => {
+        const group = svgElement('g', { cursor: 'pointer' });
+        const circle = svgElement('circle', {
+            r: node.fixed ? 14 : 10,
+            fill: node.fixed ? '#198754' : '#ffffff',
+            stroke: '#198754',
+            'stroke-width': 2
+        });
+        const label = svgElement('text', { 'font-size': 12, 'text-anchor': 'middle', dy: node.fixed ? 30 : 25 });
+        const title = svgElement('title');
+        label.textContent = node.name;
+        title.textContent = node.organization ? `${node.name} (${node.organization})` : node.name;
+        group.appendChild(circle);
+        group.appendChild(label);
+        group.appendChild(title);
+        nodeLayer.appendChild(group);
+        elements.nodes.set(node.id, { group, circle });
+        enableNodeDrag(svg, group, node);
+    });
+
+    ContactGraphView.elements = elements;
+    ContactGraphView.byId = byId;
+    canvas.innerHTML = '';
+    canvas.appendChild(svg);
+    updateGraphPositions();
+}
+
+function updateGraphPositions() {
+    const { elements, byId } = ContactGraphView;
+    elements.links.forEach(({ link, line, label }) => {
+        const a = byId.get(link.source);
+        const b = byId.get(link.target);
+        line.setAttribute('x1', a.x); line.setAttribute('y1', a.y);
+        line.setAttribute('x2', b.x); line.setAttribute('y2', b.y);
+        label.setAttribute('x', (a.x + b.x) / 2);
+        label.setAttribute('y', (a.y + b.y) / 2 - 4);
+    });
+    elements.nodes.forEach(({ group }, id) => {
+        const node = byId.get(id);
+        group.setAttribute('transform', `translate(${node.x},${node.y})`);
+    });
+}
+
+// Dragging moves a node; a click without movement opens the contact
+function enableNodeDrag(svg, group, node) {
+    group.addEventListener('pointerdown', function(event) {
+        const matrix = svg.getScreenCTM().inverse();
+        const start = { x: event.clientX, y: event.clientY };
+        let moved = false;
+        group.setPointerCapture(event.pointerId);
+
+        const onMove = (moveEvent) => {
+            if (Math.abs(moveEvent.clientX - start.x) + Math.abs(moveEvent.clientY - start.y) > 3) moved = true;
+            const point = new DOMPoint(moveEvent.clientX, moveEvent.clientY).matrixTransform(matrix);
+            node.x = point.x;
+            node.y = point.y;
+            updateGraphPositions();
+        };
+        const onUp = () => {
+            group.removeEventListener('pointermove', onMove);
+            group.removeEventListener('pointerup', onUp);
+            if (!moved && node.id !== ContactGraphView.contactId) window.location.href = `/contacts/${node.id}`;
+        };
+        group.addEventListener('pointermove', onMove);
+        group.addEventListener('pointerup', onUp);
+    });
+}
+
+async function loadPathTargets() {
+    const select = document.getElementById('contactPathTarget');
+    try {
+        const response = await fetch('/contacts/graph', { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load contacts');
+
+        const targets = data.nodes.filter(node => node.id !== ContactGraphView.contactId);
+        data.nodes.forEach(node => { ContactGraphView.names[node.id] = node.name; });
+        if (!targets.length) {
+            select.innerHTML = '<option value="">No related contacts yet</option>';
+            select.disabled = true;
+            return;
+        }
+        targets.forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.id;
+            option.textContent = node.organization ? `${node.name} (${node.organization})` : node.name;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading related contacts:', error);
+        select.disabled = true;
+    }
+}
+
+async function findContactPath(event) {
+    event.preventDefault();
+    const target = document.getElementById('contactPathTarget').value;
+    const result = document.getElementById('contactPathResult');
+    if (!target) return;
+
+    try {
+        const params = new URLSearchParams({ from: ContactGraphView.contactId, to: target });
+        const response = await fetch(`/contacts/graph/path?${params}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to find a connection');
+
+        highlightPath(data.steps);
+        if (!data.connected) {
+            result.innerHTML = `<div class="alert alert-secondary py-2 small mb-0">No chain of relationships connects them to ${escapeGraphHtml(data.contacts[target].name)}.</div>`;
+            return;
+        }
+        const items = data.steps.map(step => `
+            <li>
+                <a href="/contacts/${step.from}" class="text-decoration-none">${escapeGraphHtml(data.contacts[step.from].name)}</a>
+                is <span class="badge bg-success">${escapeGraphHtml(step.type)}</span> of
+                <a href="/contacts/${step.to}" class="text-decoration-none">${escapeGraphHtml(data.contacts[step.to].name)}</a>
+                ${step.inferred ? '<small class="text-muted">(inferred)</small>' : ''}
+            </li>`).join('');
+        result.innerHTML = `
+            <div class="small text-muted mb-1">${data.steps.length} step${data.steps.length === 1 ? '' : 's'}:</div>
+            <ol class="small mb-0">${items}</ol>`;
+    } catch (error) {
+        console.error('Error finding connection:', error);
+        result.innerHTML = `<div class="alert alert-danger py-2 small mb-0">${escapeGraphHtml(error.message)}</div>`;
+    }
+}
+
+// Emphasize the path's links in the drawn graph (only those within the current depth are visible)
+function highlightPath(steps) {
+    const elements = ContactGraphView.elements;
+    if (!elements) return;
+    const onPath = new Set(steps.map(step => [step.from, step.to].sort().join('|')));
+    elements.links.forEach(({ link, line }) => {
+        const highlighted = onPath.has([link.source, link.target].sort().join('|'));
+        line.setAttribute('stroke-width', highlighted ? 5 : 2);
+        line.setAttribute('opacity', onPath.size && !highlighted ? 0.35 : 1);
+    });
+}
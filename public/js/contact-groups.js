@@ -167,7 +167,10 @@ function renderContactGroupsUI() {
                     <div class="card h-100">
                         <div class="card-body">
                             <div class="d-flex justify-content-between align-items-start mb-3">
-                                <h5 class="card-title">${escapeHtml(group.name)}</h5>
+                                <h5 class="card-title">
+                                    ${escapeHtml(group.name)}
+                                    ${group.carddav_enabled ? '<span class="badge bg-info text-dark ms-1" title="Synced as its own CardDAV address book">CardDAV</span>' : ''}
+                                </h5>
                                 <div class="dropdown">
                                     <button class="btn btn-sm btn-outline-secondary" data-bs-toggle="dropdown">
                                         <i class="fas fa-ellipsis-v"></i>
@@ -179,6 +182,12 @@ function renderContactGroupsUI() {
                                         <li><button class="dropdown-item" onclick="manageGroupMembers('${group.id}')">
                                             <i class="fas fa-users me-2"></i>Manage Members
                                         </button></li>
+                                        <li><a class="dropdown-item" href="/contacts/export?format=vcard&group_id=${group.id}">
+                                            <i class="fas fa-address-card me-2"></i>Export as vCard
+                                        </a></li>
+                                        <li><a class="dropdown-item" href="/contacts/export?format=csv&group_id=${group.id}">
+                                            <i class="fas fa-file-csv me-2"></i>Export as CSV
+                                        </a></li>
                                         <li><hr class="dropdown-divider"></li>
                                         <li><button class="dropdown-item text-danger" onclick="deleteGroup('${group.id}')">
                                             <i class="fas fa-trash me-2"></i>Delete
@@ -318,6 +327,11 @@ function editGroup(groupId) {
                                 <label for="editGroupName" class="form-label">Group Name *</label>
                                 <input type="text" class="form-control" id="editGroupName" value="${escapeHtml(group.name)}" required>
                             </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="editGroupCardDav" ${group.carddav_enabled ? 'checked' : ''}>
+                                <label class="form-check-label" for="editGroupCardDav">Sync as its own CardDAV address book</label>
+                                <div class="form-text">Phones and desktop address books connected over CardDAV show this group as a separate address book.</div>
+                            </div>
                         </form>
                     </div>
                     <div class="modal-footer">
@@ -344,6 +358,7 @@ function editGroup(groupId) {
 // Update a group
 async function updateGroup(groupId) {
     const groupName = document.getElementById('editGroupName').value.trim();
+    const carddavEnabled = document.getElementById('editGroupCardDav').checked;
     
     if (!groupName) {
         showError('Group name is required');
@@ -359,7 +374,7 @@ async function updateGroup(groupId) {
                 'Accept': 'application/json',
                 'X-Requested-With': 'XMLHttpRequest'
             },
-            body: JSON.stringify({ name: groupName })
+            body: JSON.stringify({ name: groupName, carddav_enabled: carddavEnabled })
         });
 
         const data = await response.json();
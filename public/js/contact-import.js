@@ -0,0 +1,190 @@
+/**
+ * Contact Import JavaScript
+ * Uploads a vCard or CSV file for preview, lets the user adjust the CSV
+ * column mapping, then imports and lists the rows that were not imported.
+ */
+
+const CONTACT_FIELD_LABELS = {
+    '': '(ignore)',
+    name: 'Full name',
+    first_name: 'First name',
+    middle_name: 'Middle name',
+    last_name: 'Last name',
+    nickname: 'Nickname',
+    organization: 'Organization',
+    job_title: 'Job title',
+    email: 'Email',
+    phone: 'Phone',
+    address: 'Address',
+    url: 'Website',
+    social_profile: 'Social profile',
+    instant_message: 'Instant message',
+    date: 'Date',
+    birthday: 'Birthday',
+    anniversary: 'Anniversary',
+    note: 'Note',
+    label: 'Label for value column'
+};
+
+const MULTI_VALUE_FIELDS = ['email', 'phone', 'address', 'url', 'social_profile', 'instant_message', 'date', 'note'];
+
+document.addEventListener('DOMContentLoaded', function() {
+    const modal = document.getElementById('contactImportModal');
+    if (!modal) return;
+
+    modal.addEventListener('show.bs.modal', resetContactImport);
+    document.getElementById('contactImportFile').addEventListener('change', resetContactImportSteps);
+    document.getElementById('contactImportPreviewBtn').addEventListener('click', previewContactImport);
+    document.getElementById('contactImportRunBtn').addEventListener('click', runContactImport);
+    modal.addEventListener('hidden.bs.modal', function() {
+        if (modal.getAttribute('data-imported') === 'true') window.location.reload();
+    });
+});
+
+function escapeContactImportHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showContactImportError(message) {
+    const errorEl = document.getElementById('contactImportError');
+    errorEl.textContent = message;
+    errorEl.classList.toggle('d-none', !message);
+}
+
+function resetContactImport() {
+    document.getElementById('contactImportFile').value = '';
+    document.getElementById('contactImportModal').removeAttribute('data-imported');
+    resetContactImportSteps();
+}
+
+function resetContactImportSteps() {
+    showContactImportError('');
+    document.getElementById('contactImportStepFile').classList.remove('d-none');
+    document.getElementById('contactImportStepPreview').classList.add('d-none');
+    document.getElementById('contactImportStepResult').classList.add('d-none');
+    document.getElementById('contactImportPreviewBtn').classList.remove('d-none');
+    document.getElementById('contactImportRunBtn').classList.add('d-none');
+}
+
+async function postContactFile(url, extra) {
+    const file = document.getElementById('contactImportFile').files[0];
+    if (!file) throw new Error('Choose a file first');
+
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(extra || {}).forEach(([key, value]) => formData.append(key, value));
+
+    const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+        body: formData
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.message || data.error || 'Request failed');
+    return data;
+}
+
+async function previewContactImport() {
+    showContactImportError('');
+    try {
+        const preview = await postContactFile('/contacts/import/preview');
+        document.getElementById('contactImportStepPreview').classList.remove('d-none');
+        document.getElementById('contactImportPreviewBtn').classList.add('d-none');
+        document.getElementById('contactImportRunBtn').classList.remove('d-none');
+
+        const summary = document.getElementById('contactImportSummary');
+        const names = document.getElementById('contactImportVcardNames');
+        const mapping = document.getElementById('contactImportMapping');
+
+        if (preview.format === 'vcard') {
+            summary.textContent = `${preview.total} vCard${preview.total === 1 ? '' : 's'} found` +
+                (preview.invalid ? `, ${preview.invalid} without a name` : '') + '.';
+            names.textContent = `First contacts: ${preview.names.join(', ')}${preview.total > preview.names.length ? ', …' : ''}`;
+            names.classList.remove('d-none');
+            mapping.classList.add('d-none');
+        } else {
+            summary.textContent = `${preview.total} row${preview.total === 1 ? '' : 's'} found in the CSV file.`;
+            names.classList.add('d-none');
+            mapping.classList.remove('d-none');
+            renderContactMapping(preview);
+        }
+    } catch (error) {
+        showContactImportError(error.message);
+    }
+}
+
+function renderContactMapping(preview) {
+    const tbody = document.getElementById('contactImportMappingRows');
+    const options = ['', ...preview.fields];
+    tbody.innerHTML = preview.mapping.map(m => {
+        const example = (preview.sample.find(row => row[m.column] && row[m.column].trim()) || [])[m.column] || '';
+        const select = options.map(field =>
+            `<option value="${field}" ${field === m.field ? 'selected' : ''}>${escapeContactImportHtml(CONTACT_FIELD_LABELS[field] || field)}</option>`
+        ).join('');
+        return `
+            <tr data-column="${m.column}">
+                <td class="small fw-semibold">${escapeContactImportHtml(m.header || `Column ${m.column + 1}`)}</td>
+                <td class="small text-muted text-truncate" style="max-width: 180px;">${escapeContactImportHtml(example)}</td>
+                <td><select class="form-select form-select-sm contact-map-field">${select}</select></td>
+                <td><input type="text" class="form-control form-control-sm contact-map-label" maxlength="50"
+                    value="${escapeContactImportHtml(m.label)}" placeholder="home, work…"></td>
+            </tr>
+        `;
+    }).join('');
+
+    const syncLabel = row => {
+        const field = row.querySelector('.contact-map-field').value;
+        row.querySelector('.contact-map-label').disabled = !MULTI_VALUE_FIELDS.includes(field);
+    };
+    tbody.querySelectorAll('tr').forEach(row => {
+        syncLabel(row);
+        row.querySelector('.contact-map-field').addEventListener('change', () => syncLabel(row));
+    });
+}
+
+function readContactMapping() {
+    return Array.from(document.querySelectorAll('#contactImportMappingRows tr')).map(row => ({
+        column: parseInt(row.getAttribute('data-column'), 10),
+        field: row.querySelector('.contact-map-field').value,
+        label: row.querySelector('.contact-map-label').disabled ? '' : row.querySelector('.contact-map-label').value.trim()
+    }));
+}
+
+async function runContactImport() {
+    showContactImportError('');
+    const runBtn = document.getElementById('contactImportRunBtn');
+    const spinner = document.getElementById('contactImportSpinner');
+    runBtn.disabled = true;
+    spinner.classList.remove('d-none');
+
+    try {
+        const mappingVisible = !document.getElementById('contactImportMapping').classList.contains('d-none');
+        const result = await postContactFile('/contacts/import', mappingVisible ? { mapping: JSON.stringify(readContactMapping()) } : {});
+
+        document.getElementById('contactImportModal').setAttribute('data-imported', result.created > 0 ? 'true' : 'false');
+        document.getElementById('contactImportStepFile').classList.add('d-none');
+        document.getElementById('contactImportStepPreview').classList.add('d-none');
+        document.getElementById('contactImportStepResult').classList.remove('d-none');
+        runBtn.classList.add('d-none');
+
+        document.getElementById('contactImportResultSummary').textContent =
+            `Imported ${result.created} of ${result.total} contact${result.total === 1 ? '' : 's'}.`;
+        const errorsBox = document.getElementById('contactImportErrors');
+        errorsBox.classList.toggle('d-none', result.errors.length === 0);
+        document.getElementById('contactImportErrorRows').innerHTML = result.errors.map(e => `
+            <tr>
+                <td>${e.row}</td>
+                <td>${escapeContactImportHtml(e.name)}</td>
+                <td>${escapeContactImportHtml(e.error)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        showContactImportError(error.message);
+    } finally {
+        runBtn.disabled = false;
+        spinner.classList.add('d-none');
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Contact Keep-in-Touch JavaScript
+ * Sets a contact's keep-in-touch cadence on the detail page, shows the last
+ * interaction and when the contact is due, and records interactions.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const card = document.getElementById('keepInTouchCard');
+    if (!card) return;
+
+    const contactId = card.getAttribute('data-contact-id');
+    document.getElementById('keepInTouchWeeks').addEventListener('change', event => saveKeepInTouch(contactId, event.target.value));
+    document.getElementById('markContactedBtn').addEventListener('click', () => markContacted(contactId));
+    loadKeepInTouch(contactId);
+});
+
+function formatKeepInTouchDate(value) {
+    return new Date(value).toLocaleDateString();
+}
+
+function renderKeepInTouch(data) {
+    const select = document.getElementById('keepInTouchWeeks');
+    const status = document.getElementById('keepInTouchStatus');
+    const weeks = data.weeks ? String(data.weeks) : '';
+    if (weeks && !select.querySelector(`option[value="${weeks}"]`)) {
+        const option = document.createElement('option');
+        option.value = weeks;
+        option.textContent = `Every ${weeks} weeks`;
+        select.appendChild(option);
+    }
+    select.value = weeks;
+
+    const last = data.last_interaction
+        ? `Last interaction: ${formatKeepInTouchDate(data.last_interaction)}.`
+        : 'No interactions recorded yet.';
+    let due = '';
+    if (data.weeks && data.due_date) {
+        if (data.days < 0) due = ` <span class="text-danger">Overdue by ${-data.days} day${data.days === -1 ? '' : 's'}.</span>`;
+        else if (data.days === 0) due = ' <span class="text-warning">Due today.</span>';
+        else due = ` Next due ${formatKeepInTouchDate(`${data.due_date}T00:00:00`)}.`;
+    }
+    status.innerHTML = last + due;
+}
+
+async function keepInTouchRequest(url, options) {
+    const response = await fetch(url, { credentials: 'include', ...options });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function loadKeepInTouch(contactId) {
+    try {
+        renderKeepInTouch(await keepInTouchRequest(`/contacts/${contactId}/keep-in-touch`));
+    } catch (error) {
+        console.error('Error loading keep-in-touch status:', error);
+        document.getElementById('keepInTouchStatus').textContent = 'Failed to load keep-in-touch status';
+    }
+}
+
+async function saveKeepInTouch(contactId, weeks) {
+    try {
+        renderKeepInTouch(await keepInTouchRequest(`/contacts/${contactId}/keep-in-touch`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ weeks: weeks ? parseInt(weeks, 10) : null })
+        }));
+    } catch (error) {
+        console.error('Error saving keep-in-touch cadence:', error);
+        alert(error.message);
+    }
+}
+
+async function markContacted(contactId) {
+    const button = document.getElementById('markContactedBtn');
+    button.disabled = true;
+    try {
+        renderKeepInTouch(await keepInTouchRequest(`/contacts/${contactId}/contacted`, { method: 'POST' }));
+    } catch (error) {
+        console.error('Error recording interaction:', error);
+        alert(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Contact Reminders Dashboard Widget
+ * Shows new reminders (dismissable), birthdays and anniversaries in the
+ * next 30 days and contacts due for keep-in-touch, plus reminder settings.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const widget = document.getElementById('contactRemindersWidget');
+    if (!widget) return;
+
+    document.getElementById('reminderSettings').addEventListener('submit', saveReminderSettings);
+    document.getElementById('reminderNotifications').addEventListener('click', handleReminderDismiss);
+    loadReminders();
+});
+
+function escapeReminderHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function reminderLabel(kind, label) {
+    if (kind === 'keep_in_touch') return 'Keep in touch';
+    const text = kind === 'date' ? label : kind;
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function reminderWhen(days) {
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    if (days < 0) return `${-days} day${days === -1 ? '' : 's'} overdue`;
+    return `in ${days} days`;
+}
+
+function contactLink(contact) {
+    return contact
+        ? `<a href="/contacts/${contact.id}" class="text-decoration-none">${escapeReminderHtml(contact.name || 'Unnamed contact')}</a>`
+        : '<span class="text-muted">Deleted contact</span>';
+}
+
+async function loadReminders() {
+    try {
+        const response = await fetch('/contacts/reminders', { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load reminders');
+        renderReminders(data);
+    } catch (error) {
+        console.error('Error loading reminders:', error);
+        document.getElementById('reminderUpcoming').innerHTML = '<li class="list-group-item text-danger small">Failed to load reminders</li>';
+        document.getElementById('reminderDue').innerHTML = '';
+    }
+}
+
+function renderReminders(data) {
+    const count = document.getElementById('reminderNotificationCount');
+    count.textContent = data.notifications.length;
+    count.classList.toggle('d-none', data.notifications.length === 0);
+
+    document.getElementById('reminderNotifications').innerHTML = data.notifications.map(reminder => `
+        <div class="alert alert-info d-flex justify-content-between align-items-center py-2 mb-2">
+            <span>
+                <i class="fas fa-bell me-1"></i>${contactLink(reminder.contact)}:
+                ${escapeReminderHtml(reminderLabel(reminder.kind, reminder.label))}
+                <small class="text-muted">(${escapeReminderHtml(reminder.due_date)})</small>
+            </span>
+            <button type="button" class="btn-close" data-dismiss-reminder="${reminder.id}" aria-label="Dismiss"></button>
+        </div>`).join('');
+
+    document.getElementById('reminderUpcoming').innerHTML = data.upcoming.length
+        ? data.upcoming.map(item => `
+            <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+                <span>${contactLink(item.contact)}
+                    <small class="text-muted d-block">${escapeReminderHtml(reminderLabel(item.kind, item.label))}${item.years ? ` (${item.years})` : ''}</small>
+                </span>
+                <span class="badge ${item.days <= 1 ? 'bg-warning text-dark' : 'bg-light text-dark'}">${reminderWhen(item.days)}</span>
+            </li>`).join('')
+        : '<li class="list-group-item text-muted small px-0">No birthdays or anniversaries in the next 30 days</li>';
+
+    document.getElementById('reminderDue').innerHTML = data.due.length
+        ? data.due.map(item => `
+            <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+                <span>${contactLink(item.contact)}
+                    <small class="text-muted d-block">Every ${item.weeks} week${item.weeks === 1 ? '' : 's'}${item.last_interaction ? `, last ${new Date(item.last_interaction).toLocaleDateString()}` : ''}</small>
+                </span>
+                <span class="badge ${item.days < 0 ? 'bg-danger' : 'bg-light text-dark'}">${reminderWhen(item.days)}</span>
+            </li>`).join('')
+        : '<li class="list-group-item text-muted small px-0">Nobody is due. Set a cadence on a contact\'s page.</li>';
+
+    document.getElementById('reminderEmailEnabled').checked = data.settings.email_enabled;
+    document.getElementById('reminderLeadDays').value = data.settings.lead_days;
+}
+
+async function handleReminderDismiss(event) {
+    const button = event.target.closest('[data-dismiss-reminder]');
+    if (!button) return;
+    try {
+        const response = await fetch(`/contacts/reminders/${button.getAttribute('data-dismiss-reminder')}/dismiss`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to dismiss reminder');
+        loadReminders();
+    } catch (error) {
+        console.error('Error dismissing reminder:', error);
+        alert(error.message);
+    }
+}
+
+async function saveReminderSettings(event) {
+    event.preventDefault();
+    try {
+        const response = await fetch('/contacts/reminders/settings', {
+            method: 'PUT',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email_enabled: document.getElementById('reminderEmailEnabled').checked,
+                lead_days: parseInt(document.getElementById('reminderLeadDays').value, 10)
+            })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to save settings');
+        bootstrap.Collapse.getOrCreateInstance(document.getElementById('reminderSettings')).hide();
+        loadReminders();
+    } catch (error) {
+        console.error('Error saving reminder settings:', error);
+        alert(error.message);
+    }
+}
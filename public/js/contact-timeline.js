@@ -0,0 +1,115 @@
+/**
+ * Contact Timeline JavaScript
+ * Shows a contact's activity (shares, mentions, appearances in media and
+ * edits) on the detail page, filtered by type and date range.
+ */
+
+const CONTACT_TIMELINE_ICONS = {
+    share: 'fa-share-alt text-primary',
+    mention: 'fa-quote-right text-warning',
+    appearance: 'fa-user-check text-success',
+    edit: 'fa-pen text-secondary'
+};
+
+const contactTimelineState = { contactId: null, page: 1 };
+
+document.addEventListener('DOMContentLoaded', function() {
+    const card = document.getElementById('contactTimelineCard');
+    if (!card) return;
+
+    contactTimelineState.contactId = card.getAttribute('data-contact-id');
+    document.getElementById('contactTimelineFilters').addEventListener('change', () => loadContactTimeline(1));
+    document.getElementById('contactTimelineFilters').addEventListener('submit', event => event.preventDefault());
+    document.getElementById('contactTimelineMore').addEventListener('click', () => loadContactTimeline(contactTimelineState.page + 1));
+    loadContactTimeline(1);
+});
+
+function contactTimelineQuery(page) {
+    const types = Array.from(document.querySelectorAll('#contactTimelineFilters input[type="checkbox"]:checked'))
+        .map(input => input.value);
+    const params = new URLSearchParams({ page: String(page) });
+    if (types.length) params.set('types', types.join(','));
+    const from = document.getElementById('contactTimelineFrom').value;
+    const to = document.getElementById('contactTimelineTo').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return params.toString();
+}
+
+function contactTimelineItemUrl(item) {
+    const base = item.type === 'file' ? '/files' : '/content';
+    return `${base}/${encodeURIComponent(item.id)}/analysis/view`;
+}
+
+function renderContactTimelineEvent(event) {
+    const li = document.createElement('li');
+    li.className = 'list-group-item bg-transparent px-0 d-flex gap-3';
+
+    const icon = document.createElement('i');
+    icon.className = `fas ${CONTACT_TIMELINE_ICONS[event.type] || 'fa-circle'} mt-1`;
+    li.appendChild(icon);
+
+    const body = document.createElement('div');
+    body.className = 'flex-grow-1';
+    const heading = document.createElement('div');
+    heading.className = 'd-flex justify-content-between gap-2';
+    const title = document.createElement('span');
+    title.className = 'fw-semibold';
+    title.textContent = event.title;
+    if (event.item) {
+        title.appendChild(document.createTextNode(' · '));
+        const link = document.createElement('a');
+        link.href = contactTimelineItemUrl(event.item);
+        link.className = 'fw-normal text-decoration-none';
+        link.textContent = event.item.title;
+        title.appendChild(link);
+    }
+    const date = document.createElement('small');
+    date.className = 'text-muted text-nowrap';
+    date.textContent = new Date(event.date).toLocaleString();
+    heading.appendChild(title);
+    heading.appendChild(date);
+    body.appendChild(heading);
+
+    if (event.detail) {
+        const detail = document.createElement('div');
+        detail.className = 'small text-muted';
+        detail.textContent = event.detail;
+        body.appendChild(detail);
+    }
+    li.appendChild(body);
+    return li;
+}
+
+function renderContactTimeline(data, append) {
+    const list = document.getElementById('contactTimelineList');
+    if (!append) list.innerHTML = '';
+    data.events.forEach(event => list.appendChild(renderContactTimelineEvent(event)));
+    if (!list.children.length) {
+        list.innerHTML = '<li class="list-group-item bg-transparent px-0 text-muted">No activity found</li>';
+    }
+
+    Object.entries(data.counts).forEach(([type, count]) => {
+        const badge = document.querySelector(`#contactTimelineFilters [data-count="${type}"]`);
+        if (badge) badge.textContent = data.filters.types.includes(type) ? count : '';
+    });
+    document.getElementById('contactTimelineTotal').textContent = `${data.total} event${data.total === 1 ? '' : 's'}`;
+    document.getElementById('contactTimelineMore').classList.toggle('d-none', data.page >= data.pages);
+}
+
+async function loadContactTimeline(page) {
+    const more = document.getElementById('contactTimelineMore');
+    more.disabled = true;
+    try {
+        const response = await fetch(`/contacts/${contactTimelineState.contactId}/timeline?${contactTimelineQuery(page)}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+        contactTimelineState.page = data.page;
+        renderContactTimeline(data, page > 1);
+    } catch (error) {
+        console.error('Error loading contact timeline:', error);
+        document.getElementById('contactTimelineList').innerHTML = '<li class="list-group-item bg-transparent px-0 text-danger">Failed to load activity</li>';
+    } finally {
+        more.disabled = false;
+    }
+}
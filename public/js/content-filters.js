@@ -79,8 +79,8 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Auto-submit on change for date pickers
-  ['#filterFrom', '#filterTo'].forEach(sel => {
+  // Auto-submit on change for date pickers, collection and person selects
+  ['#filterFrom', '#filterTo', '#filterGroup', '#filterContact'].forEach(sel => {
     const el = document.querySelector(sel);
     if (el) {
       el.addEventListener('change', function() {
@@ -94,6 +94,23 @@ document.addEventListener('DOMContentLoaded', function() {
   const filterForm = document.getElementById('filterForm');
   console.log('DEBUG: Filter form element:', filterForm);
   
+  // Place input: submit on Enter, radius on change
+  const nearInput = document.getElementById('filterNear');
+  if (nearInput) {
+    nearInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        document.getElementById('filterForm').submit();
+      }
+    });
+  }
+  const radiusSelect = document.getElementById('filterRadius');
+  if (radiusSelect) {
+    radiusSelect.addEventListener('change', function() {
+      if (nearInput && nearInput.value.trim()) document.getElementById('filterForm').submit();
+    });
+  }
+  
   // Tag input: submit on Enter
   if (tagInput) {
     tagInput.addEventListener('keydown', function(e) {
@@ -113,7 +130,7 @@ document.addEventListener('DOMContentLoaded', function() {
       console.log('DEBUG: Clear All Filters button clicked');
       
       // Clear all filter inputs
-      const filterInputs = ['#filterTag', '#filterFrom', '#filterTo', '#filterSearch'];
+      const filterInputs = ['#filterTag', '#filterFrom', '#filterTo', '#filterSearch', '#filterGroup', '#filterContact', '#filterNear'];
       filterInputs.forEach(selector => {
         const input = document.querySelector(selector);
         if (input) {
@@ -0,0 +1,267 @@
+/**
+ * Content Groups (Collections) JavaScript
+ * Handles the collections overview and collection detail pages:
+ * create/edit/delete, reordering, cover selection and bulk membership.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const detail = document.getElementById('groupDetail');
+    const groupId = detail ? detail.getAttribute('data-group-id') : null;
+
+    setupGroupForm();
+    setupGroupReorder();
+
+    if (groupId) {
+        setupDetailPage(groupId);
+    }
+});
+
+/**
+ * JSON request helper that surfaces the server's error message
+ */
+async function groupRequest(url, method, payload) {
+    const response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: payload ? JSON.stringify(payload) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        const detail = data.details && data.details.length ? data.details[0].msg : null;
+        throw new Error(detail || data.error || 'Request failed');
+    }
+    return data;
+}
+
+/**
+ * Create / edit collection form
+ */
+function setupGroupForm() {
+    const form = document.getElementById('groupForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        const errorEl = document.getElementById('groupFormError');
+        errorEl.classList.add('d-none');
+
+        const editId = form.getAttribute('data-group-id');
+        const payload = {
+            name: document.getElementById('groupName').value.trim(),
+            description: document.getElementById('groupDescription').value.trim(),
+            parent_id: document.getElementById('groupParent').value || null
+        };
+
+        try {
+            const data = editId
+                ? await groupRequest(`/content/groups/${editId}`, 'PUT', payload)
+                : await groupRequest('/content/groups', 'POST', payload);
+            window.location.href = `/content/groups/${data.group.id}`;
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('d-none');
+        }
+    });
+}
+
+/**
+ * Move collections left/right among their siblings
+ */
+function setupGroupReorder() {
+    document.addEventListener('click', async function(e) {
+        const button = e.target.closest('.move-group-btn');
+        if (!button) return;
+
+        const item = button.closest('.group-item');
+        const level = item.closest('.group-level');
+        const items = Array.from(level.querySelectorAll(':scope > .group-item'));
+        const index = items.indexOf(item);
+        const target = index + parseInt(button.getAttribute('data-direction'), 10);
+        if (target < 0 || target >= items.length) return;
+
+        const ordered = items.map(el => el.getAttribute('data-group-id'));
+        ordered.splice(target, 0, ordered.splice(index, 1)[0]);
+
+        try {
+            await groupRequest('/content/groups/reorder', 'POST', {
+                parent_id: level.getAttribute('data-parent-id') || null,
+                ordered_ids: ordered
+            });
+            window.location.reload();
+        } catch (error) {
+            showGroupsAlert('danger', error.message);
+        }
+    });
+}
+
+/**
+ * Collection detail page: members, cover, delete
+ */
+function setupDetailPage(groupId) {
+    const removeBtn = document.getElementById('removeSelectedBtn');
+
+    document.addEventListener('change', function(e) {
+        if (e.target.classList.contains('member-select')) {
+            removeBtn.disabled = document.querySelectorAll('.member-select:checked').length === 0;
+        }
+    });
+
+    removeBtn.addEventListener('click', async function() {
+        const selected = collectSelected('.member-select:checked', el => el.closest('.member-row'));
+        if (!confirm(`Remove ${selected.count} item(s) from this collection? The items themselves are kept.`)) return;
+
+        try {
+            await groupRequest(`/content/groups/${groupId}/members`, 'DELETE', selected.payload);
+            window.location.reload();
+        } catch (error) {
+            showGroupsAlert('danger', error.message);
+        }
+    });
+
+    document.addEventListener('click', async function(e) {
+        const moveBtn = e.target.closest('.move-member-btn');
+        if (moveBtn) {
+            const rows = Array.from(document.querySelectorAll('#memberList .member-row'));
+            const index = rows.indexOf(moveBtn.closest('.member-row'));
+            const target = index + parseInt(moveBtn.getAttribute('data-direction'), 10);
+            if (target < 0 || target >= rows.length) return;
+
+            const ordered = rows.map(row => row.getAttribute('data-member-id'));
+            ordered.splice(target, 0, ordered.splice(index, 1)[0]);
+            try {
+                await groupRequest(`/content/groups/${groupId}/members/order`, 'PUT', { member_ids: ordered });
+                window.location.reload();
+            } catch (error) {
+                showGroupsAlert('danger', error.message);
+            }
+            return;
+        }
+
+        const coverBtn = e.target.closest('.set-cover-btn');
+        if (coverBtn) {
+            try {
+                await groupRequest(`/content/groups/${groupId}`, 'PUT', {
+                    cover_thumbnail_id: coverBtn.getAttribute('data-thumbnail-id')
+                });
+                document.querySelectorAll('.member-row').forEach(row => row.classList.remove('cover-selected'));
+                coverBtn.closest('.member-row').classList.add('cover-selected');
+                showGroupsAlert('success', 'Cover updated');
+            } catch (error) {
+                showGroupsAlert('danger', error.message);
+            }
+        }
+    });
+
+    document.getElementById('deleteGroupBtn').addEventListener('click', async function() {
+        if (!confirm('Delete this collection? Items are kept and sub-collections move up one level.')) return;
+        try {
+            await groupRequest(`/content/groups/${groupId}`, 'DELETE');
+            window.location.href = '/content/groups';
+        } catch (error) {
+            showGroupsAlert('danger', error.message);
+        }
+    });
+
+    setupAddMembers(groupId);
+}
+
+/**
+ * Add-items modal with search and bulk add
+ */
+function setupAddMembers(groupId) {
+    const modal = document.getElementById('addMembersModal');
+    const searchInput = document.getElementById('candidateSearch');
+    let searchTimer = null;
+
+    modal.addEventListener('shown.bs.modal', () => loadCandidates(groupId, ''));
+    searchInput.addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadCandidates(groupId, searchInput.value.trim()), 300);
+    });
+
+    document.getElementById('addSelectedBtn').addEventListener('click', async function() {
+        const selected = collectSelected('.candidate-select:checked', el => el);
+        if (selected.count === 0) return;
+
+        try {
+            const data = await groupRequest(`/content/groups/${groupId}/members`, 'POST', selected.payload);
+            bootstrap.Modal.getInstance(modal).hide();
+            showGroupsAlert('success', `Added ${data.added} item(s)`);
+            setTimeout(() => window.location.reload(), 500);
+        } catch (error) {
+            showGroupsAlert('danger', error.message);
+        }
+    });
+}
+
+async function loadCandidates(groupId, search) {
+    const list = document.getElementById('candidateList');
+    list.innerHTML = '<li class="list-group-item text-center"><div class="spinner-border spinner-border-sm text-primary"></div></li>';
+
+    try {
+        const response = await fetch(`/content/groups/${groupId}/candidates?search=${encodeURIComponent(search)}`, {
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load items');
+
+        list.innerHTML = '';
+        if (data.items.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No matching items.</li>';
+            return;
+        }
+
+        data.items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item';
+            li.innerHTML = `
+                <label class="d-flex align-items-center gap-2 mb-0">
+                    <input type="checkbox" class="form-check-input candidate-select">
+                    <span class="badge bg-light text-dark border"></span>
+                    <span class="text-truncate"></span>
+                </label>`;
+            const checkbox = li.querySelector('.candidate-select');
+            checkbox.setAttribute('data-item-type', item.item_type);
+            checkbox.setAttribute('data-item-id', item.id);
+            li.querySelector('.badge').textContent = item.item_type;
+            li.querySelector('.text-truncate').textContent = item.title;
+            list.appendChild(li);
+        });
+    } catch (error) {
+        list.innerHTML = '';
+        const li = document.createElement('li');
+        li.className = 'list-group-item text-danger';
+        li.textContent = error.message;
+        list.appendChild(li);
+    }
+}
+
+/**
+ * Split selected elements into content_ids / file_ids payload
+ */
+function collectSelected(selector, toItemEl) {
+    const payload = { content_ids: [], file_ids: [] };
+    document.querySelectorAll(selector).forEach(el => {
+        const itemEl = toItemEl(el);
+        const key = itemEl.getAttribute('data-item-type') === 'file' ? 'file_ids' : 'content_ids';
+        payload[key].push(itemEl.getAttribute('data-item-id'));
+    });
+    return { payload, count: payload.content_ids.length + payload.file_ids.length };
+}
+
+function showGroupsAlert(type, message) {
+    const container = document.getElementById('groupsAlert');
+    if (!container) return;
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.setAttribute('data-bs-dismiss', 'alert');
+    alert.appendChild(close);
+    container.innerHTML = '';
+    container.appendChild(alert);
+}
@@ -0,0 +1,225 @@
+/**
+ * Content Change Monitoring
+ * Watch settings and version history on the analysis page, the watch
+ * control on a collection page and the "Content Changes" dashboard widget.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const card = document.getElementById('contentMonitorCard');
+    if (card) initMonitorCard(card.dataset.contentId);
+
+    const groupForm = document.getElementById('groupMonitorForm');
+    const groupDetail = document.getElementById('groupDetail');
+    if (groupForm && groupDetail) initGroupMonitor(groupForm, groupDetail.dataset.groupId);
+
+    const widget = document.getElementById('contentChangesWidget');
+    if (widget) {
+        document.getElementById('contentChangesList').addEventListener('click', handleChangeDismiss);
+        loadContentChanges();
+    }
+});
+
+function escapeMonitorHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+async function monitorRequest(url, method = 'GET', payload) {
+    const options = { method, credentials: 'include', headers: {} };
+    if (payload !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(payload);
+    }
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+function monitorIntervalLabel(hours) {
+    return { 6: 'every 6 hours', 24: 'daily', 168: 'weekly', 720: 'every 30 days' }[hours] || `every ${hours} hours`;
+}
+
+function monitorStatusBadge(status) {
+    const classes = { available: 'bg-success', removed: 'bg-danger', private: 'bg-warning text-dark' };
+    return `<span class="badge ${classes[status] || 'bg-secondary'}">${escapeMonitorHtml(status)}</span>`;
+}
+
+// ===== Analysis page card =====
+
+function initMonitorCard(contentId) {
+    const base = `/content/${contentId}/monitor`;
+
+    document.getElementById('monitorForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        try {
+            await monitorRequest(base, 'PUT', {
+                interval_hours: parseInt(document.getElementById('monitorInterval').value, 10),
+                notify_email: document.getElementById('monitorNotifyEmail').checked
+            });
+            loadMonitorCard(base);
+        } catch (error) {
+            alert(`Could not save the watch: ${error.message}`);
+        }
+    });
+
+    document.getElementById('monitorStopBtn').addEventListener('click', async function() {
+        try {
+            await monitorRequest(base, 'DELETE');
+            loadMonitorCard(base);
+        } catch (error) {
+            alert(`Could not stop watching: ${error.message}`);
+        }
+    });
+
+    document.getElementById('monitorCheckBtn').addEventListener('click', async function() {
+        const button = this;
+        button.disabled = true;
+        button.textContent = 'Checking...';
+        try {
+            const result = await monitorRequest(`${base}/check`, 'POST');
+            if (result.status === 'error') {
+                alert(`The URL could not be checked: ${result.error}`);
+            } else if (!result.changes.length) {
+                alert(result.version ? 'First version recorded.' : 'No changes since the last check.');
+            }
+            loadMonitorCard(base);
+        } catch (error) {
+            alert(`Check failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Check now';
+        }
+    });
+
+    loadMonitorCard(base);
+}
+
+async function loadMonitorCard(base) {
+    const history = document.getElementById('monitorHistory');
+    try {
+        const data = await monitorRequest(base);
+        renderMonitorWatch(data.watch, data.groupWatches);
+        history.innerHTML = data.versions.length
+            ? data.versions.map(version => `
+                <li class="list-group-item px-0">
+                    <div class="d-flex justify-content-between">
+                        <span>${monitorStatusBadge(version.status)} ${escapeMonitorHtml(version.summary)}</span>
+                        <span class="text-muted">${escapeMonitorHtml(new Date(version.checked_at).toLocaleString())}</span>
+                    </div>
+                    ${version.title ? `<div class="text-muted text-truncate">${escapeMonitorHtml(version.title)}</div>` : ''}
+                    ${version.comment_count !== null ? `<div class="text-muted">${version.comment_count} comments</div>` : ''}
+                </li>`).join('')
+            : '<li class="list-group-item text-muted px-0">No checks yet</li>';
+    } catch (error) {
+        console.error('Error loading watch:', error);
+        history.innerHTML = '<li class="list-group-item text-danger px-0">Failed to load version history</li>';
+    }
+}
+
+function renderMonitorWatch(watch, groupWatches) {
+    const badge = document.getElementById('monitorStatusBadge');
+    const schedule = document.getElementById('monitorSchedule');
+    badge.textContent = watch ? `Watched ${monitorIntervalLabel(watch.interval_hours)}` : 'Not watched';
+    badge.className = `badge ${watch ? 'bg-success' : 'bg-secondary'}`;
+    document.getElementById('monitorStopBtn').classList.toggle('d-none', !watch);
+    document.getElementById('monitorSaveBtn').lastChild.textContent = watch ? 'Update' : 'Watch';
+
+    if (watch) {
+        document.getElementById('monitorInterval').value = String(watch.interval_hours);
+        document.getElementById('monitorNotifyEmail').checked = watch.notify_email;
+        const parts = [];
+        if (watch.last_checked_at) parts.push(`Last checked ${new Date(watch.last_checked_at).toLocaleString()}`);
+        parts.push(`next check ${new Date(watch.next_check_at).toLocaleString()}`);
+        if (watch.last_error) parts.push(`last error: ${watch.last_error}`);
+        schedule.textContent = parts.join(' · ');
+    } else {
+        schedule.textContent = '';
+    }
+
+    document.getElementById('monitorGroupWatches').innerHTML = groupWatches.map(groupWatch => `
+        <div class="text-muted"><i class="bi bi-collection me-1"></i>Also watched ${monitorIntervalLabel(groupWatch.interval_hours)} through
+            <a href="/content/groups/${escapeMonitorHtml(groupWatch.group.id)}">${escapeMonitorHtml(groupWatch.group.name)}</a></div>`).join('');
+}
+
+// ===== Collection page control =====
+
+function initGroupMonitor(form, groupId) {
+    const base = `/content/groups/${groupId}/monitor`;
+    const status = document.getElementById('groupMonitorStatus');
+
+    function render(watch) {
+        document.getElementById('groupMonitorInterval').value = watch ? String(watch.interval_hours) : '';
+        document.getElementById('groupMonitorNotifyEmail').checked = !!(watch && watch.notify_email);
+        status.textContent = watch && watch.last_checked_at
+            ? `Last checked ${new Date(watch.last_checked_at).toLocaleString()}`
+            : '';
+    }
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        const interval = document.getElementById('groupMonitorInterval').value;
+        try {
+            if (interval) {
+                const data = await monitorRequest(base, 'PUT', {
+                    interval_hours: parseInt(interval, 10),
+                    notify_email: document.getElementById('groupMonitorNotifyEmail').checked
+                });
+                render(data.watch);
+                status.textContent = 'Watch saved';
+            } else {
+                await monitorRequest(base, 'DELETE').catch(error => {
+                    if (!/not found$/.test(error.message)) throw error;
+                });
+                render(null);
+                status.textContent = 'Not watched';
+            }
+        } catch (error) {
+            status.textContent = `Could not save: ${error.message}`;
+        }
+    });
+
+    monitorRequest(base)
+        .then(data => render(data.watch))
+        .catch(error => console.error('Error loading group watch:', error));
+}
+
+// ===== Dashboard widget =====
+
+async function loadContentChanges() {
+    try {
+        const data = await monitorRequest('/content/monitor/alerts');
+        renderContentChanges(data.alerts);
+    } catch (error) {
+        console.error('Error loading content changes:', error);
+    }
+}
+
+function renderContentChanges(alerts) {
+    const widget = document.getElementById('contentChangesWidget');
+    widget.classList.toggle('d-none', alerts.length === 0);
+    document.getElementById('contentChangesCount').textContent = alerts.length;
+    document.getElementById('contentChangesList').innerHTML = alerts.map(alert => `
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+            <span>
+                ${alert.content
+                    ? `<a href="/content/${alert.content.id}/analysis/view" class="text-decoration-none">${escapeMonitorHtml(alert.content.title)}</a>`
+                    : '<span class="text-muted">Deleted content</span>'}
+                <small class="d-block">${monitorStatusBadge(alert.status)} ${escapeMonitorHtml(alert.summary)}
+                    <span class="text-muted">(${escapeMonitorHtml(new Date(alert.checked_at).toLocaleString())})</span></small>
+            </span>
+            <button type="button" class="btn-close" data-dismiss-change="${alert.id}" aria-label="Dismiss"></button>
+        </li>`).join('');
+}
+
+async function handleChangeDismiss(e) {
+    const button = e.target.closest('[data-dismiss-change]');
+    if (!button) return;
+    try {
+        await monitorRequest(`/content/monitor/alerts/${button.dataset.dismissChange}/dismiss`, 'POST');
+        loadContentChanges();
+    } catch (error) {
+        console.error('Error dismissing change:', error);
+    }
+}
@@ -293,6 +293,12 @@ function initializeUploadModal() {
    * Share a file
    */
   function shareFile(fileId) {
+    // Use the share link dialog when it is available on the page
+    if (typeof window.openShareDialog === 'function') {
+      window.openShareDialog('file', fileId);
+      return;
+    }
+
     // Create share URL with correct protocol
     const baseUrl = window.location.hostname === 'localhost' ? 
       `http://localhost:${window.location.port || 3000}` : 
@@ -0,0 +1,89 @@
+/**
+ * Library Export / Import JavaScript
+ * Builds the export link and uploads library archives for import.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const includeMedia = document.getElementById('exportIncludeMedia');
+    const exportLink = document.getElementById('exportLink');
+    if (includeMedia && exportLink) {
+        const updateLink = () => {
+            exportLink.href = includeMedia.checked ? '/library/export' : '/library/export?media=0';
+        };
+        includeMedia.addEventListener('change', updateLink);
+        updateLink();
+    }
+
+    const importForm = document.getElementById('importForm');
+    if (importForm) importForm.addEventListener('submit', importLibrary);
+});
+
+function showLibraryAlert(type, message) {
+    const container = document.getElementById('libraryAlert');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type}`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    container.innerHTML = '';
+    container.appendChild(alert);
+}
+
+function sectionLabel(name) {
+    const label = name.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+async function importLibrary(e) {
+    e.preventDefault();
+    const fileInput = document.getElementById('importArchive');
+    if (!fileInput.files.length) return;
+    if (!confirm('Import this library into your account?')) return;
+
+    const submit = document.getElementById('importSubmit');
+    const spinner = document.getElementById('importSpinner');
+    submit.disabled = true;
+    spinner.classList.remove('d-none');
+    document.getElementById('importResult').classList.add('d-none');
+
+    const formData = new FormData();
+    formData.append('archive', fileInput.files[0]);
+
+    try {
+        const response = await fetch('/library/import', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { Accept: 'application/json' },
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Import failed');
+
+        renderImportResult(data.imported, data.skipped);
+        const total = Object.values(data.imported).reduce((sum, count) => sum + count, 0);
+        showLibraryAlert('success', `Imported ${total} records.`);
+        e.target.reset();
+    } catch (error) {
+        showLibraryAlert('danger', error.message);
+    } finally {
+        submit.disabled = false;
+        spinner.classList.add('d-none');
+    }
+}
+
+function renderImportResult(imported, skipped) {
+    const rows = document.getElementById('importResultRows');
+    rows.innerHTML = '';
+    Object.keys(imported).forEach(name => {
+        if (!imported[name] && !skipped[name]) return;
+        const tr = document.createElement('tr');
+        [sectionLabel(name), imported[name], skipped[name]].forEach((value, index) => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            if (index > 0) td.className = 'text-end';
+            if (index === 2 && value > 0) td.classList.add('text-warning');
+            tr.appendChild(td);
+        });
+        rows.appendChild(tr);
+    });
+    document.getElementById('importResult').classList.remove('d-none');
+}
@@ -0,0 +1,178 @@
+/**
+ * Map JavaScript
+ * Shows clustered contacts and geotagged media on a Google map, reloads the
+ * clusters for the visible area when the map moves, and lists the contacts
+ * and items of a selected cluster.
+ */
+
+const MAP_KIND_ICONS = {
+    contact: 'fa-user text-primary',
+    content: 'fa-link text-success',
+    file: 'fa-image text-success'
+};
+// Addresses are geocoded a few per request; reload while some are pending
+const MAP_PENDING_RETRY_MS = 3000;
+const MAP_PENDING_MAX_RETRIES = 20;
+
+const mapState = { map: null, markers: [], retries: 0, retryTimer: null, request: 0 };
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!document.getElementById('mapPage')) return;
+
+    ['mapLayerContacts', 'mapLayerMedia'].forEach(function(id) {
+        document.getElementById(id).addEventListener('change', function() {
+            mapState.retries = 0;
+            loadMapPoints();
+        });
+    });
+    loadMapLibrary();
+});
+
+function escapeMapHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showMapAlert(message, type) {
+    const alertEl = document.getElementById('mapAlert');
+    alertEl.className = `alert alert-${type || 'danger'}` + (message ? '' : ' d-none');
+    alertEl.textContent = message || '';
+}
+
+function loadMapLibrary() {
+    window.initDaySaveMap = function() {
+        delete window.initDaySaveMap;
+        mapState.map = new google.maps.Map(document.getElementById('mapCanvas'), {
+            center: { lat: 20, lng: 0 },
+            zoom: 2,
+            mapTypeControl: false,
+            streetViewControl: false
+        });
+        mapState.map.addListener('idle', function() {
+            mapState.retries = 0;
+            loadMapPoints();
+        });
+    };
+
+    const script = document.createElement('script');
+    script.src = '/api/places/script-url?callback=initDaySaveMap';
+    script.async = true;
+    script.onerror = function() {
+        showMapAlert('Google Maps could not be loaded. Check that a Google Maps API key is configured.', 'warning');
+    };
+    document.head.appendChild(script);
+}
+
+function selectedMapLayers() {
+    return ['mapLayerContacts', 'mapLayerMedia']
+        .map(id => document.getElementById(id))
+        .filter(input => input.checked)
+        .map(input => input.value);
+}
+
+async function loadMapPoints() {
+    if (!mapState.map || !mapState.map.getBounds()) return;
+    clearTimeout(mapState.retryTimer);
+
+    const layers = selectedMapLayers();
+    if (!layers.length) {
+        renderMapClusters([]);
+        document.getElementById('mapStatus').textContent = 'No layers selected';
+        return;
+    }
+
+    const params = new URLSearchParams({
+        bbox: mapState.map.getBounds().toUrlValue(),
+        zoom: String(mapState.map.getZoom()),
+        layers: layers.join(',')
+    });
+    const request = ++mapState.request;
+    try {
+        const response = await fetch(`/map/api/points?${params}`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+        // A newer request was sent while this one was running
+        if (request !== mapState.request) return;
+
+        showMapAlert('');
+        renderMapClusters(data.clusters);
+        let status = `${data.total} on the map`;
+        if (data.pending > 0) {
+            status += data.geocoding
+                ? ` · locating ${data.pending} more address${data.pending === 1 ? '' : 'es'}…`
+                : ` · ${data.pending} address${data.pending === 1 ? '' : 'es'} not located (geocoding is not configured)`;
+            if (data.geocoding && mapState.retries < MAP_PENDING_MAX_RETRIES) {
+                mapState.retries += 1;
+                mapState.retryTimer = setTimeout(loadMapPoints, MAP_PENDING_RETRY_MS);
+            }
+        }
+        document.getElementById('mapStatus').textContent = status;
+    } catch (error) {
+        console.error('Error loading map points:', error);
+        showMapAlert('Failed to load the map: ' + error.message);
+    }
+}
+
+function renderMapClusters(clusters) {
+    mapState.markers.forEach(marker => marker.setMap(null));
+    mapState.markers = clusters.map(function(cluster) {
+        const onlyContacts = cluster.kinds.contact === cluster.count;
+        const marker = new google.maps.Marker({
+            map: mapState.map,
+            position: { lat: cluster.lat, lng: cluster.lng },
+            title: cluster.count === 1 ? cluster.points[0].title : `${cluster.count} places`,
+            label: cluster.count > 1 ? { text: String(cluster.count), color: '#fff', fontWeight: 'bold' } : undefined,
+            icon: cluster.count > 1 ? {
+                path: google.maps.SymbolPath.CIRCLE,
+                scale: Math.min(28, 12 + Math.log2(cluster.count) * 3),
+                fillColor: onlyContacts ? '#0d6efd' : '#198754',
+                fillOpacity: 0.85,
+                strokeColor: '#fff',
+                strokeWeight: 2
+            } : undefined
+        });
+        marker.addListener('click', () => selectMapCluster(cluster));
+        return marker;
+    });
+}
+
+function mapPointUrl(point) {
+    if (point.kind === 'contact') return `/contacts/${encodeURIComponent(point.id)}`;
+    const base = point.kind === 'file' ? '/files' : '/content';
+    return `${base}/${encodeURIComponent(point.id)}/analysis/view`;
+}
+
+function selectMapCluster(cluster) {
+    const spread = cluster.bounds.north - cluster.bounds.south + Math.abs(cluster.bounds.east - cluster.bounds.west);
+    if (cluster.count > cluster.points.length && spread > 0) {
+        // Too many to list: zoom in, the idle handler reloads smaller clusters
+        mapState.map.fitBounds({
+            south: cluster.bounds.south,
+            west: cluster.bounds.west,
+            north: cluster.bounds.north,
+            east: cluster.bounds.east
+        });
+    }
+
+    const parts = [];
+    if (cluster.kinds.contact) parts.push(`${cluster.kinds.contact} contact${cluster.kinds.contact === 1 ? '' : 's'}`);
+    const media = cluster.kinds.content + cluster.kinds.file;
+    if (media) parts.push(`${media} item${media === 1 ? '' : 's'}`);
+    document.getElementById('mapPanelTitle').textContent = parts.join(', ');
+    document.getElementById('mapPanelHint').textContent = cluster.count > cluster.points.length
+        ? `Showing ${cluster.points.length} of ${cluster.count}. Zoom in to see the rest.`
+        : '';
+
+    document.getElementById('mapPanelPoints').innerHTML = cluster.points.map(point => `
+        <div class="map-point">
+            <i class="fas ${MAP_KIND_ICONS[point.kind] || 'fa-map-marker-alt'} me-1"></i>
+            <a href="${mapPointUrl(point)}" class="text-decoration-none">${escapeMapHtml(point.title)}</a>
+            <div class="small text-muted">${escapeMapHtml(point.label)}</div>
+        </div>
+    `).join('');
+
+    const near = document.getElementById('mapNearLink');
+    near.href = `/content?near=${encodeURIComponent(`${cluster.lat.toFixed(5)},${cluster.lng.toFixed(5)}`)}&radius=5`;
+    near.classList.remove('d-none');
+}
@@ -0,0 +1,145 @@
+/**
+ * People JavaScript
+ * Lists face and speaker clusters, lets the user confirm a cluster as one of
+ * their contacts (optionally labelling all matching faces / voices) and
+ * unlink single faces or speakers again.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!document.getElementById('peoplePage')) return;
+
+    ['peopleFaces', 'peopleSpeakers'].forEach(function(id) {
+        document.getElementById(id).addEventListener('click', handlePeopleAction);
+    });
+    loadPeople();
+});
+
+function escapePeopleHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function showPeopleAlert(message, type) {
+    const alertEl = document.getElementById('peopleAlert');
+    alertEl.className = `alert alert-${type || 'danger'}` + (message ? '' : ' d-none');
+    alertEl.textContent = message || '';
+}
+
+async function sendPeopleJson(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function loadPeople() {
+    document.getElementById('peopleLoading').classList.remove('d-none');
+    try {
+        const response = await fetch('/people/api', { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Could not load people');
+        renderPeopleClusters('peopleFaces', 'faces', data.faces);
+        renderPeopleClusters('peopleSpeakers', 'speakers', data.speakers);
+        document.getElementById('peopleFacesCount').textContent = data.faces.length;
+        document.getElementById('peopleSpeakersCount').textContent = data.speakers.length;
+    } catch (error) {
+        showPeopleAlert(error.message);
+    } finally {
+        document.getElementById('peopleLoading').classList.add('d-none');
+    }
+}
+
+function peopleItemLink(member) {
+    if (member.content_id) return `/content/${encodeURIComponent(member.content_id)}/analysis/view`;
+    if (member.file_id) return `/files/${encodeURIComponent(member.file_id)}/analysis/view`;
+    return null;
+}
+
+function renderPeopleMember(kind, member, linked) {
+    const link = peopleItemLink(member);
+    const label = escapePeopleHtml(member.name || (kind === 'faces' ? 'Unnamed face' : 'Unnamed speaker'));
+    return `
+        <div class="member-row d-flex justify-content-between align-items-center">
+            <div>
+                ${member.confirmed ? '<i class="fas fa-check-circle text-success me-1" title="Confirmed"></i>' : ''}
+                ${link ? `<a href="${link}">${label}</a>` : label}
+                ${member.appearances ? `<span class="text-muted small ms-1">${member.appearances} appearance${member.appearances === 1 ? '' : 's'}</span>` : ''}
+            </div>
+            ${linked ? `<button type="button" class="btn btn-sm btn-link text-danger p-0" data-action="unlink" data-id="${member.id}">Not this person</button>` : ''}
+        </div>`;
+}
+
+function renderPeopleClusters(containerId, kind, clusters) {
+    const container = document.getElementById(containerId);
+    if (!clusters.length) {
+        container.innerHTML = `<p class="text-muted text-center py-5 mb-0">No ${kind === 'faces' ? 'faces' : 'speakers'} found in your content yet.</p>`;
+        return;
+    }
+
+    const options = document.getElementById('peopleContactOptions').innerHTML;
+    container.innerHTML = clusters.map(function(cluster) {
+        const linked = Boolean(cluster.contact);
+        const items = cluster.content_ids.length + cluster.file_ids.length;
+        const title = linked ? cluster.contact.name : (cluster.name || 'Unknown person');
+        const more = cluster.count - cluster.members.length;
+        return `
+            <div class="people-cluster ${linked ? 'linked' : ''}" data-member="${cluster.members[0].id}">
+                <div class="d-flex flex-wrap justify-content-between align-items-center gap-2">
+                    <div>
+                        <h5 class="mb-0">${escapePeopleHtml(title)}
+                            ${linked ? '<span class="badge bg-success ms-1">Contact</span>' : (cluster.name ? '<span class="badge bg-light text-dark ms-1">Suggested</span>' : '')}
+                        </h5>
+                        <div class="text-muted small">${cluster.count} ${kind === 'faces' ? 'face' : 'speaker'}${cluster.count === 1 ? '' : 's'} in ${items} item${items === 1 ? '' : 's'}</div>
+                    </div>
+                    <div class="d-flex flex-wrap align-items-center gap-2">
+                        ${linked ? `<a class="btn btn-sm btn-outline-primary" href="/content?contact=${encodeURIComponent(cluster.contact.id)}">Show content</a>
+                            <a class="btn btn-sm btn-outline-secondary" href="/contacts/${encodeURIComponent(cluster.contact.id)}">Open contact</a>` : ''}
+                        <select class="form-select form-select-sm w-auto people-contact-select">${options}</select>
+                        <div class="form-check form-check-inline mb-0" title="Also label matching ${kind === 'faces' ? 'faces' : 'voices'}">
+                            <input class="form-check-input people-propagate" type="checkbox" checked>
+                            <label class="form-check-label small">All matches</label>
+                        </div>
+                        <button type="button" class="btn btn-sm btn-success" data-action="link">${linked ? 'Change' : 'This is...'}</button>
+                    </div>
+                </div>
+                <div class="mt-2">
+                    ${cluster.members.map(member => renderPeopleMember(kind, member, linked)).join('')}
+                    ${more > 0 ? `<div class="text-muted small mt-1">and ${more} more</div>` : ''}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+async function handlePeopleAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const kind = event.currentTarget.getAttribute('data-kind');
+    const cluster = button.closest('.people-cluster');
+    showPeopleAlert('');
+    button.disabled = true;
+
+    try {
+        if (button.getAttribute('data-action') === 'link') {
+            const contactId = cluster.querySelector('.people-contact-select').value;
+            if (!contactId) throw new Error('Choose a contact first');
+            const data = await sendPeopleJson('PUT', `/people/${kind}/${cluster.getAttribute('data-member')}/contact`, {
+                contact_id: contactId,
+                propagate: cluster.querySelector('.people-propagate').checked
+            });
+            showPeopleAlert(`Linked${data.propagated ? ` along with ${data.propagated} matching ${kind === 'faces' ? 'face' : 'speaker'}${data.propagated === 1 ? '' : 's'}` : ''}.`, 'success');
+        } else {
+            await sendPeopleJson('DELETE', `/people/${kind}/${button.getAttribute('data-id')}/contact`);
+            showPeopleAlert('Unlinked.', 'success');
+        }
+        await loadPeople();
+    } catch (error) {
+        showPeopleAlert(error.message);
+        button.disabled = false;
+    }
+}
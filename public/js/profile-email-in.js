@@ -0,0 +1,55 @@
+/**
+ * Profile Email-In JavaScript
+ * Creates, replaces and turns off the personal address used to save
+ * content by forwarding emails.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (!document.getElementById('emailInSection')) return;
+
+    document.getElementById('emailInCreateBtn').addEventListener('click', createEmailInAddress);
+    document.getElementById('emailInDisableBtn').addEventListener('click', disableEmailInAddress);
+    document.getElementById('emailInCopyBtn').addEventListener('click', copyEmailInAddress);
+});
+
+function renderEmailInAddress(address) {
+    document.getElementById('emailInAddress').value = address || '';
+    document.getElementById('emailInAddressGroup').classList.toggle('d-none', !address);
+    document.getElementById('emailInDisableBtn').classList.toggle('d-none', !address);
+    document.querySelector('#emailInCreateBtn span').textContent = address ? 'New Address' : 'Create Address';
+}
+
+async function createEmailInAddress() {
+    const current = document.getElementById('emailInAddress').value;
+    if (current && !confirm('Create a new address? Emails sent to the current one will no longer be saved.')) return;
+
+    const result = await apiCall('/profile/email-in', { method: 'POST' });
+    if (result.success && result.data.success) {
+        renderEmailInAddress(result.data.address);
+        showAlert('Your address for saving by email is ready', 'success');
+    } else {
+        showAlert((result.data && result.data.error) || 'Failed to create email address', 'danger');
+    }
+}
+
+async function disableEmailInAddress() {
+    if (!confirm('Turn off saving by email? Emails sent to your address will no longer be saved.')) return;
+
+    const result = await apiCall('/profile/email-in', { method: 'DELETE' });
+    if (result.success && result.data.success) {
+        renderEmailInAddress(null);
+        showAlert('Saving by email is turned off', 'info');
+    } else {
+        showAlert((result.data && result.data.error) || 'Failed to turn off email address', 'danger');
+    }
+}
+
+async function copyEmailInAddress() {
+    const input = document.getElementById('emailInAddress');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showAlert('Address copied', 'success');
+    } catch (error) {
+        input.select();
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Search JavaScript
+ * Runs searches against /search/api, renders ranked results with highlighted
+ * excerpts (transcript and OCR hits show their timestamps) and the optional
+ * "find similar" view.
+ */
+
+const SEARCH_PER_PAGE = 20;
+const FIELD_LABELS = {
+    title: 'Title', tags: 'Tags', speaker: 'Speaker', summary: 'Summary', comments: 'Comment',
+    object: 'Objects', source: 'Source', ocr: 'Text in image', transcript: 'Transcript'
+};
+
+let searchState = { q: '', page: 1 };
+let semanticEnabled = false;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('searchForm');
+    semanticEnabled = form.getAttribute('data-semantic-enabled') === 'true';
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        runSearch(1);
+    });
+    document.getElementById('searchScope').addEventListener('change', () => runSearch(1));
+    const semantic = document.getElementById('searchSemantic');
+    if (semantic) semantic.addEventListener('change', () => runSearch(1));
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('in')) document.getElementById('searchScope').value = params.get('in');
+    if (document.getElementById('searchInput').value.trim()) runSearch(parseInt(params.get('page'), 10) || 1);
+});
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function formatTimestamp(seconds) {
+    if (seconds == null || isNaN(seconds)) return '';
+    const total = Math.floor(Number(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+async function searchRequest(url) {
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' }
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        const detail = data.details && data.details.length ? data.details[0].msg : null;
+        throw new Error(detail || data.error || 'Search failed');
+    }
+    return data;
+}
+
+async function runSearch(page) {
+    const q = document.getElementById('searchInput').value.trim();
+    const scope = document.getElementById('searchScope').value;
+    const semantic = semanticEnabled && document.getElementById('searchSemantic').checked;
+    if (!q) return;
+
+    searchState = { q, page };
+    const params = new URLSearchParams({ q, page, per_page: SEARCH_PER_PAGE });
+    if (scope) params.set('in', scope);
+    if (semantic) params.set('mode', 'semantic');
+
+    // Keep the URL shareable
+    const pageParams = new URLSearchParams({ q });
+    if (scope) pageParams.set('in', scope);
+    if (page > 1) pageParams.set('page', page);
+    history.replaceState(null, '', `/search?${pageParams}`);
+
+    const results = document.getElementById('searchResults');
+    results.innerHTML = '<div class="text-center py-5"><div class="spinner-border text-primary"></div></div>';
+    document.getElementById('searchAlert').innerHTML = '';
+    document.getElementById('searchPagination').innerHTML = '';
+
+    try {
+        const data = await searchRequest(`/search/api?${params}`);
+        document.getElementById('searchSummary').textContent = data.total === 1 ? '1 result' : `${data.total} results`;
+        renderResults(results, data.results);
+        if (data.mode !== 'semantic') renderPagination(data.total, page);
+    } catch (error) {
+        results.innerHTML = '';
+        document.getElementById('searchSummary').textContent = '';
+        showSearchAlert('danger', error.message);
+    }
+}
+
+function renderResults(container, items) {
+    if (items.length === 0) {
+        container.innerHTML = `
+            <div class="text-center text-muted py-5">
+                <i class="bi bi-search display-4"></i>
+                <p class="mt-3">Nothing matched. Try fewer words or remove a field filter.</p>
+            </div>`;
+        return;
+    }
+
+    container.innerHTML = '';
+    items.forEach(item => container.appendChild(renderResult(item)));
+}
+
+function renderResult(item) {
+    const card = document.createElement('div');
+    card.className = 'card mb-3';
+    const icon = item.item_type === 'file' ? 'bi-file-earmark' : 'bi-link-45deg';
+    const highlights = (item.highlights || []).map(hit => `
+        <div class="search-highlight small mt-1">
+            <span class="badge bg-light text-dark border">${escapeHtml(FIELD_LABELS[hit.field] || hit.field)}</span>
+            ${hit.start != null ? `<span class="timestamp text-primary">${formatTimestamp(hit.start)}</span>` : ''}
+            ${hit.speaker ? `<span class="text-muted">${escapeHtml(hit.speaker)}:</span>` : ''}
+            <span>${hit.snippet}</span>
+        </div>`).join('');
+
+    card.innerHTML = `
+        <div class="card-body d-flex gap-3">
+            ${item.thumbnail_url
+                ? `<img class="search-result-thumb flex-shrink-0" src="${escapeHtml(item.thumbnail_url)}" alt="">`
+                : `<div class="search-result-thumb flex-shrink-0 d-flex align-items-center justify-content-center"><i class="bi ${icon} fs-3 text-muted"></i></div>`}
+            <div class="flex-grow-1" style="min-width: 0;">
+                <div class="d-flex justify-content-between align-items-start">
+                    <a class="fw-semibold text-break" href="${escapeHtml(item.link)}">${escapeHtml(item.title)}</a>
+                    ${semanticEnabled ? '<button class="btn btn-sm btn-outline-secondary ms-2 flex-shrink-0" data-action="similar"><i class="bi bi-stars"></i> Similar</button>' : ''}
+                </div>
+                <div class="small text-muted">
+                    ${item.item_type === 'file' ? 'File' : 'Content'}${item.content_type ? ' · ' + escapeHtml(item.content_type) : ''}
+                    · ${new Date(item.created_at).toLocaleDateString()}
+                    ${item.similarity != null ? ` · ${Math.round(item.similarity * 100)}% similar` : ''}
+                </div>
+                ${highlights}
+            </div>
+        </div>`;
+
+    const similar = card.querySelector('[data-action="similar"]');
+    if (similar) similar.addEventListener('click', () => showSimilar(item));
+    return card;
+}
+
+function renderPagination(total, page) {
+    const pages = Math.ceil(total / SEARCH_PER_PAGE);
+    const nav = document.getElementById('searchPagination');
+    if (pages <= 1) return;
+
+    const list = document.createElement('ul');
+    list.className = 'pagination justify-content-center';
+    const add = (label, target, disabled, active) => {
+        const li = document.createElement('li');
+        li.className = `page-item${disabled ? ' disabled' : ''}${active ? ' active' : ''}`;
+        const link = document.createElement('a');
+        link.className = 'page-link';
+        link.href = '#';
+        link.textContent = label;
+        link.addEventListener('click', e => {
+            e.preventDefault();
+            if (!disabled && !active) runSearch(target);
+        });
+        li.appendChild(link);
+        list.appendChild(li);
+    };
+
+    add('Previous', page - 1, page === 1, false);
+    for (let p = Math.max(1, page - 2); p <= Math.min(pages, page + 2); p++) add(String(p), p, false, p === page);
+    add('Next', page + 1, page === pages, false);
+    nav.appendChild(list);
+}
+
+async function showSimilar(item) {
+    const body = document.getElementById('similarBody');
+    body.innerHTML = '<div class="text-center py-4"><div class="spinner-border text-primary"></div></div>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('similarModal')).show();
+
+    try {
+        const data = await searchRequest(`/search/api/similar/${item.item_type}/${item.id}`);
+        if (data.results.length === 0) {
+            body.innerHTML = '<p class="text-muted text-center py-4">No similar items yet.</p>';
+            return;
+        }
+        body.innerHTML = '';
+        data.results.forEach(result => body.appendChild(renderResult(result)));
+    } catch (error) {
+        body.innerHTML = `<div class="alert alert-warning">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function showSearchAlert(type, message) {
+    const container = document.getElementById('searchAlert');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type}`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    container.innerHTML = '';
+    container.appendChild(alert);
+}
@@ -0,0 +1,204 @@
+/**
+ * Share Dialog JavaScript
+ * Opens the share modal for content items, files and content groups and
+ * creates share links through POST /shares.
+ *
+ * Buttons opt in with a class and data-id:
+ *   .share-content-btn, .share-group-btn
+ * File buttons are routed here by shareFile() in file-management.js.
+ */
+
+(function() {
+    'use strict';
+
+    const TARGET_FIELDS = {
+        content: 'content_id',
+        file: 'file_id',
+        group: 'group_id'
+    };
+
+    let recipientsLoaded = false;
+
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('.share-content-btn, .share-group-btn');
+        if (!button) return;
+
+        e.preventDefault();
+        const type = button.classList.contains('share-content-btn') ? 'content' : 'group';
+        openShareDialog(type, button.getAttribute('data-id'));
+    });
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const recipientType = document.getElementById('shareRecipientType');
+        if (!recipientType) return;
+
+        recipientType.addEventListener('change', updateRecipientFields);
+        document.getElementById('shareSubmitBtn').addEventListener('click', createShare);
+        document.getElementById('shareResultList').addEventListener('click', function(e) {
+            const copyBtn = e.target.closest('[data-share-url]');
+            if (copyBtn) copyToClipboard(copyBtn.getAttribute('data-share-url'), copyBtn);
+        });
+    });
+
+    /**
+     * Open the share modal for an item
+     */
+    function openShareDialog(type, id) {
+        const modalEl = document.getElementById('shareModal');
+        if (!modalEl) return;
+
+        document.getElementById('shareTargetType').value = type;
+        document.getElementById('shareTargetId').value = id;
+        document.getElementById('shareForm').reset();
+        document.getElementById('shareForm').classList.remove('d-none');
+        document.getElementById('shareResult').classList.add('d-none');
+        document.getElementById('shareError').classList.add('d-none');
+        document.getElementById('shareSubmitBtn').classList.remove('d-none');
+        updateRecipientFields();
+
+        bootstrap.Modal.getOrCreateInstance(modalEl).show();
+        loadRecipients();
+    }
+
+    function updateRecipientFields() {
+        const value = document.getElementById('shareRecipientType').value;
+        document.getElementById('shareContactWrapper').classList.toggle('d-none', value !== 'contact');
+        document.getElementById('shareContactGroupWrapper').classList.toggle('d-none', value !== 'contact_group');
+        document.getElementById('shareNotifyWrapper').classList.toggle('d-none', value === 'public');
+    }
+
+    /**
+     * Populate contact and contact group selects once per page load
+     */
+    async function loadRecipients() {
+        if (recipientsLoaded) return;
+
+        try {
+            const [contactsRes, groupsRes] = await Promise.all([
+                fetch('/contacts/search?q=', { credentials: 'same-origin' }),
+                fetch('/contacts/groups', { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+            ]);
+            const contacts = contactsRes.ok ? await contactsRes.json() : [];
+            const groupsData = groupsRes.ok ? await groupsRes.json() : { groups: [] };
+
+            fillSelect('shareContactSelect', contacts, 'No contacts yet');
+            fillSelect('shareContactGroupSelect', groupsData.groups || [], 'No contact groups yet');
+            recipientsLoaded = true;
+        } catch (error) {
+            console.error('Failed to load share recipients:', error);
+        }
+    }
+
+    function fillSelect(id, items, emptyLabel) {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        if (items.length === 0) {
+            select.add(new Option(emptyLabel, ''));
+            return;
+        }
+        items
+            .slice()
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .forEach(item => select.add(new Option(item.name || '(unnamed)', item.id)));
+    }
+
+    /**
+     * Submit the share form
+     */
+    async function createShare() {
+        const type = document.getElementById('shareTargetType').value;
+        const recipientType = document.getElementById('shareRecipientType').value;
+        const payload = {
+            [TARGET_FIELDS[type]]: document.getElementById('shareTargetId').value,
+            expires_in_days: parseInt(document.getElementById('shareExpiry').value, 10),
+            password: document.getElementById('sharePassword').value || undefined,
+            message: document.getElementById('shareMessage').value.trim() || undefined
+        };
+
+        if (recipientType === 'contact') {
+            payload.contact_id = document.getElementById('shareContactSelect').value;
+        } else if (recipientType === 'contact_group') {
+            payload.contact_group_id = document.getElementById('shareContactGroupSelect').value;
+        }
+        if (recipientType !== 'public') {
+            if (!payload.contact_id && !payload.contact_group_id) {
+                return showError('Please choose a recipient');
+            }
+            payload.notify = document.getElementById('shareNotify').checked;
+        }
+
+        const submitBtn = document.getElementById('shareSubmitBtn');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch('/shares', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                const detail = data.details && data.details.length ? data.details[0].msg : null;
+                throw new Error(detail || data.error || 'Failed to create share link');
+            }
+            showResult(data.shares);
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    function showResult(shares) {
+        const contactSelect = document.getElementById('shareContactSelect');
+        const names = {};
+        Array.from(contactSelect.options).forEach(opt => { names[opt.value] = opt.text; });
+
+        const list = document.getElementById('shareResultList');
+        list.innerHTML = '';
+        shares.forEach(share => {
+            const li = document.createElement('li');
+            li.className = 'list-group-item d-flex align-items-center gap-2';
+
+            const label = document.createElement('div');
+            label.className = 'flex-grow-1 text-truncate';
+            label.textContent = share.contact_id ? (names[share.contact_id] || 'Contact') : share.url;
+            if (share.notified) label.textContent += ' (emailed)';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-primary btn-sm';
+            button.setAttribute('data-share-url', share.url);
+            button.innerHTML = '<i class="bi bi-clipboard"></i>';
+
+            li.appendChild(label);
+            li.appendChild(button);
+            list.appendChild(li);
+        });
+
+        document.getElementById('shareForm').classList.add('d-none');
+        document.getElementById('shareSubmitBtn').classList.add('d-none');
+        document.getElementById('shareError').classList.add('d-none');
+        document.getElementById('shareResult').classList.remove('d-none');
+
+        if (shares.length === 1) copyToClipboard(shares[0].url);
+    }
+
+    function showError(message) {
+        const el = document.getElementById('shareError');
+        el.textContent = message;
+        el.classList.remove('d-none');
+    }
+
+    function copyToClipboard(text, button) {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(text).then(function() {
+            if (button) button.innerHTML = '<i class="bi bi-check2"></i>';
+        }).catch(function(err) {
+            console.error('Failed to copy:', err);
+        });
+    }
+
+    window.openShareDialog = openShareDialog;
+})();
@@ -0,0 +1,119 @@
+/**
+ * Shared Links Management JavaScript
+ * Handles copy, revoke and activity log actions on the /shares page
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.addEventListener('click', function(e) {
+        const copyBtn = e.target.closest('.copy-share-link-btn');
+        if (copyBtn) {
+            copyShareLink(copyBtn.getAttribute('data-path'));
+            return;
+        }
+
+        const revokeBtn = e.target.closest('.revoke-share-btn');
+        if (revokeBtn) {
+            revokeShare(revokeBtn.getAttribute('data-id'), revokeBtn);
+            return;
+        }
+
+        const logsBtn = e.target.closest('.share-logs-btn');
+        if (logsBtn) {
+            showShareLogs(logsBtn.getAttribute('data-id'));
+        }
+    });
+});
+
+/**
+ * Copy the absolute URL of a share link
+ */
+function copyShareLink(path) {
+    const url = window.location.origin + path;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url)
+            .then(() => showSharesAlert('success', 'Share link copied to clipboard'))
+            .catch(() => window.prompt('Copy this link:', url));
+    } else {
+        window.prompt('Copy this link:', url);
+    }
+}
+
+/**
+ * Revoke a share link
+ */
+async function revokeShare(shareId, button) {
+    if (!confirm('Revoke this link? Anyone using it will lose access immediately.')) return;
+
+    try {
+        const response = await fetch(`/shares/${shareId}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to revoke share link');
+        }
+
+        const row = button.closest('tr');
+        const status = row.querySelector('.share-status');
+        status.textContent = 'revoked';
+        status.classList.remove('bg-success');
+        status.classList.add('bg-secondary');
+        button.remove();
+        showSharesAlert('success', 'Share link revoked');
+    } catch (error) {
+        showSharesAlert('danger', error.message);
+    }
+}
+
+/**
+ * Show the ShareLog activity of a link
+ */
+async function showShareLogs(shareId) {
+    const body = document.getElementById('shareLogsModalBody');
+    body.innerHTML = '<div class="text-center py-3"><div class="spinner-border text-primary"></div></div>';
+    new bootstrap.Modal(document.getElementById('shareLogsModal')).show();
+
+    try {
+        const response = await fetch(`/shares/${shareId}/logs`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to load activity');
+        }
+
+        if (data.logs.length === 0) {
+            body.innerHTML = '<p class="text-muted mb-0">No activity recorded yet.</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            <table class="table table-sm mb-0">
+                <thead><tr><th>When</th><th>Action</th><th>Recipient</th><th>IP</th></tr></thead>
+                <tbody>
+                    ${data.logs.map(log => `
+                        <tr>
+                            <td>${escapeHtml(new Date(log.createdAt).toLocaleString())}</td>
+                            <td><span class="badge bg-light text-dark border">${escapeHtml(log.action || 'created')}</span></td>
+                            <td>${log.contact ? escapeHtml(log.contact.name) : '<span class="text-muted">-</span>'}</td>
+                            <td><small class="text-muted">${escapeHtml(log.client_ip || '')}</small></td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        body.innerHTML = `<div class="alert alert-danger mb-0">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function showSharesAlert(type, message) {
+    const container = document.getElementById('sharesAlert');
+    container.innerHTML = `<div class="alert alert-${type} alert-dismissible fade show" role="alert">
+        ${escapeHtml(message)}
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+    </div>`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,150 @@
+/**
+ * Smart Collections JavaScript
+ * Saves the content list filters as a smart collection and edits, reorders
+ * and deletes smart collections on the collections page.
+ */
+
+const SMART_FILTER_FIELDS = ['search', 'tag', 'content_type', 'from', 'to', 'status'];
+
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('smartCollectionForm');
+    if (!form) return;
+
+    const saveBtn = document.getElementById('saveSmartCollectionBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', function() {
+            openSmartCollectionForm(null, readListFilters());
+        });
+    }
+
+    document.addEventListener('click', function(e) {
+        const editBtn = e.target.closest('.edit-smart-collection-btn');
+        if (editBtn) {
+            const collection = JSON.parse(editBtn.getAttribute('data-collection'));
+            openSmartCollectionForm(collection, collection.filters);
+        }
+    });
+
+    form.addEventListener('submit', saveSmartCollection);
+    document.getElementById('smartCollectionDelete').addEventListener('click', deleteSmartCollection);
+    setupSmartCollectionReorder();
+});
+
+/**
+ * JSON request helper that surfaces the server's error message
+ */
+async function smartCollectionRequest(url, method, payload) {
+    const response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: payload ? JSON.stringify(payload) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        const detail = data.details && data.details.length ? data.details[0].msg : null;
+        throw new Error(detail || data.error || 'Request failed');
+    }
+    return data;
+}
+
+/**
+ * Current values of the content list filter form
+ */
+function readListFilters() {
+    const filterForm = document.getElementById('filterForm');
+    const filters = {};
+    SMART_FILTER_FIELDS.forEach(name => {
+        const field = filterForm && filterForm.elements[name];
+        const value = field ? field.value.trim() : '';
+        if (value && value !== 'all') filters[name] = value;
+    });
+    return filters;
+}
+
+function openSmartCollectionForm(collection, filters) {
+    const form = document.getElementById('smartCollectionForm');
+    form.setAttribute('data-collection-id', collection ? collection.id : '');
+    document.getElementById('smartCollectionModalTitle').textContent = collection ? 'Edit Smart Collection' : 'Save as Smart Collection';
+    document.getElementById('smartName').value = collection ? collection.name : (filters.search || filters.tag || '');
+    document.getElementById('smartShowCount').checked = collection ? collection.show_count : true;
+    document.getElementById('smartNotifyEmail').checked = collection ? collection.notify_email : false;
+    document.getElementById('smartCollectionDelete').classList.toggle('d-none', !collection);
+    document.getElementById('smartCollectionError').classList.add('d-none');
+
+    form.querySelectorAll('[data-filter]').forEach(field => {
+        field.value = filters[field.getAttribute('data-filter')] || '';
+    });
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('smartCollectionModal')).show();
+}
+
+async function saveSmartCollection(e) {
+    e.preventDefault();
+    const form = e.target;
+    const errorEl = document.getElementById('smartCollectionError');
+    errorEl.classList.add('d-none');
+
+    const filters = {};
+    form.querySelectorAll('[data-filter]').forEach(field => {
+        if (field.value.trim()) filters[field.getAttribute('data-filter')] = field.value.trim();
+    });
+    const payload = {
+        name: document.getElementById('smartName').value.trim(),
+        filters,
+        show_count: document.getElementById('smartShowCount').checked,
+        notify_email: document.getElementById('smartNotifyEmail').checked
+    };
+
+    const editId = form.getAttribute('data-collection-id');
+    try {
+        if (editId) {
+            await smartCollectionRequest(`/content/smart-collections/${editId}`, 'PUT', payload);
+            window.location.reload();
+        } else {
+            const data = await smartCollectionRequest('/content/smart-collections', 'POST', payload);
+            window.location.href = `/content/smart-collections/${data.collection.id}/open`;
+        }
+    } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.classList.remove('d-none');
+    }
+}
+
+async function deleteSmartCollection() {
+    const id = document.getElementById('smartCollectionForm').getAttribute('data-collection-id');
+    if (!id || !confirm('Delete this smart collection? The matching items themselves are kept.')) return;
+
+    try {
+        await smartCollectionRequest(`/content/smart-collections/${id}`, 'DELETE');
+        window.location.reload();
+    } catch (error) {
+        const errorEl = document.getElementById('smartCollectionError');
+        errorEl.textContent = error.message;
+        errorEl.classList.remove('d-none');
+    }
+}
+
+/**
+ * Move smart collections up/down on the collections page
+ */
+function setupSmartCollectionReorder() {
+    document.addEventListener('click', async function(e) {
+        const button = e.target.closest('.move-smart-collection-btn');
+        if (!button) return;
+
+        const items = Array.from(document.querySelectorAll('#smartCollectionList .smart-collection-item'));
+        const ordered = items.map(el => el.getAttribute('data-collection-id'));
+        const index = ordered.indexOf(button.closest('.smart-collection-item').getAttribute('data-collection-id'));
+        const target = index + parseInt(button.getAttribute('data-direction'), 10);
+        if (target < 0 || target >= ordered.length) return;
+
+        ordered.splice(target, 0, ordered.splice(index, 1)[0]);
+        try {
+            await smartCollectionRequest('/content/smart-collections/reorder', 'POST', { ordered_ids: ordered });
+            window.location.reload();
+        } catch (error) {
+            showGroupsAlert('danger', error.message); // from content-groups.js
+        }
+    });
+}
@@ -1,5 +1,8 @@
-// Use shared configuration for nginx proxy detection
-const IS_NGINX_PROXY = window.DaySaveConfig?.IS_NGINX_PROXY || false;
+// Use shared configuration for nginx proxy detection. Not a top-level const:
+// ai-analysis.js and file-management.js declare IS_NGINX_PROXY on the same pages.
+function isNginxProxy() {
+  return window.DaySaveConfig?.IS_NGINX_PROXY || false;
+}
 
 /**
  * Enhanced Status Button System
@@ -14,8 +17,59 @@ function getCorrectUrl(path) {
 $(document).ready(function() {
   console.log('🔄 Status Button System: Initializing...');
   initializeStatusButtons();
+  if ($('.analysis-status-btn').length > 0) {
+    connectProgressStream();
+  }
 });
 
+/**
+ * Live analysis progress over Server-Sent Events (GET /api/progress/stream).
+ * The browser reconnects on its own after network errors.
+ */
+function connectProgressStream() {
+  if (!window.EventSource) {
+    console.log('⚠️ EventSource not supported, status buttons will not update live');
+    return;
+  }
+  
+  const source = new EventSource(getCorrectUrl('/api/progress/stream'));
+  source.addEventListener('analysis', function(e) {
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch (error) {
+      return;
+    }
+    handleProgressEvent(event);
+  });
+  source.onerror = function() {
+    console.log('🔌 Progress stream disconnected, reconnecting...');
+  };
+  $(window).on('beforeunload', function() {
+    source.close();
+  });
+}
+
+function handleProgressEvent(event) {
+  const $button = $(`#status-btn-${event.itemId}`);
+  if ($button.length === 0) return;
+  
+  // Cached details are stale once anything changes
+  $button.removeData('analysis-response');
+  
+  if (event.status === 'completed' || event.status === 'failed') {
+    $button.removeData('live');
+    setStatusButtonState(event.itemId, event.status, event.progress || 0);
+    // Fetch the saved results so the button and modal show the outcome
+    updateStatusButton(event.itemId, event.itemType);
+    return;
+  }
+  
+  $button.data('live', true);
+  setStatusButtonState(event.itemId, event.status, event.progress || 0);
+  $button.attr('title', event.stageLabel ? `${event.stageLabel}${event.message ? ': ' + event.message : ''}` : '');
+}
+
 function initializeStatusButtons() {
   console.log('🔄 Initializing enhanced status buttons...');
   
@@ -44,7 +98,7 @@ function initializeStatusButtons() {
 
 function updateStatusButton(contentId, itemType) {
   // Skip status updates when using nginx proxy to avoid auth issues
-  if (IS_NGINX_PROXY) {
+  if (isNginxProxy()) {
     console.log('🔧 Status Buttons: Skipping status update for nginx proxy to avoid auth issues');
     return;
   }
@@ -67,42 +121,20 @@ function updateStatusButton(contentId, itemType) {
         const $button = $(`#status-btn-${contentId}`);
         $button.data('analysis-response', response);
         
-        // Store previous status to detect changes
-        const prevStatus = $button.data('prev-status');
-        const prevProgress = $button.data('prev-progress') || 0;
-        const pollCount = $button.data('poll-count') || 0;
+        // A job the stream reports as running is fresher than saved results
+        if ($button.data('live') && status !== 'completed' && status !== 'analysed') {
+          return;
+        }
         
+        const prevStatus = $button.data('prev-status');
         $button.data('prev-status', status);
-        $button.data('prev-progress', progress);
-        $button.data('poll-count', pollCount + 1);
         
         setStatusButtonState(contentId, status, progress);
         
-        // Only log significant status changes
-        if (prevStatus !== status || (status === 'processing' && Math.abs((prevProgress || 0) - progress) >= 10)) {
+        if (prevStatus !== status) {
           console.log(`✅ Status updated for ${contentId.substring(0,8)}: ${status} (${progress}%)`);
         }
-        
-        // If still processing or waiting, check again (with enhanced limits)
-        if ((status === 'processing' || status === 'waiting') && pollCount < 8) {
-          // If status hasn't changed for 2 polls, increase interval dramatically
-          const noChange = (prevStatus === status && prevProgress === progress && pollCount >= 2);
-          const stuckTooLong = pollCount >= 5; // If polling 5+ times, probably stuck
-          
-          if (stuckTooLong) {
-            console.log(`⏹️ Stopping polling for ${contentId.substring(0,8)} - likely stuck at ${status} (${progress}%)`);
-          } else {
-            const interval = noChange ? 20000 : 6000; // 20s if no change, 6s if changing
-            setTimeout(() => {
-              updateStatusButton(contentId, itemType);
-            }, interval);
-          }
-        } else if (status === 'incomplete' || status === 'analysed' || status === 'completed') {
-          // Stop polling for completed or failed items
-          console.log(`⏹️ Stopping polling for ${contentId.substring(0,8)} - status: ${status}`);
-        } else if (pollCount >= 8) {
-          console.log(`⏹️ Stopping polling for ${contentId.substring(0,8)} - reached limit (${pollCount} attempts)`);
-        }
+        // Further changes arrive over the progress stream
       } else {
         setStatusButtonState(contentId, 'waiting', 0);
         console.log(`⚠️ No analysis data for ${contentId.substring(0,8)}, setting to waiting`);
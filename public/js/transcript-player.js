@@ -0,0 +1,286 @@
+/**
+ * Transcript Player
+ * Timestamped transcript lines on the analysis page: the line being spoken
+ * is highlighted while the media plays, and clicking a line seeks to it
+ * (or opens the YouTube video at that time for saved links). In edit mode
+ * lines become editable; saved corrections are kept as revisions.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const container = document.getElementById('transcriptLines');
+    if (!container) return;
+
+    const media = document.getElementById('transcriptMedia');
+    const lines = Array.from(container.querySelectorAll('.transcript-line'));
+
+    container.addEventListener('click', function(e) {
+        if (container.classList.contains('editing')) return;
+        const line = e.target.closest('.transcript-line');
+        if (line) transcriptSeek(line, media, container.dataset.seekUrl);
+    });
+    container.addEventListener('keydown', function(e) {
+        const line = e.target.closest('.transcript-line');
+        if (container.classList.contains('editing')) {
+            // One line per entry: Enter finishes the line instead of breaking it
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.target.blur();
+            }
+            return;
+        }
+        if (!line || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        transcriptSeek(line, media, container.dataset.seekUrl);
+    });
+
+    if (media) {
+        media.addEventListener('timeupdate', function() {
+            transcriptHighlight(container, lines, media.currentTime);
+        });
+    }
+
+    if (container.dataset.transcriptUrl) initTranscriptEditor(container, lines);
+});
+
+function transcriptSeek(line, media, seekUrl) {
+    const start = parseFloat(line.dataset.start) || 0;
+    if (media) {
+        media.currentTime = start;
+        media.play().catch(function() {});
+        return;
+    }
+    if (seekUrl) {
+        const url = new URL(seekUrl);
+        url.searchParams.set('t', `${Math.floor(start)}s`);
+        window.open(url.toString(), '_blank', 'noopener');
+    }
+}
+
+// Last line that started at or before the current time
+function transcriptCurrentLine(lines, time) {
+    let current = null;
+    for (const line of lines) {
+        if (parseFloat(line.dataset.start) > time) break;
+        current = line;
+    }
+    return current;
+}
+
+function transcriptHighlight(container, lines, time) {
+    const current = transcriptCurrentLine(lines, time);
+    const previous = container.querySelector('.transcript-line.active');
+    if (current === previous) return;
+    if (previous) previous.classList.remove('active');
+    if (!current) return;
+    current.classList.add('active');
+
+    // Keep the active line visible without scrolling the whole page
+    const top = current.offsetTop - container.offsetTop;
+    if (top < container.scrollTop || top + current.offsetHeight > container.scrollTop + container.clientHeight) {
+        container.scrollTop = top - container.clientHeight / 3;
+    }
+}
+
+// ===== Editing =====
+
+function escapeTranscriptHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+async function transcriptRequest(url, method = 'GET', payload) {
+    const options = { method, credentials: 'include', headers: {} };
+    if (payload !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(payload);
+    }
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+function transcriptStatus(id, message, isError) {
+    const status = document.getElementById(id);
+    if (!status) return;
+    status.textContent = message || '';
+    status.className = `small ms-2 ${isError ? 'text-danger' : 'text-muted'}`;
+}
+
+function initTranscriptEditor(container, lines) {
+    const base = container.dataset.transcriptUrl;
+    const editButton = document.getElementById('transcriptEditBtn');
+    const editBar = document.getElementById('transcriptEditBar');
+    const regeneratePanel = document.getElementById('transcriptRegenerate');
+
+    if (editButton && editBar) {
+        editButton.addEventListener('click', function() {
+            transcriptSetEditing(container, lines, editBar, !container.classList.contains('editing'));
+        });
+        document.getElementById('transcriptCancelBtn').addEventListener('click', function() {
+            lines.forEach(function(line) {
+                const text = line.querySelector('.transcript-text');
+                text.textContent = text.dataset.original;
+            });
+            transcriptSetEditing(container, lines, editBar, false);
+        });
+        document.getElementById('transcriptSaveBtn').addEventListener('click', function() {
+            transcriptSaveEdits(container, lines, base, editBar, regeneratePanel);
+        });
+        editBar.querySelectorAll('[data-rename-speaker]').forEach(function(button) {
+            button.addEventListener('click', function() {
+                transcriptRenameSpeaker(button.closest('.transcript-speaker-rename'), base);
+            });
+        });
+    }
+
+    if (regeneratePanel) {
+        document.getElementById('transcriptRegenerateBtn').addEventListener('click', function() {
+            transcriptRegenerate(regeneratePanel, base);
+        });
+        document.getElementById('transcriptRegenerateSkip').addEventListener('click', function() {
+            window.location.reload();
+        });
+    }
+
+    const historyButton = document.getElementById('transcriptHistoryBtn');
+    if (historyButton) {
+        historyButton.addEventListener('click', function() {
+            const history = document.getElementById('transcriptHistory');
+            history.classList.toggle('d-none');
+            if (!history.classList.contains('d-none')) transcriptLoadHistory(base);
+        });
+    }
+}
+
+function transcriptSetEditing(container, lines, editBar, editing) {
+    container.classList.toggle('editing', editing);
+    editBar.classList.toggle('d-none', !editing);
+    lines.forEach(function(line) {
+        const text = line.querySelector('.transcript-text');
+        if (editing) {
+            text.dataset.original = text.textContent;
+            text.setAttribute('contenteditable', 'true');
+            text.setAttribute('spellcheck', 'true');
+        } else {
+            text.removeAttribute('contenteditable');
+        }
+    });
+    transcriptStatus('transcriptEditStatus', '');
+}
+
+async function transcriptSaveEdits(container, lines, base, editBar, regeneratePanel) {
+    const edits = [];
+    lines.forEach(function(line) {
+        const text = line.querySelector('.transcript-text');
+        const corrected = text.textContent.replace(/\s+/g, ' ').trim();
+        if (corrected !== text.dataset.original.trim()) {
+            edits.push({ index: parseInt(line.dataset.index, 10), text: corrected });
+        }
+    });
+    if (edits.length === 0) {
+        transcriptStatus('transcriptEditStatus', 'Nothing has changed.');
+        return;
+    }
+
+    const saveButton = document.getElementById('transcriptSaveBtn');
+    saveButton.disabled = true;
+    transcriptStatus('transcriptEditStatus', 'Saving...');
+    try {
+        await transcriptRequest(base, 'PUT', {
+            edits,
+            base_revision: parseInt(container.dataset.revision, 10) || 0
+        });
+        transcriptSetEditing(container, lines, editBar, false);
+        if (regeneratePanel) {
+            regeneratePanel.classList.remove('d-none');
+        } else {
+            window.location.reload();
+        }
+    } catch (error) {
+        transcriptStatus('transcriptEditStatus', error.message, true);
+    } finally {
+        saveButton.disabled = false;
+    }
+}
+
+async function transcriptRegenerate(panel, base) {
+    const fields = Array.from(panel.querySelectorAll('input[type="checkbox"]:checked')).map(function(input) {
+        return input.value;
+    });
+    if (fields.length === 0) {
+        window.location.reload();
+        return;
+    }
+
+    const button = document.getElementById('transcriptRegenerateBtn');
+    button.disabled = true;
+    transcriptStatus('transcriptRegenerateStatus', 'Updating from the corrected transcript...');
+    try {
+        await transcriptRequest(`${base}/regenerate`, 'POST', { fields });
+        window.location.reload();
+    } catch (error) {
+        transcriptStatus('transcriptRegenerateStatus', error.message, true);
+        button.disabled = false;
+    }
+}
+
+async function transcriptRenameSpeaker(group, base) {
+    const input = group.querySelector('input');
+    const name = input.value.trim();
+    if (!name) return;
+
+    const button = group.querySelector('[data-rename-speaker]');
+    button.disabled = true;
+    try {
+        await transcriptRequest(`${base}/speakers/${encodeURIComponent(group.dataset.speakerTag)}`, 'PUT', { name });
+        window.location.reload();
+    } catch (error) {
+        transcriptStatus('transcriptEditStatus', error.message, true);
+        button.disabled = false;
+    }
+}
+
+async function transcriptLoadHistory(base) {
+    const list = document.getElementById('transcriptHistoryList');
+    list.innerHTML = '<li class="list-group-item text-muted">Loading...</li>';
+    try {
+        const data = await transcriptRequest(`${base}/revisions`);
+        if (data.revisions.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No corrections yet.</li>';
+            return;
+        }
+        const labels = { original: 'Original', edit: 'Corrected', restore: 'Restored', reanalysis: 'Re-analyzed' };
+        list.innerHTML = data.revisions.map(function(revision, position) {
+            const restore = position === 0 ? '<span class="badge bg-secondary">Current</span>'
+                : `<button type="button" class="btn btn-sm btn-outline-secondary" data-restore-revision="${revision.revision}">Restore</button>`;
+            return `<li class="list-group-item d-flex justify-content-between align-items-center">
+                <span><strong>#${revision.revision}</strong> ${escapeTranscriptHtml(labels[revision.changeType] || revision.changeType)}
+                ${revision.note ? `&middot; ${escapeTranscriptHtml(revision.note)}` : ''}
+                <span class="text-muted">&middot; ${escapeTranscriptHtml(new Date(revision.createdAt).toLocaleString())}</span></span>
+                ${restore}
+            </li>`;
+        }).join('');
+        list.querySelectorAll('[data-restore-revision]').forEach(function(button) {
+            button.addEventListener('click', function() {
+                transcriptRestoreRevision(base, button);
+            });
+        });
+    } catch (error) {
+        list.innerHTML = `<li class="list-group-item text-danger">${escapeTranscriptHtml(error.message)}</li>`;
+    }
+}
+
+async function transcriptRestoreRevision(base, button) {
+    const revision = button.dataset.restoreRevision;
+    if (!confirm(`Restore revision #${revision}? The current text is kept in the history.`)) return;
+    button.disabled = true;
+    try {
+        await transcriptRequest(`${base}/revisions/${revision}/restore`, 'POST');
+        window.location.reload();
+    } catch (error) {
+        button.disabled = false;
+        alert(error.message);
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * Webhooks JavaScript
+ * Lists webhook endpoints, handles create/edit/toggle/delete and secret
+ * rotation, and shows the delivery log with manual redelivery.
+ */
+
+const STATUS_COLORS = { pending: 'secondary', retrying: 'warning', succeeded: 'success', failed: 'danger' };
+
+let webhookEndpoints = [];
+
+document.addEventListener('DOMContentLoaded', function() {
+    setupWebhookForm();
+    document.getElementById('copySecretBtn').addEventListener('click', function() {
+        navigator.clipboard.writeText(document.getElementById('secretValue').textContent);
+    });
+    loadEndpoints();
+});
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * JSON request helper that surfaces the server's error message
+ */
+async function webhookRequest(url, method = 'GET', payload) {
+    const response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: payload ? JSON.stringify(payload) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        const detail = data.details && data.details.length ? data.details[0].msg : null;
+        throw new Error(detail || data.error || 'Request failed');
+    }
+    return data;
+}
+
+async function loadEndpoints() {
+    try {
+        const data = await webhookRequest('/webhooks/api');
+        webhookEndpoints = data.endpoints;
+        renderEndpoints();
+    } catch (error) {
+        showWebhookAlert('danger', 'Failed to load webhooks: ' + error.message);
+    }
+}
+
+function renderEndpoints() {
+    const list = document.getElementById('webhookList');
+    if (webhookEndpoints.length === 0) {
+        list.innerHTML = `
+            <div class="text-center text-muted py-5">
+                <i class="bi bi-broadcast display-4"></i>
+                <p class="mt-3">No webhook endpoints yet.</p>
+            </div>`;
+        return;
+    }
+
+    list.innerHTML = '';
+    webhookEndpoints.forEach(endpoint => {
+        const card = document.createElement('div');
+        card.className = 'card mb-3';
+        const events = endpoint.events.includes('*') ? ['all events'] : endpoint.events;
+        card.innerHTML = `
+            <div class="card-body">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="me-3">
+                        <div class="webhook-url fw-semibold">${escapeHtml(endpoint.url)}</div>
+                        ${endpoint.description ? `<div class="text-muted small">${escapeHtml(endpoint.description)}</div>` : ''}
+                        <div class="mt-2">
+                            <span class="badge bg-${endpoint.enabled ? 'success' : 'secondary'}">${endpoint.enabled ? 'Enabled' : 'Disabled'}</span>
+                            ${endpoint.api_key ? `<span class="badge bg-info text-dark"><i class="bi bi-key"></i> ${escapeHtml(endpoint.api_key.name)}</span>` : ''}
+                            ${events.map(event => `<span class="badge bg-light text-dark border">${escapeHtml(event)}</span>`).join(' ')}
+                        </div>
+                        <div class="small text-muted mt-2">
+                            Last successful delivery: ${endpoint.last_delivery_at ? new Date(endpoint.last_delivery_at).toLocaleString() : 'never'}
+                            ${endpoint.consecutive_failures ? ` · <span class="text-danger">${endpoint.consecutive_failures} failed in a row</span>` : ''}
+                        </div>
+                    </div>
+                    <div class="btn-group btn-group-sm flex-shrink-0">
+                        <button class="btn btn-outline-primary" data-action="deliveries" title="Deliveries"><i class="bi bi-list-ul"></i></button>
+                        <button class="btn btn-outline-secondary" data-action="edit" title="Edit"><i class="bi bi-pencil"></i></button>
+                        <button class="btn btn-outline-${endpoint.enabled ? 'warning' : 'success'}" data-action="toggle" title="${endpoint.enabled ? 'Disable' : 'Enable'}">
+                            <i class="bi bi-${endpoint.enabled ? 'pause' : 'play'}"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" data-action="rotate" title="Rotate secret"><i class="bi bi-arrow-repeat"></i></button>
+                        <button class="btn btn-outline-danger" data-action="delete" title="Delete"><i class="bi bi-trash"></i></button>
+                    </div>
+                </div>
+            </div>`;
+        card.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => handleEndpointAction(button.getAttribute('data-action'), endpoint));
+        });
+        list.appendChild(card);
+    });
+}
+
+async function handleEndpointAction(action, endpoint) {
+    try {
+        if (action === 'deliveries') {
+            await showDeliveries(endpoint);
+        } else if (action === 'edit') {
+            openWebhookForm(endpoint);
+        } else if (action === 'toggle') {
+            await webhookRequest(`/webhooks/${endpoint.id}`, 'PUT', { enabled: !endpoint.enabled });
+            await loadEndpoints();
+        } else if (action === 'rotate') {
+            if (!confirm('Issue a new secret? The current secret stops working immediately.')) return;
+            const data = await webhookRequest(`/webhooks/${endpoint.id}/rotate-secret`, 'POST');
+            showSecret(data.secret);
+        } else if (action === 'delete') {
+            if (!confirm('Delete this endpoint and its delivery log?')) return;
+            await webhookRequest(`/webhooks/${endpoint.id}`, 'DELETE');
+            await loadEndpoints();
+        }
+    } catch (error) {
+        showWebhookAlert('danger', error.message);
+    }
+}
+
+function setupWebhookForm() {
+    const allEvents = document.getElementById('webhookAllEvents');
+    const eventBoxes = document.querySelectorAll('.webhook-event');
+    allEvents.addEventListener('change', () => eventBoxes.forEach(box => { box.disabled = allEvents.checked; }));
+    eventBoxes.forEach(box => { box.disabled = allEvents.checked; });
+
+    document.getElementById('newWebhookBtn').addEventListener('click', () => openWebhookForm(null));
+
+    document.getElementById('webhookForm').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        const id = document.getElementById('webhookId').value;
+        const payload = {
+            url: document.getElementById('webhookUrl').value.trim(),
+            description: document.getElementById('webhookDescription').value.trim(),
+            events: allEvents.checked ? ['*'] : Array.from(eventBoxes).filter(box => box.checked).map(box => box.value)
+        };
+        if (!allEvents.checked && payload.events.length === 0) {
+            showWebhookAlert('warning', 'Choose at least one event.');
+            return;
+        }
+        if (!id) {
+            payload.api_key_id = document.getElementById('webhookApiKey').value || null;
+        }
+
+        try {
+            const data = await webhookRequest(id ? `/webhooks/${id}` : '/webhooks', id ? 'PUT' : 'POST', payload);
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('webhookModal')).hide();
+            await loadEndpoints();
+            if (data.secret) showSecret(data.secret);
+        } catch (error) {
+            showWebhookAlert('danger', error.message);
+        }
+    });
+}
+
+function openWebhookForm(endpoint) {
+    const allEvents = document.getElementById('webhookAllEvents');
+    const subscribed = endpoint ? endpoint.events : ['*'];
+    document.getElementById('webhookModalTitle').textContent = endpoint ? 'Edit endpoint' : 'Add endpoint';
+    document.getElementById('webhookId').value = endpoint ? endpoint.id : '';
+    document.getElementById('webhookUrl').value = endpoint ? endpoint.url : '';
+    document.getElementById('webhookDescription').value = endpoint ? endpoint.description || '' : '';
+    document.getElementById('webhookApiKey').value = endpoint && endpoint.api_key ? endpoint.api_key.id : '';
+    // The key an endpoint is bound to is fixed once created
+    document.getElementById('webhookApiKey').disabled = !!endpoint;
+    allEvents.checked = subscribed.includes('*');
+    document.querySelectorAll('.webhook-event').forEach(box => {
+        box.checked = subscribed.includes(box.value);
+        box.disabled = allEvents.checked;
+    });
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('webhookModal')).show();
+}
+
+function showSecret(secret) {
+    document.getElementById('secretValue').textContent = secret;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('secretModal')).show();
+}
+
+async function showDeliveries(endpoint) {
+    const body = document.getElementById('deliveriesBody');
+    body.innerHTML = '<div class="text-center py-4"><div class="spinner-border text-primary"></div></div>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('deliveriesModal')).show();
+
+    const { deliveries } = await webhookRequest(`/webhooks/${endpoint.id}/deliveries`);
+    if (deliveries.length === 0) {
+        body.innerHTML = '<p class="text-muted text-center py-4">No deliveries yet.</p>';
+        return;
+    }
+
+    body.innerHTML = `
+        <div class="table-responsive">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr><th>Event</th><th>Status</th><th>Attempts</th><th>Response</th><th>Created</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>`;
+    const tbody = body.querySelector('tbody');
+    deliveries.forEach(delivery => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><code>${escapeHtml(delivery.event)}</code>${delivery.redelivery_of_id ? ' <span class="badge bg-light text-dark border">redelivery</span>' : ''}</td>
+            <td><span class="badge bg-${STATUS_COLORS[delivery.status]}">${escapeHtml(delivery.status)}</span></td>
+            <td>${delivery.attempt_count}${delivery.next_attempt_at ? `<div class="small text-muted">next ${new Date(delivery.next_attempt_at).toLocaleString()}</div>` : ''}</td>
+            <td>${delivery.response_status ? `HTTP ${delivery.response_status}` : ''}
+                ${delivery.error_message ? `<div class="small text-danger">${escapeHtml(delivery.error_message)}</div>` : ''}
+                ${delivery.duration_ms != null ? `<div class="small text-muted">${delivery.duration_ms} ms</div>` : ''}</td>
+            <td class="small">${new Date(delivery.createdAt).toLocaleString()}</td>
+            <td class="text-end text-nowrap">
+                <button class="btn btn-sm btn-outline-secondary" data-action="payload"><i class="bi bi-code"></i></button>
+                <button class="btn btn-sm btn-outline-primary" data-action="redeliver"><i class="bi bi-send"></i> Redeliver</button>
+            </td>`;
+        const detail = document.createElement('tr');
+        detail.className = 'd-none';
+        detail.innerHTML = `<td colspan="6"><pre class="delivery-payload mb-0"></pre></td>`;
+        detail.querySelector('pre').textContent = JSON.stringify(delivery.payload, null, 2) +
+            (delivery.response_body ? `\n\n--- response ---\n${delivery.response_body}` : '');
+
+        row.querySelector('[data-action="payload"]').addEventListener('click', () => detail.classList.toggle('d-none'));
+        row.querySelector('[data-action="redeliver"]').addEventListener('click', async function() {
+            this.disabled = true;
+            try {
+                const data = await webhookRequest(`/webhooks/deliveries/${delivery.id}/redeliver`, 'POST');
+                showWebhookAlert(data.delivery.status === 'succeeded' ? 'success' : 'warning',
+                    `Redelivery ${data.delivery.status}${data.delivery.error_message ? ': ' + data.delivery.error_message : ''}`);
+                await showDeliveries(endpoint);
+                await loadEndpoints();
+            } catch (error) {
+                showWebhookAlert('danger', error.message);
+                this.disabled = false;
+            }
+        });
+        tbody.appendChild(row);
+        tbody.appendChild(detail);
+    });
+}
+
+function showWebhookAlert(type, message) {
+    const container = document.getElementById('webhookAlert');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.setAttribute('data-bs-dismiss', 'alert');
+    alert.appendChild(close);
+    container.innerHTML = '';
+    container.appendChild(alert);
+}
@@ -0,0 +1,146 @@
+const {
+  VideoAnalysis,
+  AudioAnalysis,
+  ImageAnalysis,
+  ProcessingJob,
+  Thumbnail,
+  OCRCaption
+} = require('../../../models');
+const thumbnailUrl = require('../../../utils/thumbnail-url');
+
+/**
+ * Analysis results and processing status for /api/v1 content and files
+ *
+ * Both Content and File rows carry the AI fields directly (transcription,
+ * summary, tags ...) and link to the detailed analysis tables through
+ * content_id / file_id, so one loader serves both item kinds.
+ */
+
+const ownerWhere = (kind, item, userId) => (kind === 'file'
+  ? { file_id: item.id, user_id: userId }
+  : { content_id: item.id, user_id: userId });
+
+const serializeJob = (job) => job && {
+  id: job.id,
+  job_type: job.job_type,
+  status: job.status,
+  progress: job.progress,
+  current_stage: job.current_stage,
+  error: job.status === 'failed' ? (job.error_details?.message || 'Processing failed') : null,
+  started_at: job.started_at,
+  completed_at: job.completed_at,
+  created_at: job.createdAt
+};
+
+/**
+ * Full analysis payload for one item
+ * @param {string} kind - 'content' or 'file'
+ * @param {Object} item - Content or File record owned by userId
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object>} Analysis results
+ */
+async function loadAnalysis(kind, item, userId) {
+  const where = ownerWhere(kind, item, userId);
+  const [video, audio, image, thumbnails, captions, latestJob] = await Promise.all([
+    VideoAnalysis.findOne({ where }),
+    AudioAnalysis.findOne({ where }),
+    ImageAnalysis.findOne({ where }),
+    Thumbnail.findAll({ where, order: [['timestamp_seconds', 'ASC']], limit: 50 }),
+    OCRCaption.findAll({ where, order: [['timestamp_seconds', 'ASC']], limit: 200 }),
+    ProcessingJob.findOne({ where, order: [['createdAt', 'DESC']] })
+  ]);
+
+  let mediaType = null;
+  if (video) mediaType = 'video';
+  else if (audio) mediaType = 'audio';
+  else if (image) mediaType = 'image';
+
+  return {
+    media_type: mediaType,
+    generated_title: item.generated_title || null,
+    summary: item.summary || null,
+    transcription: item.transcription || null,
+    sentiment: item.sentiment || null,
+    auto_tags: item.auto_tags || [],
+    category: item.category || null,
+    video: video && {
+      duration: video.duration,
+      resolution: video.resolution,
+      objects_detected: video.objects_detected,
+      scene_detection: video.scene_detection,
+      status: video.status
+    },
+    audio: audio && {
+      duration: audio.duration,
+      transcription_results: audio.transcription_results,
+      speaker_analysis: audio.speaker_analysis,
+      language_detection: audio.language_detection,
+      status: audio.status
+    },
+    image: image && {
+      ai_description: image.ai_description,
+      object_detection: image.object_detection,
+      label_detection: image.label_detection,
+      ocr_results: image.ocr_results,
+      status: image.status
+    },
+    thumbnails: thumbnails.map(t => ({
+      id: t.id,
+      type: t.thumbnail_type,
+      url: thumbnailUrl(t.file_path),
+      timestamp_seconds: t.timestamp_seconds
+    })),
+    ocr_captions: captions.map(c => ({
+      text: c.text,
+      confidence: c.confidence,
+      timestamp_seconds: c.timestamp_seconds
+    })),
+    latest_job: serializeJob(latestJob)
+  };
+}
+
+/**
+ * Lightweight processing status for polling clients
+ * @param {string} kind - 'content' or 'file'
+ * @param {Object} item - Content or File record owned by userId
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object>} { status, progress, features, jobs }
+ */
+async function loadStatus(kind, item, userId) {
+  const where = ownerWhere(kind, item, userId);
+  const [jobs, thumbnailCount] = await Promise.all([
+    ProcessingJob.findAll({ where, order: [['createdAt', 'DESC']], limit: 5 }),
+    Thumbnail.count({ where })
+  ]);
+
+  const features = {
+    title: !!item.generated_title,
+    summary: !!(item.summary && item.summary.length > 10),
+    transcription: !!(item.transcription && item.transcription.length > 10),
+    tags: !!(item.auto_tags && item.auto_tags.length),
+    sentiment: !!item.sentiment,
+    thumbnails: thumbnailCount > 0
+  };
+
+  const latest = jobs[0];
+  const completed = Object.values(features).filter(Boolean).length;
+  let status;
+  let progress;
+  if (latest && ['pending', 'processing', 'retrying'].includes(latest.status)) {
+    status = latest.status === 'pending' ? 'queued' : 'processing';
+    progress = latest.progress || 0;
+  } else if (latest && latest.status === 'failed') {
+    status = 'failed';
+    progress = latest.progress || 0;
+  } else if (features.summary || features.transcription || features.title) {
+    status = 'analysed';
+    progress = 100;
+  } else {
+    status = completed > 0 ? 'processing' : 'waiting';
+    progress = Math.round((completed / Object.keys(features).length) * 100);
+  }
+
+  return { status, progress, features, jobs: jobs.map(serializeJob) };
+}
+
+module.exports = { loadAnalysis, loadStatus };
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { Op } = require('sequelize');
+const { Contact, ContactGroup, ContactGroupMember } = require('../../../models');
+const { logAuthEvent } = require('../../../config/logger');
+const subscriptionService = require('../../../services/subscriptionService');
+const {
+  sendData, sendList, sendError, parsePagination, paginationRules, idParam,
+  validationFailed, sendServerError, apiUserId
+} = require('./helpers');
+
+/**
+ * Contact endpoints (mounted at /api/v1/contacts, scope "/api/v1/contacts")
+ *
+ *   GET    /                  - List contacts (page, per_page, search)
+ *   POST   /                  - Create a contact
+ *   GET    /groups            - List contact groups with member counts
+ *   GET    /groups/:id        - One contact group with its members
+ *   GET    /:id               - One contact
+ *   PATCH  /:id               - Update a contact
+ *   DELETE /:id               - Delete a contact
+ *
+ * Multi-value fields (emails, phones, addresses ...) are arrays of objects such
+ * as { label, value }, the same shape the contact form stores.
+ */
+
+const SCALAR_FIELDS = ['name', 'nickname', 'organization', 'job_title'];
+const LIST_FIELDS = ['emails', 'phones', 'addresses', 'social_profiles', 'instant_messages', 'urls', 'dates', 'notes'];
+
+// Keep only flat string properties of each list entry
+function cleanEntries(entries) {
+  return entries
+    .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+    .map(entry => Object.fromEntries(Object.entries(entry)
+      .filter(([, value]) => typeof value === 'string' && value.trim())
+      .map(([key, value]) => [key.slice(0, 50), value.trim().slice(0, 2000)])))
+    .filter(entry => Object.keys(entry).length > 0);
+}
+
+function contactAttributes(payload) {
+  const data = {};
+  SCALAR_FIELDS.forEach(field => {
+    if (payload[field] !== undefined) data[field] = payload[field] === null ? '' : payload[field].trim();
+  });
+  LIST_FIELDS.forEach(field => {
+    if (payload[field] !== undefined) data[field] = cleanEntries(payload[field]);
+  });
+  return data;
+}
+
+function serializeContact(contact) {
+  const data = { id: contact.id };
+  SCALAR_FIELDS.forEach(field => { data[field] = contact[field] || null; });
+  LIST_FIELDS.forEach(field => { data[field] = contact[field] || []; });
+  data.group_ids = (contact.ContactGroupMembers || []).map(m => m.group_id);
+  data.created_at = contact.createdAt;
+  data.updated_at = contact.updatedAt;
+  return data;
+}
+
+const contactRules = (requireName) => [
+  requireName
+    ? body('name').isString().trim().notEmpty().withMessage('name is required').isLength({ max: 255 })
+    : body('name').optional().isString().trim().notEmpty().withMessage('name cannot be empty').isLength({ max: 255 }),
+  ...SCALAR_FIELDS.filter(f => f !== 'name').map(f => body(f).optional({ nullable: true }).isString().isLength({ max: 255 })),
+  ...LIST_FIELDS.map(f => body(f).optional().isArray({ max: 50 }).withMessage(`${f} must be an array`))
+];
+
+async function findOwnedContact(req) {
+  return Contact.findOne({
+    where: { id: req.params.id, user_id: apiUserId(req) },
+    include: [{ model: ContactGroupMember, attributes: ['group_id'], required: false }]
+  });
+}
+
+router.get('/', paginationRules, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const { page, perPage, offset } = parsePagination(req.query);
+    const where = { user_id: apiUserId(req) };
+    if (req.query.search) {
+      const like = { [Op.like]: `%${req.query.search}%` };
+      where[Op.or] = [{ name: like }, { nickname: like }, { organization: like }];
+    }
+
+    const { count, rows } = await Contact.findAndCountAll({
+      where,
+      include: [{ model: ContactGroupMember, attributes: ['group_id'], required: false }],
+      order: [['name', 'ASC']],
+      limit: perPage,
+      offset,
+      distinct: true
+    });
+
+    sendList(req, res, rows.map(serializeContact), { page, perPage, total: count });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_LIST_ERROR', error);
+  }
+});
+
+router.post('/', contactRules(true), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    const usage = await subscriptionService.checkUsageLimit(userId, 'contacts', 1);
+    if (!usage.allowed) {
+      return sendError(req, res, 403, 'Contact limit reached for the current subscription plan');
+    }
+
+    const contact = await Contact.create({ ...contactAttributes(req.body), user_id: userId });
+    await subscriptionService.updateUsage(userId, 'contacts', 1);
+
+    logAuthEvent('API_V1_CONTACT_CREATED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'contact',
+      targetId: contact.id
+    });
+    sendData(req, res, serializeContact(contact), 201);
+  } catch (error) {
+    if (error.message === 'No active subscription found') {
+      return sendError(req, res, 403, error.message);
+    }
+    sendServerError(req, res, 'API_V1_CONTACT_CREATE_ERROR', error);
+  }
+});
+
+router.get('/groups', async (req, res) => {
+  try {
+    const groups = await ContactGroup.findAll({
+      where: { user_id: apiUserId(req) },
+      include: [{ model: ContactGroupMember, attributes: ['contact_id'] }],
+      order: [['name', 'ASC']]
+    });
+    sendData(req, res, groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      member_count: group.ContactGroupMembers.length,
+      created_at: group.createdAt
+    })));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_GROUP_LIST_ERROR', error);
+  }
+});
+
+router.get('/groups/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const group = await ContactGroup.findOne({
+      where: { id: req.params.id, user_id: apiUserId(req) },
+      include: [{ model: ContactGroupMember, include: [{ model: Contact, attributes: ['id', 'name', 'organization'] }] }]
+    });
+    if (!group) return sendError(req, res, 404, 'Contact group not found');
+
+    sendData(req, res, {
+      id: group.id,
+      name: group.name,
+      members: group.ContactGroupMembers.filter(m => m.Contact).map(m => ({
+        id: m.Contact.id,
+        name: m.Contact.name,
+        organization: m.Contact.organization
+      })),
+      created_at: group.createdAt
+    });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_GROUP_GET_ERROR', error);
+  }
+});
+
+router.get('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const contact = await findOwnedContact(req);
+    if (!contact) return sendError(req, res, 404, 'Contact not found');
+    sendData(req, res, serializeContact(contact));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_GET_ERROR', error);
+  }
+});
+
+router.patch('/:id', [idParam(), ...contactRules(false)], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const contact = await findOwnedContact(req);
+    if (!contact) return sendError(req, res, 404, 'Contact not found');
+
+    const updates = contactAttributes(req.body);
+    await contact.update(updates);
+
+    logAuthEvent('API_V1_CONTACT_UPDATED', {
+      userId: contact.user_id,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'contact',
+      targetId: contact.id,
+      fields: Object.keys(updates)
+    });
+    sendData(req, res, serializeContact(contact));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_UPDATE_ERROR', error);
+  }
+});
+
+router.delete('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const contact = await findOwnedContact(req);
+    if (!contact) return sendError(req, res, 404, 'Contact not found');
+
+    await contact.destroy();
+    logAuthEvent('API_V1_CONTACT_DELETED', {
+      userId: contact.user_id,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'contact',
+      targetId: contact.id
+    });
+    sendData(req, res, { id: contact.id, deleted: true });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTACT_DELETE_ERROR', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { Content, ContentGroupMember } = require('../../../models');
+const { logAuthEvent } = require('../../../config/logger');
+const logger = require('../../../config/logger');
+const subscriptionService = require('../../../services/subscriptionService');
+const contentGroupService = require('../../../services/contentGroupService');
+const searchService = require('../../../services/searchService');
+const webhookService = require('../../../services/webhookService');
+const { queueMultimediaAnalysis } = require('../../../services/contentAnalysisService');
+const { ContentTypeDetector } = require('../../../scripts/populate-content-types');
+const { loadAnalysis, loadStatus } = require('./analysis');
+const {
+  sendData, sendList, sendError, parsePagination, paginationRules, idParam, tagList,
+  validationFailed, sendServerError, apiUserId
+} = require('./helpers');
+
+/**
+ * Content endpoints (mounted at /api/v1/content, scope "/api/v1/content")
+ *
+ *   GET    /                  - List content (page, per_page, search, content_type, group, sort)
+ *   POST   /                  - Save a URL and start AI analysis
+ *   GET    /:id               - One content item
+ *   PATCH  /:id               - Update comments, tags, category or collections
+ *   DELETE /:id               - Delete a content item
+ *   GET    /:id/analysis      - Analysis results
+ *   GET    /:id/status        - Processing status
+ */
+
+const SORTS = {
+  created_at: [['createdAt', 'ASC']],
+  '-created_at': [['createdAt', 'DESC']],
+  updated_at: [['updatedAt', 'ASC']],
+  '-updated_at': [['updatedAt', 'DESC']]
+};
+
+function serializeContent(item, { full = false } = {}) {
+  const data = {
+    id: item.id,
+    url: item.url,
+    title: item.generated_title || item.metadata?.title || item.url,
+    content_type: item.content_type,
+    category: item.category,
+    summary: item.summary,
+    user_comments: item.user_comments,
+    user_tags: item.user_tags || [],
+    auto_tags: item.auto_tags || [],
+    created_at: item.createdAt,
+    updated_at: item.updatedAt
+  };
+  if (full) {
+    data.transcription = item.transcription;
+    data.sentiment = item.sentiment;
+    data.metadata = item.metadata;
+    data.location = item.location;
+    data.group_ids = (item.ContentGroupMembers || []).map(m => m.group_id);
+  }
+  return data;
+}
+
+async function findOwnedContent(req) {
+  return Content.findOne({
+    where: { id: req.params.id, user_id: apiUserId(req) },
+    include: [{ model: ContentGroupMember, attributes: ['group_id'], required: false }]
+  });
+}
+
+router.get('/', [
+  ...paginationRules,
+  query('content_type').optional().isString().isLength({ max: 50 }),
+  query('group').optional().isUUID().withMessage('group must be a UUID'),
+  query('sort').optional().isIn(Object.keys(SORTS)).withMessage(`sort must be one of ${Object.keys(SORTS).join(', ')}`)
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const userId = apiUserId(req);
+    const { page, perPage, offset } = parsePagination(req.query);
+    const conditions = [{ user_id: userId }];
+
+    if (req.query.search) {
+      // Same query syntax and sources as the search page
+      const { docs } = await searchService.rank(userId, req.query.search, { itemType: 'content' });
+      conditions.push({ id: { [Op.in]: docs.map(doc => doc.id) } });
+    }
+    if (req.query.content_type) {
+      conditions.push({ content_type: req.query.content_type });
+    }
+    if (req.query.group) {
+      const { contentIds } = await contentGroupService.getGroupItemIds(userId, req.query.group);
+      conditions.push({ id: { [Op.in]: contentIds } });
+    }
+
+    const { count, rows } = await Content.findAndCountAll({
+      where: { [Op.and]: conditions },
+      order: SORTS[req.query.sort || '-created_at'],
+      limit: perPage,
+      offset
+    });
+
+    sendList(req, res, rows.map(item => serializeContent(item)), { page, perPage, total: count });
+  } catch (error) {
+    if (error.message === 'Content group not found') {
+      return sendError(req, res, 404, error.message);
+    }
+    sendServerError(req, res, 'API_V1_CONTENT_LIST_ERROR', error);
+  }
+});
+
+router.post('/', [
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('url must be an http(s) URL'),
+  body('user_comments').optional().isString().isLength({ max: 5000 }),
+  ...tagList('user_tags'),
+  body('group_ids').optional().isArray({ max: 100 }).withMessage('group_ids must be an array'),
+  body('group_ids.*').optional().isUUID().withMessage('group_ids must contain UUIDs')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    const usage = await subscriptionService.checkUsageLimit(userId, 'content_items', 1);
+    if (!usage.allowed) {
+      return sendError(req, res, 403, 'Content item limit reached for the current subscription plan');
+    }
+
+    const { url, user_comments, user_tags, group_ids } = req.body;
+    const detector = new ContentTypeDetector();
+    const content = await Content.create({
+      user_id: userId,
+      url,
+      user_comments: user_comments || '',
+      user_tags: Array.isArray(user_tags) ? user_tags : [],
+      content_type: detector.detectFromUrl(url) || 'unknown'
+    });
+
+    if (Array.isArray(group_ids) && group_ids.length) {
+      await contentGroupService.setItemGroups(userId, { contentId: content.id }, group_ids);
+    }
+
+    await subscriptionService.updateUsage(userId, 'content_items', 1);
+    logger.user.contentAdd(userId, content.id, url, 'api');
+    logAuthEvent('API_V1_CONTENT_CREATED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content',
+      targetId: content.id
+    });
+    webhookService.emit(userId, 'content.created', {
+      content: { id: content.id, url, content_type: content.content_type, source: 'api' }
+    }, { apiKeyId: req.apiKeyAuth.apiKey.id });
+
+    // Analysis is queued exactly like content saved from the UI
+    await queueMultimediaAnalysis(content, { id: userId }, { apiKeyId: req.apiKeyAuth.apiKey.id, reason: 'api' });
+
+    sendData(req, res, serializeContent(content), 201);
+  } catch (error) {
+    if (error.message === 'No active subscription found') {
+      return sendError(req, res, 403, error.message);
+    }
+    sendServerError(req, res, 'API_V1_CONTENT_CREATE_ERROR', error);
+  }
+});
+
+router.get('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const content = await findOwnedContent(req);
+    if (!content) return sendError(req, res, 404, 'Content not found');
+    sendData(req, res, serializeContent(content, { full: true }));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTENT_GET_ERROR', error);
+  }
+});
+
+router.patch('/:id', [
+  idParam(),
+  body('user_comments').optional({ nullable: true }).isString().isLength({ max: 5000 }),
+  body('category').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  ...tagList('user_tags'),
+  body('group_ids').optional().isArray({ max: 100 }).withMessage('group_ids must be an array'),
+  body('group_ids.*').optional().isUUID().withMessage('group_ids must contain UUIDs')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const content = await findOwnedContent(req);
+    if (!content) return sendError(req, res, 404, 'Content not found');
+
+    const updates = {};
+    ['user_comments', 'user_tags', 'category'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    await content.update(updates);
+
+    if (req.body.group_ids !== undefined) {
+      await contentGroupService.setItemGroups(content.user_id, { contentId: content.id }, req.body.group_ids);
+    }
+
+    logAuthEvent('API_V1_CONTENT_UPDATED', {
+      userId: content.user_id,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content',
+      targetId: content.id,
+      fields: Object.keys(updates)
+    });
+    sendData(req, res, serializeContent(await findOwnedContent(req), { full: true }));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTENT_UPDATE_ERROR', error);
+  }
+});
+
+router.delete('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const content = await findOwnedContent(req);
+    if (!content) return sendError(req, res, 404, 'Content not found');
+
+    await content.destroy();
+    logAuthEvent('API_V1_CONTENT_DELETED', {
+      userId: content.user_id,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content',
+      targetId: content.id
+    });
+    sendData(req, res, { id: content.id, deleted: true });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTENT_DELETE_ERROR', error);
+  }
+});
+
+router.get('/:id/analysis', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const content = await findOwnedContent(req);
+    if (!content) return sendError(req, res, 404, 'Content not found');
+    sendData(req, res, { id: content.id, ...(await loadAnalysis('content', content, content.user_id)) });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTENT_ANALYSIS_ERROR', error);
+  }
+});
+
+router.get('/:id/status', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const content = await findOwnedContent(req);
+    if (!content) return sendError(req, res, 404, 'Content not found');
+    sendData(req, res, { id: content.id, ...(await loadStatus('content', content, content.user_id)) });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_CONTENT_STATUS_ERROR', error);
+  }
+});
+
+module.exports = router;
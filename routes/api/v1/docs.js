@@ -0,0 +1,202 @@
+/**
+ * Documentation for the /api/v1 operations
+ *
+ * services/openApiService.js discovers the mounted routes and looks up their
+ * summary, parameters and schemas here by "METHOD /path" (Express syntax,
+ * relative to /api/v1). A route without an entry is still published, with a
+ * placeholder summary, so the document never drifts from what is mounted.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const uuid = str({ format: 'uuid' });
+const date = str({ format: 'date-time' });
+const tags = { type: 'array', items: str() };
+const labelled = { type: 'array', items: { type: 'object', additionalProperties: str() } };
+
+const queryParam = (name, description, schema = str()) => ({ name, in: 'query', required: false, description, schema });
+const searchParam = queryParam('search', 'Case-insensitive substring match');
+const itemSearchParam = queryParam('search', 'Search query: words, "phrases", field:value (title, tag, speaker, transcript, ocr, object, summary, comment, source), -exclusions and type:. Matches transcripts, OCR text, detected objects and speaker names');
+const groupParam = queryParam('group', 'Only items in this collection (including sub-collections)', uuid);
+const contentTypeParam = queryParam('content_type', 'Detected content type, e.g. video, article, image');
+
+const schemas = {
+  Meta: { type: 'object', properties: { request_id: str({ description: 'Matches the request_id of the ApiKeyUsage entry' }) } },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      per_page: { type: 'integer' },
+      total: { type: 'integer' },
+      total_pages: { type: 'integer' },
+      has_next: { type: 'boolean' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: {
+        type: 'object',
+        properties: {
+          code: str({ enum: ['validation_failed', 'unauthorized', 'forbidden', 'not_found', 'method_not_allowed', 'conflict', 'rate_limited', 'internal_error'] }),
+          message: str(),
+          details: { type: 'array', items: { type: 'object', properties: { field: str(), message: str() } } }
+        }
+      },
+      meta: ref('Meta')
+    }
+  },
+  Content: {
+    type: 'object',
+    properties: {
+      id: uuid, url: str(), title: str(), content_type: str(), category: str({ nullable: true }),
+      summary: str({ nullable: true }), user_comments: str(), user_tags: tags, auto_tags: tags,
+      transcription: str({ nullable: true, description: 'Detail view only' }),
+      sentiment: { type: 'object', nullable: true, description: 'Detail view only' },
+      metadata: { type: 'object', description: 'Detail view only' },
+      group_ids: { type: 'array', items: uuid, description: 'Detail view only' },
+      created_at: date, updated_at: date
+    }
+  },
+  ContentInput: {
+    type: 'object',
+    required: ['url'],
+    properties: { url: str({ format: 'uri', example: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }), user_comments: str(), user_tags: tags, group_ids: { type: 'array', items: uuid } }
+  },
+  ContentUpdate: {
+    type: 'object',
+    properties: { user_comments: str(), user_tags: tags, category: str(), group_ids: { type: 'array', items: uuid } }
+  },
+  File: {
+    type: 'object',
+    properties: {
+      id: uuid, filename: str(), title: str(), content_type: str(), mimetype: str(), size: { type: 'integer' },
+      category: str({ nullable: true }), summary: str({ nullable: true }), user_comments: str(), user_tags: tags, auto_tags: tags,
+      download_url: str({ description: 'Detail view only' }),
+      group_ids: { type: 'array', items: uuid, description: 'Detail view only' },
+      created_at: date, updated_at: date
+    }
+  },
+  FileUpdate: {
+    type: 'object',
+    properties: { user_comments: str(), user_tags: tags, category: str(), group_ids: { type: 'array', items: uuid } }
+  },
+  Contact: {
+    type: 'object',
+    properties: {
+      id: uuid, name: str(), nickname: str(), organization: str(), job_title: str(),
+      emails: labelled, phones: labelled, addresses: labelled, social_profiles: labelled,
+      instant_messages: labelled, urls: labelled, dates: labelled, notes: labelled,
+      group_ids: { type: 'array', items: uuid }, created_at: date, updated_at: date
+    }
+  },
+  ContactInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: str({ example: 'Ada Lovelace' }), nickname: str(), organization: str(), job_title: str(),
+      emails: { ...labelled, example: [{ label: 'work', value: 'ada@example.com' }] }, phones: labelled, addresses: labelled,
+      social_profiles: labelled, instant_messages: labelled, urls: labelled, dates: labelled, notes: labelled
+    }
+  },
+  ContactGroup: {
+    type: 'object',
+    properties: {
+      id: uuid, name: str(), member_count: { type: 'integer' },
+      members: { type: 'array', items: { type: 'object', properties: { id: uuid, name: str(), organization: str() } } },
+      created_at: date
+    }
+  },
+  ContentGroup: {
+    type: 'object',
+    properties: {
+      id: uuid, name: str(), description: str({ nullable: true }), parent_id: { ...uuid, nullable: true },
+      position: { type: 'integer' }, cover_thumbnail_id: { ...uuid, nullable: true }, cover_url: str({ nullable: true }),
+      member_count: { type: 'integer' }, children: { type: 'array', items: { type: 'object' } },
+      created_at: date, updated_at: date
+    }
+  },
+  ContentGroupInput: {
+    type: 'object',
+    properties: { name: str({ example: 'Reading list' }), description: str(), parent_id: { ...uuid, nullable: true }, cover_thumbnail_id: uuid }
+  },
+  GroupMember: {
+    type: 'object',
+    properties: {
+      member_id: uuid, position: { type: 'integer' }, item_type: str({ enum: ['content', 'file'] }), id: uuid,
+      title: str(), url: str({ nullable: true }), filename: str({ nullable: true }), content_type: str(),
+      thumbnail_url: str({ nullable: true }), created_at: date
+    }
+  },
+  MemberItems: {
+    type: 'object',
+    properties: { content_ids: { type: 'array', items: uuid }, file_ids: { type: 'array', items: uuid } }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: uuid, job_type: str(), status: str(), progress: { type: 'integer' }, current_stage: str({ nullable: true }),
+      error: str({ nullable: true }), started_at: date, completed_at: date, created_at: date
+    }
+  },
+  Analysis: {
+    type: 'object',
+    properties: {
+      id: uuid, media_type: str({ enum: ['video', 'audio', 'image'], nullable: true }),
+      generated_title: str({ nullable: true }), summary: str({ nullable: true }), transcription: str({ nullable: true }),
+      sentiment: { type: 'object', nullable: true }, auto_tags: tags, category: str({ nullable: true }),
+      video: { type: 'object', nullable: true }, audio: { type: 'object', nullable: true }, image: { type: 'object', nullable: true },
+      thumbnails: { type: 'array', items: { type: 'object', properties: { id: uuid, type: str(), url: str(), timestamp_seconds: { type: 'number' } } } },
+      ocr_captions: { type: 'array', items: { type: 'object', properties: { text: str(), confidence: { type: 'number' }, timestamp_seconds: { type: 'number' } } } },
+      latest_job: { ...ref('Job'), nullable: true }
+    }
+  },
+  ProcessingStatus: {
+    type: 'object',
+    properties: {
+      id: uuid,
+      status: str({ enum: ['waiting', 'queued', 'processing', 'analysed', 'failed'] }),
+      progress: { type: 'integer' },
+      features: { type: 'object', additionalProperties: { type: 'boolean' } },
+      jobs: arrayOf('Job')
+    }
+  },
+  Deleted: { type: 'object', properties: { id: uuid, deleted: { type: 'boolean' } } }
+};
+
+const operations = {
+  'GET /content': { tag: 'Content', summary: 'List content', paginated: true, params: [itemSearchParam, contentTypeParam, groupParam, queryParam('sort', 'Sort order', str({ enum: ['-created_at', 'created_at', '-updated_at', 'updated_at'] }))], response: arrayOf('Content') },
+  'POST /content': { tag: 'Content', summary: 'Save a URL and start AI analysis', body: 'ContentInput', response: ref('Content'), status: 201 },
+  'GET /content/:id': { tag: 'Content', summary: 'Get a content item', response: ref('Content') },
+  'PATCH /content/:id': { tag: 'Content', summary: 'Update a content item', body: 'ContentUpdate', response: ref('Content') },
+  'DELETE /content/:id': { tag: 'Content', summary: 'Delete a content item', response: ref('Deleted') },
+  'GET /content/:id/analysis': { tag: 'Content', summary: 'Analysis results for a content item', response: ref('Analysis') },
+  'GET /content/:id/status': { tag: 'Content', summary: 'Processing status for a content item', response: ref('ProcessingStatus') },
+
+  'GET /files': { tag: 'Files', summary: 'List files', paginated: true, params: [itemSearchParam, contentTypeParam, groupParam], response: arrayOf('File') },
+  'GET /files/:id': { tag: 'Files', summary: 'Get a file with a download URL', response: ref('File') },
+  'PATCH /files/:id': { tag: 'Files', summary: 'Update a file', body: 'FileUpdate', response: ref('File') },
+  'GET /files/:id/analysis': { tag: 'Files', summary: 'Analysis results for a file', response: ref('Analysis') },
+  'GET /files/:id/status': { tag: 'Files', summary: 'Processing status for a file', response: ref('ProcessingStatus') },
+
+  'GET /contacts': { tag: 'Contacts', summary: 'List contacts', paginated: true, params: [searchParam], response: arrayOf('Contact') },
+  'POST /contacts': { tag: 'Contacts', summary: 'Create a contact', body: 'ContactInput', response: ref('Contact'), status: 201 },
+  'GET /contacts/groups': { tag: 'Contacts', summary: 'List contact groups', response: arrayOf('ContactGroup') },
+  'GET /contacts/groups/:id': { tag: 'Contacts', summary: 'Get a contact group with members', response: ref('ContactGroup') },
+  'GET /contacts/:id': { tag: 'Contacts', summary: 'Get a contact', response: ref('Contact') },
+  'PATCH /contacts/:id': { tag: 'Contacts', summary: 'Update a contact', body: 'ContactInput', response: ref('Contact') },
+  'DELETE /contacts/:id': { tag: 'Contacts', summary: 'Delete a contact', response: ref('Deleted') },
+
+  'GET /groups': { tag: 'Collections', summary: 'List collections', params: [queryParam('tree', 'Nest sub-collections under children', str({ enum: ['1'] }))], response: arrayOf('ContentGroup') },
+  'POST /groups': { tag: 'Collections', summary: 'Create a collection', body: 'ContentGroupInput', response: ref('ContentGroup'), status: 201 },
+  'GET /groups/:id': { tag: 'Collections', summary: 'Get a collection with its sub-collections', response: ref('ContentGroup') },
+  'PATCH /groups/:id': { tag: 'Collections', summary: 'Rename, describe, move or set a cover', body: 'ContentGroupInput', response: ref('ContentGroup') },
+  'DELETE /groups/:id': { tag: 'Collections', summary: 'Delete a collection (items are kept)', response: ref('Deleted') },
+  'GET /groups/:id/members': { tag: 'Collections', summary: 'Members of a collection in order', response: arrayOf('GroupMember') },
+  'POST /groups/:id/members': { tag: 'Collections', summary: 'Add content and files', body: 'MemberItems', response: { type: 'object', properties: { added: { type: 'integer' }, skipped: { type: 'integer' } } } },
+  'DELETE /groups/:id/members': { tag: 'Collections', summary: 'Remove content and files', body: 'MemberItems', response: { type: 'object', properties: { removed: { type: 'integer' } } } }
+};
+
+module.exports = { schemas, operations };
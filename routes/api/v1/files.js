@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { File, ContentGroupMember } = require('../../../models');
+const { logAuthEvent } = require('../../../config/logger');
+const contentGroupService = require('../../../services/contentGroupService');
+const searchService = require('../../../services/searchService');
+const FileUploadService = require('../../../services/fileUpload');
+const { loadAnalysis, loadStatus } = require('./analysis');
+const {
+  sendData, sendList, sendError, parsePagination, paginationRules, idParam, tagList,
+  validationFailed, sendServerError, apiUserId
+} = require('./helpers');
+
+/**
+ * File endpoints (mounted at /api/v1/files, scope "/api/v1/files")
+ *
+ *   GET    /                  - List files (page, per_page, search, content_type, group)
+ *   GET    /:id               - One file, including a download URL
+ *   PATCH  /:id               - Update comments, tags or collections
+ *   GET    /:id/analysis      - Analysis results
+ *   GET    /:id/status        - Processing status
+ *
+ * Uploads stay on the multipart /files/upload form for now.
+ */
+
+function serializeFile(file, { full = false } = {}) {
+  const data = {
+    id: file.id,
+    filename: file.filename,
+    title: file.generated_title || file.filename,
+    content_type: file.content_type,
+    mimetype: file.metadata?.mimetype || null,
+    size: file.metadata?.size || null,
+    category: file.category,
+    summary: file.summary,
+    user_comments: file.user_comments,
+    user_tags: file.user_tags || [],
+    auto_tags: file.auto_tags || [],
+    created_at: file.createdAt,
+    updated_at: file.updatedAt
+  };
+  if (full) {
+    data.transcription = file.transcription;
+    data.sentiment = file.sentiment;
+    data.location = file.location;
+    data.group_ids = (file.ContentGroupMembers || []).map(m => m.group_id);
+  }
+  return data;
+}
+
+async function findOwnedFile(req) {
+  return File.findOne({
+    where: { id: req.params.id, user_id: apiUserId(req) },
+    include: [{ model: ContentGroupMember, attributes: ['group_id'], required: false }]
+  });
+}
+
+router.get('/', [
+  ...paginationRules,
+  query('content_type').optional().isString().isLength({ max: 50 }),
+  query('group').optional().isUUID().withMessage('group must be a UUID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const userId = apiUserId(req);
+    const { page, perPage, offset } = parsePagination(req.query);
+    const conditions = [{ user_id: userId }];
+
+    if (req.query.search) {
+      // Same query syntax and sources as the search page
+      const { docs } = await searchService.rank(userId, req.query.search, { itemType: 'file' });
+      conditions.push({ id: { [Op.in]: docs.map(doc => doc.id) } });
+    }
+    if (req.query.content_type) {
+      conditions.push({ content_type: req.query.content_type });
+    }
+    if (req.query.group) {
+      const { fileIds } = await contentGroupService.getGroupItemIds(userId, req.query.group);
+      conditions.push({ id: { [Op.in]: fileIds } });
+    }
+
+    const { count, rows } = await File.findAndCountAll({
+      where: { [Op.and]: conditions },
+      order: [['createdAt', 'DESC']],
+      limit: perPage,
+      offset
+    });
+
+    sendList(req, res, rows.map(file => serializeFile(file)), { page, perPage, total: count });
+  } catch (error) {
+    if (error.message === 'Content group not found') {
+      return sendError(req, res, 404, error.message);
+    }
+    sendServerError(req, res, 'API_V1_FILE_LIST_ERROR', error);
+  }
+});
+
+router.get('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const file = await findOwnedFile(req);
+    if (!file) return sendError(req, res, 404, 'File not found');
+
+    const data = serializeFile(file, { full: true });
+    data.download_url = await FileUploadService.getFileUrl(file.file_path);
+    sendData(req, res, data);
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_FILE_GET_ERROR', error);
+  }
+});
+
+router.patch('/:id', [
+  idParam(),
+  body('user_comments').optional({ nullable: true }).isString().isLength({ max: 5000 }),
+  body('category').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  ...tagList('user_tags'),
+  body('group_ids').optional().isArray({ max: 100 }).withMessage('group_ids must be an array'),
+  body('group_ids.*').optional().isUUID().withMessage('group_ids must contain UUIDs')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const file = await findOwnedFile(req);
+    if (!file) return sendError(req, res, 404, 'File not found');
+
+    const updates = {};
+    ['user_comments', 'user_tags', 'category'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    await file.update(updates);
+
+    if (req.body.group_ids !== undefined) {
+      await contentGroupService.setItemGroups(file.user_id, { fileId: file.id }, req.body.group_ids);
+    }
+
+    logAuthEvent('API_V1_FILE_UPDATED', {
+      userId: file.user_id,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'file',
+      targetId: file.id,
+      fields: Object.keys(updates)
+    });
+    sendData(req, res, serializeFile(await findOwnedFile(req), { full: true }));
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_FILE_UPDATE_ERROR', error);
+  }
+});
+
+router.get('/:id/analysis', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const file = await findOwnedFile(req);
+    if (!file) return sendError(req, res, 404, 'File not found');
+    sendData(req, res, { id: file.id, ...(await loadAnalysis('file', file, file.user_id)) });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_FILE_ANALYSIS_ERROR', error);
+  }
+});
+
+router.get('/:id/status', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const file = await findOwnedFile(req);
+    if (!file) return sendError(req, res, 404, 'File not found');
+    sendData(req, res, { id: file.id, ...(await loadStatus('file', file, file.user_id)) });
+  } catch (error) {
+    sendServerError(req, res, 'API_V1_FILE_STATUS_ERROR', error);
+  }
+});
+
+module.exports = router;
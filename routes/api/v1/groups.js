@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { logAuthEvent } = require('../../../config/logger');
+const contentGroupService = require('../../../services/contentGroupService');
+const {
+  sendData, sendError, idParam, validationFailed, sendServerError, apiUserId
+} = require('./helpers');
+
+/**
+ * Content group (collection) endpoints (mounted at /api/v1/groups, scope "/api/v1/groups")
+ *
+ *   GET    /                  - All groups, flat (add ?tree=1 for nested children)
+ *   POST   /                  - Create a group
+ *   GET    /:id               - One group with its sub-groups
+ *   PATCH  /:id               - Rename, describe, move or set cover
+ *   DELETE /:id               - Delete a group (items are kept)
+ *   GET    /:id/members       - Mixed Content and File members in order
+ *   POST   /:id/members       - Add members { content_ids, file_ids }
+ *   DELETE /:id/members       - Remove members { content_ids, file_ids }
+ */
+
+const serializeGroup = ({ createdAt, updatedAt, children, ...group }) => ({
+  ...group,
+  ...(children ? { children: children.map(serializeGroup) } : {}),
+  created_at: createdAt,
+  updated_at: updatedAt
+});
+
+function handleServiceError(req, res, error, event) {
+  if (error.message === 'Content group not found') {
+    return sendError(req, res, 404, error.message);
+  }
+  if (error.message === 'A group with this name already exists') {
+    return sendError(req, res, 409, error.message);
+  }
+  if (contentGroupService.isClientError(error)) {
+    return sendError(req, res, 400, error.message);
+  }
+  return sendServerError(req, res, event, error);
+}
+
+const groupFields = [
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  body('parent_id').optional({ nullable: true }).isUUID().withMessage('parent_id must be a UUID'),
+  body('cover_thumbnail_id').optional({ nullable: true }).isUUID().withMessage('cover_thumbnail_id must be a UUID')
+];
+
+const memberFields = [
+  body('content_ids').optional().isArray({ max: contentGroupService.maxBulkItems }).withMessage('content_ids must be an array'),
+  body('content_ids.*').isUUID().withMessage('content_ids must contain UUIDs'),
+  body('file_ids').optional().isArray({ max: contentGroupService.maxBulkItems }).withMessage('file_ids must be an array'),
+  body('file_ids.*').isUUID().withMessage('file_ids must contain UUIDs')
+];
+
+const memberItems = (payload) => ({ contentIds: payload.content_ids || [], fileIds: payload.file_ids || [] });
+
+router.get('/', async (req, res) => {
+  try {
+    const groups = await contentGroupService.listGroups(apiUserId(req));
+    const data = ['1', 'true'].includes(req.query.tree) ? contentGroupService.buildTree(groups) : groups;
+    sendData(req, res, data.map(serializeGroup));
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_LIST_ERROR');
+  }
+});
+
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('name must be between 1 and 255 characters'),
+  ...groupFields
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    const group = await contentGroupService.createGroup(userId, {
+      name: req.body.name,
+      description: req.body.description || null,
+      parentId: req.body.parent_id || null
+    });
+    logAuthEvent('API_V1_GROUP_CREATED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content_group',
+      targetId: group.id
+    });
+    const groups = await contentGroupService.listGroups(userId);
+    sendData(req, res, serializeGroup(groups.find(g => g.id === group.id)), 201);
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_CREATE_ERROR');
+  }
+});
+
+router.get('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const userId = apiUserId(req);
+    await contentGroupService.getOwnedGroup(userId, req.params.id);
+    const groups = await contentGroupService.listGroups(userId);
+    sendData(req, res, {
+      ...serializeGroup(groups.find(g => g.id === req.params.id)),
+      subgroups: groups.filter(g => g.parent_id === req.params.id).map(serializeGroup)
+    });
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_GET_ERROR');
+  }
+});
+
+router.patch('/:id', [
+  idParam(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 255 }).withMessage('name must be between 1 and 255 characters'),
+  ...groupFields
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    await contentGroupService.updateGroup(userId, req.params.id, {
+      name: req.body.name,
+      description: req.body.description,
+      parentId: req.body.parent_id,
+      coverThumbnailId: req.body.cover_thumbnail_id
+    });
+    logAuthEvent('API_V1_GROUP_UPDATED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content_group',
+      targetId: req.params.id
+    });
+    const groups = await contentGroupService.listGroups(userId);
+    sendData(req, res, serializeGroup(groups.find(g => g.id === req.params.id)));
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_UPDATE_ERROR');
+  }
+});
+
+router.delete('/:id', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    await contentGroupService.deleteGroup(userId, req.params.id);
+    logAuthEvent('API_V1_GROUP_DELETED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content_group',
+      targetId: req.params.id
+    });
+    sendData(req, res, { id: req.params.id, deleted: true });
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_DELETE_ERROR');
+  }
+});
+
+router.get('/:id/members', idParam(), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const members = await contentGroupService.getMembers(apiUserId(req), req.params.id);
+    sendData(req, res, members.map(({ createdAt, ...member }) => ({ ...member, created_at: createdAt })));
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_MEMBERS_ERROR');
+  }
+});
+
+router.post('/:id/members', [idParam(), ...memberFields], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    const result = await contentGroupService.addMembers(userId, req.params.id, memberItems(req.body));
+    logAuthEvent('API_V1_GROUP_MEMBERS_ADDED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content_group',
+      targetId: req.params.id,
+      ...result
+    });
+    sendData(req, res, result);
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_ADD_MEMBERS_ERROR');
+  }
+});
+
+router.delete('/:id/members', [idParam(), ...memberFields], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = apiUserId(req);
+  try {
+    const removed = await contentGroupService.removeMembers(userId, req.params.id, memberItems(req.body));
+    logAuthEvent('API_V1_GROUP_MEMBERS_REMOVED', {
+      userId,
+      apiKeyId: req.apiKeyAuth.apiKey.id,
+      targetType: 'content_group',
+      targetId: req.params.id,
+      removed
+    });
+    sendData(req, res, { removed });
+  } catch (error) {
+    handleServiceError(req, res, error, 'API_V1_GROUP_REMOVE_MEMBERS_ERROR');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { logAuthError } = require('../../../config/logger');
+
+/**
+ * Shared helpers for the /api/v1 routes
+ *
+ * Every v1 response uses one of three envelopes:
+ *   success: { success: true, data, meta: { request_id } }
+ *   list:    { success: true, data: [...], pagination: {...}, meta: { request_id } }
+ *   error:   { success: false, error: { code, message, details? }, meta: { request_id } }
+ */
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+const ERROR_CODES = {
+  400: 'validation_failed',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+// Validators shared by the list and item endpoints
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('per_page').optional().isInt({ min: 1, max: MAX_PER_PAGE }).withMessage(`per_page must be between 1 and ${MAX_PER_PAGE}`),
+  query('search').optional().isString().isLength({ max: 200 })
+];
+const idParam = (name = 'id') => param(name).isUUID().withMessage(`${name} must be a UUID`);
+const tagList = (field) => [
+  body(field).optional().isArray({ max: 100 }).withMessage(`${field} must be an array`),
+  body(`${field}.*`).isString().withMessage(`${field} must contain strings`).trim()
+    .isLength({ min: 1, max: 255 }).withMessage(`${field} entries must be 1-255 characters`)
+];
+
+const meta = (req) => ({ request_id: req.requestId || null });
+
+function sendData(req, res, data, status = 200) {
+  return res.status(status).json({ success: true, data, meta: meta(req) });
+}
+
+function sendList(req, res, rows, { page, perPage, total }) {
+  const totalPages = Math.max(1, Math.ceil(total / perPage));
+  return res.json({
+    success: true,
+    data: rows,
+    pagination: { page, per_page: perPage, total, total_pages: totalPages, has_next: page < totalPages },
+    meta: meta(req)
+  });
+}
+
+function sendError(req, res, status, message, details) {
+  const error = { code: ERROR_CODES[status] || 'error', message };
+  if (details) error.details = details;
+  return res.status(status).json({ success: false, error, meta: meta(req) });
+}
+
+/**
+ * Responder for authenticateApiKey's formatError option, so auth failures
+ * use the same error envelope as the handlers
+ */
+function formatAuthError(req, res, status, body) {
+  const details = body.resetTime ? { reset_time: body.resetTime } : undefined;
+  return sendError(req, res, status, body.message || body.error, details);
+}
+
+/**
+ * Parse page / per_page query parameters
+ * @returns {Object} { page, perPage, offset }
+ */
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.per_page, 10) || DEFAULT_PER_PAGE));
+  return { page, perPage, offset: (page - 1) * perPage };
+}
+
+/**
+ * Send a 400 envelope when express-validator found problems
+ * @returns {boolean} true when the response has been sent
+ */
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  sendError(req, res, 400, 'Validation failed', errors.array().map(e => ({ field: e.path, message: e.msg })));
+  return true;
+}
+
+/**
+ * Log an unexpected handler error and answer with a 500 envelope
+ */
+function sendServerError(req, res, event, error) {
+  logAuthError(event, error, {
+    userId: req.apiKeyAuth?.apiKey?.user_id,
+    apiKeyId: req.apiKeyAuth?.apiKey?.id,
+    endpoint: req.originalUrl,
+    method: req.method
+  });
+  return sendError(req, res, 500, 'An unexpected error occurred');
+}
+
+// The API key owner every v1 request acts on behalf of
+const apiUserId = (req) => req.apiKeyAuth.apiKey.user_id;
+
+module.exports = {
+  sendData,
+  sendList,
+  sendError,
+  formatAuthError,
+  parsePagination,
+  paginationRules,
+  idParam,
+  tagList,
+  validationFailed,
+  sendServerError,
+  apiUserId
+};
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, apiKeyCors } = require('../../../middleware/apiKey');
+const { sendError, formatAuthError, sendServerError } = require('./helpers');
+const openApiService = require('../../../services/openApiService');
+const docs = require('./docs');
+const { version } = require('../../../package.json');
+
+/**
+ * Versioned REST API (mounted at /api/v1)
+ *
+ * JSON only and authenticated by API key (Authorization: Bearer, X-API-Key
+ * or ?api_key). Session cookies are ignored; every request acts as the key's
+ * owner. Access is granted per scope in the key's permissions, e.g.
+ * { "/api/v1/content": ["GET"], "/api/v1/content/*": ["GET"] }. A scope only
+ * matches its exact path; paths below it need an explicit "<scope>/*" pattern.
+ *
+ *   /content   - Content items, analysis results and processing status
+ *   /files     - Uploaded files, analysis results and processing status
+ *   /contacts  - Contacts and contact groups
+ *   /groups    - Content groups (collections)
+ *
+ * GET /openapi.json is public and describes the routes mounted below.
+ */
+
+const resources = {
+  '/content': require('./content'),
+  '/files': require('./files'),
+  '/contacts': require('./contacts'),
+  '/groups': require('./groups')
+};
+
+router.use(apiKeyCors);
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiService.buildSpec(resources, docs, {
+    serverUrl: `${req.protocol}://${req.get('host')}`,
+    version
+  }));
+});
+
+router.use(authenticateApiKey({ formatError: formatAuthError }));
+
+Object.entries(resources).forEach(([mountPath, resource]) => router.use(mountPath, resource));
+
+router.use((req, res) => sendError(req, res, 404, `No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+
+// Errors that escaped a handler still get the v1 envelope
+router.use((error, req, res, next) => sendServerError(req, res, 'API_V1_UNHANDLED_ERROR', error));
+
+module.exports = router;
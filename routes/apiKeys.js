@@ -464,6 +464,38 @@ router.get('/usage/summary', isAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/keys/usage/requests/:requestId - Usage entry written for one API request
+ * (used by the API explorer; entries are logged just after the response is sent)
+ */
+router.get('/usage/requests/:requestId', isAuthenticated, async (req, res) => {
+  try {
+    const usage = await apiKeyService.getUsageByRequestId(req.user.id, req.params.requestId);
+    if (!usage) {
+      return res.status(404).json({
+        error: 'Usage entry not found',
+        message: 'No usage has been logged for this request yet'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    logAuthError('API_KEY_USAGE_ENTRY_ERROR', error, {
+      userId: req.user.id,
+      requestId: req.params.requestId,
+      endpoint: req.originalUrl
+    });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve usage entry',
+      message: 'An error occurred while fetching the usage entry'
+    });
+  }
+});
+
 // Admin routes
 /**
  * GET /api/admin/keys - Get all API keys (admin only)
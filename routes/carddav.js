@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey } = require('../middleware/apiKey');
+const { logAuthError } = require('../config/logger');
+const carddavService = require('../services/carddavService');
+const xml = require('../services/carddavXml');
+
+const { NS } = xml;
+
+/**
+ * CardDAV Server (mounted at /carddav; /.well-known/carddav redirects here)
+ *
+ * Phones and desktop address books sync contacts with HTTP Basic auth:
+ * user name = DaySave user name or email of the key's owner, password = an
+ * API key with the "/carddav" and "/carddav/*" permissions (ALL methods).
+ * Basic auth is only accepted here, not on the other API-key routes.
+ *
+ *   /carddav/                                   - Service root
+ *   /carddav/principals/<userId>/               - The user's principal
+ *   /carddav/addressbooks/<userId>/             - Address book home
+ *   /carddav/addressbooks/<userId>/contacts/    - All contacts
+ *   /carddav/addressbooks/<userId>/group-<id>/  - Contact groups with CardDAV enabled
+ *   .../<name>.vcf                              - One contact as vCard
+ *
+ * Methods: OPTIONS, PROPFIND, REPORT (addressbook-multiget, addressbook-query,
+ * sync-collection), GET/HEAD, PUT, DELETE; PROPPATCH is refused.
+ */
+
+const DAV_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PUT', 'DELETE', 'PROPFIND', 'PROPPATCH', 'REPORT'];
+
+function setDavHeaders(res) {
+  res.set({
+    DAV: '1, 3, addressbook',
+    Allow: DAV_METHODS.join(', ')
+  });
+}
+
+// OPTIONS probes are answered before the CORS middleware, which would reply without DAV headers
+function davOptions(req, res, next) {
+  if (req.method !== 'OPTIONS') return next();
+  setDavHeaders(res);
+  res.status(200).end();
+}
+
+function wellKnown(req, res) {
+  res.redirect(301, '/carddav/');
+}
+
+function sendAuthError(req, res, status, body) {
+  if (status === 401) res.set('WWW-Authenticate', 'Basic realm="DaySave CardDAV", charset="UTF-8"');
+  res.status(status).type('text/plain').send(body.message || body.error);
+}
+
+router.use(davOptions);
+router.use(authenticateApiKey({ allowedMethods: DAV_METHODS, formatError: sendAuthError, allowBasicAuth: true }));
+router.use(express.text({ type: () => true, limit: carddavService.MAX_RESOURCE_SIZE * 2 }));
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resource addressed by a path below /carddav, for the authenticated user only
+ */
+function resolve(path, userId) {
+  const parts = path.split('/').filter(Boolean).map(safeDecode);
+  if (parts.includes(null)) return null;
+  if (!parts.length) return { type: 'root' };
+  if (parts[0] === 'principals' && parts.length === 2 && parts[1] === userId) return { type: 'principal' };
+  if (parts[0] !== 'addressbooks' || parts[1] !== userId) return null;
+  if (parts.length === 2) return { type: 'home' };
+  if (parts.length === 3) return { type: 'book', bookId: parts[2] };
+  if (parts.length === 4) return { type: 'card', bookId: parts[2], name: parts[3] };
+  return null;
+}
+
+function hrefs(req, userId) {
+  const base = req.baseUrl;
+  const home = `${base}/addressbooks/${userId}/`;
+  return {
+    root: `${base}/`,
+    principal: `${base}/principals/${userId}/`,
+    home,
+    book: book => `${home}${encodeURIComponent(book.id)}/`,
+    card: (book, contact) => `${home}${encodeURIComponent(book.id)}/${encodeURIComponent(carddavService.resourceName(contact))}`
+  };
+}
+
+function privileges(names) {
+  return names.map(name => `<d:privilege><d:${name}/></d:privilege>`).join('');
+}
+
+/**
+ * Properties of each resource type: Map of key(ns, name) -> XML body
+ */
+function principalProps(ctx) {
+  return new Map([
+    [xml.key(NS.DAV, 'current-user-principal'), xml.hrefXml(ctx.hrefs.principal)],
+    [xml.key(NS.DAV, 'principal-URL'), xml.hrefXml(ctx.hrefs.principal)],
+    [xml.key(NS.CARDDAV, 'addressbook-home-set'), xml.hrefXml(ctx.hrefs.home)],
+    [xml.key(NS.DAV, 'current-user-privilege-set'), privileges(['read'])]
+  ]);
+}
+
+function collectionProps(ctx, resourcetype, displayname) {
+  const props = principalProps(ctx);
+  props.set(xml.key(NS.DAV, 'resourcetype'), resourcetype);
+  props.set(xml.key(NS.DAV, 'displayname'), xml.escapeXml(displayname));
+  return props;
+}
+
+function bookProps(ctx, book) {
+  const token = carddavService.syncToken(ctx.revision);
+  const props = collectionProps(ctx, '<d:collection/><card:addressbook/>', book.name);
+  props.set(xml.key(NS.DAV, 'owner'), xml.hrefXml(ctx.hrefs.principal));
+  props.set(xml.key(NS.DAV, 'sync-token'), xml.escapeXml(token));
+  props.set(xml.key(NS.CS, 'getctag'), xml.escapeXml(token));
+  props.set(xml.key(NS.DAV, 'current-user-privilege-set'), privileges(['read', 'write', 'write-content', 'bind', 'unbind']));
+  props.set(xml.key(NS.DAV, 'supported-report-set'), ['addressbook-multiget', 'addressbook-query']
+    .map(report => `<d:supported-report><d:report><card:${report}/></d:report></d:supported-report>`)
+    .join('') + '<d:supported-report><d:report><d:sync-collection/></d:report></d:supported-report>');
+  props.set(xml.key(NS.CARDDAV, 'supported-address-data'),
+    '<card:address-data-type content-type="text/vcard" version="3.0"/><card:address-data-type content-type="text/vcard" version="4.0"/>');
+  props.set(xml.key(NS.CARDDAV, 'max-resource-size'), String(carddavService.MAX_RESOURCE_SIZE));
+  return props;
+}
+
+function cardProps(contact) {
+  return new Map([
+    [xml.key(NS.DAV, 'resourcetype'), ''],
+    [xml.key(NS.DAV, 'getetag'), xml.escapeXml(carddavService.etag(contact))],
+    [xml.key(NS.DAV, 'getcontenttype'), 'text/vcard; charset=utf-8'],
+    [xml.key(NS.DAV, 'getlastmodified'), new Date(contact.updatedAt).toUTCString()]
+  ]);
+}
+
+// address-data is only sent when asked for, in the requested vCard version
+function addressData(contact) {
+  return (prop) => {
+    if (prop.ns !== NS.CARDDAV || prop.name !== 'address-data') return undefined;
+    const version = prop.element.getAttribute('version') === '4.0' ? '4.0' : '3.0';
+    return xml.escapeXml(carddavService.serialize(contact, version));
+  };
+}
+
+function cardResponse(ctx, book, contact, requested) {
+  return xml.propResponse(ctx.hrefs.card(book, contact), cardProps(contact), requested, addressData(contact));
+}
+
+function sendMultistatus(res, responses, extra) {
+  res.status(207).type('application/xml; charset=utf-8').send(xml.multistatus(responses, extra));
+}
+
+function sendError(res, status, ns, name) {
+  res.status(status).type('application/xml; charset=utf-8').send(xml.error(ns, name));
+}
+
+async function loadBook(ctx, bookId) {
+  const book = await carddavService.findBook(ctx.userId, bookId);
+  if (!book) throw new Error('Address book not found');
+  return book;
+}
+
+async function propfind(req, res, ctx, resource) {
+  const body = xml.parseBody(req.body);
+  if (!body) return res.status(400).type('text/plain').send('Invalid XML');
+  const requested = body.root && !xml.child(body.root, NS.DAV, 'allprop') ? xml.requestedProps(body.root) : null;
+  const depth = req.get('Depth') === '0' ? 0 : 1;
+  const responses = [];
+
+  if (resource.type === 'root') {
+    responses.push(xml.propResponse(ctx.hrefs.root, collectionProps(ctx, '<d:collection/>', 'DaySave'), requested));
+  } else if (resource.type === 'principal') {
+    responses.push(xml.propResponse(ctx.hrefs.principal, collectionProps(ctx, '<d:principal/>', (req.apiKeyAuth.user || {}).username || 'DaySave'), requested));
+  } else if (resource.type === 'home') {
+    responses.push(xml.propResponse(ctx.hrefs.home, collectionProps(ctx, '<d:collection/>', 'Address books'), requested));
+    if (depth) {
+      for (const book of await carddavService.listBooks(ctx.userId)) {
+        responses.push(xml.propResponse(ctx.hrefs.book(book), bookProps(ctx, book), requested));
+      }
+    }
+  } else if (resource.type === 'book') {
+    const book = await loadBook(ctx, resource.bookId);
+    responses.push(xml.propResponse(ctx.hrefs.book(book), bookProps(ctx, book), requested));
+    if (depth) {
+      for (const contact of await carddavService.listCards(ctx.userId, book)) {
+        responses.push(cardResponse(ctx, book, contact, requested));
+      }
+    }
+  } else {
+    const book = await loadBook(ctx, resource.bookId);
+    const contact = await carddavService.findCard(ctx.userId, book, resource.name);
+    if (!contact) throw new Error('Card not found');
+    responses.push(cardResponse(ctx, book, contact, requested));
+  }
+  sendMultistatus(res, responses);
+}
+
+/**
+ * Resource name of a card href inside a book, or null for hrefs elsewhere
+ */
+function cardNameFromHref(href, bookHref) {
+  let path;
+  try {
+    path = new URL(href, 'http://carddav.local').pathname;
+  } catch (error) {
+    return null;
+  }
+  if (!path.startsWith(bookHref)) return null;
+  const name = safeDecode(path.slice(bookHref.length));
+  return name && !name.includes('/') ? name : null;
+}
+
+async function report(req, res, ctx, resource) {
+  const body = xml.parseBody(req.body);
+  if (!body || !body.root) return res.status(400).type('text/plain').send('Invalid XML');
+  if (resource.type !== 'book') return sendError(res, 403, NS.DAV, 'supported-report');
+
+  const book = await loadBook(ctx, resource.bookId);
+  const bookHref = ctx.hrefs.book(book);
+  const requested = xml.requestedProps(body.root);
+  const responses = [];
+
+  if (body.ns === NS.CARDDAV && body.name === 'addressbook-multiget') {
+    for (const href of xml.hrefs(body.root)) {
+      const name = cardNameFromHref(href, bookHref);
+      const contact = name ? await carddavService.findCard(ctx.userId, book, name) : null;
+      responses.push(contact ? cardResponse(ctx, book, contact, requested) : xml.statusResponse(href, 404));
+    }
+    return sendMultistatus(res, responses);
+  }
+
+  if (body.ns === NS.CARDDAV && body.name === 'addressbook-query') {
+    const filter = xml.queryFilter(body.root);
+    const limit = xml.limitOf(body.root);
+    const matches = (await carddavService.listCards(ctx.userId, book))
+      .filter(contact => carddavService.matchesFilter(contact, filter));
+    matches.slice(0, limit || matches.length).forEach(contact => responses.push(cardResponse(ctx, book, contact, requested)));
+    if (limit && matches.length > limit) responses.push(xml.statusResponse(bookHref, 507));
+    return sendMultistatus(res, responses);
+  }
+
+  if (body.ns === NS.DAV && body.name === 'sync-collection') {
+    const since = carddavService.parseSyncToken(xml.textOf(body.root, NS.DAV, 'sync-token'));
+    if (since === null || since > ctx.revision) return sendError(res, 403, NS.DAV, 'valid-sync-token');
+
+    const { changed, removed, revision } = since === 0
+      ? { changed: await carddavService.listCards(ctx.userId, book), removed: [], revision: ctx.revision }
+      : await carddavService.changesSince(ctx.userId, book, since);
+    changed.forEach(contact => responses.push(cardResponse(ctx, book, contact, requested)));
+    removed.forEach(name => responses.push(xml.statusResponse(`${bookHref}${encodeURIComponent(name)}`, 404)));
+    return sendMultistatus(res, responses, `<d:sync-token>${xml.escapeXml(carddavService.syncToken(revision))}</d:sync-token>`);
+  }
+
+  sendError(res, 403, NS.DAV, 'supported-report');
+}
+
+async function getCard(req, res, ctx, resource) {
+  if (resource.type !== 'card') {
+    setDavHeaders(res);
+    return res.status(405).type('text/plain').send('Use a CardDAV client to browse address books');
+  }
+  const book = await loadBook(ctx, resource.bookId);
+  const contact = await carddavService.findCard(ctx.userId, book, resource.name);
+  if (!contact) throw new Error('Card not found');
+
+  const version = /version="?4\.0/.test(req.get('Accept') || '') ? '4.0' : '3.0';
+  res.set('ETag', carddavService.etag(contact));
+  res.set('Last-Modified', new Date(contact.updatedAt).toUTCString());
+  res.type('text/vcard; charset=utf-8');
+  res.send(req.method === 'HEAD' ? '' : carddavService.serialize(contact, version));
+}
+
+async function putCard(req, res, ctx, resource) {
+  if (resource.type !== 'card') return res.status(405).type('text/plain').send('Cards can only be written inside an address book');
+  const book = await loadBook(ctx, resource.bookId);
+  const { created } = await carddavService.putCard(ctx.userId, book, resource.name, typeof req.body === 'string' ? req.body : '', {
+    ifMatch: req.get('If-Match'),
+    ifNoneMatch: req.get('If-None-Match')
+  });
+  // No ETag: the stored card is normalized, so clients should fetch it again
+  res.status(created ? 201 : 204).end();
+}
+
+async function deleteCard(req, res, ctx, resource) {
+  if (resource.type !== 'card') return res.status(403).type('text/plain').send('Address books cannot be deleted');
+  const book = await loadBook(ctx, resource.bookId);
+  await carddavService.deleteCard(ctx.userId, book, resource.name, { ifMatch: req.get('If-Match') });
+  res.status(204).end();
+}
+
+function proppatch(req, res, ctx, resource) {
+  const body = xml.parseBody(req.body);
+  if (!body || !body.root) return res.status(400).type('text/plain').send('Invalid XML');
+  sendMultistatus(res, [xml.proppatchResponse(req.originalUrl.split('?')[0], xml.proppatchProps(body.root))]);
+}
+
+const HANDLERS = {
+  PROPFIND: propfind,
+  REPORT: report,
+  GET: getCard,
+  HEAD: getCard,
+  PUT: putCard,
+  DELETE: deleteCard,
+  PROPPATCH: proppatch
+};
+
+router.use(async (req, res) => {
+  const userId = req.apiKeyAuth.apiKey.user_id;
+  const resource = resolve(req.path, userId);
+  setDavHeaders(res);
+  if (!resource) return res.status(404).type('text/plain').send('Not found');
+
+  const handler = HANDLERS[req.method];
+  if (!handler) return res.status(405).type('text/plain').send('Method not allowed');
+
+  try {
+    const ctx = { userId, hrefs: hrefs(req, userId), revision: await carddavService.currentRevision(userId) };
+    await handler(req, res, ctx, resource);
+  } catch (error) {
+    const status = carddavService.statusFor(error);
+    if (status === 409) return sendError(res, 409, NS.CARDDAV, 'no-uid-conflict');
+    if (status) return res.status(status).type('text/plain').send(error.message);
+    logAuthError('CARDDAV_REQUEST_ERROR', error, { userId, method: req.method, path: req.originalUrl });
+    res.status(500).type('text/plain').send('CardDAV request failed');
+  }
+});
+
+module.exports = router;
+module.exports.davOptions = davOptions;
+module.exports.wellKnown = wellKnown;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const contactDuplicateService = require('../services/contactDuplicateService');
+const { SCALAR_FIELDS } = require('../services/contactMatcher');
+
+/**
+ * Duplicate Contact Routes (mounted at /contacts/duplicates, before the contacts router)
+ *
+ *   GET  /               - Review page
+ *   GET  /api            - Pending candidate pairs with both contacts
+ *   POST /scan           - Scan the user's contacts now
+ *   POST /:id/dismiss    - Mark a pair as not duplicates
+ *   POST /merge          - Merge duplicate_id into primary_id (body: primary_id, duplicate_id, choices)
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (contactDuplicateService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Duplicate contact request failed' });
+}
+
+router.get('/', requirePermission('contacts.read'), (req, res) => {
+  res.render('contacts/duplicates', { user: req.user, title: 'Duplicate Contacts', scalarFields: SCALAR_FIELDS });
+});
+
+router.get('/api', requirePermission('contacts.read'), async (req, res) => {
+  try {
+    const candidates = await contactDuplicateService.listCandidates(req.user.id);
+    res.json({ success: true, candidates });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_DUPLICATES_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/scan', requirePermission('contacts.read'), async (req, res) => {
+  try {
+    const result = await contactDuplicateService.scan(req.user.id);
+    logAuthEvent('CONTACT_DUPLICATES_SCANNED', { userId: req.user.id, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_DUPLICATES_SCAN_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/:id/dismiss', requirePermission('contacts.update'), [
+  param('id').isUUID().withMessage('Invalid candidate ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contactDuplicateService.dismiss(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_DUPLICATE_DISMISS_ERROR', { userId: req.user.id, candidateId: req.params.id });
+  }
+});
+
+router.post('/merge', requirePermission(['contacts.update', 'contacts.delete']), [
+  body('primary_id').isUUID().withMessage('primary_id must be a contact ID'),
+  body('duplicate_id').isUUID().withMessage('duplicate_id must be a contact ID'),
+  body('choices').optional().isObject().withMessage('choices must be an object'),
+  body('choices.*').optional().isIn(['primary', 'duplicate']).withMessage('Each choice must be primary or duplicate')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const { primary_id: primaryId, duplicate_id: duplicateId, choices } = req.body;
+    // The merge writes its own audit_logs row inside the transaction
+    const contact = await contactDuplicateService.merge(req.user.id, primaryId, duplicateId, choices || {});
+    res.json({ success: true, contact });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_MERGE_ERROR', { userId: req.user.id });
+  }
+});
+
+module.exports = router;
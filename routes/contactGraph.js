@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const contactGraphService = require('../services/contactGraphService');
+const { MAX_DEPTH } = require('../services/contactGraph');
+
+/**
+ * Contact Relationship Graph Routes (mounted at /contacts, before the contacts router)
+ *
+ *   GET /graph                  - All contacts with relationships and typed edges
+ *   GET /graph/path?from=&to=   - Shortest chain of relationships between two contacts
+ *   GET /:id/graph?depth=       - Contacts within depth (1-4) relationships of a contact
+ *
+ * Edges read "source is <type> of target"; inverse edges are included with inferred: true.
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (error.message === 'Contact not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Relationship graph request failed' });
+}
+
+router.get('/graph', requirePermission('contacts.read'), async (req, res) => {
+  try {
+    const graph = await contactGraphService.getGraph(req.user.id);
+    res.json({ success: true, ...graph });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_GRAPH_ERROR', { userId: req.user.id });
+  }
+});
+
+router.get('/graph/path', requirePermission('contacts.read'), [
+  query('from').isUUID().withMessage('from must be a contact ID'),
+  query('to').isUUID().withMessage('to must be a contact ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const path = await contactGraphService.findPath(req.user.id, req.query.from, req.query.to);
+    res.json({ success: true, ...path });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_GRAPH_PATH_ERROR', { userId: req.user.id, from: req.query.from, to: req.query.to });
+  }
+});
+
+router.get('/:id/graph', requirePermission('contacts.read'), [
+  param('id').isUUID().withMessage('Invalid contact ID'),
+  query('depth').optional().isInt({ min: 1, max: MAX_DEPTH }).withMessage(`depth must be between 1 and ${MAX_DEPTH}`)
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const graph = await contactGraphService.getNeighborhood(req.user.id, req.params.id, req.query.depth || 1);
+    res.json({ success: true, ...graph });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_GRAPH_ERROR', { userId: req.user.id, contactId: req.params.id });
+  }
+});
+
+module.exports = router;
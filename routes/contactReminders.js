@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const contactReminderService = require('../services/contactReminderService');
+
+/**
+ * Contact Reminder Routes (mounted at /contacts, before the contacts router)
+ *
+ *   GET  /reminders               - Upcoming dates, contacts due, open notifications and settings
+ *   PUT  /reminders/settings      - { email_enabled, lead_days }
+ *   POST /reminders/:id/dismiss   - Dismiss an in-app notification
+ *   GET  /:id/keep-in-touch       - Cadence, last interaction and due date of a contact
+ *   PUT  /:id/keep-in-touch       - { weeks } (null turns the cadence off)
+ *   POST /:id/contacted           - Record an interaction now
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (contactReminderService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Contact reminder request failed' });
+}
+
+router.get('/reminders', requirePermission('contacts.read'), async (req, res) => {
+  try {
+    const overview = await contactReminderService.overview(req.user.id);
+    res.json({ success: true, ...overview });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_REMINDERS_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+router.put('/reminders/settings', requirePermission('contacts.read'), [
+  body('email_enabled').optional().isBoolean().withMessage('email_enabled must be true or false'),
+  body('lead_days').optional().isInt().withMessage('lead_days must be a number')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const settings = await contactReminderService.updateSettings(req.user.id, {
+      emailEnabled: req.body.email_enabled,
+      leadDays: req.body.lead_days
+    });
+    logAuthEvent('CONTACT_REMINDER_SETTINGS_UPDATED', { userId: req.user.id, ...settings });
+    res.json({ success: true, settings });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_REMINDER_SETTINGS_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/reminders/:id/dismiss', requirePermission('contacts.read'), [
+  param('id').isUUID().withMessage('Invalid reminder ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contactReminderService.dismiss(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_REMINDER_DISMISS_ERROR', { userId: req.user.id, reminderId: req.params.id });
+  }
+});
+
+router.get('/:id/keep-in-touch', requirePermission('contacts.read'), [
+  param('id').isUUID().withMessage('Invalid contact ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const status = await contactReminderService.contactStatus(req.user.id, req.params.id);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_KEEP_IN_TOUCH_ERROR', { userId: req.user.id, contactId: req.params.id });
+  }
+});
+
+router.put('/:id/keep-in-touch', requirePermission('contacts.update'), [
+  param('id').isUUID().withMessage('Invalid contact ID'),
+  body('weeks').optional({ values: 'null' }).isInt().withMessage('weeks must be a number or null')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const status = await contactReminderService.setKeepInTouch(req.user.id, req.params.id, req.body.weeks);
+    logAuthEvent('CONTACT_KEEP_IN_TOUCH_UPDATED', { userId: req.user.id, targetType: 'contact', targetId: req.params.id, weeks: status.weeks });
+    res.json({ success: true, ...status });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_KEEP_IN_TOUCH_ERROR', { userId: req.user.id, contactId: req.params.id });
+  }
+});
+
+router.post('/:id/contacted', requirePermission('contacts.update'), [
+  param('id').isUUID().withMessage('Invalid contact ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const status = await contactReminderService.markContacted(req.user.id, req.params.id);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_MARK_CONTACTED_ERROR', { userId: req.user.id, contactId: req.params.id });
+  }
+});
+
+module.exports = router;
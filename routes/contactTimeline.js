@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const contactTimelineService = require('../services/contactTimelineService');
+const { EVENT_TYPES, MAX_LIMIT } = require('../services/contactTimeline');
+
+/**
+ * Contact Timeline Routes (mounted at /contacts, before the contacts router)
+ *
+ *   GET /:id/timeline?types=&from=&to=&page=&limit=
+ *     types: comma separated share, mention, appearance, edit (default all)
+ *     from / to: YYYY-MM-DD (inclusive)
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+router.get('/:id/timeline', requirePermission('contacts.read'), [
+  param('id').isUUID().withMessage('Invalid contact ID'),
+  query('types').optional().custom(value => String(value).split(',').every(type => EVENT_TYPES.includes(type.trim())))
+    .withMessage(`types must be a comma separated list of ${EVENT_TYPES.join(', ')}`),
+  query('from').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('to must be a date (YYYY-MM-DD)'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const timeline = await contactTimelineService.getTimeline(req.user.id, req.params.id, req.query);
+    res.json({ success: true, ...timeline });
+  } catch (error) {
+    if (error.message === 'Contact not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logAuthError('CONTACT_TIMELINE_ERROR', error, { userId: req.user.id, contactId: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to load contact timeline' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { query, param, validationResult } = require('express-validator');
+const { Contact } = require('../models');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const contactTransferService = require('../services/contactTransferService');
+
+/**
+ * Contact Import / Export Routes (mounted at /contacts, before the contacts router)
+ *
+ *   POST /import/preview                      - Format, headers, sample rows and suggested CSV mapping
+ *   POST /import                              - Import a .vcf or .csv (fields: file, mapping JSON)
+ *   GET  /export?format=&version=&group_id=   - All contacts or one group as vCard or CSV
+ *   GET  /:id/export?format=&version=         - One contact as vCard or CSV
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(vcf|vcard|csv|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Contact files must be .vcf or .csv'));
+    }
+  }
+});
+
+// Run multer and answer upload errors as JSON
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 10 MB' : error.message;
+    res.status(400).json({ success: false, error: message });
+  });
+}
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (error.message === 'Contact group not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (contactTransferService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.message === 'No active subscription found') {
+    return res.status(403).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Contact import/export failed' });
+}
+
+const exportFields = [
+  query('format').optional().isIn(['vcard', 'csv']).withMessage('format must be vcard or csv'),
+  query('version').optional().isIn(['3.0', '4.0']).withMessage('version must be 3.0 or 4.0')
+];
+
+function sendExport(res, contacts, req, basename) {
+  const { body, contentType, extension } = contactTransferService.serialize(
+    contacts,
+    req.query.format || 'vcard',
+    req.query.version || '3.0'
+  );
+  const safeName = basename.replace(/[^a-z0-9._-]+/gi, '-').replace(/^-+|-+$/g, '') || 'contacts';
+  res.attachment(`${safeName}.${extension}`);
+  res.type(contentType);
+  res.send(body);
+}
+
+router.post('/import/preview', requirePermission('contacts.create'), receiveFile, (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
+  try {
+    const preview = contactTransferService.preview(req.file.buffer, req.file.originalname);
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACTS_IMPORT_PREVIEW_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/import', requirePermission('contacts.create'), receiveFile, async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
+
+  let mapping;
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'mapping must be JSON' });
+    }
+  }
+
+  try {
+    const result = await contactTransferService.importContacts(req.user.id, req.file.buffer, req.file.originalname, mapping);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACTS_IMPORT_ERROR', { userId: req.user.id, filename: req.file.originalname });
+  }
+});
+
+router.get('/export', requirePermission('contacts.read'), [
+  ...exportFields,
+  query('group_id').optional().isUUID().withMessage('group_id must be a UUID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const groupId = req.query.group_id;
+    const contacts = await contactTransferService.findContacts(req.user.id, { groupId });
+    sendExport(res, contacts, req, groupId ? 'contact-group' : 'daysave-contacts');
+    logAuthEvent('CONTACTS_EXPORTED', { userId: req.user.id, format: req.query.format || 'vcard', groupId, count: contacts.length });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACTS_EXPORT_ERROR', { userId: req.user.id });
+  }
+});
+
+router.get('/:id/export', requirePermission('contacts.read'), [
+  ...exportFields,
+  param('id').isUUID().withMessage('Invalid contact ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const contact = await Contact.findByPk(req.params.id);
+    // Same access rule as the contact detail page
+    if (!contact || (contact.user_id !== req.user.id && !(req.user.Role && req.user.Role.name === 'admin'))) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    sendExport(res, [contact], req, contact.name || 'contact');
+  } catch (error) {
+    handleServiceError(res, error, 'CONTACT_EXPORT_ERROR', { userId: req.user.id, contactId: req.params.id });
+  }
+});
+
+module.exports = router;
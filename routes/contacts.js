@@ -4,6 +4,8 @@ const { Contact, ContactGroup, ContactGroupMember, ContactRelation, Role, User }
 const { isAuthenticated, ensureRoleLoaded, checkUsageLimit, updateUsage, requirePermission } = require('../middleware');
 const { getGoogleMapsScriptUrl } = require('../config/maps');
 const { logAuthEvent, logAuthError } = require('../config/logger');
+const contactDuplicateService = require('../services/contactDuplicateService');
+const { RELATIONSHIP_TYPES, INVERSE_TYPES } = require('../services/contactGraph');
 
 // Apply role loading middleware to all routes
 router.use(isAuthenticated, ensureRoleLoaded);
@@ -69,6 +71,17 @@ function processContactFormData(formData) {
       }));
   }
 
+  // Process dates (birthdays, anniversaries; read by contact reminders)
+  if (formData.dates) {
+    const datesArray = Array.isArray(formData.dates) ? formData.dates : Object.values(formData.dates);
+    contactData.dates = datesArray
+      .filter(date => date && date.value && date.value.trim())
+      .map(date => ({
+        label: date.label || 'date',
+        value: date.value.trim()
+      }));
+  }
+
   // Process notes
   if (formData.notes) {
     const notesArray = Array.isArray(formData.notes) ? formData.notes : Object.values(formData.notes);
@@ -144,6 +157,14 @@ router.post('/', [
     }
     
     const newContact = await Contact.create(contactData);
+    contactDuplicateService.scheduleScan(req.user.id);
+    
+    logAuthEvent('CONTACT_CREATED', {
+      userId: req.user.id,
+      targetType: 'contact',
+      targetId: newContact.id,
+      contactName: contactData.name
+    });
     res.redirect(`/contacts/${newContact.id}?success=Contact created successfully`);
   } catch (err) {
     console.error('Error creating contact:', err);
@@ -475,11 +496,14 @@ router.post('/groups', [
 router.put('/groups/:groupId', isAuthenticated, async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { name } = req.body;
+    const { name, carddav_enabled: carddavEnabled } = req.body;
     
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Group name is required.' });
     }
+    if (carddavEnabled !== undefined && typeof carddavEnabled !== 'boolean') {
+      return res.status(400).json({ error: 'carddav_enabled must be true or false.' });
+    }
     
     const group = await ContactGroup.findOne({
       where: { id: groupId, user_id: req.user.id }
@@ -502,7 +526,9 @@ router.put('/groups/:groupId', isAuthenticated, async (req, res) => {
       return res.status(400).json({ error: 'A group with this name already exists.' });
     }
     
-    await group.update({ name: name.trim() });
+    const updates = { name: name.trim() };
+    if (carddavEnabled !== undefined) updates.carddav_enabled = carddavEnabled;
+    await group.update(updates);
     
     res.json({ success: true, group });
   } catch (error) {
@@ -600,7 +626,8 @@ router.delete('/groups/:groupId/members/:contactId', isAuthenticated, async (req
     
     // Remove membership
     const deleted = await ContactGroupMember.destroy({
-      where: { contact_id: contactId, group_id: groupId }
+      where: { contact_id: contactId, group_id: groupId },
+      individualHooks: true
     });
     
     if (deleted === 0) {
@@ -763,30 +790,7 @@ router.delete('/relationships/:relationshipId', isAuthenticated, async (req, res
 
 // Get predefined relationship types
 router.get('/relationship-types', (req, res) => {
-  const relationshipTypes = {
-    family: [
-      'Parent', 'Child', 'Spouse', 'Sibling', 
-      'Mother', 'Father', 'Son', 'Daughter',
-      'Wife', 'Husband', 'Brother', 'Sister',
-      'Grandmother', 'Grandfather', 'Grandson', 'Granddaughter',
-      'Aunt', 'Uncle', 'Niece', 'Nephew', 'Cousin'
-    ],
-    professional: [
-      'Colleague', 'Boss', 'Employee', 'Manager', 'Supervisor',
-      'Business Partner', 'Client', 'Vendor', 'Contractor',
-      'Mentor', 'Mentee', 'Coworker'
-    ],
-    social: [
-      'Friend', 'Best Friend', 'Acquaintance', 'Neighbor', 
-      'Classmate', 'Roommate', 'Ex', 'Dating'
-    ],
-    other: [
-      'Doctor', 'Lawyer', 'Accountant', 'Teacher', 'Student',
-      'Landlord', 'Tenant', 'Emergency Contact'
-    ]
-  };
-  
-  res.json({ success: true, relationshipTypes });
+  res.json({ success: true, relationshipTypes: RELATIONSHIP_TYPES, inverseTypes: INVERSE_TYPES });
 });
 
 // ================================
@@ -845,14 +849,15 @@ router.get('/', isAuthenticated, requirePermission('contacts.read'), async (req,
         order: [['name', 'ASC']]
       });
     }
-    
-    res.render('contacts/list', { user: req.user, contacts, owners, ownerFilter, error: null, success: req.query.success || null });
+
+    const duplicateCount = await contactDuplicateService.countPending(req.user.id);
+    res.render('contacts/list', { user: req.user, contacts, owners, ownerFilter, duplicateCount, error: null, success: req.query.success || null });
   } catch (error) {
     logAuthEvent('CONTACTS_LIST_ERROR', {
       userId: req.user.id,
       isAdmin: req.user.Role?.name === 'admin'
     });
-    res.render('contacts/list', { user: req.user, contacts: [], owners: [], ownerFilter: '', error: 'Failed to load contacts.', success: null });
+    res.render('contacts/list', { user: req.user, contacts: [], owners: [], ownerFilter: '', duplicateCount: 0, error: 'Failed to load contacts.', success: null });
   }
 });
 
@@ -946,13 +951,19 @@ router.post('/:id', isAuthenticated, requirePermission('contacts.update'), async
       });
     }
     
-    // Update the contact
+    // Update the contact (changed fields are kept for the contact timeline)
+    const fields = Object.keys(contactData)
+      .filter(field => JSON.stringify(contact.get(field) ?? null) !== JSON.stringify(contactData[field] ?? null));
     await contact.update(contactData);
+    contactDuplicateService.scheduleScan(contact.user_id);
     
     logAuthEvent('CONTACT_UPDATED', {
       userId: req.user.id,
       contactId: req.params.id,
-      contactName: contactData.name
+      targetType: 'contact',
+      targetId: contact.id,
+      contactName: contactData.name,
+      fields
     });
     
     res.redirect(`/contacts/${req.params.id}?success=Contact updated successfully`);
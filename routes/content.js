@@ -4,7 +4,14 @@ const { isAuthenticated, checkUsageLimit, updateUsage, requireFeature, requirePe
 const { Content, ContentGroup, ContentGroupMember } = require('../models');
 const { Op } = require('sequelize');
 const { AutomationOrchestrator } = require('../services/multimedia');
-const BackwardCompatibilityService = require('../services/BackwardCompatibilityService');
+const contentGroupService = require('../services/contentGroupService');
+const contentFilterService = require('../services/contentFilterService');
+const smartCollectionService = require('../services/smartCollectionService');
+const peopleService = require('../services/peopleService');
+const mapService = require('../services/mapService');
+const transcriptService = require('../services/transcriptService');
+const webhookService = require('../services/webhookService');
+const { queueMultimediaAnalysis } = require('../services/contentAnalysisService');
 const { ContentTypeDetector } = require('../scripts/populate-content-types');
 const logger = require('../config/logger');
 const { logging } = require('../config/config');
@@ -79,172 +86,6 @@ function isMultimediaURL(url) {
   return multimediaPatterns.some(pattern => pattern.test(url));
 }
 
-/**
- * Trigger multimedia analysis for content using new orchestrator
- * @param {Object} content - Content record
- * @param {Object} user - User object
- */
-/**
- * Triggers comprehensive multimedia analysis for content
- * 
- * This function initiates the complete AI analysis pipeline for uploaded content
- * including transcription, sentiment analysis, tag generation, and more.
- * 
- * @param {Object} content - Content record with id, url, and metadata
- * @param {Object} user - User record with id and authentication details
- * @returns {Promise<Object>} Analysis results including transcription, tags, summary
- * 
- * FEATURES:
- * - Uses BackwardCompatibilityService for URL-based content
- * - Comprehensive logging throughout the process
- * - Database updates with analysis results
- * - Error handling with detailed logging
- * - Integration with multimedia orchestrator
- * 
- * ANALYSIS PIPELINE:
- * 1. Content metadata preparation
- * 2. AI analysis via compatibility service
- * 3. Database updates with results
- * 4. Performance logging and monitoring
- * 5. Error handling and recovery
- */
-async function triggerMultimediaAnalysis(content, user) {
-  try {
-    console.log(`🎬 TRIGGER: Starting multimedia analysis for content ${content.id}`, {
-      user_id: user.id,
-      content_id: content.id,
-      url: content.url
-    });
-
-    // Enhanced logging for analysis start
-    logger.multimedia.start(user.id, content.id, content.url, {
-      transcription: true,
-      sentiment: true,
-      summarization: true,
-      thumbnails: true,
-      speakers: true
-    });
-
-    // Create a buffer/stream from URL for processing
-    // For URL-based content, we'll pass metadata and let the orchestrator handle it
-    const contentMetadata = {
-      filename: content.url,
-      contentId: content.id,
-      userId: user.id,
-      source: 'url',
-      url: content.url
-    };
-
-    // For URL-based content, we need to use the backward compatibility service
-    // since the orchestrator expects file buffers, not URLs
-    console.log('🔄 TRIGGER: Using backward compatibility service for URL processing...');
-    
-    const compatibilityService = new BackwardCompatibilityService();
-    
-    const processingResult = await compatibilityService.analyzeContent(content.url, {
-      transcription: true,
-      sentiment: true,
-      summarization: true,
-      thumbnails: true,
-      speaker_identification: true,
-      enableSummarization: true,
-      enableSentimentAnalysis: true,
-      user_id: user.id,
-      content_id: content.id
-    });
-
-    // Extract results from backward compatibility service
-    const formattedResults = processingResult;
-    
-    // Update content record with new structured results
-    const updateData = {};
-    
-    // Store basic metadata from backward compatibility service
-    if (formattedResults.metadata) {
-      updateData.metadata = {
-        ...(content.metadata || {}),
-        ...formattedResults.metadata,
-        analysisId: formattedResults.analysisId,
-        lastAnalyzed: new Date().toISOString()
-      };
-    }
-    
-    // Handle transcription results
-    if (formattedResults.transcription) {
-      updateData.transcription = formattedResults.transcription;
-    }
-    
-    // Handle summary
-    if (formattedResults.summary) {
-      updateData.summary = formattedResults.summary;
-    }
-    
-    // Handle generated title - ENHANCED: Ensure AI titles are prioritized and saved
-    if (formattedResults.generatedTitle && formattedResults.generatedTitle.trim()) {
-      updateData.generated_title = formattedResults.generatedTitle.trim();
-      console.log(`🎯 Saving AI-generated title: "${formattedResults.generatedTitle.trim()}"`);
-    }
-    
-    // Store sentiment analysis
-    if (formattedResults.sentiment) {
-      updateData.sentiment = formattedResults.sentiment;
-    }
-    
-    // Handle auto-generated tags
-    if (formattedResults.auto_tags && formattedResults.auto_tags.length > 0) {
-      updateData.auto_tags = [...new Set(formattedResults.auto_tags)]; // Remove duplicates
-    }
-    
-    // Store category
-    if (formattedResults.category) {
-      updateData.category = formattedResults.category;
-    }
-
-    // Log processing results
-    console.log(`🎬 Multimedia analysis completed for content ${content.id}`, {
-      user_id: user.id,
-      content_id: content.id,
-      analysis_id: formattedResults.analysisId,
-      platform: formattedResults.platform,
-      processing_time: formattedResults.processing_time,
-      status: formattedResults.status,
-      has_transcription: !!formattedResults.transcription,
-      has_summary: !!formattedResults.summary,
-      has_sentiment: !!formattedResults.sentiment
-    });
-    
-    // Update content record if we have data to update
-    if (Object.keys(updateData).length > 0) {
-      await Content.update(updateData, {
-        where: { id: content.id, user_id: user.id }
-      });
-      
-      console.log(`✅ Content ${content.id} updated with orchestrated analysis results`, {
-        user_id: user.id,
-        content_id: content.id,
-        job_id: processingResult.jobId,
-        updates: Object.keys(updateData)
-      });
-    }
-    
-  } catch (error) {
-    console.error(`❌ TRIGGER ERROR: Analysis failed for content ${content.id}:`, {
-      user_id: user.id,
-      content_id: content.id,
-      error: error.message,
-      stack: error.stack
-    });
-    
-    logger.logError(`Multimedia analysis failed for content ${content.id}`, {
-      user_id: user.id,
-      content_id: content.id,
-      error: error.message,
-      stack: error.stack,
-      orchestrator: true
-    });
-  }
-}
-
 // Main content management page with real data and debugging
 router.get('/', isAuthenticated, requirePermission('content.read'), async (req, res) => {
   try {
@@ -265,148 +106,53 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
     console.log(`📄 Pagination settings: page=${page}, limit=${limit}, offset=${offset}`);
     
     // ✨ ENHANCED FILTERING: Get filter parameters including sort
-    let { tag, from, to, search, content_type, status, sort } = req.query;
-    console.log('🔍 Filter parameters:', { tag, from, to, search, content_type, status, sort, page, limit });
-    
-    // Build where clauses for both content and files
-    const contentWhere = { user_id: req.user.id };
-    const fileWhere = { user_id: req.user.id };
-    
-    // ✨ DATE FILTERING
-    if (from) {
-      const fromDate = new Date(from);
-      contentWhere.createdAt = { ...(contentWhere.createdAt || {}), [Op.gte]: fromDate };
-      fileWhere.createdAt = { ...(fileWhere.createdAt || {}), [Op.gte]: fromDate };
-    }
-    if (to) {
-      const toDate = new Date(to + 'T23:59:59.999Z'); // Include the entire day
-      contentWhere.createdAt = { ...(contentWhere.createdAt || {}), [Op.lte]: toDate };
-      fileWhere.createdAt = { ...(fileWhere.createdAt || {}), [Op.lte]: toDate };
-    }
-    
-    // ✨ TAG FILTERING  
-    if (tag && tag.trim()) {
-      const tagFilter = tag.trim();
-      console.log('🏷️ Applying tag filter:', tagFilter);
-      
-      // For content: search in both user_tags and auto_tags
-      contentWhere[Op.or] = [
-        {
-          user_tags: {
-            [Op.like]: `%${tagFilter}%`
-          }
-        },
-        {
-          auto_tags: {
-            [Op.like]: `%${tagFilter}%`
-          }
-        }
-      ];
-      
-      // For files: search in both user_tags and auto_tags
-      fileWhere[Op.or] = [
-        {
-          user_tags: {
-            [Op.like]: `%${tagFilter}%`
-          }
-        },
-        {
-          auto_tags: {
-            [Op.like]: `%${tagFilter}%`
-          }
-        }
-      ];
-    }
+    let { tag, from, to, search, content_type, status, sort, group, contact, near, radius } = req.query;
+    console.log('🔍 Filter parameters:', { tag, from, to, search, content_type, status, sort, group, contact, page, limit });
+    // Search results default to best match first
+    const defaultSort = search && search.trim() ? 'relevance' : 'newest';
+    sort = sort || defaultSort;
+    
+    // ✨ FILTERING: tag, dates, search, content type and status (shared with smart collections)
+    const { contentWhere, fileWhere, searchRank } = await contentFilterService.buildWhere(req.user.id, {
+      tag, from, to, search, content_type, status
+    });
     
-    // ✨ SEARCH FILTERING (in title, summary, comments, URL)
-    if (search && search.trim()) {
-      const searchTerm = search.trim();
-      console.log('🔎 Applying search filter:', searchTerm);
-      
-      // For content: search in url, user_comments, summary, generated_title
-      const contentSearchOr = [
-        { url: { [Op.like]: `%${searchTerm}%` } },
-        { user_comments: { [Op.like]: `%${searchTerm}%` } },
-        { summary: { [Op.like]: `%${searchTerm}%` } },
-        { generated_title: { [Op.like]: `%${searchTerm}%` } }
-      ];
-      
-      contentWhere[Op.and] = [
-        ...(contentWhere[Op.and] || []),
-        { [Op.or]: contentSearchOr }
-      ];
-      
-      // For files: search in filename, user_comments, summary, generated_title
-      const fileSearchOr = [
-        { filename: { [Op.like]: `%${searchTerm}%` } },
-        { user_comments: { [Op.like]: `%${searchTerm}%` } },
-        { summary: { [Op.like]: `%${searchTerm}%` } },
-        { generated_title: { [Op.like]: `%${searchTerm}%` } }
-      ];
-      
-      fileWhere[Op.and] = [
-        ...(fileWhere[Op.and] || []),
-        { [Op.or]: fileSearchOr }
-      ];
+    // ✨ GROUP FILTERING (includes members of nested groups)
+    let activeGroup = null;
+    if (group) {
+      try {
+        const { contentIds, fileIds } = await contentGroupService.getGroupItemIds(req.user.id, group);
+        contentWhere[Op.and] = [...(contentWhere[Op.and] || []), { id: { [Op.in]: contentIds } }];
+        fileWhere[Op.and] = [...(fileWhere[Op.and] || []), { id: { [Op.in]: fileIds } }];
+        activeGroup = group;
+      } catch (groupError) {
+        console.warn('⚠️ Ignoring unknown group filter:', group);
+        group = '';
+      }
     }
     
-    // ✨ CONTENT TYPE FILTERING
-    if (content_type && content_type !== 'all') {
-      console.log('📁 Applying content type filter:', content_type);
-      
-      if (content_type === 'multimedia') {
-        // Show only multimedia content (video, audio, image)
-        contentWhere.content_type = { [Op.in]: ['video', 'audio', 'image'] };
-        fileWhere[Op.or] = [
-          { 
-            metadata: {
-              [Op.like]: '%"mimetype":"video/%'
-            }
-          },
-          { 
-            metadata: {
-              [Op.like]: '%"mimetype":"audio/%'
-            }
-          },
-          { 
-            metadata: {
-              [Op.like]: '%"mimetype":"image/%'
-            }
-          }
-        ];
-      } else if (content_type === 'social') {
-        // Show only social media content
-        contentWhere.content_type = { [Op.in]: ['instagram', 'facebook', 'twitter', 'youtube', 'linkedin'] };
-        // Files don't have social content, so exclude all files
-        fileWhere.id = null;
-      } else if (content_type === 'files') {
-        // Show only uploaded files
-        contentWhere.id = null; // Exclude all content
-        // Keep files as-is
-      } else {
-        // Specific content type
-        contentWhere.content_type = content_type;
+    // ✨ PERSON FILTERING: items where a contact's face or voice was found
+    let activeContact = null;
+    if (contact) {
+      try {
+        const { contentIds, fileIds } = await peopleService.getContactItemIds(req.user.id, contact);
+        contentWhere[Op.and] = [...(contentWhere[Op.and] || []), { id: { [Op.in]: contentIds } }];
+        fileWhere[Op.and] = [...(fileWhere[Op.and] || []), { id: { [Op.in]: fileIds } }];
+        activeContact = contact;
+      } catch (contactError) {
+        console.warn('⚠️ Ignoring unknown contact filter:', contact);
       }
     }
     
-    // ✨ STATUS FILTERING 
-    if (status && status !== 'all') {
-      console.log('📊 Applying status filter:', status);
-      
-      if (status === 'analyzed') {
-        // Show only items with AI analysis
-        contentWhere.summary = { [Op.not]: null };
-        fileWhere.summary = { [Op.not]: null };
-      } else if (status === 'pending') {
-        // Show only items without AI analysis
-        contentWhere[Op.or] = [
-          { summary: null },
-          { summary: '' }
-        ];
-        fileWhere[Op.or] = [
-          { summary: null },
-          { summary: '' }
-        ];
+    // ✨ PLACE FILTERING: items taken near a place or "lat,lng" (capture location)
+    let activeNear = null;
+    if (near && String(near).trim()) {
+      try {
+        activeNear = await mapService.findNear(req.user.id, String(near).trim().slice(0, 500), radius);
+        contentWhere[Op.and] = [...(contentWhere[Op.and] || []), { id: { [Op.in]: activeNear.contentIds } }];
+        fileWhere[Op.and] = [...(fileWhere[Op.and] || []), { id: { [Op.in]: activeNear.fileIds } }];
+      } catch (nearError) {
+        console.warn('⚠️ Ignoring place filter:', near, nearError.message);
       }
     }
     
@@ -431,6 +177,9 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
           orderClause = [['createdAt', 'DESC']]; // Will be handled differently for channel sorting
           sortDisplayName = 'By Channel';
           break;
+        case 'relevance':
+          sortDisplayName = 'Relevance';
+          break;
         case 'newest':
         default:
           orderClause = [['createdAt', 'DESC']];
@@ -471,7 +220,8 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
             [{ model: require('../models').SocialAccount, as: 'SocialAccount' }, 'platform', 'ASC'],
             ['createdAt', 'DESC']
           ] : orderClause,
-        limit: Math.max(0, limit * 2), // Get more items to ensure we have enough after merging
+        // Search results are few enough to rank in full
+        limit: searchRank ? undefined : Math.max(0, limit * 2), // Get more items to ensure we have enough after merging
         offset: 0 // We'll handle pagination after merging
       }),
       require('../models').File.findAll({
@@ -484,7 +234,8 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         }],
         order: sort === 'channel' ? 
           [['filename', 'ASC'], ['createdAt', 'DESC']] : orderClause,
-        limit: Math.max(0, limit * 2), // Get more items to ensure we have enough after merging
+        // Search results are few enough to rank in full
+        limit: searchRank ? undefined : Math.max(0, limit * 2), // Get more items to ensure we have enough after merging
         offset: 0 // We'll handle pagination after merging
       })
     ]);
@@ -880,6 +631,10 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         return new Date(b.createdAt) - new Date(a.createdAt);
       });
       console.log('📊 Applied sort: By Channel');
+    } else if (searchRank && sort === 'relevance') {
+      // Searching: best matches first
+      allItems.sort((a, b) => searchRank.get(`${a.itemType}:${a.id}`) - searchRank.get(`${b.itemType}:${b.id}`));
+      console.log('📊 Applied sort: Relevance');
     } else {
       // Default: Sort by creation date (newest first)
       allItems.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -896,6 +651,8 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
       where: { user_id: req.user.id },
       order: [['name', 'ASC']]
     });
+    const smartCollections = await smartCollectionService.listCollections(req.user.id);
+    const peopleContacts = await peopleService.listLinkedContacts(req.user.id);
     
     // ✨ ENHANCED PAGINATION: Calculate pagination data with proper totals
     const totalPages = Math.ceil(totalItems / limit);
@@ -916,7 +673,8 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         search: search || '',
         content_type: content_type || 'all',
         status: status || 'all',
-        sort: sort || 'newest'
+        sort,
+        group: group || ''
       },
       // Helper function to build pagination URLs
       buildUrl: function(pageNum) {
@@ -928,7 +686,8 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         if (search) params.set('search', search);
         if (content_type && content_type !== 'all') params.set('content_type', content_type);
         if (status && status !== 'all') params.set('status', status);
-        if (sort && sort !== 'newest') params.set('sort', sort);
+        if (sort !== defaultSort) params.set('sort', sort);
+        if (group) params.set('group', group);
         if (limit && limit !== 10) params.set('limit', limit);
         return '?' + params.toString();
       }
@@ -946,6 +705,7 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         title: 'Content Management - DaySave',
         contentItems: paginatedItems, // Pass paginated items array
         contentGroups,
+        smartCollections,
         pagination,
         // Pass filter values to maintain state in the UI
         tag: tag || '',
@@ -954,7 +714,13 @@ router.get('/', isAuthenticated, requirePermission('content.read'), async (req,
         search: search || '',
         content_type: content_type || 'all',
         status: status || 'all',
-        sort: sort || 'newest',
+        sort,
+        group: activeGroup || '',
+        contact: activeContact || '',
+        peopleContacts,
+        near: activeNear ? String(near).trim() : '',
+        radius: activeNear ? activeNear.radius : 5,
+        nearPlace: activeNear ? activeNear.center.label : '',
         debugInfo: {
           userId: req.user.id,
           contentCount: totalContentCount,
@@ -1073,6 +839,9 @@ async function handleBulkUrlSubmission(req, res) {
         
         // Log successful import
         logger.user.contentAdd(req.user.id, content.id, url, 'bulk_import');
+        webhookService.emit(req.user.id, 'content.created', {
+          content: { id: content.id, url, content_type: detected_content_type, source: 'bulk_import' }
+        });
         
         results.imported.push({
           id: content.id,
@@ -1081,34 +850,17 @@ async function handleBulkUrlSubmission(req, res) {
           success: true
         });
         
-        // Trigger comprehensive AI analysis for all content
-        console.log(`🧠 [${i+1}/${urls.length}] Triggering AI analysis for content: ${content.id}`);
-        
-        // Capture content and user data to avoid scope issues
-        const contentData = {
-          id: content.id,
-          url: content.url,
-          user_comments: content.user_comments,
-          user_tags: content.user_tags,
-          content_type: content.content_type,
-          createdAt: content.createdAt
-        };
-        
-        const userData = {
-          id: req.user.id,
-          username: req.user.username,
-          email: req.user.email
-        };
-        
-        // Trigger analysis in background
-        setImmediate(async () => {
-          try {
-            await triggerMultimediaAnalysis(contentData, userData);
-            console.log(`✅ Background analysis started for ${contentData.id}`);
-          } catch (analysisError) {
-            console.error(`❌ Analysis failed for ${contentData.id}:`, analysisError.message);
-          }
-        });
+        // Queue AI analysis; bulk imports yield to items added one at a time
+        console.log(`🧠 [${i+1}/${urls.length}] Queueing AI analysis for content: ${content.id}`);
+        try {
+          await queueMultimediaAnalysis(content, req.user, { priority: 3, reason: 'bulk_import' });
+        } catch (queueError) {
+          logger.logError(`Failed to queue analysis for content ${content.id}`, {
+            error: queueError.message,
+            contentId: content.id,
+            userId: req.user.id
+          });
+        }
         
       } catch (urlError) {
         console.error(`❌ [${i+1}/${urls.length}] Failed to process URL: ${url}`, urlError.message);
@@ -1204,6 +956,9 @@ router.post('/', [
 
     // Log content creation
     logger.user.contentAdd(req.user.id, content.id, url, isMultimediaURL(url) ? 'multimedia' : 'standard');
+    webhookService.emit(req.user.id, 'content.created', {
+      content: { id: content.id, url, content_type: detected_content_type, source: 'web' }
+    });
 
     if (Array.isArray(group_ids) && group_ids.length > 0) {
       const groupMemberships = group_ids.map(group_id => ({
@@ -1213,87 +968,32 @@ router.post('/', [
       await ContentGroupMember.bulkCreate(groupMemberships);
     }
 
-    // Trigger comprehensive AI analysis for all content types
-    console.log(`🧠 CONTENT ANALYSIS: Triggering AI analysis for content: ${content.id}`);
-    
-    // Capture content and user data at this point to avoid scope issues
-    const contentData = {
-      id: content.id,
-      url: content.url,
-      user_comments: content.user_comments,
-      user_tags: content.user_tags,
-      content_type: content.content_type,
-      createdAt: content.createdAt
-    };
-    
-    const userData = {
-      id: req.user.id,
-      username: req.user.username,
-      email: req.user.email
-    };
-    
-    // Trigger comprehensive analysis in background (don't wait for it)
-    setImmediate(async () => {
-      const startTime = Date.now();
-      const automationId = `AUTO-${contentData.id.substring(0, 8)}`;
-      
-      try {
-        console.log(`🚀 [${automationId}] AUTOMATION TRIGGER: Starting comprehensive AI analysis for content: ${contentData.id}`);
-        console.log(`📊 [${automationId}] System status: Memory usage being monitored...`);
-        
-        // Check if we have the required services before starting
-        if (!userData.id) {
-          throw new Error('User data is missing');
-        }
-        
-        console.log(`🎯 [${automationId}] User: ${userData.id}, Content: ${contentData.id}, URL: ${contentData.url}`);
-        
-        // Add process monitoring
-        const beforeMemory = process.memoryUsage();
-        console.log(`📈 [${automationId}] Memory before: ${Math.round(beforeMemory.heapUsed / 1024 / 1024)}MB`);
-        
-        await triggerMultimediaAnalysis(contentData, userData);
-        
-        const afterMemory = process.memoryUsage();
-        const duration = Date.now() - startTime;
-        
-        console.log(`✅ [${automationId}] AUTOMATION TRIGGER: Analysis started successfully for content: ${contentData.id}`);
-        console.log(`📊 [${automationId}] Duration: ${duration}ms, Memory after: ${Math.round(afterMemory.heapUsed / 1024 / 1024)}MB`);
-        
-      } catch (error) {
-        const duration = Date.now() - startTime;
-          console.error(`❌ [${automationId}] AUTOMATION TRIGGER: Failed to start analysis for content: ${contentData.id}`);
-          console.error(`❌ [${automationId}] Error details:`, {
-            error: error.message,
-            stack: error.stack,
-            duration: `${duration}ms`,
-            contentId: contentData.id,
-            userId: userData.id,
-            url: contentData.url
-          });
-          
-          // Log to error file as well
-          const logger = require('../config/logger');
-          logger.logError(`Automation trigger failed for content ${contentData.id}`, {
-            error: error.message,
-            stack: error.stack,
-            contentId: contentData.id,
-            userId: userData.id,
-            url: contentData.url,
-            duration
-          });
-        }
-      });
-      
-      // Return success immediately - analysis will update content in background
-      res.json({ 
-        success: true, 
-        content,
-        ai_analysis: {
-          status: 'started',
-          message: 'Comprehensive AI analysis has been started and will update content when complete'
-        }
+    // Queue comprehensive AI analysis; a worker picks it up and updates the content
+    console.log(`🧠 CONTENT ANALYSIS: Queueing AI analysis for content: ${content.id}`);
+    let analysisJob = null;
+    try {
+      analysisJob = await queueMultimediaAnalysis(content, req.user, { reason: 'content_added' });
+    } catch (queueError) {
+      logger.logError(`Failed to queue analysis for content ${content.id}`, {
+        error: queueError.message,
+        contentId: content.id,
+        userId: req.user.id,
+        url: content.url
       });
+    }
+
+    // Return success immediately - analysis will update content in background
+    res.json({ 
+      success: true, 
+      content,
+      ai_analysis: {
+        status: analysisJob ? 'queued' : 'not_queued',
+        job_id: analysisJob ? analysisJob.id : null,
+        message: analysisJob
+          ? 'Comprehensive AI analysis has been queued and will update content when complete'
+          : 'AI analysis could not be queued; use retry to start it'
+      }
+    });
   } catch (error) {
     console.error('ERROR creating content:', error);
     res.status(500).json({ error: 'Failed to create content.' });
@@ -1368,6 +1068,8 @@ router.put('/:id', isAuthenticated, requirePermission('content.update'), async (
         user_tags: user_tags !== undefined ? user_tags : originalValues.user_tags,
         summary: summary !== undefined ? summary : originalValues.summary
       });
+      // Edited tags or summary can change smart collection matches
+      smartCollectionService.scheduleEvaluation(req.user.id);
     }
     
     // Update group memberships if provided
@@ -1841,9 +1543,6 @@ router.post('/api/:id/retry', isAuthenticated, requirePermission('content.update
     try {
       console.log(`🚀 Triggering reanalysis for ${content.url}`);
       
-      // Import the analysis function
-      const { triggerMultimediaAnalysis } = require('./content');
-      
       // Reset analysis fields to indicate reprocessing
       await content.update({
         transcription: null,
@@ -1856,23 +1555,15 @@ router.post('/api/:id/retry', isAuthenticated, requirePermission('content.update
         }
       });
       
-      // Trigger analysis in background
-      setImmediate(async () => {
-        try {
-          await triggerMultimediaAnalysis(content.url, req.user.id, {
-            source: 'retry',
-            contentId: content.id
-          });
-          console.log(`✅ Reanalysis triggered for ${contentId}`);
-        } catch (retryError) {
-          console.error(`❌ Reanalysis failed for ${contentId}:`, retryError);
-        }
-      });
+      // Queue ahead of routine work since the user is waiting on it
+      const job = await queueMultimediaAnalysis(content, req.user, { priority: 7, reason: 'retry' });
+      console.log(`✅ Reanalysis queued for ${contentId} (job ${job.id})`);
       
       res.json({
         success: true,
-        message: 'Reanalysis triggered successfully',
+        message: 'Reanalysis queued successfully',
         contentId: contentId,
+        jobId: job.id,
         status: 'waiting'
       });
       
@@ -1937,21 +1628,15 @@ router.post('/:id/reprocess', isAuthenticated, requirePermission('content.update
         }
       });
       
-      // Trigger analysis in background using the multimedia orchestrator
-      setImmediate(async () => {
-        try {
-          // Use the correct function signature: triggerMultimediaAnalysis(content, user)
-          await triggerMultimediaAnalysis(content, req.user);
-          console.log(`✅ Reprocessing triggered for ${contentId}`);
-        } catch (reprocessError) {
-          console.error(`❌ Reprocessing failed for ${contentId}:`, reprocessError);
-        }
-      });
+      // Queue ahead of routine work since the user is waiting on it
+      const job = await queueMultimediaAnalysis(content, req.user, { priority: 7, reason: 'reprocess' });
+      console.log(`✅ Reprocessing queued for ${contentId} (job ${job.id})`);
       
       res.json({
         success: true,
-        message: 'Content reprocessing started successfully',
+        message: 'Content reprocessing queued successfully',
         contentId: contentId,
+        jobId: job.id,
         status: 'processing'
       });
       
@@ -1994,10 +1679,10 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
     console.log(`✅ Content found: ${content.url}`);
     
     // Get comprehensive analysis data (reuse existing logic)
-    const { VideoAnalysis, AudioAnalysis, ImageAnalysis, ProcessingJob, Thumbnail, OCRCaption, Speaker } = require('../models');
+    const { VideoAnalysis, AudioAnalysis, ImageAnalysis, ProcessingJob, Thumbnail, OCRCaption, Speaker, VideoChapter } = require('../models');
     
     // Get analysis records and related data
-    let videoAnalysis, audioAnalysis, imageAnalysis, processingJobs = [], thumbnails = [], speakers = [], ocrCaptions = [];
+    let videoAnalysis, audioAnalysis, imageAnalysis, processingJobs = [], thumbnails = [], speakers = [], ocrCaptions = [], chapters = [];
     
     try {
       [videoAnalysis, audioAnalysis, imageAnalysis, processingJobs] = await Promise.all([
@@ -2019,9 +1704,10 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
     // Get related data based on analysis type
     try {
       if (videoAnalysis && Thumbnail && OCRCaption) {
-        [thumbnails, ocrCaptions] = await Promise.all([
+        [thumbnails, ocrCaptions, chapters] = await Promise.all([
           Thumbnail.findAll({
-            where: { content_id: contentId, user_id: userId },
+            // Chapter-only frames (preview) are listed with their chapter
+            where: { content_id: contentId, user_id: userId, thumbnail_type: ['main', 'key_moment'] },
             order: [['timestamp_seconds', 'ASC']],
             limit: 10
           }),
@@ -2029,7 +1715,12 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
             where: { content_id: contentId, user_id: userId },
             order: [['timestamp_seconds', 'ASC']],
             limit: 20
-          })
+          }),
+          VideoChapter ? VideoChapter.findAll({
+            where: { content_id: contentId, user_id: userId },
+            include: [{ model: Thumbnail, as: 'thumbnail', attributes: ['id', 'file_path'] }],
+            order: [['chapter_index', 'ASC']]
+          }) : Promise.resolve([])
         ]);
       }
       
@@ -2059,6 +1750,16 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
     else if (audioAnalysis) mediaType = 'audio';
     else if (imageAnalysis) mediaType = 'image';
     
+    // Timestamped transcript; YouTube lines open the video at their time
+    let transcript = null;
+    try {
+      transcript = await transcriptService.getTranscript(userId, 'content', contentId);
+    } catch (transcriptError) {
+      if (!/not found$/.test(transcriptError.message)) {
+        console.error('❌ Error loading transcript:', transcriptError);
+      }
+    }
+    
     // Helper function to get proper title
     function getContentTitle(content) {
       if (content.generated_title && content.generated_title.trim()) {
@@ -2114,7 +1815,16 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
       // Related data
       thumbnails: thumbnails || [],
       speakers: speakers || [],
+      transcript: transcript ? {
+        source: transcript.source,
+        estimated: transcript.estimated,
+        revision: transcript.revision,
+        speakers: transcript.speakerNames
+      } : null,
+      transcriptLines: transcript ? transcriptService.displayLines(transcript) : [],
+      transcriptSeekUrl: /youtube\.com\/watch|youtu\.be\//i.test(content.url || '') ? content.url : null,
       ocrCaptions: ocrCaptions || [],
+      chapters: chapters || [],
       processingJobs: processingJobs || [],
       
       // Processing information
@@ -2157,4 +1867,4 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('content.rea
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
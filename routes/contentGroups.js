@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { Content, File } = require('../models');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const contentGroupService = require('../services/contentGroupService');
+const smartCollectionService = require('../services/smartCollectionService');
+
+/**
+ * Content Group Routes (mounted at /content/groups)
+ *
+ *   GET    /                      - Groups page
+ *   GET    /api                   - Groups as flat list and tree (JSON)
+ *   POST   /                      - Create group
+ *   POST   /reorder               - Reorder sibling groups
+ *   GET    /:id                   - Group detail page
+ *   GET    /:id/members           - Group members, Content and File mixed (JSON)
+ *   GET    /:id/candidates        - Items not yet in the group (JSON)
+ *   PUT    /:id                   - Rename / describe / move / set cover
+ *   DELETE /:id                   - Delete group (items are kept)
+ *   POST   /:id/members           - Bulk add members
+ *   DELETE /:id/members           - Bulk remove members
+ *   PUT    /:id/members/order     - Reorder members
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (error.message === 'Content group not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (contentGroupService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Content group operation failed' });
+}
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+const uuidArray = (field, required = false) => (required ? body(field) : body(field).optional())
+  .isArray({ max: 500 })
+  .withMessage(`${field} must be an array`)
+  .custom(ids => ids.every(id => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id)))
+  .withMessage(`${field} must contain valid IDs`);
+
+const groupFields = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Group name must be between 1 and 255 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be less than 2000 characters'),
+  body('parent_id').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid parent group'),
+  body('cover_thumbnail_id').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid cover thumbnail')
+];
+
+// Groups page
+router.get('/', requirePermission('content.read'), async (req, res) => {
+  try {
+    const [groups, smartCollections] = await Promise.all([
+      contentGroupService.listGroups(req.user.id),
+      smartCollectionService.listCollections(req.user.id)
+    ]);
+    res.render('content/groups', {
+      user: req.user,
+      title: 'Collections',
+      groups,
+      tree: contentGroupService.buildTree(groups),
+      smartCollections
+    });
+  } catch (error) {
+    logAuthError('CONTENT_GROUPS_PAGE_ERROR', error, { userId: req.user.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to load collections' });
+  }
+});
+
+// Groups (JSON)
+router.get('/api', requirePermission('content.read'), async (req, res) => {
+  try {
+    const groups = await contentGroupService.listGroups(req.user.id);
+    res.json({ success: true, groups, tree: contentGroupService.buildTree(groups) });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUPS_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+// Create group
+router.post('/', requirePermission('content.create'), [
+  body('name').exists().withMessage('Group name is required'),
+  ...groupFields
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const group = await contentGroupService.createGroup(req.user.id, {
+      name: req.body.name,
+      description: req.body.description || null,
+      parentId: req.body.parent_id || null
+    });
+    logAuthEvent('CONTENT_GROUP_CREATED', { userId: req.user.id, targetType: 'content_group', targetId: group.id, name: group.name });
+    res.json({ success: true, group });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_CREATE_ERROR', { userId: req.user.id });
+  }
+});
+
+// Reorder sibling groups
+router.post('/reorder', requirePermission('content.update'), [
+  body('parent_id').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid parent group'),
+  uuidArray('ordered_ids', true)
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contentGroupService.reorderGroups(req.user.id, req.body.parent_id || null, req.body.ordered_ids);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_REORDER_ERROR', { userId: req.user.id });
+  }
+});
+
+// Group detail page
+router.get('/:id', requirePermission('content.read'), async (req, res) => {
+  try {
+    const group = await contentGroupService.getOwnedGroup(req.user.id, req.params.id);
+    const [members, groups] = await Promise.all([
+      contentGroupService.getMembers(req.user.id, group.id),
+      contentGroupService.listGroups(req.user.id)
+    ]);
+    res.render('content/group-detail', {
+      user: req.user,
+      title: group.name,
+      group: groups.find(g => g.id === group.id),
+      groups,
+      subgroups: groups.filter(g => g.parent_id === group.id),
+      members
+    });
+  } catch (error) {
+    if (error.message === 'Content group not found') {
+      return res.status(404).render('error', { user: req.user, title: 'Not Found', message: error.message });
+    }
+    logAuthError('CONTENT_GROUP_PAGE_ERROR', error, { userId: req.user.id, groupId: req.params.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to load collection' });
+  }
+});
+
+// Group members (JSON)
+router.get('/:id/members', requirePermission('content.read'), async (req, res) => {
+  try {
+    const members = await contentGroupService.getMembers(req.user.id, req.params.id);
+    res.json({ success: true, members });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_MEMBERS_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Items that can be added to the group
+router.get('/:id/candidates', requirePermission('content.read'), async (req, res) => {
+  try {
+    const { contentIds, fileIds } = await contentGroupService.getGroupItemIds(req.user.id, req.params.id, false);
+    const search = (req.query.search || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const contentWhere = { user_id: req.user.id, id: { [Op.notIn]: contentIds.length ? contentIds : [''] } };
+    const fileWhere = { user_id: req.user.id, id: { [Op.notIn]: fileIds.length ? fileIds : [''] } };
+    if (search) {
+      contentWhere[Op.or] = [
+        { url: { [Op.like]: `%${search}%` } },
+        { generated_title: { [Op.like]: `%${search}%` } }
+      ];
+      fileWhere[Op.or] = [
+        { filename: { [Op.like]: `%${search}%` } },
+        { generated_title: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const [content, files] = await Promise.all([
+      Content.findAll({ where: contentWhere, attributes: ['id', 'url', 'generated_title', 'content_type', 'createdAt'], order: [['createdAt', 'DESC']], limit }),
+      File.findAll({ where: fileWhere, attributes: ['id', 'filename', 'generated_title', 'createdAt'], order: [['createdAt', 'DESC']], limit })
+    ]);
+
+    const items = [
+      ...content.map(c => ({ item_type: 'content', id: c.id, title: c.generated_title || c.url, createdAt: c.createdAt })),
+      ...files.map(f => ({ item_type: 'file', id: f.id, title: f.generated_title || f.filename, createdAt: f.createdAt }))
+    ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, limit);
+
+    res.json({ success: true, items });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_CANDIDATES_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Update group
+router.put('/:id', requirePermission('content.update'), groupFields, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const group = await contentGroupService.updateGroup(req.user.id, req.params.id, {
+      name: req.body.name,
+      description: req.body.description,
+      parentId: req.body.parent_id === undefined ? undefined : (req.body.parent_id || null),
+      coverThumbnailId: req.body.cover_thumbnail_id
+    });
+    logAuthEvent('CONTENT_GROUP_UPDATED', { userId: req.user.id, targetType: 'content_group', targetId: group.id });
+    res.json({ success: true, group });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_UPDATE_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Delete group
+router.delete('/:id', requirePermission('content.delete'), async (req, res) => {
+  try {
+    await contentGroupService.deleteGroup(req.user.id, req.params.id);
+    logAuthEvent('CONTENT_GROUP_DELETED', { userId: req.user.id, targetType: 'content_group', targetId: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_DELETE_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Bulk add members
+router.post('/:id/members', requirePermission('content.update'), [
+  uuidArray('content_ids'),
+  uuidArray('file_ids')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await contentGroupService.addMembers(req.user.id, req.params.id, {
+      contentIds: req.body.content_ids || [],
+      fileIds: req.body.file_ids || []
+    });
+    logAuthEvent('CONTENT_GROUP_MEMBERS_ADDED', { userId: req.user.id, targetType: 'content_group', targetId: req.params.id, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_ADD_MEMBERS_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Bulk remove members
+router.delete('/:id/members', requirePermission('content.update'), [
+  uuidArray('content_ids'),
+  uuidArray('file_ids')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const removed = await contentGroupService.removeMembers(req.user.id, req.params.id, {
+      contentIds: req.body.content_ids || [],
+      fileIds: req.body.file_ids || []
+    });
+    logAuthEvent('CONTENT_GROUP_MEMBERS_REMOVED', { userId: req.user.id, targetType: 'content_group', targetId: req.params.id, removed });
+    res.json({ success: true, removed });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_REMOVE_MEMBERS_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+// Reorder members
+router.put('/:id/members/order', requirePermission('content.update'), [
+  uuidArray('member_ids', true)
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contentGroupService.reorderMembers(req.user.id, req.params.id, req.body.member_ids);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_REORDER_MEMBERS_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const contentMonitorService = require('../services/contentMonitorService');
+const { WATCH_INTERVALS } = require('../services/contentMonitor');
+
+/**
+ * Content Monitor Routes (mounted at /content, before the content router)
+ *
+ *   GET    /monitor/alerts              - Undismissed change notifications
+ *   POST   /monitor/alerts/:id/dismiss  - Dismiss a notification
+ *   GET    /:id/monitor                 - Watch settings and version history of a content item
+ *   PUT    /:id/monitor                 - { interval_hours, notify_email }
+ *   DELETE /:id/monitor                 - Stop watching
+ *   POST   /:id/monitor/check           - Check the URL now
+ *   GET    /groups/:id/monitor          - Watch settings of a group
+ *   PUT    /groups/:id/monitor          - { interval_hours, notify_email }
+ *   DELETE /groups/:id/monitor          - Stop watching the group
+ *
+ * The middleware is applied per route so other /content requests pass through untouched.
+ */
+
+const authenticated = [isAuthenticated, ensureRoleLoaded];
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (contentMonitorService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Content monitor request failed' });
+}
+
+const watchValidators = [
+  body('interval_hours').optional().isIn(WATCH_INTERVALS.map(String)).withMessage(`interval_hours must be one of ${WATCH_INTERVALS.join(', ')}`),
+  body('notify_email').optional().isBoolean().withMessage('notify_email must be true or false')
+];
+
+router.get('/monitor/alerts', authenticated, requirePermission('content.read'), async (req, res) => {
+  try {
+    const alerts = await contentMonitorService.getAlerts(req.user.id);
+    res.json({ success: true, alerts });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_MONITOR_ALERTS_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/monitor/alerts/:id/dismiss', authenticated, requirePermission('content.read'), [
+  param('id').isUUID().withMessage('Invalid alert ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contentMonitorService.dismissAlert(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_MONITOR_DISMISS_ERROR', { userId: req.user.id, versionId: req.params.id });
+  }
+});
+
+router.get('/groups/:id/monitor', authenticated, requirePermission('content.read'), [
+  param('id').isUUID().withMessage('Invalid group ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const watch = await contentMonitorService.getGroupWatch(req.user.id, req.params.id);
+    res.json({ success: true, watch });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_WATCH_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+router.put('/groups/:id/monitor', authenticated, requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid group ID'),
+  ...watchValidators
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const watch = await contentMonitorService.setWatch(req.user.id, { groupId: req.params.id }, {
+      intervalHours: req.body.interval_hours,
+      notifyEmail: req.body.notify_email
+    });
+    res.json({ success: true, watch });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_WATCH_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+router.delete('/groups/:id/monitor', authenticated, requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid group ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contentMonitorService.removeWatch(req.user.id, { groupId: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_GROUP_WATCH_ERROR', { userId: req.user.id, groupId: req.params.id });
+  }
+});
+
+router.get('/:id/monitor', authenticated, requirePermission('content.read'), [
+  param('id').isUUID().withMessage('Invalid content ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const monitor = await contentMonitorService.getContentMonitor(req.user.id, req.params.id);
+    res.json({ success: true, ...monitor });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_WATCH_ERROR', { userId: req.user.id, contentId: req.params.id });
+  }
+});
+
+router.put('/:id/monitor', authenticated, requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid content ID'),
+  ...watchValidators
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const watch = await contentMonitorService.setWatch(req.user.id, { contentId: req.params.id }, {
+      intervalHours: req.body.interval_hours,
+      notifyEmail: req.body.notify_email
+    });
+    res.json({ success: true, watch });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_WATCH_ERROR', { userId: req.user.id, contentId: req.params.id });
+  }
+});
+
+router.delete('/:id/monitor', authenticated, requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid content ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await contentMonitorService.removeWatch(req.user.id, { contentId: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_WATCH_ERROR', { userId: req.user.id, contentId: req.params.id });
+  }
+});
+
+router.post('/:id/monitor/check', authenticated, requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid content ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await contentMonitorService.checkNow(req.user.id, req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleServiceError(res, error, 'CONTENT_MONITOR_CHECK_ERROR', { userId: req.user.id, contentId: req.params.id });
+  }
+});
+
+module.exports = router;
@@ -2,1016 +2,22 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const FileUploadService = require('../services/fileUpload');
+const contentGroupService = require('../services/contentGroupService');
+const webhookService = require('../services/webhookService');
+const searchService = require('../services/searchService');
+const smartCollectionService = require('../services/smartCollectionService');
+const mapService = require('../services/mapService');
+const mediaLocation = require('../services/mediaLocation');
+const speakerDiarization = require('../services/speakerDiarization');
+const transcriptService = require('../services/transcriptService');
 const { File, User, ContentGroup, ContentGroupMember } = require('../models');
 const { isAuthenticated, isAdmin, checkUsageLimit, checkFileSizeLimit, updateUsage, requirePermission } = require('../middleware');
 const { body, param, query, validationResult } = require('express-validator');
 const logger = require('../config/logger');
 const { logging } = require('../config/config');
 const { Op } = require('sequelize');
-const { AutomationOrchestrator } = require('../services/multimedia');
 const { ContentTypeDetector } = require('../scripts/populate-content-types');
-
-// Initialize automation orchestrator for file processing (singleton)
-const orchestrator = AutomationOrchestrator.getInstance();
-
-/**
- * Check if file type should trigger multimedia analysis
- * @param {string} mimetype - File MIME type
- * @returns {boolean} - True if file should be analyzed
- */
-function isMultimediaFile(mimetype) {
-  const multimediaTypes = [
-    // Video files
-    'video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-ms-wmv', 'video/webm', 'video/avi',
-    // Audio files
-    'audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/mp3', 'audio/mp4', 'audio/aac', 'audio/ogg',
-    // Image files (for OCR analysis)
-    'image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/webp', 'image/tiff',
-    // Document files (for AI text analysis)
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'text/rtf',
-    'application/rtf'
-  ];
-  
-  return multimediaTypes.includes(mimetype);
-}
-
-/**
- * Fallback function to copy AI data from analysis tables to File record
- * @param {string} fileId - File ID to fix
- * @param {string} userId - User ID
- */
-async function copyAnalysisToFileRecord(fileId, userId) {
-  try {
-    console.log(`🔧 FALLBACK: Copying analysis data to File record for ${fileId}`);
-    
-    const [file, imageAnalysis, videoAnalysis, audioAnalysis] = await Promise.all([
-      File.findOne({ where: { id: fileId, user_id: userId } }),
-      require('../models').ImageAnalysis?.findOne({ where: { file_id: fileId, user_id: userId } }),
-      require('../models').VideoAnalysis?.findOne({ where: { file_id: fileId, user_id: userId } }),
-      require('../models').AudioAnalysis?.findOne({ where: { file_id: fileId, user_id: userId } })
-    ]);
-    
-    if (!file) {
-      console.log(`❌ FALLBACK: File not found: ${fileId}`);
-      return false;
-    }
-    
-    const analysis = imageAnalysis || videoAnalysis || audioAnalysis;
-    if (!analysis) {
-      console.log(`❌ FALLBACK: No analysis found for ${fileId}`);
-      return false;
-    }
-    
-    const updateData = {};
-    
-    // Copy AI description/transcription
-    if (imageAnalysis?.ai_description) {
-      updateData.summary = typeof imageAnalysis.ai_description === 'string' 
-        ? imageAnalysis.ai_description 
-        : imageAnalysis.ai_description.description || imageAnalysis.ai_description.text;
-    } else if (videoAnalysis?.transcription_results?.fullText) {
-      updateData.summary = videoAnalysis.transcription_results.fullText;
-    } else if (audioAnalysis?.transcription_results?.fullText) {
-      updateData.summary = audioAnalysis.transcription_results.fullText;
-    }
-    
-    // Generate title from summary
-    if (updateData.summary) {
-      const words = updateData.summary.split(' ');
-      updateData.generated_title = words.slice(0, 8).join(' ') + (words.length > 8 ? '...' : '');
-    }
-    
-         // Enhanced tag extraction from multiple sources
-     let extractedTags = [];
-     
-     // From object detection (images and videos)
-     if (imageAnalysis?.object_detection?.objects) {
-       const objectTags = imageAnalysis.object_detection.objects
-         .filter(obj => obj.confidence > 0.7)
-         .map(obj => obj.name.toLowerCase());
-       extractedTags.push(...objectTags);
-     } else if (videoAnalysis?.object_detection?.objects) {
-       const objectTags = videoAnalysis.object_detection.objects
-         .filter(obj => obj.confidence > 0.7)
-         .map(obj => obj.name.toLowerCase());
-       extractedTags.push(...objectTags);
-     }
-     
-     // From label detection (Google Vision API)
-     if (imageAnalysis?.label_detection?.labels) {
-       const labelTags = imageAnalysis.label_detection.labels
-         .filter(label => label.confidence > 0.7)
-         .map(label => label.name.toLowerCase());
-       extractedTags.push(...labelTags);
-     }
-     
-     // From AI description keywords (fallback when no objects detected)
-     if (extractedTags.length === 0 && updateData.summary) {
-       const keywords = updateData.summary.toLowerCase()
-         .replace(/[^\w\s]/g, ' ')
-         .split(/\s+/)
-         .filter(word => word.length > 3 && word.length < 15)
-         .filter(word => !['this', 'that', 'with', 'from', 'they', 'were', 'been', 'have', 'will', 'would', 'could', 'should', 'featuring', 'displays', 'shows', 'includes', 'image', 'photo', 'picture'].includes(word));
-       
-       // Get most frequent keywords
-       const wordCounts = {};
-       keywords.forEach(word => {
-         wordCounts[word] = (wordCounts[word] || 0) + 1;
-       });
-       
-       const topKeywords = Object.entries(wordCounts)
-         .sort(([,a], [,b]) => b - a)
-         .slice(0, 5)
-         .map(([word]) => word);
-       
-       extractedTags.push(...topKeywords);
-       console.log(`🏷️ Generated tags from AI description keywords: ${topKeywords.join(', ')}`);
-     }
-     
-     // Set final tags (remove duplicates and limit)
-     if (extractedTags.length > 0) {
-       updateData.auto_tags = [...new Set(extractedTags)].slice(0, 8);
-     }
-    
-    // Update file record
-    if (Object.keys(updateData).length > 0) {
-      await File.update(updateData, { where: { id: fileId, user_id: userId } });
-      console.log(`✅ FALLBACK: Updated File record with ${Object.keys(updateData).length} fields`);
-      return true;
-    }
-    
-    return false;
-  } catch (error) {
-    console.error(`❌ FALLBACK: Failed to copy analysis data:`, error);
-    return false;
-  }
-}
-
-/**
- * Generate sophisticated AI title for images using OpenAI (same approach as videos)
- * @param {string} imageDescription - AI description of the image
- * @param {Object} analysisData - Additional analysis data (objects, tags, etc.)
- * @param {Object} options - Options including userId, fileId, etc. for tracking
- * @returns {Promise<string|null>} Generated title or null if failed
- */
-async function generateSophisticatedImageTitle(imageDescription, analysisData = {}, options = {}) {
-  try {
-    console.log('📝 Starting sophisticated AI-powered title generation for image');
-    
-    // Initialize OpenAI if not already done
-    const { OpenAI } = require('openai');
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    // Initialize AI usage tracker for cost tracking
-    const AiUsageTracker = require('../services/aiUsageTracker');
-    const aiUsageTracker = new AiUsageTracker();
-    
-    if (!openai || !process.env.OPENAI_API_KEY) {
-      console.log('⚠️ OpenAI not available for title generation');
-      return null;
-    }
-
-    // Prepare content for analysis
-    let contentToAnalyze = imageDescription.trim();
-    
-    // Enhance with additional context from analysis data
-    if (analysisData.objects && analysisData.objects.length > 0) {
-      const objectNames = analysisData.objects.map(obj => obj.name).join(', ');
-      contentToAnalyze += `\n\nDetected objects: ${objectNames}`;
-    }
-    
-    if (analysisData.tags && analysisData.tags.length > 0) {
-      const tagList = analysisData.tags.slice(0, 5).join(', '); // Top 5 tags
-      contentToAnalyze += `\n\nKey themes: ${tagList}`;
-    }
-
-    if (!contentToAnalyze || contentToAnalyze.length < 10) {
-      console.log('⚠️ Insufficient content for AI title generation');
-      return null;
-    }
-
-    console.log(`🤖 Sending image content to OpenAI for title generation (${contentToAnalyze.length} chars)`);
-
-          const prompt = `Based on the following image description and analysis, create an engaging and descriptive title that follows proper narrative structure like professional video titles.
-
-The title should be:
-- Follow a narrative structure with proper grammar and flow (NOT keyword lists or bullet points)
-- Be a complete, well-formed sentence or phrase that tells what the image is about
-- Use descriptive language that paints a picture of the scene
-- Focus on the main subject, action, or purpose shown in the image
-- Be professional and engaging like video content titles
-- Avoid comma-separated lists or tag-like structures
-- Create a cohesive narrative that flows naturally
-
-Image Analysis: ${contentToAnalyze}
-
-Examples of good structured titles:
-- "Professional Energy Storage Solutions Showcase: Complete Equipment Layout and Components Display"
-- "Comprehensive Tutorial Setup: Step-by-Step Equipment Organization for Solar Installation"
-- "Modern Industrial Design: Clean Product Layout Featuring Advanced Energy Storage Technology"
-- "Educational Product Demonstration: Detailed Component Overview for Renewable Energy Systems"
-
-BAD examples to avoid:
-- "SunC New Energy Co, packing list, energy storage equipment" (keyword list)
-- "Inverter, batteries, pallet, manuals, plugs" (bullet points)
-- "Company name, product type, equipment list" (tag structure)
-
-Respond with only the title, no quotes or additional text.`;
-
-    const startTime = Date.now();
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-                  {
-            role: 'system',
-            content: 'You are an expert content creator who specializes in writing professional, descriptive titles for visual content that match the quality and structure of video titles. Create compelling titles that follow proper narrative structure with complete sentences, not keyword lists or bullet points. Your titles should be well-formed, professional, and descriptive - similar to how video content is titled. Focus on the main subject, purpose, or theme of the image using proper grammar and cohesive language flow. Avoid comma-separated lists or tag-like structures.'
-          },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 80
-    });
-
-    const requestDuration = Date.now() - startTime;
-
-    // Track AI usage for cost calculation
-    if (options.userId) {
-      try {
-        await aiUsageTracker.trackOpenAIUsage({
-          userId: options.userId,
-          response: response,
-          model: "gpt-4",
-          operationType: 'text_generation',
-          contentId: options.contentId || null,
-          fileId: options.fileId || null,
-          processingJobId: options.processingJobId || null,
-          sessionId: options.sessionId || null,
-          requestDurationMs: requestDuration,
-          metadata: {
-            operationType: 'image_title_generation',
-            descriptionLength: contentToAnalyze.length,
-            prompt: prompt.substring(0, 200) + '...' // Store truncated prompt for debugging
-          }
-        });
-        console.log('💰 AI usage tracked successfully for image title generation');
-      } catch (trackingError) {
-        console.warn('❌ Failed to track OpenAI usage for image title generation:', trackingError.message);
-        // Don't fail the main operation due to tracking issues
-      }
-    }
-
-    let generatedTitle = response.choices[0].message.content.trim();
-    
-    // Clean up title (remove quotes if present)
-    generatedTitle = generatedTitle.replace(/^["']|["']$/g, '');
-    
-    // Ensure title isn't too long (allow for more descriptive titles)
-    if (generatedTitle.length > 150) {
-      generatedTitle = generatedTitle.substring(0, 147) + '...';
-    }
-    
-    console.log(`✅ Generated sophisticated AI title: "${generatedTitle}"`);
-    return generatedTitle;
-    
-  } catch (error) {
-    console.error('❌ Sophisticated AI title generation failed:', error.message);
-    return null;
-  }
-}
-
-/**
- * Format text as a professional title with proper structure
- * @param {string} text - Text to format
- * @returns {string} Professionally formatted title
- */
-function formatAsProfessionalTitle(text) {
-  // Capitalize first letter and ensure proper sentence structure
-  const formatted = text.charAt(0).toUpperCase() + text.slice(1);
-  
-  // If it already has good structure, return as is
-  if (formatted.includes(':') || formatted.includes(' - ') || formatted.length > 40) {
-    return formatted;
-  }
-  
-  // Add professional structure for shorter phrases
-  return `Professional ${formatted}: Detailed Visual Overview`;
-}
-
-/**
- * Trigger multimedia analysis for uploaded file using enhanced AI system
- * @param {Object} fileRecord - File database record
- * @param {Object} user - User object
- */
-async function triggerFileAnalysis(fileRecord, user) {
-  let fileMetadata = {}; // FIXED: Initialize as empty object instead of undefined
-  
-  try {
-    console.log(`🎬 Starting enhanced file analysis for ${fileRecord.id}`, {
-      user_id: user.id,
-      file_id: fileRecord.id,
-      filename: fileRecord.filename,
-      mimetype: fileRecord.metadata?.mimetype
-    });
-
-    // Get the actual filesystem path for the uploaded file
-    const path = require('path');
-    const fs = require('fs');
-    let filePath;
-    
-    if (fileRecord.file_path.startsWith('gs://')) {
-      // For Google Cloud Storage files, download them temporarily for analysis
-      console.log(`📥 Downloading GCS file for analysis: ${fileRecord.file_path}`);
-      
-      const tempDir = path.join(__dirname, '..', 'temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFileName = `temp_${fileRecord.id}_${Date.now()}_${fileRecord.filename}`;
-      filePath = path.join(tempDir, tempFileName);
-      
-      try {
-        // Initialize fileMetadata for GCS downloads
-        fileMetadata = {
-          filename: fileRecord.filename,
-          fileId: fileRecord.id,
-          userId: user.id,
-          mimeType: fileRecord.metadata?.mimetype,
-          fileSize: fileRecord.metadata?.size,
-          source: 'upload',
-          cleanupTempFile: false, // Initialize cleanup flag
-          tempFilePath: null      // Initialize temp path
-        };
-        
-        // Download file from GCS using FileUploadService
-        const gcsPath = fileRecord.file_path.replace('gs://', '');
-        const [bucketName, ...pathParts] = gcsPath.split('/');
-        const objectName = pathParts.join('/');
-        
-        // Use FileUploadService to download the file
-        console.log(`📥 Downloading from bucket: ${bucketName}, object: ${objectName}`);
-        const FileUploadService = require('../services/fileUpload');
-        const downloadResult = await FileUploadService.downloadFromGCS(bucketName, objectName, filePath);
-        console.log(`✅ Downloaded GCS file to: ${filePath}`);
-        
-        // Set cleanup flags for temporary file
-        fileMetadata.cleanupTempFile = true;
-        fileMetadata.tempFilePath = filePath;
-        
-      } catch (downloadError) {
-        console.error(`❌ Failed to download GCS file: ${downloadError.message}`);
-        console.error(`🔧 DEBUG: fileMetadata when error occurred:`, typeof fileMetadata, fileMetadata);
-        // Log more details about the error
-        console.error(`🔧 DEBUG: GCS path: ${fileRecord.file_path}`);
-        console.error(`🔧 DEBUG: Error stack:`, downloadError.stack);
-        throw new Error(`Failed to download file from Google Cloud Storage: ${downloadError.message}`);
-      }
-    } else {
-      // For local files, convert the stored path to absolute path
-      console.log(`📁 Processing local file: ${fileRecord.file_path}`);
-      if (fileRecord.file_path.startsWith('/uploads/')) {
-        // Path is already relative to project root
-        filePath = path.join(__dirname, '..', fileRecord.file_path);
-      } else {
-        // Path might be absolute or relative
-        filePath = path.resolve(fileRecord.file_path);
-      }
-    }
-
-    // Verify file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found at path: ${filePath}`);
-    }
-
-    console.log(`📖 Reading file into buffer...`);
-    // Read file into buffer for processing
-    const fileBuffer = await fs.promises.readFile(filePath);
-    console.log(`📖 File buffer size: ${fileBuffer.length} bytes`);
-    
-    // Update metadata for orchestrator (preserve cleanup flags)
-    fileMetadata = {
-      ...fileMetadata, // Preserve any existing properties like cleanup flags
-      filename: fileRecord.filename,
-      fileId: fileRecord.id,
-      userId: user.id,
-      mimeType: fileRecord.metadata?.mimetype,
-      fileSize: fileRecord.metadata?.size,
-      source: 'upload',
-      filePath: filePath
-    };
-
-    console.log(`🎯 Starting orchestrator processing...`);
-    // Process file with new orchestrator for detailed analysis
-    const processingResult = await orchestrator.processContent(
-      fileBuffer,
-      fileMetadata
-    );
-
-    console.log(`🎯 Orchestrator processing completed for ${fileRecord.id}`, {
-      user_id: user.id,
-      file_id: fileRecord.id,
-      job_id: processingResult.jobId,
-      media_type: processingResult.mediaType,
-      has_results: !!processingResult.results,
-      result_keys: processingResult.results ? Object.keys(processingResult.results) : 'none'
-    });
-
-    // Log only essential processing results
-    if (processingResult.results?.data) {
-      const hasAiDescription = !!processingResult.results.data.aiDescription;
-      const objectCount = processingResult.results.data.objects?.length || 0;
-      const tagCount = processingResult.results.data.tags?.length || 0;
-      console.log(`📊 Analysis completed: AI description: ${hasAiDescription}, Objects: ${objectCount}, Tags: ${tagCount}`);
-    }
-
-    // Extract results from orchestrator response
-    const formattedResults = processingResult.results;
-    
-    // ✨ ENHANCED AI PROCESSING: Use BackwardCompatibilityService for AI-powered titles and tags
-    console.log(`🚀 Starting enhanced AI analysis for file ${fileRecord.id}`);
-    const BackwardCompatibilityService = require('../services/BackwardCompatibilityService');
-    const compatibilityService = new BackwardCompatibilityService();
-    
-    // Create a summary/transcription for AI analysis
-    let contentForAI = '';
-    
-    // Build content string for AI analysis
-    if (formattedResults.data.transcription) {
-      if (formattedResults.data.transcription.fullText) {
-        contentForAI = formattedResults.data.transcription.fullText;
-      } else if (typeof formattedResults.data.transcription === 'string') {
-        contentForAI = formattedResults.data.transcription;
-      }
-    }
-    
-    // For images, use AI description (FIXED: Handle both string and object formats)
-    if (formattedResults.data.aiDescription) {
-      if (typeof formattedResults.data.aiDescription === 'string') {
-        contentForAI = formattedResults.data.aiDescription;
-      } else if (formattedResults.data.aiDescription.description) {
-        contentForAI = formattedResults.data.aiDescription.description;
-      }
-    }
-    
-    // For OCR text, append it
-    if (formattedResults.data.ocrText && formattedResults.data.ocrText.fullText) {
-      contentForAI = contentForAI ? 
-        `${contentForAI}\n\nExtracted Text: ${formattedResults.data.ocrText.fullText}` : 
-        `Extracted Text: ${formattedResults.data.ocrText.fullText}`;
-    }
-    
-    // Enhanced AI analysis using our improved system
-    let enhancedResults = null;
-    if (contentForAI.trim().length > 10) { // Only if we have sufficient content
-      try {
-        console.log(`🎯 Running AI enhancement...`);
-        // Create a fake analysis result with our content for AI enhancement
-        const fakeAnalysisForAI = {
-          transcription: contentForAI,
-          summary: contentForAI.length > 500 ? contentForAI.substring(0, 500) + '...' : contentForAI,
-          metadata: formattedResults.data.metadata || {}
-        };
-        
-        enhancedResults = await compatibilityService.convertToLegacyFormat(fakeAnalysisForAI);
-        
-        console.log(`✨ Enhanced AI analysis completed for file ${fileRecord.id}`, {
-          user_id: user.id,
-          file_id: fileRecord.id,
-          generated_title: enhancedResults.generatedTitle,
-          ai_tags: enhancedResults.auto_tags,
-          ai_category: enhancedResults.category
-        });
-      } catch (aiError) {
-        console.error(`⚠️ Enhanced AI analysis failed for file ${fileRecord.id}:`, aiError.message);
-        console.error(`⚠️ AI Error stack:`, aiError.stack);
-        
-        // 🚀 FALLBACK: Create enhanced results directly from AI content
-        console.log(`🔧 Creating enhanced results directly from AI content...`);
-        enhancedResults = {
-          generatedTitle: null, // Will be generated later from content
-          auto_tags: [],
-          category: formattedResults.mediaType || 'unknown'
-        };
-        
-        // Extract meaningful tags from AI description
-        if (contentForAI.length > 20) {
-          const words = contentForAI.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 3 && !['this', 'that', 'with', 'from', 'they', 'were', 'been', 'have', 'will', 'would', 'could', 'should'].includes(word));
-          
-          // Get most frequent meaningful words as tags
-          const wordCounts = {};
-          words.forEach(word => {
-            wordCounts[word] = (wordCounts[word] || 0) + 1;
-          });
-          
-          const topWords = Object.entries(wordCounts)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 8)
-            .map(([word]) => word);
-          
-          enhancedResults.auto_tags = topWords;
-          console.log(`🏷️ Generated fallback tags from content: ${topWords.join(', ')}`);
-        }
-      }
-    } else {
-      console.log(`⚠️ Insufficient content for AI enhancement (${contentForAI.length} chars)`);
-    }
-    
-    // ✨ ENHANCED DATABASE STORAGE: Store ALL AI outputs in dedicated analysis tables
-    console.log(`💾 Building comprehensive database storage for all AI outputs...`);
-    
-    // Create processing job record first
-    const { ProcessingJob } = require('../models');
-    const processingJob = await ProcessingJob.create({
-      user_id: user.id,
-      file_id: fileRecord.id,
-      job_type: `${formattedResults.mediaType}_analysis`,
-      media_type: formattedResults.mediaType,
-      status: 'completed',
-      progress: 100,
-      job_config: {
-        features: Object.keys(formattedResults.data),
-        orchestrator: true,
-        version: '2.0'
-      },
-      input_metadata: fileMetadata,
-      processing_results: formattedResults.data,
-      performance_metrics: {
-        processingTime: processingResult.processingTime,
-        jobId: processingResult.jobId,
-        features: Object.keys(formattedResults.data).length,
-        warnings: processingResult.warnings?.length || 0
-      },
-      started_at: new Date(Date.now() - (processingResult.processingTime || 0)),
-      completed_at: new Date(),
-      duration_ms: processingResult.processingTime || 0
-    });
-    
-    console.log(`✅ Created processing job record: ${processingJob.id}`);
-    
-    // Store media-specific analysis in dedicated tables
-    let analysisRecord = null;
-    if (formattedResults.mediaType === 'video') {
-      const { VideoAnalysis } = require('../models');
-      analysisRecord = await VideoAnalysis.create({
-        user_id: user.id,
-        file_id: fileRecord.id,
-        processing_job_id: processingJob.id,
-        duration: formattedResults.data.metadata?.duration || 0,
-        video_metadata: formattedResults.data.metadata || {},
-        objects_detected: formattedResults.data.objects ? {
-          totalObjects: formattedResults.data.objects.length,
-          objects: formattedResults.data.objects,
-          averageConfidence: formattedResults.data.objects.reduce((sum, obj) => sum + (obj.confidence || 0), 0) / formattedResults.data.objects.length
-        } : null,
-        frame_analysis: formattedResults.data.frameAnalysis || null,
-        scene_detection: formattedResults.data.sceneDetection || null,
-        motion_analysis: formattedResults.data.motionAnalysis || null,
-        quality_assessment: formattedResults.data.qualityAssessment || null,
-        content_analysis: formattedResults.data.contentAnalysis || null,
-        processing_stats: {
-          processingTime: processingResult.processingTime,
-          features: Object.keys(formattedResults.data),
-          warnings: processingResult.warnings
-        },
-        analysis_method: 'hybrid',
-        status: 'ready',
-        progress: 100,
-        started_at: processingJob.started_at,
-        completed_at: processingJob.completed_at,
-        analysis_version: '2.0'
-      });
-      console.log(`📹 Created video analysis record: ${analysisRecord.id}`);
-    } else if (formattedResults.mediaType === 'audio') {
-      const { AudioAnalysis } = require('../models');
-      analysisRecord = await AudioAnalysis.create({
-        user_id: user.id,
-        file_id: fileRecord.id,
-        processing_job_id: processingJob.id,
-        duration: formattedResults.data.metadata?.duration || 0,
-        audio_metadata: formattedResults.data.metadata || {},
-        transcription_results: formattedResults.data.transcription ? {
-          fullText: formattedResults.data.transcription.fullText || formattedResults.data.transcription,
-          segments: formattedResults.data.transcription.segments || [],
-          language: formattedResults.data.transcription.language || 'unknown',
-          statistics: formattedResults.data.transcription.statistics || {}
-        } : null,
-        speaker_analysis: formattedResults.data.speakers ? {
-          totalSpeakers: formattedResults.data.speakers.length,
-          speakers: formattedResults.data.speakers
-        } : null,
-        voice_print_data: formattedResults.data.voicePrints || null,
-        sentiment_analysis: formattedResults.data.sentiment || null,
-        quality_assessment: formattedResults.data.qualityAssessment || null,
-        language_detection: formattedResults.data.languageDetection || null,
-        content_analysis: formattedResults.data.contentAnalysis || null,
-        processing_stats: {
-          processingTime: processingResult.processingTime,
-          features: Object.keys(formattedResults.data),
-          warnings: processingResult.warnings
-        },
-        analysis_method: 'hybrid',
-        status: 'ready',
-        progress: 100,
-        started_at: processingJob.started_at,
-        completed_at: processingJob.completed_at,
-        analysis_version: '2.0'
-      });
-      console.log(`🎵 Created audio analysis record: ${analysisRecord.id}`);
-    } else if (formattedResults.mediaType === 'image') {
-      const { ImageAnalysis } = require('../models');
-      analysisRecord = await ImageAnalysis.create({
-        user_id: user.id,
-        file_id: fileRecord.id,
-        processing_job_id: processingJob.id,
-        image_metadata: formattedResults.data.metadata || {},
-        object_detection: formattedResults.data.objects ? {
-          totalObjects: formattedResults.data.objects.length,
-          objects: formattedResults.data.objects,
-          averageConfidence: formattedResults.data.objects.reduce((sum, obj) => sum + (obj.confidence || 0), 0) / formattedResults.data.objects.length
-        } : null,
-        ocr_results: formattedResults.data.ocrText || null,
-        ai_description: formattedResults.data.aiDescription || null,
-        face_detection: formattedResults.data.faces || null,
-        color_analysis: formattedResults.data.colorAnalysis || null,
-        quality_assessment: formattedResults.data.qualityAssessment || null,
-        label_detection: formattedResults.data.labels || null,
-        content_analysis: formattedResults.data.contentAnalysis || null,
-        processing_stats: {
-          processingTime: processingResult.processingTime,
-          features: Object.keys(formattedResults.data),
-          warnings: processingResult.warnings
-        },
-        analysis_method: 'hybrid',
-        status: 'ready',
-        progress: 100,
-        started_at: processingJob.started_at,
-        completed_at: processingJob.completed_at,
-        analysis_version: '2.0'
-      });
-      console.log(`🖼️ Created image analysis record: ${analysisRecord.id}`);
-    }
-    
-    // Store supporting data in specialized tables
-    if (formattedResults.data.thumbnails && formattedResults.data.thumbnails.length > 0) {
-      const { Thumbnail } = require('../models');
-      for (const thumb of formattedResults.data.thumbnails) {
-        // Validate required fields for thumbnail creation
-        const thumbnailPath = thumb.url || thumb.path || thumb.file_path;
-        const thumbnailName = thumb.filename || thumb.name || (thumbnailPath ? require('path').basename(thumbnailPath) : null);
-        
-        // Only create thumbnail if we have required data
-        if (thumbnailPath && thumbnailName) {
-          try {
-            await Thumbnail.create({
-              user_id: user.id,
-              file_id: fileRecord.id,
-              video_analysis_id: formattedResults.mediaType === 'video' ? analysisRecord?.id : null,
-              image_analysis_id: formattedResults.mediaType === 'image' ? analysisRecord?.id : null,
-              file_path: thumbnailPath,
-              file_name: thumbnailName,
-              timestamp_seconds: thumb.timestamp || 0,
-              width: thumb.width || null,
-              height: thumb.height || null,
-              mime_type: thumb.mimeType || thumb.mime_type || 'image/jpeg',
-              file_size: thumb.size || null,
-              metadata: {
-                originalUrl: thumb.url,
-                generatedAt: new Date().toISOString(),
-                quality: thumb.quality || 'standard',
-                source: 'orchestrator'
-              }
-            });
-          } catch (thumbnailError) {
-            console.error(`⚠️ Failed to create thumbnail record:`, thumbnailError.message);
-            console.error(`   Thumbnail data:`, {
-              path: thumbnailPath,
-              name: thumbnailName,
-              width: thumb.width,
-              height: thumb.height
-            });
-            // Continue processing other thumbnails
-          }
-        } else {
-          console.log(`⚠️ Skipping thumbnail creation - missing required data:`, {
-            hasPath: !!thumbnailPath,
-            hasName: !!thumbnailName,
-            thumb: thumb
-          });
-        }
-      }
-      console.log(`🖼️ Processed ${formattedResults.data.thumbnails.length} thumbnail records`);
-    }
-    
-    if (formattedResults.data.ocrCaptions && formattedResults.data.ocrCaptions.length > 0) {
-      const { OCRCaption } = require('../models');
-      for (const caption of formattedResults.data.ocrCaptions) {
-        await OCRCaption.create({
-          user_id: user.id,
-          file_id: fileRecord.id,
-          video_analysis_id: formattedResults.mediaType === 'video' ? analysisRecord?.id : null,
-          text: caption.text,
-          timestamp_seconds: caption.timestamp || 0,
-          confidence: caption.confidence || 0,
-          bounding_box: caption.boundingBox || null,
-          language: caption.language || 'unknown'
-        });
-      }
-      console.log(`📝 Created ${formattedResults.data.ocrCaptions.length} OCR caption records`);
-    }
-    
-    if (formattedResults.data.speakers && formattedResults.data.speakers.length > 0) {
-      const { Speaker } = require('../models');
-      for (const speaker of formattedResults.data.speakers) {
-        await Speaker.create({
-          user_id: user.id,
-          audio_analysis_id: formattedResults.mediaType === 'audio' ? analysisRecord?.id : null,
-          name: speaker.name || `Speaker ${speaker.id}`,
-          voice_fingerprint: speaker.voiceFingerprint || null,
-          confidence_score: speaker.confidence || 0,
-          gender: speaker.gender || 'unknown',
-          language: speaker.language || 'unknown',
-          total_speaking_time: speaker.totalSpeakingTime || 0,
-          first_appearance: speaker.firstAppearance || 0,
-          last_appearance: speaker.lastAppearance || 0,
-          characteristics: speaker.characteristics || {}
-        });
-      }
-      console.log(`👥 Created ${formattedResults.data.speakers.length} speaker records`);
-    }
-    
-    // Update file record with legacy fields for backward compatibility
-    const updateData = {};
-    
-    // Store basic metadata - ensure proper parsing and merging
-    let existingMetadata = {};
-    if (fileRecord.metadata) {
-      if (typeof fileRecord.metadata === 'string') {
-        try {
-          existingMetadata = JSON.parse(fileRecord.metadata);
-        } catch (e) {
-          console.log(`⚠️ Failed to parse existing metadata, using empty object`);
-          existingMetadata = {};
-        }
-      } else {
-        existingMetadata = fileRecord.metadata;
-      }
-    }
-    
-    // Build metadata object
-    updateData.metadata = {
-      ...existingMetadata,
-      ...(formattedResults.data.metadata || {}),
-      processingJobId: processingJob.id,
-      analysisId: analysisRecord?.id,
-      lastAnalyzed: new Date().toISOString(),
-      aiVersion: '2.0'
-    };
-    
-    // Handle transcription results based on media type
-    if (formattedResults.data.transcription) {
-      if (formattedResults.data.transcription.fullText) {
-        updateData.transcription = formattedResults.data.transcription.fullText;
-      } else if (typeof formattedResults.data.transcription === 'string') {
-        updateData.transcription = formattedResults.data.transcription;
-      }
-    }
-    
-    // Handle AI descriptions for images (enhanced with better structure detection)
-    if (formattedResults.data.aiDescription) {
-      // Handle different possible structures
-      let aiDescription = '';
-      if (typeof formattedResults.data.aiDescription === 'string') {
-        aiDescription = formattedResults.data.aiDescription;
-      } else if (formattedResults.data.aiDescription.description) {
-        aiDescription = formattedResults.data.aiDescription.description;
-      } else if (formattedResults.data.aiDescription.text) {
-        aiDescription = formattedResults.data.aiDescription.text;
-      }
-      
-      if (aiDescription && aiDescription.length > 0) {
-        updateData.summary = aiDescription;
-      }
-    }
-    
-    // Handle OCR text for images/videos
-    if (formattedResults.data.ocrText && formattedResults.data.ocrText.fullText) {
-      // Append OCR text to existing summary or create new one
-      const ocrText = formattedResults.data.ocrText.fullText;
-      updateData.summary = updateData.summary ? 
-        `${updateData.summary}\n\nExtracted Text: ${ocrText}` : 
-        `Extracted Text: ${ocrText}`;
-      console.log(`📝 Added OCR text to summary: ${updateData.summary.length} characters`);
-    }
-    
-    // Store sentiment analysis
-    if (formattedResults.data.sentiment) {
-      updateData.sentiment = formattedResults.data.sentiment;
-      console.log(`😊 Added sentiment analysis`);
-    }
-    
-    // ✨ ENHANCED: Use AI-powered tags and title if available (prioritize AI titles)
-    if (enhancedResults) {
-      // AI-generated title - prioritize this over other title generation
-      if (enhancedResults.generatedTitle) {
-        updateData.generated_title = enhancedResults.generatedTitle;
-        updateData.metadata.title = enhancedResults.generatedTitle;
-        console.log(`🎯 Added enhanced AI-generated title: "${enhancedResults.generatedTitle}"`);
-      }
-      
-      // AI-powered tags (prioritize these over basic object detection)
-      if (enhancedResults.auto_tags && enhancedResults.auto_tags.length > 0) {
-        updateData.auto_tags = [...new Set(enhancedResults.auto_tags)]; // Remove duplicates
-        console.log(`🏷️ Added AI-generated tags: ${updateData.auto_tags.join(', ')}`);
-      }
-      
-      // AI-powered category
-      if (enhancedResults.category) {
-        updateData.category = enhancedResults.category;
-        console.log(`📁 Added AI category: ${enhancedResults.category}`);
-      }
-    }
-    
-        // 🚀 ENHANCED: Generate proper AI titles like videos do
-    if ((!enhancedResults || !enhancedResults.generatedTitle) && !updateData.generated_title) {
-      // Check if core pipeline generated a title
-      if (formattedResults.data && formattedResults.data.generatedTitle) {
-        updateData.generated_title = formattedResults.data.generatedTitle;
-        updateData.metadata.title = formattedResults.data.generatedTitle;
-        console.log(`🎯 Using core pipeline AI title: "${formattedResults.data.generatedTitle}"`);
-      } else if (updateData.summary) {
-        // Generate sophisticated AI title using the same function as core pipeline
-        try {
-          console.log(`🎯 Generating sophisticated AI title for image...`);
-          const aiTitle = await generateSophisticatedImageTitle(updateData.summary, formattedResults.data, {
-            userId: user.id,
-            fileId: fileRecord.id,
-            contentId: null,
-            processingJobId: processingResult.jobId || null
-          });
-          if (aiTitle) {
-            updateData.generated_title = aiTitle;
-            updateData.metadata.title = aiTitle;
-            console.log(`🎯 Generated sophisticated AI title: "${aiTitle}"`);
-          } else {
-            // Fallback: Extract key elements for a concise title
-            const words = updateData.summary.split(' ');
-            const firstPart = words.slice(0, 8).join(' '); // First 8 words
-            const cleanTitle = firstPart.charAt(0).toUpperCase() + firstPart.slice(1);
-            updateData.generated_title = cleanTitle + (words.length > 8 ? '...' : '');
-            updateData.metadata.title = updateData.generated_title;
-            console.log(`🎯 Generated concise title: "${updateData.generated_title}"`);
-          }
-        } catch (titleError) {
-          console.error(`⚠️ AI title generation failed: ${titleError.message}`);
-          // Simple fallback: extract meaningful first part
-          const words = updateData.summary.split(' ');
-          const firstPart = words.slice(0, 8).join(' ');
-          const cleanTitle = firstPart.charAt(0).toUpperCase() + firstPart.slice(1);
-          updateData.generated_title = cleanTitle + (words.length > 8 ? '...' : '');
-          updateData.metadata.title = updateData.generated_title;
-          console.log(`🎯 Generated fallback title: "${updateData.generated_title}"`);
-        }
-      }
-    }
-    
-    // Fallback to basic tags if AI enhancement didn't produce any
-    if (!updateData.auto_tags || updateData.auto_tags.length === 0) {
-      const autoTags = [];
-      
-      // Tags from AI description/processor results (priority)
-      if (formattedResults.data.tags && Array.isArray(formattedResults.data.tags)) {
-        autoTags.push(...formattedResults.data.tags);
-        console.log(`🎨 Added AI processor tags: ${formattedResults.data.tags.join(', ')}`);
-      }
-      
-      // Tags from objects detected (fallback)
-      if (formattedResults.data.objects) {
-        formattedResults.data.objects.forEach(obj => {
-          if (obj.confidence > 0.7) { // Only high-confidence objects
-            autoTags.push(obj.name);
-          }
-        });
-        console.log(`🔍 Added object detection tags: ${autoTags.join(', ')}`);
-      }
-      
-      // Tags from AI description metadata (additional fallback)
-      if (formattedResults.data.aiDescription && formattedResults.data.aiDescription.tags) {
-        autoTags.push(...formattedResults.data.aiDescription.tags);
-        console.log(`🎨 Added AI description metadata tags`);
-      }
-      
-      // Store fallback tags if we have any
-      if (autoTags.length > 0) {
-        updateData.auto_tags = [...new Set(autoTags)]; // Remove duplicates
-        console.log(`🏷️ Using fallback tags: ${updateData.auto_tags.join(', ')}`);
-      }
-    }
-    
-    // Determine category based on media type and content (fallback)
-    if (!updateData.category && formattedResults.mediaType) {
-      updateData.category = formattedResults.mediaType;
-      console.log(`📁 Using fallback category: ${updateData.category}`);
-    }
-
-    // 🔧 FALLBACK: If we have analysis data but no summary, copy from analysis record
-    if (!updateData.summary && analysisRecord && analysisRecord.ai_description) {
-      console.log(`🔧 FALLBACK: Copying AI description from analysis record...`);
-      if (typeof analysisRecord.ai_description === 'string') {
-        updateData.summary = analysisRecord.ai_description;
-        console.log(`🎨 Copied AI description from analysis record: ${updateData.summary.length} characters`);
-      } else if (analysisRecord.ai_description.description) {
-        updateData.summary = analysisRecord.ai_description.description;
-        console.log(`🎨 Copied AI description.description from analysis record: ${updateData.summary.length} characters`);
-      }
-    }
-
-    console.log(`💾 Final update data:`, {
-      hasMetadata: !!updateData.metadata,
-      hasTranscription: !!updateData.transcription,
-      hasSummary: !!updateData.summary,
-      hasSentiment: !!updateData.sentiment,
-      hasGeneratedTitle: !!updateData.generated_title,
-      hasAutoTags: !!updateData.auto_tags,
-      hasCategory: !!updateData.category,
-      autoTagsCount: updateData.auto_tags?.length || 0
-    });
-
-    // Update file record with analysis results
-    if (Object.keys(updateData).length > 0) {
-      console.log(`💾 Updating file record with ${Object.keys(updateData).length} fields...`);
-      await File.update(updateData, {
-        where: { id: fileRecord.id, user_id: user.id }
-      });
-      
-      console.log(`✅ File ${fileRecord.id} updated with enhanced analysis results`, {
-        user_id: user.id,
-        file_id: fileRecord.id,
-        job_id: processingResult.jobId,
-        updates: Object.keys(updateData),
-        enhanced_ai: !!enhancedResults,
-        generated_title: updateData.generated_title,
-        ai_tags: updateData.auto_tags,
-        ai_category: updateData.category
-      });
-    } else {
-      console.log(`⚠️ No update data generated - this is unusual!`);
-    }
-
-    console.log(`🎉 Enhanced file analysis completed for ${fileRecord.id}`, {
-      user_id: user.id,
-      file_id: fileRecord.id,
-      job_id: processingResult.jobId,
-      media_type: formattedResults.mediaType,
-      processing_time: processingResult.processingTime,
-      features_used: Object.keys(formattedResults.data),
-      warnings: processingResult.warnings?.length || 0,
-      enhanced_ai_success: !!enhancedResults
-    });
-
-  } catch (error) {
-    console.error(`❌ Enhanced file analysis failed for ${fileRecord.id}:`, {
-      user_id: user.id,
-      file_id: fileRecord.id,
-      error: error.message,
-      stack: error.stack
-    });
-    
-    // Log the error but don't fail the upload
-    logger.logError(`File analysis failed for ${fileRecord.id}`, {
-      user_id: user.id,
-      file_id: fileRecord.id,
-      error: error.message,
-      stack: error.stack,
-      orchestrator: true
-    });
-  } finally {
-    // Clean up temporary file if it was downloaded from GCS
-    console.log(`🧹 Cleanup phase...`);
-    if (fileMetadata && fileMetadata.cleanupTempFile && fileMetadata.tempFilePath) {
-      try {
-        const fs = require('fs');
-        if (fs.existsSync(fileMetadata.tempFilePath)) {
-          fs.unlinkSync(fileMetadata.tempFilePath);
-          console.log(`🗑️ Cleaned up temporary file: ${fileMetadata.tempFilePath}`);
-        }
-      } catch (cleanupError) {
-        console.error(`⚠️ Failed to clean up temporary file: ${cleanupError.message}`);
-      }
-    }
-  }
-}
+const { isMultimediaFile, queueFileAnalysis, generateSophisticatedImageTitle } = require('../services/fileAnalysisService');
 
 // File Management Dashboard
 router.get('/', isAuthenticated, requirePermission('files.download'), async (req, res) => {
@@ -1024,12 +30,15 @@ router.get('/', isAuthenticated, requirePermission('files.download'), async (req
     // Build where clause for search and filters
     const whereClause = { user_id: req.user.id };
     
-    // Search functionality
-    if (req.query.search) {
-      whereClause[Op.or] = [
-        { filename: { [Op.like]: `%${req.query.search}%` } },
-        { user_comments: { [Op.like]: `%${req.query.search}%` } }
-      ];
+    // Search functionality (unified search, best matches first)
+    let order = [['createdAt', 'DESC']];
+    if (req.query.search && req.query.search.trim()) {
+      const { docs } = await searchService.rank(req.user.id, req.query.search.trim(), { itemType: 'file' });
+      const fileIds = docs.map(doc => doc.id);
+      whereClause.id = { [Op.in]: fileIds };
+      if (fileIds.length > 0) {
+        order = [[File.sequelize.fn('FIELD', File.sequelize.col('File.id'), ...fileIds), 'ASC']];
+      }
     }
     
     // Filter by file type
@@ -1045,7 +54,7 @@ router.get('/', isAuthenticated, requirePermission('files.download'), async (req
           attributes: ['id', 'username', 'email']
         }
       ],
-      order: [['createdAt', 'DESC']],
+      order,
       limit,
       offset
     });
@@ -1197,19 +206,20 @@ router.post('/upload', [
           },
           user_comments: req.body.comments || '',
           user_tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
-          content_type: detected_content_type
+          content_type: detected_content_type,
+          location: mediaLocation.readMediaLocation(file.buffer, uploadResult.mimetype)
         });
 
         // Assign to groups if specified
         if (req.body.group_ids) {
           const groupIds = Array.isArray(req.body.group_ids) ? req.body.group_ids : [req.body.group_ids];
-          const groupMemberships = groupIds.map(group_id => ({
-            content_id: fileRecord.id,
-            group_id
-          }));
-          await ContentGroupMember.bulkCreate(groupMemberships);
+          await contentGroupService.setItemGroups(req.user.id, { fileId: fileRecord.id }, groupIds);
         }
 
+        webhookService.emit(req.user.id, 'file.uploaded', {
+          file: { id: fileRecord.id, filename: file.originalname, size: uploadResult.size, mimetype: uploadResult.mimetype, source: 'upload' }
+        });
+
         uploadResults.push({
           id: fileRecord.id,
           filename: file.originalname,
@@ -1231,73 +241,16 @@ router.post('/upload', [
 
         // Trigger multimedia analysis if the file type is multimedia
         if (isMultimediaFile(file.mimetype)) {
-          console.log(`🎬 Detected multimedia file, triggering analysis: ${file.originalname}`);
+          console.log(`🎬 Detected multimedia file, queueing analysis: ${file.originalname}`);
           console.log(`🔍 File details: ID=${fileRecord.id}, MIME=${file.mimetype}, Path=${fileRecord.file_path}`);
           
-          // Run analysis in background with enhanced error handling
-          setImmediate(async () => {
-            try {
-              console.log(`🚀 Starting background analysis for file ${fileRecord.id} (${fileRecord.filename})`);
-              console.log(`🔧 File record details:`, {
-                id: fileRecord.id,
-                filename: fileRecord.filename,
-                file_path: fileRecord.file_path,
-                mimetype: fileRecord.metadata?.mimetype,
-                user_id: fileRecord.user_id
-              });
-              
-              await triggerFileAnalysis(fileRecord, req.user);
-              
-              console.log(`✅ Background analysis completed for file ${fileRecord.id}`);
-              
-              // Verify the update worked by checking the file record
-              const updatedFile = await File.findOne({ where: { id: fileRecord.id } });
-              console.log(`🔍 Post-analysis file state:`, {
-                hasSummary: !!updatedFile.summary,
-                hasTitle: !!updatedFile.generated_title,
-                hasTags: !!updatedFile.auto_tags
-              });
-              
-            } catch (analysisError) {
-              console.error(`❌ CRITICAL: Background analysis failed for ${fileRecord.id}:`, {
-                error: analysisError.message,
-                stack: analysisError.stack,
-                filename: fileRecord.filename,
-                mimetype: file.mimetype,
-                user_id: req.user.id
-              });
-              
-              // Try to save the error details to the file record for debugging
-              try {
-                await File.update({
-                  metadata: {
-                    ...fileRecord.metadata,
-                    lastAnalysisError: analysisError.message,
-                    lastAnalysisErrorTime: new Date().toISOString()
-                  }
-                }, {
-                  where: { id: fileRecord.id }
-                });
-              } catch (metaUpdateError) {
-                console.error(`❌ Failed to save error metadata:`, metaUpdateError);
-              }
-              
-              // Try fallback method after a short delay
-              setTimeout(async () => {
-                try {
-                  console.log(`🔄 Attempting fallback analysis copy for ${fileRecord.id}`);
-                  const fallbackSuccess = await copyAnalysisToFileRecord(fileRecord.id, req.user.id);
-                  if (fallbackSuccess) {
-                    console.log(`✅ Fallback analysis copy succeeded for ${fileRecord.id}`);
-                  } else {
-                    console.log(`❌ Fallback analysis copy failed for ${fileRecord.id}`);
-                  }
-                } catch (fallbackError) {
-                  console.error(`❌ Fallback analysis error:`, fallbackError);
-                }
-              }, 5000); // Wait 5 seconds for analysis to complete
-            }
-          });
+          // Queue analysis; a worker picks it up and updates the file record
+          try {
+            const job = await queueFileAnalysis(fileRecord, req.user, { reason: 'upload' });
+            uploadResults[uploadResults.length - 1].analysis_job_id = job.id;
+          } catch (queueError) {
+            console.error(`❌ Failed to queue analysis for ${fileRecord.id}:`, queueError.message);
+          }
         } else {
           console.log(`📄 Non-multimedia file, skipping analysis: ${file.originalname}`);
         }
@@ -1427,21 +380,14 @@ router.put('/:id', isAuthenticated, requirePermission('files.upload'), async (re
     }
 
     await file.update(updates);
+    // Edited tags or summary can change smart collection matches
+    if (Object.keys(updates).length) smartCollectionService.scheduleEvaluation(req.user.id);
 
     // Update group memberships if specified
     if (req.body.group_ids !== undefined) {
-      await ContentGroupMember.destroy({
-        where: { content_id: file.id }
-      });
-
-      if (req.body.group_ids && req.body.group_ids.length > 0) {
-        const groupIds = Array.isArray(req.body.group_ids) ? req.body.group_ids : [req.body.group_ids];
-        const groupMemberships = groupIds.map(group_id => ({
-          content_id: file.id,
-          group_id
-        }));
-        await ContentGroupMember.bulkCreate(groupMemberships);
-      }
+      const groupIds = !req.body.group_ids ? [] :
+        (Array.isArray(req.body.group_ids) ? req.body.group_ids : [req.body.group_ids]);
+      await contentGroupService.setItemGroups(file.user_id, { fileId: file.id }, groupIds);
     }
 
     // Log file update
@@ -1541,7 +487,7 @@ router.delete('/:id', isAuthenticated, requirePermission('files.delete'), async
 
     // Delete group memberships
     await ContentGroupMember.destroy({
-      where: { content_id: file.id }
+      where: { file_id: file.id }
     });
 
     // Delete file record
@@ -1831,6 +777,12 @@ router.post('/import-paths', isAuthenticated, async (req, res) => {
                                       detector.detectFromFilename(fileName) || 
                                       'unknown';
         
+        // Capture location from EXIF GPS / QuickTime metadata, when present
+        const location = await mapService.readFileLocation(filePath, mimetype).catch(locationError => {
+          console.warn(`⚠️ Could not read capture location of ${fileName}:`, locationError.message);
+          return null;
+        });
+        
         // Create file record
         const fileRecord = await File.create({
           user_id: userId,
@@ -1845,18 +797,19 @@ router.post('/import-paths', isAuthenticated, async (req, res) => {
           },
           user_comments: req.body.comments || '',
           user_tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
-          content_type: detected_content_type
+          content_type: detected_content_type,
+          location
         });
         
         // Assign to groups if specified
         if (req.body.group_ids) {
           const groupIds = Array.isArray(req.body.group_ids) ? req.body.group_ids : [req.body.group_ids];
-          const groupMemberships = groupIds.map(group_id => ({
-            content_id: fileRecord.id,
-            group_id
-          }));
-          await ContentGroupMember.bulkCreate(groupMemberships);
+          await contentGroupService.setItemGroups(req.user.id, { fileId: fileRecord.id }, groupIds);
         }
+
+        webhookService.emit(userId, 'file.uploaded', {
+          file: { id: fileRecord.id, filename: fileName, size: fileSize, mimetype, source: 'path_import' }
+        });
         
         importResults.push({
           id: fileRecord.id,
@@ -1880,17 +833,14 @@ router.post('/import-paths', isAuthenticated, async (req, res) => {
         
         // Trigger multimedia analysis if applicable
         if (isMultimediaFile(mimetype)) {
-          console.log(`🎬 Detected multimedia file from path, triggering analysis: ${fileName}`);
+          console.log(`🎬 Detected multimedia file from path, queueing analysis: ${fileName}`);
           
-          // Run analysis in background
-          setImmediate(async () => {
-            try {
-              await triggerFileAnalysis(fileRecord, req.user);
-              console.log(`✅ Background analysis completed for imported file ${fileRecord.id}`);
-            } catch (analysisError) {
-              console.error(`❌ Background analysis failed for imported file ${fileRecord.id}:`, analysisError);
-            }
-          });
+          // Queue analysis; path imports yield to interactive uploads
+          try {
+            await queueFileAnalysis(fileRecord, req.user, { priority: 3, reason: 'path_import' });
+          } catch (queueError) {
+            console.error(`❌ Failed to queue analysis for imported file ${fileRecord.id}:`, queueError.message);
+          }
         }
         
       } catch (pathError) {
@@ -2409,106 +1359,15 @@ router.post('/:id/reprocess', isAuthenticated, requirePermission('files.analyze'
         }
       });
       
-      // Trigger analysis in background using the multimedia orchestrator
-      setImmediate(async () => {
-        try {
-          // Get file buffer for reprocessing
-          const fs = require('fs').promises;
-          const path = require('path');
-          
-          let filePath = file.file_path;
-          let fileBuffer;
-          
-          if (filePath && filePath.startsWith('gs://')) {
-            // File is in Google Cloud Storage - download it first
-            const tempDir = path.join(__dirname, '../temp');
-            await fs.mkdir(tempDir, { recursive: true }).catch(() => {});
-            const tempPath = path.join(tempDir, `${fileId}-temp`);
-            
-            await FileUploadService.downloadFromGCS(
-              process.env.GOOGLE_CLOUD_STORAGE_BUCKET,
-              filePath.replace('gs://' + process.env.GOOGLE_CLOUD_STORAGE_BUCKET + '/', ''),
-              tempPath
-            );
-            fileBuffer = await fs.readFile(tempPath);
-            // Clean up temp file
-            await fs.unlink(tempPath).catch(() => {});
-          } else {
-            // File is local
-            const localPath = filePath || path.join(__dirname, '../uploads', file.filename);
-            fileBuffer = await fs.readFile(localPath);
-          }
-          
-          // Use the automation orchestrator for reprocessing
-          const result = await orchestrator.processContent(fileBuffer, {
-            filename: file.filename,
-            mimetype: file.metadata?.mimetype,
-            userId: userId,
-            fileId: fileId,
-            source: 'reprocess',
-            forceReprocess: true
-          });
-          
-          console.log(`🎯 Processing result received:`, {
-            jobId: result.jobId,
-            mediaType: result.mediaType,
-            processingTime: result.processingTime,
-            hasResults: !!result.results,
-            dataKeys: result.results?.data ? Object.keys(result.results.data) : []
-          });
-          
-          // Save the results to the database
-          if (result.results?.data) {
-            const updateData = {};
-            const data = result.results.data;
-            
-            // Save summary
-            if (data.summary) {
-              updateData.summary = data.summary;
-              console.log(`💾 Saving summary: "${data.summary.substring(0, 100)}..."`);
-            }
-            
-            // Save tags
-            if (data.tags && Array.isArray(data.tags)) {
-              updateData.auto_tags = data.tags;
-              console.log(`🏷️  Saving ${data.tags.length} tags: [${data.tags.join(', ')}]`);
-            }
-            
-            // Save generated title
-            if (data.title) {
-              updateData.generated_title = data.title;
-              console.log(`📝 Saving generated title: "${data.title}"`);
-            }
-            
-            // Save category if available
-            if (data.category) {
-              updateData.category = data.category;
-              console.log(`📂 Saving category: "${data.category}"`);
-            }
-            
-            // Update the file record with AI analysis results
-            if (Object.keys(updateData).length > 0) {
-              await File.update(updateData, {
-                where: { id: fileId, user_id: userId }
-              });
-              
-              console.log(`✅ Successfully saved analysis results to database for file ${fileId}`);
-              console.log(`📊 Updated fields: ${Object.keys(updateData).join(', ')}`);
-            } else {
-              console.log(`⚠️  No analysis results to save for file ${fileId}`);
-            }
-          }
-          
-          console.log(`✅ Reprocessing completed for file ${fileId}`);
-        } catch (reprocessError) {
-          console.error(`❌ Reprocessing failed for file ${fileId}:`, reprocessError);
-        }
-      });
+      // Queue ahead of routine work since the user is waiting on it
+      const job = await queueFileAnalysis(file, req.user, { priority: 7, reason: 'reprocess' });
+      console.log(`✅ Reprocessing queued for file ${fileId} (job ${job.id})`);
       
       res.json({
         success: true,
-        message: 'File reprocessing started successfully',
+        message: 'File reprocessing queued successfully',
         fileId: fileId,
+        jobId: job.id,
         status: 'processing'
       });
       
@@ -2559,10 +1418,10 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
       models = {};
     }
     
-    const { VideoAnalysis, AudioAnalysis, ImageAnalysis, ProcessingJob, Thumbnail, OCRCaption, Speaker } = models;
+    const { VideoAnalysis, AudioAnalysis, ImageAnalysis, ProcessingJob, Thumbnail, OCRCaption, Speaker, VideoChapter } = models;
     
     // Get analysis records and related data
-    let videoAnalysis, audioAnalysis, imageAnalysis, processingJobs = [], thumbnails = [], speakers = [], ocrCaptions = [];
+    let videoAnalysis, audioAnalysis, imageAnalysis, processingJobs = [], thumbnails = [], speakers = [], ocrCaptions = [], chapters = [];
     
     try {
       [videoAnalysis, audioAnalysis, imageAnalysis, processingJobs] = await Promise.all([
@@ -2584,9 +1443,10 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
     // Get related data based on analysis type
     try {
       if (videoAnalysis && Thumbnail && OCRCaption) {
-        [thumbnails, ocrCaptions] = await Promise.all([
+        [thumbnails, ocrCaptions, chapters] = await Promise.all([
           Thumbnail.findAll({
-            where: { file_id: fileId, user_id: userId },
+            // Chapter-only frames (preview) are listed with their chapter
+            where: { file_id: fileId, user_id: userId, thumbnail_type: ['main', 'key_moment'] },
             order: [['timestamp_seconds', 'ASC']],
             limit: 10
           }),
@@ -2594,7 +1454,12 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
             where: { file_id: fileId, user_id: userId },
             order: [['timestamp_seconds', 'ASC']],
             limit: 20
-          })
+          }),
+          VideoChapter ? VideoChapter.findAll({
+            where: { file_id: fileId, user_id: userId },
+            include: [{ model: Thumbnail, as: 'thumbnail', attributes: ['id', 'file_path'] }],
+            order: [['chapter_index', 'ASC']]
+          }) : Promise.resolve([])
         ]);
       }
       
@@ -2624,6 +1489,20 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
     else if (audioAnalysis) mediaType = 'audio';
     else if (imageAnalysis) mediaType = 'image';
     
+    // Timestamped transcript and the media it plays against
+    let transcript = null;
+    let mediaUrl = null;
+    try {
+      transcript = await transcriptService.getTranscript(userId, 'file', fileId);
+      if (mediaType === 'audio' || mediaType === 'video') {
+        mediaUrl = await FileUploadService.getFileUrl(file.file_path);
+      }
+    } catch (transcriptError) {
+      if (!/not found$/.test(transcriptError.message)) {
+        console.error('❌ Error loading transcript:', transcriptError);
+      }
+    }
+    
     // Helper function to get proper title
     function getFileTitle(file) {
       if (file.generated_title && file.generated_title.trim()) {
@@ -2669,7 +1548,17 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
       // Related data
       thumbnails: thumbnails || [],
       speakers: speakers || [],
+      speakerTurns: speakerDiarization.labelTurns(audioAnalysis?.speaker_analysis?.segments, speakers),
+      transcript: transcript ? {
+        source: transcript.source,
+        estimated: transcript.estimated,
+        revision: transcript.revision,
+        speakers: transcript.speakerNames
+      } : null,
+      transcriptLines: transcript ? transcriptService.displayLines(transcript) : [],
+      mediaUrl: mediaUrl,
       ocrCaptions: ocrCaptions || [],
+      chapters: chapters || [],
       processingJobs: processingJobs || [],
       
       // Processing information
@@ -2713,4 +1602,4 @@ router.get('/:id/analysis/view', isAuthenticated, requirePermission('files.analy
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const libraryExportService = require('../services/libraryExportService');
+const libraryImportService = require('../services/libraryImportService');
+
+/**
+ * Library Routes (mounted at /library)
+ *
+ *   GET  /                - Export / import page
+ *   GET  /export?media=   - Download the whole library as a ZIP (media=0 skips media files)
+ *   POST /import          - Import a library ZIP into the current account (field: archive)
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+const maxImportMb = parseInt(process.env.LIBRARY_IMPORT_MAX_MB, 10) || 100;
+
+// Archives go to a temp file and are read entry by entry, never held in memory whole
+const upload = multer({
+  storage: multer.diskStorage({ destination: path.join(os.tmpdir(), 'daysave-library-imports') }),
+  limits: { fileSize: maxImportMb * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Library archives must be .zip files'));
+    }
+  }
+});
+
+// Run multer and answer upload errors as JSON
+function receiveArchive(req, res, next) {
+  upload.single('archive')(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Archive is larger than ${maxImportMb} MB`
+      : error.message;
+    res.status(400).json({ success: false, error: message });
+  });
+}
+
+router.get('/', requirePermission('content.read'), (req, res) => {
+  res.render('library/index', {
+    user: req.user,
+    title: 'Your Library',
+    maxImportMb
+  });
+});
+
+router.get('/export', requirePermission('content.read'), async (req, res) => {
+  const includeMedia = req.query.media !== '0';
+  try {
+    const { zip, manifest } = await libraryExportService.buildArchive(req.user.id, { includeMedia });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`daysave-library-${date}.zip`);
+    zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (error) => {
+        logAuthError('LIBRARY_EXPORT_STREAM_ERROR', error, { userId: req.user.id });
+        res.destroy(error);
+      })
+      .pipe(res);
+
+    logAuthEvent('LIBRARY_EXPORTED', {
+      userId: req.user.id,
+      includeMedia,
+      counts: manifest.counts,
+      missingMedia: manifest.missing_media.length
+    });
+  } catch (error) {
+    logAuthError('LIBRARY_EXPORT_ERROR', error, { userId: req.user.id });
+    res.status(500).json({ success: false, error: 'Library export failed' });
+  }
+});
+
+router.post('/import', requirePermission('content.create'), receiveArchive, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No archive uploaded' });
+  }
+  try {
+    const { imported, skipped } = await libraryImportService.importArchive(req.user.id, req.file.path);
+    res.json({ success: true, imported, skipped });
+  } catch (error) {
+    if (libraryImportService.isClientError(error)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.message === 'No active subscription found') {
+      return res.status(403).json({ success: false, error: error.message });
+    }
+    logAuthError('LIBRARY_IMPORT_ERROR', error, { userId: req.user.id, size: req.file.size });
+    res.status(500).json({ success: false, error: 'Library import failed' });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+module.exports = router;
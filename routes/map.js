@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const mapService = require('../services/mapService');
+const geoPoints = require('../services/geoPoints');
+
+/**
+ * Map Routes (contacts and geotagged media)
+ *
+ *   GET /             - Map page
+ *   GET /api/points   - ?bbox=south,west,north,east&zoom=&layers=contacts,media
+ *                       clustered points in the bounding box
+ *   GET /api/near     - ?near=<place or lat,lng>&radius=<km> content and file IDs taken near a place
+ *
+ * Content taken near a place: GET /content?near=<place or lat,lng>&radius=<km>
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+router.get('/', requirePermission('content.read'), (req, res) => {
+  res.render('map/index', { user: req.user, title: 'Map' });
+});
+
+router.get('/api/points', requirePermission('content.read'), [
+  query('bbox').optional().custom(value => geoPoints.parseBounds(value) !== null)
+    .withMessage('bbox must be south,west,north,east in degrees'),
+  query('zoom').optional().isInt({ min: 0, max: geoPoints.MAX_ZOOM }).withMessage(`zoom must be between 0 and ${geoPoints.MAX_ZOOM}`),
+  query('layers').optional().custom(value => String(value).split(',').every(layer => ['contacts', 'media'].includes(layer.trim())))
+    .withMessage('layers must be a comma separated list of contacts, media')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const layers = req.query.layers ? req.query.layers.split(',').map(layer => layer.trim()) : undefined;
+    const map = await mapService.getClusters(req.user.id, {
+      bounds: req.query.bbox ? geoPoints.parseBounds(req.query.bbox) : null,
+      zoom: req.query.zoom,
+      layers
+    });
+    res.json({ success: true, ...map });
+  } catch (error) {
+    logAuthError('MAP_POINTS_ERROR', error, { userId: req.user.id });
+    res.status(500).json({ success: false, error: 'Failed to load map' });
+  }
+});
+
+router.get('/api/near', requirePermission('content.read'), [
+  query('near').trim().isLength({ min: 2, max: 500 }).withMessage('near must be a place or lat,lng'),
+  query('radius').optional().isFloat({ gt: 0, max: 500 }).withMessage('radius must be between 0 and 500 km')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const found = await mapService.findNear(req.user.id, req.query.near, req.query.radius);
+    res.json({ success: true, ...found });
+  } catch (error) {
+    if (error.message === 'Place not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message === 'Geocoding is not configured') {
+      return res.status(400).json({ success: false, error: 'Places can only be searched by lat,lng: geocoding is not configured' });
+    }
+    logAuthError('MAP_NEAR_ERROR', error, { userId: req.user.id });
+    res.status(500).json({ success: false, error: 'Failed to find items near the place' });
+  }
+});
+
+module.exports = router;
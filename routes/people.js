@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const { Contact } = require('../models');
+const peopleService = require('../services/peopleService');
+
+/**
+ * People Routes (faces and speakers linked to contacts)
+ *
+ *   GET    /                      - People page
+ *   GET    /api                   - Face and speaker clusters
+ *   PUT    /faces/:id/contact     - { contact_id, propagate } confirm a face as a contact
+ *   DELETE /faces/:id/contact     - Unlink a face (and the faces matched from it)
+ *   PUT    /speakers/:id/contact  - { contact_id, propagate } confirm a voice as a contact
+ *   DELETE /speakers/:id/contact  - Unlink a speaker (and the voices matched from it)
+ *
+ * Content containing a contact: GET /content?contact=<contact id>
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'People request failed' });
+}
+
+const linkValidation = [
+  param('id').isUUID().withMessage('Invalid ID'),
+  body('contact_id').isUUID().withMessage('contact_id must be a contact ID'),
+  body('propagate').optional().isBoolean().withMessage('propagate must be true or false')
+];
+
+router.get('/', requirePermission('content.read'), async (req, res) => {
+  try {
+    const contacts = await Contact.findAll({ where: { user_id: req.user.id }, attributes: ['id', 'name'], order: [['name', 'ASC']] });
+    res.render('people/index', { user: req.user, title: 'People', contacts });
+  } catch (error) {
+    logAuthError('PEOPLE_PAGE_ERROR', error, { userId: req.user.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to load people' });
+  }
+});
+
+router.get('/api', requirePermission('content.read'), async (req, res) => {
+  try {
+    const clusters = await peopleService.listClusters(req.user.id);
+    res.json({ success: true, ...clusters });
+  } catch (error) {
+    handleServiceError(res, error, 'PEOPLE_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+router.put('/faces/:id/contact', requirePermission('content.update'), linkValidation, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await peopleService.linkFace(req.user.id, req.params.id, req.body.contact_id, req.body.propagate !== false);
+    res.json({ success: true, propagated: result.propagated });
+  } catch (error) {
+    handleServiceError(res, error, 'FACE_LINK_ERROR', { userId: req.user.id, faceId: req.params.id });
+  }
+});
+
+router.delete('/faces/:id/contact', requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await peopleService.unlinkFace(req.user.id, req.params.id);
+    res.json({ success: true, cleared: result.cleared });
+  } catch (error) {
+    handleServiceError(res, error, 'FACE_UNLINK_ERROR', { userId: req.user.id, faceId: req.params.id });
+  }
+});
+
+router.put('/speakers/:id/contact', requirePermission('content.update'), linkValidation, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await peopleService.linkSpeaker(req.user.id, req.params.id, req.body.contact_id, req.body.propagate !== false);
+    res.json({ success: true, propagated: result.propagated });
+  } catch (error) {
+    handleServiceError(res, error, 'SPEAKER_LINK_ERROR', { userId: req.user.id, speakerId: req.params.id });
+  }
+});
+
+router.delete('/speakers/:id/contact', requirePermission('content.update'), [
+  param('id').isUUID().withMessage('Invalid ID')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const result = await peopleService.unlinkSpeaker(req.user.id, req.params.id);
+    res.json({ success: true, cleared: result.cleared });
+  } catch (error) {
+    handleServiceError(res, error, 'SPEAKER_UNLINK_ERROR', { userId: req.user.id, speakerId: req.params.id });
+  }
+});
+
+module.exports = router;
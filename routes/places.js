@@ -3,6 +3,7 @@ const router = express.Router();
 const fetch = require('node-fetch');
 const { isAuthenticated } = require('../middleware/auth');
 const { getGoogleMapsScriptUrl } = require('../config/maps');
+const geocodingService = require('../services/geocodingService');
 
 // Get API key from environment
 const getApiKey = () => {
@@ -269,23 +270,13 @@ router.post('/geocode', isAuthenticated, async (req, res) => {
       });
     }
 
-    // Use Google Geocoding API
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`;
+    // Google Geocoding API through the server-side cache (geocode_cache)
+    const result = await geocodingService.geocode(address);
     
-    console.log('Places API geocoding request:', { address });
+    console.log('Places API geocoding response:', result ? (result.cached ? 'cached' : 'looked up') : 'no results');
     
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (!response.ok) {
-      console.error('Places API geocoding error:', data);
-      return res.status(response.status).json(data);
-    }
-    
-    console.log('Places API geocoding response status:', data.status, 'results:', data.results?.length || 0);
-    
-    // Return the response as-is from Google
-    res.json(data);
+    // Same shape as a Google Geocoding API response
+    res.json(geocodingService.toGoogleResponse(result));
     
   } catch (error) {
     console.error('Places API geocoding error:', error);
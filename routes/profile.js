@@ -418,6 +418,34 @@ router.get('/mfa/status', isAuthenticated, async (req, res) => {
   }
 });
 
+// ===== EMAIL-IN ADDRESS =====
+
+// Create (or replace) the personal address for saving content by email
+router.post('/email-in', isAuthenticated, async (req, res) => {
+  const emailInService = require('../services/emailInService');
+  if (!emailInService.isEnabled()) {
+    return res.status(400).json({ success: false, error: 'Saving by email is not available on this server' });
+  }
+  try {
+    const address = await emailInService.regenerateAddress(req.user.id);
+    res.json({ success: true, address });
+  } catch (error) {
+    logAuthError('EMAIL_IN_ADDRESS_ERROR', error, { userId: req.user.id, ip: req.ip });
+    res.status(500).json({ success: false, error: 'Failed to create email address' });
+  }
+});
+
+// Turn the personal address off
+router.delete('/email-in', isAuthenticated, async (req, res) => {
+  try {
+    await require('../services/emailInService').disableAddress(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logAuthError('EMAIL_IN_ADDRESS_ERROR', error, { userId: req.user.id, ip: req.ip });
+    res.status(500).json({ success: false, error: 'Failed to turn off email address' });
+  }
+});
+
 // ===== CONNECTED ACCOUNTS MANAGEMENT =====
 
 // Get user's connected accounts
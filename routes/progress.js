@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated } = require('../middleware');
+const { logAuthError } = require('../config/logger');
+const progressStreamService = require('../services/progressStreamService');
+
+/**
+ * Analysis Progress Routes (mounted at /api/progress)
+ *
+ *   GET /stream - Server-Sent Events stream of the user's analysis progress
+ *
+ * Every message is an `analysis` event whose data is JSON:
+ *   { type, status, itemType, itemId, jobId, progress, stage, stageLabel, message, timestamp }
+ * type is one of queued, started, stage_started, stage_progress,
+ * stage_completed, stage_failed, stage_skipped, pipeline_completed,
+ * pipeline_failed, retrying, completed, failed or sync (current state of a
+ * job, sent for active jobs when the stream opens). status is what the
+ * status buttons show: waiting, processing, completed or failed.
+ */
+
+const HEARTBEAT_MS = 25000;
+
+router.get('/stream', isAuthenticated, async (req, res) => {
+  const userId = req.user.id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    res.write(`event: analysis\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const unsubscribe = progressStreamService.subscribe(userId, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const active = await progressStreamService.snapshot(userId);
+    active.forEach(event => send({ ...event, timestamp: new Date().toISOString() }));
+  } catch (error) {
+    logAuthError('PROGRESS_STREAM_SNAPSHOT_ERROR', error, { userId });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const searchService = require('../services/searchService');
+const embeddingService = require('../services/embeddingService');
+
+/**
+ * Search Routes (mounted at /search)
+ *
+ *   GET /                               - Search page
+ *   GET /api?q=&page=&per_page=&in=&mode=  - Ranked results (mode=semantic uses embeddings)
+ *   GET /api/similar/:itemType/:id      - Items similar to one item (embeddings)
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded, requirePermission('content.read'));
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+router.get('/', (req, res) => {
+  res.render('search/index', {
+    user: req.user,
+    title: 'Search',
+    q: typeof req.query.q === 'string' ? req.query.q : '',
+    semanticEnabled: embeddingService.isEnabled()
+  });
+});
+
+router.get('/api', [
+  query('q').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Search text is required (max 500 characters)'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('per_page must be between 1 and 100'),
+  query('in').optional().isIn(['content', 'file']).withMessage('in must be content or file'),
+  query('mode').optional().isIn(['keyword', 'semantic']).withMessage('mode must be keyword or semantic')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  const userId = req.user.id;
+  // Express 5 query values are read-only, so sanitizers cannot rewrite them
+  const q = req.query.q.trim();
+  const mode = req.query.mode || 'keyword';
+  const perPage = parseInt(req.query.per_page, 10) || 20;
+
+  try {
+    if (mode === 'semantic') {
+      if (!embeddingService.isEnabled()) {
+        return res.status(400).json({ success: false, error: 'Semantic search is not enabled' });
+      }
+      const results = await embeddingService.semanticSearch(userId, q, { limit: perPage });
+      return res.json({ success: true, mode, total: results.length, results });
+    }
+
+    const result = await searchService.search(userId, q, {
+      page: parseInt(req.query.page, 10) || 1,
+      perPage,
+      itemType: req.query.in || null
+    });
+    logAuthEvent('SEARCH_QUERY', { userId, clauses: result.query.clauses.length, total: result.total });
+    res.json({ success: true, mode, ...result });
+  } catch (error) {
+    logAuthError('SEARCH_ERROR', error, { userId, mode });
+    res.status(500).json({ success: false, error: 'Search failed' });
+  }
+});
+
+router.get('/api/similar/:itemType/:id', [
+  param('itemType').isIn(['content', 'file']).withMessage('Item type must be content or file'),
+  param('id').isUUID().withMessage('Invalid item'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  if (!embeddingService.isEnabled()) {
+    return res.status(400).json({ success: false, error: 'Semantic search is not enabled' });
+  }
+
+  const userId = req.user.id;
+  try {
+    const results = await embeddingService.similarToItem(userId, req.params.itemType, req.params.id, {
+      limit: parseInt(req.query.limit, 10) || 12
+    });
+    res.json({ success: true, results });
+  } catch (error) {
+    logAuthError('SEARCH_SIMILAR_ERROR', error, { userId, itemType: req.params.itemType, itemId: req.params.id });
+    res.status(500).json({ success: false, error: 'Could not find similar items' });
+  }
+});
+
+module.exports = router;
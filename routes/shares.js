@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, getClientDetails } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const shareService = require('../services/shareService');
+const sharePayloadService = require('../services/sharePayloadService');
+
+/**
+ * Share Link Routes
+ *
+ * Public:
+ *   GET  /shares/view/:token   - Read-only view of a shared item
+ *   POST /shares/view/:token   - Unlock a password-protected link
+ *
+ * Authenticated:
+ *   GET    /shares             - Manage shared links page
+ *   GET    /shares/api         - List shared links (JSON)
+ *   POST   /shares             - Create share link(s)
+ *   DELETE /shares/:id         - Revoke a share link
+ *   GET    /shares/:id/logs    - ShareLog entries for a link
+ */
+
+const UNAVAILABLE_MESSAGES = {
+  not_found: 'This share link does not exist.',
+  revoked: 'This share link has been revoked by its owner.',
+  expired: 'This share link has expired.',
+  missing: 'The shared item is no longer available.'
+};
+
+// Render the password/unavailable page for a link
+function renderGate(res, status, { token, state, error = null }) {
+  return res.status(status).render('shares/password', {
+    user: res.req.user || null,
+    title: state === 'password' ? 'Protected Share' : 'Share Unavailable',
+    token,
+    state,
+    message: UNAVAILABLE_MESSAGES[state] || null,
+    error
+  });
+}
+
+// Check whether a password-protected link was unlocked in this session
+function isUnlocked(req, link) {
+  if (!link.password_hash) return true;
+  const unlocked = req.session && req.session.unlockedShares;
+  return Array.isArray(unlocked) && unlocked.includes(link.id);
+}
+
+// Shared handler that renders the read-only view once access is granted
+async function renderSharedView(req, res, link) {
+  const payload = await sharePayloadService.loadSharedPayload(link);
+  if (!payload) {
+    return renderGate(res, 404, { token: link.token, state: 'missing' });
+  }
+
+  await shareService.recordView(link, getClientDetails(req));
+
+  return res.render('shares/view', {
+    user: req.user || null,
+    title: payload.title || 'Shared Item',
+    payload,
+    share: {
+      recipient: link.Contact ? link.Contact.name : null,
+      message: link.metadata && link.metadata.message,
+      expiresAt: link.expires_at
+    }
+  });
+}
+
+// Public read-only view
+router.get('/view/:token', async (req, res) => {
+  try {
+    const { link, status } = await shareService.findByToken(req.params.token);
+    if (status !== 'active') {
+      return renderGate(res, status === 'not_found' ? 404 : 410, { token: req.params.token, state: status });
+    }
+
+    if (!isUnlocked(req, link)) {
+      return renderGate(res, 401, { token: link.token, state: 'password' });
+    }
+
+    return renderSharedView(req, res, link);
+  } catch (error) {
+    logAuthError('SHARE_VIEW_ERROR', error, { token: req.params.token });
+    res.status(500).render('error', { user: req.user || null, title: 'Error', message: 'Failed to load shared item' });
+  }
+});
+
+// Failed password attempts are limited per link (spread-out guessing) and per client IP
+const UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+const unlockLimiter = (limit, keyGenerator) => rateLimit({
+  windowMs: UNLOCK_WINDOW_MS,
+  limit,
+  ...(keyGenerator ? { keyGenerator } : {}),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => renderGate(res, 429, {
+    token: req.params.token,
+    state: 'password',
+    error: 'Too many incorrect passwords. Please try again later.'
+  })
+});
+const unlockLimiters = [
+  unlockLimiter(10, req => `share:${req.params.token}`),
+  unlockLimiter(20)
+];
+
+// Unlock a password-protected link
+router.post('/view/:token', unlockLimiters, [
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const { link, status } = await shareService.findByToken(req.params.token);
+    if (status !== 'active') {
+      return renderGate(res, status === 'not_found' ? 404 : 410, { token: req.params.token, state: status });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderGate(res, 400, { token: link.token, state: 'password', error: errors.array()[0].msg });
+    }
+
+    const valid = await shareService.verifyPassword(link, req.body.password, getClientDetails(req));
+    if (!valid) {
+      return renderGate(res, 401, { token: link.token, state: 'password', error: 'Incorrect password' });
+    }
+
+    req.session.unlockedShares = [...new Set([...(req.session.unlockedShares || []), link.id])];
+    return res.redirect(`/shares/view/${link.token}`);
+  } catch (error) {
+    logAuthError('SHARE_UNLOCK_ERROR', error, { token: req.params.token });
+    res.status(500).render('error', { user: req.user || null, title: 'Error', message: 'Failed to unlock shared item' });
+  }
+});
+
+// Everything below requires a signed-in owner
+router.use(isAuthenticated, ensureRoleLoaded);
+
+// Manage shared links page
+router.get('/', async (req, res) => {
+  try {
+    const shares = await shareService.listShares(req.user.id, { includeInactive: req.query.all === '1' });
+    res.render('shares/manage', {
+      user: req.user,
+      title: 'Shared Links',
+      shares,
+      showAll: req.query.all === '1'
+    });
+  } catch (error) {
+    logAuthError('SHARE_MANAGE_PAGE_ERROR', error, { userId: req.user.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to load shared links' });
+  }
+});
+
+// List shared links (JSON), optionally filtered by item
+router.get('/api', async (req, res) => {
+  try {
+    const shares = await shareService.listShares(req.user.id, {
+      contentId: req.query.content_id,
+      fileId: req.query.file_id,
+      groupId: req.query.group_id,
+      includeInactive: req.query.all === '1'
+    });
+    res.json({ success: true, shares });
+  } catch (error) {
+    logAuthError('SHARE_LIST_ERROR', error, { userId: req.user.id });
+    res.status(500).json({ success: false, error: 'Failed to load shared links' });
+  }
+});
+
+// Create share link(s)
+router.post('/', [
+  body('content_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid content ID'),
+  body('file_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid file ID'),
+  body('group_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid group ID'),
+  body('contact_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid contact ID'),
+  body('contact_group_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid contact group ID'),
+  body('expires_in_days')
+    .optional({ checkFalsy: false })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Expiry must be between 0 (never) and 365 days')
+    .toInt(),
+  body('password')
+    .optional({ checkFalsy: true })
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Password must be between 4 and 128 characters'),
+  body('message')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must be less than 1000 characters'),
+  body('notify').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    if (req.body.contact_id && req.body.contact_group_id) {
+      return res.status(400).json({ success: false, error: 'Choose either a contact or a contact group, not both' });
+    }
+
+    const links = await shareService.createShare(req.user.id, {
+      contentId: req.body.content_id || null,
+      fileId: req.body.file_id || null,
+      groupId: req.body.group_id || null,
+      contactId: req.body.contact_id || null,
+      contactGroupId: req.body.contact_group_id || null,
+      expiresInDays: req.body.expires_in_days,
+      password: req.body.password || null,
+      message: req.body.message || null,
+      notify: !!req.body.notify,
+      senderName: req.user.first_name || req.user.username,
+      language: req.user.language || null
+    }, getClientDetails(req));
+
+    res.json({
+      success: true,
+      shares: links.map(link => ({
+        id: link.id,
+        token: link.token,
+        contact_id: link.contact_id,
+        expires_at: link.expires_at,
+        password_protected: !!link.password_hash,
+        notified: !!(link.metadata && link.metadata.notified),
+        url: shareService.buildShareUrl(link.token)
+      }))
+    });
+  } catch (error) {
+    const notFound = /not found|no members|Exactly one/.test(error.message);
+    logAuthError('SHARE_CREATE_ERROR', error, { userId: req.user.id });
+    res.status(notFound ? 400 : 500).json({
+      success: false,
+      error: notFound ? error.message : 'Failed to create share link'
+    });
+  }
+});
+
+// Revoke a share link
+router.delete('/:id', async (req, res) => {
+  try {
+    const link = await shareService.revokeShare(req.user.id, req.params.id, getClientDetails(req));
+    res.json({ success: true, id: link.id, revoked_at: link.revoked_at });
+  } catch (error) {
+    if (error.message === 'Share link not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logAuthError('SHARE_REVOKE_ERROR', error, { userId: req.user.id, shareLinkId: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to revoke share link' });
+  }
+});
+
+// ShareLog entries for a link
+router.get('/:id/logs', async (req, res) => {
+  try {
+    const logs = await shareService.getShareLogs(req.user.id, req.params.id);
+    logAuthEvent('SHARE_LOGS_VIEWED', { userId: req.user.id, shareLinkId: req.params.id });
+    res.json({
+      success: true,
+      logs: logs.map(log => ({
+        id: log.id,
+        action: log.action,
+        share_method: log.share_method,
+        contact: log.Contact ? { id: log.Contact.id, name: log.Contact.name } : null,
+        client_ip: log.client_ip,
+        user_agent: log.user_agent,
+        createdAt: log.createdAt
+      }))
+    });
+  } catch (error) {
+    if (error.message === 'Share link not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logAuthError('SHARE_LOGS_ERROR', error, { userId: req.user.id, shareLinkId: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to load share logs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const smartCollectionService = require('../services/smartCollectionService');
+const contentFilterService = require('../services/contentFilterService');
+
+/**
+ * Smart Collection Routes (mounted at /content/smart-collections)
+ *
+ *   GET    /api        - Smart collections with counts (JSON)
+ *   POST   /           - Save a filter set as a smart collection
+ *   POST   /reorder    - Reorder smart collections
+ *   GET    /:id/open   - Re-evaluate, mark viewed and open the filtered content list
+ *   PUT    /:id        - Rename / change filters / badge / email
+ *   DELETE /:id        - Delete smart collection (items are kept)
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (error.message === 'Smart collection not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (smartCollectionService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Smart collection operation failed' });
+}
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+const collectionFields = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('filters.tag').optional().isString().isLength({ max: 255 }).withMessage('Tag must be less than 255 characters'),
+  body('filters.from').optional({ checkFalsy: true }).isISO8601().withMessage('From must be a date'),
+  body('filters.to').optional({ checkFalsy: true }).isISO8601().withMessage('To must be a date'),
+  body('filters.content_type').optional().isString().isLength({ max: 50 }).withMessage('Invalid content type'),
+  body('filters.status').optional().isIn(['', 'all', 'analyzed', 'pending']).withMessage('Invalid status'),
+  body('filters.search').optional().isString().isLength({ max: 500 }).withMessage('Search must be less than 500 characters'),
+  body('show_count').optional().isBoolean().withMessage('show_count must be true or false'),
+  body('notify_email').optional().isBoolean().withMessage('notify_email must be true or false')
+];
+
+const toBoolean = (value) => (value === undefined ? undefined : value === true || value === 'true');
+
+// Smart collections (JSON)
+router.get('/api', requirePermission('content.read'), async (req, res) => {
+  try {
+    const collections = await smartCollectionService.listCollections(req.user.id);
+    res.json({ success: true, collections });
+  } catch (error) {
+    handleServiceError(res, error, 'SMART_COLLECTIONS_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+// Create smart collection
+router.post('/', requirePermission('content.create'), [
+  body('name').exists().withMessage('Name is required'),
+  body('filters').exists().withMessage('filters are required'),
+  ...collectionFields
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const collection = await smartCollectionService.createCollection(req.user.id, {
+      name: req.body.name,
+      filters: req.body.filters,
+      showCount: toBoolean(req.body.show_count) !== false,
+      notifyEmail: toBoolean(req.body.notify_email) === true
+    });
+    logAuthEvent('SMART_COLLECTION_CREATED', { userId: req.user.id, targetType: 'smart_collection', targetId: collection.id, name: collection.name });
+    res.json({ success: true, collection: smartCollectionService.serialize(collection) });
+  } catch (error) {
+    handleServiceError(res, error, 'SMART_COLLECTION_CREATE_ERROR', { userId: req.user.id });
+  }
+});
+
+// Reorder smart collections
+router.post('/reorder', requirePermission('content.update'), [
+  body('ordered_ids').isArray({ min: 1, max: 500 }).withMessage('ordered_ids must be an array'),
+  body('ordered_ids.*').isUUID().withMessage('ordered_ids must contain valid IDs')
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await smartCollectionService.reorderCollections(req.user.id, req.body.ordered_ids);
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'SMART_COLLECTION_REORDER_ERROR', { userId: req.user.id });
+  }
+});
+
+// Open: the content list with the saved filters
+router.get('/:id/open', requirePermission('content.read'), async (req, res) => {
+  try {
+    const collection = await smartCollectionService.open(req.user.id, req.params.id);
+    res.redirect(contentFilterService.toListUrl(collection.filters));
+  } catch (error) {
+    if (error.message === 'Smart collection not found') {
+      return res.status(404).render('error', { user: req.user, title: 'Not Found', message: error.message });
+    }
+    logAuthError('SMART_COLLECTION_OPEN_ERROR', error, { userId: req.user.id, smartCollectionId: req.params.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to open smart collection' });
+  }
+});
+
+// Update smart collection
+router.put('/:id', requirePermission('content.update'), collectionFields, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const collection = await smartCollectionService.updateCollection(req.user.id, req.params.id, {
+      name: req.body.name,
+      filters: req.body.filters,
+      showCount: toBoolean(req.body.show_count),
+      notifyEmail: toBoolean(req.body.notify_email)
+    });
+    logAuthEvent('SMART_COLLECTION_UPDATED', { userId: req.user.id, targetType: 'smart_collection', targetId: collection.id });
+    res.json({ success: true, collection: smartCollectionService.serialize(collection) });
+  } catch (error) {
+    handleServiceError(res, error, 'SMART_COLLECTION_UPDATE_ERROR', { userId: req.user.id, smartCollectionId: req.params.id });
+  }
+});
+
+// Delete smart collection
+router.delete('/:id', requirePermission('content.delete'), async (req, res) => {
+  try {
+    await smartCollectionService.deleteCollection(req.user.id, req.params.id);
+    logAuthEvent('SMART_COLLECTION_DELETED', { userId: req.user.id, targetType: 'smart_collection', targetId: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'SMART_COLLECTION_DELETE_ERROR', { userId: req.user.id, smartCollectionId: req.params.id });
+  }
+});
+
+module.exports = router;
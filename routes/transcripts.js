@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const transcriptService = require('../services/transcriptService');
+const { DERIVED_FIELDS } = transcriptService;
+const { EXPORT_FORMATS } = require('../services/transcriptFormats');
+
+/**
+ * Transcript Routes
+ *
+ * Mounted at /content (module.exports) and at /files (module.exports.files),
+ * before the content and file routers:
+ *
+ *   GET  /:id/transcript                                  - Timestamped lines with speaker names
+ *   GET  /:id/transcript/export?format=srt|vtt|txt|json    - Transcript download
+ *   PUT  /:id/transcript                                  - { edits: [{ index, text }], base_revision }
+ *   GET  /:id/transcript/revisions                        - Correction history
+ *   POST /:id/transcript/revisions/:revision/restore      - Make an earlier revision current
+ *   PUT  /:id/transcript/speakers/:tag                    - { name } rename the speaker in every recording
+ *   POST /:id/transcript/regenerate                       - { fields } re-derive summary, tags, title, sentiment
+ */
+
+const authenticated = [isAuthenticated, ensureRoleLoaded];
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+// Map service errors to HTTP responses
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (transcriptService.isClientError(error)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Transcript request failed' });
+}
+
+const editValidators = [
+  body('edits').isArray({ min: 1, max: 500 }).withMessage('edits must be a list of 1-500 line changes'),
+  body('edits.*.index').isInt({ min: 0 }).toInt().withMessage('Each edit needs a line index'),
+  body('edits.*.text').isString().isLength({ max: 5000 }).withMessage('Line text must be at most 5000 characters'),
+  body('base_revision').optional({ nullable: true }).isInt({ min: 0 }).toInt().withMessage('base_revision must be a revision number')
+];
+
+const regenerateValidators = [
+  body('fields').optional().isArray({ min: 1 }).withMessage('fields must be a non-empty list'),
+  body('fields.*').isIn(DERIVED_FIELDS).withMessage(`fields must be among ${DERIVED_FIELDS.join(', ')}`)
+];
+
+const exportValidators = [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
+/**
+ * Router for one item type
+ * @param {string} type - content | file
+ * @param {Object} permissions - { read, download, update }
+ */
+function transcriptRouter(type, permissions) {
+  const router = express.Router();
+  const idValidator = param('id').isUUID().withMessage(`Invalid ${type} ID`);
+  const idKey = type === 'content' ? 'contentId' : 'fileId';
+
+  router.get('/:id/transcript', authenticated, requirePermission(permissions.read), [idValidator], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const transcript = await transcriptService.getTranscript(req.user.id, type, req.params.id);
+      res.json({
+        success: true,
+        transcript: {
+          source: transcript.source,
+          language: transcript.language,
+          estimated: transcript.estimated,
+          revision: transcript.revision,
+          speakers: transcript.speakerNames,
+          lines: transcriptService.displayLines(transcript)
+        }
+      });
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_GET_ERROR', { userId: req.user.id, [idKey]: req.params.id });
+    }
+  });
+
+  router.get('/:id/transcript/export', authenticated, requirePermission(permissions.download), [idValidator, ...exportValidators], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    const format = req.query.format || 'srt';
+    try {
+      const { filename, contentType, body } = await transcriptService.exportTranscript(req.user.id, type, req.params.id, format);
+
+      logAuthEvent('TRANSCRIPT_EXPORTED', {
+        userId: req.user.id,
+        targetType: type,
+        targetId: req.params.id,
+        format
+      });
+
+      res.attachment(filename);
+      res.set('Content-Type', contentType);
+      res.send(body);
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_EXPORT_ERROR', { userId: req.user.id, [idKey]: req.params.id, format });
+    }
+  });
+
+  router.put('/:id/transcript', authenticated, requirePermission(permissions.update), [idValidator, ...editValidators], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const result = await transcriptService.editTranscript(req.user.id, type, req.params.id, {
+        edits: req.body.edits,
+        baseRevision: req.body.base_revision
+      });
+
+      logAuthEvent('TRANSCRIPT_EDITED', {
+        userId: req.user.id,
+        targetType: type,
+        targetId: req.params.id,
+        revision: result.revision,
+        changedLines: result.changed
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_EDIT_ERROR', { userId: req.user.id, [idKey]: req.params.id });
+    }
+  });
+
+  router.get('/:id/transcript/revisions', authenticated, requirePermission(permissions.read), [idValidator], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const revisions = await transcriptService.listRevisions(req.user.id, type, req.params.id);
+      res.json({ success: true, revisions });
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_REVISIONS_ERROR', { userId: req.user.id, [idKey]: req.params.id });
+    }
+  });
+
+  router.post('/:id/transcript/revisions/:revision/restore', authenticated, requirePermission(permissions.update), [
+    idValidator,
+    param('revision').isInt({ min: 1 }).toInt().withMessage('Invalid revision number')
+  ], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const result = await transcriptService.restoreRevision(req.user.id, type, req.params.id, req.params.revision);
+
+      logAuthEvent('TRANSCRIPT_REVISION_RESTORED', {
+        userId: req.user.id,
+        targetType: type,
+        targetId: req.params.id,
+        restoredRevision: req.params.revision,
+        revision: result.revision
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_RESTORE_ERROR', { userId: req.user.id, [idKey]: req.params.id });
+    }
+  });
+
+  router.put('/:id/transcript/speakers/:tag', authenticated, requirePermission(permissions.update), [
+    idValidator,
+    param('tag').isLength({ min: 1, max: 100 }).withMessage('Invalid speaker tag'),
+    body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Speaker name must be 1-255 characters')
+  ], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const result = await transcriptService.renameSpeaker(req.user.id, req.params.tag, req.body.name);
+
+      logAuthEvent('SPEAKER_RENAMED', {
+        userId: req.user.id,
+        targetType: 'speaker',
+        targetId: req.params.tag,
+        renamed: result.renamed
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      handleServiceError(res, error, 'SPEAKER_RENAME_ERROR', { userId: req.user.id, speakerTag: req.params.tag });
+    }
+  });
+
+  router.post('/:id/transcript/regenerate', authenticated, requirePermission(permissions.update), [idValidator, ...regenerateValidators], async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const updates = await transcriptService.regenerateFromTranscript(req.user.id, type, req.params.id, req.body.fields || DERIVED_FIELDS);
+
+      logAuthEvent('TRANSCRIPT_DERIVED_REGENERATED', {
+        userId: req.user.id,
+        targetType: type,
+        targetId: req.params.id,
+        fields: Object.keys(updates)
+      });
+
+      res.json({ success: true, updated: updates });
+    } catch (error) {
+      handleServiceError(res, error, 'TRANSCRIPT_REGENERATE_ERROR', { userId: req.user.id, [idKey]: req.params.id });
+    }
+  });
+
+  return router;
+}
+
+module.exports = transcriptRouter('content', { read: 'content.read', download: 'content.read', update: 'content.update' });
+module.exports.files = transcriptRouter('file', { read: 'files.analyze', download: 'files.download', update: 'files.upload' });
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { ApiKey } = require('../models');
+const { isAuthenticated, ensureRoleLoaded, requirePermission } = require('../middleware');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Webhook Routes (mounted at /webhooks)
+ *
+ *   GET    /                                   - Webhooks page
+ *   GET    /api                                - Endpoints and available events (JSON)
+ *   POST   /                                   - Register endpoint (returns the secret once)
+ *   PUT    /:id                                - Update URL / description / events / enabled
+ *   POST   /:id/rotate-secret                  - Issue a new signing secret
+ *   DELETE /:id                                - Delete endpoint and its delivery log
+ *   GET    /:id/deliveries                     - Recent deliveries (JSON)
+ *   POST   /deliveries/:deliveryId/redeliver   - Send a delivery again
+ */
+
+router.use(isAuthenticated, ensureRoleLoaded);
+
+const CLIENT_ERRORS = [
+  /^Webhook URL/,
+  /^Webhook host/,
+  /^Unknown webhook events/,
+  /^API key not found$/
+];
+
+function handleServiceError(res, error, event, data) {
+  if (/not found$/.test(error.message) && !/^API key/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (CLIENT_ERRORS.some(pattern => pattern.test(error.message))) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logAuthError(event, error, data);
+  return res.status(500).json({ success: false, error: 'Webhook operation failed' });
+}
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+  return true;
+}
+
+const endpointFields = [
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) URL')
+    .isLength({ max: 2048 })
+    .withMessage('URL must be less than 2048 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters'),
+  body('events')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Events must be an array'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false').toBoolean()
+];
+
+const idParam = param('id').isUUID().withMessage('Invalid webhook endpoint');
+
+// Webhooks page
+router.get('/', requirePermission('api.view_usage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { user_id: req.user.id },
+      attributes: ['id', 'key_name', 'key_prefix'],
+      order: [['key_name', 'ASC']]
+    });
+    res.render('webhooks/manage', {
+      user: req.user,
+      title: 'Webhooks',
+      events: webhookService.events,
+      apiKeys
+    });
+  } catch (error) {
+    logAuthError('WEBHOOKS_PAGE_ERROR', error, { userId: req.user.id });
+    res.status(500).render('error', { user: req.user, title: 'Error', message: 'Failed to load webhooks' });
+  }
+});
+
+router.get('/api', requirePermission('api.view_usage'), async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.user.id);
+    res.json({
+      success: true,
+      events: webhookService.events,
+      endpoints: endpoints.map(endpoint => webhookService.serializeEndpoint(endpoint))
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOKS_LIST_ERROR', { userId: req.user.id });
+  }
+});
+
+router.post('/', requirePermission('api.manage_keys'), [
+  body('url').exists({ checkFalsy: true }).withMessage('URL is required'),
+  body('api_key_id').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid API key'),
+  ...endpointFields
+], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const { endpoint, secret } = await webhookService.createEndpoint(req.user.id, {
+      url: req.body.url,
+      description: req.body.description || null,
+      events: req.body.events,
+      apiKeyId: req.body.api_key_id || null
+    });
+
+    logAuthEvent('WEBHOOK_ENDPOINT_CREATED', {
+      userId: req.user.id,
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      events: endpoint.events,
+      apiKeyId: endpoint.api_key_id
+    });
+
+    res.status(201).json({
+      success: true,
+      endpoint: webhookService.serializeEndpoint(endpoint),
+      secret,
+      warning: 'Store this secret securely. It will not be shown again.'
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOK_ENDPOINT_CREATE_ERROR', { userId: req.user.id });
+  }
+});
+
+router.put('/:id', requirePermission('api.manage_keys'), [idParam, ...endpointFields], async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const { url, description, events, enabled } = req.body;
+    const endpoint = await webhookService.updateEndpoint(req.user.id, req.params.id, { url, description, events, enabled });
+
+    logAuthEvent('WEBHOOK_ENDPOINT_UPDATED', {
+      userId: req.user.id,
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      enabled: endpoint.enabled
+    });
+
+    res.json({ success: true, endpoint: webhookService.serializeEndpoint(endpoint) });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOK_ENDPOINT_UPDATE_ERROR', { userId: req.user.id, endpointId: req.params.id });
+  }
+});
+
+router.post('/:id/rotate-secret', requirePermission('api.manage_keys'), idParam, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const secret = await webhookService.rotateSecret(req.user.id, req.params.id);
+
+    logAuthEvent('WEBHOOK_SECRET_ROTATED', {
+      userId: req.user.id,
+      targetType: 'webhook_endpoint',
+      targetId: req.params.id
+    });
+
+    res.json({ success: true, secret, warning: 'Store this secret securely. It will not be shown again.' });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOK_SECRET_ROTATE_ERROR', { userId: req.user.id, endpointId: req.params.id });
+  }
+});
+
+router.delete('/:id', requirePermission('api.manage_keys'), idParam, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    await webhookService.deleteEndpoint(req.user.id, req.params.id);
+
+    logAuthEvent('WEBHOOK_ENDPOINT_DELETED', {
+      userId: req.user.id,
+      targetType: 'webhook_endpoint',
+      targetId: req.params.id
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOK_ENDPOINT_DELETE_ERROR', { userId: req.user.id, endpointId: req.params.id });
+  }
+});
+
+router.get('/:id/deliveries', requirePermission('api.view_usage'), idParam, async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const deliveries = await webhookService.listDeliveries(req.user.id, req.params.id);
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    handleServiceError(res, error, 'WEBHOOK_DELIVERIES_ERROR', { userId: req.user.id, endpointId: req.params.id });
+  }
+});
+
+router.post('/deliveries/:deliveryId/redeliver', requirePermission('api.manage_keys'),
+  param('deliveryId').isUUID().withMessage('Invalid delivery'), async (req, res) => {
+    if (validationFailed(req, res)) return;
+    try {
+      const delivery = await webhookService.redeliver(req.user.id, req.params.deliveryId);
+
+      logAuthEvent('WEBHOOK_REDELIVERED', {
+        userId: req.user.id,
+        targetType: 'webhook_delivery',
+        targetId: delivery.id,
+        originalDeliveryId: req.params.deliveryId,
+        status: delivery.status
+      });
+
+      res.json({ success: true, delivery });
+    } catch (error) {
+      handleServiceError(res, error, 'WEBHOOK_REDELIVER_ERROR', { userId: req.user.id, deliveryId: req.params.deliveryId });
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Search Embeddings
+ *
+ * Embeds existing content items and files for "find similar" and semantic
+ * search. New items are embedded when their analysis finishes; run this once
+ * after enabling SEARCH_EMBEDDINGS=true or changing SEARCH_EMBEDDING_MODEL.
+ *
+ *   node scripts/backfill-search-embeddings.js [userId] [--limit=200]
+ */
+
+require('dotenv').config();
+
+const { User } = require('../models');
+const embeddingService = require('../services/embeddingService');
+
+async function backfillSearchEmbeddings(userId = null, limit = 200) {
+  if (!embeddingService.isEnabled()) {
+    console.log('⚠️ Set SEARCH_EMBEDDINGS=true and OPENAI_API_KEY to enable embeddings');
+    return;
+  }
+
+  const users = userId
+    ? [{ id: userId }]
+    : await User.findAll({ attributes: ['id', 'username'] });
+
+  for (const user of users) {
+    const embedded = await embeddingService.backfill(user.id, { limit });
+    console.log(`🧭 ${user.username || user.id}: embedded ${embedded} item(s) with ${embeddingService.model}`);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const limitArg = args.find(arg => arg.startsWith('--limit='));
+  const userId = args.find(arg => !arg.startsWith('--')) || null;
+
+  backfillSearchEmbeddings(userId, limitArg ? parseInt(limitArg.split('=')[1], 10) : 200)
+    .then(() => {
+      console.log('\n✅ Script completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillSearchEmbeddings };
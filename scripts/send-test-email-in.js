@@ -0,0 +1,62 @@
+/**
+ * Send Test Email-In Message
+ *
+ * Sends a message to a personal email-in address through a local SMTP
+ * server, for trying out email-in against the GreenMail container:
+ *
+ *   docker compose --profile email-in up -d greenmail
+ *   EMAIL_IN_ENABLED=true EMAIL_IN_ADDRESS=save@daysave.local \
+ *   EMAIL_IN_IMAP_HOST=localhost EMAIL_IN_IMAP_PORT=3143 EMAIL_IN_IMAP_TLS=false \
+ *   EMAIL_IN_IMAP_USER=save@daysave.local EMAIL_IN_IMAP_PASSWORD=save npm start
+ *
+ * then create an address on the profile page and run
+ *
+ *   node scripts/send-test-email-in.js save+<token>@daysave.local [url] [file]
+ *
+ * GreenMail keeps a mailbox per exact address, so the message is delivered
+ * to the base address (the SMTP envelope) while the To header carries the
+ * plus-address, as a real mail server with plus-addressing would. Add
+ * SMTP_HOST=localhost SMTP_PORT=3025 to the server's environment to have the
+ * summary replies land in GreenMail as well.
+ *
+ * Environment: EMAIL_IN_TEST_SMTP_HOST (localhost), EMAIL_IN_TEST_SMTP_PORT (3025)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+const emailIn = require('../services/emailIn');
+
+async function sendTestMessage() {
+  const [to, url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', attachment] = process.argv.slice(2);
+  const base = emailIn.splitAddress(to && to.replace(/\+[^@]*@/, '@'));
+  if (!base || !to.includes('+')) {
+    console.error('❌ Usage: node scripts/send-test-email-in.js <save+token@domain> [url] [attachment]');
+    process.exit(1);
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_IN_TEST_SMTP_HOST || 'localhost',
+    port: parseInt(process.env.EMAIL_IN_TEST_SMTP_PORT, 10) || 3025,
+    secure: false
+  });
+
+  const info = await transporter.sendMail({
+    from: 'tester@example.com',
+    to,
+    envelope: { from: 'tester@example.com', to: `${base.local}@${base.domain}` },
+    subject: 'Fwd: Something to save',
+    text: `Have a look at this:\n\n${url}\n`,
+    html: `<p>Have a look at <a href="${url}">this</a>.</p>`,
+    attachments: attachment ? [{ filename: path.basename(attachment), content: fs.readFileSync(attachment) }] : []
+  });
+
+  console.log(`✅ Sent ${info.messageId} to ${to}`);
+  console.log('   The server picks it up on its next poll (EMAIL_IN_POLL_MS).');
+}
+
+sendTestMessage().catch(error => {
+  console.error('❌ Failed to send test message:', error.message);
+  process.exit(1);
+});
@@ -3,8 +3,8 @@
 /**
  * Trigger Analysis for Waiting Content
  * 
- * Finds content items stuck at 0% waiting status and manually triggers
- * their multimedia analysis to get them processed.
+ * Finds content items stuck at 0% waiting status and queues their
+ * multimedia analysis as ProcessingJobs for the worker to pick up.
  */
 
 const { Content, User } = require('../models');
@@ -62,25 +62,12 @@ async function triggerWaitingAnalysis() {
           console.log('   🎬 Multimedia URL detected - should trigger analysis');
           
           try {
-            // Import and trigger analysis
-            const triggerAnalysis = require('../routes/content').triggerMultimediaAnalysis;
-            if (typeof triggerAnalysis === 'function') {
-              console.log('   🚀 Triggering background analysis...');
-              
-              // Trigger in background
-              setImmediate(async () => {
-                try {
-                  await triggerAnalysis(content, content.User);
-                  console.log(`   ✅ Analysis triggered for ${content.id}`);
-                } catch (error) {
-                  console.log(`   ❌ Analysis failed for ${content.id}: ${error.message}`);
-                }
-              });
-            } else {
-              console.log('   ⚠️ triggerMultimediaAnalysis function not available');
-            }
+            // Queue the analysis; the web server or `npm run worker` runs it
+            const { queueMultimediaAnalysis } = require('../services/contentAnalysisService');
+            const job = await queueMultimediaAnalysis(content, content.User, { reason: 'waiting_recovery' });
+            console.log(`   ✅ Analysis queued for ${content.id} (job ${job.id}, ${job.status})`);
           } catch (error) {
-            console.log(`   ❌ Error triggering analysis: ${error.message}`);
+            console.log(`   ❌ Error queueing analysis: ${error.message}`);
           }
         } else {
           console.log('   📄 Non-multimedia URL - manual processing may be needed');
@@ -90,8 +77,8 @@ async function triggerWaitingAnalysis() {
       }
     }
     
-    console.log(`\n🎯 Analysis triggered for multimedia content items`);
-    console.log('📊 Check the app logs to monitor processing progress');
+    console.log(`\n🎯 Analysis queued for multimedia content items`);
+    console.log('📊 Check the processing_jobs table or worker logs to monitor progress');
     
   } catch (error) {
     console.error('❌ Error finding waiting content:', error);
@@ -293,6 +293,12 @@ class BackwardCompatibilityService {
       }
     }
 
+    // Timestamped transcript segments (captions, Whisper, Google Speech)
+    if (Array.isArray(data.transcriptSegments) && data.transcriptSegments.length > 0) {
+      legacyResult.transcript_segments = data.transcriptSegments;
+      legacyResult.transcript_source = data.transcriptSource || null;
+    }
+
     // Handle sentiment analysis
     if (data.sentiment) {
       legacyResult.sentiment = {
@@ -93,6 +93,9 @@ class AiUsageTracker {
    * @returns {number} Estimated cost in USD
    */
   calculateCost(provider, model, inputTokens = 0, outputTokens = 0, thinkingTokens = 0) {
+    // Self-hosted models have no per-token price
+    if (provider === 'other') return 0;
+
     const providerPricing = this.pricingModels[provider];
     if (!providerPricing) {
       console.warn(`Unknown AI provider: ${provider}`);
@@ -261,14 +264,16 @@ class AiUsageTracker {
     } = params;
 
     const usage = this.extractOpenAIUsage(response);
+    // Responses from OpenAICompatibleProvider say which model answered and whether it was self-hosted
+    const source = response.aiSource;
     
     return this.recordUsage({
       userId,
       contentId,
       fileId,
       processingJobId,
-      aiProvider: 'openai',
-      aiModel: model,
+      aiProvider: source ? source.provider : 'openai',
+      aiModel: source ? source.model : model,
       operationType,
       inputTokens: usage.inputTokens,
       outputTokens: usage.outputTokens,
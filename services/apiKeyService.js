@@ -437,6 +437,19 @@ class ApiKeyService {
     }
   }
 
+  /**
+   * Find the usage entry logged for a single request
+   * @param {string} userId - Owner of the API key
+   * @param {string} requestId - Request ID returned in the API response
+   * @returns {Object|null} Usage entry with the key name and prefix
+   */
+  async getUsageByRequestId(userId, requestId) {
+    return ApiKeyUsage.findOne({
+      where: { request_id: requestId, user_id: userId },
+      include: [{ model: ApiKey, as: 'apiKey', attributes: ['id', 'key_name', 'key_prefix'] }]
+    });
+  }
+
   /**
    * Get top endpoints from usage data
    * @param {Array} usage - Usage data
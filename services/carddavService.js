@@ -0,0 +1,291 @@
+/**
+ * CardDAV Service
+ *
+ * Data access behind the CardDAV endpoint (routes/carddav.js): address
+ * books, vCard resources with ETags, sync-collection changes and card
+ * create / update / delete from clients.
+ *
+ * FEATURES:
+ * - One address book with all of a user's contacts ("contacts") plus one
+ *   per contact group that has CardDAV enabled ("group-<groupId>")
+ * - ETags are hashes of the served vCard, so any change to a contact
+ *   changes its ETag
+ * - Sync tokens and CTags are revisions from contact_sync_changes, which
+ *   Contact and ContactGroupMember hooks fill
+ * - PUT creates or replaces a contact from a vCard (plan contact limit
+ *   applies); in a group address book the contact also joins the group and
+ *   DELETE only removes it from the group
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Contact, ContactGroup, ContactGroupMember, ContactSyncChange } = require('../models');
+const vcardService = require('./vcardService');
+const subscriptionService = require('./subscriptionService');
+const contactDuplicateService = require('./contactDuplicateService');
+const { logAuthEvent } = require('../config/logger');
+
+const MAIN_BOOK = 'contacts';
+const SYNC_TOKEN_PREFIX = 'https://daysave.app/ns/sync/';
+const MAX_RESOURCE_SIZE = 1024 * 1024;
+const CONTACT_FIELDS = ['name', 'nickname', 'organization', 'job_title', 'phones', 'emails', 'addresses',
+  'social_profiles', 'instant_messages', 'urls', 'dates', 'notes'];
+
+// Errors that map to HTTP statuses in routes/carddav.js
+const STATUS_BY_ERROR = {
+  'Address book not found': 404,
+  'Card not found': 404,
+  'Precondition failed': 412,
+  'Invalid vCard': 400,
+  'vCard is too large': 413,
+  'UID already used by another card': 409,
+  'Contact limit reached for the current subscription plan': 403,
+  'No active subscription found': 403
+};
+
+class CardDavService {
+  constructor() {
+    this.MAIN_BOOK = MAIN_BOOK;
+    this.MAX_RESOURCE_SIZE = MAX_RESOURCE_SIZE;
+  }
+
+  /**
+   * HTTP status for an error thrown by this service, or null for server errors
+   */
+  statusFor(error) {
+    return STATUS_BY_ERROR[error.message] || null;
+  }
+
+  /**
+   * Address books of a user
+   * @returns {Promise<Array<Object>>} [{ id, name, groupId }]
+   */
+  async listBooks(userId) {
+    const groups = await ContactGroup.findAll({
+      where: { user_id: userId, carddav_enabled: true },
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']]
+    });
+    return [
+      { id: MAIN_BOOK, name: 'DaySave Contacts', groupId: null },
+      ...groups.map(group => ({ id: `group-${group.id}`, name: group.name, groupId: group.id }))
+    ];
+  }
+
+  async findBook(userId, bookId) {
+    if (bookId === MAIN_BOOK) return { id: MAIN_BOOK, name: 'DaySave Contacts', groupId: null };
+    const match = /^group-([0-9a-f-]{36})$/i.exec(bookId || '');
+    if (!match) return null;
+    const group = await ContactGroup.findOne({ where: { id: match[1], user_id: userId, carddav_enabled: true } });
+    return group ? { id: bookId, name: group.name, groupId: group.id } : null;
+  }
+
+  /**
+   * Latest change revision of a user, used as CTag and sync token
+   */
+  async currentRevision(userId) {
+    const revision = await ContactSyncChange.max('revision', { where: { user_id: userId } });
+    return Number(revision) || 0;
+  }
+
+  syncToken(revision) {
+    return `${SYNC_TOKEN_PREFIX}${revision}`;
+  }
+
+  /**
+   * Revision in a client's sync token
+   * @returns {number|null} Revision, 0 for an empty token (initial sync), null if invalid
+   */
+  parseSyncToken(token) {
+    if (!token) return 0;
+    if (!token.startsWith(SYNC_TOKEN_PREFIX)) return null;
+    const revision = Number(token.slice(SYNC_TOKEN_PREFIX.length));
+    return Number.isSafeInteger(revision) && revision >= 0 ? revision : null;
+  }
+
+  resourceName(contact) {
+    return ContactSyncChange.resourceName(contact);
+  }
+
+  serialize(contact, version = '3.0') {
+    return vcardService.serialize(contact, version);
+  }
+
+  etag(contact) {
+    return `"${crypto.createHash('md5').update(this.serialize(contact, '3.0')).digest('hex')}"`;
+  }
+
+  bookWhere(userId, book, extra = {}) {
+    const where = { user_id: userId, ...extra };
+    if (book.groupId) {
+      return { where, include: [{ model: ContactGroupMember, where: { group_id: book.groupId }, attributes: [] }] };
+    }
+    return { where };
+  }
+
+  /**
+   * Contacts in an address book
+   */
+  async listCards(userId, book, contactIds = null) {
+    const extra = contactIds ? { id: contactIds } : {};
+    return Contact.findAll({ ...this.bookWhere(userId, book, extra), order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Contact served under a resource name in an address book
+   */
+  async findCard(userId, book, name) {
+    if (!name) return null;
+    const id = name.replace(/\.vcf$/i, '');
+    return Contact.findOne(this.bookWhere(userId, book, {
+      [Op.or]: [{ carddav_name: name }, { id, carddav_name: null }]
+    }));
+  }
+
+  /**
+   * Changes in an address book after a revision (sync-collection)
+   * @returns {Promise<Object>} { changed: Contact[], removed: string[] resource names, revision }
+   */
+  async changesSince(userId, book, revision) {
+    const rows = await ContactSyncChange.findAll({
+      where: { user_id: userId, revision: { [Op.gt]: revision } },
+      order: [['revision', 'ASC']]
+    });
+    const latest = rows.length ? Number(rows[rows.length - 1].revision) : revision;
+
+    // Membership changes only matter to the group's own address book
+    const relevant = rows.filter(row => !row.group_id || row.group_id === book.groupId);
+    const ids = [...new Set(relevant.map(row => row.contact_id))];
+    const changed = ids.length ? await this.listCards(userId, book, ids) : [];
+    const present = new Set(changed.map(contact => contact.id));
+
+    const removed = new Map();
+    for (const row of relevant) {
+      if (present.has(row.contact_id)) continue;
+      // Edits of contacts outside a group book are not removals from it
+      if (row.operation === 'delete' || row.group_id) removed.set(row.contact_id, row.resource_name);
+    }
+    return { changed, removed: [...new Set(removed.values())], revision: latest };
+  }
+
+  /**
+   * Whether a contact matches an addressbook-query filter (RFC 6352 10.5)
+   */
+  matchesFilter(contact, filter) {
+    if (!filter || !filter.propFilters.length) return true;
+    const properties = vcardService.unfold(this.serialize(contact, '3.0'))
+      .map(line => vcardService.parseLine(line))
+      .filter(Boolean);
+
+    const textMatches = (value, tm) => {
+      const haystack = value.toLowerCase();
+      const needle = tm.value.toLowerCase();
+      const found = tm.matchType === 'equals' ? haystack === needle
+        : tm.matchType === 'starts-with' ? haystack.startsWith(needle)
+          : tm.matchType === 'ends-with' ? haystack.endsWith(needle)
+            : haystack.includes(needle);
+      return tm.negate ? !found : found;
+    };
+
+    const results = filter.propFilters.map(pf => {
+      const values = properties.filter(p => p.name === pf.name).map(p => vcardService.unescape(p.value));
+      if (pf.isNotDefined) return values.length === 0;
+      if (!pf.textMatches.length) return values.length > 0;
+      const checks = pf.textMatches.map(tm => values.some(value => textMatches(value, tm)));
+      return pf.test === 'allof' ? checks.every(Boolean) : checks.some(Boolean);
+    });
+    return filter.test === 'allof' ? results.every(Boolean) : results.some(Boolean);
+  }
+
+  checkPreconditions(existing, { ifMatch, ifNoneMatch }) {
+    if (ifNoneMatch === '*' && existing) throw new Error('Precondition failed');
+    if (ifMatch) {
+      if (!existing) throw new Error('Precondition failed');
+      const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+      if (!tags.includes('*') && !tags.includes(this.etag(existing))) throw new Error('Precondition failed');
+    }
+  }
+
+  /**
+   * Create or replace a card from a client
+   * @param {string} userId - Owner user ID
+   * @param {Object} book - Address book from findBook()
+   * @param {string} name - Resource name in the request path
+   * @param {string} body - vCard text
+   * @param {Object} conditions - { ifMatch, ifNoneMatch } request headers
+   * @returns {Promise<Object>} { contact, created }
+   */
+  async putCard(userId, book, name, body, conditions = {}) {
+    if (Buffer.byteLength(body || '') > MAX_RESOURCE_SIZE) throw new Error('vCard is too large');
+    const cards = vcardService.parse(body);
+    if (cards.length !== 1 || cards[0].error) throw new Error('Invalid vCard');
+    const { contact: data, uid } = cards[0];
+
+    // The card may exist outside this group book; PUT there adds it to the group
+    const existing = await this.findCard(userId, book, name) ||
+      (book.groupId ? await this.findCard(userId, { id: MAIN_BOOK }, name) : null);
+    this.checkPreconditions(existing, conditions);
+
+    if (uid && !(existing && uid.replace(/^urn:uuid:/i, '') === existing.id)) {
+      const clash = await Contact.findOne({
+        where: { user_id: userId, carddav_uid: uid, ...(existing ? { id: { [Op.ne]: existing.id } } : {}) },
+        attributes: ['id']
+      });
+      if (clash) throw new Error('UID already used by another card');
+    }
+
+    const fields = {};
+    CONTACT_FIELDS.forEach(field => { fields[field] = data[field]; });
+
+    let contact = existing;
+    if (existing) {
+      // Cards served by DaySave carry the contact ID (urn:uuid: in 4.0) as UID
+      const ownUid = !uid || uid.replace(/^urn:uuid:/i, '') === existing.id;
+      await existing.update({ ...fields, carddav_uid: existing.carddav_uid || (ownUid ? null : uid) });
+    } else {
+      const usage = await subscriptionService.checkUsageLimit(userId, 'contacts', 1);
+      if (!usage.allowed) throw new Error('Contact limit reached for the current subscription plan');
+      contact = await Contact.create({ ...fields, user_id: userId, carddav_uid: uid, carddav_name: name });
+      await subscriptionService.updateUsage(userId, 'contacts', 1);
+    }
+
+    if (book.groupId) {
+      await ContactGroupMember.findOrCreate({ where: { contact_id: contact.id, group_id: book.groupId } });
+    }
+    contactDuplicateService.scheduleScan(userId);
+
+    logAuthEvent(existing ? 'CARDDAV_CONTACT_UPDATED' : 'CARDDAV_CONTACT_CREATED', {
+      userId,
+      targetType: 'contact',
+      targetId: contact.id,
+      addressBook: book.id
+    });
+    return { contact, created: !existing };
+  }
+
+  /**
+   * Delete a card; in a group address book it only leaves the group
+   */
+  async deleteCard(userId, book, name, conditions = {}) {
+    const contact = await this.findCard(userId, book, name);
+    if (!contact) throw new Error('Card not found');
+    this.checkPreconditions(contact, conditions);
+
+    if (book.groupId) {
+      await ContactGroupMember.destroy({ where: { contact_id: contact.id, group_id: book.groupId }, individualHooks: true });
+    } else {
+      await contact.destroy();
+    }
+    logAuthEvent(book.groupId ? 'CARDDAV_CONTACT_UNGROUPED' : 'CARDDAV_CONTACT_DELETED', {
+      userId,
+      targetType: 'contact',
+      targetId: contact.id,
+      addressBook: book.id
+    });
+  }
+}
+
+module.exports = new CardDavService();
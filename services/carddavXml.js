@@ -0,0 +1,206 @@
+/**
+ * CardDAV XML Helpers
+ *
+ * Reads WebDAV / CardDAV request bodies (PROPFIND, REPORT, PROPPATCH) and
+ * writes multistatus responses. Properties are identified by namespace and
+ * local name, so unknown properties can be answered with 404 in the
+ * namespace the client asked for.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+const NS = {
+  DAV: 'DAV:',
+  CARDDAV: 'urn:ietf:params:xml:ns:carddav',
+  CS: 'http://calendarserver.org/ns/'
+};
+
+const PREFIXES = { [NS.DAV]: 'd', [NS.CARDDAV]: 'card', [NS.CS]: 'cs' };
+
+const STATUS_TEXT = { 200: 'OK', 403: 'Forbidden', 404: 'Not Found', 507: 'Insufficient Storage' };
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function elements(node) {
+  return node ? Array.from(node.childNodes || []).filter(child => child.nodeType === 1) : [];
+}
+
+function child(node, ns, name) {
+  return elements(node).find(el => el.namespaceURI === ns && el.localName === name) || null;
+}
+
+function key(ns, name) {
+  return `${ns}|${name}`;
+}
+
+/**
+ * Parse a request body
+ * @param {string} text - XML body (may be empty)
+ * @returns {Object|null} { root: Element|null, name, ns } or null when the XML is invalid
+ */
+function parseBody(text) {
+  if (!text || !String(text).trim()) return { root: null, name: null, ns: null };
+  let failed = false;
+  const fail = () => { failed = true; };
+  const doc = new DOMParser({ errorHandler: { warning() {}, error: fail, fatalError: fail } })
+    .parseFromString(String(text), 'text/xml');
+  const root = doc && doc.documentElement;
+  if (failed || !root) return null;
+  return { root, name: root.localName, ns: root.namespaceURI };
+}
+
+/**
+ * Properties listed in a <prop> element
+ * @returns {Array<Object>|null} [{ ns, name, element }] or null for allprop / no prop element
+ */
+function requestedProps(node) {
+  const prop = child(node, NS.DAV, 'prop');
+  if (!prop) return null;
+  return elements(prop).map(el => ({ ns: el.namespaceURI || '', name: el.localName, element: el }));
+}
+
+/**
+ * Property names in a PROPPATCH body (set and remove)
+ */
+function proppatchProps(root) {
+  return elements(root)
+    .filter(el => el.namespaceURI === NS.DAV && (el.localName === 'set' || el.localName === 'remove'))
+    .flatMap(el => requestedProps(el) || []);
+}
+
+function hrefs(root) {
+  return elements(root)
+    .filter(el => el.namespaceURI === NS.DAV && el.localName === 'href')
+    .map(el => (el.textContent || '').trim());
+}
+
+function textOf(root, ns, name) {
+  const el = child(root, ns, name);
+  return el ? (el.textContent || '').trim() : null;
+}
+
+/**
+ * addressbook-query filter: { test, propFilters: [{ name, test, textMatches: [{ value, matchType, negate }] }] }
+ */
+function queryFilter(root) {
+  const filter = child(root, NS.CARDDAV, 'filter');
+  if (!filter) return null;
+  return {
+    test: filter.getAttribute('test') || 'anyof',
+    propFilters: elements(filter).filter(el => el.localName === 'prop-filter').map(el => ({
+      name: (el.getAttribute('name') || '').toUpperCase(),
+      test: el.getAttribute('test') || 'anyof',
+      isNotDefined: Boolean(child(el, NS.CARDDAV, 'is-not-defined')),
+      textMatches: elements(el).filter(tm => tm.localName === 'text-match').map(tm => ({
+        value: (tm.textContent || '').trim(),
+        matchType: tm.getAttribute('match-type') || 'contains',
+        negate: tm.getAttribute('negate-condition') === 'yes'
+      }))
+    }))
+  };
+}
+
+function limitOf(root) {
+  const limit = child(root, NS.CARDDAV, 'limit');
+  const nresults = limit ? parseInt(textOf(limit, NS.CARDDAV, 'nresults'), 10) : NaN;
+  return Number.isFinite(nresults) && nresults > 0 ? nresults : null;
+}
+
+/**
+ * Opening tag of a property, declaring its namespace when it has no fixed prefix
+ */
+function tag(ns, name, body) {
+  const prefix = PREFIXES[ns];
+  const open = prefix ? `${prefix}:${name}` : `x:${name} xmlns:x="${escapeXml(ns)}"`;
+  const close = prefix ? `${prefix}:${name}` : `x:${name}`;
+  return body === undefined || body === '' ? `<${open}/>` : `<${open}>${body}</${close}>`;
+}
+
+/**
+ * @param {string} href - Path with each segment already URI-encoded
+ */
+function hrefXml(href) {
+  return `<d:href>${escapeXml(href)}</d:href>`;
+}
+
+/**
+ * One <response> with a propstat per status
+ * @param {string} href - Resource path
+ * @param {Map<string, string>} available - key(ns, name) -> property XML body
+ * @param {Array<Object>|null} requested - Requested props, or null for all available
+ * @param {Function} [computed] - (prop) -> body for props computed on demand (address-data)
+ */
+function propResponse(href, available, requested, computed) {
+  const byStatus = { 200: [], 404: [] };
+  if (!requested) {
+    available.forEach((body, k) => {
+      const [ns, name] = k.split('|');
+      byStatus[200].push(tag(ns, name, body));
+    });
+  } else {
+    for (const prop of requested) {
+      const k = key(prop.ns, prop.name);
+      const body = available.has(k) ? available.get(k) : (computed ? computed(prop) : undefined);
+      if (body === undefined) byStatus[404].push(tag(prop.ns, prop.name));
+      else byStatus[200].push(tag(prop.ns, prop.name, body));
+    }
+  }
+  const propstats = Object.entries(byStatus)
+    .filter(([, props]) => props.length)
+    .map(([status, props]) => `<d:propstat><d:prop>${props.join('')}</d:prop><d:status>HTTP/1.1 ${status} ${STATUS_TEXT[status]}</d:status></d:propstat>`)
+    .join('');
+  return `<d:response>${hrefXml(href)}${propstats}</d:response>`;
+}
+
+function statusResponse(href, status) {
+  return `<d:response>${hrefXml(href)}<d:status>HTTP/1.1 ${status} ${STATUS_TEXT[status]}</d:status></d:response>`;
+}
+
+/**
+ * PROPPATCH answer: every property refused
+ */
+function proppatchResponse(href, props) {
+  const body = props.map(prop => tag(prop.ns, prop.name)).join('');
+  return `<d:response>${hrefXml(href)}<d:propstat><d:prop>${body}</d:prop><d:status>HTTP/1.1 403 Forbidden</d:status></d:propstat></d:response>`;
+}
+
+function multistatus(responses, extra = '') {
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    `<d:multistatus xmlns:d="${NS.DAV}" xmlns:card="${NS.CARDDAV}" xmlns:cs="${NS.CS}">` +
+    responses.join('') + extra + '</d:multistatus>';
+}
+
+/**
+ * <error> body for failed preconditions, e.g. error(NS.DAV, 'valid-sync-token')
+ */
+function error(ns, name) {
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    `<d:error xmlns:d="${NS.DAV}" xmlns:card="${NS.CARDDAV}">${tag(ns, name)}</d:error>`;
+}
+
+module.exports = {
+  NS,
+  key,
+  escapeXml,
+  child,
+  parseBody,
+  requestedProps,
+  proppatchProps,
+  hrefs,
+  textOf,
+  queryFilter,
+  limitOf,
+  hrefXml,
+  propResponse,
+  statusResponse,
+  proppatchResponse,
+  multistatus,
+  error
+};
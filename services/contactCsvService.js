@@ -0,0 +1,256 @@
+/**
+ * Contact CSV Service
+ *
+ * Reads and writes contacts as CSV. Imports go through a column mapping so
+ * exports from Google Contacts, Outlook, Apple Numbers or spreadsheets can
+ * be loaded; suggestMapping() proposes one from the header row.
+ *
+ * FEATURES:
+ * - RFC 4180 parsing (quoted fields, embedded newlines, BOM) with comma,
+ *   semicolon or tab delimiters detected from the header
+ * - Mapping of each column to a contact field with an optional label
+ * - "<Field> n - Type/Label" columns label the matching "<Field> n - Value"
+ *   column, as in Google Contacts and DaySave exports
+ * - Cells holding several values separated by " ::: " (Google) are split
+ * - Export with "<Field> n - Label" / "<Field> n - Value" column pairs
+ * - Cells a spreadsheet would run as a formula are exported with a leading
+ *   apostrophe, which the import strips again
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+// Leading characters that make spreadsheets treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Contact fields a column can map to
+const SINGLE_FIELDS = ['name', 'first_name', 'middle_name', 'last_name', 'nickname', 'organization', 'job_title'];
+const MULTI_FIELDS = {
+  email: { column: 'emails', label: 'email', title: 'Email' },
+  phone: { column: 'phones', label: 'phone', title: 'Phone' },
+  address: { column: 'addresses', label: 'address', title: 'Address' },
+  url: { column: 'urls', label: 'website', title: 'Website' },
+  social_profile: { column: 'social_profiles', label: 'social', title: 'Social Profile' },
+  instant_message: { column: 'instant_messages', label: 'im', title: 'Instant Message' },
+  date: { column: 'dates', label: 'date', title: 'Date' },
+  birthday: { column: 'dates', label: 'birthday', title: 'Birthday' },
+  anniversary: { column: 'dates', label: 'anniversary', title: 'Anniversary' },
+  note: { column: 'notes', label: 'note', title: 'Note' }
+};
+const FIELDS = [...SINGLE_FIELDS, ...Object.keys(MULTI_FIELDS), 'label'];
+
+// Header patterns in priority order: [regex, field]
+const HEADER_PATTERNS = [
+  [/^(.*\d+)\s*-\s*(type|label)$/i, 'label'],
+  [/^address\s*\d+\s*-\s*(?!formatted)|e-?mail.*(display|type)/i, ''],
+  [/^(full\s*)?name$|^display\s*name$|^fn$/i, 'name'],
+  [/^(first|given)(\s*name)?$/i, 'first_name'],
+  [/^(middle|additional)(\s*name)?$/i, 'middle_name'],
+  [/^(last|family|sur)(\s*name)?$/i, 'last_name'],
+  [/nick\s*name/i, 'nickname'],
+  [/organi[sz]ation.*(title)|job\s*title|position/i, 'job_title'],
+  [/organi[sz]ation|company|employer/i, 'organization'],
+  [/e-?mail/i, 'email'],
+  [/phone|mobile|cell|fax|pager|^tel/i, 'phone'],
+  [/address|street/i, 'address'],
+  [/web\s*site|homepage|^url|web page/i, 'url'],
+  [/twitter|facebook|instagram|linkedin|tiktok|social/i, 'social_profile'],
+  [/skype|jabber|messenger|^im\b|instant/i, 'instant_message'],
+  [/birth/i, 'birthday'],
+  [/anniversary/i, 'anniversary'],
+  [/event|date/i, 'date'],
+  [/notes?$|comment/i, 'note']
+];
+
+// Words in a header that make a good label ("Home Phone" -> home)
+const LABEL_WORDS = ['home', 'work', 'business', 'mobile', 'cell', 'other', 'personal', 'main', 'fax', 'pager',
+  'twitter', 'facebook', 'instagram', 'linkedin', 'tiktok', 'skype', 'jabber'];
+
+class ContactCsvService {
+  constructor() {
+    this.fields = FIELDS;
+  }
+
+  /**
+   * Parse CSV text
+   * @param {string} text - CSV contents
+   * @returns {Object} { headers: string[], rows: string[][], lines: number[] } (lines: 1-based line each row starts on)
+   */
+  parse(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+      .map(d => [d, firstLine.split(d).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+
+    const records = [];
+    const starts = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let start = 1;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (inQuotes) {
+        if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else field += ch;
+        if (ch === '\n') line++;
+      } else if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        starts.push(start);
+        record = [];
+        field = '';
+        start = ++line;
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || record.length) {
+      record.push(field);
+      records.push(record);
+      starts.push(start);
+    }
+
+    const nonEmpty = records.map((r, i) => [r, starts[i]]).filter(([r]) => r.some(cell => cell.trim() !== ''));
+    const headers = (nonEmpty.shift() || [[]])[0].map(h => h.trim());
+    return { headers, rows: nonEmpty.map(([r]) => r), lines: nonEmpty.map(([, n]) => n) };
+  }
+
+  labelFromHeader(header) {
+    const words = header.toLowerCase().split(/[^a-z]+/);
+    const word = LABEL_WORDS.find(w => words.includes(w));
+    if (!word) return '';
+    return { cell: 'mobile', business: 'work' }[word] || word;
+  }
+
+  /**
+   * Propose a mapping for a header row
+   * @param {string[]} headers - Column headers
+   * @returns {Array<Object>} [{ column, header, field, label }]; field '' ignores the column
+   */
+  suggestMapping(headers) {
+    return headers.map((header, column) => {
+      const match = HEADER_PATTERNS.find(([pattern]) => pattern.test(header));
+      let field = match ? match[1] : '';
+      // Google "E-mail 1 - Value"-style columns are matched on the part before the number
+      const numbered = /^(.*?)\s*\d+\s*-\s*(value|formatted|name)$/i.exec(header);
+      if (numbered) {
+        const inner = HEADER_PATTERNS.slice(1).find(([pattern]) => pattern.test(numbered[1]));
+        field = inner ? inner[1] : '';
+      }
+      return { column, header, field, label: MULTI_FIELDS[field] ? this.labelFromHeader(header) : '' };
+    });
+  }
+
+  /**
+   * Clean a mapping sent by the client against the file's headers
+   */
+  normalizeMapping(mapping, headers) {
+    if (!Array.isArray(mapping)) return this.suggestMapping(headers);
+    return headers.map((header, column) => {
+      const entry = mapping.find(m => m && Number(m.column) === column) || {};
+      const field = FIELDS.includes(entry.field) ? entry.field : '';
+      const label = typeof entry.label === 'string' ? entry.label.trim().toLowerCase().slice(0, 50) : '';
+      return { column, header, field, label };
+    });
+  }
+
+  /**
+   * Turn one CSV row into a contact record
+   * @param {string[]} row - Cells
+   * @param {Array<Object>} mapping - Normalized mapping
+   * @returns {Object} Contact data (name may be empty)
+   */
+  rowToContact(row, mapping) {
+    const contact = {
+      name: '', nickname: '', organization: '', job_title: '',
+      phones: [], emails: [], addresses: [], social_profiles: [],
+      instant_messages: [], urls: [], dates: [], notes: []
+    };
+    const nameParts = {};
+    const cell = column => (row[column] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim();
+
+    // Labels from "X n - Type" columns, keyed by their "X n -" prefix
+    const prefixLabels = {};
+    mapping.filter(m => m.field === 'label').forEach(m => {
+      const prefix = /^(.*\d+)\s*-/.exec(m.header);
+      if (!prefix || !cell(m.column)) return;
+      prefixLabels[prefix[1].toLowerCase()] = cell(m.column).split(/\s+:::\s+/).map(l => l.replace(/^\*\s*/, '').toLowerCase());
+    });
+
+    for (const m of mapping) {
+      const value = cell(m.column);
+      if (!m.field || m.field === 'label' || !value) continue;
+
+      if (['first_name', 'middle_name', 'last_name'].includes(m.field)) {
+        nameParts[m.field] = value;
+      } else if (SINGLE_FIELDS.includes(m.field)) {
+        contact[m.field] = contact[m.field] ? `${contact[m.field]} ${value}` : value;
+      } else {
+        const target = MULTI_FIELDS[m.field];
+        const prefix = /^(.*\d+)\s*-/.exec(m.header);
+        const pairedLabels = (prefix && prefixLabels[prefix[1].toLowerCase()]) || [];
+        value.split(/\s+:::\s+/).filter(Boolean).forEach((part, i) => {
+          const label = m.field === 'birthday' || m.field === 'anniversary'
+            ? target.label
+            : (pairedLabels[i] || pairedLabels[0] || m.label || target.label);
+          contact[target.column].push({ label, value: part });
+        });
+      }
+    }
+
+    if (!contact.name) {
+      contact.name = [nameParts.first_name, nameParts.middle_name, nameParts.last_name].filter(Boolean).join(' ');
+    }
+    if (!contact.name) contact.name = contact.organization || (contact.emails[0] && contact.emails[0].value) || '';
+    return contact;
+  }
+
+  escapeCell(value) {
+    let text = value == null ? '' : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write contacts as CSV
+   * @param {Array<Object>} contacts - Contact records
+   * @returns {string} CSV text with a header row
+   */
+  serialize(contacts) {
+    const plain = contacts.map(c => (typeof c.get === 'function' ? c.get({ plain: true }) : c));
+    const groups = [
+      ['emails', 'Email'], ['phones', 'Phone'], ['addresses', 'Address'], ['urls', 'Website'],
+      ['social_profiles', 'Social Profile'], ['instant_messages', 'Instant Message'], ['dates', 'Date'], ['notes', 'Note']
+    ];
+    const list = value => (Array.isArray(value) ? value.filter(item => item && item.value) : []);
+    const widths = groups.map(([column]) => Math.max(0, ...plain.map(c => list(c[column]).length)));
+
+    const headers = ['Name', 'Nickname', 'Organization', 'Job Title'];
+    groups.forEach(([, title], i) => {
+      for (let n = 1; n <= widths[i]; n++) headers.push(`${title} ${n} - Label`, `${title} ${n} - Value`);
+    });
+
+    const lines = [headers.map(h => this.escapeCell(h)).join(',')];
+    for (const c of plain) {
+      const cells = [c.name, c.nickname, c.organization, c.job_title];
+      groups.forEach(([column], i) => {
+        const items = list(c[column]);
+        for (let n = 0; n < widths[i]; n++) cells.push(items[n] ? items[n].label : '', items[n] ? items[n].value : '');
+      });
+      lines.push(cells.map(cell => this.escapeCell(cell)).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new ContactCsvService();
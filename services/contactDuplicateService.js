@@ -0,0 +1,232 @@
+/**
+ * Contact Duplicate Service
+ *
+ * Finds likely duplicate contacts (see contactMatcher.js for scoring) and
+ * merges them. Candidate pairs are kept in contact_duplicate_candidates so
+ * the review page is fast and dismissed pairs stay dismissed.
+ *
+ * FEATURES:
+ * - Background scan per user, debounced after contacts are created,
+ *   edited or imported; also available on demand
+ * - Review list of pending pairs with score and reasons
+ * - Merge: combined fields on the kept contact, group memberships,
+ *   contact relations, relationships, share logs, share links and linked
+ *   faces and speakers moved over, the duplicate deleted and the merge
+ *   written to audit_logs, all in one transaction
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Contact, ContactDuplicateCandidate, ContactGroupMember,
+  ContactRelation, Relationship, ShareLog, ShareLink, Face, Speaker, AuditLog
+} = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const contactMatcher = require('./contactMatcher');
+
+const SCAN_DELAY_MS = parseInt(process.env.CONTACT_DUPLICATE_SCAN_DELAY_MS, 10) || 60000;
+const CONTACT_ATTRIBUTES = ['id', 'name', 'nickname', 'organization', 'job_title', 'emails', 'phones'];
+
+class ContactDuplicateService {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  /**
+   * Whether an error thrown by this service is caused by the caller
+   * @param {Error} error - Error thrown by a service method
+   * @returns {boolean} True for client errors
+   */
+  isClientError(error) {
+    return ['Cannot merge a contact with itself'].includes(error.message);
+  }
+
+  pairKey(id1, id2) {
+    return id1 < id2 ? `${id1}:${id2}` : `${id2}:${id1}`;
+  }
+
+  /**
+   * Score all of a user's contacts and store the candidate pairs
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} { pending, added }
+   */
+  async scan(userId) {
+    const contacts = await Contact.findAll({ where: { user_id: userId }, attributes: CONTACT_ATTRIBUTES, raw: true });
+    const found = contactMatcher.findCandidates(contacts);
+    const existing = await ContactDuplicateCandidate.findAll({ where: { user_id: userId } });
+    const byPair = new Map(existing.map(row => [this.pairKey(row.contact_id_1, row.contact_id_2), row]));
+
+    let added = 0;
+    const current = new Set();
+    for (const candidate of found) {
+      const key = this.pairKey(candidate.contact_id_1, candidate.contact_id_2);
+      current.add(key);
+      const row = byPair.get(key);
+      if (!row) {
+        await ContactDuplicateCandidate.create({ user_id: userId, ...candidate });
+        added++;
+      } else if (row.status === 'pending' && (row.score !== candidate.score || JSON.stringify(row.reasons) !== JSON.stringify(candidate.reasons))) {
+        await row.update({ score: candidate.score, reasons: candidate.reasons });
+      }
+    }
+
+    // Pending pairs that no longer match (contact edited) are dropped; dismissals are kept
+    const stale = existing.filter(row => row.status === 'pending' && !current.has(this.pairKey(row.contact_id_1, row.contact_id_2)));
+    if (stale.length) await ContactDuplicateCandidate.destroy({ where: { id: stale.map(row => row.id) } });
+
+    const pending = found.filter(c => (byPair.get(this.pairKey(c.contact_id_1, c.contact_id_2)) || {}).status !== 'dismissed').length;
+    return { pending, added };
+  }
+
+  /**
+   * Scan a user's contacts shortly, so a burst of edits or an import leads to one scan
+   * @param {string} userId - Owner user ID
+   */
+  scheduleScan(userId) {
+    if (!userId || this.pending.has(userId)) return;
+    const timer = setTimeout(() => {
+      this.pending.delete(userId);
+      this.scan(userId)
+        .catch(error => logAuthError('CONTACT_DUPLICATE_SCAN_ERROR', error, { userId }));
+    }, SCAN_DELAY_MS);
+    timer.unref();
+    this.pending.set(userId, timer);
+  }
+
+  /**
+   * Number of pairs waiting for review
+   */
+  async countPending(userId) {
+    return ContactDuplicateCandidate.count({ where: { user_id: userId, status: 'pending' } });
+  }
+
+  /**
+   * Pending pairs with both contacts, best matches first
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Candidates
+   */
+  async listCandidates(userId) {
+    return ContactDuplicateCandidate.findAll({
+      where: { user_id: userId, status: 'pending' },
+      include: [
+        { model: Contact, as: 'Contact1' },
+        { model: Contact, as: 'Contact2' }
+      ],
+      order: [['score', 'DESC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Mark a pair as not duplicates
+   * @param {string} userId - Owner user ID
+   * @param {string} candidateId - Candidate ID
+   */
+  async dismiss(userId, candidateId) {
+    const candidate = await ContactDuplicateCandidate.findOne({ where: { id: candidateId, user_id: userId } });
+    if (!candidate) throw new Error('Duplicate candidate not found');
+    await candidate.update({ status: 'dismissed' });
+    logAuthEvent('CONTACT_DUPLICATE_DISMISSED', { userId, candidateId });
+  }
+
+  /**
+   * Move rows that reference the duplicate over to the kept contact
+   * @returns {Promise<Object>} Counts of moved and removed rows
+   */
+  async repoint(primaryId, duplicateId, transaction) {
+    const counts = {};
+
+    // Group memberships: skip groups the kept contact is already in
+    const memberships = await ContactGroupMember.findAll({ where: { contact_id: [primaryId, duplicateId] }, transaction });
+    const primaryGroups = new Set(memberships.filter(m => m.contact_id === primaryId).map(m => m.group_id));
+    const moved = memberships.filter(m => m.contact_id === duplicateId);
+    const overlap = moved.filter(m => primaryGroups.has(m.group_id)).map(m => m.id);
+    // individualHooks: group address books sync the membership change (CardDAV)
+    if (overlap.length) await ContactGroupMember.destroy({ where: { id: overlap }, transaction, individualHooks: true });
+    const [groupMembers] = await ContactGroupMember.update({ contact_id: primaryId }, { where: { contact_id: duplicateId }, transaction, individualHooks: true });
+    counts.group_members = groupMembers;
+
+    // Relations between the two contacts disappear; others move unless already present
+    for (const [name, Model, typeColumn] of [['contact_relations', ContactRelation, 'relation_type'], ['relationships', Relationship, 'relationship_type']]) {
+      const rows = await Model.findAll({
+        where: { [Op.or]: [{ contact_id_1: [primaryId, duplicateId] }, { contact_id_2: [primaryId, duplicateId] }] },
+        transaction
+      });
+      const swap = id => (id === duplicateId ? primaryId : id);
+      const keys = new Set();
+      rows.filter(r => r.contact_id_1 !== duplicateId && r.contact_id_2 !== duplicateId)
+        .forEach(r => keys.add(`${r.contact_id_1}:${r.contact_id_2}:${r[typeColumn]}`));
+
+      let movedRows = 0;
+      for (const row of rows.filter(r => r.contact_id_1 === duplicateId || r.contact_id_2 === duplicateId)) {
+        const id1 = swap(row.contact_id_1);
+        const id2 = swap(row.contact_id_2);
+        const key = `${id1}:${id2}:${row[typeColumn]}`;
+        if (id1 === id2 || keys.has(key)) {
+          await row.destroy({ transaction });
+        } else {
+          await row.update({ contact_id_1: id1, contact_id_2: id2 }, { transaction });
+          keys.add(key);
+          movedRows++;
+        }
+      }
+      counts[name] = movedRows;
+    }
+
+    const [shareLogs] = await ShareLog.update({ contact_id: primaryId }, { where: { contact_id: duplicateId }, transaction });
+    const [shareLinks] = await ShareLink.update({ contact_id: primaryId }, { where: { contact_id: duplicateId }, transaction });
+    counts.share_logs = shareLogs;
+    counts.share_links = shareLinks;
+    const [faces] = await Face.update({ contact_id: primaryId }, { where: { contact_id: duplicateId }, transaction });
+    const [speakers] = await Speaker.update({ contact_id: primaryId }, { where: { contact_id: duplicateId }, transaction });
+    counts.faces = faces;
+    counts.speakers = speakers;
+    return counts;
+  }
+
+  /**
+   * Merge one contact into another
+   * @param {string} userId - Owner user ID
+   * @param {string} primaryId - Contact that is kept
+   * @param {string} duplicateId - Contact merged into it and deleted
+   * @param {Object} choices - Single fields to take from the duplicate: { name: 'duplicate', ... }
+   * @returns {Promise<Object>} The kept contact
+   */
+  async merge(userId, primaryId, duplicateId, choices = {}) {
+    if (primaryId === duplicateId) throw new Error('Cannot merge a contact with itself');
+
+    const contact = await sequelize.transaction(async (transaction) => {
+      const [primary, duplicate] = await Promise.all([
+        Contact.findOne({ where: { id: primaryId, user_id: userId }, transaction }),
+        Contact.findOne({ where: { id: duplicateId, user_id: userId }, transaction })
+      ]);
+      if (!primary || !duplicate) throw new Error('Contact not found');
+
+      const snapshot = duplicate.get({ plain: true });
+      await primary.update(contactMatcher.combineFields(primary.get({ plain: true }), snapshot, choices), { transaction });
+      const moved = await this.repoint(primaryId, duplicateId, transaction);
+
+      await ContactDuplicateCandidate.destroy({
+        where: { [Op.or]: [{ contact_id_1: duplicateId }, { contact_id_2: duplicateId }] },
+        transaction
+      });
+      await duplicate.destroy({ transaction });
+
+      await AuditLog.create({
+        user_id: userId,
+        action: 'CONTACT_MERGED',
+        target_type: 'contact',
+        target_id: primaryId,
+        details: { merged_contact_id: duplicateId, merged_contact: snapshot, choices, moved }
+      }, { transaction });
+      return primary;
+    });
+
+    // Merged fields can create or resolve other pairs
+    this.scheduleScan(userId);
+    return contact;
+  }
+}
+
+module.exports = new ContactDuplicateService();
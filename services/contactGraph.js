@@ -0,0 +1,197 @@
+/**
+ * Contact Graph
+ *
+ * Pure helpers for the relationship graph over a user's contacts: the
+ * relationship type taxonomy with inverses, graph building from
+ * contact_relations and relationships rows, depth-limited traversal and
+ * shortest paths.
+ *
+ * A row (contact_id_1, contact_id_2, type) reads "contact 1 is <type> of
+ * contact 2". Each stored edge gets an inferred edge in the other direction
+ * with the inverse type ("Parent" -> "Child"), unless that edge is stored
+ * too. Types without a known inverse are inferred as "<type> (inverse)".
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const RELATIONSHIP_TYPES = {
+  family: [
+    'Parent', 'Child', 'Spouse', 'Sibling',
+    'Mother', 'Father', 'Son', 'Daughter',
+    'Wife', 'Husband', 'Brother', 'Sister',
+    'Grandmother', 'Grandfather', 'Grandson', 'Granddaughter',
+    'Aunt', 'Uncle', 'Niece', 'Nephew', 'Cousin'
+  ],
+  professional: [
+    'Colleague', 'Boss', 'Employee', 'Manager', 'Supervisor',
+    'Business Partner', 'Client', 'Vendor', 'Contractor',
+    'Mentor', 'Mentee', 'Coworker'
+  ],
+  social: [
+    'Friend', 'Best Friend', 'Acquaintance', 'Neighbor',
+    'Classmate', 'Roommate', 'Ex', 'Dating'
+  ],
+  other: [
+    'Doctor', 'Lawyer', 'Accountant', 'Teacher', 'Student',
+    'Landlord', 'Tenant', 'Emergency Contact'
+  ]
+};
+
+// Gendered types invert to the neutral form: the other contact's gender is unknown
+const INVERSE_TYPES = {
+  Parent: 'Child', Child: 'Parent', Mother: 'Child', Father: 'Child', Son: 'Parent', Daughter: 'Parent',
+  Spouse: 'Spouse', Wife: 'Spouse', Husband: 'Spouse',
+  Sibling: 'Sibling', Brother: 'Sibling', Sister: 'Sibling',
+  Grandmother: 'Grandchild', Grandfather: 'Grandchild', Grandson: 'Grandparent', Granddaughter: 'Grandparent',
+  Aunt: 'Niece/Nephew', Uncle: 'Niece/Nephew', Niece: 'Aunt/Uncle', Nephew: 'Aunt/Uncle', Cousin: 'Cousin',
+  Colleague: 'Colleague', Coworker: 'Coworker', 'Business Partner': 'Business Partner',
+  Boss: 'Employee', Manager: 'Employee', Supervisor: 'Employee', Employee: 'Boss',
+  Client: 'Vendor', Vendor: 'Client', Contractor: 'Client', Mentor: 'Mentee', Mentee: 'Mentor',
+  Friend: 'Friend', 'Best Friend': 'Best Friend', Acquaintance: 'Acquaintance', Neighbor: 'Neighbor',
+  Classmate: 'Classmate', Roommate: 'Roommate', Ex: 'Ex', Dating: 'Dating',
+  Doctor: 'Patient', Lawyer: 'Client', Accountant: 'Client', Teacher: 'Student', Student: 'Teacher',
+  Landlord: 'Tenant', Tenant: 'Landlord'
+};
+
+const MAX_DEPTH = 4;
+
+// Lookups ignore case so free-text types like "friend" still match the taxonomy
+const CANONICAL = new Map(Object.values(RELATIONSHIP_TYPES).flat()
+  .concat(Object.values(INVERSE_TYPES))
+  .map(type => [type.toLowerCase(), type]));
+
+function canonicalType(type) {
+  const trimmed = String(type || '').trim();
+  return CANONICAL.get(trimmed.toLowerCase()) || trimmed;
+}
+
+/**
+ * Inverse of a relationship type, or null when unknown
+ */
+function inverseOf(type) {
+  return INVERSE_TYPES[canonicalType(type)] || null;
+}
+
+// Inverse-only types ("Grandchild", "Patient") take the category of the type they invert
+const CATEGORIES = new Map(Object.entries(RELATIONSHIP_TYPES).flatMap(([category, types]) => types.map(type => [type, category])));
+Object.entries(INVERSE_TYPES).forEach(([type, inverse]) => {
+  if (!CATEGORIES.has(inverse)) CATEGORIES.set(inverse, CATEGORIES.get(type));
+});
+
+function categoryOf(type) {
+  return CATEGORIES.get(canonicalType(type)) || 'other';
+}
+
+/**
+ * Build the graph
+ * @param {Array<Object>} contacts - Contacts with at least id and name
+ * @param {Array<Object>} rows - { id, contact_id_1, contact_id_2, type, source } from both relation tables
+ * @returns {Object} { nodes: [{ id, name, organization }], edges: [{ id, source, target, type, category, inferred, origin }] }
+ *   Only contacts with at least one edge are nodes; rows pointing at unknown contacts are skipped
+ */
+function buildGraph(contacts, rows) {
+  const byId = new Map(contacts.map(contact => [contact.id, contact]));
+  const edges = [];
+  const seen = new Set();
+  const add = (edge) => {
+    const k = `${edge.source}|${edge.target}|${edge.type.toLowerCase()}`;
+    if (seen.has(k)) return;
+    seen.add(k);
+    edges.push(edge);
+  };
+
+  const stored = rows.filter(row => row.contact_id_1 !== row.contact_id_2 &&
+    byId.has(row.contact_id_1) && byId.has(row.contact_id_2) && String(row.type || '').trim());
+  for (const row of stored) {
+    const type = canonicalType(row.type);
+    add({ id: row.id, source: row.contact_id_1, target: row.contact_id_2, type, category: categoryOf(type), inferred: false, origin: row.source });
+  }
+  for (const row of stored) {
+    const inverse = inverseOf(row.type) || `${canonicalType(row.type)} (inverse)`;
+    add({ id: `${row.id}:inverse`, source: row.contact_id_2, target: row.contact_id_1, type: inverse, category: categoryOf(row.type), inferred: true, origin: row.source });
+  }
+
+  const connected = new Set(edges.flatMap(edge => [edge.source, edge.target]));
+  const nodes = contacts
+    .filter(contact => connected.has(contact.id))
+    .map(contact => ({ id: contact.id, name: contact.name || 'Unnamed contact', organization: contact.organization || null }));
+  return { nodes, edges };
+}
+
+function adjacency(graph) {
+  const neighbors = new Map(graph.nodes.map(node => [node.id, []]));
+  for (const edge of graph.edges) {
+    if (neighbors.has(edge.source)) neighbors.get(edge.source).push(edge);
+  }
+  return neighbors;
+}
+
+/**
+ * Contacts within `depth` steps of a contact, with the edges between them
+ * @returns {Object} { nodes (with depth), edges }; only the start node when it has no edges
+ */
+function neighborhood(graph, startId, depth, start = null) {
+  const limit = Math.min(Math.max(parseInt(depth, 10) || 1, 1), MAX_DEPTH);
+  const neighbors = adjacency(graph);
+  const depths = new Map([[startId, 0]]);
+  let frontier = [startId];
+  for (let level = 1; level <= limit && frontier.length; level++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of neighbors.get(id) || []) {
+        if (depths.has(edge.target)) continue;
+        depths.set(edge.target, level);
+        next.push(edge.target);
+      }
+    }
+    frontier = next;
+  }
+
+  const nodes = graph.nodes.filter(node => depths.has(node.id)).map(node => ({ ...node, depth: depths.get(node.id) }));
+  if (!nodes.length && start) nodes.push({ id: start.id, name: start.name || 'Unnamed contact', organization: start.organization || null, depth: 0 });
+  const edges = graph.edges.filter(edge => depths.has(edge.source) && depths.has(edge.target));
+  return { nodes, edges, depth: limit };
+}
+
+/**
+ * Shortest chain of relationships between two contacts (breadth-first)
+ * @returns {Array<Object>|null} Steps [{ from, to, type, inferred }] ("from is <type> of to"),
+ *   [] when both IDs are the same, null when not connected
+ */
+function shortestPath(graph, fromId, toId) {
+  if (fromId === toId) return [];
+  const neighbors = adjacency(graph);
+  const via = new Map([[fromId, null]]);
+  const queue = [fromId];
+  while (queue.length) {
+    const id = queue.shift();
+    // Prefer stored edges over inferred ones so steps read as the user entered them
+    const edges = (neighbors.get(id) || []).slice().sort((a, b) => a.inferred - b.inferred);
+    for (const edge of edges) {
+      if (via.has(edge.target)) continue;
+      via.set(edge.target, edge);
+      if (edge.target === toId) {
+        const steps = [];
+        for (let step = edge; step; step = via.get(step.source)) {
+          steps.unshift({ from: step.source, to: step.target, type: step.type, inferred: step.inferred });
+        }
+        return steps;
+      }
+      queue.push(edge.target);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  INVERSE_TYPES,
+  MAX_DEPTH,
+  canonicalType,
+  inverseOf,
+  categoryOf,
+  buildGraph,
+  neighborhood,
+  shortestPath
+};
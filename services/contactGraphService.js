@@ -0,0 +1,81 @@
+/**
+ * Contact Graph Service
+ *
+ * Relationship graph over a user's contacts, built from contact_relations
+ * and relationships rows (see contactGraph.js for inference and traversal).
+ *
+ * FEATURES:
+ * - Whole graph: contacts with relationships and typed edges, inverse
+ *   edges inferred (Parent / Child, Boss / Employee, ...)
+ * - Neighborhood of one contact up to MAX_DEPTH steps
+ * - Shortest chain of relationships between two contacts
+ *   ("how do I know X")
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Contact, ContactRelation, Relationship } = require('../models');
+const contactGraph = require('./contactGraph');
+
+const NODE_ATTRIBUTES = ['id', 'name', 'organization'];
+
+class ContactGraphService {
+  /**
+   * Load a user's graph
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} { nodes, edges, contacts: Map<id, Contact> }
+   */
+  async load(userId) {
+    const [contacts, relations, relationships] = await Promise.all([
+      Contact.findAll({ where: { user_id: userId }, attributes: NODE_ATTRIBUTES, order: [['name', 'ASC']] }),
+      ContactRelation.findAll({ where: { user_id: userId }, attributes: ['id', 'contact_id_1', 'contact_id_2', 'relation_type'] }),
+      Relationship.findAll({ where: { user_id: userId }, attributes: ['id', 'contact_id_1', 'contact_id_2', 'relationship_type'] })
+    ]);
+
+    const rows = [
+      ...relations.map(row => ({ id: row.id, contact_id_1: row.contact_id_1, contact_id_2: row.contact_id_2, type: row.relation_type, source: 'contact_relation' })),
+      ...relationships.map(row => ({ id: row.id, contact_id_1: row.contact_id_1, contact_id_2: row.contact_id_2, type: row.relationship_type, source: 'relationship' }))
+    ];
+    const graph = contactGraph.buildGraph(contacts, rows);
+    return { ...graph, contacts: new Map(contacts.map(contact => [contact.id, contact])) };
+  }
+
+  /**
+   * Whole graph of a user
+   */
+  async getGraph(userId) {
+    const { nodes, edges, contacts } = await this.load(userId);
+    return { nodes, edges, isolated: contacts.size - nodes.length };
+  }
+
+  /**
+   * Contacts within `depth` relationships of a contact
+   */
+  async getNeighborhood(userId, contactId, depth) {
+    const graph = await this.load(userId);
+    const start = graph.contacts.get(contactId);
+    if (!start) throw new Error('Contact not found');
+    return { center: contactId, ...contactGraph.neighborhood(graph, contactId, depth, start) };
+  }
+
+  /**
+   * Shortest chain of relationships between two contacts
+   * @returns {Promise<Object>} { connected, steps: [{ from, to, type, inferred }], contacts: { id: { id, name } } }
+   */
+  async findPath(userId, fromId, toId) {
+    const graph = await this.load(userId);
+    if (!graph.contacts.has(fromId) || !graph.contacts.has(toId)) throw new Error('Contact not found');
+
+    const steps = contactGraph.shortestPath(graph, fromId, toId);
+    const ids = new Set([fromId, toId, ...(steps || []).flatMap(step => [step.from, step.to])]);
+    const contacts = {};
+    ids.forEach(id => {
+      const contact = graph.contacts.get(id);
+      contacts[id] = { id, name: contact.name || 'Unnamed contact' };
+    });
+    return { connected: steps !== null, steps: steps || [], contacts };
+  }
+}
+
+module.exports = new ContactGraphService();
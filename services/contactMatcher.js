@@ -0,0 +1,233 @@
+/**
+ * Contact Matcher
+ *
+ * Pure helpers for duplicate contact detection and merging: normalization
+ * of emails, phones and names, pair scoring, candidate search over a
+ * user's contacts and combination of two contacts' fields.
+ *
+ * Scoring combines independent signals as 1 - Π(1 - signal):
+ *   same email 0.7, same phone 0.6, similar name up to 0.6
+ * Pairs scoring at least MIN_SCORE become candidates.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const MIN_SCORE = 0.5;
+const NAME_THRESHOLD = 0.9;
+const MAX_BLOCK_SIZE = 500;
+const SCALAR_FIELDS = ['name', 'nickname', 'organization', 'job_title'];
+const LIST_FIELDS = ['emails', 'phones', 'addresses', 'social_profiles', 'instant_messages', 'urls', 'dates', 'notes'];
+const NAME_NOISE = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'jr', 'sr', 'ii', 'iii'];
+
+/**
+ * JSON columns can come back as strings from some MySQL drivers
+ */
+function asList(value) {
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch (error) { return []; }
+  }
+  return Array.isArray(value) ? value.filter(item => item && item.value) : [];
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase().replace(/^mailto:/, '');
+  const at = email.lastIndexOf('@');
+  if (at <= 0) return email;
+  let local = email.slice(0, at).replace(/\+.*$/, '');
+  let domain = email.slice(at + 1);
+  if (domain === 'googlemail.com') domain = 'gmail.com';
+  if (domain === 'gmail.com') local = local.replace(/\./g, '');
+  return `${local}@${domain}`;
+}
+
+/**
+ * Phone key: the last 9 digits, so +44 20 7946 0000 and 020 7946 0000 match
+ * @returns {string|null} Key, or null for numbers too short to compare
+ */
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '').replace(/^00/, '');
+  if (digits.length < 6) return null;
+  return digits.slice(-9);
+}
+
+function nameTokens(value) {
+  return String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_NOISE.includes(token));
+}
+
+/**
+ * Jaro-Winkler similarity (0-1)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return a.length ? 1 : 0;
+  if (!a.length || !b.length) return 0;
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Name similarity (0-1), order-insensitive; "J. Smith" matches "John Smith"
+ */
+function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.length || !tb.length) return 0;
+
+  const similarity = jaroWinkler([...ta].sort().join(' '), [...tb].sort().join(' '));
+  if (ta.length < 2 || tb.length < 2 || ta[ta.length - 1] !== tb[tb.length - 1]) return similarity;
+
+  // Same last name and every other token equal or an initial of the other's
+  const [shorter, longer] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  const initialsMatch = shorter.slice(0, -1).every((token, i) =>
+    token === longer[i] || (token.length === 1 && longer[i] && longer[i].startsWith(token)) ||
+    (longer[i] && longer[i].length === 1 && token.startsWith(longer[i])));
+  return initialsMatch ? Math.max(similarity, 0.9) : similarity;
+}
+
+/**
+ * Normalized keys used for scoring and blocking
+ */
+function profile(contact) {
+  return {
+    id: contact.id,
+    name: contact.name || '',
+    tokens: nameTokens(contact.name),
+    emails: new Set(asList(contact.emails).map(e => normalizeEmail(e.value)).filter(e => e.includes('@'))),
+    phones: new Set(asList(contact.phones).map(p => normalizePhone(p.value)).filter(Boolean))
+  };
+}
+
+/**
+ * Score a pair of profiles
+ * @returns {Object} { score, reasons: string[] }
+ */
+function scorePair(a, b) {
+  const reasons = [];
+  let miss = 1;
+
+  const sharedEmail = [...a.emails].find(email => b.emails.has(email));
+  if (sharedEmail) {
+    miss *= 1 - 0.7;
+    reasons.push(`Same email (${sharedEmail})`);
+  }
+  if ([...a.phones].some(phone => b.phones.has(phone))) {
+    miss *= 1 - 0.6;
+    reasons.push('Same phone number');
+  }
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity >= NAME_THRESHOLD) {
+    miss *= 1 - 0.6 * similarity;
+    reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+  }
+  return { score: Math.round((1 - miss) * 1000) / 1000, reasons };
+}
+
+/**
+ * Find likely duplicate pairs among contacts. Only contacts sharing an
+ * email, phone or name prefix are compared.
+ * @param {Array<Object>} contacts - Contacts with id, name, emails, phones
+ * @returns {Array<Object>} [{ contact_id_1, contact_id_2, score, reasons }], lower ID first
+ */
+function findCandidates(contacts) {
+  const profiles = contacts.map(profile);
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+  profiles.forEach((p, index) => {
+    p.emails.forEach(email => addToBlock(`e:${email}`, index));
+    p.phones.forEach(phone => addToBlock(`p:${phone}`, index));
+    new Set(p.tokens.filter(t => t.length >= 2).map(t => t.slice(0, 3))).forEach(prefix => addToBlock(`n:${prefix}`, index));
+  });
+
+  const seen = new Set();
+  const candidates = [];
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [profiles[members[i]], profiles[members[j]]].sort((x, y) => (x.id < y.id ? -1 : 1));
+        const key = `${a.id}:${b.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const { score, reasons } = scorePair(a, b);
+        if (score >= MIN_SCORE) candidates.push({ contact_id_1: a.id, contact_id_2: b.id, score, reasons });
+      }
+    }
+  }
+  return candidates.sort((x, y) => y.score - x.score);
+}
+
+function listKey(field, value) {
+  if (field === 'emails') return normalizeEmail(value);
+  if (field === 'phones') return normalizePhone(value) || String(value).trim();
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Combine two contacts into the data for the kept contact
+ * @param {Object} primary - Contact that is kept
+ * @param {Object} duplicate - Contact merged into it
+ * @param {Object} choices - { name: 'duplicate', ... } to take single fields from the duplicate
+ * @returns {Object} Field values for primary.update()
+ */
+function combineFields(primary, duplicate, choices = {}) {
+  const data = {};
+  for (const field of SCALAR_FIELDS) {
+    const fromDuplicate = choices[field] === 'duplicate' || !primary[field];
+    data[field] = (fromDuplicate && duplicate[field]) ? duplicate[field] : (primary[field] || null);
+  }
+  for (const field of LIST_FIELDS) {
+    const seen = new Set();
+    data[field] = [...asList(primary[field]), ...asList(duplicate[field])].filter(item => {
+      const key = listKey(field, item.value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  return data;
+}
+
+module.exports = {
+  MIN_SCORE,
+  SCALAR_FIELDS,
+  LIST_FIELDS,
+  asList,
+  normalizeEmail,
+  normalizePhone,
+  nameSimilarity,
+  scorePair,
+  profile,
+  findCandidates,
+  combineFields
+};
@@ -0,0 +1,308 @@
+/**
+ * Contact Reminder Service
+ *
+ * Reminders for birthdays, anniversaries and other dates stored in
+ * contacts.dates, and for contacts with a keep-in-touch cadence that have
+ * had no interaction (ShareLog entries) for that many weeks.
+ *
+ * FEATURES:
+ * - Scheduled pass (hourly by default, CONTACT_REMINDER_INTERVAL_MS) that
+ *   creates one contact_reminders row per occurrence: in-app notifications
+ *   on the dashboard until dismissed
+ * - Optional email digest of new reminders per user (utils/send-mail.js)
+ * - Per-user lead time for date reminders (reminder_lead_days)
+ * - Per-contact cadence (keep_in_touch_weeks); "mark as contacted" writes a
+ *   manual ShareLog entry, which resets the cadence
+ * - Dashboard overview: upcoming dates, who is due, open notifications
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { Contact, ContactReminder, ShareLog, User } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const sendMail = require('../utils/send-mail');
+const contactReminders = require('./contactReminders');
+
+const INTERVAL_MS = parseInt(process.env.CONTACT_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const MAX_LEAD_DAYS = 60;
+const MAX_CADENCE_WEEKS = 104;
+const OVERVIEW_DAYS = 30;
+const CONTACT_ATTRIBUTES = ['id', 'user_id', 'name', 'dates', 'keep_in_touch_weeks', 'createdAt'];
+
+class ContactReminderService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Whether an error thrown by this service is caused by the caller
+   */
+  isClientError(error) {
+    return /^(Lead days|Keep-in-touch)/.test(error.message);
+  }
+
+  async getSettings(userId) {
+    const user = await User.findByPk(userId, { attributes: ['reminder_email_enabled', 'reminder_lead_days'] });
+    return {
+      email_enabled: Boolean(user && user.reminder_email_enabled),
+      lead_days: user ? user.reminder_lead_days : 7
+    };
+  }
+
+  /**
+   * @param {Object} settings - { emailEnabled, leadDays } (undefined = unchanged)
+   */
+  async updateSettings(userId, { emailEnabled, leadDays }) {
+    const updates = {};
+    if (emailEnabled !== undefined) updates.reminder_email_enabled = Boolean(emailEnabled);
+    if (leadDays !== undefined) {
+      const days = parseInt(leadDays, 10);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_LEAD_DAYS) {
+        throw new Error(`Lead days must be between 0 and ${MAX_LEAD_DAYS}`);
+      }
+      updates.reminder_lead_days = days;
+    }
+    await User.update(updates, { where: { id: userId } });
+    return this.getSettings(userId);
+  }
+
+  /**
+   * Latest ShareLog entry per contact
+   * @returns {Promise<Map<string, Date>>}
+   */
+  async lastInteractions(userId, contactIds) {
+    if (!contactIds.length) return new Map();
+    const rows = await ShareLog.findAll({
+      where: { user_id: userId, contact_id: contactIds },
+      attributes: ['contact_id', [fn('MAX', col('createdAt')), 'last_at']],
+      group: ['contact_id'],
+      raw: true
+    });
+    return new Map(rows.map(row => [row.contact_id, new Date(row.last_at)]));
+  }
+
+  /**
+   * Contacts with a cadence and their keep-in-touch state
+   * @returns {Promise<Array<Object>>} [{ contact, due_date, days, last_interaction }] most overdue first
+   */
+  async keepInTouch(userId, today, contacts = null) {
+    const withCadence = (contacts || await Contact.findAll({
+      where: { user_id: userId, keep_in_touch_weeks: { [Op.gt]: 0 } },
+      attributes: CONTACT_ATTRIBUTES
+    })).filter(contact => contact.keep_in_touch_weeks > 0);
+    const last = await this.lastInteractions(userId, withCadence.map(contact => contact.id));
+    return withCadence
+      .map(contact => ({ contact, ...contactReminders.keepInTouchStatus(contact, last.get(contact.id) || null, today) }))
+      .sort((a, b) => a.days - b.days);
+  }
+
+  /**
+   * Dashboard data
+   * @returns {Promise<Object>} { today, upcoming, due, notifications, settings }
+   */
+  async overview(userId) {
+    const today = contactReminders.toDay();
+    const [contacts, settings, notifications] = await Promise.all([
+      Contact.findAll({ where: { user_id: userId }, attributes: CONTACT_ATTRIBUTES }),
+      this.getSettings(userId),
+      ContactReminder.findAll({
+        where: { user_id: userId, dismissed_at: null },
+        include: [{ model: Contact, attributes: ['id', 'name'] }],
+        order: [['due_date', 'ASC']],
+        limit: 50
+      })
+    ]);
+    const cadence = await this.keepInTouch(userId, today, contacts);
+    const summary = contact => ({ id: contact.id, name: contact.name });
+
+    return {
+      today,
+      upcoming: contactReminders.upcomingDates(contacts, today, OVERVIEW_DAYS)
+        .map(item => ({ ...item, contact: summary(item.contact) })),
+      due: cadence
+        .filter(item => item.days <= settings.lead_days)
+        .map(item => ({ ...item, contact: summary(item.contact), weeks: item.contact.keep_in_touch_weeks })),
+      notifications: notifications.map(reminder => ({
+        id: reminder.id,
+        kind: reminder.kind,
+        label: reminder.label,
+        due_date: reminder.due_date,
+        contact: reminder.Contact ? summary(reminder.Contact) : null
+      })),
+      settings
+    };
+  }
+
+  async findContact(userId, contactId) {
+    const contact = await Contact.findOne({ where: { id: contactId, user_id: userId }, attributes: CONTACT_ATTRIBUTES });
+    if (!contact) throw new Error('Contact not found');
+    return contact;
+  }
+
+  /**
+   * Keep-in-touch state of one contact (detail page)
+   */
+  async contactStatus(userId, contactId) {
+    const contact = await this.findContact(userId, contactId);
+    const last = await this.lastInteractions(userId, [contact.id]);
+    const today = contactReminders.toDay();
+    return {
+      weeks: contact.keep_in_touch_weeks || null,
+      last_interaction: last.get(contact.id) || null,
+      ...(contactReminders.keepInTouchStatus(contact, last.get(contact.id) || null, today) || {})
+    };
+  }
+
+  /**
+   * @param {number|null} weeks - Cadence in weeks, null to turn it off
+   */
+  async setKeepInTouch(userId, contactId, weeks) {
+    const contact = await this.findContact(userId, contactId);
+    const value = weeks === null || weeks === '' || weeks === undefined ? null : parseInt(weeks, 10);
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_CADENCE_WEEKS)) {
+      throw new Error(`Keep-in-touch cadence must be between 1 and ${MAX_CADENCE_WEEKS} weeks`);
+    }
+    await contact.update({ keep_in_touch_weeks: value });
+    if (value === null) await this.dismissKeepInTouch(userId, contact.id);
+    return this.contactStatus(userId, contactId);
+  }
+
+  /**
+   * Record an interaction outside DaySave shares (call, meeting, message)
+   */
+  async markContacted(userId, contactId) {
+    const contact = await this.findContact(userId, contactId);
+    await ShareLog.create({ user_id: userId, contact_id: contact.id, share_method: 'manual', action: 'contacted' });
+    await this.dismissKeepInTouch(userId, contact.id);
+    logAuthEvent('CONTACT_MARKED_CONTACTED', { userId, targetType: 'contact', targetId: contact.id });
+    return this.contactStatus(userId, contactId);
+  }
+
+  async dismissKeepInTouch(userId, contactId) {
+    await ContactReminder.update({ dismissed_at: new Date() }, {
+      where: { user_id: userId, contact_id: contactId, kind: 'keep_in_touch', dismissed_at: null }
+    });
+  }
+
+  async dismiss(userId, reminderId) {
+    const reminder = await ContactReminder.findOne({ where: { id: reminderId, user_id: userId } });
+    if (!reminder) throw new Error('Reminder not found');
+    await reminder.update({ dismissed_at: reminder.dismissed_at || new Date() });
+  }
+
+  /**
+   * Create the reminders that are due for one user and email them if enabled
+   * @returns {Promise<number>} Number of new reminders
+   */
+  async processUser(user, contacts, today) {
+    const occurrences = contactReminders.upcomingDates(contacts, today, user.reminder_lead_days)
+      .map(item => ({ contact: item.contact, kind: item.kind, label: String(item.label).slice(0, 100), due_date: item.date, years: item.years }));
+    const cadence = await this.keepInTouch(user.id, today, contacts);
+    cadence.filter(item => item.days <= 0).forEach(item => {
+      occurrences.push({ contact: item.contact, kind: 'keep_in_touch', label: 'keep_in_touch', due_date: item.due_date, weeks: item.contact.keep_in_touch_weeks });
+    });
+
+    const created = [];
+    for (const occurrence of occurrences) {
+      const [reminder, isNew] = await ContactReminder.findOrCreate({
+        where: { contact_id: occurrence.contact.id, kind: occurrence.kind, label: occurrence.label, due_date: occurrence.due_date },
+        defaults: { user_id: user.id }
+      });
+      if (isNew) created.push({ reminder, ...occurrence });
+    }
+
+    if (created.length && user.reminder_email_enabled && user.email) await this.notify(user, created, today);
+    return created.length;
+  }
+
+  describe(item, today) {
+    if (item.kind === 'keep_in_touch') return `Time to get in touch (every ${item.weeks} week${item.weeks === 1 ? '' : 's'})`;
+    const days = contactReminders.daysBetween(today, item.due_date);
+    const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days (${item.due_date})`;
+    const label = item.kind === 'date' ? item.label : item.kind;
+    const count = item.years ? ` (${item.years} year${item.years === 1 ? '' : 's'})` : '';
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)}${count} ${when}`;
+  }
+
+  async notify(user, items, today) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const escape = (value) => String(value || '').replace(/[&<>"']/g, c => entities[c]);
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.APP_PORT || 3000}`;
+    const lines = items.map(item =>
+      `<li><a href="${baseUrl}/contacts/${item.contact.id}">${escape(item.contact.name)}</a>: ${escape(this.describe(item, today))}</li>`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${items.length} contact reminder${items.length === 1 ? '' : 's'}`,
+        html: `<p>Hello ${escape(user.username)},</p>` +
+          `<ul>${lines.join('')}</ul>` +
+          `<p><a href="${baseUrl}/dashboard">Open your dashboard</a></p>` +
+          '<p>You can turn these emails off in the reminders settings on your dashboard.</p>'
+      });
+    } catch (error) {
+      // sendMail already logged it; the reminders still show in the app
+      return;
+    }
+    await ContactReminder.update({ emailed_at: new Date() }, { where: { id: items.map(item => item.reminder.id) } });
+  }
+
+  /**
+   * One pass over all users with dated contacts or cadences
+   * @returns {Promise<number>} Number of new reminders
+   */
+  async processDue() {
+    if (this.running) return 0;
+    this.running = true;
+    let total = 0;
+    try {
+      const today = contactReminders.toDay();
+      const contacts = await Contact.findAll({
+        where: { [Op.or]: [{ dates: { [Op.ne]: null } }, { keep_in_touch_weeks: { [Op.gt]: 0 } }] },
+        attributes: CONTACT_ATTRIBUTES
+      });
+      const byUser = new Map();
+      contacts.forEach(contact => {
+        if (!byUser.has(contact.user_id)) byUser.set(contact.user_id, []);
+        byUser.get(contact.user_id).push(contact);
+      });
+      if (!byUser.size) return 0;
+
+      const users = await User.findAll({
+        where: { id: [...byUser.keys()] },
+        attributes: ['id', 'username', 'email', 'reminder_email_enabled', 'reminder_lead_days']
+      });
+      for (const user of users) {
+        try {
+          total += await this.processUser(user, byUser.get(user.id), today);
+        } catch (error) {
+          logAuthError('CONTACT_REMINDER_USER_ERROR', error, { userId: user.id });
+        }
+      }
+      if (total) logAuthEvent('CONTACT_REMINDERS_CREATED', { count: total, users: users.length });
+      return total;
+    } catch (error) {
+      logAuthError('CONTACT_REMINDER_LOOP_ERROR', error, {});
+      return total;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the reminder loop (called once at server start)
+   * @param {number} intervalMs - Time between passes
+   */
+  startScheduler(intervalMs = INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), intervalMs);
+    this.timer.unref();
+    // First pass shortly after start rather than an interval later
+    setTimeout(() => this.processDue(), 60000).unref();
+  }
+}
+
+module.exports = new ContactReminderService();
@@ -0,0 +1,124 @@
+/**
+ * Contact Reminders
+ *
+ * Pure date helpers for contact reminders: next occurrence of birthdays,
+ * anniversaries and other dates in contacts.dates, and when a contact with
+ * a keep-in-touch cadence is due.
+ *
+ * Days are 'YYYY-MM-DD' strings in server local time. Dates may omit the
+ * year ('--MM-DD', as vCard allows); 29 February falls on 28 February in
+ * other years.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { asList } = require('./contactMatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day of a Date as 'YYYY-MM-DD'
+ */
+function toDay(date = new Date()) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function dayValue(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date);
+}
+
+function daysBetween(from, to) {
+  return Math.round((dayValue(to) - dayValue(from)) / DAY_MS);
+}
+
+function addDays(day, days) {
+  return new Date(dayValue(day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Reminder kind for a contacts.dates label
+ */
+function dateKind(label) {
+  const text = String(label || '').toLowerCase();
+  if (/birth|bday/.test(text)) return 'birthday';
+  if (/anniv|wedding/.test(text)) return 'anniversary';
+  return 'date';
+}
+
+/**
+ * @returns {Object|null} { year (null when omitted), month, day }
+ */
+function parseDate(value) {
+  const match = /^(\d{4}|--)-?(\d{2})-?(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return { year: match[1] === '--' ? null : Number(match[1]), month, day };
+}
+
+function occurrenceIn(year, month, day) {
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const date = month === 2 && day === 29 && !leap ? 28 : day;
+  return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+}
+
+/**
+ * Next occurrence of a date on or after today
+ * @returns {Object|null} { date, days (until then), years (age / anniversary count, null without a year) }
+ */
+function nextOccurrence(value, today) {
+  const parsed = parseDate(value);
+  if (!parsed) return null;
+  const thisYear = Number(today.slice(0, 4));
+  let date = occurrenceIn(thisYear, parsed.month, parsed.day);
+  if (date < today) date = occurrenceIn(thisYear + 1, parsed.month, parsed.day);
+  const occurrenceYear = Number(date.slice(0, 4));
+  const years = parsed.year && parsed.year <= occurrenceYear ? occurrenceYear - parsed.year : null;
+  return { date, days: daysBetween(today, date), years };
+}
+
+/**
+ * Dates of contacts occurring within `days` days from today (inclusive)
+ * @returns {Array<Object>} [{ contact, kind, label, date, days, years }] soonest first
+ */
+function upcomingDates(contacts, today, days) {
+  const items = [];
+  for (const contact of contacts) {
+    for (const entry of asList(contact.dates)) {
+      const next = nextOccurrence(entry.value, today);
+      if (!next || next.days > days) continue;
+      items.push({ contact, kind: dateKind(entry.label), label: entry.label || 'date', ...next });
+    }
+  }
+  return items.sort((a, b) => a.days - b.days || String(a.contact.name).localeCompare(String(b.contact.name)));
+}
+
+/**
+ * Keep-in-touch state of a contact
+ * @param {Object} contact - Contact with keep_in_touch_weeks and createdAt
+ * @param {Date|null} lastInteraction - Latest ShareLog entry for the contact
+ * @returns {Object|null} { due_date, days (negative when overdue), last_interaction } or null without a cadence
+ */
+function keepInTouchStatus(contact, lastInteraction, today) {
+  const weeks = parseInt(contact.keep_in_touch_weeks, 10);
+  if (!weeks || weeks < 1) return null;
+  const since = toDay(lastInteraction || contact.createdAt || new Date());
+  const dueDate = addDays(since, weeks * 7);
+  return { due_date: dueDate, days: daysBetween(today, dueDate), last_interaction: lastInteraction || null };
+}
+
+module.exports = {
+  toDay,
+  addDays,
+  daysBetween,
+  dateKind,
+  parseDate,
+  nextOccurrence,
+  upcomingDates,
+  keepInTouchStatus
+};
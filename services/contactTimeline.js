@@ -0,0 +1,192 @@
+/**
+ * Contact Timeline
+ *
+ * Pure helpers that turn share logs, mentions, media appearances and audit
+ * log entries for a contact into one list of timeline events, and filter
+ * and page that list.
+ *
+ * Event: { id, type, date, title, detail, item: { type, id, title } | null }
+ *   type: share | mention | appearance | edit
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const EVENT_TYPES = ['share', 'mention', 'appearance', 'edit'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 80;
+
+const SHARE_ACTIONS = {
+  created: 'Shared',
+  viewed: 'Opened',
+  revoked: 'Share revoked',
+  password_failed: 'Wrong share password',
+  contacted: 'Marked as contacted'
+};
+
+const EDIT_ACTIONS = {
+  CONTACT_CREATED: 'Contact created',
+  CONTACT_UPDATED: 'Contact edited',
+  API_V1_CONTACT_CREATED: 'Created through the API',
+  API_V1_CONTACT_UPDATED: 'Edited through the API',
+  CARDDAV_CONTACT_CREATED: 'Created from a synced address book',
+  CARDDAV_CONTACT_UPDATED: 'Edited from a synced address book',
+  CARDDAV_CONTACT_UNGROUPED: 'Removed from a group by a synced address book',
+  CONTACT_MERGED: 'Merged with a duplicate',
+  CONTACT_KEEP_IN_TOUCH_UPDATED: 'Keep-in-touch cadence changed',
+  FACE_LINKED_TO_CONTACT: 'Face confirmed',
+  SPEAKER_LINKED_TO_CONTACT: 'Voice confirmed'
+};
+
+/**
+ * Normalise query values into a filter set
+ * @param {Object} raw - { types: 'share,edit' | Array, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', page, limit }
+ * @returns {Object} { types: Array, from: Date|null, to: Date|null (end of that day), page, limit }
+ */
+function parseFilters(raw = {}) {
+  const requested = Array.isArray(raw.types) ? raw.types : String(raw.types || '').split(',');
+  const types = requested.map(type => String(type).trim()).filter(type => EVENT_TYPES.includes(type));
+  const day = (value, endOfDay) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return null;
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+  const page = parseInt(raw.page, 10);
+  const limit = parseInt(raw.limit, 10);
+
+  return {
+    types: types.length ? [...new Set(types)] : [...EVENT_TYPES],
+    from: day(raw.from, false),
+    to: day(raw.to, true),
+    page: page > 0 ? page : 1,
+    limit: limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT
+  };
+}
+
+function itemRef(itemType, record) {
+  if (!record) return null;
+  const title = record.generated_title || (itemType === 'file' ? record.filename : record.url) || 'Untitled';
+  return { type: itemType, id: record.id, title };
+}
+
+/**
+ * Text around the first case-insensitive occurrence of a name
+ */
+function snippet(text, name, radius = SNIPPET_RADIUS) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  const index = value.toLowerCase().indexOf(String(name).toLowerCase());
+  if (index < 0) return null;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(value.length, index + name.length + radius);
+  return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+}
+
+/**
+ * @param {Object} log - ShareLog with optional Content / File
+ */
+function shareEvent(log) {
+  const item = log.Content ? itemRef('content', log.Content) : log.File ? itemRef('file', log.File) : null;
+  return {
+    id: `share:${log.id}`,
+    type: 'share',
+    date: new Date(log.createdAt),
+    title: SHARE_ACTIONS[log.action] || `Share ${log.action || 'event'}`,
+    detail: log.share_method === 'contact_group' ? 'Shared with a group this contact is in' : null,
+    item
+  };
+}
+
+/**
+ * @param {string} itemType - content or file
+ * @param {Object} record - Content or File with transcription / summary
+ * @param {Array<string>} names - Names the contact goes by
+ */
+function mentionEvent(itemType, record, names) {
+  let detail = null;
+  for (const name of names) {
+    detail = snippet(record.summary, name) || snippet(record.transcription, name);
+    if (detail) break;
+  }
+  return {
+    id: `mention:${itemType}:${record.id}`,
+    type: 'mention',
+    date: new Date(record.createdAt),
+    title: 'Mentioned',
+    detail,
+    item: itemRef(itemType, record)
+  };
+}
+
+/**
+ * @param {string} itemType - content or file
+ * @param {Object} record - Content or File
+ * @param {Object} found - { face: boolean, voice: boolean }
+ */
+function appearanceEvent(itemType, record, found) {
+  const what = found.face && found.voice ? 'Seen and heard' : found.voice ? 'Heard' : 'Seen';
+  return {
+    id: `appearance:${itemType}:${record.id}`,
+    type: 'appearance',
+    date: new Date(record.createdAt),
+    title: what,
+    detail: found.face && found.voice ? 'Face and voice recognized' : found.voice ? 'Voice recognized' : 'Face recognized',
+    item: itemRef(itemType, record)
+  };
+}
+
+/**
+ * @param {Object} entry - AuditLog row
+ */
+function editEvent(entry) {
+  const details = entry.details || {};
+  const fields = Array.isArray(details.fields) && details.fields.length ? `Changed: ${details.fields.join(', ')}` : null;
+  const title = EDIT_ACTIONS[entry.action] ||
+    String(entry.action || 'Change').toLowerCase().replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+  return {
+    id: `edit:${entry.id}`,
+    type: 'edit',
+    date: new Date(entry.createdAt),
+    title,
+    detail: fields,
+    item: null
+  };
+}
+
+/**
+ * Filter, sort (newest first) and page events
+ * @returns {Object} { events, total, counts (per type before paging), page, pages }
+ */
+function buildTimeline(events, filters) {
+  const matching = events.filter(event =>
+    filters.types.includes(event.type) &&
+    !Number.isNaN(event.date.getTime()) &&
+    (!filters.from || event.date >= filters.from) &&
+    (!filters.to || event.date <= filters.to));
+  matching.sort((a, b) => b.date - a.date || a.id.localeCompare(b.id));
+
+  const counts = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+  matching.forEach(event => { counts[event.type] += 1; });
+  const start = (filters.page - 1) * filters.limit;
+
+  return {
+    events: matching.slice(start, start + filters.limit),
+    total: matching.length,
+    counts,
+    page: filters.page,
+    pages: Math.max(1, Math.ceil(matching.length / filters.limit))
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseFilters,
+  snippet,
+  shareEvent,
+  mentionEvent,
+  appearanceEvent,
+  editEvent,
+  buildTimeline
+};
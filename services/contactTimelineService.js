@@ -0,0 +1,148 @@
+/**
+ * Contact Timeline Service
+ *
+ * Chronological activity of one contact, collected from the places where
+ * the contact shows up.
+ *
+ * FEATURES:
+ * - Shares: ShareLog entries for the contact (sent, opened, revoked,
+ *   marked as contacted) and shares to groups the contact is in
+ * - Mentions: content and files whose summary or transcript contains the
+ *   contact's name or nickname
+ * - Appearances: content and files where a face or voice linked to the
+ *   contact was recognized (peopleService)
+ * - Edits: audit log entries about the contact
+ * - Filter by event type and date range, paged newest first
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Contact, ContactGroupMember, ShareLog, Content, File, AuditLog } = require('../models');
+const searchService = require('./searchService');
+const peopleService = require('./peopleService');
+const contactTimeline = require('./contactTimeline');
+
+const MAX_PER_SOURCE = 500;
+const MIN_NAME_LENGTH = 3;
+const CONTENT_ATTRIBUTES = ['id', 'generated_title', 'url', 'createdAt'];
+const FILE_ATTRIBUTES = ['id', 'generated_title', 'filename', 'createdAt'];
+// Covered by the share log entry written alongside
+const SKIPPED_AUDIT_ACTIONS = ['CONTACT_MARKED_CONTACTED'];
+
+class ContactTimelineService {
+  /**
+   * @param {Object} rawFilters - Query values (types, from, to, page, limit)
+   * @returns {Promise<Object>} { contact, filters, events, total, counts, page, pages }
+   */
+  async getTimeline(userId, contactId, rawFilters = {}) {
+    const filters = contactTimeline.parseFilters(rawFilters);
+    const contact = await Contact.findOne({ where: { id: contactId, user_id: userId }, attributes: ['id', 'name', 'nickname'] });
+    if (!contact) throw new Error('Contact not found');
+
+    const range = {};
+    if (filters.from) range[Op.gte] = filters.from;
+    if (filters.to) range[Op.lte] = filters.to;
+    const when = Object.getOwnPropertySymbols(range).length ? { createdAt: range } : {};
+
+    const sources = {
+      share: () => this.shares(userId, contact, when),
+      mention: () => this.mentions(userId, contact, when),
+      appearance: () => this.appearances(userId, contact, when),
+      edit: () => this.edits(userId, contact, when)
+    };
+    const lists = await Promise.all(filters.types.map(type => sources[type]()));
+
+    return {
+      contact: { id: contact.id, name: contact.name },
+      filters: {
+        types: filters.types,
+        from: filters.from ? rawFilters.from : null,
+        to: filters.to ? rawFilters.to : null
+      },
+      ...contactTimeline.buildTimeline(lists.flat(), filters)
+    };
+  }
+
+  async shares(userId, contact, when) {
+    const memberships = await ContactGroupMember.findAll({ where: { contact_id: contact.id }, attributes: ['group_id'], raw: true });
+    const groupIds = memberships.map(member => member.group_id);
+    const sentTo = [{ contact_id: contact.id }];
+    if (groupIds.length) sentTo.push({ group_id: groupIds, share_method: 'contact_group', action: 'created' });
+
+    const logs = await ShareLog.findAll({
+      where: { user_id: userId, ...when, [Op.or]: sentTo },
+      include: [
+        { model: Content, attributes: CONTENT_ATTRIBUTES, required: false },
+        { model: File, attributes: FILE_ATTRIBUTES, required: false }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: MAX_PER_SOURCE
+    });
+    return logs.map(log => contactTimeline.shareEvent(log));
+  }
+
+  async mentions(userId, contact, when) {
+    const names = [...new Set([contact.name, contact.nickname]
+      .map(name => String(name || '').trim())
+      .filter(name => name.length >= MIN_NAME_LENGTH))];
+    if (!names.length) return [];
+
+    const mentioning = names.flatMap(name => ['summary', 'transcription']
+      .map(column => searchService.likeClause(column, name.toLowerCase(), false)));
+    const query = attributes => ({
+      where: { user_id: userId, ...when, [Op.or]: mentioning },
+      attributes: [...attributes, 'summary', 'transcription'],
+      order: [['createdAt', 'DESC']],
+      limit: MAX_PER_SOURCE
+    });
+    const [content, files] = await Promise.all([
+      Content.findAll(query(CONTENT_ATTRIBUTES)),
+      File.findAll(query(FILE_ATTRIBUTES))
+    ]);
+    return [
+      ...content.map(record => contactTimeline.mentionEvent('content', record, names)),
+      ...files.map(record => contactTimeline.mentionEvent('file', record, names))
+    ];
+  }
+
+  async appearances(userId, contact, when) {
+    const found = await peopleService.getContactAppearances(userId, contact.id);
+    const load = (Model, ids, attributes) => ids.length === 0 ? [] : Model.findAll({
+      where: { id: ids, user_id: userId, ...when },
+      attributes,
+      limit: MAX_PER_SOURCE
+    });
+    const [content, files] = await Promise.all([
+      load(Content, [...found.content.keys()], CONTENT_ATTRIBUTES),
+      load(File, [...found.file.keys()], FILE_ATTRIBUTES)
+    ]);
+    return [
+      ...content.map(record => contactTimeline.appearanceEvent('content', record, found.content.get(record.id))),
+      ...files.map(record => contactTimeline.appearanceEvent('file', record, found.file.get(record.id)))
+    ];
+  }
+
+  async edits(userId, contact, when) {
+    // Older entries only name the contact in details.contactId. The path is a
+    // literal: Sequelize escapes "$" in fn string arguments to "$$"
+    const legacy = sequelize.where(
+      sequelize.fn('JSON_UNQUOTE', sequelize.fn('JSON_EXTRACT', sequelize.col('details'), sequelize.literal("'$.contactId'"))),
+      contact.id
+    );
+    const entries = await AuditLog.findAll({
+      where: {
+        user_id: userId,
+        ...when,
+        action: { [Op.notIn]: SKIPPED_AUDIT_ACTIONS },
+        [Op.or]: [{ target_type: 'contact', target_id: contact.id }, legacy]
+      },
+      order: [['createdAt', 'DESC']],
+      limit: MAX_PER_SOURCE
+    });
+    return entries.map(entry => contactTimeline.editEvent(entry));
+  }
+}
+
+module.exports = new ContactTimelineService();
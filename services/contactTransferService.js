@@ -0,0 +1,222 @@
+/**
+ * Contact Transfer Service
+ *
+ * Bulk import and export of contacts as vCard or CSV. Parsing and writing
+ * live in vcardService and contactCsvService; this service handles the
+ * preview step, plan limits, per-row error reporting and selecting which
+ * contacts to export.
+ *
+ * FEATURES:
+ * - Format detection from file name and contents
+ * - Preview: CSV headers, sample rows and a suggested column mapping, or
+ *   the first vCard names
+ * - Import honoring the plan's max_contacts limit; rows past the limit and
+ *   invalid rows are reported with their line (or card) number
+ * - Export of all contacts, one contact or a contact group
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Contact, ContactGroup, ContactGroupMember } = require('../models');
+const vcardService = require('./vcardService');
+const contactCsvService = require('./contactCsvService');
+const subscriptionService = require('./subscriptionService');
+const contactDuplicateService = require('./contactDuplicateService');
+const { logAuthEvent } = require('../config/logger');
+
+const MAX_IMPORT_ROWS = 10000;
+const PREVIEW_ROWS = 5;
+const MULTI_COLUMNS = ['phones', 'emails', 'addresses', 'social_profiles', 'instant_messages', 'urls', 'dates', 'notes'];
+
+class ContactTransferService {
+  /**
+   * Whether an error thrown by this service is caused by the caller
+   * @param {Error} error - Error thrown by a service method
+   * @returns {boolean} True for client errors
+   */
+  isClientError(error) {
+    return [
+      'The file is empty',
+      'The file has no contacts',
+      'Unsupported export format',
+      'Unsupported vCard version'
+    ].includes(error.message) || error.message.startsWith('Too many rows');
+  }
+
+  /**
+   * Decode an uploaded file, falling back to Latin-1 for non-UTF-8 exports
+   */
+  decode(buffer) {
+    const text = buffer.toString('utf8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+  }
+
+  detectFormat(filename, text) {
+    if (/\.vcf$|\.vcard$/i.test(filename || '') || /^\s*BEGIN:VCARD/i.test(text.replace(/^\uFEFF/, ''))) return 'vcard';
+    return 'csv';
+  }
+
+  /**
+   * Parse an uploaded file into candidate rows
+   * @returns {Object} { format, headers, mapping, rows: [{ row, contact, error }] }
+   */
+  read(buffer, filename, mapping) {
+    const text = this.decode(buffer);
+    if (!text.trim()) throw new Error('The file is empty');
+    const format = this.detectFormat(filename, text);
+
+    if (format === 'vcard') {
+      const cards = vcardService.parse(text);
+      this.checkRowCount(cards.length);
+      return { format, rows: cards.map(card => ({ row: card.index, contact: card.contact, error: card.error })) };
+    }
+
+    const { headers, rows, lines } = contactCsvService.parse(text);
+    this.checkRowCount(rows.length);
+    const normalized = contactCsvService.normalizeMapping(mapping, headers);
+    return {
+      format,
+      headers,
+      mapping: normalized,
+      rows: rows.map((cells, i) => {
+        const contact = contactCsvService.rowToContact(cells, normalized);
+        return { row: lines[i], contact, error: contact.name ? null : 'Row has no name, organization or email' };
+      })
+    };
+  }
+
+  checkRowCount(count) {
+    if (count === 0) throw new Error('The file has no contacts');
+    if (count > MAX_IMPORT_ROWS) throw new Error(`Too many rows (${count}); import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+
+  /**
+   * Preview an upload before importing
+   * @param {Buffer} buffer - File contents
+   * @param {string} filename - Original file name
+   * @returns {Object} { format, total, headers?, sample?, mapping?, fields?, names? }
+   */
+  preview(buffer, filename) {
+    const text = this.decode(buffer);
+    if (!text.trim()) throw new Error('The file is empty');
+
+    if (this.detectFormat(filename, text) === 'vcard') {
+      const { format, rows } = this.read(buffer, filename);
+      return {
+        format,
+        total: rows.length,
+        invalid: rows.filter(r => r.error).length,
+        names: rows.slice(0, PREVIEW_ROWS).map(r => r.contact.name || `(card ${r.row})`)
+      };
+    }
+
+    const { headers, rows } = contactCsvService.parse(text);
+    this.checkRowCount(rows.length);
+    return {
+      format: 'csv',
+      total: rows.length,
+      headers,
+      sample: rows.slice(0, PREVIEW_ROWS),
+      mapping: contactCsvService.suggestMapping(headers),
+      fields: contactCsvService.fields
+    };
+  }
+
+  /**
+   * Trim values to column sizes and normalize dates
+   */
+  clean(contact) {
+    const data = { ...contact };
+    ['name', 'nickname', 'organization', 'job_title'].forEach(key => {
+      data[key] = (data[key] || '').trim().slice(0, 255);
+    });
+    MULTI_COLUMNS.forEach(key => {
+      data[key] = (data[key] || []).map(item => ({
+        label: (item.label || '').slice(0, 50),
+        value: key === 'dates' ? vcardService.normalizeDate(item.value) : item.value
+      }));
+    });
+    return data;
+  }
+
+  /**
+   * Import contacts from a vCard or CSV upload
+   * @param {string} userId - Owner user ID
+   * @param {Buffer} buffer - File contents
+   * @param {string} filename - Original file name
+   * @param {Array<Object>} mapping - CSV column mapping (ignored for vCards)
+   * @returns {Promise<Object>} { format, total, created, errors: [{ row, name, error }] }
+   */
+  async importContacts(userId, buffer, filename, mapping) {
+    const { format, rows } = this.read(buffer, filename, mapping);
+    const errors = rows.filter(r => r.error).map(r => ({ row: r.row, name: r.contact.name || '', error: r.error }));
+    const valid = rows.filter(r => !r.error);
+
+    // Import what fits in the plan and report the rest
+    let allowed = valid.length;
+    if (valid.length) {
+      const limit = await subscriptionService.checkUsageLimit(userId, 'contacts', valid.length);
+      if (!limit.allowed) allowed = limit.remaining;
+    }
+
+    let created = 0;
+    for (const candidate of valid) {
+      if (created >= allowed) {
+        errors.push({ row: candidate.row, name: candidate.contact.name, error: 'Plan contact limit reached' });
+        continue;
+      }
+      try {
+        await Contact.create({ ...this.clean(candidate.contact), user_id: userId });
+        created++;
+      } catch (error) {
+        errors.push({ row: candidate.row, name: candidate.contact.name, error: error.errors ? error.errors[0].message : 'Could not be saved' });
+      }
+    }
+
+    if (created) {
+      await subscriptionService.updateUsage(userId, 'contacts', created);
+      contactDuplicateService.scheduleScan(userId);
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    logAuthEvent('CONTACTS_IMPORTED', { userId, format, total: rows.length, created, failed: errors.length });
+    return { format, total: rows.length, created, errors };
+  }
+
+  /**
+   * Contacts to export
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { groupId } to limit to one group
+   * @returns {Promise<Array>} Contacts ordered by name
+   */
+  async findContacts(userId, { groupId } = {}) {
+    if (!groupId) return Contact.findAll({ where: { user_id: userId }, order: [['name', 'ASC']] });
+
+    const group = await ContactGroup.findOne({ where: { id: groupId, user_id: userId } });
+    if (!group) throw new Error('Contact group not found');
+    const members = await ContactGroupMember.findAll({ where: { group_id: group.id }, attributes: ['contact_id'] });
+    return Contact.findAll({
+      where: { user_id: userId, id: members.map(m => m.contact_id) },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Serialize contacts for download
+   * @param {Array} contacts - Contacts
+   * @param {string} format - 'vcard' or 'csv'
+   * @param {string} version - vCard version ('3.0' or '4.0')
+   * @returns {Object} { body, contentType, extension }
+   */
+  serialize(contacts, format = 'vcard', version = '3.0') {
+    if (format === 'csv') {
+      return { body: contactCsvService.serialize(contacts), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    }
+    if (format !== 'vcard') throw new Error('Unsupported export format');
+    if (!vcardService.VERSIONS.includes(version)) throw new Error('Unsupported vCard version');
+    return { body: vcardService.serializeAll(contacts, version), contentType: 'text/vcard; charset=utf-8', extension: 'vcf' };
+  }
+}
+
+module.exports = new ContactTransferService();
@@ -0,0 +1,240 @@
+/**
+ * Content Analysis Service
+ *
+ * Multimedia analysis of URL content items: runs the URL through the
+ * BackwardCompatibilityService pipeline, saves the results on the Content
+ * record and keeps the transcript, and registers the 'content' handler of
+ * the job queue.
+ *
+ * FEATURES:
+ * - queueMultimediaAnalysis() adds a durable ProcessingJob for a content item
+ * - The 'content' job handler is registered when this module is loaded, so
+ *   web servers and `npm run worker` pick it up without loading any routes
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Content, User } = require('../models');
+const BackwardCompatibilityService = require('./BackwardCompatibilityService');
+const jobQueueService = require('./jobQueueService');
+const transcriptService = require('./transcriptService');
+const logger = require('../config/logger');
+
+/**
+ * Trigger multimedia analysis for content using new orchestrator
+ * @param {Object} content - Content record
+ * @param {Object} user - User object
+ */
+/**
+ * Triggers comprehensive multimedia analysis for content
+ * 
+ * This function initiates the complete AI analysis pipeline for uploaded content
+ * including transcription, sentiment analysis, tag generation, and more.
+ * 
+ * @param {Object} content - Content record with id, url, and metadata
+ * @param {Object} user - User record with id and authentication details
+ * @returns {Promise<Object>} Analysis results including transcription, tags, summary
+ * 
+ * FEATURES:
+ * - Uses BackwardCompatibilityService for URL-based content
+ * - Comprehensive logging throughout the process
+ * - Database updates with analysis results
+ * - Error handling with detailed logging
+ * - Integration with multimedia orchestrator
+ * 
+ * ANALYSIS PIPELINE:
+ * 1. Content metadata preparation
+ * 2. AI analysis via compatibility service
+ * 3. Database updates with results
+ * 4. Performance logging and monitoring
+ * 5. Error handling and recovery
+ */
+async function triggerMultimediaAnalysis(content, user) {
+  try {
+    console.log(`🎬 TRIGGER: Starting multimedia analysis for content ${content.id}`, {
+      user_id: user.id,
+      content_id: content.id,
+      url: content.url
+    });
+
+    // Enhanced logging for analysis start
+    logger.multimedia.start(user.id, content.id, content.url, {
+      transcription: true,
+      sentiment: true,
+      summarization: true,
+      thumbnails: true,
+      speakers: true
+    });
+
+    // Create a buffer/stream from URL for processing
+    // For URL-based content, we'll pass metadata and let the orchestrator handle it
+    const contentMetadata = {
+      filename: content.url,
+      contentId: content.id,
+      userId: user.id,
+      source: 'url',
+      url: content.url
+    };
+
+    // For URL-based content, we need to use the backward compatibility service
+    // since the orchestrator expects file buffers, not URLs
+    console.log('🔄 TRIGGER: Using backward compatibility service for URL processing...');
+    
+    const compatibilityService = new BackwardCompatibilityService();
+    
+    const processingResult = await compatibilityService.analyzeContent(content.url, {
+      transcription: true,
+      sentiment: true,
+      summarization: true,
+      thumbnails: true,
+      speaker_identification: true,
+      enableSummarization: true,
+      enableSentimentAnalysis: true,
+      user_id: user.id,
+      content_id: content.id
+    });
+
+    // Extract results from backward compatibility service
+    const formattedResults = processingResult;
+    
+    // Update content record with new structured results
+    const updateData = {};
+    
+    // Store basic metadata from backward compatibility service
+    if (formattedResults.metadata) {
+      updateData.metadata = {
+        ...(content.metadata || {}),
+        ...formattedResults.metadata,
+        analysisId: formattedResults.analysisId,
+        lastAnalyzed: new Date().toISOString()
+      };
+    }
+    
+    // Handle transcription results
+    if (formattedResults.transcription) {
+      updateData.transcription = formattedResults.transcription;
+    }
+    
+    // Handle summary
+    if (formattedResults.summary) {
+      updateData.summary = formattedResults.summary;
+    }
+    
+    // Handle generated title - ENHANCED: Ensure AI titles are prioritized and saved
+    if (formattedResults.generatedTitle && formattedResults.generatedTitle.trim()) {
+      updateData.generated_title = formattedResults.generatedTitle.trim();
+      console.log(`🎯 Saving AI-generated title: "${formattedResults.generatedTitle.trim()}"`);
+    }
+    
+    // Store sentiment analysis
+    if (formattedResults.sentiment) {
+      updateData.sentiment = formattedResults.sentiment;
+    }
+    
+    // Handle auto-generated tags
+    if (formattedResults.auto_tags && formattedResults.auto_tags.length > 0) {
+      updateData.auto_tags = [...new Set(formattedResults.auto_tags)]; // Remove duplicates
+    }
+    
+    // Store category
+    if (formattedResults.category) {
+      updateData.category = formattedResults.category;
+    }
+
+    // Log processing results
+    console.log(`🎬 Multimedia analysis completed for content ${content.id}`, {
+      user_id: user.id,
+      content_id: content.id,
+      analysis_id: formattedResults.analysisId,
+      platform: formattedResults.platform,
+      processing_time: formattedResults.processing_time,
+      status: formattedResults.status,
+      has_transcription: !!formattedResults.transcription,
+      has_summary: !!formattedResults.summary,
+      has_sentiment: !!formattedResults.sentiment
+    });
+    
+    // Update content record if we have data to update
+    if (Object.keys(updateData).length > 0) {
+      await Content.update(updateData, {
+        where: { id: content.id, user_id: user.id }
+      });
+      
+      console.log(`✅ Content ${content.id} updated with orchestrated analysis results`, {
+        user_id: user.id,
+        content_id: content.id,
+        job_id: processingResult.jobId,
+        updates: Object.keys(updateData)
+      });
+    }
+
+    // Keep transcript timings for the analysis page player and subtitle exports
+    if (updateData.transcription) {
+      await transcriptService.saveTranscript(user.id, { contentId: content.id }, {
+        segments: formattedResults.transcript_segments,
+        source: formattedResults.transcript_source || 'unknown',
+        language: formattedResults.language || null,
+        duration: Number(formattedResults.metadata?.duration) || null
+      });
+    }
+
+    return { features: Object.keys(updateData), analysis_job_id: processingResult.jobId };
+    
+  } catch (error) {
+    console.error(`❌ TRIGGER ERROR: Analysis failed for content ${content.id}:`, {
+      user_id: user.id,
+      content_id: content.id,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    logger.logError(`Multimedia analysis failed for content ${content.id}`, {
+      user_id: user.id,
+      content_id: content.id,
+      error: error.message,
+      stack: error.stack,
+      orchestrator: true
+    });
+
+    // Let the job queue decide between retry and final failure
+    throw error;
+  }
+}
+
+/**
+ * Queue multimedia analysis for a content item
+ *
+ * The analysis runs in whichever worker claims the ProcessingJob (this web
+ * server or `npm run worker`), so it survives restarts and is retried on failure.
+ *
+ * @param {Object} content - Content record with id and url
+ * @param {Object} user - User object with id
+ * @param {Object} options - { priority, apiKeyId, reason }
+ * @returns {Promise<Object>} The queued (or already active) ProcessingJob
+ */
+async function queueMultimediaAnalysis(content, user, { priority = 5, apiKeyId = null, reason = 'content_added' } = {}) {
+  return jobQueueService.enqueue({
+    userId: user.id,
+    contentId: content.id,
+    jobType: 'url_analysis',
+    mediaType: 'url',
+    priority,
+    config: { reason, ...(apiKeyId ? { api_key_id: apiKeyId } : {}) },
+    inputMetadata: { url: content.url }
+  });
+}
+
+jobQueueService.registerHandler('content', async (job) => {
+  const [content, user] = await Promise.all([
+    Content.findOne({ where: { id: job.content_id, user_id: job.user_id } }),
+    User.findByPk(job.user_id, { attributes: ['id', 'username', 'email'] })
+  ]);
+  if (!content || !user) throw new Error('Content or owner no longer exists');
+  return triggerMultimediaAnalysis(content.get({ plain: true }), user.get({ plain: true }));
+});
+
+module.exports = {
+  triggerMultimediaAnalysis,
+  queueMultimediaAnalysis
+};
@@ -0,0 +1,154 @@
+/**
+ * Content Filter Service
+ *
+ * Turns the content list filters (tag, from, to, content_type, status,
+ * search) into Sequelize where clauses for Content and File, so the content
+ * list and smart collections select exactly the same items.
+ *
+ * FEATURES:
+ * - Normalises raw query/body values into a filter set (empty values dropped)
+ * - Content and File where clauses; OR groups are combined with AND so
+ *   tag, type and status filters no longer overwrite each other
+ * - Search uses the unified search ranking (searchService)
+ * - Matching Content/File IDs for a filter set
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { Content, File } = require('../models');
+const searchService = require('./searchService');
+
+const FILTER_KEYS = ['tag', 'from', 'to', 'content_type', 'status', 'search'];
+const SOCIAL_TYPES = ['instagram', 'facebook', 'twitter', 'youtube', 'linkedin'];
+
+class ContentFilterService {
+  constructor() {
+    this.filterKeys = FILTER_KEYS;
+  }
+
+  /**
+   * Keep the known, non-empty filters ('all' counts as empty)
+   * @param {Object} raw - Query string or request body values
+   * @returns {Object} Filter set
+   */
+  normalize(raw = {}) {
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+      const value = typeof raw[key] === 'string' ? raw[key].trim() : '';
+      if (value && value !== 'all') filters[key] = value;
+    }
+    return filters;
+  }
+
+  /**
+   * @param {Object} filters - Filter set
+   * @returns {boolean} True when at least one filter is set
+   */
+  hasFilters(filters) {
+    return Object.keys(this.normalize(filters)).length > 0;
+  }
+
+  /**
+   * Build Content and File where clauses for a filter set
+   * @param {string} userId - Owner user ID
+   * @param {Object} rawFilters - tag, from, to, content_type, status, search
+   * @returns {Promise<Object>} { contentWhere, fileWhere, searchRank } where searchRank
+   *   maps "itemType:id" to its relevance position (null without a search)
+   */
+  async buildWhere(userId, rawFilters) {
+    const filters = this.normalize(rawFilters);
+    const contentAnd = [];
+    const fileAnd = [];
+    const contentWhere = { user_id: userId };
+    const fileWhere = { user_id: userId };
+    let searchRank = null;
+
+    // Dates (the "to" day is included in full)
+    const createdAt = {};
+    const fromDate = filters.from ? new Date(filters.from) : null;
+    const toDate = filters.to ? new Date(filters.to + 'T23:59:59.999Z') : null;
+    if (fromDate && !isNaN(fromDate)) createdAt[Op.gte] = fromDate;
+    if (toDate && !isNaN(toDate)) createdAt[Op.lte] = toDate;
+    if (Object.getOwnPropertySymbols(createdAt).length) {
+      contentWhere.createdAt = createdAt;
+      fileWhere.createdAt = { ...createdAt };
+    }
+
+    // Tag in either user or automatic tags
+    if (filters.tag) {
+      const tagMatch = {
+        [Op.or]: [
+          { user_tags: { [Op.like]: `%${filters.tag}%` } },
+          { auto_tags: { [Op.like]: `%${filters.tag}%` } }
+        ]
+      };
+      contentAnd.push(tagMatch);
+      fileAnd.push(tagMatch);
+    }
+
+    // Unified search: fields, transcripts, OCR, objects, speakers
+    if (filters.search) {
+      const { docs } = await searchService.rank(userId, filters.search);
+      searchRank = new Map(docs.map((doc, index) => [`${doc.itemType}:${doc.id}`, index]));
+      contentAnd.push({ id: { [Op.in]: docs.filter(doc => doc.itemType === 'content').map(doc => doc.id) } });
+      fileAnd.push({ id: { [Op.in]: docs.filter(doc => doc.itemType === 'file').map(doc => doc.id) } });
+    }
+
+    // Content type
+    if (filters.content_type === 'multimedia') {
+      contentWhere.content_type = { [Op.in]: ['video', 'audio', 'image'] };
+      fileAnd.push(searchService.typeWhere('file', ['video', 'audio', 'image']));
+    } else if (filters.content_type === 'social') {
+      contentWhere.content_type = { [Op.in]: SOCIAL_TYPES };
+      fileWhere.id = null; // Files are never social content
+    } else if (filters.content_type === 'files') {
+      contentWhere.id = null; // Uploaded files only
+    } else if (filters.content_type) {
+      contentWhere.content_type = filters.content_type;
+    }
+
+    // Analysis status
+    if (filters.status === 'analyzed') {
+      contentWhere.summary = { [Op.not]: null };
+      fileWhere.summary = { [Op.not]: null };
+    } else if (filters.status === 'pending') {
+      const pending = { [Op.or]: [{ summary: null }, { summary: '' }] };
+      contentAnd.push(pending);
+      fileAnd.push(pending);
+    }
+
+    if (contentAnd.length) contentWhere[Op.and] = contentAnd;
+    if (fileAnd.length) fileWhere[Op.and] = fileAnd;
+    return { contentWhere, fileWhere, searchRank };
+  }
+
+  /**
+   * Content and File IDs matching a filter set
+   * @param {string} userId - Owner user ID
+   * @param {Object} filters - Filter set
+   * @returns {Promise<Object>} { contentIds, fileIds }
+   */
+  async findMatchingIds(userId, filters) {
+    const { contentWhere, fileWhere } = await this.buildWhere(userId, filters);
+    const [content, files] = await Promise.all([
+      Content.findAll({ where: contentWhere, attributes: ['id'], raw: true }),
+      File.findAll({ where: fileWhere, attributes: ['id'], raw: true })
+    ]);
+    return { contentIds: content.map(row => row.id), fileIds: files.map(row => row.id) };
+  }
+
+  /**
+   * Content list URL that applies a filter set
+   * @param {Object} filters - Filter set
+   * @returns {string} Relative URL
+   */
+  toListUrl(filters) {
+    const params = new URLSearchParams(this.normalize(filters));
+    const query = params.toString();
+    return query ? `/content?${query}` : '/content';
+  }
+}
+
+module.exports = new ContentFilterService();
@@ -0,0 +1,517 @@
+/**
+ * Content Group Service
+ *
+ * Manages content groups (collections): nested groups with a user-defined
+ * order, bulk membership of both Content and File items, and a cover
+ * thumbnail per group taken from Thumbnail.
+ *
+ * FEATURES:
+ * - Create, rename, describe, nest, reorder and delete groups
+ * - Cycle and depth protection when re-parenting groups
+ * - Bulk add/remove/reorder of mixed Content and File members
+ * - Cover thumbnail (explicit or first member with a thumbnail)
+ * - Member ID resolution (optionally including sub-groups) for list filtering
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, ContentGroup, ContentGroupMember, Content, File, Thumbnail } = require('../models');
+const thumbnailUrl = require('../utils/thumbnail-url');
+
+class ContentGroupService {
+  constructor() {
+    this.maxDepth = 5;
+    this.maxBulkItems = 500;
+  }
+
+  /**
+   * Whether an error thrown by this service is caused by the caller's input
+   * (bad IDs, name clashes, invalid nesting) rather than a server failure
+   * @param {Error} error - Error thrown by a service method
+   * @returns {boolean} True for client errors
+   */
+  isClientError(error) {
+    return [
+      'A group with this name already exists',
+      'A group cannot be its own parent',
+      'A group cannot be moved into one of its sub-groups',
+      'Cover thumbnail not found',
+      'All groups must belong to you and share the same parent',
+      'All members must belong to the group'
+    ].includes(error.message) || /^(Groups can be nested|At most)/.test(error.message);
+  }
+
+  /**
+   * Load a group owned by the user
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} ContentGroup record
+   */
+  async getOwnedGroup(userId, groupId) {
+    const group = await ContentGroup.findOne({ where: { id: groupId, user_id: userId } });
+    if (!group) throw new Error('Content group not found');
+    return group;
+  }
+
+  /**
+   * List the user's groups with member counts and cover thumbnails
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Flat list ordered by position then name
+   */
+  async listGroups(userId) {
+    const groups = await ContentGroup.findAll({
+      where: { user_id: userId },
+      order: [['position', 'ASC'], ['name', 'ASC']]
+    });
+    if (groups.length === 0) return [];
+
+    const counts = await ContentGroupMember.findAll({
+      attributes: ['group_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { group_id: { [Op.in]: groups.map(g => g.id) } },
+      group: ['group_id'],
+      raw: true
+    });
+    const countMap = Object.fromEntries(counts.map(c => [c.group_id, parseInt(c.count, 10)]));
+    const covers = await this.getCoverUrls(groups);
+
+    return groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      parent_id: group.parent_id,
+      position: group.position,
+      cover_thumbnail_id: group.cover_thumbnail_id,
+      member_count: countMap[group.id] || 0,
+      cover_url: covers.get(group.id) || null,
+      createdAt: group.createdAt,
+      updatedAt: group.updatedAt
+    }));
+  }
+
+  /**
+   * Nest a flat group list into a tree (children arrays)
+   * @param {Array} groups - Flat list from listGroups
+   * @returns {Array} Root groups with nested children
+   */
+  buildTree(groups) {
+    const byId = new Map(groups.map(g => [g.id, { ...g, children: [] }]));
+    const roots = [];
+    for (const group of byId.values()) {
+      const parent = group.parent_id && byId.get(group.parent_id);
+      if (parent) parent.children.push(group);
+      else roots.push(group);
+    }
+    return roots;
+  }
+
+  /**
+   * Resolve the cover thumbnail URLs of several groups in a fixed number of
+   * queries: the explicit cover, else the first of a group's first 20
+   * members that has a thumbnail
+   * @param {Array} groups - ContentGroup records
+   * @returns {Promise<Map>} group ID -> cover URL (groups without a cover are absent)
+   */
+  async getCoverUrls(groups) {
+    const covers = new Map();
+    const coverIds = groups.map(g => g.cover_thumbnail_id).filter(Boolean);
+    if (coverIds.length) {
+      const thumbnails = await Thumbnail.findAll({
+        where: { id: { [Op.in]: coverIds }, status: 'ready' },
+        attributes: ['id', 'file_path']
+      });
+      const byId = new Map(thumbnails.map(t => [t.id, t]));
+      for (const group of groups) {
+        const cover = group.cover_thumbnail_id && byId.get(group.cover_thumbnail_id);
+        if (cover) covers.set(group.id, thumbnailUrl(cover.file_path));
+      }
+    }
+
+    const pending = groups.filter(g => !covers.has(g.id)).map(g => g.id);
+    if (pending.length === 0) return covers;
+
+    const rows = await ContentGroupMember.findAll({
+      where: { group_id: { [Op.in]: pending } },
+      attributes: ['group_id', 'content_id', 'file_id'],
+      order: [['position', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const membersByGroup = new Map();
+    for (const row of rows) {
+      const members = membersByGroup.get(row.group_id) || [];
+      if (members.length < 20) members.push(row);
+      membersByGroup.set(row.group_id, members);
+    }
+    const candidates = [...membersByGroup.values()].flat();
+    const thumbs = await this.getMainThumbnails(
+      [...new Set(candidates.map(m => m.content_id).filter(Boolean))],
+      [...new Set(candidates.map(m => m.file_id).filter(Boolean))]
+    );
+
+    for (const [groupId, members] of membersByGroup) {
+      const thumb = members.map(m => thumbs.get(m.content_id || m.file_id)).find(Boolean);
+      if (thumb) covers.set(groupId, thumb.url);
+    }
+    return covers;
+  }
+
+  /**
+   * Batch-load one thumbnail per item, preferring the 'main' thumbnail
+   * @param {Array<string>} contentIds - Content IDs
+   * @param {Array<string>} fileIds - File IDs
+   * @returns {Promise<Map>} item ID -> { id, url }
+   */
+  async getMainThumbnails(contentIds, fileIds) {
+    const map = new Map();
+    const or = [];
+    if (contentIds.length) or.push({ content_id: { [Op.in]: contentIds } });
+    if (fileIds.length) or.push({ file_id: { [Op.in]: fileIds } });
+    if (or.length === 0) return map;
+
+    const thumbnails = await Thumbnail.findAll({
+      where: { status: 'ready', [Op.or]: or },
+      attributes: ['id', 'content_id', 'file_id', 'file_path', 'thumbnail_type'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const thumb of thumbnails) {
+      const key = thumb.content_id || thumb.file_id;
+      if (!map.has(key) || thumb.thumbnail_type === 'main') {
+        map.set(key, { id: thumb.id, url: thumbnailUrl(thumb.file_path) });
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Levels a group and its sub-groups occupy (1 for a group without sub-groups)
+   * @param {Array} groups - The user's groups ({ id, parent_id })
+   * @param {string} groupId - Group ID
+   * @returns {number} Subtree height
+   */
+  subtreeHeight(groups, groupId) {
+    const children = new Map();
+    for (const group of groups) {
+      if (!group.parent_id) continue;
+      children.set(group.parent_id, [...(children.get(group.parent_id) || []), group.id]);
+    }
+
+    let height = 0;
+    let level = [groupId];
+    const seen = new Set();
+    while (level.length) {
+      height++;
+      level.forEach(id => seen.add(id));
+      level = level.flatMap(id => children.get(id) || []).filter(id => !seen.has(id));
+    }
+    return height;
+  }
+
+  /**
+   * Why a group cannot be placed under a parent
+   * @param {Array} groups - The user's groups ({ id, parent_id })
+   * @param {string|null} groupId - Group being moved (null when creating)
+   * @param {string} parentId - Proposed parent
+   * @returns {string|null} Error message, or null when the move is allowed
+   */
+  nestingError(groups, groupId, parentId) {
+    if (parentId === groupId) return 'A group cannot be its own parent';
+    const byId = new Map(groups.map(g => [g.id, g]));
+    if (!byId.has(parentId)) return 'Content group not found';
+
+    // Level of the new parent (1 = top level); its ancestors must not include the moved group
+    let parentLevel = 1;
+    const seen = new Set([parentId]);
+    for (let current = byId.get(parentId); current.parent_id; current = byId.get(current.parent_id)) {
+      if (current.parent_id === groupId) return 'A group cannot be moved into one of its sub-groups';
+      if (seen.has(current.parent_id) || !byId.has(current.parent_id)) break;
+      seen.add(current.parent_id);
+      parentLevel++;
+    }
+
+    // A moved group takes its sub-groups along
+    const height = groupId ? this.subtreeHeight(groups, groupId) : 1;
+    if (parentLevel + height > this.maxDepth) return `Groups can be nested at most ${this.maxDepth} levels deep`;
+    return null;
+  }
+
+  /**
+   * Ensure a new parent does not create a cycle or exceed the nesting depth
+   * @param {string} userId - Owner user ID
+   * @param {string|null} groupId - Group being moved (null when creating)
+   * @param {string|null} parentId - Proposed parent
+   */
+  async assertValidParent(userId, groupId, parentId) {
+    if (!parentId) return;
+    const groups = await ContentGroup.findAll({ where: { user_id: userId }, attributes: ['id', 'parent_id'], raw: true });
+    const error = this.nestingError(groups, groupId, parentId);
+    if (error) throw new Error(error);
+  }
+
+  /**
+   * Create a group
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - { name, description, parentId }
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(userId, { name, description = null, parentId = null }) {
+    await this.assertValidParent(userId, null, parentId);
+
+    const existing = await ContentGroup.findOne({ where: { user_id: userId, name } });
+    if (existing) throw new Error('A group with this name already exists');
+
+    const position = await ContentGroup.count({ where: { user_id: userId, parent_id: parentId } });
+    return ContentGroup.create({ user_id: userId, name, description, parent_id: parentId, position });
+  }
+
+  /**
+   * Update a group (rename, description, move, cover)
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} data - { name, description, parentId, coverThumbnailId } (undefined = unchanged)
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(userId, groupId, { name, description, parentId, coverThumbnailId }) {
+    const group = await this.getOwnedGroup(userId, groupId);
+    const updates = {};
+
+    if (name !== undefined && name !== group.name) {
+      const existing = await ContentGroup.findOne({ where: { user_id: userId, name, id: { [Op.ne]: group.id } } });
+      if (existing) throw new Error('A group with this name already exists');
+      updates.name = name;
+    }
+    if (description !== undefined) updates.description = description;
+
+    if (parentId !== undefined && parentId !== group.parent_id) {
+      await this.assertValidParent(userId, group.id, parentId);
+      updates.parent_id = parentId;
+      updates.position = await ContentGroup.count({ where: { user_id: userId, parent_id: parentId } });
+    }
+
+    if (coverThumbnailId !== undefined) {
+      if (coverThumbnailId) {
+        const cover = await Thumbnail.findOne({ where: { id: coverThumbnailId, user_id: userId } });
+        if (!cover) throw new Error('Cover thumbnail not found');
+      }
+      updates.cover_thumbnail_id = coverThumbnailId || null;
+    }
+
+    return group.update(updates);
+  }
+
+  /**
+   * Delete a group. Sub-groups move up to the deleted group's parent;
+   * members are removed from the group but the items themselves are kept.
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   */
+  async deleteGroup(userId, groupId) {
+    const group = await this.getOwnedGroup(userId, groupId);
+
+    await sequelize.transaction(async (transaction) => {
+      await ContentGroup.update(
+        { parent_id: group.parent_id },
+        { where: { user_id: userId, parent_id: group.id }, transaction }
+      );
+      await ContentGroupMember.destroy({ where: { group_id: group.id }, transaction });
+      await group.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Reorder sibling groups
+   * @param {string} userId - Owner user ID
+   * @param {string|null} parentId - Common parent of the groups
+   * @param {Array<string>} orderedIds - Group IDs in their new order
+   */
+  async reorderGroups(userId, parentId, orderedIds) {
+    const siblings = await ContentGroup.findAll({
+      where: { user_id: userId, id: { [Op.in]: orderedIds }, parent_id: parentId || null }
+    });
+    if (siblings.length !== new Set(orderedIds).size) {
+      throw new Error('All groups must belong to you and share the same parent');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < orderedIds.length; i++) {
+        await ContentGroup.update({ position: i }, { where: { id: orderedIds[i] }, transaction });
+      }
+    });
+  }
+
+  /**
+   * Load a group's members with their Content/File records
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} [{ member, itemType, record }] in member order
+   */
+  async getMemberRecords(userId, groupId) {
+    const members = await ContentGroupMember.findAll({
+      where: { group_id: groupId },
+      include: [
+        { model: Content, where: { user_id: userId }, required: false },
+        { model: File, where: { user_id: userId }, required: false }
+      ],
+      order: [['position', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    return members
+      .map(member => ({
+        member,
+        itemType: member.content_id ? 'content' : 'file',
+        record: member.Content || member.File
+      }))
+      .filter(entry => entry.record);
+  }
+
+  /**
+   * List a group's members as display items (mixed Content and File)
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Member items
+   */
+  async getMembers(userId, groupId) {
+    await this.getOwnedGroup(userId, groupId);
+    const entries = await this.getMemberRecords(userId, groupId);
+    const thumbs = await this.getMainThumbnails(
+      entries.filter(e => e.itemType === 'content').map(e => e.record.id),
+      entries.filter(e => e.itemType === 'file').map(e => e.record.id)
+    );
+
+    return entries.map(({ member, itemType, record }) => ({
+      member_id: member.id,
+      position: member.position,
+      item_type: itemType,
+      id: record.id,
+      title: record.generated_title || (record.metadata && record.metadata.title) || record.filename || record.url,
+      url: itemType === 'content' ? record.url : null,
+      filename: itemType === 'file' ? record.filename : null,
+      content_type: record.content_type,
+      summary: record.summary,
+      thumbnail_id: thumbs.has(record.id) ? thumbs.get(record.id).id : null,
+      thumbnail_url: thumbs.has(record.id) ? thumbs.get(record.id).url : null,
+      createdAt: record.createdAt
+    }));
+  }
+
+  /**
+   * Add Content and File items to a group in bulk. Items already in the group are skipped.
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} items - { contentIds, fileIds }
+   * @returns {Promise<Object>} { added, skipped }
+   */
+  async addMembers(userId, groupId, { contentIds = [], fileIds = [] }) {
+    await this.getOwnedGroup(userId, groupId);
+    if (contentIds.length + fileIds.length > this.maxBulkItems) {
+      throw new Error(`At most ${this.maxBulkItems} items can be added at once`);
+    }
+
+    const [ownedContent, ownedFiles, existing] = await Promise.all([
+      contentIds.length ? Content.findAll({ where: { id: { [Op.in]: contentIds }, user_id: userId }, attributes: ['id'] }) : [],
+      fileIds.length ? File.findAll({ where: { id: { [Op.in]: fileIds }, user_id: userId }, attributes: ['id'] }) : [],
+      ContentGroupMember.findAll({ where: { group_id: groupId }, attributes: ['content_id', 'file_id', 'position'] })
+    ]);
+
+    const present = new Set(existing.map(m => m.content_id || m.file_id));
+    let position = existing.reduce((max, m) => Math.max(max, m.position + 1), 0);
+
+    const rows = [];
+    for (const item of ownedContent) {
+      if (!present.has(item.id)) rows.push({ group_id: groupId, content_id: item.id, position: position++ });
+    }
+    for (const item of ownedFiles) {
+      if (!present.has(item.id)) rows.push({ group_id: groupId, file_id: item.id, position: position++ });
+    }
+
+    if (rows.length) await ContentGroupMember.bulkCreate(rows);
+    return { added: rows.length, skipped: contentIds.length + fileIds.length - rows.length };
+  }
+
+  /**
+   * Remove items from a group in bulk
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} items - { contentIds, fileIds }
+   * @returns {Promise<number>} Number of removed members
+   */
+  async removeMembers(userId, groupId, { contentIds = [], fileIds = [] }) {
+    await this.getOwnedGroup(userId, groupId);
+    const or = [];
+    if (contentIds.length) or.push({ content_id: { [Op.in]: contentIds } });
+    if (fileIds.length) or.push({ file_id: { [Op.in]: fileIds } });
+    if (or.length === 0) return 0;
+
+    return ContentGroupMember.destroy({ where: { group_id: groupId, [Op.or]: or } });
+  }
+
+  /**
+   * Reorder a group's members
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} memberIds - ContentGroupMember IDs in their new order
+   */
+  async reorderMembers(userId, groupId, memberIds) {
+    await this.getOwnedGroup(userId, groupId);
+    const count = await ContentGroupMember.count({ where: { group_id: groupId, id: { [Op.in]: memberIds } } });
+    if (count !== new Set(memberIds).size) throw new Error('All members must belong to the group');
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < memberIds.length; i++) {
+        await ContentGroupMember.update({ position: i }, { where: { id: memberIds[i], group_id: groupId }, transaction });
+      }
+    });
+  }
+
+  /**
+   * Replace the group memberships of a single item (used by content/file edit forms)
+   * @param {string} userId - Owner user ID
+   * @param {Object} item - { contentId } or { fileId }
+   * @param {Array<string>} groupIds - Groups the item should belong to
+   */
+  async setItemGroups(userId, { contentId = null, fileId = null }, groupIds) {
+    const key = contentId ? 'content_id' : 'file_id';
+    const itemId = contentId || fileId;
+    const owned = groupIds.length
+      ? await ContentGroup.findAll({ where: { id: { [Op.in]: groupIds }, user_id: userId }, attributes: ['id'] })
+      : [];
+
+    await ContentGroupMember.destroy({ where: { [key]: itemId } });
+    for (const group of owned) {
+      const position = await ContentGroupMember.count({ where: { group_id: group.id } });
+      await ContentGroupMember.create({ group_id: group.id, [key]: itemId, position });
+    }
+  }
+
+  /**
+   * Resolve the Content and File IDs in a group, for filtering lists
+   * @param {string} userId - Owner user ID
+   * @param {string} groupId - Group ID
+   * @param {boolean} includeSubgroups - Include members of nested groups
+   * @returns {Promise<Object>} { contentIds, fileIds }
+   */
+  async getGroupItemIds(userId, groupId, includeSubgroups = true) {
+    await this.getOwnedGroup(userId, groupId);
+    const groupIds = [groupId];
+
+    if (includeSubgroups) {
+      const all = await ContentGroup.findAll({ where: { user_id: userId }, attributes: ['id', 'parent_id'], raw: true });
+      for (let i = 0; i < groupIds.length; i++) {
+        all.filter(g => g.parent_id === groupIds[i]).forEach(g => groupIds.push(g.id));
+      }
+    }
+
+    const members = await ContentGroupMember.findAll({
+      where: { group_id: { [Op.in]: groupIds } },
+      attributes: ['content_id', 'file_id'],
+      raw: true
+    });
+
+    return {
+      contentIds: [...new Set(members.map(m => m.content_id).filter(Boolean))],
+      fileIds: [...new Set(members.map(m => m.file_id).filter(Boolean))]
+    };
+  }
+}
+
+module.exports = new ContentGroupService();
@@ -0,0 +1,192 @@
+/**
+ * Content Monitor
+ *
+ * Pure helpers for re-checking saved URLs: what a check found (a snapshot),
+ * how a failed fetch is classified, what changed since the previous version
+ * and how a change is described to the user.
+ *
+ * Snapshot: { status: 'available' | 'removed' | 'private' | 'error',
+ *             http_status, title, description, comment_count, error }
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours between checks offered for a watch: every 6 hours, daily, weekly, monthly
+const WATCH_INTERVALS = [6, 24, 168, 720];
+const DEFAULT_INTERVAL = 24;
+
+// Snapshot fields kept in the version history; status and text changes and
+// new comments are reported, like/view counts are too noisy to alert on
+const TRACKED_FIELDS = ['status', 'title', 'description', 'comment_count'];
+
+const REMOVED_PATTERN = /\b(404|410)\b|not found|has been removed|been deleted|no longer available|video unavailable|does not exist|isn't available|post is unavailable|removed by/i;
+const PRIVATE_PATTERN = /\b(401|403)\b|private|\blog ?in\b|\bsign ?in\b|restricted|not available to you|members[- ]only|age[- ]restricted|no files downloaded/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return String(text).replace(/&(amp|lt|gt|quot|apos|#39|nbsp);/g, (match, name) => ENTITIES[name])
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function cleanText(value, max) {
+  if (value === null || value === undefined) return null;
+  const text = decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, max) : null;
+}
+
+/**
+ * Status of a URL that could not be read
+ * @param {string} message - Error text (yt-dlp output, network error)
+ * @param {number} httpStatus - HTTP status code, when known
+ * @returns {string} 'removed' | 'private' | 'error'
+ */
+function classifyFailure(message, httpStatus = null) {
+  if (httpStatus === 404 || httpStatus === 410) return 'removed';
+  if (httpStatus === 401 || httpStatus === 403) return 'private';
+  const text = String(message || '');
+  if (REMOVED_PATTERN.test(text)) return 'removed';
+  if (PRIVATE_PATTERN.test(text)) return 'private';
+  return 'error';
+}
+
+function metaContent(html, attribute, name) {
+  const patterns = [
+    new RegExp(`<meta[^>]*${attribute}=["']${name}["'][^>]*content=["']([^"']*)["']`, 'i'),
+    new RegExp(`<meta[^>]*content=["']([^"']*)["'][^>]*${attribute}=["']${name}["']`, 'i')
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(html);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Title and description of a web page
+ * @param {string} html
+ * @returns {Object} { title, description }
+ */
+function parseHtmlMetadata(html) {
+  const page = String(html || '');
+  const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(page);
+  return {
+    title: cleanText(metaContent(page, 'property', 'og:title') || (titleTag && titleTag[1]), 500),
+    description: cleanText(metaContent(page, 'property', 'og:description') || metaContent(page, 'name', 'description'), 5000)
+  };
+}
+
+/**
+ * Snapshot of a successful check
+ * @param {Object} metadata - { title, description, comment_count }
+ * @param {number} httpStatus
+ */
+function availableSnapshot(metadata = {}, httpStatus = null) {
+  return {
+    status: 'available',
+    http_status: httpStatus,
+    title: cleanText(metadata.title, 500),
+    description: cleanText(metadata.description, 5000),
+    comment_count: Number.isFinite(metadata.comment_count) ? metadata.comment_count : null,
+    error: null
+  };
+}
+
+/**
+ * Snapshot of a failed check
+ */
+function failedSnapshot(message, httpStatus = null) {
+  return {
+    status: classifyFailure(message, httpStatus),
+    http_status: httpStatus,
+    title: null,
+    description: null,
+    comment_count: null,
+    error: cleanText(message, 500)
+  };
+}
+
+/**
+ * Differences between the latest version and a new snapshot
+ *
+ * A check that errored tells nothing about the content, and fields a source
+ * did not report (null) are not treated as changed.
+ *
+ * @param {Object|null} previous - Latest version (null for the first check)
+ * @param {Object} next - New snapshot
+ * @returns {Array<Object>} { field, from, to }
+ */
+function compareSnapshots(previous, next) {
+  if (!previous || next.status === 'error') return [];
+  if (previous.status !== next.status) {
+    return [{ field: 'status', from: previous.status, to: next.status }];
+  }
+  if (next.status !== 'available') return [];
+
+  return TRACKED_FIELDS.slice(1)
+    .filter(field => next[field] !== null && next[field] !== undefined && previous[field] !== null && previous[field] !== undefined)
+    .filter(field => String(previous[field]) !== String(next[field]))
+    .map(field => ({ field, from: previous[field], to: next[field] }));
+}
+
+/**
+ * Whether a new version is stored: always for the first successful check,
+ * then only when something changed
+ */
+function shouldRecord(previous, next, changes) {
+  if (next.status === 'error') return false;
+  return !previous || changes.length > 0;
+}
+
+/**
+ * Readable description of one change
+ */
+function describeChange(change) {
+  if (change.field === 'status') {
+    if (change.to === 'removed') return 'Removed or deleted';
+    if (change.to === 'private') return 'Made private or restricted';
+    return 'Available again';
+  }
+  if (change.field === 'comment_count') {
+    const delta = Number(change.to) - Number(change.from);
+    if (delta > 0) return `${delta} new comment${delta === 1 ? '' : 's'}`;
+    return `${-delta} comment${delta === -1 ? '' : 's'} removed`;
+  }
+  if (change.field === 'title') return 'Title changed';
+  return 'Description changed';
+}
+
+/**
+ * Whether a change means the content is gone
+ */
+function isDisappearance(changes) {
+  return changes.some(change => change.field === 'status' && change.to !== 'available');
+}
+
+function parseInterval(value) {
+  const hours = parseInt(value, 10);
+  return WATCH_INTERVALS.includes(hours) ? hours : null;
+}
+
+function nextCheckAt(from, intervalHours) {
+  return new Date(new Date(from).getTime() + intervalHours * HOUR_MS);
+}
+
+module.exports = {
+  WATCH_INTERVALS,
+  DEFAULT_INTERVAL,
+  TRACKED_FIELDS,
+  classifyFailure,
+  parseHtmlMetadata,
+  availableSnapshot,
+  failedSnapshot,
+  compareSnapshots,
+  shouldRecord,
+  describeChange,
+  isDisappearance,
+  parseInterval,
+  nextCheckAt
+};
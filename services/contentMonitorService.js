@@ -0,0 +1,473 @@
+/**
+ * Content Monitor Service
+ *
+ * Scheduled re-fetching of saved URLs. A watch covers one content item or
+ * every URL in a content group; each check reads the URL again, compares it
+ * with the latest stored version and records a new version when the post was
+ * removed, made private, came back, or its title, description or comment
+ * count changed.
+ *
+ * FEATURES:
+ * - Watch schedules per content item or per group (every 6 hours, daily,
+ *   weekly, monthly), run by a background pass every CONTENT_MONITOR_INTERVAL_MS
+ * - Social posts are read with the platform extractors in metadata-only mode
+ *   (yt-dlp, no media download); other pages with a plain HTTP request
+ * - Version history per content item (content_versions)
+ * - Alerts: dashboard notifications until dismissed, optional email per
+ *   watch, and content.changed / content.removed webhooks
+ * - Failed checks (network errors, yt-dlp missing) never count as a change
+ * - Plain fetches refuse private network addresses, checked again on every
+ *   redirect hop, so a watch cannot read internal services
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const fetch = require('node-fetch');
+const { Op } = require('sequelize');
+const { Content, ContentGroup, ContentGroupMember, ContentVersion, ContentWatch, User } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const sendMail = require('../utils/send-mail');
+const webhookService = require('./webhookService');
+const contentGroupService = require('./contentGroupService');
+const contentMonitor = require('./contentMonitor');
+
+const INTERVAL_MS = parseInt(process.env.CONTENT_MONITOR_INTERVAL_MS, 10) || 10 * 60 * 1000;
+const MAX_WATCHES_PER_PASS = 20;
+const MAX_GROUP_ITEMS = 100;
+const MAX_HISTORY = 50;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Platforms read through yt-dlp; the rest are plain web pages
+const EXTRACTORS = {
+  instagram: 'getInstagramContent',
+  facebook: 'getFacebookContent',
+  pinterest: 'getPinterestContent'
+};
+const PROBED_PLATFORMS = ['youtube', 'instagram', 'facebook', 'pinterest', 'tiktok', 'twitter', 'vimeo', 'dailymotion', 'soundcloud', 'twitch'];
+
+const VERSION_ATTRIBUTES = ['id', 'content_id', 'status', 'http_status', 'title', 'description', 'comment_count', 'changes', 'alert', 'dismissed_at', 'createdAt'];
+
+class ContentMonitorService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.analyzer = null;
+  }
+
+  isClientError(error) {
+    return /^(Interval|Only saved URLs)/.test(error.message);
+  }
+
+  getAnalyzer() {
+    if (!this.analyzer) {
+      const { MultimediaAnalyzer } = require('./multimedia');
+      this.analyzer = new MultimediaAnalyzer({ enableLogging: false });
+    }
+    return this.analyzer;
+  }
+
+  /**
+   * Refuse URLs that are not http(s) or resolve to a private network address
+   * @param {string} url - URL about to be fetched
+   */
+  async assertPublicUrl(url) {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Only http and https URLs can be checked');
+    }
+    const isPrivate = await webhookService.resolvesToPrivateAddress(parsed.hostname);
+    if (isPrivate === null) throw new Error(`Host ${parsed.hostname} could not be resolved`);
+    if (isPrivate) throw new Error('URL points at a private network address');
+  }
+
+  /**
+   * Read a web page's status, title and description; redirects are followed
+   * by hand so every hop passes assertPublicUrl()
+   */
+  async fetchPage(url) {
+    try {
+      let target = url;
+      let response;
+      for (let hop = 0; ; hop++) {
+        await this.assertPublicUrl(target);
+        response = await fetch(target, {
+          redirect: 'manual',
+          timeout: FETCH_TIMEOUT_MS,
+          size: MAX_PAGE_BYTES,
+          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; DaySave content monitor)' }
+        });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) break;
+        if (hop >= MAX_REDIRECTS) throw new Error('Too many redirects');
+        target = new URL(location, target).toString();
+      }
+      if (!response.ok) {
+        return contentMonitor.failedSnapshot(`HTTP ${response.status} ${response.statusText}`, response.status);
+      }
+      const type = response.headers.get('content-type') || '';
+      const metadata = type.includes('html') ? contentMonitor.parseHtmlMetadata(await response.text()) : {};
+      return contentMonitor.availableSnapshot(metadata, response.status);
+    } catch (error) {
+      // Network trouble says nothing about the page itself
+      return { ...contentMonitor.failedSnapshot(error.message), status: 'error' };
+    }
+  }
+
+  /**
+   * What a URL looks like right now
+   * @returns {Promise<Object>} Snapshot (see services/contentMonitor.js)
+   */
+  async fetchSnapshot(url) {
+    const analyzer = this.getAnalyzer();
+    const platform = analyzer.detectPlatform(url);
+    if (!PROBED_PLATFORMS.includes(platform)) return this.fetchPage(url);
+
+    const extractor = EXTRACTORS[platform];
+    const result = extractor
+      ? await analyzer[extractor](url, { metadataOnly: true })
+      : await analyzer.probeUrlMetadata(url);
+    if (result.success) return contentMonitor.availableSnapshot(result.metadata);
+    // yt-dlp is not installed here: the page itself is still worth a look
+    if (/ENOENT/.test(result.error)) return this.fetchPage(url);
+    return contentMonitor.failedSnapshot(result.error);
+  }
+
+  async latestVersion(contentId) {
+    return ContentVersion.findOne({
+      where: { content_id: contentId },
+      order: [['createdAt', 'DESC']],
+      attributes: VERSION_ATTRIBUTES
+    });
+  }
+
+  /**
+   * Check one content item and record a version when something changed
+   * @param {Object} content - Content with id, user_id, url
+   * @returns {Promise<Object>} { snapshot, changes, version } (version null when nothing was stored)
+   */
+  async checkContent(content) {
+    const snapshot = await this.fetchSnapshot(content.url);
+    const previous = await this.latestVersion(content.id);
+    const changes = contentMonitor.compareSnapshots(previous, snapshot);
+    if (!contentMonitor.shouldRecord(previous, snapshot, changes)) {
+      return { snapshot, changes, version: null };
+    }
+
+    const version = await ContentVersion.create({
+      content_id: content.id,
+      user_id: content.user_id,
+      status: snapshot.status,
+      http_status: snapshot.http_status,
+      title: snapshot.title,
+      description: snapshot.description,
+      comment_count: snapshot.comment_count,
+      changes,
+      alert: changes.length > 0
+    });
+
+    if (changes.length) {
+      const removed = contentMonitor.isDisappearance(changes);
+      webhookService.emit(content.user_id, removed ? 'content.removed' : 'content.changed', {
+        content: { id: content.id, url: content.url, status: snapshot.status },
+        changes
+      });
+      logAuthEvent(removed ? 'CONTENT_MONITOR_REMOVED' : 'CONTENT_MONITOR_CHANGED', {
+        userId: content.user_id,
+        targetType: 'content',
+        targetId: content.id,
+        changes: changes.map(change => change.field)
+      });
+    }
+    return { snapshot, changes, version };
+  }
+
+  /**
+   * Content items a watch covers (URLs only)
+   */
+  async watchedContent(watch) {
+    let ids = [watch.content_id];
+    if (watch.group_id) {
+      ids = (await contentGroupService.getGroupItemIds(watch.user_id, watch.group_id)).contentIds.slice(0, MAX_GROUP_ITEMS);
+    }
+    if (!ids.length) return [];
+    return Content.findAll({
+      where: { id: ids, user_id: watch.user_id, url: { [Op.ne]: null } },
+      attributes: ['id', 'user_id', 'url', 'generated_title']
+    });
+  }
+
+  /**
+   * Run one watch
+   * @returns {Promise<Array<Object>>} { content, changes } for every changed item
+   */
+  async runWatch(watch, checked = new Set()) {
+    const changed = [];
+    let lastError = null;
+    try {
+      for (const content of await this.watchedContent(watch)) {
+        if (checked.has(content.id)) continue;
+        checked.add(content.id);
+        const result = await this.checkContent(content);
+        if (result.snapshot.status === 'error') lastError = result.snapshot.error;
+        if (result.changes.length) changed.push({ content, changes: result.changes });
+      }
+    } catch (error) {
+      lastError = error.message;
+      logAuthError('CONTENT_MONITOR_WATCH_ERROR', error, { userId: watch.user_id, watchId: watch.id });
+    }
+
+    const now = new Date();
+    await watch.update({
+      last_checked_at: now,
+      next_check_at: contentMonitor.nextCheckAt(now, watch.interval_hours),
+      last_error: lastError ? lastError.slice(0, 500) : null
+    });
+    return changed;
+  }
+
+  /**
+   * Email the changes found in a pass to one user
+   */
+  async emailChanges(user, changed) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.APP_PORT || 3000}`;
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const escape = (value) => String(value || '').replace(/[&<>"']/g, c => entities[c]);
+    const lines = changed.map(({ content, changes }) =>
+      `<li><a href="${baseUrl}/content/${content.id}/analysis/view">${escape(content.generated_title || content.url)}</a>: ` +
+      `${escape(changes.map(contentMonitor.describeChange).join(', '))}</li>`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${changed.length} saved item${changed.length === 1 ? '' : 's'} changed`,
+        html: `<p>Hello ${escape(user.username)},</p>` +
+          `<p>Changes found while checking your watched content:</p><ul>${lines.join('')}</ul>` +
+          `<p><a href="${baseUrl}/dashboard">Open your dashboard</a></p>` +
+          '<p>You can turn these emails off in the watch settings of each item or collection.</p>'
+      });
+    } catch (error) {
+      // sendMail already logged it; the changes still show on the dashboard
+    }
+  }
+
+  /**
+   * One pass over the watches that are due
+   * @returns {Promise<number>} Number of changed items
+   */
+  async processDue() {
+    if (this.running) return 0;
+    this.running = true;
+    let total = 0;
+    try {
+      const watches = await ContentWatch.findAll({
+        where: { next_check_at: { [Op.lte]: new Date() } },
+        order: [['next_check_at', 'ASC']],
+        limit: MAX_WATCHES_PER_PASS
+      });
+      const checked = new Set();
+      const emails = new Map();
+
+      for (const watch of watches) {
+        const changed = await this.runWatch(watch, checked);
+        total += changed.length;
+        if (changed.length && watch.notify_email) {
+          emails.set(watch.user_id, [...(emails.get(watch.user_id) || []), ...changed]);
+        }
+      }
+
+      if (emails.size) {
+        const users = await User.findAll({ where: { id: [...emails.keys()] }, attributes: ['id', 'username', 'email'] });
+        for (const user of users) await this.emailChanges(user, emails.get(user.id));
+      }
+      if (watches.length) logAuthEvent('CONTENT_MONITOR_PASS', { watches: watches.length, changed: total });
+      return total;
+    } catch (error) {
+      logAuthError('CONTENT_MONITOR_LOOP_ERROR', error, {});
+      return total;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  serializeWatch(watch) {
+    if (!watch) return null;
+    return {
+      id: watch.id,
+      interval_hours: watch.interval_hours,
+      notify_email: watch.notify_email,
+      last_checked_at: watch.last_checked_at,
+      next_check_at: watch.next_check_at,
+      last_error: watch.last_error
+    };
+  }
+
+  serializeVersion(version) {
+    const changes = version.changes || [];
+    return {
+      id: version.id,
+      content_id: version.content_id,
+      status: version.status,
+      http_status: version.http_status,
+      title: version.title,
+      description: version.description,
+      comment_count: version.comment_count,
+      changes,
+      summary: changes.length ? changes.map(contentMonitor.describeChange).join(', ') : 'First check',
+      alert: version.alert,
+      dismissed: !!version.dismissed_at,
+      checked_at: version.createdAt
+    };
+  }
+
+  async getOwnedContent(userId, contentId) {
+    const content = await Content.findOne({ where: { id: contentId, user_id: userId }, attributes: ['id', 'user_id', 'url', 'generated_title'] });
+    if (!content) throw new Error('Content not found');
+    return content;
+  }
+
+  /**
+   * Watch settings and version history of a content item
+   * @returns {Promise<Object>} { watch, groupWatches, versions }
+   */
+  async getContentMonitor(userId, contentId) {
+    const content = await this.getOwnedContent(userId, contentId);
+    const [watch, memberships, versions] = await Promise.all([
+      ContentWatch.findOne({ where: { user_id: userId, content_id: contentId } }),
+      ContentGroupMember.findAll({ where: { content_id: content.id }, attributes: ['group_id'], raw: true }),
+      ContentVersion.findAll({
+        where: { content_id: content.id },
+        order: [['createdAt', 'DESC']],
+        limit: MAX_HISTORY,
+        attributes: VERSION_ATTRIBUTES
+      })
+    ]);
+    // Watches on the groups the item is directly in
+    const groupIds = memberships.map(member => member.group_id);
+    const groupWatches = groupIds.length ? await ContentWatch.findAll({
+      where: { user_id: userId, group_id: groupIds },
+      include: [{ model: ContentGroup, as: 'group', attributes: ['id', 'name'] }]
+    }) : [];
+
+    return {
+      watch: this.serializeWatch(watch),
+      groupWatches: groupWatches.map(groupWatch => ({ ...this.serializeWatch(groupWatch), group: groupWatch.group })),
+      versions: versions.map(version => this.serializeVersion(version))
+    };
+  }
+
+  /**
+   * Create or update a watch
+   * @param {string} userId
+   * @param {Object} target - { contentId } or { groupId }
+   * @param {Object} settings - { intervalHours, notifyEmail }
+   */
+  async setWatch(userId, { contentId = null, groupId = null }, { intervalHours, notifyEmail }) {
+    const interval = contentMonitor.parseInterval(intervalHours === undefined ? contentMonitor.DEFAULT_INTERVAL : intervalHours);
+    if (!interval) throw new Error(`Interval must be one of ${contentMonitor.WATCH_INTERVALS.join(', ')} hours`);
+    if (contentId) {
+      const content = await this.getOwnedContent(userId, contentId);
+      if (!content.url) throw new Error('Only saved URLs can be watched');
+    } else {
+      await contentGroupService.getOwnedGroup(userId, groupId);
+    }
+
+    const where = contentId ? { user_id: userId, content_id: contentId } : { user_id: userId, group_id: groupId };
+    let watch = await ContentWatch.findOne({ where });
+    if (watch) {
+      const changes = { interval_hours: interval };
+      if (notifyEmail !== undefined) changes.notify_email = !!notifyEmail;
+      // A shorter interval takes effect from the last check
+      if (watch.last_checked_at) changes.next_check_at = contentMonitor.nextCheckAt(watch.last_checked_at, interval);
+      await watch.update(changes);
+    } else {
+      watch = await ContentWatch.create({
+        ...where,
+        interval_hours: interval,
+        notify_email: !!notifyEmail,
+        // First check on the next pass, which also stores the baseline version
+        next_check_at: new Date()
+      });
+    }
+
+    logAuthEvent('CONTENT_WATCH_SAVED', {
+      userId,
+      targetType: contentId ? 'content' : 'content_group',
+      targetId: contentId || groupId,
+      intervalHours: interval,
+      notifyEmail: watch.notify_email
+    });
+    return this.serializeWatch(watch);
+  }
+
+  async removeWatch(userId, { contentId = null, groupId = null }) {
+    const where = contentId ? { user_id: userId, content_id: contentId } : { user_id: userId, group_id: groupId };
+    const removed = await ContentWatch.destroy({ where });
+    if (!removed) throw new Error('Watch not found');
+    logAuthEvent('CONTENT_WATCH_REMOVED', {
+      userId,
+      targetType: contentId ? 'content' : 'content_group',
+      targetId: contentId || groupId
+    });
+  }
+
+  async getGroupWatch(userId, groupId) {
+    await contentGroupService.getOwnedGroup(userId, groupId);
+    return this.serializeWatch(await ContentWatch.findOne({ where: { user_id: userId, group_id: groupId } }));
+  }
+
+  /**
+   * Check a content item right away (watched or not)
+   * @returns {Promise<Object>} { status, changes, version }
+   */
+  async checkNow(userId, contentId) {
+    const content = await this.getOwnedContent(userId, contentId);
+    if (!content.url) throw new Error('Only saved URLs can be watched');
+    const { snapshot, changes, version } = await this.checkContent(content);
+    return {
+      status: snapshot.status,
+      error: snapshot.error,
+      changes: changes.map(change => ({ ...change, summary: contentMonitor.describeChange(change) })),
+      version: version ? this.serializeVersion(version) : null
+    };
+  }
+
+  /**
+   * Undismissed change notifications for the dashboard
+   */
+  async getAlerts(userId, limit = 20) {
+    const versions = await ContentVersion.findAll({
+      where: { user_id: userId, alert: true, dismissed_at: null },
+      include: [{ model: Content, attributes: ['id', 'url', 'generated_title'] }],
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+    return versions.map(version => ({
+      ...this.serializeVersion(version),
+      content: version.Content ? { id: version.Content.id, url: version.Content.url, title: version.Content.generated_title || version.Content.url } : null
+    }));
+  }
+
+  async dismissAlert(userId, versionId) {
+    const [updated] = await ContentVersion.update(
+      { dismissed_at: new Date() },
+      { where: { id: versionId, user_id: userId, alert: true } }
+    );
+    if (!updated) throw new Error('Alert not found');
+  }
+
+  /**
+   * Start the monitoring loop (called once at server start)
+   * @param {number} intervalMs - Time between passes
+   */
+  startScheduler(intervalMs = INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), intervalMs);
+    this.timer.unref();
+    setTimeout(() => this.processDue(), 90000).unref();
+  }
+}
+
+module.exports = new ContentMonitorService();
@@ -0,0 +1,252 @@
+/**
+ * Email In
+ *
+ * Pure helpers for saving content by email: personal plus-addresses
+ * (save+TOKEN@domain), finding the token among a message's recipient
+ * headers, pulling links out of the body, picking body and attachment parts
+ * from an IMAP body structure, and the summary reply.
+ *
+ * Headers are the lower-cased name → array of values objects that
+ * imap-simple returns for a 'HEADER' fetch; parts are the flattened
+ * imap-simple getParts() output.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 12;
+const TOKEN_PATTERN = /^[a-f0-9]{24}$/;
+const MAX_URLS = 20;
+const MAX_ATTACHMENTS = 10;
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'to', 'cc'];
+
+const ADDRESS_PATTERN = /[^\s<>"',;:()]+@[^\s<>"',;:()]+\.[^\s<>"',;:()]+/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const HREF_PATTERN = /href\s*=\s*["']?(https?:\/\/[^"'\s>]+)/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?'")\]}>*]+$/;
+
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Split a configured base address into its parts
+ * @returns {Object|null} { local, domain }
+ */
+function splitAddress(address) {
+  const match = /^([^\s@+]+)@([^\s@]+\.[^\s@]+)$/.exec(String(address || '').trim().toLowerCase());
+  return match ? { local: match[1], domain: match[2] } : null;
+}
+
+/**
+ * Personal address of a user: the base address plus-addressed with the token
+ * @param {string} baseAddress - EMAIL_IN_ADDRESS, e.g. save@daysave.app
+ * @param {string} token - users.email_in_token
+ * @returns {string|null}
+ */
+function personalAddress(baseAddress, token) {
+  const base = splitAddress(baseAddress);
+  if (!base || !TOKEN_PATTERN.test(String(token || ''))) return null;
+  return `${base.local}+${token}@${base.domain}`;
+}
+
+/**
+ * Bare, lower-cased email addresses in header values
+ * ("Name <a@b.c>, d@e.f" → ['a@b.c', 'd@e.f'])
+ */
+function parseAddresses(values) {
+  const list = Array.isArray(values) ? values : [values];
+  const addresses = [];
+  list.filter(Boolean).forEach(value => {
+    (String(value).match(ADDRESS_PATTERN) || []).forEach(address => {
+      const clean = address.toLowerCase();
+      if (!addresses.includes(clean)) addresses.push(clean);
+    });
+  });
+  return addresses;
+}
+
+/**
+ * Token of the personal address a message was sent to
+ * @param {Object} headers - Parsed message headers
+ * @param {string} baseAddress - EMAIL_IN_ADDRESS
+ * @returns {string|null}
+ */
+function tokenFromHeaders(headers, baseAddress) {
+  const base = splitAddress(baseAddress);
+  if (!base || !headers) return null;
+  for (const name of RECIPIENT_HEADERS) {
+    for (const address of parseAddresses(headers[name])) {
+      const [local, domain] = address.split('@');
+      if (domain !== base.domain || !local.startsWith(`${base.local}+`)) continue;
+      const token = local.slice(base.local.length + 1);
+      if (TOKEN_PATTERN.test(token)) return token;
+    }
+  }
+  return null;
+}
+
+/**
+ * First value of a header
+ */
+function headerValue(headers, name) {
+  const value = headers && headers[name];
+  return String((Array.isArray(value) ? value[0] : value) || '').trim();
+}
+
+/**
+ * Message-ID without angle brackets, or null
+ */
+function messageIdOf(headers) {
+  const id = headerValue(headers, 'message-id').replace(/^<|>$/g, '').trim();
+  return id ? id.slice(0, 255) : null;
+}
+
+/**
+ * Subject without reply and forward prefixes
+ */
+function cleanSubject(subject) {
+  return String(subject || '').replace(/^(\s*(re|fwd?|aw|wg)\s*:\s*)+/i, '').trim().slice(0, 500);
+}
+
+function cleanUrl(url) {
+  let clean = url.replace(/&amp;/g, '&');
+  // Keep a closing parenthesis that belongs to the URL (e.g. Wikipedia links)
+  while (TRAILING_PUNCTUATION.test(clean)) {
+    const last = clean[clean.length - 1];
+    if (last === ')' && (clean.match(/\(/g) || []).length >= (clean.match(/\)/g) || []).length) break;
+    clean = clean.slice(0, -1);
+  }
+  try {
+    const parsed = new URL(clean);
+    return ['http:', 'https:'].includes(parsed.protocol) && parsed.hostname.includes('.') ? clean : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Links in a message body, in order of appearance and without duplicates
+ * @param {string} text - text/plain body
+ * @param {string} html - text/html body (links are taken from href attributes)
+ * @param {number} max - Maximum number of links
+ * @returns {Array<string>}
+ */
+function extractUrls(text, html, max = MAX_URLS) {
+  const urls = [];
+  const add = (candidate) => {
+    const url = cleanUrl(candidate);
+    if (url && !urls.includes(url) && urls.length < max) urls.push(url);
+  };
+  (String(text || '').match(URL_PATTERN) || []).forEach(add);
+  let match;
+  HREF_PATTERN.lastIndex = 0;
+  while ((match = HREF_PATTERN.exec(String(html || ''))) !== null) add(match[1]);
+  return urls;
+}
+
+/**
+ * MIME type of a body structure part
+ */
+function mimeTypeOf(part) {
+  return `${part.type || 'application'}/${part.subtype || 'octet-stream'}`.toLowerCase();
+}
+
+/**
+ * File name of an attachment part
+ */
+function attachmentName(part) {
+  const name = (part.disposition && part.disposition.params && part.disposition.params.filename) ||
+    (part.params && part.params.name);
+  return String(name || `attachment-${part.partID}`).replace(/[\\/]/g, '_').trim();
+}
+
+/**
+ * Split a message's parts into its text and HTML bodies and its attachments
+ * @param {Array<Object>} parts - imap-simple getParts(struct)
+ * @returns {Object} { text, html, attachments } (parts; text/html may be null)
+ */
+function messageParts(parts) {
+  const result = { text: null, html: null, attachments: [] };
+  (parts || []).forEach(part => {
+    const disposition = String((part.disposition && part.disposition.type) || '').toLowerCase();
+    const type = mimeTypeOf(part);
+    const named = !!((part.disposition && part.disposition.params && part.disposition.params.filename) ||
+      (part.params && part.params.name));
+
+    if (disposition === 'attachment' || (named && !type.startsWith('text/')) || (disposition === 'inline' && named)) {
+      if (result.attachments.length < MAX_ATTACHMENTS) result.attachments.push(part);
+      return;
+    }
+    if (type === 'text/plain' && !result.text) result.text = part;
+    else if (type === 'text/html' && !result.html) result.html = part;
+  });
+  return result;
+}
+
+/**
+ * Decoded size estimate of a part, from its transfer-encoded size
+ */
+function decodedSize(part) {
+  const size = part.size || 0;
+  return String(part.encoding || '').toUpperCase() === 'BASE64' ? Math.floor(size * 3 / 4) : size;
+}
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escape = (value) => String(value || '').replace(/[&<>"']/g, c => ENTITIES[c]);
+
+/**
+ * Summary reply for a processed message
+ * @param {Object} options
+ * @param {Object} options.user - { username }
+ * @param {string} options.subject - Subject of the received email
+ * @param {Array<Object>} options.items - { type: 'content'|'file', id, title, summary, status }
+ * @param {Array<Object>} options.errors - { item, error }
+ * @param {string} options.baseUrl - Public URL of this DaySave instance
+ * @returns {Object} { subject, html }
+ */
+function buildSummary({ user, subject, items = [], errors = [], baseUrl }) {
+  const lines = items.map(item => {
+    const base = item.type === 'file' ? 'files' : 'content';
+    const summary = item.summary ? `<br><small>${escape(String(item.summary).slice(0, 300))}</small>` : '';
+    const status = item.status === 'ready' ? '' : ` <em>(${escape(item.status)})</em>`;
+    return `<li><a href="${baseUrl}/${base}/${item.id}/analysis/view">${escape(item.title)}</a>${status}${summary}</li>`;
+  });
+  const failures = errors.map(entry => `<li>${escape(entry.item)}: ${escape(entry.error)}</li>`);
+
+  let html = `<p>Hello ${escape(user.username)},</p>`;
+  if (items.length) {
+    html += `<p>Saved from your email${subject ? ` "${escape(subject)}"` : ''}:</p><ul>${lines.join('')}</ul>`;
+  } else {
+    html += '<p>No links or attachments were found in your email, so nothing was saved.</p>';
+  }
+  if (failures.length) html += `<p>These could not be saved:</p><ul>${failures.join('')}</ul>`;
+  html += `<p><a href="${baseUrl}/content">Open your library</a></p>`;
+
+  const count = items.length;
+  return {
+    subject: count ? `Saved ${count} item${count === 1 ? '' : 's'}${subject ? `: ${subject}` : ''}` : `Nothing saved${subject ? `: ${subject}` : ''}`,
+    html
+  };
+}
+
+module.exports = {
+  MAX_URLS,
+  MAX_ATTACHMENTS,
+  generateToken,
+  splitAddress,
+  personalAddress,
+  parseAddresses,
+  tokenFromHeaders,
+  headerValue,
+  messageIdOf,
+  cleanSubject,
+  extractUrls,
+  mimeTypeOf,
+  attachmentName,
+  messageParts,
+  decodedSize,
+  buildSummary
+};
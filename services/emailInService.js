@@ -0,0 +1,440 @@
+/**
+ * Email In Service
+ *
+ * Save content by forwarding emails to a personal DaySave address. A
+ * mailbox poller reads the configured IMAP inbox; each message is mapped to
+ * a user by the token in its plus-address (save+TOKEN@domain), links in the
+ * body become Content records and attachments become File records, and both
+ * go through the normal analysis queue. When the analysis jobs of a message
+ * have finished, the user gets a summary email.
+ *
+ * FEATURES:
+ * - Scheduled IMAP poll of unseen messages (EMAIL_IN_POLL_MS, default 1 min)
+ * - Per-user secret addresses; regenerating the token retires the old address
+ * - Subscription limits as for the web and API (content_items, file_uploads,
+ *   storage_mb) and the admin upload settings for attachments
+ * - Each message is saved once: its email_in_messages row (keyed by
+ *   Message-ID) is claimed before any item is saved, and the message is
+ *   marked \Seen once handled
+ * - The summary goes to the account's email address, never to the sender,
+ *   so a forged From header cannot be used to read someone's library
+ * - Works against any IMAP server, including the GreenMail container in
+ *   docker-compose.yml (profile "email-in") for local testing
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const imaps = require('imap-simple');
+const { Op } = require('sequelize');
+const { Content, File, User, EmailInMessage, ProcessingJob } = require('../models');
+const logger = require('../config/logger');
+const { logAuthEvent, logAuthError } = logger;
+const sendMail = require('../utils/send-mail');
+const subscriptionService = require('./subscriptionService');
+const webhookService = require('./webhookService');
+const FileUploadService = require('./fileUpload');
+const mediaLocation = require('./mediaLocation');
+const { queueMultimediaAnalysis } = require('./contentAnalysisService');
+const { queueFileAnalysis, isMultimediaFile } = require('./fileAnalysisService');
+const { ContentTypeDetector } = require('../scripts/populate-content-types');
+const emailIn = require('./emailIn');
+
+const POLL_MS = parseInt(process.env.EMAIL_IN_POLL_MS, 10) || 60 * 1000;
+// Reply even if analysis is still running after this long
+const SUMMARY_TIMEOUT_MS = 30 * 60 * 1000;
+// A message still 'processing' after this long was claimed by a poller that died while saving it
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+const ACTIVE_JOB_STATUSES = ['pending', 'retrying', 'processing'];
+const MAX_MESSAGES_PER_POLL = 25;
+
+class EmailInService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Base address users forward to (EMAIL_IN_ADDRESS), or null
+   */
+  getBaseAddress() {
+    return emailIn.splitAddress(process.env.EMAIL_IN_ADDRESS) ? process.env.EMAIL_IN_ADDRESS.trim().toLowerCase() : null;
+  }
+
+  isEnabled() {
+    return process.env.EMAIL_IN_ENABLED === 'true' && !!process.env.EMAIL_IN_IMAP_HOST && !!this.getBaseAddress();
+  }
+
+  imapConfig() {
+    return {
+      imap: {
+        host: process.env.EMAIL_IN_IMAP_HOST,
+        port: parseInt(process.env.EMAIL_IN_IMAP_PORT, 10) || 993,
+        tls: process.env.EMAIL_IN_IMAP_TLS !== 'false',
+        user: process.env.EMAIL_IN_IMAP_USER,
+        password: process.env.EMAIL_IN_IMAP_PASSWORD,
+        authTimeout: 10000
+      }
+    };
+  }
+
+  /**
+   * Personal address of a user, or null when email-in is off for them
+   * @param {Object} user - { email_in_token }
+   */
+  addressFor(user) {
+    const base = this.getBaseAddress();
+    return base && user && user.email_in_token ? emailIn.personalAddress(base, user.email_in_token) : null;
+  }
+
+  /**
+   * Give a user a new personal address; the previous one stops working
+   * @returns {Promise<string>} The new address
+   */
+  async regenerateAddress(userId) {
+    const token = emailIn.generateToken();
+    await User.update({ email_in_token: token }, { where: { id: userId } });
+    logAuthEvent('EMAIL_IN_ADDRESS_CREATED', { userId, targetType: 'user', targetId: userId });
+    return this.addressFor({ email_in_token: token });
+  }
+
+  async disableAddress(userId) {
+    await User.update({ email_in_token: null }, { where: { id: userId } });
+    logAuthEvent('EMAIL_IN_ADDRESS_DISABLED', { userId, targetType: 'user', targetId: userId });
+  }
+
+  /**
+   * Decoded body part as text
+   */
+  async readText(connection, message, part) {
+    if (!part) return '';
+    const data = await connection.getPartData(message, part);
+    return Buffer.isBuffer(data) ? data.toString('utf8') : String(data || '');
+  }
+
+  /**
+   * Save one link as a Content record and queue its analysis
+   */
+  async saveUrl(user, url, comment) {
+    const usage = await subscriptionService.checkUsageLimit(user.id, 'content_items', 1);
+    if (!usage.allowed) throw new Error('Content item limit reached for the current subscription plan');
+
+    const content = await Content.create({
+      user_id: user.id,
+      url,
+      user_comments: comment,
+      user_tags: [],
+      content_type: new ContentTypeDetector().detectFromUrl(url) || 'unknown'
+    });
+    await subscriptionService.updateUsage(user.id, 'content_items', 1);
+    logger.user.contentAdd(user.id, content.id, url, content.content_type);
+    webhookService.emit(user.id, 'content.created', {
+      content: { id: content.id, url, content_type: content.content_type, source: 'email' }
+    });
+
+    await queueMultimediaAnalysis(content, user, { reason: 'email_in' });
+    return content;
+  }
+
+  /**
+   * Save one attachment as a File record and queue its analysis
+   */
+  async saveAttachment(connection, message, user, part, comment) {
+    const originalname = emailIn.attachmentName(part);
+    const mimetype = emailIn.mimeTypeOf(part);
+    const estimate = emailIn.decodedSize(part);
+
+    // Check before downloading so oversized attachments are never fetched
+    const precheck = await FileUploadService.validateFile({ size: estimate, mimetype });
+    if (!precheck.isValid) throw new Error(precheck.errors.join('; '));
+    const storageMb = Math.ceil(estimate / (1024 * 1024));
+    for (const [feature, amount] of [['file_uploads', 1], ['storage_mb', storageMb]]) {
+      const usage = await subscriptionService.checkUsageLimit(user.id, feature, amount);
+      if (!usage.allowed) throw new Error(`${feature === 'file_uploads' ? 'File upload' : 'Storage'} limit reached for the current subscription plan`);
+    }
+
+    const data = await connection.getPartData(message, part);
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data || ''), 'utf8');
+    const file = { originalname, buffer, mimetype, size: buffer.length };
+    const validation = await FileUploadService.validateFile(file);
+    if (!validation.isValid) throw new Error(validation.errors.join('; '));
+
+    const uploadResult = await FileUploadService.uploadFile(file, user.id, {
+      makePublic: false,
+      metadata: { uploadedBy: user.id, uploadMethod: 'email_in' }
+    });
+    const detector = new ContentTypeDetector();
+    const fileRecord = await File.create({
+      user_id: user.id,
+      filename: originalname,
+      file_path: uploadResult.filePath,
+      metadata: {
+        size: uploadResult.size,
+        mimetype: uploadResult.mimetype,
+        storage: uploadResult.storage,
+        uploadedAt: new Date().toISOString(),
+        publicUrl: uploadResult.publicUrl
+      },
+      user_comments: comment,
+      user_tags: [],
+      content_type: detector.detectFromMimeType(uploadResult.mimetype) || detector.detectFromFilename(originalname) || 'unknown',
+      location: mediaLocation.readMediaLocation(buffer, uploadResult.mimetype)
+    });
+    await subscriptionService.updateUsage(user.id, 'file_uploads', 1);
+    await subscriptionService.updateUsage(user.id, 'storage_mb', Math.ceil(uploadResult.size / (1024 * 1024)));
+    webhookService.emit(user.id, 'file.uploaded', {
+      file: { id: fileRecord.id, filename: originalname, size: uploadResult.size, mimetype: uploadResult.mimetype, source: 'email' }
+    });
+
+    if (isMultimediaFile(uploadResult.mimetype)) {
+      await queueFileAnalysis(fileRecord, user, { reason: 'email_in' });
+    }
+    return fileRecord;
+  }
+
+  /**
+   * Save the links and attachments of one message
+   * @returns {Promise<Object|null>} The email_in_messages row, or null when the message is not for a known user
+   */
+  async processMessage(connection, message) {
+    const header = message.parts.find(part => part.which === 'HEADER');
+    const headers = header ? header.body : {};
+    const token = emailIn.tokenFromHeaders(headers, this.getBaseAddress());
+    const user = token && await User.findOne({ where: { email_in_token: token }, attributes: ['id', 'username', 'email'] });
+    if (!user) {
+      logAuthEvent('EMAIL_IN_UNKNOWN_RECIPIENT', { uid: message.attributes.uid, hasToken: !!token });
+      return null;
+    }
+
+    const messageId = emailIn.messageIdOf(headers) || `uid-${message.attributes.uid}-${headers.date ? headers.date[0] : ''}`;
+    const existing = await EmailInMessage.findOne({ where: { user_id: user.id, message_id: messageId } });
+    if (existing) return existing;
+
+    const subject = emailIn.cleanSubject(emailIn.headerValue(headers, 'subject'));
+    const from = emailIn.parseAddresses(headers.from)[0] || null;
+
+    // Claim the message before saving anything, so a failure later on (or a
+    // second poller) never saves its links and attachments twice
+    let row;
+    try {
+      row = await EmailInMessage.create({
+        user_id: user.id,
+        message_id: messageId,
+        from_address: from,
+        subject: subject || null,
+        status: 'processing'
+      });
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      return EmailInMessage.findOne({ where: { user_id: user.id, message_id: messageId } });
+    }
+
+    let parts;
+    let text;
+    let html;
+    try {
+      parts = emailIn.messageParts(imaps.getParts(message.attributes.struct || []));
+      [text, html] = await Promise.all([
+        this.readText(connection, message, parts.text),
+        this.readText(connection, message, parts.html)
+      ]);
+    } catch (error) {
+      // Nothing saved yet: release the claim so the next poll tries again
+      await row.destroy();
+      throw error;
+    }
+
+    const contentIds = [];
+    const fileIds = [];
+    const errors = [];
+    try {
+      for (const url of emailIn.extractUrls(text, html)) {
+        try {
+          contentIds.push((await this.saveUrl(user, url, subject)).id);
+        } catch (error) {
+          errors.push({ item: url, error: error.message });
+        }
+      }
+      for (const part of parts.attachments) {
+        try {
+          fileIds.push((await this.saveAttachment(connection, message, user, part, subject)).id);
+        } catch (error) {
+          errors.push({ item: emailIn.attachmentName(part), error: error.message });
+        }
+      }
+    } catch (error) {
+      errors.push({ item: subject || 'message', error: `Saving stopped early: ${error.message}` });
+      throw error;
+    } finally {
+      // Whatever was saved gets its summary reply; the claim is never left open
+      await row.update({
+        status: 'queued',
+        content_ids: contentIds,
+        file_ids: fileIds,
+        errors
+      });
+    }
+    logAuthEvent('EMAIL_IN_MESSAGE_SAVED', {
+      userId: user.id,
+      targetType: 'email_in_message',
+      targetId: row.id,
+      contentCount: contentIds.length,
+      fileCount: fileIds.length,
+      errorCount: errors.length
+    });
+    return row;
+  }
+
+  markSeen(connection, uid) {
+    return new Promise((resolve, reject) => {
+      connection.imap.addFlags(uid, ['\\Seen'], error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Read unseen messages from the inbox
+   * @returns {Promise<number>} Number of messages handled
+   */
+  async pollMailbox() {
+    const connection = await imaps.connect(this.imapConfig());
+    let handled = 0;
+    try {
+      await connection.openBox(process.env.EMAIL_IN_MAILBOX || 'INBOX');
+      const messages = await connection.search(['UNSEEN'], { bodies: ['HEADER'], struct: true, markSeen: false });
+      for (const message of messages.slice(0, MAX_MESSAGES_PER_POLL)) {
+        try {
+          await this.processMessage(connection, message);
+          await this.markSeen(connection, message.attributes.uid);
+          handled += 1;
+        } catch (error) {
+          // Left unseen, so the next poll tries again
+          logAuthError('EMAIL_IN_MESSAGE_ERROR', error, { uid: message.attributes.uid });
+        }
+      }
+    } finally {
+      connection.end();
+    }
+    return handled;
+  }
+
+  /**
+   * Current state of the items saved from a message
+   */
+  async loadItems(row) {
+    const contentIds = row.content_ids || [];
+    const fileIds = row.file_ids || [];
+    const attributes = ['id', 'generated_title', 'summary'];
+    const [contents, files, activeJobs] = await Promise.all([
+      contentIds.length ? Content.findAll({ where: { id: contentIds, user_id: row.user_id }, attributes: [...attributes, 'url'] }) : [],
+      fileIds.length ? File.findAll({ where: { id: fileIds, user_id: row.user_id }, attributes: [...attributes, 'filename'] }) : [],
+      ProcessingJob.findAll({
+        where: {
+          status: ACTIVE_JOB_STATUSES,
+          [Op.or]: [
+            ...(contentIds.length ? [{ content_id: contentIds }] : []),
+            ...(fileIds.length ? [{ file_id: fileIds }] : [])
+          ]
+        },
+        attributes: ['content_id', 'file_id']
+      })
+    ]);
+    const busy = new Set(activeJobs.map(job => job.content_id || job.file_id));
+    const status = (record) => (busy.has(record.id) ? 'still analyzing' : 'ready');
+
+    return {
+      pending: busy.size,
+      items: [
+        ...contents.map(content => ({ type: 'content', id: content.id, title: content.generated_title || content.url, summary: content.summary, status: status(content) })),
+        ...files.map(file => ({ type: 'file', id: file.id, title: file.generated_title || file.filename, summary: file.summary, status: status(file) }))
+      ]
+    };
+  }
+
+  /**
+   * Queue messages left in 'processing' by a poller that stopped while saving
+   * them (crash, restart), so their sender still gets a summary
+   * @returns {Promise<number>} Messages recovered
+   */
+  async recoverStaleMessages() {
+    const [recovered] = await EmailInMessage.update({
+      status: 'queued',
+      errors: [{ item: 'message', error: 'Saving was interrupted; some links or attachments may be missing' }]
+    }, {
+      where: { status: 'processing', updatedAt: { [Op.lt]: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    });
+    if (recovered) logAuthEvent('EMAIL_IN_STALE_MESSAGES_RECOVERED', { count: recovered });
+    return recovered;
+  }
+
+  /**
+   * Reply to messages whose analysis has finished (or timed out)
+   * @returns {Promise<number>} Number of replies sent
+   */
+  async sendSummaries() {
+    await this.recoverStaleMessages();
+
+    const rows = await EmailInMessage.findAll({
+      where: { status: 'queued' },
+      include: [{ model: User, attributes: ['id', 'username', 'email'] }],
+      order: [['createdAt', 'ASC']],
+      limit: 50
+    });
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.APP_PORT || 3000}`;
+    let sent = 0;
+
+    for (const row of rows) {
+      try {
+        const { pending, items } = await this.loadItems(row);
+        const waited = Date.now() - new Date(row.createdAt).getTime();
+        if (pending && waited < SUMMARY_TIMEOUT_MS) continue;
+
+        const { subject, html } = emailIn.buildSummary({ user: row.User, subject: row.subject, items, errors: row.errors || [], baseUrl });
+        try {
+          await sendMail({ to: row.User.email, subject, html });
+          await row.update({ status: 'replied', replied_at: new Date() });
+          sent += 1;
+        } catch (error) {
+          // sendMail already logged it; the items are saved either way
+          await row.update({ status: 'failed' });
+        }
+      } catch (error) {
+        logAuthError('EMAIL_IN_SUMMARY_ERROR', error, { userId: row.user_id, messageId: row.id });
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * One poll: read new mail, then send the summaries that are due
+   */
+  async poll() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const handled = await this.pollMailbox();
+      if (handled) logAuthEvent('EMAIL_IN_POLLED', { messages: handled });
+    } catch (error) {
+      logAuthError('EMAIL_IN_POLL_ERROR', error, { host: process.env.EMAIL_IN_IMAP_HOST });
+    }
+    try {
+      await this.sendSummaries();
+    } catch (error) {
+      logAuthError('EMAIL_IN_SUMMARY_LOOP_ERROR', error, {});
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the mailbox poller (called once at server start when EMAIL_IN_ENABLED)
+   * @param {number} intervalMs - Time between polls
+   */
+  startPoller(intervalMs = POLL_MS) {
+    if (this.timer || !this.isEnabled()) return;
+    this.timer = setInterval(() => this.poll(), intervalMs);
+    this.timer.unref();
+    setTimeout(() => this.poll(), 5000).unref();
+  }
+}
+
+module.exports = new EmailInService();
@@ -0,0 +1,207 @@
+/**
+ * Embedding Service
+ *
+ * Optional semantic search. Each analysed item's title, summary, tags and
+ * transcript are embedded once and the vector is stored locally in
+ * search_embeddings; "find similar" and semantic queries compare vectors in
+ * memory, so only new or changed text calls the embedding API.
+ *
+ * FEATURES:
+ * - Enabled with SEARCH_EMBEDDINGS=true and an embeddings provider: OPENAI_API_KEY
+ *   or a self-hosted server (MM_AI_EMBEDDINGS_BASE_URL); model: MM_AI_EMBEDDINGS_MODEL
+ *   or SEARCH_EMBEDDING_MODEL, default text-embedding-3-small
+ * - Items are (re)embedded when their analysis job completes; unchanged
+ *   text (same SHA-256) is skipped
+ * - Usage recorded through AiUsageTracker
+ * - scripts/backfill-search-embeddings.js embeds existing items
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+const { SearchEmbedding } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const AiUsageTracker = require('./aiUsageTracker');
+const OpenAICompatibleProvider = require('./multimedia/OpenAICompatibleProvider');
+const jobQueueService = require('./jobQueueService');
+const searchService = require('./searchService');
+
+const MAX_TEXT_LENGTH = 8000;
+const MAX_COMPARED_VECTORS = 5000;
+
+class EmbeddingService {
+  constructor() {
+    this.ai = OpenAICompatibleProvider.getInstance();
+    this.aiUsageTracker = new AiUsageTracker();
+
+    jobQueueService.on('jobCompleted', ({ job }) => {
+      if (!this.isEnabled()) return;
+      const [itemType, id] = job.content_id ? ['content', job.content_id] : ['file', job.file_id];
+      this.indexItem(job.user_id, itemType, id)
+        .catch(error => logAuthError('SEARCH_EMBEDDING_INDEX_ERROR', error, { userId: job.user_id, itemType, itemId: id }));
+    });
+  }
+
+  isEnabled() {
+    return process.env.SEARCH_EMBEDDINGS === 'true' && this.ai.isAvailable('embeddings');
+  }
+
+  // Stored with each vector, so changing the model re-embeds items
+  get model() {
+    return this.ai.model('embeddings', 'text-embedding-3-small');
+  }
+
+  /**
+   * Text that represents an item for similarity
+   * @param {Object} doc - searchService document
+   * @returns {string} Text, at most MAX_TEXT_LENGTH characters
+   */
+  documentText(doc) {
+    const { title, tags, summary, comments, object, transcript } = doc.fields;
+    return [title, tags, summary, comments, object, transcript]
+      .filter(Boolean)
+      .join('\n')
+      .slice(0, MAX_TEXT_LENGTH);
+  }
+
+  /**
+   * @param {string} text - Text to embed
+   * @param {Object} usage - { userId, contentId, fileId } for usage tracking
+   * @returns {Promise<number[]>} Vector
+   */
+  async embed(text, { userId, contentId = null, fileId = null } = {}) {
+    const startTime = Date.now();
+    const response = await this.ai.embed({ model: this.model, input: text });
+
+    if (userId) {
+      await this.aiUsageTracker.trackOpenAIUsage({
+        userId,
+        response,
+        model: this.model,
+        operationType: 'other',
+        contentId,
+        fileId,
+        requestDurationMs: Date.now() - startTime,
+        metadata: { purpose: 'search_embedding', textLength: text.length }
+      }).catch(error => logAuthError('SEARCH_EMBEDDING_USAGE_ERROR', error, { userId }));
+    }
+    return response.data[0].embedding;
+  }
+
+  /**
+   * Embed one item unless its text is unchanged
+   * @returns {Promise<Object|null>} SearchEmbedding, or null when the item has no text
+   */
+  async indexItem(userId, itemType, id) {
+    const [doc] = await searchService.loadDocuments(userId, {
+      content: itemType === 'content' ? [id] : [],
+      file: itemType === 'file' ? [id] : []
+    });
+    if (!doc) return null;
+    const text = this.documentText(doc);
+    if (!text.trim()) return null;
+
+    const sourceHash = crypto.createHash('sha256').update(text).digest('hex');
+    const ref = itemType === 'content' ? { content_id: id } : { file_id: id };
+    const existing = await SearchEmbedding.findOne({ where: { ...ref, model: this.model } });
+    if (existing && existing.source_hash === sourceHash) return existing;
+
+    const vector = await this.embed(text, { userId, contentId: ref.content_id, fileId: ref.file_id });
+    const values = { user_id: userId, ...ref, model: this.model, dimensions: vector.length, vector, source_hash: sourceHash };
+    const record = existing ? await existing.update(values) : await SearchEmbedding.create(values);
+
+    logAuthEvent('SEARCH_EMBEDDING_INDEXED', { userId, itemType, itemId: id, dimensions: vector.length });
+    return record;
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Closest stored vectors to a vector
+   * @returns {Promise<Array<{itemType: string, id: string, similarity: number}>>}
+   */
+  async nearest(userId, vector, { limit = 20, exclude = null } = {}) {
+    const rows = await SearchEmbedding.findAll({
+      where: { user_id: userId, model: this.model },
+      attributes: ['content_id', 'file_id', 'vector'],
+      order: [['updatedAt', 'DESC']],
+      limit: MAX_COMPARED_VECTORS
+    });
+
+    return rows
+      .map(row => ({
+        itemType: row.content_id ? 'content' : 'file',
+        id: row.content_id || row.file_id,
+        similarity: this.cosine(vector, row.vector)
+      }))
+      .filter(hit => !(exclude && hit.itemType === exclude.itemType && hit.id === exclude.id))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Items most similar to a given item (embedding it first if needed)
+   */
+  async similarToItem(userId, itemType, id, { limit = 20 } = {}) {
+    const ref = itemType === 'content' ? { content_id: id } : { file_id: id };
+    let source = await SearchEmbedding.findOne({ where: { ...ref, user_id: userId, model: this.model } });
+    if (!source) source = await this.indexItem(userId, itemType, id);
+    if (!source) return [];
+    return this.hydrate(userId, await this.nearest(userId, source.vector, { limit, exclude: { itemType, id } }));
+  }
+
+  /**
+   * Items closest in meaning to free text
+   */
+  async semanticSearch(userId, text, { limit = 20 } = {}) {
+    const vector = await this.embed(text.slice(0, MAX_TEXT_LENGTH), { userId });
+    return this.hydrate(userId, await this.nearest(userId, vector, { limit }));
+  }
+
+  async hydrate(userId, hits) {
+    const docs = await searchService.loadDocuments(userId, {
+      content: hits.filter(hit => hit.itemType === 'content').map(hit => hit.id),
+      file: hits.filter(hit => hit.itemType === 'file').map(hit => hit.id)
+    });
+    const byKey = new Map(docs.map(doc => [`${doc.itemType}:${doc.id}`, doc]));
+    return hits
+      .filter(hit => byKey.has(`${hit.itemType}:${hit.id}`))
+      .map(hit => ({
+        ...searchService.serialize(byKey.get(`${hit.itemType}:${hit.id}`)),
+        similarity: Math.round(hit.similarity * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Embed a user's items that have no vector for the current model yet
+   * @returns {Promise<number>} Items embedded
+   */
+  async backfill(userId, { limit = 200 } = {}) {
+    const existing = await SearchEmbedding.findAll({
+      where: { user_id: userId, model: this.model },
+      attributes: ['content_id', 'file_id'],
+      raw: true
+    });
+    const done = new Set(existing.map(row => row.content_id || row.file_id));
+    const docs = await searchService.loadDocuments(userId, { content: null, file: null });
+
+    let embedded = 0;
+    for (const doc of docs.filter(candidate => !done.has(candidate.id)).slice(0, limit)) {
+      if (await this.indexItem(userId, doc.itemType, doc.id)) embedded++;
+    }
+    return embedded;
+  }
+}
+
+module.exports = new EmbeddingService();
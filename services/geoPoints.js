@@ -0,0 +1,185 @@
+/**
+ * Geo Points
+ *
+ * Pure helpers for the map view: address normalization for the geocode
+ * cache, coordinate parsing, bounding boxes, distances and grid clustering
+ * of map points.
+ *
+ * Point:   { id, kind: 'contact' | 'content' | 'file', lat, lng, title, label }
+ * Bounds:  { south, west, north, east } (west > east crosses the antimeridian)
+ * Cluster: { lat, lng, count, kinds: { contact, content, file }, bounds, points }
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+
+const EARTH_RADIUS_KM = 6371;
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 21;
+const DEFAULT_ZOOM = 2;
+// Grid cells per 256px map tile; about 64px per cluster on screen
+const CELLS_PER_TILE = 4;
+const MAX_CLUSTER_POINTS = 10;
+const MAX_ADDRESS_LENGTH = 500;
+const KINDS = ['contact', 'content', 'file'];
+
+/**
+ * Address text used as the geocode cache key
+ * @param {string|Object} address - String or { value } from contacts.addresses
+ */
+function normalizeAddress(address) {
+  const value = typeof address === 'string' ? address : (address && address.value) || '';
+  return String(value)
+    .replace(/[\r\n]+/g, ', ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/(, )+/g, ', ')
+    .replace(/^, |, $/g, '')
+    .trim()
+    .slice(0, MAX_ADDRESS_LENGTH);
+}
+
+function addressHash(normalized) {
+  return crypto.createHash('sha256').update(normalized.toLowerCase()).digest('hex');
+}
+
+function validCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Coordinates of a stored location, whichever shape it was saved in
+ * @param {Object} location - { lat, lng } | { latitude, longitude } | { lat, lon } | GeoJSON Point
+ * @returns {Object|null} { lat, lng }
+ */
+function coordinatesOf(location) {
+  if (!location || typeof location !== 'object') return null;
+  let lat;
+  let lng;
+  if (location.type === 'Point' && Array.isArray(location.coordinates)) {
+    [lng, lat] = location.coordinates;
+  } else {
+    lat = location.lat ?? location.latitude;
+    lng = location.lng ?? location.lon ?? location.longitude;
+  }
+  lat = parseFloat(lat);
+  lng = parseFloat(lng);
+  return validCoordinates(lat, lng) ? { lat, lng } : null;
+}
+
+/**
+ * "lat,lng" → { lat, lng }
+ */
+function parsePoint(value) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value || ''));
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return validCoordinates(lat, lng) ? { lat, lng } : null;
+}
+
+/**
+ * "south,west,north,east" (Google LatLngBounds.toUrlValue) → Bounds
+ */
+function parseBounds(value) {
+  const parts = String(value || '').split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+  const [south, west, north, east] = parts;
+  if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90 || Math.abs(west) > 180 || Math.abs(east) > 180) return null;
+  return { south, west, north, east };
+}
+
+function inBounds(point, bounds) {
+  if (!bounds) return true;
+  if (point.lat < bounds.south || point.lat > bounds.north) return false;
+  return bounds.west <= bounds.east
+    ? point.lng >= bounds.west && point.lng <= bounds.east
+    : point.lng >= bounds.west || point.lng <= bounds.east;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance in kilometres (haversine)
+ */
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Box that contains every point within radiusKm of a center (for a first SQL pass)
+ */
+function boundsAround(center, radiusKm) {
+  const dLat = radiusKm / 111.32;
+  const south = Math.max(-90, center.lat - dLat);
+  const north = Math.min(90, center.lat + dLat);
+  const cos = Math.cos(toRadians(Math.max(Math.abs(south), Math.abs(north))));
+  if (north >= 90 || south <= -90 || cos < 1e-6 || radiusKm / (111.32 * cos) >= 180) {
+    return { south, west: -180, north, east: 180 };
+  }
+  const dLng = radiusKm / (111.32 * cos);
+  const wrap = lng => ((lng + 540) % 360) - 180;
+  return { south, west: wrap(center.lng - dLng), north, east: wrap(center.lng + dLng) };
+}
+
+function parseZoom(value) {
+  const zoom = parseInt(value, 10);
+  if (!Number.isFinite(zoom)) return DEFAULT_ZOOM;
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+/**
+ * Group points that fall into the same grid cell at a zoom level
+ * @param {Array<Object>} points
+ * @param {number} zoom - Map zoom (0 = whole world in one 256px tile)
+ * @returns {Array<Object>} clusters, largest first
+ */
+function clusterPoints(points, zoom) {
+  const cell = 360 / (2 ** parseZoom(zoom)) / CELLS_PER_TILE;
+  const cells = new Map();
+
+  points.forEach(point => {
+    const key = `${Math.floor((point.lat + 90) / cell)}:${Math.floor((point.lng + 180) / cell)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+
+  return [...cells.values()].map(members => {
+    const kinds = Object.fromEntries(KINDS.map(kind => [kind, 0]));
+    members.forEach(point => { kinds[point.kind] = (kinds[point.kind] || 0) + 1; });
+    const lats = members.map(point => point.lat);
+    const lngs = members.map(point => point.lng);
+    return {
+      lat: lats.reduce((sum, lat) => sum + lat, 0) / members.length,
+      lng: lngs.reduce((sum, lng) => sum + lng, 0) / members.length,
+      count: members.length,
+      kinds,
+      bounds: { south: Math.min(...lats), west: Math.min(...lngs), north: Math.max(...lats), east: Math.max(...lngs) },
+      points: members.slice(0, MAX_CLUSTER_POINTS)
+    };
+  }).sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  KINDS,
+  DEFAULT_ZOOM,
+  MAX_ZOOM,
+  MAX_CLUSTER_POINTS,
+  normalizeAddress,
+  addressHash,
+  coordinatesOf,
+  parsePoint,
+  parseBounds,
+  inBounds,
+  distanceKm,
+  boundsAround,
+  parseZoom,
+  clusterPoints
+};
@@ -0,0 +1,147 @@
+/**
+ * Geocoding Service
+ *
+ * Address → coordinates through the Google Geocoding API, with every answer
+ * stored in the geocode_cache table so an address is looked up once for
+ * all users and renders.
+ *
+ * FEATURES:
+ * - Cached lookups keyed by the normalized address (geoPoints.normalizeAddress)
+ * - "No results" answers are cached too and retried after NOT_FOUND_TTL_DAYS
+ * - Bulk cache reads for map rendering; at most a few uncached addresses are
+ *   looked up per request so the cache fills gradually
+ * - Quota and key errors are not cached
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const fetch = require('node-fetch');
+const { GeocodeCache } = require('../models');
+const { getGoogleMapsConfig, isGoogleMapsConfigured } = require('../config/maps');
+const { logAuthError } = require('../config/logger');
+const geoPoints = require('./geoPoints');
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const NOT_FOUND_TTL_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GeocodingService {
+  isConfigured() {
+    return isGoogleMapsConfigured();
+  }
+
+  toResult(entry) {
+    if (!entry || entry.status !== 'ok') return null;
+    return {
+      lat: parseFloat(entry.latitude),
+      lng: parseFloat(entry.longitude),
+      formatted_address: entry.formatted_address
+    };
+  }
+
+  isFresh(entry) {
+    return entry.status === 'ok' || Date.now() - new Date(entry.updatedAt).getTime() < NOT_FOUND_TTL_DAYS * DAY_MS;
+  }
+
+  /**
+   * Cached results for many addresses, without calling the API
+   * @param {Array<string>} addresses - Normalized addresses
+   * @returns {Promise<Map>} address → { lat, lng, formatted_address } | null; uncached addresses are absent
+   */
+  async lookupCached(addresses) {
+    const unique = [...new Set(addresses.filter(Boolean))];
+    if (!unique.length) return new Map();
+    const byHash = new Map(unique.map(address => [geoPoints.addressHash(address), address]));
+    const entries = await GeocodeCache.findAll({ where: { query_hash: [...byHash.keys()] } });
+
+    const found = new Map();
+    entries.filter(entry => this.isFresh(entry)).forEach(entry => {
+      found.set(byHash.get(entry.query_hash), this.toResult(entry));
+    });
+    return found;
+  }
+
+  /**
+   * Geocode one address, from the cache when possible
+   * @param {string|Object} address - Address text or { value }
+   * @returns {Promise<Object|null>} { lat, lng, formatted_address, cached } or null when nothing was found
+   */
+  async geocode(address) {
+    const query = geoPoints.normalizeAddress(address);
+    if (!query) return null;
+    const query_hash = geoPoints.addressHash(query);
+
+    const cached = await GeocodeCache.findOne({ where: { query_hash } });
+    if (cached && this.isFresh(cached)) {
+      const result = this.toResult(cached);
+      return result && { ...result, cached: true };
+    }
+
+    if (!this.isConfigured()) throw new Error('Geocoding is not configured');
+    const url = `${GEOCODE_URL}?address=${encodeURIComponent(query)}&key=${getGoogleMapsConfig().apiKey}`;
+    const response = await fetch(url);
+    const data = await response.json();
+
+    const entry = { query_hash, query, status: 'not_found', latitude: null, longitude: null, formatted_address: null };
+    if (cached) entry.id = cached.id;
+
+    if (data.status === 'ZERO_RESULTS') {
+      await GeocodeCache.upsert(entry);
+      return null;
+    }
+    if (!response.ok || data.status !== 'OK' || !data.results || !data.results.length) {
+      throw new Error(`Geocoding failed: ${data.status || response.status}${data.error_message ? ` (${data.error_message})` : ''}`);
+    }
+
+    const top = data.results[0];
+    Object.assign(entry, {
+      status: 'ok',
+      latitude: top.geometry.location.lat,
+      longitude: top.geometry.location.lng,
+      formatted_address: top.formatted_address || null
+    });
+    await GeocodeCache.upsert(entry);
+    return { ...this.toResult(entry), cached: false };
+  }
+
+  /**
+   * Cached results plus live lookups for up to maxLookups uncached addresses
+   * @returns {Promise<Object>} { results: Map (as lookupCached), pending: number of addresses still uncached }
+   */
+  async geocodeMany(addresses, maxLookups = 0) {
+    const unique = [...new Set(addresses.filter(Boolean))];
+    const results = await this.lookupCached(unique);
+    const missing = unique.filter(address => !results.has(address));
+    if (!this.isConfigured()) return { results, pending: missing.length };
+
+    let looked = 0;
+    for (const address of missing.slice(0, maxLookups)) {
+      try {
+        results.set(address, await this.geocode(address));
+        looked += 1;
+      } catch (error) {
+        logAuthError('GEOCODE_ERROR', error, { pending: missing.length - looked });
+        break;
+      }
+    }
+    return { results, pending: missing.length - looked };
+  }
+
+  /**
+   * A result in the shape of a Google Geocoding API response (for /api/places/geocode)
+   */
+  toGoogleResponse(result) {
+    if (!result) return { status: 'ZERO_RESULTS', results: [] };
+    return {
+      status: 'OK',
+      cached: !!result.cached,
+      results: [{
+        formatted_address: result.formatted_address,
+        geometry: { location: { lat: result.lat, lng: result.lng } }
+      }]
+    };
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,358 @@
+/**
+ * Job Queue Service
+ *
+ * Durable analysis queue backed by the processing_jobs table. Jobs survive
+ * restarts: workers claim them with a lease, extend the lease while they run,
+ * and jobs whose lease runs out (crashed worker) are retried.
+ *
+ * FEATURES:
+ * - enqueue() de-duplicates active jobs per content item / file, holding a
+ *   lock on the item row so concurrent requests cannot both add a job
+ * - Claims are conditional UPDATEs, so several workers (web server and
+ *   `npm run worker`) can share the queue safely
+ * - Priority order (10 first), then oldest first
+ * - retry_count / max_retries with exponential backoff (available_at)
+ * - Graceful shutdown hands unfinished jobs back to the queue
+ * - analysis.completed / analysis.failed webhooks on final outcome
+ * - Lifecycle events (jobQueued, jobStarted, jobCompleted, jobRetrying,
+ *   jobFailed) for live progress streams
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const os = require('os');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { sequelize, ProcessingJob, Content, File } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const webhookService = require('./webhookService');
+
+const ACTIVE_STATUSES = ['pending', 'retrying', 'processing'];
+
+class JobQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS, 10) || 5 * 60 * 1000;
+    this.pollMs = parseInt(process.env.JOB_POLL_MS, 10) || 2000;
+    this.retryBaseMs = 30 * 1000;
+    this.running = new Map();
+    this.pollTimer = null;
+    this.recoverTimer = null;
+    this.polling = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Register the function that runs jobs of one kind
+   * @param {string} kind - 'content' or 'file'
+   * @param {Function} handler - async (job) => result summary
+   */
+  registerHandler(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  kindOf(job) {
+    if (job.content_id) return 'content';
+    if (job.file_id) return 'file';
+    return job.job_type;
+  }
+
+  /**
+   * Add a job unless the item already has one waiting or running
+   * @param {Object} options - { userId, contentId, fileId, jobType, mediaType, priority, maxRetries, config, inputMetadata }
+   * @returns {Promise<Object>} The new or existing ProcessingJob
+   */
+  async enqueue({ userId, contentId = null, fileId = null, jobType, mediaType, priority = 5, maxRetries = 3, config = {}, inputMetadata = null }) {
+    if (!contentId && !fileId) throw new Error('A job needs a content item or a file');
+
+    const { job, created } = await sequelize.transaction(async (transaction) => {
+      // Enqueues for the same item wait here for each other, so the check
+      // below and the insert cannot interleave
+      const Item = contentId ? Content : File;
+      await Item.findByPk(contentId || fileId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const existing = await ProcessingJob.findOne({
+        where: {
+          ...(contentId ? { content_id: contentId } : { file_id: fileId }),
+          status: { [Op.in]: ACTIVE_STATUSES }
+        },
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+      if (existing) {
+        // A higher priority request (e.g. manual retry) bumps the waiting job
+        if (priority > existing.priority && existing.status !== 'processing') {
+          await existing.update({ priority }, { transaction });
+        }
+        return { job: existing, created: false };
+      }
+
+      const added = await ProcessingJob.create({
+        user_id: userId,
+        content_id: contentId,
+        file_id: fileId,
+        job_type: jobType,
+        media_type: mediaType,
+        status: 'pending',
+        progress: 0,
+        priority: Math.min(10, Math.max(1, priority)),
+        max_retries: maxRetries,
+        job_config: config,
+        input_metadata: inputMetadata,
+        available_at: new Date()
+      }, { transaction });
+      return { job: added, created: true };
+    });
+    if (!created) return job;
+
+    logAuthEvent('PROCESSING_JOB_QUEUED', {
+      userId,
+      targetType: contentId ? 'content' : 'file',
+      targetId: contentId || fileId,
+      jobId: job.id,
+      priority: job.priority
+    });
+    this.emit('jobQueued', { job });
+
+    // Pick it up right away when this process runs a worker
+    if (this.pollTimer) setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Claim the next runnable job for this worker
+   * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+   */
+  async claimNext() {
+    const candidates = await ProcessingJob.getPendingJobs(5);
+    for (const candidate of candidates) {
+      if (!this.handlers.has(this.kindOf(candidate))) continue;
+      // Only one worker can win the status transition
+      const [claimed] = await ProcessingJob.update({
+        status: 'processing',
+        worker_id: this.workerId,
+        lease_expires_at: new Date(Date.now() + this.leaseMs),
+        started_at: new Date(),
+        completed_at: null,
+        duration_ms: null
+      }, {
+        where: { id: candidate.id, status: candidate.status }
+      });
+      if (claimed === 1) {
+        const job = await ProcessingJob.findByPk(candidate.id);
+        this.emit('jobStarted', { job });
+        return job;
+      }
+    }
+    return null;
+  }
+
+  async extendLease(jobId) {
+    const [extended] = await ProcessingJob.update(
+      { lease_expires_at: new Date(Date.now() + this.leaseMs) },
+      { where: { id: jobId, worker_id: this.workerId, status: 'processing' } }
+    );
+    return extended === 1;
+  }
+
+  /**
+   * Run one claimed job, keeping its lease alive
+   * @param {Object} job - Claimed ProcessingJob
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(this.kindOf(job));
+    const heartbeat = setInterval(() => {
+      this.extendLease(job.id).catch(error => logAuthError('PROCESSING_JOB_LEASE_ERROR', error, { jobId: job.id }));
+    }, Math.floor(this.leaseMs / 3));
+
+    try {
+      const result = await handler(job);
+      await this.complete(job, result);
+    } catch (error) {
+      await this.fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async complete(job, result = {}) {
+    const [updated] = await ProcessingJob.update({
+      status: 'completed',
+      progress: 100,
+      completed_at: new Date(),
+      duration_ms: Date.now() - new Date(job.started_at).getTime(),
+      lease_expires_at: null,
+      error_details: null
+    }, {
+      where: { id: job.id, worker_id: this.workerId, status: 'processing' }
+    });
+    if (updated !== 1) return;
+
+    this.emit('jobCompleted', { job, result });
+    webhookService.emit(job.user_id, 'analysis.completed', {
+      ...this.itemRef(job),
+      job_id: job.id,
+      features: result?.features || []
+    }, { apiKeyId: job.job_config?.api_key_id });
+  }
+
+  /**
+   * Record a failed attempt: back off and retry, or fail for good
+   * @param {Object} job - ProcessingJob
+   * @param {Error} error - Failure
+   * @param {Object} where - Guard for the update (defaults to this worker's lease)
+   */
+  async fail(job, error, where = { worker_id: this.workerId, status: 'processing' }) {
+    const attempt = job.retry_count + 1;
+    const retry = job.retry_count < job.max_retries;
+    const [updated] = await ProcessingJob.update({
+      status: retry ? 'retrying' : 'failed',
+      retry_count: retry ? job.retry_count + 1 : job.retry_count,
+      available_at: retry ? new Date(Date.now() + this.retryBaseMs * 2 ** job.retry_count) : null,
+      completed_at: retry ? null : new Date(),
+      lease_expires_at: null,
+      worker_id: null,
+      error_details: { message: error.message, attempt, timestamp: new Date().toISOString() }
+    }, {
+      where: { id: job.id, ...where }
+    });
+    if (updated !== 1) return;
+
+    this.emit(retry ? 'jobRetrying' : 'jobFailed', { job, error, attempt });
+    logAuthError(retry ? 'PROCESSING_JOB_RETRY_SCHEDULED' : 'PROCESSING_JOB_FAILED', error, {
+      userId: job.user_id,
+      jobId: job.id,
+      ...this.itemRef(job),
+      attempt,
+      maxRetries: job.max_retries
+    });
+
+    if (!retry) {
+      webhookService.emit(job.user_id, 'analysis.failed', {
+        ...this.itemRef(job),
+        job_id: job.id,
+        error: error.message
+      }, { apiKeyId: job.job_config?.api_key_id });
+    }
+  }
+
+  itemRef(job) {
+    return job.content_id
+      ? { item_type: 'content', item_id: job.content_id }
+      : { item_type: 'file', item_id: job.file_id };
+  }
+
+  /**
+   * Retry jobs whose worker stopped extending its lease (crash, kill, deploy).
+   * Jobs left in "processing" by the old in-memory pipeline have no lease and
+   * are recovered once they have been idle for a full lease period.
+   * @returns {Promise<number>} Jobs recovered
+   */
+  async recoverExpiredLeases() {
+    const now = new Date();
+    const expired = await ProcessingJob.findAll({
+      where: {
+        status: 'processing',
+        [Op.or]: [
+          { lease_expires_at: { [Op.lt]: now } },
+          { lease_expires_at: null, updatedAt: { [Op.lt]: new Date(now.getTime() - this.leaseMs) } }
+        ]
+      },
+      limit: 50
+    });
+
+    for (const job of expired) {
+      await this.fail(job, new Error(`Worker ${job.worker_id || 'unknown'} stopped before finishing the job`), {
+        status: 'processing',
+        lease_expires_at: job.lease_expires_at
+      });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Fill free worker slots with claimed jobs
+   */
+  async poll() {
+    if (this.polling || this.stopping) return;
+    this.polling = true;
+    try {
+      while (this.running.size < this.concurrency && !this.stopping) {
+        const job = await this.claimNext();
+        if (!job) break;
+        const run = this.runJob(job).finally(() => this.running.delete(job.id));
+        this.running.set(job.id, run);
+      }
+    } catch (error) {
+      logAuthError('PROCESSING_QUEUE_POLL_ERROR', error, { workerId: this.workerId });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start processing jobs in this process
+   * @param {Object} options - { concurrency }
+   */
+  startWorker({ concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 1 } = {}) {
+    if (this.pollTimer) return;
+    this.concurrency = concurrency;
+    this.stopping = false;
+
+    const recover = () => this.recoverExpiredLeases()
+      .catch(error => logAuthError('PROCESSING_QUEUE_RECOVERY_ERROR', error, { workerId: this.workerId }));
+    recover();
+    this.recoverTimer = setInterval(recover, Math.max(30000, Math.floor(this.leaseMs / 2)));
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+    this.poll();
+
+    logAuthEvent('PROCESSING_WORKER_STARTED', { workerId: this.workerId, concurrency, handlers: [...this.handlers.keys()] });
+  }
+
+  /**
+   * Stop claiming jobs, wait for running ones, and hand back any that are
+   * still running when the timeout passes so another worker resumes them
+   * @param {number} timeoutMs - How long to wait for running jobs
+   */
+  async stopWorker(timeoutMs = 30000) {
+    this.stopping = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.recoverTimer);
+    this.pollTimer = null;
+    this.recoverTimer = null;
+
+    const finished = Promise.allSettled([...this.running.values()]);
+    await Promise.race([finished, new Promise(resolve => setTimeout(resolve, timeoutMs))]);
+
+    if (this.running.size > 0) {
+      await ProcessingJob.update(
+        { status: 'pending', worker_id: null, lease_expires_at: null, available_at: new Date() },
+        { where: { id: [...this.running.keys()], worker_id: this.workerId, status: 'processing' } }
+      );
+    }
+    logAuthEvent('PROCESSING_WORKER_STOPPED', { workerId: this.workerId, handedBack: this.running.size });
+  }
+
+  /**
+   * Queue counts for dashboards and health checks
+   * @returns {Promise<Object>} Counts by status plus this worker's state
+   */
+  async getQueueStats() {
+    const rows = await ProcessingJob.findAll({
+      attributes: ['status', [ProcessingJob.sequelize.fn('COUNT', ProcessingJob.sequelize.col('id')), 'count']],
+      where: { status: { [Op.in]: [...ACTIVE_STATUSES, 'failed'] } },
+      group: ['status'],
+      raw: true
+    });
+    return {
+      counts: Object.fromEntries(rows.map(row => [row.status, Number(row.count)])),
+      worker: this.pollTimer ? { id: this.workerId, running: this.running.size, concurrency: this.concurrency } : null
+    };
+  }
+}
+
+module.exports = new JobQueueService();
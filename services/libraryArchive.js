@@ -0,0 +1,97 @@
+/**
+ * Library Archive Format
+ *
+ * Shared description of the portable library ZIP written by
+ * libraryExportService and read by libraryImportService:
+ *
+ *   manifest.json             format, version, counts and media index
+ *   data/<section>.json       one JSON array of records per section
+ *   media/files/<id><ext>     original uploaded files
+ *   media/thumbnails/<id><ext> thumbnail images
+ *
+ * Sections are listed in import order. `refs` maps a column to the section
+ * whose IDs it points at; `deferred` references are set after every section
+ * is inserted (self references and cycles). Columns in `drop` point outside
+ * the library (jobs, social accounts) and are cleared. Records with none of
+ * the `requireOneOf` references left after remapping are skipped.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const FORMAT = 'daysave-library';
+const VERSION = 1;
+
+const SECTIONS = [
+  { name: 'contacts', model: 'Contact' },
+  { name: 'contact_groups', model: 'ContactGroup', uniqueName: 'name' },
+  { name: 'contact_group_members', model: 'ContactGroupMember', owned: false, refs: { contact_id: 'contacts', group_id: 'contact_groups' } },
+  { name: 'contact_relations', model: 'ContactRelation', refs: { contact_id_1: 'contacts', contact_id_2: 'contacts' } },
+  { name: 'relationships', model: 'Relationship', refs: { contact_id_1: 'contacts', contact_id_2: 'contacts' } },
+  { name: 'content', model: 'Content', drop: ['social_account_id'] },
+  { name: 'files', model: 'File', media: 'files' },
+  { name: 'content_relations', model: 'ContentRelation', refs: { content_id_1: 'content', content_id_2: 'content' } },
+  {
+    name: 'content_groups',
+    model: 'ContentGroup',
+    uniqueName: 'name',
+    refs: { parent_id: 'content_groups', cover_thumbnail_id: 'thumbnails' },
+    deferred: ['parent_id', 'cover_thumbnail_id']
+  },
+  { name: 'content_group_members', model: 'ContentGroupMember', owned: false, refs: { content_id: 'content', file_id: 'files', group_id: 'content_groups' } },
+  {
+    name: 'content_watches',
+    model: 'ContentWatch',
+    refs: { content_id: 'content', group_id: 'content_groups' },
+    requireOneOf: ['content_id', 'group_id']
+  },
+  { name: 'content_versions', model: 'ContentVersion', refs: { content_id: 'content' } },
+  { name: 'video_analysis', model: 'VideoAnalysis', refs: { content_id: 'content', file_id: 'files' }, drop: ['processing_job_id'] },
+  { name: 'audio_analysis', model: 'AudioAnalysis', refs: { content_id: 'content', file_id: 'files' }, drop: ['processing_job_id'] },
+  { name: 'image_analysis', model: 'ImageAnalysis', refs: { content_id: 'content', file_id: 'files' }, drop: ['processing_job_id'] },
+  { name: 'speakers', model: 'Speaker', refs: { audio_analysis_id: 'audio_analysis', contact_id: 'contacts' } },
+  {
+    name: 'faces',
+    model: 'Face',
+    refs: { content_id: 'content', file_id: 'files', image_analysis_id: 'image_analysis', video_analysis_id: 'video_analysis', contact_id: 'contacts' },
+    requireOneOf: ['content_id', 'file_id']
+  },
+  { name: 'ocr_captions', model: 'OCRCaption', refs: { content_id: 'content', file_id: 'files' } },
+  {
+    name: 'transcripts',
+    model: 'Transcript',
+    refs: { content_id: 'content', file_id: 'files' },
+    requireOneOf: ['content_id', 'file_id']
+  },
+  { name: 'transcript_revisions', model: 'TranscriptRevision', refs: { transcript_id: 'transcripts' } },
+  {
+    name: 'thumbnails',
+    model: 'Thumbnail',
+    media: 'thumbnails',
+    refs: { content_id: 'content', file_id: 'files', video_analysis_id: 'video_analysis', image_analysis_id: 'image_analysis' }
+  },
+  {
+    name: 'video_chapters',
+    model: 'VideoChapter',
+    refs: { content_id: 'content', file_id: 'files', thumbnail_id: 'thumbnails' },
+    requireOneOf: ['content_id', 'file_id']
+  },
+  { name: 'smart_collections', model: 'SmartCollection', uniqueName: 'name', drop: ['match_count', 'last_evaluated_at'] }
+];
+
+// Media entries are always named by the exporter; anything else is ignored
+const MEDIA_ENTRY = /^media\/(files|thumbnails)\/[0-9a-f-]{36}(\.[a-z0-9]{1,10})?$/i;
+
+/**
+ * Archive entry name for a media item
+ * @param {string} kind - files or thumbnails
+ * @param {string} id - Record ID
+ * @param {string} name - Original file name or path (for the extension)
+ * @returns {string} Entry name
+ */
+function mediaEntryName(kind, id, name) {
+  const match = /\.([a-z0-9]{1,10})$/i.exec(name || '');
+  return `media/${kind}/${id}${match ? '.' + match[1].toLowerCase() : ''}`;
+}
+
+module.exports = { FORMAT, VERSION, SECTIONS, MEDIA_ENTRY, mediaEntryName };
@@ -0,0 +1,157 @@
+/**
+ * Library Export Service
+ *
+ * Builds a portable ZIP of a user's whole library: content, files, analysis
+ * records, faces, transcripts with their revisions, thumbnails, video
+ * chapters, contacts, groups, relationships, smart collections and content
+ * watches with their version history as JSON (see libraryArchive.js), plus the
+ * original media and thumbnails.
+ *
+ * FEATURES:
+ * - One JSON file per section with the records as stored
+ * - Original files and thumbnails from local storage or Google Cloud Storage
+ * - Media is read only when the ZIP stream reaches it, so large libraries
+ *   do not hold every file open or in memory
+ * - Missing media is listed in the manifest instead of failing the export
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const JSZip = require('jszip');
+const { Op } = require('sequelize');
+const models = require('../models');
+const FileUploadService = require('./fileUpload');
+const { FORMAT, VERSION, SECTIONS, mediaEntryName } = require('./libraryArchive');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+class LibraryExportService {
+  /**
+   * Load every section's records for a user
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Section name -> array of plain records
+   */
+  async collect(userId) {
+    const data = {};
+    for (const section of SECTIONS) {
+      const Model = models[section.model];
+      let where = { user_id: userId };
+
+      // Member tables have no owner column; take the members of exported groups
+      if (section.owned === false) {
+        const groupSection = section.refs.group_id;
+        where = { group_id: { [Op.in]: data[groupSection].map(group => group.id) } };
+      }
+      const rows = await Model.findAll({ where, order: [['createdAt', 'ASC']] });
+      data[section.name] = rows.map(row => row.get({ plain: true }));
+    }
+    return data;
+  }
+
+  /**
+   * Open a stored file or thumbnail for reading
+   * @param {string} filePath - Stored path (gs://, /uploads/..., uploads/..., absolute)
+   * @returns {Promise<Object|null>} { open } returning a readable stream, or null when missing
+   */
+  async locate(filePath) {
+    if (!filePath || filePath.startsWith('http')) return null;
+
+    if (filePath.startsWith('gs://')) {
+      if (!FileUploadService.storage) return null;
+      const [bucketName, ...parts] = filePath.replace('gs://', '').split('/');
+      const gcsFile = FileUploadService.storage.bucket(bucketName).file(parts.join('/'));
+      const [exists] = await gcsFile.exists();
+      return exists ? { open: () => gcsFile.createReadStream() } : null;
+    }
+
+    const relative = filePath.replace(/^\/files\/serve\//, '/').replace(/^\//, '');
+    const candidates = [path.join(PROJECT_ROOT, relative)];
+    if (path.isAbsolute(filePath)) candidates.push(filePath);
+    const localPath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    return localPath ? { open: () => fs.createReadStream(localPath) } : null;
+  }
+
+  /**
+   * Readable that opens its source only once it is consumed. JSZip pauses
+   * input streams until it writes their entry, so only one media file is
+   * open at a time.
+   * @param {Function} open - Returns the source stream
+   * @returns {Readable} Stream
+   */
+  lazyStream(open) {
+    let source = null;
+    const stream = new Readable({
+      read() {
+        if (source) source.resume();
+        else if (this.readableFlowing) start();
+      }
+    });
+    const start = () => {
+      source = open();
+      source.on('data', chunk => {
+        if (!stream.push(chunk)) source.pause();
+      });
+      source.on('end', () => stream.push(null));
+      source.on('error', error => stream.destroy(error));
+    };
+    // The first read happens while JSZip still holds the stream paused
+    stream.on('resume', () => {
+      if (!source && stream.readableFlowing) start();
+    });
+    return stream;
+  }
+
+  /**
+   * Build the archive for a user
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { includeMedia }
+   * @returns {Promise<Object>} { zip, manifest }; stream the zip with zip.generateNodeStream()
+   */
+  async buildArchive(userId, { includeMedia = true } = {}) {
+    const data = await this.collect(userId);
+    const zip = new JSZip();
+    const media = { files: {}, thumbnails: {} };
+    const missingMedia = [];
+
+    if (includeMedia) {
+      const sources = [
+        ...data.files.map(file => ({ kind: 'files', id: file.id, filePath: file.file_path, name: file.filename })),
+        ...data.thumbnails.map(thumb => ({ kind: 'thumbnails', id: thumb.id, filePath: thumb.file_path, name: thumb.file_name || thumb.file_path }))
+      ];
+      for (const source of sources) {
+        const located = await this.locate(source.filePath);
+        if (!located) {
+          // Remote thumbnail URLs stay usable as they are; anything else is really missing
+          if (!source.filePath || !source.filePath.startsWith('http')) missingMedia.push({ kind: source.kind, id: source.id });
+          continue;
+        }
+        const entry = mediaEntryName(source.kind, source.id, source.name);
+        zip.file(entry, this.lazyStream(located.open), { binary: true, compression: 'STORE' });
+        media[source.kind][source.id] = entry;
+      }
+    }
+
+    for (const section of SECTIONS) {
+      zip.file(`data/${section.name}.json`, JSON.stringify(data[section.name], null, 2));
+    }
+
+    const manifest = {
+      format: FORMAT,
+      version: VERSION,
+      exported_at: new Date().toISOString(),
+      source: { user_id: userId, base_url: process.env.BASE_URL || null },
+      include_media: includeMedia,
+      counts: Object.fromEntries(SECTIONS.map(section => [section.name, data[section.name].length])),
+      media,
+      missing_media: missingMedia
+    };
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    return { zip, manifest };
+  }
+}
+
+module.exports = new LibraryExportService();
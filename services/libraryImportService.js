@@ -0,0 +1,389 @@
+/**
+ * Library Import Service
+ *
+ * Restores a library archive written by libraryExportService into an
+ * account on this instance. Every record gets a new ID and references are
+ * remapped, so an archive can be imported into another account, another
+ * instance, or next to the data it was exported from.
+ *
+ * FEATURES:
+ * - Archive read from disk one entry at a time (never held in memory whole);
+ *   entries over a size cap are refused before and while they are inflated
+ * - Format and version check of manifest.json
+ * - ID remapping across all sections (see libraryArchive.js)
+ * - Original files re-stored through FileUploadService (GCS or local)
+ * - Thumbnails written to uploads/thumbnails
+ * - Plan limits checked for content items, file uploads, contacts and storage
+ * - Database writes in one transaction; stored media is removed on failure
+ * - Name clashes (collections, contact groups, smart collections) renamed
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const models = require('../models');
+const FileUploadService = require('./fileUpload');
+const subscriptionService = require('./subscriptionService');
+const smartCollectionService = require('./smartCollectionService');
+const { logAuthEvent } = require('../config/logger');
+const { FORMAT, VERSION, SECTIONS, MEDIA_ENTRY } = require('./libraryArchive');
+
+const THUMBNAIL_DIR = 'uploads/thumbnails';
+// Largest inflated entry: JSON sections and manifest, and each media file
+const MAX_DATA_ENTRY_BYTES = 50 * 1024 * 1024;
+const MAX_MEDIA_ENTRY_BYTES = (parseInt(process.env.LIBRARY_IMPORT_MAX_ENTRY_MB, 10) || 100) * 1024 * 1024;
+
+class LibraryImportService {
+  /**
+   * Whether an error thrown by this service is caused by the archive or the caller
+   * @param {Error} error - Error thrown by a service method
+   * @returns {boolean} True for client errors
+   */
+  isClientError(error) {
+    return /^(Not a DaySave library archive|Unsupported archive version|The archive is damaged|This import would exceed)/.test(error.message);
+  }
+
+  /**
+   * Open a ZIP file and index its entries; contents are read on demand
+   * @param {string} filePath - ZIP file on disk
+   * @returns {Promise<Object>} { zipfile, entries: Map(name -> entry) }, close zipfile when done
+   */
+  openZip(filePath) {
+    return new Promise((resolve, reject) => {
+      // Entry sizes are enforced by readEntry(): yauzl's own check stalls the stream on Node 20
+      yauzl.open(filePath, { lazyEntries: true, autoClose: false, validateEntrySizes: false }, (error, zipfile) => {
+        if (error) return reject(error);
+        const entries = new Map();
+        let indexed = false;
+        zipfile.on('entry', (entry) => {
+          entries.set(entry.fileName, entry);
+          zipfile.readEntry();
+        });
+        zipfile.on('end', () => {
+          indexed = true;
+          resolve({ zipfile, entries });
+        });
+        // After indexing, errors surface through readEntry() and the caller closes
+        zipfile.on('error', (zipError) => {
+          if (indexed) return;
+          zipfile.close();
+          reject(zipError);
+        });
+        zipfile.readEntry();
+      });
+    });
+  }
+
+  /**
+   * Inflate one archive entry
+   * @param {Object} zip - Result of openZip()
+   * @param {string} name - Entry name
+   * @param {number} maxBytes - Largest accepted inflated size
+   * @returns {Promise<Buffer|null>} Contents, or null when absent
+   */
+  readEntry(zip, name, maxBytes = MAX_DATA_ENTRY_BYTES) {
+    const entry = zip.entries.get(name);
+    if (!entry) return Promise.resolve(null);
+    const tooLarge = () => new Error(`The archive is damaged (${name} is larger than ${Math.round(maxBytes / (1024 * 1024))} MB)`);
+    if (entry.uncompressedSize > maxBytes) return Promise.reject(tooLarge());
+
+    return new Promise((resolve, reject) => {
+      zip.zipfile.openReadStream(entry, (error, stream) => {
+        if (error) return reject(error);
+        const chunks = [];
+        let bytes = 0;
+        // Counted as inflated, so a header that understates the size does not get past the cap
+        stream.on('data', (chunk) => {
+          bytes += chunk.length;
+          if (bytes > maxBytes) {
+            stream.destroy();
+            reject(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      });
+    });
+  }
+
+  /**
+   * Open an archive and read its manifest and sections
+   * @param {string} filePath - ZIP file on disk
+   * @returns {Promise<Object>} { zip, manifest, data }, close zip.zipfile when done
+   */
+  async readArchive(filePath) {
+    let zip;
+    let manifest;
+    try {
+      zip = await this.openZip(filePath);
+      const manifestBuffer = await this.readEntry(zip, 'manifest.json');
+      manifest = manifestBuffer ? JSON.parse(manifestBuffer.toString('utf8')) : null;
+    } catch (error) {
+      if (zip) zip.zipfile.close();
+      throw new Error('Not a DaySave library archive');
+    }
+
+    try {
+      if (!manifest || manifest.format !== FORMAT) throw new Error('Not a DaySave library archive');
+      if (!Number.isInteger(manifest.version) || manifest.version > VERSION) {
+        throw new Error(`Unsupported archive version ${manifest.version}`);
+      }
+
+      const data = {};
+      for (const section of SECTIONS) {
+        try {
+          const buffer = await this.readEntry(zip, `data/${section.name}.json`);
+          data[section.name] = buffer ? JSON.parse(buffer.toString('utf8')) : [];
+        } catch (error) {
+          throw new Error(`The archive is damaged (data/${section.name}.json)`);
+        }
+        if (!Array.isArray(data[section.name])) throw new Error(`The archive is damaged (data/${section.name}.json)`);
+      }
+      return { zip, manifest, data };
+    } catch (error) {
+      zip.zipfile.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Inflated size of the original files in the archive
+   * @returns {number} Bytes
+   */
+  mediaBytes(zip, manifest, data) {
+    const names = (manifest.media && manifest.media.files) || {};
+    return data.files.reduce((total, file) => {
+      const name = file && names[file.id];
+      const entry = name && MEDIA_ENTRY.test(name) ? zip.entries.get(name) : null;
+      return total + (entry ? entry.uncompressedSize : 0);
+    }, 0);
+  }
+
+  /**
+   * Refuse imports that would take the user over their plan's limits
+   * @param {string} userId - Target user ID
+   * @param {Object} data - Archive sections
+   * @param {number} storageBytes - Size of the files to store
+   */
+  async checkLimits(userId, data, storageBytes = 0) {
+    const requested = {
+      content_items: data.content.length,
+      file_uploads: data.files.length,
+      contacts: data.contacts.length,
+      storage_mb: Math.ceil(storageBytes / (1024 * 1024))
+    };
+    for (const [feature, amount] of Object.entries(requested)) {
+      if (amount === 0) continue;
+      const limit = await subscriptionService.checkUsageLimit(userId, feature, amount);
+      if (!limit.allowed) {
+        throw new Error(`This import would exceed your plan (${feature.replace('_', ' ')}: ${limit.remaining} left, ${amount} in archive)`);
+      }
+    }
+  }
+
+  /**
+   * Read a media entry named in the manifest
+   * @returns {Promise<Buffer|null>} Contents, or null when absent
+   */
+  async readMedia(zip, manifest, kind, id) {
+    const name = manifest.media && manifest.media[kind] ? manifest.media[kind][id] : null;
+    if (!name || !MEDIA_ENTRY.test(name)) return null;
+    return this.readEntry(zip, name, MAX_MEDIA_ENTRY_BYTES);
+  }
+
+  /**
+   * Store files and thumbnails from the archive
+   * @returns {Promise<Object>} { paths: Map(oldId -> stored path), stored: [{ kind, path }] }
+   */
+  async storeMedia(userId, zip, manifest, data, idMaps, stored) {
+    const paths = new Map();
+
+    for (const file of data.files) {
+      const buffer = await this.readMedia(zip, manifest, 'files', file.id);
+      if (!buffer) continue;
+      const mimetype = (file.metadata && file.metadata.mimetype) || 'application/octet-stream';
+      const upload = await FileUploadService.uploadFile(
+        { buffer, originalname: file.filename, mimetype, size: buffer.length },
+        userId,
+        { source: 'library_import' }
+      );
+      stored.push({ kind: 'files', path: upload.filePath, size: buffer.length });
+      paths.set(file.id, upload.filePath);
+    }
+
+    fs.mkdirSync(path.join(__dirname, '..', THUMBNAIL_DIR), { recursive: true });
+    for (const thumb of data.thumbnails) {
+      const buffer = await this.readMedia(zip, manifest, 'thumbnails', thumb.id);
+      if (!buffer) {
+        // Remote thumbnails keep working without a copy
+        if (typeof thumb.file_path === 'string' && thumb.file_path.startsWith('http')) paths.set(thumb.id, thumb.file_path);
+        continue;
+      }
+      const relativePath = `${THUMBNAIL_DIR}/${idMaps.thumbnails.get(thumb.id)}${path.extname(manifest.media.thumbnails[thumb.id])}`;
+      fs.writeFileSync(path.join(__dirname, '..', relativePath), buffer);
+      stored.push({ kind: 'thumbnails', path: relativePath });
+      paths.set(thumb.id, relativePath);
+    }
+    return paths;
+  }
+
+  /**
+   * Remove media stored by a failed import
+   */
+  async removeMedia(stored) {
+    for (const item of stored) {
+      try {
+        if (item.kind === 'files') await FileUploadService.deleteFile(item.path);
+        else fs.unlinkSync(path.join(__dirname, '..', item.path));
+      } catch (error) {
+        // Best effort; the import error is what gets reported
+      }
+    }
+  }
+
+  /**
+   * Rename records whose name already exists for the user
+   */
+  async uniqueNames(userId, Model, column, records) {
+    const existing = await Model.findAll({ where: { user_id: userId }, attributes: [column], raw: true });
+    const taken = new Set(existing.map(row => row[column]));
+    for (const record of records) {
+      let name = record[column];
+      for (let n = 1; taken.has(name); n++) name = `${record[column]} (imported${n > 1 ? ' ' + n : ''})`;
+      record[column] = name;
+      taken.add(name);
+    }
+  }
+
+  /**
+   * Build the rows of one section with new IDs and remapped references
+   * @returns {Object} { rows, deferred: [{ id, column, target, value }] } (deferred values are old IDs)
+   */
+  remapSection(userId, section, records, idMaps, mediaPaths) {
+    const Model = models[section.model];
+    const idMap = idMaps[section.name];
+    const refs = section.refs || {};
+    const rows = [];
+    const deferred = [];
+
+    for (const record of records) {
+      const row = {};
+      const rowDeferred = [];
+      for (const column of Object.keys(Model.rawAttributes)) {
+        if (record[column] !== undefined) row[column] = record[column];
+      }
+      row.id = idMap.get(record.id);
+      if (section.owned !== false) row.user_id = userId;
+      (section.drop || []).forEach(column => { delete row[column]; });
+
+      let keep = true;
+      for (const [column, target] of Object.entries(refs)) {
+        if ((section.deferred || []).includes(column)) {
+          row[column] = null;
+          if (record[column]) rowDeferred.push({ id: row.id, column, target, value: record[column] });
+          continue;
+        }
+        const value = record[column] ? idMaps[target].get(record[column]) || null : null;
+        row[column] = value;
+        if (!value && Model.rawAttributes[column].allowNull === false) keep = false;
+      }
+      if (section.requireOneOf && !section.requireOneOf.some(column => row[column])) keep = false;
+      if (section.media) {
+        row.file_path = mediaPaths.get(record.id);
+        if (!row.file_path) keep = false;
+      }
+
+      // Dropped records must not be referenced by later sections
+      if (keep) {
+        rows.push(row);
+        deferred.push(...rowDeferred);
+      } else {
+        idMap.delete(record.id);
+      }
+    }
+    return { rows, deferred };
+  }
+
+  /**
+   * Import an archive into a user's library
+   * @param {string} userId - Target user ID
+   * @param {string} filePath - ZIP file on disk (left in place for the caller to remove)
+   * @returns {Promise<Object>} { imported: { section: count }, skipped: { section: count } }
+   */
+  async importArchive(userId, filePath) {
+    const { zip, manifest, data } = await this.readArchive(filePath);
+    try {
+      return await this.importRecords(userId, zip, manifest, data);
+    } finally {
+      zip.zipfile.close();
+    }
+  }
+
+  /**
+   * Store media and insert the records of an opened archive
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async importRecords(userId, zip, manifest, data) {
+    await this.checkLimits(userId, data, this.mediaBytes(zip, manifest, data));
+
+    const idMaps = {};
+    for (const section of SECTIONS) {
+      idMaps[section.name] = new Map(data[section.name].filter(r => r && r.id).map(r => [r.id, uuidv4()]));
+    }
+
+    const stored = [];
+    const imported = {};
+    const skipped = {};
+    try {
+      const mediaPaths = await this.storeMedia(userId, zip, manifest, data, idMaps, stored);
+
+      await models.sequelize.transaction(async (transaction) => {
+        const deferred = [];
+        for (const section of SECTIONS) {
+          const Model = models[section.model];
+          const records = data[section.name].filter(r => r && r.id);
+          const result = this.remapSection(userId, section, records, idMaps, mediaPaths);
+          if (section.uniqueName) await this.uniqueNames(userId, Model, section.uniqueName, result.rows);
+          if (result.rows.length) await Model.bulkCreate(result.rows, { transaction });
+
+          imported[section.name] = result.rows.length;
+          skipped[section.name] = data[section.name].length - result.rows.length;
+          deferred.push(...result.deferred.map(ref => ({ ...ref, Model })));
+        }
+
+        // Resolved last, once every section has dropped the records it could not import
+        for (const ref of deferred) {
+          const value = idMaps[ref.target].get(ref.value);
+          if (value) await ref.Model.update({ [ref.column]: value }, { where: { id: ref.id }, transaction });
+        }
+      });
+    } catch (error) {
+      await this.removeMedia(stored);
+      throw error;
+    }
+
+    if (imported.content) await subscriptionService.updateUsage(userId, 'content_items', imported.content);
+    if (imported.files) await subscriptionService.updateUsage(userId, 'file_uploads', imported.files);
+    if (imported.contacts) await subscriptionService.updateUsage(userId, 'contacts', imported.contacts);
+    const storedBytes = stored.filter(item => item.kind === 'files').reduce((total, item) => total + item.size, 0);
+    if (storedBytes) await subscriptionService.updateUsage(userId, 'storage_mb', Math.ceil(storedBytes / (1024 * 1024)));
+
+    const collections = await models.SmartCollection.findAll({
+      where: { id: [...idMaps.smart_collections.values()] }
+    });
+    for (const collection of collections) {
+      await smartCollectionService.evaluate(collection, { baseline: true });
+    }
+
+    logAuthEvent('LIBRARY_IMPORTED', { userId, sourceUserId: manifest.source && manifest.source.user_id, imported, skipped });
+    return { imported, skipped };
+  }
+}
+
+module.exports = new LibraryImportService();
@@ -0,0 +1,189 @@
+/**
+ * Map Service
+ *
+ * Contacts and media on a map: contacts at their geocoded addresses, content
+ * and files at their capture location (content.location / files.location,
+ * filled from EXIF GPS and QuickTime location atoms on upload).
+ *
+ * FEATURES:
+ * - Map points within a bounding box, clustered per zoom level (geoPoints)
+ * - Contact addresses resolved through the geocode cache (geocodingService);
+ *   a few uncached addresses are looked up per request
+ * - "Taken near" a place or "lat,lng" within a radius (content list filter)
+ * - Capture location of files on disk (import from local paths)
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { sequelize, Contact, Content, File } = require('../models');
+const geocodingService = require('./geocodingService');
+const geoPoints = require('./geoPoints');
+const mediaLocation = require('./mediaLocation');
+
+const MAX_CONTACTS = 2000;
+const MAX_MEDIA = 5000;
+const LOOKUPS_PER_REQUEST = 10;
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 500;
+const LAYERS = ['contacts', 'media'];
+
+class MapService {
+  /**
+   * SQL condition for rows whose location lies in a bounding box
+   */
+  locationWithin(bounds) {
+    const conditions = [{ location: { [Op.ne]: null } }];
+    if (!bounds) return conditions;
+
+    // Literal paths: Sequelize escapes "$" in fn string arguments to "$$"
+    const lat = sequelize.fn('JSON_EXTRACT', sequelize.col('location'), sequelize.literal("'$.lat'"));
+    const lng = sequelize.fn('JSON_EXTRACT', sequelize.col('location'), sequelize.literal("'$.lng'"));
+    conditions.push(sequelize.where(lat, { [Op.between]: [bounds.south, bounds.north] }));
+    conditions.push(bounds.west <= bounds.east
+      ? sequelize.where(lng, { [Op.between]: [bounds.west, bounds.east] })
+      : { [Op.or]: [sequelize.where(lng, { [Op.gte]: bounds.west }), sequelize.where(lng, { [Op.lte]: bounds.east })] });
+    return conditions;
+  }
+
+  /**
+   * Contacts at their geocoded addresses
+   * @returns {Promise<Object>} { points, pending: addresses not geocoded yet }
+   */
+  async contactPoints(userId, bounds = null, maxLookups = LOOKUPS_PER_REQUEST) {
+    const contacts = await Contact.findAll({
+      where: { user_id: userId, addresses: { [Op.ne]: null } },
+      attributes: ['id', 'name', 'addresses'],
+      order: [['name', 'ASC']],
+      limit: MAX_CONTACTS
+    });
+
+    const entries = contacts.flatMap(contact => (Array.isArray(contact.addresses) ? contact.addresses : [])
+      .map(address => ({ contact, label: (address && address.label) || 'Address', address: geoPoints.normalizeAddress(address) }))
+      .filter(entry => entry.address));
+    const { results, pending } = await geocodingService.geocodeMany(entries.map(entry => entry.address), maxLookups);
+
+    const points = [];
+    entries.forEach(({ contact, label, address }, index) => {
+      const found = results.get(address);
+      if (!found) return;
+      const point = {
+        id: contact.id,
+        key: `contact:${contact.id}:${index}`,
+        kind: 'contact',
+        lat: found.lat,
+        lng: found.lng,
+        title: contact.name || 'Unnamed Contact',
+        label: `${label}: ${address}`
+      };
+      if (geoPoints.inBounds(point, bounds)) points.push(point);
+    });
+    return { points, pending };
+  }
+
+  /**
+   * Content and files with a capture location
+   */
+  async mediaPoints(userId, bounds = null) {
+    const query = attributes => ({
+      where: { user_id: userId, [Op.and]: this.locationWithin(bounds) },
+      attributes: [...attributes, 'location', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: MAX_MEDIA
+    });
+    const [content, files] = await Promise.all([
+      Content.findAll(query(['id', 'generated_title', 'url'])),
+      File.findAll(query(['id', 'generated_title', 'filename']))
+    ]);
+
+    const toPoint = (kind, record, fallback) => {
+      const coordinates = geoPoints.coordinatesOf(record.location);
+      if (!coordinates) return null;
+      return {
+        id: record.id,
+        key: `${kind}:${record.id}`,
+        kind,
+        ...coordinates,
+        title: record.generated_title || fallback || 'Untitled',
+        label: new Date(record.createdAt).toISOString().slice(0, 10)
+      };
+    };
+    return [
+      ...content.map(record => toPoint('content', record, record.url)),
+      ...files.map(record => toPoint('file', record, record.filename))
+    ].filter(point => point && geoPoints.inBounds(point, bounds));
+  }
+
+  /**
+   * Clustered map points
+   * @param {Object} options - { bounds, zoom, layers: ['contacts', 'media'] }
+   * @returns {Promise<Object>} { clusters, total, pending, geocoding }
+   */
+  async getClusters(userId, { bounds = null, zoom, layers = LAYERS } = {}) {
+    const [contacts, media] = await Promise.all([
+      layers.includes('contacts') ? this.contactPoints(userId, bounds) : { points: [], pending: 0 },
+      layers.includes('media') ? this.mediaPoints(userId, bounds) : []
+    ]);
+    const points = [...contacts.points, ...media];
+    return {
+      clusters: geoPoints.clusterPoints(points, zoom),
+      total: points.length,
+      pending: contacts.pending,
+      geocoding: geocodingService.isConfigured()
+    };
+  }
+
+  /**
+   * Content and files taken within radiusKm of a place
+   * @param {string} near - "lat,lng" or an address / place name
+   * @returns {Promise<Object>} { center: { lat, lng, label }, radius, contentIds, fileIds }
+   */
+  async findNear(userId, near, radiusKm) {
+    const radius = Math.min(MAX_RADIUS_KM, parseFloat(radiusKm) > 0 ? parseFloat(radiusKm) : DEFAULT_RADIUS_KM);
+    let center = geoPoints.parsePoint(near);
+    if (center) {
+      center.label = `${center.lat}, ${center.lng}`;
+    } else {
+      const found = await geocodingService.geocode(near);
+      if (!found) throw new Error('Place not found');
+      center = { lat: found.lat, lng: found.lng, label: found.formatted_address || String(near) };
+    }
+
+    const points = await this.mediaPoints(userId, geoPoints.boundsAround(center, radius));
+    const nearby = points.filter(point => geoPoints.distanceKm(center, point) <= radius);
+    return {
+      center,
+      radius,
+      contentIds: nearby.filter(point => point.kind === 'content').map(point => point.id),
+      fileIds: nearby.filter(point => point.kind === 'file').map(point => point.id)
+    };
+  }
+
+  /**
+   * Capture location of a file on disk; reads only the start and end of large files
+   * @returns {Promise<Object|null>}
+   */
+  async readFileLocation(filePath, mimetype) {
+    if (!mediaLocation.supportsLocation(mimetype)) return null;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const window = mediaLocation.WINDOW_BYTES;
+      const read = async (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+      };
+      const buffer = size <= window * 2
+        ? await read(0, size)
+        : Buffer.concat([await read(0, window), await read(size - window, window)]);
+      return mediaLocation.readMediaLocation(buffer, mimetype);
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = new MapService();
@@ -0,0 +1,224 @@
+/**
+ * Media Location
+ *
+ * Pure readers for capture locations embedded in uploaded media, without
+ * an image library:
+ * - JPEG / TIFF: EXIF GPS IFD (GPSLatitude, GPSLongitude, GPSAltitude)
+ * - MP4 / QuickTime: the ISO 6709 string of the "©xyz" user data atom
+ *   written by phones and cameras
+ *
+ * Location: { lat, lng, altitude?, source: 'exif' | 'quicktime' }
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+// Bytes read from each end of a file on disk; EXIF sits at the start, the
+// QuickTime movie atom at either end
+const WINDOW_BYTES = 4 * 1024 * 1024;
+
+const TAG_GPS_IFD = 0x8825;
+const GPS_LATITUDE_REF = 0x0001;
+const GPS_LATITUDE = 0x0002;
+const GPS_LONGITUDE_REF = 0x0003;
+const GPS_LONGITUDE = 0x0004;
+const GPS_ALTITUDE_REF = 0x0005;
+const GPS_ALTITUDE = 0x0006;
+
+// TIFF field type → byte size
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const QUICKTIME_XYZ = Buffer.from([0xa9, 0x78, 0x79, 0x7a]); // ©xyz
+
+const EXIF_TYPES = ['image/jpeg', 'image/jpg', 'image/tiff'];
+const QUICKTIME_TYPES = ['video/mp4', 'video/quicktime', 'video/x-m4v', 'video/3gpp'];
+
+function validCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+    !(lat === 0 && lng === 0);
+}
+
+function round(value) {
+  return Math.round(value * 1e7) / 1e7;
+}
+
+/**
+ * Tag values of one TIFF IFD
+ * @returns {Map<number, Array|string>} tag → values (ASCII tags as string)
+ */
+function readIfd(buffer, tiffStart, offset, little) {
+  const u16 = at => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+  const u32 = at => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+  const tags = new Map();
+  const start = tiffStart + offset;
+  if (start + 2 > buffer.length) return tags;
+
+  const count = u16(start);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size || n === 0 || n > 64) continue;
+    const valueAt = size * n > 4 ? tiffStart + u32(entry + 8) : entry + 8;
+    if (valueAt + size * n > buffer.length) continue;
+
+    if (type === 2) {
+      tags.set(tag, buffer.toString('ascii', valueAt, valueAt + n).replace(/\0+$/, ''));
+      continue;
+    }
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const at = valueAt + k * size;
+      if (type === 5 || type === 10) {
+        const num = type === 10 ? (little ? buffer.readInt32LE(at) : buffer.readInt32BE(at)) : u32(at);
+        const den = type === 10 ? (little ? buffer.readInt32LE(at + 4) : buffer.readInt32BE(at + 4)) : u32(at + 4);
+        values.push(den ? num / den : NaN);
+      } else if (type === 3) {
+        values.push(u16(at));
+      } else if (type === 4 || type === 9) {
+        values.push(u32(at));
+      } else {
+        values.push(buffer[at]);
+      }
+    }
+    tags.set(tag, values);
+  }
+  return tags;
+}
+
+function dms(values, ref, negativeRef) {
+  if (!Array.isArray(values) || values.length === 0) return NaN;
+  const [degrees, minutes = 0, seconds = 0] = values;
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return String(ref || '').toUpperCase() === negativeRef ? -value : value;
+}
+
+/**
+ * GPS position from a TIFF structure (the payload of a JPEG APP1 Exif segment)
+ */
+function readTiffGps(buffer, tiffStart) {
+  if (tiffStart + 8 > buffer.length) return null;
+  const order = buffer.toString('ascii', tiffStart, tiffStart + 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+  const u32 = at => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+  const ifd0 = readIfd(buffer, tiffStart, u32(tiffStart + 4), little);
+  const gpsPointer = ifd0.get(TAG_GPS_IFD);
+  if (!gpsPointer) return null;
+  const gps = readIfd(buffer, tiffStart, gpsPointer[0], little);
+
+  const lat = dms(gps.get(GPS_LATITUDE), gps.get(GPS_LATITUDE_REF), 'S');
+  const lng = dms(gps.get(GPS_LONGITUDE), gps.get(GPS_LONGITUDE_REF), 'W');
+  if (!validCoordinates(lat, lng)) return null;
+
+  const location = { lat: round(lat), lng: round(lng), source: 'exif' };
+  const altitude = gps.get(GPS_ALTITUDE);
+  if (altitude && Number.isFinite(altitude[0])) {
+    const below = (gps.get(GPS_ALTITUDE_REF) || [0])[0] === 1;
+    location.altitude = Math.round((below ? -altitude[0] : altitude[0]) * 10) / 10;
+  }
+  return location;
+}
+
+/**
+ * EXIF GPS position of a JPEG or TIFF image
+ * @param {Buffer} buffer - Image bytes (at least the start of the file)
+ * @returns {Object|null} { lat, lng, altitude?, source: 'exif' }
+ */
+function readExifGps(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  try {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return readTiffGps(buffer, 0);
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      // Start of scan / end of image: no metadata segments follow
+      if (marker === 0xda || marker === 0xd9) return null;
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xe1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0') {
+        return readTiffGps(buffer, offset + 10);
+      }
+      offset += 2 + length;
+    }
+  } catch (error) {
+    // Truncated or malformed metadata
+  }
+  return null;
+}
+
+/**
+ * Parse an ISO 6709 point such as "+37.7749-122.4194+012.345/"
+ * @returns {Object|null} { lat, lng, altitude? }
+ */
+function parseIso6709(value) {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(String(value || '').trim());
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (!validCoordinates(lat, lng)) return null;
+  const point = { lat: round(lat), lng: round(lng) };
+  if (match[3]) point.altitude = Math.round(parseFloat(match[3]) * 10) / 10;
+  return point;
+}
+
+/**
+ * Location of an MP4 / QuickTime movie from its "©xyz" atom
+ * @param {Buffer} buffer - Movie bytes (or the windows that hold the movie atom)
+ * @returns {Object|null} { lat, lng, altitude?, source: 'quicktime' }
+ */
+function readQuickTimeLocation(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  let index = buffer.indexOf(QUICKTIME_XYZ);
+  while (index !== -1) {
+    // [size:4]["©xyz"][length:2][language:2][text]
+    const start = index + 4;
+    if (start + 4 <= buffer.length) {
+      const length = buffer.readUInt16BE(start);
+      const text = buffer.toString('ascii', start + 4, Math.min(buffer.length, start + 4 + length));
+      const point = parseIso6709(text);
+      if (point) return { ...point, source: 'quicktime' };
+    }
+    index = buffer.indexOf(QUICKTIME_XYZ, index + 1);
+  }
+  return null;
+}
+
+/**
+ * Capture location of an uploaded file, by MIME type; movies are searched in
+ * the first and last WINDOW_BYTES only
+ * @param {Buffer} buffer - File bytes
+ * @param {string} mimetype
+ * @returns {Object|null}
+ */
+function readMediaLocation(buffer, mimetype) {
+  const type = String(mimetype || '').toLowerCase();
+  if (EXIF_TYPES.includes(type)) return readExifGps(buffer);
+  if (!QUICKTIME_TYPES.includes(type) || !Buffer.isBuffer(buffer)) return null;
+  return readQuickTimeLocation(buffer.length > WINDOW_BYTES * 2
+    ? Buffer.concat([buffer.subarray(0, WINDOW_BYTES), buffer.subarray(buffer.length - WINDOW_BYTES)])
+    : buffer);
+}
+
+/**
+ * Whether a MIME type can carry a location readMediaLocation understands
+ */
+function supportsLocation(mimetype) {
+  const type = String(mimetype || '').toLowerCase();
+  return EXIF_TYPES.includes(type) || QUICKTIME_TYPES.includes(type);
+}
+
+module.exports = {
+  WINDOW_BYTES,
+  readExifGps,
+  parseIso6709,
+  readQuickTimeLocation,
+  readMediaLocation,
+  supportsLocation
+};
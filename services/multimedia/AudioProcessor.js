@@ -21,14 +21,12 @@ const speech = require('@google-cloud/speech');
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-
-// DaySave models
-const { Speaker } = require('../../models');
 
 // Base processor and related services
 const BaseMediaProcessor = require('./BaseMediaProcessor');
 const VoicePrintDatabase = require('./VoicePrintDatabase');
+const speakerDiarization = require('../speakerDiarization');
+const transcriptFormats = require('../transcriptFormats');
 
 /**
  * AudioProcessor Class
@@ -59,6 +57,12 @@ class AudioProcessor extends BaseMediaProcessor {
         model: 'latest_long',
         maxSpeakers: 10
       },
+      diarizationOptions: {
+        maxSpeakers: speakerDiarization.MAX_SPEAKERS,
+        maxSeconds: 3600, // longer recordings are diarized up to this point
+        syncSeconds: 55, // Google recognize() limit; longer audio uses longRunningRecognize
+        maxInlineBytes: 10 * 1024 * 1024 // Google inline audio limit; larger audio uses the local fallback
+      },
       voicePrintOptions: {
         segmentLength: 30, // seconds
         overlapLength: 5, // seconds
@@ -168,14 +172,16 @@ class AudioProcessor extends BaseMediaProcessor {
             estimatedTimeRemaining: metadata.duration * 1000 * 0.5 // Estimate 0.5x realtime
           });
           
-          const transcription = await this.transcribeAudio(userId, filePath, options.transcriptionOptions || this.config.transcriptionOptions);
-          results.results.transcription = transcription;
+          const transcription = await this.transcribeAudio(filePath, options.transcriptionOptions || this.config.transcriptionOptions);
+          results.results.transcription = transcription.text;
+          results.results.transcriptSegments = transcription.segments;
+          results.results.transcriptSource = transcription.source;
           
           this.logStep('transcription', 'completed', {
             duration: Date.now() - startTime,
             result: {
-              wordCount: transcription.split(' ').length,
-              confidence: transcription.confidence || 0.9,
+              wordCount: transcription.text.split(' ').length,
+              segmentCount: transcription.segments.length,
               language: transcription.language || 'en-US'
             }
           });
@@ -197,14 +203,22 @@ class AudioProcessor extends BaseMediaProcessor {
         
         try {
           this.updateProgress(60, 'Analyzing speakers');
-          const speakers = await this.analyzeSpeakers(userId, filePath, results.results.transcription);
+          const { speakers, segments, method } = await this.analyzeSpeakers(userId, filePath, results.results.transcription, options.diarizationOptions);
           results.results.speakers = speakers;
+          results.results.diarization = { method, segments };
+          // Google turns carry exact word times; otherwise label the transcript's own segments by overlap
+          results.results.transcriptSegments = method === 'google'
+            ? transcriptFormats.segmentsFromTurns(segments)
+            : transcriptFormats.assignSpeakers(results.results.transcriptSegments || [], segments);
+          if (method === 'google') results.results.transcriptSource = 'google-speech';
           
           this.logStep('speaker_analysis', 'completed', {
             duration: Date.now() - startTime,
             result: {
+              method,
               speakerCount: speakers.length,
-              totalSpeakingTime: speakers.reduce((sum, s) => sum + s.duration, 0)
+              turnCount: segments.length,
+              totalSpeakingTime: speakers.reduce((sum, s) => sum + s.totalDuration, 0)
             }
           });
           
@@ -420,10 +434,10 @@ class AudioProcessor extends BaseMediaProcessor {
       processorType: 'audio',
       supportedFormats: this.config.supportedAudioFormats,
       features: {
-        transcription: !!this.speechClient || !!this.openai,
+        transcription: !!this.speechClient || this.ai.isAvailable('transcription'),
         speakerDiarization: !!this.speechClient,
         voicePrintRecognition: !!this.voicePrintDB,
-        sentimentAnalysis: !!this.openai,
+        sentimentAnalysis: this.ai.isAvailable('text'),
         qualityAnalysis: true,
         metadataExtraction: true,
         formatConversion: true,
@@ -431,7 +445,7 @@ class AudioProcessor extends BaseMediaProcessor {
       },
       transcriptionProviders: [
         ...(this.speechClient ? ['google'] : []),
-        ...(this.openai ? ['openai'] : [])
+        ...(this.ai.isAvailable('transcription') ? ['openai'] : [])
       ],
       limits: {
         maxFileSize: this.config.maxFileSize,
@@ -483,7 +497,7 @@ class AudioProcessor extends BaseMediaProcessor {
    * 
    * @param {string} audioPath - Path to audio file
    * @param {Object} options - Transcription options
-   * @returns {Promise<string>} Transcription text
+   * @returns {Promise<Object>} { text, segments, source, language }
    */
   async transcribeAudio(audioPath, options = {}) {
     return this.executeWithRetry(async () => {
@@ -499,7 +513,7 @@ class AudioProcessor extends BaseMediaProcessor {
       }
       
       // Fallback to OpenAI Whisper
-      if (this.openai) {
+      if (this.ai.isAvailable('transcription')) {
         return await this.transcribeWithOpenAI(audioPath, options);
       }
       
@@ -512,7 +526,7 @@ class AudioProcessor extends BaseMediaProcessor {
    * 
    * @param {string} audioPath - Path to audio file
    * @param {Object} options - Transcription options
-   * @returns {Promise<string>} Transcription text
+   * @returns {Promise<Object>} { text, segments, source, language }
    */
   async transcribeWithGoogle(audioPath, options = {}) {
     try {
@@ -520,40 +534,50 @@ class AudioProcessor extends BaseMediaProcessor {
         this.log('Starting Google Speech-to-Text transcription');
       }
 
-      // Read audio file
-      const audioBytes = fs.readFileSync(audioPath).toString('base64');
+      // Decode to the LINEAR16 audio the request declares
+      const { maxSeconds, syncSeconds } = this.config.diarizationOptions;
+      const pcm = await this.readPcm(audioPath, maxSeconds);
 
       // Configure request
       const request = {
         audio: {
-          content: audioBytes,
+          content: pcm.toString('base64'),
         },
         config: {
           ...this.config.transcriptionOptions,
-          ...options
+          ...options,
+          encoding: 'LINEAR16',
+          sampleRateHertz: speakerDiarization.SAMPLE_RATE,
+          enableWordTimeOffsets: true
         },
       };
 
       // Perform transcription
-      const [response] = await this.speechClient.recognize(request);
+      let response;
+      if (pcm.length / 2 / speakerDiarization.SAMPLE_RATE <= syncSeconds) {
+        [response] = await this.speechClient.recognize(request);
+      } else {
+        const [operation] = await this.speechClient.longRunningRecognize(request);
+        [response] = await operation.promise();
+      }
+      const language = request.config.languageCode || null;
       
       if (!response.results || response.results.length === 0) {
         if (this.enableLogging) {
           this.log('No transcription results found');
         }
-        return '';
+        return { text: '', segments: [], source: 'google-speech', language };
       }
 
-      // Extract transcription text
-      const transcription = response.results
-        .map(result => result.alternatives[0].transcript)
-        .join(' ');
+      // Extract transcription text and word-timed segments
+      const segments = transcriptFormats.segmentsFromGoogleResults(response.results);
+      const transcription = segments.map(segment => segment.text).join(' ');
 
       if (this.enableLogging) {
         this.log(`Google transcription completed: ${transcription.length} chars, ${transcription.split(' ').length} words`);
       }
 
-      return transcription;
+      return { text: transcription, segments, source: 'google-speech', language };
     } catch (error) {
       if (this.enableLogging) {
         console.error('❌ Google transcription failed:', error);
@@ -567,11 +591,11 @@ class AudioProcessor extends BaseMediaProcessor {
    * 
    * @param {string} audioPath - Path to audio file
    * @param {Object} options - Transcription options
-   * @returns {Promise<string>} Transcription text
+   * @returns {Promise<Object>} { text, segments, source, language }
    */
   async transcribeWithOpenAI(audioPath, options = {}) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('transcription')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -579,18 +603,24 @@ class AudioProcessor extends BaseMediaProcessor {
         this.log('Starting OpenAI Whisper transcription');
       }
 
-      const transcription = await this.openai.audio.transcriptions.create({
+      const transcription = await this.ai.transcribe({
         file: fs.createReadStream(audioPath),
         model: 'whisper-1',
         language: options.languageCode ? options.languageCode.substring(0, 2) : 'en',
-        response_format: 'text'
+        response_format: 'verbose_json'
       });
+      const text = (transcription.text || '').trim();
 
       if (this.enableLogging) {
-        this.log(`OpenAI transcription completed: ${transcription.length} chars`);
+        this.log(`OpenAI transcription completed: ${text.length} chars`);
       }
 
-      return transcription;
+      return {
+        text,
+        segments: transcriptFormats.segmentsFromWhisper(transcription),
+        source: 'whisper',
+        language: transcription.language || null
+      };
     } catch (error) {
       if (this.enableLogging) {
         console.error('❌ OpenAI transcription failed:', error);
@@ -600,49 +630,98 @@ class AudioProcessor extends BaseMediaProcessor {
   }
 
   /**
-   * Analyze speakers in audio content
-   * 
+   * Split audio into speaker turns and identify each speaker's voice
+   *
+   * Uses Google Speech diarization (word-level speaker tags) when the speech
+   * client is configured and the audio is small enough to send inline, and
+   * otherwise clusters the audio locally by voice features, spreading the
+   * transcript over the turns by duration. Each speaker gets a voice
+   * fingerprint with an embedding from their own audio, matched against the
+   * user's known speakers so a recognized voice keeps its contact.
+   *
    * @param {string} userId - User ID
    * @param {string} audioPath - Path to audio file
    * @param {string} transcription - Transcription text
-   * @param {Object} options - Analysis options
-   * @returns {Promise<Array>} Array of speaker information
+   * @param {Object} options - Overrides for config.diarizationOptions
+   * @returns {Promise<Object>} { speakers, segments, method }
    */
   async analyzeSpeakers(userId, audioPath, transcription, options = {}) {
     try {
+      const diarizationOptions = { ...this.config.diarizationOptions, ...options };
       if (this.enableLogging) {
         this.log('Analyzing speakers and voice patterns');
       }
 
-      // Estimate speaker count from transcription content
-      const estimatedSpeakerCount = this.estimateSpeakerCount(transcription);
-      
-      // Create speaker records
+      const pcm = await this.readPcm(audioPath, diarizationOptions.maxSeconds);
+      const frames = speakerDiarization.frameFeatures(speakerDiarization.samplesFromPcm(pcm));
+      const mask = speakerDiarization.speechMask(frames);
+
+      let words = null;
+      if (this.speechClient && pcm.length <= diarizationOptions.maxInlineBytes) {
+        try {
+          words = await this.diarizeWithGoogle(pcm, diarizationOptions);
+        } catch (error) {
+          if (this.enableLogging) {
+            console.warn('⚠️ Google diarization failed, using local voice clustering:', error.message);
+          }
+        }
+      }
+
+      const method = words && words.length ? 'google' : 'audio_features';
+      const turns = method === 'google'
+        ? speakerDiarization.turnsFromWords(words)
+        : speakerDiarization.alignText(
+          speakerDiarization.turnsFromWindows(speakerDiarization.speechWindows(frames, mask), diarizationOptions),
+          typeof transcription === 'string' ? transcription : '');
+
+      const voices = speakerDiarization.speakerVoices(frames, mask, turns);
+      const stamp = Date.now();
+      const tagFor = speaker => `Speaker_${stamp}_${speaker}`;
       const speakers = [];
-      for (let i = 0; i < estimatedSpeakerCount; i++) {
-        const speaker = await Speaker.create({
-          id: uuidv4(),
-          user_id: userId,
-          name: `Speaker ${i + 1}`,
-          voice_characteristics: JSON.stringify({
-            estimated: true,
-            confidence: 0.6,
-            segmentLength: Math.floor(transcription.length / estimatedSpeakerCount)
-          }),
-          recognition_confidence: 0.6,
-          total_speaking_time: Math.floor(transcription.split(' ').length / estimatedSpeakerCount),
-          word_count: Math.floor(transcription.split(' ').length / estimatedSpeakerCount),
-          created_at: new Date()
+      for (const summary of speakerDiarization.speakerSummaries(turns)) {
+        const characteristics = speakerDiarization.voiceCharacteristics(voices.get(summary.speaker) || {}, summary);
+        const speakingStyle = speakerDiarization.speakingStyle(summary.text, summary.totalDuration);
+        const voiceFingerprint = this.voicePrintDB.generateVoiceFingerprint(characteristics, speakingStyle);
+
+        let match = null;
+        try {
+          match = await this.voicePrintDB.findMatchingSpeaker(userId, voiceFingerprint);
+        } catch (error) {
+          if (this.enableLogging) {
+            console.warn('⚠️ Voice matching failed:', error.message);
+          }
+        }
+        // Only a voice that belongs to a contact carries its name over; "Speaker 2" from another recording is not this one
+        const known = match && match.speaker.contact_id ? match.speaker : null;
+
+        speakers.push({
+          id: tagFor(summary.speaker),
+          speakerTag: tagFor(summary.speaker),
+          name: known ? known.name : `Speaker ${summary.speaker}`,
+          contactId: known ? known.contact_id : null,
+          voicePrintId: match ? match.speaker.id : null,
+          confidence: match ? Math.round(match.similarity * 100) / 100 : (method === 'google' ? 0.8 : 0.6),
+          voiceFingerprint,
+          characteristics,
+          speakingStyle,
+          segments: turns.filter(turn => turn.speaker === summary.speaker).map(turn => ({ start: turn.start, end: turn.end })),
+          totalDuration: summary.totalDuration,
+          turnCount: summary.turnCount,
+          wordCount: summary.wordCount,
+          firstAppearance: summary.firstAppearance,
+          lastAppearance: summary.lastAppearance
         });
-        
-        speakers.push(speaker);
       }
 
       if (this.enableLogging) {
-        this.log(`Speaker analysis completed: found ${speakers.length} speakers`);
+        this.log(`Speaker analysis completed (${method}): found ${speakers.length} speakers in ${turns.length} turns`);
       }
 
-      return speakers;
+      return {
+        speakers,
+        segments: turns.map(turn => ({ ...turn, speakerTag: tagFor(turn.speaker) })),
+        method
+      };
     } catch (error) {
       if (this.enableLogging) {
         console.error('❌ Speaker analysis failed:', error);
@@ -651,6 +730,63 @@ class AudioProcessor extends BaseMediaProcessor {
     }
   }
 
+  /**
+   * Decode audio to 16 kHz mono s16le PCM
+   * @param {string} audioPath - Path to audio file
+   * @param {number} maxSeconds - Decode at most this much audio
+   * @returns {Promise<Buffer>} Raw PCM bytes
+   */
+  async readPcm(audioPath, maxSeconds) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const command = ffmpeg(audioPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(speakerDiarization.SAMPLE_RATE)
+        .audioCodec('pcm_s16le')
+        .format('s16le');
+      if (maxSeconds) command.duration(maxSeconds);
+      const stream = command.on('error', reject).pipe();
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  /**
+   * Words with speaker tags from Google Speech diarization
+   * @param {Buffer} pcm - 16 kHz mono s16le audio
+   * @param {Object} options - { maxSpeakers, syncSeconds }
+   * @returns {Promise<Array>} { word, start, end, speakerTag }
+   */
+  async diarizeWithGoogle(pcm, options = {}) {
+    // maxSpeakers and the top-level diarization flag are replaced by diarizationConfig
+    const { maxSpeakers, enableSpeakerDiarization, ...transcriptionOptions } = this.config.transcriptionOptions;
+    const request = {
+      audio: { content: pcm.toString('base64') },
+      config: {
+        ...transcriptionOptions,
+        encoding: 'LINEAR16',
+        sampleRateHertz: speakerDiarization.SAMPLE_RATE,
+        audioChannelCount: 1,
+        enableWordTimeOffsets: true,
+        diarizationConfig: {
+          enableSpeakerDiarization: true,
+          minSpeakerCount: 1,
+          maxSpeakerCount: options.maxSpeakers || maxSpeakers
+        }
+      }
+    };
+
+    let response;
+    if (pcm.length / 2 / speakerDiarization.SAMPLE_RATE <= options.syncSeconds) {
+      [response] = await this.speechClient.recognize(request);
+    } else {
+      const [operation] = await this.speechClient.longRunningRecognize(request);
+      [response] = await operation.promise();
+    }
+    return speakerDiarization.wordsFromGoogleResults(response.results || []);
+  }
+
   /**
    * Analyze voice prints in audio content
    * 
@@ -741,11 +877,11 @@ class AudioProcessor extends BaseMediaProcessor {
    */
   async analyzeSentiment(text) {
     try {
-      if (!this.openai || !text || text.length < 10) {
+      if (!this.ai.isAvailable('text') || !text || text.length < 10) {
         return null;
       }
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-3.5-turbo',
         messages: [
           {
@@ -771,51 +907,6 @@ class AudioProcessor extends BaseMediaProcessor {
     }
   }
 
-  /**
-   * Estimate speaker count based on transcription content
-   * @param {string} transcription - Transcription text
-   * @returns {number} Estimated number of speakers
-   */
-  estimateSpeakerCount(transcription) {
-    if (!transcription || transcription.length < 50) {
-      return 1;
-    }
-
-    const text = transcription.toLowerCase();
-    
-    // Simple heuristics for speaker estimation
-    const questionMarks = (text.match(/\?/g) || []).length;
-    const dialogueIndicators = (text.match(/\b(you|i|we|they|he|she)\b/g) || []).length;
-    
-    // Look for speaker transition indicators
-    const speakerTransitions = (text.match(/\b(but|however|meanwhile|then|next|after that)\b/g) || []).length;
-    
-    // Calculate estimated speakers
-    let estimatedSpeakers = 1;
-    
-    // If many questions, likely conversation
-    if (questionMarks > 3) {
-      estimatedSpeakers = 2; // Likely conversation
-    }
-    
-    // If many dialogue indicators, multiple speakers
-    if (dialogueIndicators > 10) {
-      estimatedSpeakers = Math.min(3, Math.ceil(dialogueIndicators / 5));
-    }
-    
-    // Speaker transitions suggest multiple speakers
-    if (speakerTransitions > 5) {
-      estimatedSpeakers = Math.min(4, Math.ceil(speakerTransitions / 3));
-    }
-    
-    // For longer content, assume more speakers
-    if (transcription.length > 2000) {
-      estimatedSpeakers = Math.min(estimatedSpeakers + 1, 3);
-    }
-    
-    return Math.max(1, estimatedSpeakers);
-  }
-
   /**
    * Get audio quality rating
    * @param {Object} audioStream - Audio stream metadata
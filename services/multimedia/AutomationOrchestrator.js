@@ -418,7 +418,12 @@ class AutomationOrchestrator {
             const progressJob = this.progressTracker.createJob(jobId, mediaType, {
                 filename: metadata.filename || 'unknown',
                 fileSize: fileBuffer.length,
-                duration: metadata.duration || 0
+                duration: metadata.duration || 0,
+                // Lets progress listeners route events to the owning user's item
+                userId: metadata.userId,
+                fileId: metadata.fileId,
+                contentId: metadata.contentId,
+                processingJobId: metadata.processingJobId
             });
             
             // Check if we have a processor for this type
@@ -862,6 +867,9 @@ class AutomationOrchestrator {
             case 'audio':
                 if (actualResults.transcription) formatted.data.transcription = actualResults.transcription;
                 if (actualResults.speakers) formatted.data.speakers = actualResults.speakers;
+                if (actualResults.diarization) formatted.data.diarization = actualResults.diarization;
+                if (actualResults.transcriptSegments) formatted.data.transcriptSegments = actualResults.transcriptSegments;
+                if (actualResults.transcriptSource) formatted.data.transcriptSource = actualResults.transcriptSource;
                 if (actualResults.voicePrints) formatted.data.voicePrints = actualResults.voicePrints;
                 if (actualResults.sentiment) formatted.data.sentiment = actualResults.sentiment;
                 break;
@@ -957,7 +965,9 @@ class AutomationOrchestrator {
     }
 
     /**
-     * Get job status
+     * Get status of a pipeline run in this process. The durable job state
+     * (queued, retrying, failed) is the ProcessingJob row managed by
+     * services/jobQueueService.js.
      */
     getJobStatus(jobId) {
         const job = this.activeJobs.get(jobId);
@@ -13,7 +13,7 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { OpenAI } = require('openai');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
 
 /**
  * Abstract BaseMediaProcessor Class
@@ -26,7 +26,7 @@ class BaseMediaProcessor {
    * Initialize the BaseMediaProcessor
    * 
    * @param {Object} options - Configuration options
-   * @param {string} options.openaiApiKey - OpenAI API key
+   * @param {OpenAICompatibleProvider} options.aiProvider - AI provider (default: the shared one)
    * @param {string} options.googleApiKey - Google Cloud API key
    * @param {string} options.googleCredentials - Path to Google Cloud credentials
    * @param {boolean} options.enableLogging - Enable detailed logging (default: true)
@@ -45,12 +45,8 @@ class BaseMediaProcessor {
     this.currentProgress = 0;
     this.progressCallback = options.progressCallback || null;
     
-    // Initialize OpenAI client
-    if (options.openaiApiKey || process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: options.openaiApiKey || process.env.OPENAI_API_KEY
-      });
-    }
+    // AI provider (OpenAI or any OpenAI-compatible server, per capability)
+    this.ai = options.aiProvider || OpenAICompatibleProvider.getInstance();
     
     // Base configuration (to be extended by concrete classes)
     this.config = {
@@ -22,21 +22,30 @@ class ConfigurationManager {
     async initialize() {
         if (this.initialized) return;
 
-        // Setup default configurations
-        this.setupDefaults();
-        
-        // Setup validators
-        this.setupValidators();
+        // Setup defaults, validators and environment overrides
+        this.loadDefaults();
         
         // Load configuration file if exists
         await this.loadConfigFile();
         
-        // Apply environment variable overrides
+        // Apply environment variable overrides again so they win over the file
         this.applyEnvironmentOverrides();
         
         this.initialized = true;
     }
 
+    /**
+     * Defaults and environment overrides without the config file, for callers
+     * that need settings synchronously (initialize() adds the file later)
+     */
+    loadDefaults() {
+        if (this.defaults.size > 0) return;
+
+        this.setupDefaults();
+        this.setupValidators();
+        this.applyEnvironmentOverrides();
+    }
+
     /**
      * Setup default configurations for all processors and plugins
      */
@@ -154,13 +163,19 @@ class ConfigurationManager {
                 timeoutMs: 60000,
                 retryAttempts: 2
             },
+            // Any OpenAI-compatible API (see OpenAICompatibleProvider). Each capability
+            // can use its own server; a null model keeps the model each call uses with OpenAI
             openai: {
-                enabled: !!process.env.OPENAI_API_KEY,
+                enabled: true,
                 baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
                 timeoutMs: 60000,
                 retryAttempts: 2,
-                defaultModel: 'gpt-4-vision-preview',
-                whisperModel: 'whisper-1'
+                capabilities: {
+                    text: { baseURL: null, model: null },
+                    vision: { baseURL: null, model: null },
+                    transcription: { baseURL: null, model: null },
+                    embeddings: { baseURL: null, model: process.env.SEARCH_EMBEDDING_MODEL || null }
+                }
             },
             fallback: {
                 enableAutomaticFallback: true,
@@ -276,7 +291,12 @@ class ConfigurationManager {
         // Plugin configuration overrides
         this.applyEnvOverride('plugins.google_cloud.enabled', 'MM_GOOGLE_CLOUD_ENABLED', this.parseBoolean);
         this.applyEnvOverride('plugins.openai.enabled', 'MM_OPENAI_ENABLED', this.parseBoolean);
-        this.applyEnvOverride('plugins.openai.defaultModel', 'MM_OPENAI_MODEL');
+        this.applyEnvOverride('plugins.openai.capabilities.text.model', 'MM_OPENAI_MODEL');
+        for (const capability of Object.keys(this.getConfig('plugins.openai.capabilities', {}))) {
+            const prefix = `MM_AI_${capability.toUpperCase()}`;
+            this.applyEnvOverride(`plugins.openai.capabilities.${capability}.baseURL`, `${prefix}_BASE_URL`);
+            this.applyEnvOverride(`plugins.openai.capabilities.${capability}.model`, `${prefix}_MODEL`);
+        }
 
         // Performance configuration overrides
         this.applyEnvOverride('performance.concurrentProcessing.maxConcurrentJobs', 'MM_MAX_CONCURRENT_JOBS', parseInt);
@@ -43,10 +43,10 @@ class DocumentProcessor extends BaseMediaProcessor {
             // Set processing capabilities
             this.capabilities = {
                 textExtraction: true,
-                contentAnalysis: !!this.genAI,
-                summarization: !!this.genAI,
-                titleGeneration: !!this.genAI,
-                tagGeneration: !!this.genAI
+                contentAnalysis: !!this.genAI || this.ai.isAvailable('text'),
+                summarization: !!this.genAI || this.ai.isAvailable('text'),
+                titleGeneration: !!this.genAI || this.ai.isAvailable('text'),
+                tagGeneration: !!this.genAI || this.ai.isAvailable('text')
             };
             
             this.initialized = true;
@@ -281,8 +281,8 @@ class DocumentProcessor extends BaseMediaProcessor {
             }
         }
 
-        // Try OpenAI as fallback
-        if (process.env.OPENAI_API_KEY) {
+        // Try OpenAI (or a self-hosted compatible model) as fallback
+        if (this.ai.isAvailable('text')) {
             try {
                 console.log('🔄 Falling back to OpenAI for document analysis...');
                 return await this.performOpenAIAnalysis(cleanedText, metadata);
@@ -297,43 +297,15 @@ class DocumentProcessor extends BaseMediaProcessor {
     }
 
     /**
-     * Perform AI analysis using OpenAI
+     * Perform AI analysis with the OpenAI-compatible text model (same prompt as Gemini)
      */
     async performOpenAIAnalysis(text, metadata = {}) {
-        if (!this.openai) {
-            const { OpenAI } = require('openai');
-            this.openai = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-        }
-
+        const prompt = this.createAnalysisPrompt(text, metadata);
         const preview = text.length > 3000 ? text.substring(0, 3000) + '...' : text;
-        
-        const prompt = `Please analyze this document content and provide a JSON response with the following structure:
-{
-    "title": "Descriptive title based on the actual content (max 100 chars)",
-    "summary": "Meaningful summary describing what this document is about (max 300 chars)",
-    "tags": ["tag1", "tag2", "tag3"],
-    "category": "document type category",
-    "confidence": 0.95
-}
-
-Document content:
-${preview}
-
-Requirements:
-- Focus on the ACTUAL TEXT CONTENT, not technical file structure
-- If this is placeholder text (like Lorem Ipsum), identify it as such and provide appropriate description
-- Title should describe what the document contains or its purpose
-- Summary should explain the document's content or nature
-- Tags should reflect the content type and purpose (e.g., "sample", "lorem-ipsum", "placeholder", "text-document")
-- Category should be the document's purpose (sample, template, report, letter, etc.)
-- DO NOT describe file formats, ZIP archives, or XML structure
-- Return only valid JSON, no additional text`;
 
         const startTime = Date.now();
         
-        const response = await this.openai.chat.completions.create({
+        const response = await this.ai.chat('text', {
             model: "gpt-3.5-turbo",
             messages: [{ role: "user", content: prompt }],
             max_tokens: 500,
@@ -18,7 +18,6 @@
  * @version 1.0.0
  */
 
-const { OpenAI } = require('openai');
 const vision = require('@google-cloud/vision');
 const fs = require('fs');
 const path = require('path');
@@ -26,10 +25,12 @@ const { v4: uuidv4 } = require('uuid');
 
 // DaySave models
 const { Face, User, Content, File, ImageAnalysis, VideoAnalysis } = require('../../models');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
 
 class FaceRecognitionService {
   constructor(options = {}) {
-    this.openai = options.openai || null;
+    // AI provider (OpenAI or any OpenAI-compatible vision model)
+    this.ai = options.aiProvider || OpenAICompatibleProvider.getInstance();
     this.visionClient = options.visionClient || null;
     this.enableLogging = options.enableLogging !== false;
     
@@ -61,13 +62,6 @@ class FaceRecognitionService {
       maxRetries: 3                      // Maximum retries for failed operations
     };
 
-    // Initialize OpenAI if available
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    }
-
     // Initialize Google Vision if available
     if (process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_API_KEY) {
       try {
@@ -81,7 +75,7 @@ class FaceRecognitionService {
 
     if (this.enableLogging) {
       console.log('🎭 Face Recognition Service initialized', {
-        openai: !!this.openai,
+        aiVision: this.ai.isAvailable('vision'),
         googleVision: !!this.visionClient,
         aiAnalysis: this.config.aiAnalysisEnabled,
         celebrityRecognition: this.config.celebrityRecognitionEnabled
@@ -133,6 +127,9 @@ class FaceRecognitionService {
           // Check for existing similar faces
           const similarFaces = await this.findSimilarFaces(userId, nameResult.faceEncoding);
           
+          // Closest matching face that is linked to a contact passes the contact on
+          const knownFace = similarFaces.find(f => f.contact_id && f.similarity >= this.config.recognitionScoreThreshold);
+          
           // Create face record
           const faceRecord = {
             id: uuidv4(),
@@ -141,6 +138,8 @@ class FaceRecognitionService {
             file_id: options.fileId || null,
             image_analysis_id: options.imageAnalysisId || null,
             video_analysis_id: options.videoAnalysisId || null,
+            contact_id: knownFace ? knownFace.contact_id : null,
+            face_name: knownFace ? knownFace.face_name : null,
             
             // AI name suggestion results
             ai_suggested_name: nameResult.suggestedName,
@@ -161,7 +160,7 @@ class FaceRecognitionService {
             },
             
             // Face grouping
-            face_group_id: this.determineFaceGroup(similarFaces, nameResult),
+            face_group_id: knownFace?.face_group_id || this.determineFaceGroup(similarFaces, nameResult),
             recognition_score: nameResult.recognitionScore,
             is_primary_face: this.isPrimaryFace(similarFaces, nameResult),
             
@@ -298,7 +297,7 @@ class FaceRecognitionService {
    */
   async generateAINameSuggestion(imagePath, face, options = {}) {
     try {
-      if (!this.openai || !this.config.aiAnalysisEnabled) {
+      if (!this.ai.isAvailable('vision') || !this.config.aiAnalysisEnabled) {
         return {
           suggestedName: null,
           confidence: 0.0,
@@ -323,7 +322,7 @@ class FaceRecognitionService {
       // Create AI analysis prompt
       const analysisPrompt = this.buildNameAnalysisPrompt(face, options);
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini", // Vision-enabled model
         messages: [
           {
@@ -176,9 +176,9 @@ class ImageProcessor extends BaseMediaProcessor {
       }
 
       // Generate comprehensive image description (if enabled)
-      if (options.enableDescriptionGeneration && this.openai) {
+      if (options.enableDescriptionGeneration && this.ai.isAvailable('vision')) {
         console.log(`🤖 DEBUG: Starting AI description generation...`);
-        console.log(`🤖 DEBUG: OpenAI client available:`, !!this.openai);
+        console.log(`🤖 DEBUG: AI vision provider available:`, this.ai.isAvailable('vision'));
         try {
           const description = await this.generateImageDescription(filePath, {
             objects: results.results.objects,
@@ -193,7 +193,7 @@ class ImageProcessor extends BaseMediaProcessor {
           this.addWarning(results, 'Failed to generate description', 'description_generation');
         }
       } else {
-        console.log(`⚠️ DEBUG: AI description skipped - enableDescriptionGeneration: ${options.enableDescriptionGeneration}, openai: ${!!this.openai}`);
+        console.log(`⚠️ DEBUG: AI description skipped - enableDescriptionGeneration: ${options.enableDescriptionGeneration}, openai: ${this.ai.isAvailable('vision')}`);
       }
 
       // Generate thumbnails (if enabled)
@@ -223,7 +223,7 @@ class ImageProcessor extends BaseMediaProcessor {
       }
 
       // Generate content tags (if enabled and description available)
-      if (options.enableTagGeneration && this.openai && results.results.description) {
+      if (options.enableTagGeneration && this.ai.isAvailable('text') && results.results.description) {
         console.log(`🏷️ DEBUG: Starting tag generation...`);
         try {
           const tags = await this.generateContentTags({
@@ -239,11 +239,11 @@ class ImageProcessor extends BaseMediaProcessor {
           this.addWarning(results, 'Failed to generate tags', 'tag_generation');
         }
       } else {
-        console.log(`⚠️ DEBUG: Tag generation skipped - enableTagGeneration: ${options.enableTagGeneration}, openai: ${!!this.openai}, description: ${!!results.results.description}`);
+        console.log(`⚠️ DEBUG: Tag generation skipped - enableTagGeneration: ${options.enableTagGeneration}, openai: ${this.ai.isAvailable('text')}, description: ${!!results.results.description}`);
       }
 
       // ✨ Generate sophisticated AI title (if enabled and description available)
-      if (options.enableTitleGeneration && this.openai && results.results.description) {
+      if (options.enableTitleGeneration && this.ai.isAvailable('text') && results.results.description) {
         console.log(`🎯 DEBUG: Starting sophisticated AI title generation...`);
         try {
           const generatedTitle = await this.generateSophisticatedTitle({
@@ -265,7 +265,7 @@ class ImageProcessor extends BaseMediaProcessor {
           this.addWarning(results, 'Failed to generate AI title', 'title_generation');
         }
       } else {
-        console.log(`⚠️ DEBUG: Sophisticated title generation skipped - enableTitleGeneration: ${options.enableTitleGeneration}, openai: ${!!this.openai}, description: ${!!results.results.description}`);
+        console.log(`⚠️ DEBUG: Sophisticated title generation skipped - enableTitleGeneration: ${options.enableTitleGeneration}, openai: ${this.ai.isAvailable('text')}, description: ${!!results.results.description}`);
       }
 
       this.updateProgress(100, 'Image processing completed');
@@ -379,21 +379,21 @@ class ImageProcessor extends BaseMediaProcessor {
       processorType: 'image',
       supportedFormats: this.config.supportedImageFormats,
       features: {
-        objectDetection: !!this.visionClient || !!this.openai,
-        ocrTextExtraction: !!this.visionClient || !!this.openai,
+        objectDetection: !!this.visionClient || this.ai.isAvailable('vision'),
+        ocrTextExtraction: !!this.visionClient || this.ai.isAvailable('vision'),
         faceDetection: !!this.visionClient,
         landmarkDetection: !!this.visionClient,
-        descriptionGeneration: !!this.openai,
+        descriptionGeneration: this.ai.isAvailable('vision'),
         thumbnailGeneration: true,
         qualityAnalysis: true,
         metadataExtraction: true,
-        tagGeneration: !!this.openai,
-        titleGeneration: !!this.openai, // ✨ NEW: Sophisticated AI title generation
+        tagGeneration: this.ai.isAvailable('text'),
+        titleGeneration: this.ai.isAvailable('text'), // ✨ NEW: Sophisticated AI title generation
         formatConversion: false // TODO: Implement
       },
       visionProviders: [
         ...(this.visionClient ? ['google'] : []),
-        ...(this.openai ? ['openai'] : [])
+        ...(this.ai.isAvailable('vision') ? ['openai'] : [])
       ],
       limits: {
         maxFileSize: this.config.maxFileSize,
@@ -478,7 +478,7 @@ class ImageProcessor extends BaseMediaProcessor {
       }
 
       // Fallback to OpenAI Vision
-      if (this.openai) {
+      if (this.ai.isAvailable('vision')) {
         return await this.detectObjectsWithOpenAI(imagePath, options);
       }
 
@@ -545,7 +545,7 @@ class ImageProcessor extends BaseMediaProcessor {
       const base64Image = imageBuffer.toString('base64');
       const mimeType = this.getMimeTypeFromPath(imagePath);
       
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini",
         messages: [
           {
@@ -643,7 +643,7 @@ Only return the JSON array, no other text.`
       }
 
       // Fallback to OpenAI Vision
-      if (this.openai) {
+      if (this.ai.isAvailable('vision')) {
         return await this.extractTextWithOpenAI(imagePath, options);
       }
 
@@ -706,7 +706,7 @@ Only return the JSON array, no other text.`
       
       const startTime = Date.now();
       
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini",
         messages: [
           {
@@ -786,7 +786,7 @@ Return only the extracted text, preserving original formatting and line breaks w
    */
   async generateImageDescription(imagePath, context = {}) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('vision')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -814,7 +814,7 @@ Return only the extracted text, preserving original formatting and line breaks w
 
       prompt += `\n\nWrite a comprehensive but concise description in 2-3 sentences.`;
       
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini",
         messages: [
           {
@@ -944,7 +944,7 @@ Return only the extracted text, preserving original formatting and line breaks w
    */
   async generateContentTags(context = {}) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -964,7 +964,7 @@ Return only the extracted text, preserving original formatting and line breaks w
       
       prompt += 'Return 5-10 relevant tags as a JSON array of strings.';
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-3.5-turbo',
         messages: [
           {
@@ -1016,7 +1016,7 @@ Return only the extracted text, preserving original formatting and line breaks w
    */
   async generateSophisticatedTitle(context = {}) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -1084,7 +1084,7 @@ BAD examples to avoid:
 Respond with only the title, no quotes or additional text.`;
 
       const startTime = Date.now();
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
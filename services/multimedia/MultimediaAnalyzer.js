@@ -18,7 +18,6 @@
  * @version 1.0.0
  */
 
-const { OpenAI } = require('openai');
 const vision = require('@google-cloud/vision');
 const speech = require('@google-cloud/speech');
 const ffmpeg = require('fluent-ffmpeg');
@@ -32,6 +31,8 @@ const { Content, File, Speaker, Thumbnail, OCRCaption, VideoAnalysis } = require
 
 // Multimedia services
 const VoicePrintDatabase = require('./VoicePrintDatabase');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const transcriptFormats = require('../transcriptFormats');
 
 /**
  * MultimediaAnalyzer Class
@@ -43,7 +44,7 @@ class MultimediaAnalyzer {
    * Initialize the MultimediaAnalyzer service
    * 
    * @param {Object} options - Configuration options
-   * @param {string} options.openaiApiKey - OpenAI API key
+   * @param {OpenAICompatibleProvider} options.aiProvider - AI provider (default: the shared one)
    * @param {string} options.googleApiKey - Google Cloud API key
    * @param {string} options.googleCredentials - Path to Google Cloud credentials
    * @param {boolean} options.enableLogging - Enable detailed logging (default: true)
@@ -51,12 +52,8 @@ class MultimediaAnalyzer {
   constructor(options = {}) {
     this.enableLogging = options.enableLogging !== false;
     
-    // Initialize OpenAI client
-    if (options.openaiApiKey || process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: options.openaiApiKey || process.env.OPENAI_API_KEY
-      });
-    }
+    // AI provider (OpenAI or any OpenAI-compatible server, per capability)
+    this.ai = options.aiProvider || OpenAICompatibleProvider.getInstance();
     
     // Initialize Google Cloud clients
     this.initializeGoogleClients(options);
@@ -243,7 +240,7 @@ class MultimediaAnalyzer {
       results.category = await this.generateCategory(results);
 
       // Generate title based on summary/content (enhanced for all media types)
-      if (this.openai && (results.summary || results.transcription)) {
+      if (this.ai.isAvailable('text') && (results.summary || results.transcription)) {
         results.generatedTitle = await this.generateTitle(results);
       }
 
@@ -296,6 +293,8 @@ class MultimediaAnalyzer {
       platform: null,
       metadata: {},
       transcription: '',
+      transcriptSegments: [],
+      transcriptSource: null,
       speakers: [],
       summary: '',
       sentiment: null,
@@ -384,6 +383,8 @@ class MultimediaAnalyzer {
             
             if (transcriptionResult && transcriptionResult.text) {
               results.transcription = transcriptionResult.text;
+              results.transcriptSegments = transcriptionResult.segments || [];
+              results.transcriptSource = transcriptionResult.source;
               const wordCount = transcriptionResult.text.split(' ').length;
               
               // Log transcription success
@@ -534,6 +535,8 @@ class MultimediaAnalyzer {
                 const transcriptionResult = await this.transcribeVideoFile(instagramResult.filePath);
                 if (transcriptionResult && transcriptionResult.text) {
                   results.transcription = transcriptionResult.text;
+                  results.transcriptSegments = transcriptionResult.segments || [];
+                  results.transcriptSource = transcriptionResult.provider;
                   const wordCount = transcriptionResult.text.split(' ').length;
                   
                   if (user_id && content_id) {
@@ -724,6 +727,8 @@ class MultimediaAnalyzer {
                 const transcriptionResult = await this.transcribeVideoFile(facebookResult.filePath);
                 if (transcriptionResult && transcriptionResult.text) {
                   results.transcription = transcriptionResult.text;
+                  results.transcriptSegments = transcriptionResult.segments || [];
+                  results.transcriptSource = transcriptionResult.provider;
                   const wordCount = transcriptionResult.text.split(' ').length;
                   
                   if (user_id && content_id) {
@@ -1104,7 +1109,7 @@ class MultimediaAnalyzer {
         results.category = await this.generateCategory(results);
 
         // Generate title based on summary/content
-        if (this.openai && (results.summary || results.transcription)) {
+        if (this.ai.isAvailable('text') && (results.summary || results.transcription)) {
           results.generatedTitle = await this.generateTitle(results);
         }
       } else {
@@ -1443,7 +1448,7 @@ class MultimediaAnalyzer {
       }
 
       // Generate comprehensive image description using ChatGPT
-      if (this.openai) {
+      if (this.ai.isAvailable('text')) {
         try {
           const descriptionResult = await this.generateImageDescriptionFromPath(imagePath, {
             objects: results.objects,
@@ -1478,7 +1483,7 @@ class MultimediaAnalyzer {
       }
 
       // Generate tags based on all available information
-      if (this.openai) {
+      if (this.ai.isAvailable('text')) {
         try {
           results.tags = await this.generateTags({
             objects: results.objects,
@@ -1496,7 +1501,7 @@ class MultimediaAnalyzer {
       }
 
       // Generate category
-      if (this.openai) {
+      if (this.ai.isAvailable('text')) {
         try {
           results.category = await this.generateCategory({
             objects: results.objects,
@@ -1514,7 +1519,7 @@ class MultimediaAnalyzer {
       }
 
       // ✨ Generate sophisticated AI title for images (matching video approach)
-      if (this.openai && (results.description || results.transcription)) {
+      if (this.ai.isAvailable('text') && (results.description || results.transcription)) {
         try {
           if (this.enableLogging) {
             console.log('🎯 Generating sophisticated AI title for image');
@@ -1658,7 +1663,7 @@ class MultimediaAnalyzer {
       console.error('❌ Audio transcription failed:', error);
       
       // Fallback to OpenAI Whisper if available
-      if (this.openai) {
+      if (this.ai.isAvailable('transcription')) {
         return await this.transcribeAudioWithWhisper(audioPath);
       }
       
@@ -1674,7 +1679,7 @@ class MultimediaAnalyzer {
    */
   async transcribeAudioWithWhisper(audioPath) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('transcription')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -1682,7 +1687,7 @@ class MultimediaAnalyzer {
         console.log('🎤 Using OpenAI Whisper for transcription');
       }
 
-      const transcription = await this.openai.audio.transcriptions.create({
+      const transcription = await this.ai.transcribe({
         file: fs.createReadStream(audioPath),
         model: 'whisper-1',
         language: 'en',
@@ -1699,6 +1704,9 @@ class MultimediaAnalyzer {
   /**
    * Analyze speakers in audio content
    * 
+   * Diarizes the audio with AudioProcessor (Google Speech diarization, or
+   * local voice clustering), the same way uploaded audio files are analyzed.
+   * 
    * @param {string} userId - User ID
    * @param {string} audioPath - Path to audio file
    * @param {string} transcription - Transcription text
@@ -1710,20 +1718,11 @@ class MultimediaAnalyzer {
         console.log('👥 Analyzing speakers and voice prints');
       }
 
-      // For now, return basic speaker analysis
-      // This would be expanded with actual speaker diarization
-      const speakers = [{
-        id: uuidv4(),
-        name: 'Speaker 1',
-        wordCount: transcription.split(' ').length,
-        confidence: 0.8,
-        segments: [{
-          start: 0,
-          end: transcription.length,
-          text: transcription
-        }]
-      }];
-
+      if (!this.audioProcessor) {
+        const AudioProcessor = require('./AudioProcessor');
+        this.audioProcessor = new AudioProcessor({ enableLogging: this.enableLogging });
+      }
+      const { speakers } = await this.audioProcessor.analyzeSpeakers(userId, audioPath, transcription);
       return speakers;
     } catch (error) {
       console.error('❌ Speaker analysis failed:', error);
@@ -1768,7 +1767,7 @@ class MultimediaAnalyzer {
       }
 
       // Fallback to OpenAI Vision
-      if (this.openai) {
+      if (this.ai.isAvailable('vision')) {
         if (this.enableLogging) {
           console.log('🔍 Falling back to OpenAI Vision for object detection');
         }
@@ -1785,7 +1784,7 @@ class MultimediaAnalyzer {
       console.error('❌ Object detection failed:', error);
       
       // Try OpenAI fallback if Google Vision failed
-      if (this.openai && !error.message.includes('OpenAI')) {
+      if (this.ai.isAvailable('vision') && !error.message.includes('OpenAI')) {
         if (this.enableLogging) {
           console.log('🔄 Trying OpenAI Vision as fallback after Google Vision error');
         }
@@ -1815,7 +1814,7 @@ class MultimediaAnalyzer {
       const base64Image = imageBuffer.toString('base64');
       const mimeType = this.getMimeTypeFromPath(imagePath);
       
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini", // Use the vision-enabled model
         messages: [
           {
@@ -1957,7 +1956,7 @@ Only return the JSON array, no other text.`
       }
 
       // Fallback to OpenAI Vision
-      if (this.openai) {
+      if (this.ai.isAvailable('vision')) {
         if (this.enableLogging) {
           console.log('🔄 Falling back to OpenAI Vision for text extraction');
         }
@@ -1973,7 +1972,7 @@ Only return the JSON array, no other text.`
       console.error('❌ Text extraction failed:', error);
       
       // Try OpenAI fallback if Google Vision failed
-      if (this.openai && !error.message.includes('OpenAI')) {
+      if (this.ai.isAvailable('vision') && !error.message.includes('OpenAI')) {
         try {
           return await this.extractTextWithOpenAI(imagePath);
         } catch (fallbackError) {
@@ -1997,7 +1996,7 @@ Only return the JSON array, no other text.`
       const base64Image = imageBuffer.toString('base64');
       const mimeType = this.getMimeTypeFromPath(imagePath);
       
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('vision', {
         model: "gpt-4o-mini",
         messages: [
           {
@@ -2137,7 +2136,7 @@ Return only the extracted text, preserving line breaks and formatting where poss
    */
   async generateComprehensiveSummary(results) {
     try {
-      if (!this.openai) return '';
+      if (!this.ai.isAvailable('text')) return '';
 
       // Debug: Log the actual data structure being passed
       if (this.enableLogging) {
@@ -2219,7 +2218,7 @@ INSTRUCTIONS:
 
 Create a summary that accurately describes what this content contains:`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4o-mini',
         messages: [
           {
@@ -2261,7 +2260,7 @@ Create a summary that accurately describes what this content contains:`;
    */
   async generateSummary(text) {
     try {
-      if (!this.openai || !text) return '';
+      if (!this.ai.isAvailable('text') || !text) return '';
 
       // Handle large transcriptions that might exceed token limits
       // Approximate: 1 token ≈ 4 characters for English text
@@ -2280,7 +2279,7 @@ Create a summary that accurately describes what this content contains:`;
         console.log(`⚠️ Transcription truncated for summary generation: ${text.length} → ${processedText.length} chars`);
       }
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4o-mini', // More efficient model with higher rate limits
         messages: [
           {
@@ -2322,9 +2321,9 @@ Create a summary that accurately describes what this content contains:`;
    */
   async analyzeSentiment(text) {
     try {
-      if (!this.openai || !text) return null;
+      if (!this.ai.isAvailable('text') || !text) return null;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
@@ -2367,7 +2366,7 @@ Create a summary that accurately describes what this content contains:`;
     let fallbackTags = [];
     
     // Try AI-powered tag generation first - this should be the primary source
-    if (this.openai && (results.summary || results.transcription)) {
+    if (this.ai.isAvailable('text') && (results.summary || results.transcription)) {
       try {
         aiTags = await this.generateAITags(results);
         if (aiTags && aiTags.length > 0) {
@@ -2502,7 +2501,7 @@ Create a summary that accurately describes what this content contains:`;
    */
   async generateAITags(results) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -2591,7 +2590,7 @@ ${contentToAnalyze}
 
 Return ONLY a JSON array of specific, contextual tags based on the combined visual and audio analysis. No explanations.`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
@@ -2665,7 +2664,7 @@ Return ONLY a JSON array of specific, contextual tags based on the combined visu
     });
 
     // Try AI-powered category generation first
-    if (this.openai && (results.summary || results.transcription)) {
+    if (this.ai.isAvailable('text') && (results.summary || results.transcription)) {
       try {
         const aiCategory = await this.generateAICategory(results);
         if (aiCategory && aiCategory.trim()) {
@@ -2724,7 +2723,7 @@ Return ONLY a JSON array of specific, contextual tags based on the combined visu
    */
   async generateAICategory(results) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         throw new Error('OpenAI client not initialized');
       }
 
@@ -2772,7 +2771,7 @@ ${contentToAnalyze}
 
 Return ONLY the category name, nothing else. Example: entertainment-content`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
@@ -2823,7 +2822,7 @@ Return ONLY the category name, nothing else. Example: entertainment-content`;
     try {
       console.log('📝 Starting AI-powered title generation');
       
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         console.log('⚠️ OpenAI not available for title generation');
         return this.getFallbackTitle(results);
       }
@@ -2862,7 +2861,7 @@ Content: ${contentToAnalyze}
 
 Respond with only the title, no quotes or additional text.`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
@@ -3322,8 +3321,9 @@ Respond with only the title, no quotes or additional text.`;
             const captionFile = path.join(outputDir, files[0]);
             const captionContent = fs.readFileSync(captionFile, 'utf8');
             
-            // Parse VTT content to extract text
-            const transcriptionText = this.parseVttToText(captionContent);
+            // Parse VTT cues, keeping their timings
+            const segments = transcriptFormats.parseVtt(captionContent);
+            const transcriptionText = segments.map(segment => segment.text).join(' ');
             
             // Clean up caption file
             fs.unlinkSync(captionFile);
@@ -3331,6 +3331,7 @@ Respond with only the title, no quotes or additional text.`;
             if (transcriptionText && transcriptionText.length > 10) {
               resolve({
                 text: transcriptionText,
+                segments,
                 confidence: 0.9,
                 language: 'en',
                 source: 'youtube-captions'
@@ -3407,15 +3408,12 @@ Respond with only the title, no quotes or additional text.`;
             const audioFile = path.join(outputDir, files[0]);
             
             // Transcribe the audio file
-            let transcriptionText = '';
+            let transcription = null;
             try {
-              if (this.openai) {
-                transcriptionText = await this.transcribeAudioOpenAI(audioFile);
-              } else if (this.speechClient) {
-                transcriptionText = await this.transcribeAudioGoogle(audioFile);
-              } else {
+              if (!this.ai.isAvailable('transcription') && !this.speechClient) {
                 throw new Error('No transcription service available');
               }
+              transcription = await this.transcribeAudioFile(audioFile);
             } catch (transcriptionError) {
               if (this.enableLogging) {
                 console.error('❌ Audio transcription failed:', transcriptionError);
@@ -3428,11 +3426,12 @@ Respond with only the title, no quotes or additional text.`;
               }
             }
             
-            if (transcriptionText && transcriptionText.length > 10) {
+            if (transcription.text && transcription.text.length > 10) {
               resolve({
-                text: transcriptionText,
+                text: transcription.text,
+                segments: transcription.segments || [],
                 confidence: 0.8,
-                language: 'en',
+                language: transcription.language || 'en',
                 source: 'youtube-audio-transcription'
               });
             } else {
@@ -3458,33 +3457,11 @@ Respond with only the title, no quotes or additional text.`;
    */
   parseVttToText(vttContent) {
     try {
-      // Split by lines and filter out VTT headers, timestamps, and metadata
-      const lines = vttContent.split('\n');
-      const textLines = [];
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Skip empty lines, VTT headers, and timestamp lines
-        if (!line || 
-            line.startsWith('WEBVTT') || 
-            line.startsWith('NOTE') ||
-            line.includes('-->') ||
-            /^\d+$/.test(line)) {
-          continue;
-        }
-        
-        // Remove VTT markup tags like <c>, <i>, etc.
-        const cleanLine = line.replace(/<[^>]*>/g, '').trim();
-        
-        if (cleanLine && cleanLine.length > 0) {
-          textLines.push(cleanLine);
-        }
-      }
-      
-      // Join all text lines and clean up
-      const fullText = textLines.join(' ')
-        .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
+      // Rolling auto-caption lines are deduplicated by the cue parser
+      const fullText = transcriptFormats.parseVtt(vttContent)
+        .map(segment => segment.text)
+        .join(' ')
+        .replace(/\s+/g, ' ')
         .trim();
       
       return fullText;
@@ -3563,9 +3540,14 @@ Respond with only the title, no quotes or additional text.`;
    * Download and analyze Instagram content using yt-dlp to bypass popups
    * 
    * @param {string} url - Instagram URL (post or reel)
+   * @param {Object} options - { metadataOnly: read the post's metadata without downloading (see probeUrlMetadata) }
    * @returns {Promise<Object>} Download and analysis result
    */
-  async getInstagramContent(url) {
+  async getInstagramContent(url, options = {}) {
+    if (options.metadataOnly) {
+      return this.probeUrlMetadata(url);
+    }
+
     try {
       if (this.enableLogging) {
         console.log('📱 Attempting to download Instagram content:', url);
@@ -3674,9 +3656,14 @@ Respond with only the title, no quotes or additional text.`;
    * Download and analyze Facebook content using yt-dlp to bypass popups
    * 
    * @param {string} url - Facebook URL (video or photo post)
+   * @param {Object} options - { metadataOnly: read the post's metadata without downloading (see probeUrlMetadata) }
    * @returns {Promise<Object>} Download and analysis result
    */
-  async getFacebookContent(url) {
+  async getFacebookContent(url, options = {}) {
+    if (options.metadataOnly) {
+      return this.probeUrlMetadata(url);
+    }
+
     try {
       if (this.enableLogging) {
         console.log('📘 Attempting to download Facebook content:', url);
@@ -3785,9 +3772,14 @@ Respond with only the title, no quotes or additional text.`;
    * Download and analyze Pinterest content using yt-dlp to bypass restrictions
    * 
    * @param {string} url - Pinterest URL (pin or board)
+   * @param {Object} options - { metadataOnly: read the post's metadata without downloading (see probeUrlMetadata) }
    * @returns {Promise<Object>} Download and analysis result
    */
-  async getPinterestContent(url) {
+  async getPinterestContent(url, options = {}) {
+    if (options.metadataOnly) {
+      return this.probeUrlMetadata(url);
+    }
+
     try {
       if (this.enableLogging) {
         console.log('📌 Attempting to download Pinterest content:', url);
@@ -3892,6 +3884,53 @@ Respond with only the title, no quotes or additional text.`;
     }
   }
 
+  /**
+   * Read the current metadata of a post with yt-dlp, without downloading media
+   * (used by change monitoring to re-check saved URLs)
+   *
+   * @param {string} url - Post URL on any platform yt-dlp supports
+   * @returns {Promise<Object>} { success: true, metadata: { title, description, comment_count, like_count, view_count, uploader } }
+   *   or { success: false, error } with the last line of yt-dlp's error output
+   */
+  async probeUrlMetadata(url) {
+    const { execFile } = require('child_process');
+    const args = [
+      '--dump-single-json', '--skip-download', '--no-playlist', '--no-warnings', '--no-check-certificates',
+      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      url
+    ];
+
+    return new Promise((resolve) => {
+      execFile('yt-dlp', args, { maxBuffer: 20 * 1024 * 1024, timeout: 60000 }, (error, stdout, stderr) => {
+        if (error) {
+          const lines = String(stderr || error.message).trim().split('\n');
+          if (this.enableLogging) {
+            console.log('⚠️ Metadata probe failed:', lines[lines.length - 1]);
+          }
+          resolve({ success: false, error: lines[lines.length - 1] });
+          return;
+        }
+        try {
+          const info = JSON.parse(stdout);
+          const count = value => (Number.isFinite(value) ? value : null);
+          resolve({
+            success: true,
+            metadata: {
+              title: info.title || info.fulltitle || null,
+              description: info.description || null,
+              comment_count: count(info.comment_count),
+              like_count: count(info.like_count),
+              view_count: count(info.view_count),
+              uploader: info.uploader || info.channel || null
+            }
+          });
+        } catch (parseError) {
+          resolve({ success: false, error: `Unreadable metadata: ${parseError.message}` });
+        }
+      });
+    });
+  }
+
   /**
    * Transcribe video file (used for Instagram videos)
    * 
@@ -3958,16 +3997,19 @@ Respond with only the title, no quotes or additional text.`;
   async transcribeAudioFile(audioPath) {
     try {
       // Try OpenAI Whisper first
-      if (this.openai) {
+      if (this.ai.isAvailable('transcription')) {
         try {
           const fs = require('fs');
-          const transcription = await this.openai.audio.transcriptions.create({
+          const transcription = await this.ai.transcribe({
             file: fs.createReadStream(audioPath),
             model: "whisper-1",
+            response_format: 'verbose_json'
           });
           
           return {
             text: transcription.text || '',
+            segments: transcriptFormats.segmentsFromWhisper(transcription),
+            language: transcription.language || null,
             confidence: 0.9,
             provider: 'openai-whisper'
           };
@@ -3990,6 +4032,7 @@ Respond with only the title, no quotes or additional text.`;
               encoding: 'LINEAR16',
               sampleRateHertz: 16000,
               languageCode: 'en-US',
+              enableWordTimeOffsets: true,
             },
           });
           
@@ -3999,6 +4042,8 @@ Respond with only the title, no quotes or additional text.`;
           
           return {
             text: transcription || '',
+            segments: transcriptFormats.segmentsFromGoogleResults(response.results),
+            language: 'en-US',
             confidence: 0.8,
             provider: 'google-speech'
           };
@@ -4368,7 +4413,7 @@ Respond with only the title, no quotes or additional text.`;
    */
   async generateImageDescriptionFromPath(imagePath, objectResults) {
     try {
-      if (!this.openai) {
+      if (!this.ai.isAvailable('text')) {
         return {
           description: 'Image description generation not available (OpenAI API not configured).',
           confidence: 0.5,
@@ -4415,7 +4460,7 @@ Write the description in a natural, engaging way that someone would use to descr
 
 Respond with just the description, no additional formatting or labels.`;
 
-      const response = await this.openai.chat.completions.create({
+      const response = await this.ai.chat('text', {
         model: 'gpt-4',
         messages: [
           {
@@ -0,0 +1,186 @@
+/**
+ * OpenAICompatibleProvider - AI provider for multimedia processing
+ * Every AI call (summaries, tags, titles, vision, Whisper transcription,
+ * embeddings) goes through this provider. Each capability can target its own
+ * OpenAI-compatible base URL and model (OpenAI, a self-hosted LLM or Whisper
+ * server, or a local stub), configured in ConfigurationManager under
+ * plugins.openai
+ * SINGLETON PATTERN: getInstance() returns the instance shared across the application
+ */
+
+const { OpenAI } = require('openai');
+const ConfigurationManager = require('./ConfigurationManager');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+// Self-hosted servers usually accept any key, but the SDK will not start without one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+let instance = null;
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {ConfigurationManager} configManager - Settings are read on every call,
+     *   so changes (and the config file, once loaded) apply without a restart
+     */
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.clients = new Map();
+    }
+
+    /**
+     * Shared provider; settings come from defaults and environment variables
+     * at once and from the config file as soon as it has loaded
+     */
+    static getInstance() {
+        if (!instance) {
+            const configManager = new ConfigurationManager();
+            configManager.loadDefaults();
+            configManager.initialize().catch(error => {
+                console.warn(`AI provider configuration could not be loaded: ${error.message}`);
+            });
+            instance = new OpenAICompatibleProvider(configManager);
+        }
+        return instance;
+    }
+
+    /**
+     * Connection settings for a capability
+     *
+     * A capability without its own base URL uses the provider-wide one
+     * (OPENAI_BASE_URL) and OPENAI_API_KEY. A capability with its own base URL
+     * only uses its own key (MM_AI_<CAPABILITY>_API_KEY), so the OpenAI key is
+     * never sent to another server.
+     *
+     * @param {string} capability - text | vision | transcription | embeddings
+     * @returns {Object} { enabled, baseURL, apiKey, model }
+     */
+    settings(capability) {
+        const config = this.configManager.getPluginConfig('openai');
+        const own = config.capabilities?.[capability];
+        if (!own) throw new Error(`Unknown AI capability: ${capability}`);
+
+        const ownKey = process.env[`MM_AI_${capability.toUpperCase()}_API_KEY`] || null;
+        return {
+            enabled: config.enabled !== false,
+            baseURL: (own.baseURL || config.baseURL || OPENAI_BASE_URL).replace(/\/+$/, ''),
+            apiKey: own.baseURL ? ownKey : ownKey || process.env.OPENAI_API_KEY || null,
+            model: own.model || null
+        };
+    }
+
+    /**
+     * A capability is usable with an API key, or without one on a self-hosted server
+     */
+    isAvailable(capability) {
+        const { enabled, baseURL, apiKey } = this.settings(capability);
+        return enabled && (!!apiKey || baseURL !== OPENAI_BASE_URL);
+    }
+
+    /**
+     * Whether a capability goes to a server other than the OpenAI API
+     */
+    isSelfHosted(capability) {
+        return this.settings(capability).baseURL !== OPENAI_BASE_URL;
+    }
+
+    /**
+     * Configured model, or the caller's model when none is configured
+     * @param {string} capability
+     * @param {string} fallback - Model the call uses with the OpenAI API
+     */
+    model(capability, fallback) {
+        return this.settings(capability).model || fallback;
+    }
+
+    /**
+     * SDK client for a capability (shared by capabilities on the same server)
+     * @returns {OpenAI|null} null when the capability is not available
+     */
+    client(capability) {
+        if (!this.isAvailable(capability)) return null;
+        const { baseURL, apiKey } = this.settings(capability);
+        const key = `${baseURL}|${apiKey || ''}`;
+        if (!this.clients.has(key)) {
+            this.clients.set(key, new OpenAI({ baseURL, apiKey: apiKey || PLACEHOLDER_API_KEY }));
+        }
+        return this.clients.get(key);
+    }
+
+    requireClient(capability) {
+        const client = this.client(capability);
+        if (!client) throw new Error(`AI ${capability} provider is not configured`);
+        return client;
+    }
+
+    /**
+     * Send a request and note on the response which model and server answered
+     * (response.aiSource, read by AiUsageTracker)
+     */
+    async send(capability, create, model) {
+        const resolvedModel = this.model(capability, model);
+        const response = await create(this.requireClient(capability), resolvedModel);
+        if (response && typeof response === 'object') {
+            Object.defineProperty(response, 'aiSource', {
+                value: { provider: this.isSelfHosted(capability) ? 'other' : 'openai', model: resolvedModel },
+                enumerable: false
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Chat completion
+     * @param {string} capability - text | vision
+     * @param {Object} request - Chat completion request; its model is used when
+     *   none is configured for the capability
+     * @returns {Promise<Object>} Chat completion response
+     */
+    async chat(capability, { model, ...request }) {
+        return this.send(capability, (client, resolvedModel) => client.chat.completions.create({
+            ...request,
+            model: resolvedModel
+        }), model);
+    }
+
+    /**
+     * Speech to text (Whisper-compatible /audio/transcriptions)
+     * @param {Object} request - Transcription request; model as in chat()
+     */
+    async transcribe({ model, ...request }) {
+        return this.send('transcription', (client, resolvedModel) => client.audio.transcriptions.create({
+            ...request,
+            model: resolvedModel
+        }), model);
+    }
+
+    /**
+     * Text embeddings
+     * @param {Object} request - Embeddings request; model as in chat()
+     */
+    async embed({ model, ...request }) {
+        // The SDK asks for base64 unless told otherwise, which many self-hosted servers ignore
+        return this.send('embeddings', (client, resolvedModel) => client.embeddings.create({
+            encoding_format: 'float',
+            ...request,
+            model: resolvedModel
+        }), model);
+    }
+
+    /**
+     * Where each capability is sent (without API keys)
+     */
+    getStatus() {
+        const capabilities = Object.keys(this.configManager.getConfig('plugins.openai.capabilities', {}));
+        return Object.fromEntries(capabilities.map(capability => {
+            const { baseURL, model } = this.settings(capability);
+            return [capability, {
+                available: this.isAvailable(capability),
+                baseURL,
+                selfHosted: this.isSelfHosted(capability),
+                model
+            }];
+        }));
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -370,6 +370,8 @@ class PerformanceOptimizer extends EventEmitter {
   
   /**
    * Queue job when at capacity
+   * In-process throttle only: durable queuing, retries and crash recovery
+   * live in services/jobQueueService.js (processing_jobs table)
    */
   async queueJob(processor, buffer, metadata, options, jobId) {
     return new Promise((resolve, reject) => {
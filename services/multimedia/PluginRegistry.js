@@ -3,6 +3,8 @@
  * Handles registration, discovery, and execution of optional features with fallbacks
  */
 
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
 class PluginRegistry {
     constructor() {
         this.plugins = new Map();
@@ -28,6 +30,8 @@ class PluginRegistry {
         this.categories.set('video_analysis', new Set());
         this.categories.set('translation', new Set());
         this.categories.set('sentiment', new Set());
+        this.categories.set('text_generation', new Set());
+        this.categories.set('embeddings', new Set());
 
         // Register core plugins
         await this.registerCorePlugins();
@@ -122,20 +126,16 @@ class PluginRegistry {
             }
         });
 
-        // OpenAI Whisper (Fallback for transcription)
+        // Whisper on OpenAI or any compatible server (Fallback for transcription)
         this.registerPlugin('openai_whisper', {
             category: 'transcription',
-            provider: 'openai',
+            provider: 'openai_compatible',
             priority: 20,
-            dependencies: ['OPENAI_API_KEY'],
             capabilities: ['multi_language', 'translation', 'sentiment'],
             supportedFormats: ['mp3', 'wav', 'flac', 'webm', 'm4a'],
-            initialize: async () => {
-                const { OpenAI } = require('openai');
-                return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-            },
-            execute: async (client, audioFile, options = {}) => {
-                const transcription = await client.audio.transcriptions.create({
+            initialize: async () => OpenAICompatibleProvider.getInstance(),
+            execute: async (provider, audioFile, options = {}) => {
+                const transcription = await provider.transcribe({
                     file: audioFile,
                     model: options.model || 'whisper-1',
                     language: options.language,
@@ -149,9 +149,7 @@ class PluginRegistry {
                     words: transcription.words || []
                 }];
             },
-            test: async (client) => {
-                return client && typeof client.audio?.transcriptions?.create === 'function';
-            }
+            test: async (provider) => provider.isAvailable('transcription')
         });
 
         // Google Vision API
@@ -192,22 +190,18 @@ class PluginRegistry {
             }
         });
 
-        // OpenAI Vision (Fallback for image analysis)
+        // Vision model on OpenAI or any compatible server (Fallback for image analysis)
         this.registerPlugin('openai_vision', {
             category: 'image_analysis',
-            provider: 'openai',
+            provider: 'openai_compatible',
             priority: 20,
-            dependencies: ['OPENAI_API_KEY'],
             capabilities: ['description', 'object_detection', 'text_reading'],
             supportedFormats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-            initialize: async () => {
-                const { OpenAI } = require('openai');
-                return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-            },
-            execute: async (client, imageBuffer, options = {}) => {
+            initialize: async () => OpenAICompatibleProvider.getInstance(),
+            execute: async (provider, imageBuffer, options = {}) => {
                 const base64Image = imageBuffer.toString('base64');
-                const response = await client.chat.completions.create({
-                    model: options.model || 'gpt-4-vision-preview',
+                const response = await provider.chat('vision', {
+                    model: options.model || 'gpt-4o-mini',
                     messages: [{
                         role: 'user',
                         content: [
@@ -229,9 +223,40 @@ class PluginRegistry {
                     confidence: 0.85 // Approximate confidence for GPT-4 Vision
                 };
             },
-            test: async (client) => {
-                return client && typeof client.chat?.completions?.create === 'function';
-            }
+            test: async (provider) => provider.isAvailable('vision')
+        });
+
+        // Chat model on OpenAI or any compatible server (summaries, tags, titles, categories, sentiment, documents)
+        this.registerPlugin('openai_compatible_text', {
+            category: 'text_generation',
+            provider: 'openai_compatible',
+            priority: 20,
+            capabilities: ['summary', 'tags', 'title', 'category', 'sentiment', 'document_analysis'],
+            initialize: async () => OpenAICompatibleProvider.getInstance(),
+            execute: async (provider, messages, options = {}) => {
+                const response = await provider.chat('text', {
+                    model: options.model || 'gpt-4o-mini',
+                    messages,
+                    max_tokens: options.maxTokens || 500,
+                    temperature: options.temperature ?? 0.3
+                });
+                return { text: response.choices[0].message.content, usage: response.usage };
+            },
+            test: async (provider) => provider.isAvailable('text')
+        });
+
+        // Embedding model on OpenAI or any compatible server (semantic search)
+        this.registerPlugin('openai_compatible_embeddings', {
+            category: 'embeddings',
+            provider: 'openai_compatible',
+            priority: 20,
+            capabilities: ['semantic_search'],
+            initialize: async () => OpenAICompatibleProvider.getInstance(),
+            execute: async (provider, input, options = {}) => {
+                const response = await provider.embed({ model: options.model || 'text-embedding-3-small', input });
+                return response.data.map(item => item.embedding);
+            },
+            test: async (provider) => provider.isAvailable('embeddings')
         });
 
         // Setup fallback chains
@@ -366,7 +391,9 @@ class PluginRegistry {
             enabledPlugins: this.enabledFeatures.size,
             categories: {},
             providers: {},
-            disabledPlugins: []
+            disabledPlugins: [],
+            // Server and model per AI capability (OpenAI or self-hosted)
+            aiCapabilities: OpenAICompatibleProvider.getInstance().getStatus()
         };
 
         // Category status
@@ -461,7 +461,11 @@ class ProgressTracker extends EventEmitter {
             errors: job.errors.length,
             metadata: {
                 filename: job.metadata.filename,
-                fileSize: job.metadata.fileSize
+                fileSize: job.metadata.fileSize,
+                userId: job.metadata.userId,
+                fileId: job.metadata.fileId,
+                contentId: job.metadata.contentId,
+                processingJobId: job.metadata.processingJobId
             }
         };
     }
@@ -7,7 +7,8 @@
  * 
  * Features:
  * - Video thumbnail generation from frames
- * - Key moments extraction with animated previews
+ * - Key moments picked per shot (ffmpeg scene detection), skipping black,
+ *   blurry and near-duplicate frames, plus a chapter list per video
  * - Image thumbnail generation with multiple sizes
  * - Thumbnail metadata storage and management
  * - Automatic cleanup and expiry handling
@@ -23,7 +24,8 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
 // DaySave models
-const { Thumbnail } = require('../../models');
+const { Thumbnail, VideoChapter } = require('../../models');
+const sceneDetection = require('../sceneDetection');
 
 /**
  * ThumbnailGenerator Class
@@ -53,6 +55,9 @@ class ThumbnailGenerator {
       supportedFormats: ['.jpg', '.jpeg', '.png', '.webp'],
       keyMomentInterval: 10, // seconds
       maxKeyMoments: 10,
+      maxChapters: sceneDetection.MAX_CHAPTERS,
+      sceneThreshold: sceneDetection.SCENE_THRESHOLD,
+      sceneAnalysisWidth: 320, // frames are scaled down before scene scoring
       compressionQuality: {
         low: 60,
         medium: 80,
@@ -153,6 +158,7 @@ class ThumbnailGenerator {
       const results = {
         mainThumbnail: null,
         keyMoments: [],
+        chapters: [],
         metadata: {
           duration,
           totalThumbnails: 0,
@@ -173,9 +179,9 @@ class ThumbnailGenerator {
         );
       }
 
-      // Generate key moments
+      // Generate key moments and chapters
       if (thumbnailOptions.includeKeyMoments && thumbnailOptions.keyMomentsCount > 0) {
-        results.keyMoments = await this.generateKeyMoments(
+        const moments = await this.generateKeyMoments(
           userId,
           videoPath,
           contentId,
@@ -183,6 +189,8 @@ class ThumbnailGenerator {
           duration,
           thumbnailOptions
         );
+        results.keyMoments = moments.keyMoments;
+        results.chapters = moments.chapters;
       }
 
       // Update results metadata
@@ -193,6 +201,7 @@ class ThumbnailGenerator {
         console.log('✅ Video thumbnails generated:', {
           mainThumbnail: !!results.mainThumbnail,
           keyMoments: results.keyMoments.length,
+          chapters: results.chapters.length,
           processingTime: `${results.metadata.processingTime}ms`
         });
       }
@@ -351,7 +360,14 @@ class ThumbnailGenerator {
   }
 
   /**
-   * Generate key moments for video
+   * Generate key moments and chapters for video
+   *
+   * Shot boundaries come from ffmpeg scene scores; one frame is taken per shot
+   * (long shots are split when more moments are wanted), skipping black, flat,
+   * blurry and near-duplicate frames. The best frames become key moments and
+   * each shot is stored as a chapter with its best frame as thumbnail.
+   * Without detectable cuts the video is treated as one shot, which spreads
+   * the moments evenly as before.
    * 
    * @param {string} userId - User ID
    * @param {string} videoPath - Path to video file
@@ -359,86 +375,248 @@ class ThumbnailGenerator {
    * @param {string} fileId - File ID
    * @param {number} duration - Video duration in seconds
    * @param {Object} options - Thumbnail options
-   * @returns {Promise<Array>} Array of key moment thumbnails
+   * @returns {Promise<Object>} { keyMoments: Array of key moment thumbnails, chapters: Array of VideoChapter records }
    */
   async generateKeyMoments(userId, videoPath, contentId, fileId, duration, options) {
     try {
-      const keyMoments = [];
       const momentCount = options.keyMomentsCount;
-      const interval = duration / (momentCount + 1);
+      const cuts = await this.detectSceneChanges(videoPath, options.sceneThreshold || this.config.sceneThreshold);
+      const shots = sceneDetection.buildShots(cuts, duration, { maxChapters: this.config.maxChapters });
+      const segments = sceneDetection.planSegments(shots, momentCount);
 
       if (this.enableLogging) {
         console.log('🎬 Generating key moments:', {
           count: momentCount,
-          interval: `${interval.toFixed(2)}s`,
+          sceneChanges: cuts.length,
+          shots: shots.length,
           duration: `${duration.toFixed(2)}s`
         });
       }
 
-      // Generate thumbnails at evenly distributed intervals
-      for (let i = 1; i <= momentCount; i++) {
-        const timestampSeconds = interval * i;
-        const timestamp = this.secondsToTimeString(timestampSeconds);
-        
-        const fileName = `${uuidv4()}_key_${i}.jpg`;
-        const thumbnailPath = path.join(this.config.thumbnailDir, fileName);
+      // One usable frame per segment
+      const frames = [];
+      const rejected = { black: 0, flat: 0, blurry: 0, duplicate: 0 };
+      let fallback = null;
+      for (const segment of segments) {
+        const shot = shots[segment.shotIndex];
+        for (const time of sceneDetection.candidateTimes(segment)) {
+          const candidate = await this.analyzeFrame(videoPath, time, segment, shot);
+          if (!candidate) continue;
+          const reason = sceneDetection.rejectReason(candidate.stats, candidate.hash, frames.map(frame => frame.hash));
+          if (!reason) {
+            frames.push(candidate);
+            break;
+          }
+          rejected[reason]++;
+          if (!fallback || candidate.score > fallback.score) fallback = candidate;
+        }
+      }
+      // A dark or soft video still gets its best frame
+      if (!frames.length && fallback) frames.push(fallback);
+
+      const keyFrames = new Set(sceneDetection.selectKeyMoments(frames, momentCount));
+      const chapterFrames = new Map();
+      for (const frame of frames) {
+        const best = chapterFrames.get(frame.shotIndex);
+        if (!best || frame.score > best.score) chapterFrames.set(frame.shotIndex, frame);
+      }
+      const representatives = new Set(chapterFrames.values());
 
+      // Save key moments and chapter thumbnails, in time order
+      const keyMoments = [];
+      const thumbnails = new Map();
+      let keyMomentIndex = 0;
+      for (const frame of frames) {
+        const isKeyMoment = keyFrames.has(frame);
+        if (!isKeyMoment && !representatives.has(frame)) continue;
         try {
-          // Generate thumbnail using FFmpeg
-          await this.extractFrameWithFFmpeg(videoPath, thumbnailPath, timestamp, options.keyMomentsSize);
-
-          // Get thumbnail file stats
-          const stats = fs.statSync(thumbnailPath);
-          const dimensions = await this.getImageDimensions(thumbnailPath);
-
-          // Create database record
-          const thumbnail = await Thumbnail.create({
-            id: uuidv4(),
-            user_id: userId,
-            content_id: contentId,
-            file_id: fileId,
-            thumbnail_type: 'key_moment',
-            file_path: path.relative(process.cwd(), thumbnailPath),
-            file_name: fileName,
-            file_size: stats.size,
-            mime_type: 'image/jpeg',
-            width: dimensions.width,
-            height: dimensions.height,
-            timestamp: timestamp,
-            timestamp_seconds: timestampSeconds,
-            key_moment_index: i,
-            quality: options.quality,
-            generation_method: 'ffmpeg',
-            metadata: {
-              originalVideo: path.basename(videoPath),
-              generationTime: Date.now(),
-              keyMomentScore: this.calculateKeyMomentScore(timestampSeconds, duration),
-              options: options
-            },
-            status: 'ready'
-          });
-
-          keyMoments.push(thumbnail);
-
-          if (this.enableLogging) {
-            console.log(`✅ Key moment ${i} generated:`, {
-              timestamp,
-              size: `${dimensions.width}x${dimensions.height}`
-            });
-          }
+          const thumbnail = await this.saveFrameThumbnail(userId, videoPath, contentId, fileId, frame,
+            isKeyMoment ? ++keyMomentIndex : null, options);
+          thumbnails.set(frame, thumbnail);
+          if (isKeyMoment) keyMoments.push(thumbnail);
         } catch (momentError) {
-          console.error(`❌ Key moment ${i} generation failed:`, momentError);
+          console.error(`❌ Key moment at ${frame.time}s generation failed:`, momentError);
           // Continue with other moments
         }
       }
 
-      return keyMoments;
+      const chapters = await this.saveChapters(userId, contentId, fileId, shots, chapterFrames, thumbnails);
+
+      if (this.enableLogging) {
+        console.log('✅ Key moments generated:', {
+          keyMoments: keyMoments.length,
+          chapters: chapters.length,
+          rejected
+        });
+      }
+
+      return { keyMoments, chapters };
     } catch (error) {
       console.error('❌ Key moments generation failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Find scene changes with ffmpeg's scene score
+   *
+   * @param {string} videoPath - Path to video file
+   * @param {number} threshold - Scene score (0-1) that counts as a cut
+   * @returns {Promise<Array>} { time, score } per cut; empty when detection fails
+   */
+  async detectSceneChanges(videoPath, threshold) {
+    return new Promise((resolve) => {
+      const lines = [];
+      ffmpeg(videoPath)
+        .noAudio()
+        .videoFilters([
+          `scale=${this.config.sceneAnalysisWidth}:-2`,
+          `select='gt(scene,${threshold})'`,
+          'metadata=print'
+        ])
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => {
+          if (/pts_time:|scene_score=/.test(line)) lines.push(line);
+        })
+        .on('end', () => resolve(sceneDetection.parseSceneLog(lines)))
+        .on('error', (error) => {
+          console.error('❌ Scene detection failed, using evenly spaced moments:', error.message);
+          resolve([]);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Decode one frame as a small grayscale image and score it
+   *
+   * @param {string} videoPath - Path to video file
+   * @param {number} time - Timestamp in seconds
+   * @param {Object} segment - Segment the frame is taken from
+   * @param {Object} shot - Shot the segment belongs to
+   * @returns {Promise<Object|null>} { time, shotIndex, stats, hash, score }, null when no frame could be decoded
+   */
+  async analyzeFrame(videoPath, time, segment, shot) {
+    const size = sceneDetection.FRAME_SIZE;
+    try {
+      const pixels = await new Promise((resolve, reject) => {
+        const chunks = [];
+        const stream = ffmpeg(videoPath)
+          .seekInput(time)
+          .noAudio()
+          .frames(1)
+          .videoFilters([`scale=${size}:${size}`, 'format=gray'])
+          .format('rawvideo')
+          .on('error', reject)
+          .pipe();
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+      });
+      if (pixels.length < size * size) return null;
+
+      const stats = sceneDetection.frameStats(pixels, size);
+      return {
+        time,
+        shotIndex: segment.shotIndex,
+        stats,
+        hash: sceneDetection.perceptualHash(pixels, size),
+        score: this.calculateKeyMomentScore(stats, segment, shot)
+      };
+    } catch (error) {
+      console.error(`❌ Frame analysis at ${time}s failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract a chosen frame and store it as a thumbnail
+   *
+   * @param {number|null} keyMomentIndex - Position among the key moments; null for a chapter-only thumbnail
+   * @returns {Promise<Object>} Thumbnail record
+   */
+  async saveFrameThumbnail(userId, videoPath, contentId, fileId, frame, keyMomentIndex, options) {
+    const fileName = `${uuidv4()}_${keyMomentIndex ? `key_${keyMomentIndex}` : `chapter_${frame.shotIndex + 1}`}.jpg`;
+    const thumbnailPath = path.join(this.config.thumbnailDir, fileName);
+    const timestamp = this.secondsToTimeString(frame.time);
+
+    await this.extractFrameWithFFmpeg(videoPath, thumbnailPath, frame.time, options.keyMomentsSize);
+
+    const stats = fs.statSync(thumbnailPath);
+    const dimensions = await this.getImageDimensions(thumbnailPath);
+
+    const thumbnail = await Thumbnail.create({
+      id: uuidv4(),
+      user_id: userId,
+      content_id: contentId,
+      file_id: fileId,
+      thumbnail_type: keyMomentIndex ? 'key_moment' : 'preview',
+      file_path: path.relative(process.cwd(), thumbnailPath),
+      file_name: fileName,
+      file_size: stats.size,
+      mime_type: 'image/jpeg',
+      width: dimensions.width,
+      height: dimensions.height,
+      timestamp: timestamp,
+      timestamp_seconds: frame.time,
+      key_moment_index: keyMomentIndex,
+      quality: this.normalizeQuality(options.quality),
+      generation_method: 'ffmpeg',
+      metadata: {
+        originalVideo: path.basename(videoPath),
+        generationTime: Date.now(),
+        keyMomentScore: frame.score,
+        chapterIndex: frame.shotIndex,
+        frameStats: frame.stats,
+        perceptualHash: frame.hash,
+        options: options
+      },
+      status: 'ready'
+    });
+
+    if (this.enableLogging) {
+      console.log(`✅ ${keyMomentIndex ? `Key moment ${keyMomentIndex}` : `Chapter ${frame.shotIndex + 1} thumbnail`} generated:`, {
+        timestamp,
+        score: frame.score,
+        size: `${dimensions.width}x${dimensions.height}`
+      });
+    }
+
+    return thumbnail;
+  }
+
+  /**
+   * Replace the chapter list of a content item or file
+   *
+   * @param {Array} shots - From sceneDetection.buildShots
+   * @param {Map} chapterFrames - shot index => representative frame
+   * @param {Map} thumbnails - frame => saved Thumbnail
+   * @returns {Promise<Array>} VideoChapter records
+   */
+  async saveChapters(userId, contentId, fileId, shots, chapterFrames, thumbnails) {
+    if (!contentId && !fileId) return [];
+    try {
+      await VideoChapter.destroy({ where: contentId ? { content_id: contentId } : { file_id: fileId } });
+      return await VideoChapter.bulkCreate(shots.map(shot => {
+        const thumbnail = thumbnails.get(chapterFrames.get(shot.index));
+        return {
+          id: uuidv4(),
+          user_id: userId,
+          content_id: contentId,
+          file_id: fileId,
+          thumbnail_id: thumbnail ? thumbnail.id : null,
+          chapter_index: shot.index,
+          start_seconds: shot.start,
+          end_seconds: shot.end,
+          scene_score: shot.score
+        };
+      }));
+    } catch (error) {
+      console.error('❌ Saving video chapters failed:', error);
+      return [];
+    }
+  }
+
   /**
    * Generate single image thumbnail
    * 
@@ -715,22 +893,14 @@ class ThumbnailGenerator {
   }
 
   /**
-   * Calculate key moment score based on position in video
-   * @param {number} timestamp - Timestamp in seconds
-   * @param {number} duration - Total duration in seconds
+   * Calculate key moment score from frame quality and the shot it belongs to
+   * @param {Object} stats - Frame brightness, contrast and sharpness
+   * @param {Object} segment - Segment the frame was taken from ({ start, end })
+   * @param {Object} shot - Shot of the segment ({ score } of its opening cut)
    * @returns {number} Score between 0 and 1
    */
-  calculateKeyMomentScore(timestamp, duration) {
-    // Simple scoring based on position (middle parts get higher scores)
-    const position = timestamp / duration;
-    
-    if (position < 0.1 || position > 0.9) {
-      return 0.3; // Beginning and end get lower scores
-    } else if (position >= 0.3 && position <= 0.7) {
-      return 1.0; // Middle section gets highest score
-    } else {
-      return 0.7; // Other sections get medium score
-    }
+  calculateKeyMomentScore(stats, segment, shot) {
+    return sceneDetection.keyMomentScore(stats, segment, shot);
   }
 }
 
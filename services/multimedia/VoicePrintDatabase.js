@@ -19,6 +19,7 @@
 const { Speaker } = require('../../models');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { embeddingSimilarity } = require('../speakerDiarization');
 
 /**
  * VoicePrintDatabase Class
@@ -76,6 +77,10 @@ class VoicePrintDatabase {
         speakingConfidence: this.calculateSpeakingConfidence(characteristics, speakingStyle)
       };
 
+      // Measured voice (from diarization): pitch and an embedding of pitch and spectral shape
+      if (characteristics.pitchHz) fingerprint.pitchHz = characteristics.pitchHz;
+      if (Array.isArray(characteristics.embedding)) fingerprint.embedding = characteristics.embedding;
+
       // Generate hash for quick comparison
       fingerprint.hash = this.hashFingerprint(fingerprint);
       
@@ -143,7 +148,13 @@ class VoicePrintDatabase {
         }
       }
 
-      const finalSimilarity = totalWeight > 0 ? totalSimilarity / totalWeight : 0;
+      let finalSimilarity = totalWeight > 0 ? totalSimilarity / totalWeight : 0;
+
+      // Two measured voices: the embeddings decide, the categories only refine
+      if (Array.isArray(fingerprint1.embedding) && Array.isArray(fingerprint2.embedding)
+        && fingerprint1.embedding.length === fingerprint2.embedding.length) {
+        finalSimilarity = 0.8 * embeddingSimilarity(fingerprint1.embedding, fingerprint2.embedding) + 0.2 * finalSimilarity;
+      }
       
       if (this.enableLogging && finalSimilarity > 0.5) {
         console.log('🔍 Voice similarity calculated:', {
@@ -232,6 +243,34 @@ class VoicePrintDatabase {
     }
   }
 
+  /**
+   * Find all speakers whose voice matches a fingerprint (findMatchingSpeaker returns only the best one)
+   *
+   * @param {string} userId - User ID to search within
+   * @param {Object} voiceFingerprint - Voice fingerprint to match
+   * @param {Object} options - { excludeIds: speaker IDs to skip }
+   * @returns {Promise<Array>} [{ speaker, similarity }] best match first
+   */
+  async findMatchingSpeakers(userId, voiceFingerprint, options = {}) {
+    if (!userId || !voiceFingerprint) {
+      throw new Error('User ID and voice fingerprint are required');
+    }
+
+    const excluded = new Set(options.excludeIds || []);
+    const speakers = await Speaker.findAll({
+      where: {
+        user_id: userId,
+        status: 'active'
+      }
+    });
+
+    return speakers
+      .filter(speaker => !excluded.has(speaker.id))
+      .map(speaker => ({ speaker, similarity: this.calculateSimilarity(voiceFingerprint, speaker.voice_fingerprint) }))
+      .filter(match => match.similarity >= this.similarityThreshold)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
   /**
    * Add or update a speaker in the database
    * 
@@ -17,6 +17,7 @@ const AudioProcessor = require('./AudioProcessor');
 const ImageProcessor = require('./ImageProcessor');
 const DocumentProcessor = require('./DocumentProcessor');
 const AutomationOrchestrator = require('./AutomationOrchestrator');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
 
 module.exports = {
   VoicePrintDatabase,
@@ -26,5 +27,6 @@ module.exports = {
   AudioProcessor,
   ImageProcessor,
   DocumentProcessor,
-  AutomationOrchestrator
+  AutomationOrchestrator,
+  OpenAICompatibleProvider
 }; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * OpenAPI Service
+ *
+ * Generates the OpenAPI 3 document for the API-key authenticated /api/v1
+ * surface from the routers that are actually mounted, merged with the
+ * operation documentation in routes/api/v1/docs.js.
+ *
+ * FEATURES:
+ * - Route discovery from the Express router stacks (method + path)
+ * - Required permission scope per operation (x-required-scope)
+ * - Shared success, list and error envelopes
+ * - Bearer, X-API-Key header and api_key query security schemes
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const API_BASE = '/api/v1';
+
+class OpenApiService {
+  /**
+   * List the routes of mounted resource routers
+   * @param {Object} resources - Mount path -> Express router
+   * @returns {Array} [{ method, path }] with Express-style paths relative to /api/v1
+   */
+  discoverRoutes(resources) {
+    const routes = [];
+    for (const [mountPath, router] of Object.entries(resources)) {
+      for (const layer of router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') continue;
+        const path = `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`;
+        Object.keys(layer.route.methods)
+          .filter(method => method !== '_all')
+          .forEach(method => routes.push({ method: method.toUpperCase(), path }));
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Convert an Express path ("/content/:id") to OpenAPI syntax ("/content/{id}")
+   * @param {string} path - Express path
+   * @returns {string} OpenAPI path
+   */
+  toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+  }
+
+  /**
+   * Permission scope an API key needs for a path: "/api/v1/content" for the
+   * collection itself, "/api/v1/content/*" for anything below it
+   * @param {string} path - Path relative to /api/v1
+   * @returns {string} Scope
+   */
+  scopeFor(path) {
+    const [, resource, ...rest] = path.split('/');
+    return `${API_BASE}/${resource}${rest.length ? '/*' : ''}`;
+  }
+
+  /**
+   * Build one OpenAPI operation object
+   * @param {string} method - HTTP method
+   * @param {string} path - Express path relative to /api/v1
+   * @param {Object|undefined} doc - Entry from docs.operations
+   * @returns {Object} Operation
+   */
+  buildOperation(method, path, doc = {}) {
+    const scope = this.scopeFor(path);
+    const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name, in: 'path', required: true, schema: { type: 'string', format: 'uuid' }
+    }));
+    const pageParams = doc.paginated ? [
+      { name: 'page', in: 'query', required: false, schema: { type: 'integer', minimum: 1, default: 1 } },
+      { name: 'per_page', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 25 } }
+    ] : [];
+
+    const envelope = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        data: doc.response || {},
+        ...(doc.paginated ? { pagination: { $ref: '#/components/schemas/Pagination' } } : {}),
+        meta: { $ref: '#/components/schemas/Meta' }
+      }
+    };
+
+    const operation = {
+      tags: [doc.tag || path.split('/')[1]],
+      summary: doc.summary || `${method} ${API_BASE}${path}`,
+      operationId: `${method.toLowerCase()}${this.toOpenApiPath(path).replace(/[{}]/g, '').split('/').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`,
+      description: `Requires an API key with \`${method}\` (or \`ALL\`) on scope \`${scope}\`.`,
+      'x-required-scope': scope,
+      parameters: [...pathParams, ...pageParams, ...(doc.params || [])],
+      responses: {
+        [doc.status || 200]: { description: 'Success', content: { 'application/json': { schema: envelope } } },
+        400: { $ref: '#/components/responses/ValidationFailed' },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        ...(pathParams.length ? { 404: { $ref: '#/components/responses/NotFound' } } : {}),
+        429: { $ref: '#/components/responses/RateLimited' }
+      }
+    };
+    if (doc.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${doc.body}` } } }
+      };
+    }
+    return operation;
+  }
+
+  /**
+   * Generate the full OpenAPI document
+   * @param {Object} resources - Mount path -> Express router (from routes/api/v1)
+   * @param {Object} docs - { schemas, operations } (from routes/api/v1/docs)
+   * @param {Object} options - { serverUrl, version }
+   * @returns {Object} OpenAPI 3.0 document
+   */
+  buildSpec(resources, docs, { serverUrl, version = '1.0.0' } = {}) {
+    const paths = {};
+    for (const { method, path } of this.discoverRoutes(resources)) {
+      const openApiPath = this.toOpenApiPath(path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method.toLowerCase()] = this.buildOperation(method, path, docs.operations[`${method} ${path}`]);
+    }
+
+    const errorResponse = (description) => ({
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'DaySave API',
+        version,
+        description: 'Content, files, contacts and collections of the API key owner. ' +
+          'Create keys and choose their scopes on the API Keys page; `/api/v1/content` covers only that path, `/api/v1/content/*` every path below it.'
+      },
+      servers: [{ url: `${serverUrl || ''}${API_BASE}` }],
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+      tags: [...new Set(Object.values(docs.operations).map(op => op.tag))].map(name => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <api key>' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+          apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+        },
+        responses: {
+          ValidationFailed: errorResponse('Invalid parameters or body'),
+          Unauthorized: errorResponse('Missing, invalid, expired or disabled API key'),
+          Forbidden: errorResponse('Key lacks the scope, IP or origin is not allowed, or plan limit reached'),
+          NotFound: errorResponse('Not found or not owned by the key owner'),
+          RateLimited: errorResponse('Per-key rate limit exceeded')
+        },
+        schemas: docs.schemas
+      }
+    };
+  }
+}
+
+module.exports = new OpenApiService();
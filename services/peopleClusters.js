@@ -0,0 +1,131 @@
+/**
+ * People Clusters
+ *
+ * Pure grouping of detected faces and identified speakers into people for
+ * the people view. Faces and speakers linked to a contact form one cluster
+ * per contact; other faces are grouped by face_group_id and other speakers
+ * by voice fingerprint hash, so each cluster can be confirmed at once.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const MAX_MEMBERS = 24;
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (!best || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+function faceKey(face) {
+  if (face.contact_id) return `contact:${face.contact_id}`;
+  if (face.face_group_id) return `group:${face.face_group_id}`;
+  return `face:${face.id}`;
+}
+
+function speakerKey(speaker) {
+  if (speaker.contact_id) return `contact:${speaker.contact_id}`;
+  const hash = speaker.voice_fingerprint && speaker.voice_fingerprint.hash;
+  return hash ? `voice:${hash}` : `speaker:${speaker.id}`;
+}
+
+/**
+ * Group records by key into clusters
+ * @param {Array<Object>} records - Faces or speakers
+ * @param {Function} keyOf - Cluster key of a record
+ * @param {Function} describe - Record -> { member, name, refs: [{ content_id, file_id }] }
+ * @param {Map<string, Object>} contactsById - Linked contacts ({ id, name })
+ * @returns {Array<Object>} [{ key, contact, name, confirmed, count, content_ids, file_ids, members }] largest first
+ */
+function buildClusters(records, keyOf, describe, contactsById) {
+  const clusters = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!clusters.has(key)) {
+      clusters.set(key, { key, contactId: record.contact_id || null, names: [], content: new Set(), files: new Set(), members: [] });
+    }
+    const cluster = clusters.get(key);
+    const { member, name, refs } = describe(record);
+    cluster.members.push(member);
+    cluster.names.push(name);
+    refs.forEach(ref => {
+      if (ref.content_id) cluster.content.add(ref.content_id);
+      if (ref.file_id) cluster.files.add(ref.file_id);
+    });
+  }
+
+  return [...clusters.values()]
+    .map(cluster => {
+      const contact = cluster.contactId ? contactsById.get(cluster.contactId) || null : null;
+      return {
+        key: cluster.key,
+        contact: contact ? { id: contact.id, name: contact.name } : null,
+        name: contact ? contact.name : mostCommon(cluster.names),
+        confirmed: cluster.members.some(member => member.confirmed),
+        count: cluster.members.length,
+        content_ids: [...cluster.content],
+        file_ids: [...cluster.files],
+        members: cluster.members
+          .sort((a, b) => Number(b.confirmed) - Number(a.confirmed) || (b.score || 0) - (a.score || 0))
+          .slice(0, MAX_MEMBERS)
+      };
+    })
+    .sort((a, b) => b.count - a.count || String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+/**
+ * @param {Array<Object>} faces - Face rows (plain objects)
+ * @param {Map<string, Object>} contactsById - Linked contacts
+ */
+function clusterFaces(faces, contactsById = new Map()) {
+  return buildClusters(faces, faceKey, face => ({
+    member: {
+      id: face.id,
+      name: face.face_name || face.ai_suggested_name || null,
+      confirmed: Boolean(face.user_confirmed),
+      score: face.name_confidence || 0,
+      content_id: face.content_id || null,
+      file_id: face.file_id || null
+    },
+    name: face.face_name || face.ai_suggested_name,
+    refs: [face]
+  }), contactsById);
+}
+
+/**
+ * @param {Array<Object>} speakers - Speaker rows (plain objects)
+ * @param {Map<string, Object>} refsByAnalysis - audio_analysis_id -> { content_id, file_id }
+ * @param {Map<string, Object>} contactsById - Linked contacts
+ */
+function clusterSpeakers(speakers, refsByAnalysis = new Map(), contactsById = new Map()) {
+  return buildClusters(speakers, speakerKey, speaker => {
+    const ref = refsByAnalysis.get(speaker.audio_analysis_id) || {};
+    return {
+      member: {
+        id: speaker.id,
+        name: speaker.name || speaker.speaker_tag,
+        confirmed: Boolean(speaker.contact_confirmed),
+        score: Number(speaker.confidence_score) || 0,
+        appearances: speaker.total_appearances || 0,
+        content_id: ref.content_id || null,
+        file_id: ref.file_id || null
+      },
+      name: speaker.name,
+      refs: [ref]
+    };
+  }, contactsById);
+}
+
+module.exports = {
+  MAX_MEMBERS,
+  mostCommon,
+  faceKey,
+  speakerKey,
+  clusterFaces,
+  clusterSpeakers
+};
@@ -0,0 +1,238 @@
+/**
+ * People Service
+ *
+ * Connects detected faces (FaceRecognitionService) and identified speakers
+ * (VoicePrintDatabase) to contacts.
+ *
+ * FEATURES:
+ * - People view: faces and speakers clustered per contact, face group or voice
+ * - Confirm "this face / voice is contact X"; the label is propagated to all
+ *   matching faces (findSimilarFaces, same face group) and voices
+ *   (findMatchingSpeakers) that the user has not confirmed otherwise
+ * - Unlinking a confirmed face or voice also clears the matches propagated from it
+ * - Content and files that contain a contact (content list filter, contact timeline)
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { Contact, Face, Speaker, AudioAnalysis } = require('../models');
+const { logAuthEvent } = require('../config/logger');
+const peopleClusters = require('./peopleClusters');
+
+const MAX_FACES = 2000;
+const FACE_ATTRIBUTES = ['id', 'content_id', 'file_id', 'contact_id', 'face_name', 'ai_suggested_name', 'name_confidence', 'user_confirmed', 'face_group_id'];
+const SPEAKER_ATTRIBUTES = ['id', 'audio_analysis_id', 'contact_id', 'contact_confirmed', 'speaker_tag', 'name', 'voice_fingerprint', 'confidence_score', 'total_appearances'];
+
+class PeopleService {
+  constructor() {
+    this.faceRecognition = null;
+    this.voicePrints = null;
+  }
+
+  // Created on first use: the face service sets up OpenAI / Google Vision clients
+  faces() {
+    if (!this.faceRecognition) {
+      const FaceRecognitionService = require('./multimedia/FaceRecognitionService');
+      this.faceRecognition = new FaceRecognitionService({ enableLogging: false });
+    }
+    return this.faceRecognition;
+  }
+
+  voices() {
+    if (!this.voicePrints) {
+      const VoicePrintDatabase = require('./multimedia/VoicePrintDatabase');
+      this.voicePrints = new VoicePrintDatabase({ enableLogging: false });
+    }
+    return this.voicePrints;
+  }
+
+  async findContact(userId, contactId) {
+    const contact = await Contact.findOne({ where: { id: contactId, user_id: userId }, attributes: ['id', 'name'] });
+    if (!contact) throw new Error('Contact not found');
+    return contact;
+  }
+
+  async contactsById(userId, ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (!unique.length) return new Map();
+    const contacts = await Contact.findAll({ where: { id: unique, user_id: userId }, attributes: ['id', 'name'], raw: true });
+    return new Map(contacts.map(contact => [contact.id, contact]));
+  }
+
+  /**
+   * Faces and speakers of a user grouped into people
+   * @returns {Promise<Object>} { faces: clusters, speakers: clusters }
+   */
+  async listClusters(userId) {
+    const [faces, speakers] = await Promise.all([
+      Face.findAll({
+        where: { user_id: userId, processing_status: { [Op.ne]: 'failed' } },
+        attributes: FACE_ATTRIBUTES,
+        order: [['createdAt', 'DESC']],
+        limit: MAX_FACES,
+        raw: true
+      }),
+      Speaker.findAll({ where: { user_id: userId, status: { [Op.ne]: 'merged' } }, attributes: SPEAKER_ATTRIBUTES, raw: true })
+    ]);
+
+    const analysisIds = [...new Set(speakers.map(speaker => speaker.audio_analysis_id).filter(Boolean))];
+    const [contacts, analyses] = await Promise.all([
+      this.contactsById(userId, [...faces, ...speakers].map(row => row.contact_id)),
+      analysisIds.length ? AudioAnalysis.findAll({ where: { id: analysisIds }, attributes: ['id', 'content_id', 'file_id'], raw: true }) : []
+    ]);
+
+    return {
+      faces: peopleClusters.clusterFaces(faces, contacts),
+      speakers: peopleClusters.clusterSpeakers(speakers, new Map(analyses.map(row => [row.id, row])), contacts)
+    };
+  }
+
+  /**
+   * Confirm a face as a contact
+   * @param {boolean} propagate - Also label matching faces
+   * @returns {Promise<Object>} { face, propagated }
+   */
+  async linkFace(userId, faceId, contactId, propagate = true) {
+    const contact = await this.findContact(userId, contactId);
+    const face = await Face.findOne({ where: { id: faceId, user_id: userId } });
+    if (!face) throw new Error('Face not found');
+
+    await this.faces().updateFaceName(face.id, contact.name, userId);
+    const groupId = face.face_group_id || uuidv4();
+    await face.update({ contact_id: contact.id, face_group_id: groupId });
+
+    let propagated = 0;
+    if (propagate) {
+      const recognition = this.faces();
+      const similar = await recognition.findSimilarFaces(userId, face.face_encoding);
+      const ids = similar
+        .filter(match => match.id !== face.id && match.similarity >= recognition.config.recognitionScoreThreshold)
+        .map(match => match.id);
+      const [count] = await Face.update(
+        { contact_id: contact.id, face_name: contact.name, name_source: 'face_recognition', face_group_id: groupId },
+        { where: { user_id: userId, user_confirmed: false, [Op.or]: [{ id: ids }, { face_group_id: groupId }] } }
+      );
+      propagated = count;
+    }
+
+    logAuthEvent('FACE_LINKED_TO_CONTACT', { userId, targetType: 'face', targetId: face.id, contactId: contact.id, propagated });
+    return { face: await face.reload(), propagated };
+  }
+
+  async unlinkFace(userId, faceId) {
+    const face = await Face.findOne({ where: { id: faceId, user_id: userId } });
+    if (!face) throw new Error('Face not found');
+
+    let cleared = 0;
+    if (face.user_confirmed && face.contact_id && face.face_group_id) {
+      [cleared] = await Face.update({ contact_id: null, face_name: null }, {
+        where: { user_id: userId, contact_id: face.contact_id, face_group_id: face.face_group_id, user_confirmed: false }
+      });
+    }
+    await face.update({ contact_id: null, user_confirmed: false });
+    logAuthEvent('FACE_UNLINKED_FROM_CONTACT', { userId, targetType: 'face', targetId: face.id, cleared });
+    return { face, cleared };
+  }
+
+  /**
+   * Confirm a speaker as a contact
+   * @param {boolean} propagate - Also label speakers with a matching voice
+   * @returns {Promise<Object>} { speaker, propagated }
+   */
+  async linkSpeaker(userId, speakerId, contactId, propagate = true) {
+    const contact = await this.findContact(userId, contactId);
+    const speaker = await Speaker.findOne({ where: { id: speakerId, user_id: userId } });
+    if (!speaker) throw new Error('Speaker not found');
+
+    await speaker.update({ contact_id: contact.id, contact_confirmed: true, name: contact.name });
+
+    let propagated = 0;
+    if (propagate && speaker.voice_fingerprint) {
+      const matches = await this.voices().findMatchingSpeakers(userId, speaker.voice_fingerprint, { excludeIds: [speaker.id] });
+      const ids = matches.filter(match => !match.speaker.contact_confirmed).map(match => match.speaker.id);
+      if (ids.length) {
+        [propagated] = await Speaker.update({ contact_id: contact.id, name: contact.name }, {
+          where: { id: ids, user_id: userId, contact_confirmed: false }
+        });
+      }
+    }
+
+    logAuthEvent('SPEAKER_LINKED_TO_CONTACT', { userId, targetType: 'speaker', targetId: speaker.id, contactId: contact.id, propagated });
+    return { speaker, propagated };
+  }
+
+  async unlinkSpeaker(userId, speakerId) {
+    const speaker = await Speaker.findOne({ where: { id: speakerId, user_id: userId } });
+    if (!speaker) throw new Error('Speaker not found');
+
+    let cleared = 0;
+    if (speaker.contact_confirmed && speaker.contact_id && speaker.voice_fingerprint) {
+      const matches = await this.voices().findMatchingSpeakers(userId, speaker.voice_fingerprint, { excludeIds: [speaker.id] });
+      const ids = matches.map(match => match.speaker.id);
+      if (ids.length) {
+        [cleared] = await Speaker.update({ contact_id: null }, {
+          where: { id: ids, user_id: userId, contact_id: speaker.contact_id, contact_confirmed: false }
+        });
+      }
+    }
+    await speaker.update({ contact_id: null, contact_confirmed: false });
+    logAuthEvent('SPEAKER_UNLINKED_FROM_CONTACT', { userId, targetType: 'speaker', targetId: speaker.id, cleared });
+    return { speaker, cleared };
+  }
+
+  /**
+   * Contacts that appear in the user's content (content list filter)
+   * @returns {Promise<Array<Object>>} [{ id, name }] by name
+   */
+  async listLinkedContacts(userId) {
+    const [faces, speakers] = await Promise.all([
+      Face.findAll({ where: { user_id: userId, contact_id: { [Op.ne]: null } }, attributes: ['contact_id'], group: ['contact_id'], raw: true }),
+      Speaker.findAll({ where: { user_id: userId, contact_id: { [Op.ne]: null } }, attributes: ['contact_id'], group: ['contact_id'], raw: true })
+    ]);
+    const contacts = await this.contactsById(userId, [...faces, ...speakers].map(row => row.contact_id));
+    return [...contacts.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Content and files in which a contact's face or voice was found
+   * @returns {Promise<Object>} { content: Map<id, { face, voice }>, file: Map<id, { face, voice }> }
+   */
+  async getContactAppearances(userId, contactId) {
+    await this.findContact(userId, contactId);
+    const [faces, speakers] = await Promise.all([
+      Face.findAll({ where: { user_id: userId, contact_id: contactId }, attributes: ['content_id', 'file_id'], raw: true }),
+      Speaker.findAll({ where: { user_id: userId, contact_id: contactId, audio_analysis_id: { [Op.ne]: null } }, attributes: ['audio_analysis_id'], raw: true })
+    ]);
+    const audio = speakers.length === 0 ? [] : await AudioAnalysis.findAll({
+      where: { id: speakers.map(speaker => speaker.audio_analysis_id) },
+      attributes: ['content_id', 'file_id'],
+      raw: true
+    });
+
+    const found = { content: new Map(), file: new Map() };
+    const add = (ref, how) => {
+      [['content', ref.content_id], ['file', ref.file_id]].forEach(([type, id]) => {
+        if (!id) return;
+        if (!found[type].has(id)) found[type].set(id, { face: false, voice: false });
+        found[type].get(id)[how] = true;
+      });
+    };
+    faces.forEach(ref => add(ref, 'face'));
+    audio.forEach(ref => add(ref, 'voice'));
+    return found;
+  }
+
+  /**
+   * Content and file IDs in which a contact's face or voice was found
+   * @returns {Promise<Object>} { contentIds, fileIds }
+   */
+  async getContactItemIds(userId, contactId) {
+    const found = await this.getContactAppearances(userId, contactId);
+    return { contentIds: [...found.content.keys()], fileIds: [...found.file.keys()] };
+  }
+}
+
+module.exports = new PeopleService();
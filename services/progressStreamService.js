@@ -0,0 +1,243 @@
+/**
+ * Progress Stream Service
+ *
+ * Fans analysis progress out to the signed-in user's open browser tabs over
+ * Server-Sent Events (see routes/progress.js).
+ *
+ * FEATURES:
+ * - Stage started / progress / completed / failed / skipped events from the
+ *   orchestrator's ProgressTracker, routed by the job's userId
+ * - Queue lifecycle (queued, started, retrying, completed, failed) from
+ *   jobQueueService, which also covers URL analysis that has no stages
+ * - Throttled progress / current_stage writes to processing_jobs, so a web
+ *   server whose jobs run in `npm run worker` (JOB_WORKER=external) can relay
+ *   them by watching the table while a user is connected
+ * - Snapshot of active jobs when a stream opens
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { ProcessingJob } = require('../models');
+const { logAuthError } = require('../config/logger');
+const jobQueueService = require('./jobQueueService');
+
+const STAGE_EVENTS = {
+  stageStarted: 'stage_started',
+  stageProgress: 'stage_progress',
+  stageCompleted: 'stage_completed',
+  stageFailed: 'stage_failed',
+  stageSkipped: 'stage_skipped',
+  // The queue reports the final outcome once results are saved
+  jobCompleted: 'pipeline_completed',
+  jobFailed: 'pipeline_failed'
+};
+
+const QUEUE_EVENTS = {
+  jobQueued: { type: 'queued', status: 'waiting' },
+  jobStarted: { type: 'started', status: 'processing' },
+  jobRetrying: { type: 'retrying', status: 'waiting' },
+  jobCompleted: { type: 'completed', status: 'completed' },
+  jobFailed: { type: 'failed', status: 'failed' }
+};
+
+const DB_STATUS = {
+  pending: 'waiting',
+  retrying: 'waiting',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+class ProgressStreamService {
+  constructor() {
+    this.subscribers = new Map();
+    this.watchers = new Map();
+    this.trackers = new WeakSet();
+    this.lastPersisted = new Map();
+    this.persistIntervalMs = 2000;
+    this.watchIntervalMs = parseInt(process.env.PROGRESS_WATCH_MS, 10) || 3000;
+
+    Object.entries(QUEUE_EVENTS).forEach(([name, mapping]) => {
+      jobQueueService.on(name, ({ job, error }) => this.publishQueueEvent(job, mapping, error));
+    });
+  }
+
+  /**
+   * Relay a ProgressTracker's stage events. Safe to call more than once.
+   * @param {ProgressTracker} tracker - e.g. AutomationOrchestrator's progressTracker
+   */
+  trackProgress(tracker) {
+    if (this.trackers.has(tracker)) return;
+    this.trackers.add(tracker);
+
+    Object.entries(STAGE_EVENTS).forEach(([name, type]) => {
+      tracker.on(name, (data) => {
+        try {
+          this.publishStageEvent(tracker, type, data);
+        } catch (error) {
+          logAuthError('PROGRESS_STREAM_RELAY_ERROR', error, { trackerJobId: data.jobId, event: name });
+        }
+      });
+    });
+  }
+
+  /**
+   * Listen for a user's analysis events
+   * @param {string} userId - User ID
+   * @param {Function} listener - Called with each event object
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(userId, listener) {
+    if (!this.subscribers.has(userId)) this.subscribers.set(userId, new Set());
+    this.subscribers.get(userId).add(listener);
+    if (process.env.JOB_WORKER === 'external') this.startWatching(userId);
+
+    return () => {
+      const listeners = this.subscribers.get(userId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.subscribers.delete(userId);
+        this.stopWatching(userId);
+      }
+    };
+  }
+
+  publish(userId, event) {
+    const listeners = userId && this.subscribers.get(userId);
+    if (!listeners) return;
+    const payload = { ...event, timestamp: new Date().toISOString() };
+    listeners.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        logAuthError('PROGRESS_STREAM_SEND_ERROR', error, { userId });
+      }
+    });
+  }
+
+  publishQueueEvent(job, { type, status }, error) {
+    this.lastPersisted.delete(job.id);
+    this.publish(job.user_id, {
+      type,
+      status,
+      ...this.itemOf(job),
+      jobId: job.id,
+      progress: status === 'completed' ? 100 : (status === 'processing' ? job.progress || 0 : 0),
+      message: error ? error.message : undefined
+    });
+  }
+
+  publishStageEvent(tracker, type, data) {
+    const summary = tracker.getJobSummary(data.jobId);
+    const meta = summary?.metadata || {};
+    if (!meta.userId || !(meta.fileId || meta.contentId)) return;
+
+    const progress = Math.round(data.overallProgress ?? summary.progress?.overall ?? 0);
+    const stage = data.stageName || summary.currentStage?.name || null;
+
+    this.publish(meta.userId, {
+      type,
+      status: 'processing',
+      itemType: meta.contentId ? 'content' : 'file',
+      itemId: meta.contentId || meta.fileId,
+      jobId: meta.processingJobId || null,
+      progress,
+      stage,
+      stageLabel: summary.currentStage?.label || stage,
+      stageProgress: data.progress,
+      message: data.error || data.reason
+    });
+
+    if (meta.processingJobId) {
+      this.persistProgress(meta.processingJobId, progress, stage, type === 'stage_started');
+    }
+  }
+
+  /**
+   * Store progress on the queue row (at most every persistIntervalMs per job,
+   * except on stage changes)
+   */
+  persistProgress(jobId, progress, stage, force) {
+    const now = Date.now();
+    if (!force && now - (this.lastPersisted.get(jobId) || 0) < this.persistIntervalMs) return;
+    this.lastPersisted.set(jobId, now);
+
+    ProcessingJob.update(
+      { progress: Math.min(99, progress), current_stage: stage },
+      { where: { id: jobId, status: 'processing' } }
+    ).catch(error => logAuthError('PROGRESS_PERSIST_ERROR', error, { jobId }));
+  }
+
+  itemOf(job) {
+    return job.content_id
+      ? { itemType: 'content', itemId: job.content_id }
+      : { itemType: 'file', itemId: job.file_id };
+  }
+
+  syncEvent(job) {
+    return {
+      type: 'sync',
+      status: DB_STATUS[job.status] || 'waiting',
+      ...this.itemOf(job),
+      jobId: job.id,
+      progress: job.status === 'completed' ? 100 : job.progress || 0,
+      stage: job.current_stage || null,
+      stageLabel: job.current_stage || null,
+      message: job.status === 'failed' ? job.error_details?.message : undefined
+    };
+  }
+
+  /**
+   * Waiting and running jobs, sent when a stream opens
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sync events
+   */
+  async snapshot(userId) {
+    const jobs = await ProcessingJob.findAll({
+      where: { user_id: userId, status: { [Op.in]: ['pending', 'retrying', 'processing'] } },
+      order: [['createdAt', 'ASC']],
+      limit: 100
+    });
+    return jobs.map(job => this.syncEvent(job));
+  }
+
+  // Jobs run by another process only reach us through the database
+  startWatching(userId) {
+    if (this.watchers.has(userId)) return;
+    const watcher = { since: new Date(), busy: false };
+    watcher.timer = setInterval(async () => {
+      if (watcher.busy) return;
+      watcher.busy = true;
+      try {
+        const checkedAt = new Date();
+        const jobs = await ProcessingJob.findAll({
+          where: { user_id: userId, updatedAt: { [Op.gte]: watcher.since } },
+          order: [['updatedAt', 'ASC']],
+          limit: 100
+        });
+        // DATETIME columns drop milliseconds; repeats are harmless to clients
+        watcher.since = new Date(checkedAt.getTime() - 1000);
+        jobs.forEach(job => this.publish(userId, this.syncEvent(job)));
+      } catch (error) {
+        logAuthError('PROGRESS_WATCH_ERROR', error, { userId });
+      } finally {
+        watcher.busy = false;
+      }
+    }, this.watchIntervalMs);
+    watcher.timer.unref();
+    this.watchers.set(userId, watcher);
+  }
+
+  stopWatching(userId) {
+    const watcher = this.watchers.get(userId);
+    if (!watcher) return;
+    clearInterval(watcher.timer);
+    this.watchers.delete(userId);
+  }
+}
+
+module.exports = new ProgressStreamService();
@@ -0,0 +1,283 @@
+/**
+ * Scene Detection
+ *
+ * Pure helpers for picking video key moments from shot boundaries instead of
+ * evenly spaced timestamps: parsing ffmpeg scene-score output, turning cuts
+ * into shots (chapters), rejecting black, flat, blurry and near-duplicate
+ * frames, and scoring the frames that remain.
+ *
+ * Frames are analyzed as small grayscale images (FRAME_SIZE x FRAME_SIZE,
+ * one byte per pixel) so no image library is needed.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+// ffmpeg scene score (0-1) above which a frame starts a new shot
+const SCENE_THRESHOLD = 0.3;
+// Shots shorter than this are merged into their neighbour (flashes, transitions)
+const MIN_SHOT_SECONDS = 1.0;
+const MAX_CHAPTERS = 20;
+const FRAME_SIZE = 64;
+
+const DEFAULT_LIMITS = {
+  blackLevel: 24, // mean luma (0-255) below which a frame counts as black
+  minContrast: 10, // luma standard deviation below which a frame is flat (fades, title cards in one colour)
+  minSharpness: 30, // Laplacian variance below which a frame is blurry
+  duplicateDistance: 10 // perceptual hash bits (of 64) at or below which two frames are the same picture
+};
+
+/**
+ * Scene changes reported by ffmpeg's select + metadata=print filters
+ *
+ * Lines look like:
+ *   [Parsed_metadata_2 @ 0x..] frame:3    pts:9009    pts_time:4.2042
+ *   [Parsed_metadata_2 @ 0x..] lavfi.scene_score=0.512345
+ *
+ * @param {string|Array<string>} output - ffmpeg stderr
+ * @returns {Array<Object>} { time, score } in time order
+ */
+function parseSceneLog(output) {
+  const lines = Array.isArray(output) ? output : String(output || '').split(/\r?\n/);
+  const cuts = [];
+  let current = null;
+
+  for (const line of lines) {
+    const time = /pts_time:\s*(-?[\d.]+)/.exec(line);
+    if (time) {
+      current = { time: parseFloat(time[1]), score: null };
+      if (Number.isFinite(current.time) && current.time > 0) cuts.push(current);
+      continue;
+    }
+    const score = /lavfi\.scene_score=([\d.]+)/.exec(line);
+    if (score && current) current.score = parseFloat(score[1]);
+  }
+  return cuts.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Shots between cuts, with short shots merged and at most maxChapters kept
+ *
+ * When there are too many shots, the weakest cuts (lowest scene score, then
+ * shortest resulting shot) are dropped first.
+ *
+ * @param {Array<Object>} cuts - { time, score }
+ * @param {number} duration - Video duration in seconds
+ * @param {Object} options - { minShotSeconds, maxChapters }
+ * @returns {Array<Object>} { index, start, end, score }
+ */
+function buildShots(cuts, duration, options = {}) {
+  const minShot = options.minShotSeconds || MIN_SHOT_SECONDS;
+  const maxChapters = options.maxChapters || MAX_CHAPTERS;
+  if (!(duration > 0)) return [];
+
+  const boundaries = [];
+  let last = 0;
+  for (const cut of cuts) {
+    if (cut.time - last < minShot || duration - cut.time < minShot) continue;
+    boundaries.push({ time: cut.time, score: cut.score === null || cut.score === undefined ? 1 : cut.score });
+    last = cut.time;
+  }
+
+  while (boundaries.length + 1 > maxChapters) {
+    let weakest = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+      if (boundaries[i].score < boundaries[weakest].score) weakest = i;
+    }
+    boundaries.splice(weakest, 1);
+  }
+
+  const starts = [0, ...boundaries.map(b => b.time)];
+  return starts.map((start, index) => ({
+    index,
+    start,
+    end: index + 1 < starts.length ? starts[index + 1] : duration,
+    score: index === 0 ? null : boundaries[index - 1].score
+  }));
+}
+
+/**
+ * Stretches of video to take one frame from
+ *
+ * Each shot is one segment; when there are fewer shots than key moments
+ * wanted (long single takes), the longest segments are split in half.
+ *
+ * @param {Array<Object>} shots - From buildShots
+ * @param {number} count - Key moments wanted
+ * @param {number} minSeconds - Segments are not split below twice this length
+ * @returns {Array<Object>} { shotIndex, start, end } in time order
+ */
+function planSegments(shots, count, minSeconds = MIN_SHOT_SECONDS) {
+  const segments = shots.map(shot => ({ shotIndex: shot.index, start: shot.start, end: shot.end }));
+  while (segments.length && segments.length < count) {
+    let longest = 0;
+    segments.forEach((segment, i) => {
+      if (segment.end - segment.start > segments[longest].end - segments[longest].start) longest = i;
+    });
+    const segment = segments[longest];
+    if (segment.end - segment.start < 2 * minSeconds) break;
+    const middle = (segment.start + segment.end) / 2;
+    segments.splice(longest, 1,
+      { shotIndex: segment.shotIndex, start: segment.start, end: middle },
+      { shotIndex: segment.shotIndex, start: middle, end: segment.end });
+  }
+  return segments;
+}
+
+/**
+ * Timestamps to try within a segment, best first: the middle, away from the
+ * transitions at either end, then a third and two thirds in
+ */
+function candidateTimes(segment) {
+  const length = segment.end - segment.start;
+  return [0.5, 0.3, 0.7].map(position => Math.round((segment.start + length * position) * 1000) / 1000);
+}
+
+/**
+ * Brightness, contrast and sharpness of a grayscale frame
+ * @param {Buffer|Uint8Array} pixels - size * size luma bytes
+ * @param {number} size - Frame width and height
+ * @returns {Object} { brightness, contrast, sharpness }
+ */
+function frameStats(pixels, size = FRAME_SIZE) {
+  const count = size * size;
+  let sum = 0;
+  for (let i = 0; i < count; i++) sum += pixels[i];
+  const brightness = sum / count;
+
+  let variance = 0;
+  for (let i = 0; i < count; i++) variance += (pixels[i] - brightness) ** 2;
+
+  // Variance of the Laplacian: low when edges are soft
+  let lapSum = 0;
+  let lapSquares = 0;
+  let lapCount = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const value = pixels[i - size] + pixels[i + size] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      lapSum += value;
+      lapSquares += value * value;
+      lapCount++;
+    }
+  }
+  const lapMean = lapCount ? lapSum / lapCount : 0;
+
+  return {
+    brightness: Math.round(brightness * 10) / 10,
+    contrast: Math.round(Math.sqrt(variance / count) * 10) / 10,
+    sharpness: lapCount ? Math.round((lapSquares / lapCount - lapMean * lapMean) * 10) / 10 : 0
+  };
+}
+
+/**
+ * Difference hash (dHash) of a grayscale frame: 64 bits as 16 hex characters
+ *
+ * The frame is reduced to 9x8 block averages and each bit says whether a block
+ * is brighter than its right neighbour, so re-encodes, small shifts and
+ * brightness changes give (nearly) the same hash.
+ */
+function perceptualHash(pixels, size = FRAME_SIZE) {
+  const cols = 9;
+  const rows = 8;
+  const blocks = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = Math.floor(col * size / cols);
+      const x1 = Math.max(x0 + 1, Math.floor((col + 1) * size / cols));
+      const y0 = Math.floor(row * size / rows);
+      const y1 = Math.max(y0 + 1, Math.floor((row + 1) * size / rows));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) sum += pixels[y * size + x];
+      }
+      blocks.push(sum / ((x1 - x0) * (y1 - y0)));
+    }
+  }
+
+  let hex = '';
+  for (let row = 0; row < rows; row++) {
+    let byte = 0;
+    for (let col = 0; col < cols - 1; col++) {
+      byte = (byte << 1) | (blocks[row * cols + col] > blocks[row * cols + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hashes
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 2) {
+    let bits = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Why a frame is not used as a key moment
+ * @param {Object} stats - From frameStats
+ * @param {string} hash - From perceptualHash
+ * @param {Array<string>} keptHashes - Hashes of frames already picked
+ * @param {Object} limits - Overrides for DEFAULT_LIMITS
+ * @returns {string|null} 'black' | 'flat' | 'blurry' | 'duplicate', or null when the frame is usable
+ */
+function rejectReason(stats, hash, keptHashes = [], limits = {}) {
+  const { blackLevel, minContrast, minSharpness, duplicateDistance } = { ...DEFAULT_LIMITS, ...limits };
+  if (stats.brightness < blackLevel) return 'black';
+  if (stats.contrast < minContrast) return 'flat';
+  if (stats.sharpness < minSharpness) return 'blurry';
+  if (keptHashes.some(kept => hammingDistance(kept, hash) <= duplicateDistance)) return 'duplicate';
+  return null;
+}
+
+/**
+ * How good a frame is as a key moment (0-1): sharp, contrasty frames from
+ * long shots that start with a clear cut rank first
+ * @param {Object} stats - From frameStats
+ * @param {Object} segment - { start, end }
+ * @param {Object} shot - { score } (null for the opening shot)
+ */
+function keyMomentScore(stats, segment, shot = {}) {
+  const sharpness = Math.min(1, stats.sharpness / 500);
+  const contrast = Math.min(1, stats.contrast / 60);
+  const length = Math.min(1, (segment.end - segment.start) / 10);
+  const cut = shot.score === null || shot.score === undefined ? 0.5 : Math.min(1, shot.score);
+  return Math.round((0.35 * sharpness + 0.25 * contrast + 0.25 * length + 0.15 * cut) * 1000) / 1000;
+}
+
+/**
+ * The best `count` frames, in time order
+ * @param {Array<Object>} frames - { time, score, ... }
+ */
+function selectKeyMoments(frames, count) {
+  return [...frames]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+  SCENE_THRESHOLD,
+  MIN_SHOT_SECONDS,
+  MAX_CHAPTERS,
+  FRAME_SIZE,
+  DEFAULT_LIMITS,
+  parseSceneLog,
+  buildShots,
+  planSegments,
+  candidateTimes,
+  frameStats,
+  perceptualHash,
+  hammingDistance,
+  rejectReason,
+  keyMomentScore,
+  selectKeyMoments
+};
@@ -0,0 +1,146 @@
+/**
+ * Search Query Parser
+ *
+ * Turns the search box text into clauses for searchService.
+ *
+ *   mike recipe                 both words, anywhere
+ *   "olive oil"                 exact phrase
+ *   speaker:Mike tag:recipe     field queries (values may be quoted)
+ *   -draft  -tag:old            exclude items that match
+ *   type:video  in:files        filters (content type / mime group, content or files)
+ *
+ * Fields: title, tag, speaker, transcript, ocr, object, summary, comment,
+ * source (URL or filename). Unknown prefixes such as "https:" are kept as
+ * plain text.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const FIELD_ALIASES = {
+  title: 'title',
+  tag: 'tags',
+  tags: 'tags',
+  speaker: 'speaker',
+  speakers: 'speaker',
+  transcript: 'transcript',
+  said: 'transcript',
+  ocr: 'ocr',
+  text: 'ocr',
+  object: 'object',
+  objects: 'object',
+  summary: 'summary',
+  comment: 'comments',
+  comments: 'comments',
+  source: 'source',
+  url: 'source',
+  file: 'source'
+};
+
+const FILTER_ALIASES = {
+  type: 'type',
+  in: 'in'
+};
+
+const TOKEN_PATTERN = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * @param {string} input - Raw search text
+ * @returns {{ clauses: Array<{field: string|null, value: string, phrase: boolean, negate: boolean}>,
+ *             filters: {types: string[], in: string|null}, text: string}}
+ */
+function parseQuery(input) {
+  const clauses = [];
+  const filters = { types: [], in: null };
+  const plain = [];
+
+  for (const match of String(input || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, prefix, quoted, bare] = match;
+    const key = prefix ? prefix.toLowerCase() : null;
+    const field = key ? FIELD_ALIASES[key] : null;
+    const filter = key ? FILTER_ALIASES[key] : null;
+
+    // "https://..." and other unknown prefixes are ordinary text
+    let value = quoted !== undefined ? quoted : bare;
+    if (key && !field && !filter) {
+      value = quoted !== undefined ? `${prefix}:${quoted}` : raw.replace(/^-/, '');
+    }
+    value = (value || '').trim().toLowerCase();
+    if (!value) continue;
+
+    if (filter === 'type') {
+      filters.types.push(value);
+      continue;
+    }
+    if (filter === 'in') {
+      filters.in = /^file/.test(value) ? 'file' : 'content';
+      continue;
+    }
+
+    const phrase = quoted !== undefined && /\s/.test(value);
+    clauses.push({ field: field || null, value, phrase, negate: !!minus });
+    if (!minus) plain.push(value);
+  }
+
+  return { clauses, filters, text: plain.join(' ') };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Occurrences of a lower-case needle in text (case-insensitive)
+ */
+function countOccurrences(text, needle) {
+  if (!text || !needle) return 0;
+  const haystack = text.toLowerCase();
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * HTML-safe excerpt around the first hit with every needle wrapped in <mark>
+ * @param {string} text - Source text
+ * @param {string[]} needles - Lower-case search values
+ * @param {number} radius - Characters kept on each side of the first hit
+ * @returns {string|null} Excerpt HTML, or null when nothing matches
+ */
+function highlight(text, needles, radius = 80) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const hits = needles.map(needle => lower.indexOf(needle)).filter(index => index !== -1);
+  if (hits.length === 0) return null;
+
+  const first = Math.min(...hits);
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius * 2);
+  const excerpt = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+
+  const pattern = new RegExp(`(${needles.map(escapeRegExp).join('|')})`, 'gi');
+  return excerpt.split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+module.exports = {
+  FIELD_ALIASES,
+  parseQuery,
+  countOccurrences,
+  highlight,
+  escapeHtml
+};
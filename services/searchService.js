@@ -0,0 +1,436 @@
+/**
+ * Search Service
+ *
+ * One search over a user's content items and files, including what analysis
+ * produced for them: transcripts (with segment timestamps), OCR text,
+ * detected objects and labels, and speaker names.
+ *
+ * FEATURES:
+ * - Query syntax from searchQueryParser (phrases, field:value, -exclusions,
+ *   type: / in: filters)
+ * - SQL LIKE pre-filter per clause, then exact matching and relevance
+ *   ranking in memory: field weights x term frequency x rarity, with a small
+ *   recency bonus
+ * - Highlighted excerpts; transcript and OCR hits carry their timestamps
+ * - rank() for list pages that only need ordered IDs
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Content, File, Thumbnail, AudioAnalysis, ImageAnalysis, VideoAnalysis, OCRCaption, Speaker
+} = require('../models');
+const { parseQuery, countOccurrences, highlight } = require('./searchQueryParser');
+
+const FIELD_WEIGHTS = {
+  title: 6,
+  tags: 4,
+  speaker: 4,
+  summary: 3,
+  comments: 2,
+  object: 2,
+  source: 1.5,
+  ocr: 1.5,
+  transcript: 1
+};
+const ALL_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// Content / File columns behind each field
+const ITEM_COLUMNS = {
+  title: { content: ['generated_title'], file: ['generated_title', 'filename'] },
+  tags: { content: ['user_tags', 'auto_tags'], file: ['user_tags', 'auto_tags'] },
+  summary: { content: ['summary'], file: ['summary'] },
+  comments: { content: ['user_comments'], file: ['user_comments'] },
+  source: { content: ['url'], file: ['filename'] },
+  transcript: { content: ['transcription'], file: ['transcription'] }
+};
+const JSON_COLUMNS = ['user_tags', 'auto_tags'];
+
+// Analysis tables behind each field: [model, column, isJson]
+const ANALYSIS_COLUMNS = {
+  transcript: [[AudioAnalysis, 'transcription_results', true]],
+  speaker: [[AudioAnalysis, 'speaker_analysis', true]],
+  ocr: [[OCRCaption, 'text', false], [ImageAnalysis, 'ocr_results', true]],
+  object: [
+    [ImageAnalysis, 'object_detection', true],
+    [ImageAnalysis, 'label_detection', true],
+    [VideoAnalysis, 'objects_detected', true]
+  ]
+};
+
+const MAX_CANDIDATES = 500;
+const MAX_HIGHLIGHTS = 3;
+
+class SearchService {
+  /**
+   * Case-insensitive LIKE, casting JSON columns to text first
+   */
+  likeClause(column, value, isJson) {
+    const pattern = `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+    const target = isJson
+      ? sequelize.fn('LOWER', sequelize.cast(sequelize.col(column), 'CHAR'))
+      : sequelize.fn('LOWER', sequelize.col(column));
+    return sequelize.where(target, { [Op.like]: pattern });
+  }
+
+  /**
+   * IDs of items that might satisfy one clause (checked exactly later)
+   * @returns {Promise<{content: Set<string>, file: Set<string>}>}
+   */
+  async matchClause(userId, clause) {
+    const fields = clause.field ? [clause.field] : ALL_FIELDS;
+    const ids = { content: new Set(), file: new Set() };
+    const addRefs = rows => rows.forEach(row => {
+      if (row.content_id) ids.content.add(row.content_id);
+      if (row.file_id) ids.file.add(row.file_id);
+    });
+    const queries = [];
+
+    for (const [itemType, Model] of [['content', Content], ['file', File]]) {
+      const columns = fields.flatMap(field => ITEM_COLUMNS[field]?.[itemType] || []);
+      if (columns.length === 0) continue;
+      queries.push(Model.findAll({
+        attributes: ['id'],
+        where: {
+          user_id: userId,
+          [Op.or]: columns.map(column => this.likeClause(column, clause.value, JSON_COLUMNS.includes(column)))
+        },
+        limit: MAX_CANDIDATES * 2,
+        raw: true
+      }).then(rows => rows.forEach(row => ids[itemType].add(row.id))));
+    }
+
+    for (const field of fields) {
+      for (const [Model, column, isJson] of ANALYSIS_COLUMNS[field] || []) {
+        queries.push(Model.findAll({
+          attributes: ['content_id', 'file_id'],
+          where: { user_id: userId, [Op.and]: [this.likeClause(column, clause.value, isJson)] },
+          limit: MAX_CANDIDATES * 2,
+          raw: true
+        }).then(addRefs));
+      }
+    }
+
+    if (fields.includes('speaker')) {
+      queries.push(Speaker.findAll({
+        attributes: ['audio_analysis_id'],
+        where: { user_id: userId, audio_analysis_id: { [Op.ne]: null }, [Op.and]: [this.likeClause('name', clause.value, false)] },
+        raw: true
+      }).then(speakers => speakers.length === 0 ? [] : AudioAnalysis.findAll({
+        attributes: ['content_id', 'file_id'],
+        where: { id: { [Op.in]: speakers.map(speaker => speaker.audio_analysis_id) } },
+        raw: true
+      })).then(addRefs));
+    }
+
+    await Promise.all(queries);
+    return ids;
+  }
+
+  /**
+   * Candidate IDs: intersection of every positive clause, or null when the
+   * query has none (filters / exclusions only)
+   */
+  async findCandidates(userId, clauses) {
+    let candidates = null;
+    for (const clause of clauses.filter(c => !c.negate)) {
+      const matched = await this.matchClause(userId, clause);
+      candidates = candidates
+        ? {
+          content: new Set([...candidates.content].filter(id => matched.content.has(id))),
+          file: new Set([...candidates.file].filter(id => matched.file.has(id)))
+        }
+        : matched;
+      if (candidates.content.size === 0 && candidates.file.size === 0) break;
+    }
+    return candidates;
+  }
+
+  /**
+   * where clause for type: filters; files match on the JSON path
+   * metadata.mimetype, since MySQL stores JSON normalised ("key": "value")
+   * @param {string} itemType - content | file
+   * @param {string[]} types - video, audio, image, ...
+   * @returns {Object} where clause
+   */
+  typeWhere(itemType, types) {
+    if (types.length === 0) return {};
+    if (itemType === 'content') return { content_type: { [Op.in]: types } };
+    return {
+      [Op.or]: types.map(type => ({ metadata: { mimetype: { [Op.like]: `${type.replace(/[^a-z0-9.+-]/g, '')}/%` } } }))
+    };
+  }
+
+  /**
+   * Load items plus their analysis text as search documents
+   * @param {string} userId - Owner
+   * @param {{content: string[]|null, file: string[]|null}} ids - null loads the newest items
+   * @param {string[]} types - type: filters
+   * @returns {Promise<Array>} Documents
+   */
+  async loadDocuments(userId, ids, types = []) {
+    const load = (itemType, Model, attributes) => {
+      if (ids[itemType] && ids[itemType].length === 0) return [];
+      return Model.findAll({
+        where: {
+          user_id: userId,
+          ...(ids[itemType] ? { id: { [Op.in]: ids[itemType] } } : {}),
+          ...this.typeWhere(itemType, types)
+        },
+        attributes,
+        include: [{ model: Thumbnail, as: 'thumbnails', required: false, attributes: ['id', 'file_path', 'thumbnail_type'] }],
+        order: [['createdAt', 'DESC']],
+        limit: MAX_CANDIDATES
+      });
+    };
+    const common = ['id', 'generated_title', 'summary', 'user_comments', 'user_tags', 'auto_tags', 'transcription', 'content_type', 'createdAt'];
+    const [contents, files] = await Promise.all([
+      load('content', Content, [...common, 'url']),
+      load('file', File, [...common, 'filename', 'metadata'])
+    ]);
+
+    const docs = new Map();
+    contents.forEach(item => docs.set(`content:${item.id}`, this.toDocument('content', item)));
+    files.forEach(item => docs.set(`file:${item.id}`, this.toDocument('file', item)));
+    if (docs.size === 0) return [];
+
+    const refs = {
+      [Op.or]: [
+        { content_id: { [Op.in]: contents.map(item => item.id) } },
+        { file_id: { [Op.in]: files.map(item => item.id) } }
+      ]
+    };
+    const docFor = row => docs.get(row.content_id ? `content:${row.content_id}` : `file:${row.file_id}`);
+
+    const [audio, images, videos, captions] = await Promise.all([
+      AudioAnalysis.findAll({ where: { user_id: userId, ...refs }, attributes: ['id', 'content_id', 'file_id', 'transcription_results', 'speaker_analysis'] }),
+      ImageAnalysis.findAll({ where: { user_id: userId, ...refs }, attributes: ['content_id', 'file_id', 'object_detection', 'label_detection', 'ocr_results'] }),
+      VideoAnalysis.findAll({ where: { user_id: userId, ...refs }, attributes: ['content_id', 'file_id', 'objects_detected'] }),
+      OCRCaption.findAll({
+        where: { user_id: userId, status: { [Op.ne]: 'failed' }, ...refs },
+        attributes: ['content_id', 'file_id', 'text', 'timestamp_seconds'],
+        order: [['timestamp_seconds', 'ASC']]
+      })
+    ]);
+    const speakers = audio.length === 0 ? [] : await Speaker.findAll({
+      where: { audio_analysis_id: { [Op.in]: audio.map(row => row.id) } },
+      attributes: ['audio_analysis_id', 'speaker_tag', 'name']
+    });
+
+    for (const row of audio) {
+      const doc = docFor(row);
+      if (!doc) continue;
+      const transcript = row.transcription_results || {};
+      const names = {};
+      (row.speaker_analysis?.speakers || []).forEach(speaker => {
+        if (speaker.name) names[speaker.id] = speaker.name;
+      });
+      speakers.filter(speaker => speaker.audio_analysis_id === row.id && speaker.name)
+        .forEach(speaker => { names[speaker.speaker_tag] = speaker.name; });
+
+      (transcript.segments || []).forEach(segment => {
+        if (!segment?.text) return;
+        doc.segments.push({
+          text: segment.text,
+          start: segment.startTime ?? segment.start ?? null,
+          end: segment.endTime ?? segment.end ?? null,
+          speaker: names[segment.speakerId] || segment.speakerId || null
+        });
+      });
+      if (!doc.fields.transcript && typeof transcript.fullText === 'string') doc.fields.transcript = transcript.fullText;
+      doc.fields.speaker = [doc.fields.speaker, ...Object.values(names)].filter(Boolean).join(' · ');
+    }
+
+    for (const row of images) {
+      const doc = docFor(row);
+      if (!doc) continue;
+      const objects = [
+        ...(row.object_detection?.objects || []).map(object => object.name),
+        ...(row.label_detection?.labels || []).map(label => label.name)
+      ];
+      doc.fields.object = [doc.fields.object, ...objects].filter(Boolean).join(' · ');
+      if (row.ocr_results?.fullText) doc.fields.ocr = [doc.fields.ocr, row.ocr_results.fullText].filter(Boolean).join('\n');
+    }
+
+    for (const row of videos) {
+      const doc = docFor(row);
+      if (!doc) continue;
+      const objects = (row.objects_detected?.topObjects || []).map(object => object.name)
+        .concat(Object.keys(row.objects_detected?.objectCounts || {}));
+      doc.fields.object = [doc.fields.object, ...objects].filter(Boolean).join(' · ');
+    }
+
+    for (const row of captions) {
+      const doc = docFor(row);
+      if (!doc || !row.text) continue;
+      doc.frames.push({ text: row.text, start: row.timestamp_seconds });
+      doc.fields.ocr = [doc.fields.ocr, row.text].filter(Boolean).join('\n');
+    }
+
+    return [...docs.values()];
+  }
+
+  toDocument(itemType, item) {
+    const tags = [...(Array.isArray(item.user_tags) ? item.user_tags : []), ...(Array.isArray(item.auto_tags) ? item.auto_tags : [])];
+    const source = itemType === 'content' ? item.url : item.filename;
+    const thumbnails = item.thumbnails || [];
+    const thumbnail = thumbnails.find(thumb => thumb.thumbnail_type === 'main') || thumbnails[0];
+    return {
+      itemType,
+      id: item.id,
+      title: item.generated_title || source || 'Untitled',
+      contentType: itemType === 'content' ? item.content_type : item.metadata?.mimetype || item.content_type,
+      createdAt: item.createdAt,
+      link: itemType === 'content' ? `/content/${item.id}/analysis/view` : `/files/${item.id}`,
+      thumbnailUrl: thumbnail ? this.thumbnailUrl(thumbnail.file_path) : null,
+      fields: {
+        title: [item.generated_title, itemType === 'file' ? item.filename : null].filter(Boolean).join(' · '),
+        tags: tags.join(' · '),
+        summary: item.summary || '',
+        comments: item.user_comments || '',
+        source: source || '',
+        transcript: item.transcription || '',
+        speaker: '',
+        object: '',
+        ocr: ''
+      },
+      segments: [],
+      frames: []
+    };
+  }
+
+  // Same URL rules as the content list
+  thumbnailUrl(filePath) {
+    if (!filePath) return null;
+    if (filePath.startsWith('http')) return filePath;
+    if (filePath.startsWith('/files/serve/')) return filePath.replace('/files/serve/', '/');
+    return filePath.startsWith('/') ? filePath : `/${filePath}`;
+  }
+
+  /**
+   * Fields of a document that contain the clause value
+   * @returns {Object} field -> occurrence count
+   */
+  clauseHits(doc, clause) {
+    const hits = {};
+    for (const field of clause.field ? [clause.field] : ALL_FIELDS) {
+      const count = countOccurrences(doc.fields[field], clause.value);
+      if (count > 0) hits[field] = count;
+    }
+    return hits;
+  }
+
+  /**
+   * Ranked documents for a query
+   * @param {string} userId - Owner
+   * @param {string|Object} query - Search text or parseQuery() output
+   * @param {Object} options - { itemType: 'content' | 'file' }
+   * @returns {Promise<{parsed: Object, docs: Array}>} Matching documents, best first
+   */
+  async rank(userId, query, { itemType = null } = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const scope = itemType || parsed.filters.in;
+    if (parsed.clauses.length === 0 && parsed.filters.types.length === 0) {
+      return { parsed, docs: [] };
+    }
+
+    const candidates = await this.findCandidates(userId, parsed.clauses);
+    const ids = {
+      content: scope === 'file' ? [] : (candidates ? [...candidates.content] : null),
+      file: scope === 'content' ? [] : (candidates ? [...candidates.file] : null)
+    };
+    const docs = await this.loadDocuments(userId, ids, parsed.filters.types);
+
+    const positive = parsed.clauses.filter(clause => !clause.negate);
+    const matched = [];
+    for (const doc of docs) {
+      if (parsed.clauses.some(clause => clause.negate && Object.keys(this.clauseHits(doc, clause)).length > 0)) continue;
+      const hits = positive.map(clause => this.clauseHits(doc, clause));
+      if (hits.some(fieldHits => Object.keys(fieldHits).length === 0)) continue;
+      matched.push({ doc, hits });
+    }
+
+    // Rarer clauses count for more
+    const documentFrequency = positive.map((_, index) => matched.filter(entry => Object.keys(entry.hits[index]).length > 0).length);
+    const now = Date.now();
+    for (const entry of matched) {
+      let score = 0;
+      entry.hits.forEach((fieldHits, index) => {
+        const idf = Math.log(1 + matched.length / Math.max(1, documentFrequency[index]));
+        const boost = positive[index].phrase ? 1.5 : 1;
+        for (const [field, count] of Object.entries(fieldHits)) {
+          score += FIELD_WEIGHTS[field] * (1 + Math.log(count)) * idf * boost;
+        }
+      });
+      const ageDays = (now - new Date(entry.doc.createdAt).getTime()) / 86400000;
+      entry.doc.score = Math.round((score + 0.5 / (1 + ageDays / 30)) * 1000) / 1000;
+      entry.doc.matchedFields = [...new Set(entry.hits.flatMap(fieldHits => Object.keys(fieldHits)))];
+    }
+
+    matched.sort((a, b) => b.doc.score - a.doc.score || new Date(b.doc.createdAt) - new Date(a.doc.createdAt));
+    return { parsed, docs: matched.map(entry => entry.doc) };
+  }
+
+  /**
+   * Highlighted excerpts; transcript and OCR hits keep their timestamps
+   */
+  buildHighlights(doc, needles) {
+    const highlights = [];
+    const push = entry => { if (entry.snippet && highlights.length < MAX_HIGHLIGHTS) highlights.push(entry); };
+
+    for (const segment of doc.segments) {
+      push({ field: 'transcript', start: segment.start, end: segment.end, speaker: segment.speaker, snippet: highlight(segment.text, needles, 60) });
+    }
+    if (doc.segments.length === 0) {
+      push({ field: 'transcript', snippet: highlight(doc.fields.transcript, needles) });
+    }
+    for (const frame of doc.frames) {
+      push({ field: 'ocr', start: frame.start, snippet: highlight(frame.text, needles, 60) });
+    }
+    for (const field of ['summary', 'comments', 'speaker', 'object', 'tags']) {
+      push({ field, snippet: highlight(doc.fields[field], needles) });
+    }
+    if (doc.frames.length === 0) {
+      push({ field: 'ocr', snippet: highlight(doc.fields.ocr, needles) });
+    }
+    return highlights;
+  }
+
+  serialize(doc, needles = []) {
+    return {
+      item_type: doc.itemType,
+      id: doc.id,
+      title: doc.title,
+      content_type: doc.contentType || null,
+      link: doc.link,
+      thumbnail_url: doc.thumbnailUrl,
+      created_at: doc.createdAt,
+      score: doc.score ?? null,
+      matched_fields: doc.matchedFields || [],
+      highlights: needles.length ? this.buildHighlights(doc, needles) : []
+    };
+  }
+
+  /**
+   * One page of results for the search page / API
+   * @param {string} userId - Owner
+   * @param {string} query - Search text
+   * @param {Object} options - { page, perPage, itemType }
+   */
+  async search(userId, query, { page = 1, perPage = 20, itemType = null } = {}) {
+    const { parsed, docs } = await this.rank(userId, query, { itemType });
+    const needles = parsed.clauses.filter(clause => !clause.negate).map(clause => clause.value);
+    const offset = (page - 1) * perPage;
+    return {
+      query: parsed,
+      total: docs.length,
+      page,
+      perPage,
+      results: docs.slice(offset, offset + perPage).map(doc => this.serialize(doc, needles))
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,88 @@
+/**
+ * Share Payload Service
+ *
+ * Assembles the read-only view model behind a share link: the shared
+ * content item, file or content group together with its analysis results
+ * (summary, transcription, tags, sentiment) and ready thumbnails.
+ * Only data owned by the link's owner is ever loaded.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Content, File, ContentGroup, Thumbnail } = require('../models');
+const contentGroupService = require('./contentGroupService');
+const thumbnailUrl = require('../utils/thumbnail-url');
+
+class SharePayloadService {
+  /**
+   * Build the read-only view model for a single content or file record
+   * @param {Object} record - Content or File record
+   * @param {string} itemType - content or file
+   * @returns {Promise<Object>} View model
+   */
+  async buildItemView(record, itemType) {
+    const thumbnails = itemType === 'content'
+      ? await Thumbnail.getByContent(record.id)
+      : await Thumbnail.getByFile(record.id);
+
+    let sentiment = record.sentiment;
+    if (typeof sentiment === 'string') {
+      try { sentiment = JSON.parse(sentiment); } catch (e) { sentiment = null; }
+    }
+
+    return {
+      id: record.id,
+      itemType,
+      title: record.generated_title || (record.metadata && record.metadata.title) || record.filename || record.url,
+      url: itemType === 'content' ? record.url : null,
+      filename: itemType === 'file' ? record.filename : null,
+      contentType: record.content_type,
+      summary: record.summary || '',
+      transcription: record.transcription || '',
+      tags: [...new Set([...(record.user_tags || []), ...(record.auto_tags || [])])],
+      category: record.category || '',
+      sentiment,
+      createdAt: record.createdAt,
+      thumbnails: thumbnails.map(t => ({
+        url: thumbnailUrl(t.file_path),
+        timestamp: t.timestamp_seconds,
+        type: t.thumbnail_type
+      }))
+    };
+  }
+
+  /**
+   * Load the read-only payload a link points at
+   * @param {Object} link - ShareLink record
+   * @returns {Promise<Object|null>} { type, title, items } or null if the item no longer exists
+   */
+  async loadSharedPayload(link) {
+    if (link.share_type === 'content') {
+      const content = await Content.findOne({ where: { id: link.content_id, user_id: link.user_id } });
+      if (!content) return null;
+      const item = await this.buildItemView(content, 'content');
+      return { type: 'content', title: item.title, items: [item] };
+    }
+
+    if (link.share_type === 'file') {
+      const file = await File.findOne({ where: { id: link.file_id, user_id: link.user_id } });
+      if (!file) return null;
+      const item = await this.buildItemView(file, 'file');
+      return { type: 'file', title: item.title, items: [item] };
+    }
+
+    const group = await ContentGroup.findOne({ where: { id: link.content_group_id, user_id: link.user_id } });
+    if (!group) return null;
+
+    const entries = await contentGroupService.getMemberRecords(link.user_id, group.id);
+    const items = [];
+    for (const entry of entries) {
+      items.push(await this.buildItemView(entry.record, entry.itemType));
+    }
+
+    return { type: 'group', title: group.name, items };
+  }
+}
+
+module.exports = new SharePayloadService();
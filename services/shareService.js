@@ -0,0 +1,433 @@
+/**
+ * Share Service
+ *
+ * Creates, resolves and revokes share links for content items, files and
+ * whole content groups. Links can be public or scoped to a single Contact;
+ * sharing to a ContactGroup issues one link per member so every recipient
+ * can be tracked individually. Every create, view and revoke is written to
+ * ShareLog.
+ *
+ * FEATURES:
+ * - Unguessable tokens with optional expiry and bcrypt-hashed passwords
+ * - Ownership validation of the shared item and of recipient contacts
+ * - Optional email notification of contact recipients
+ * - ShareLog entries for created/viewed/revoked/password_failed actions
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const {
+  ShareLink,
+  ShareLog,
+  Content,
+  File,
+  ContentGroup,
+  Contact,
+  ContactGroup,
+  ContactGroupMember
+} = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const sendMail = require('../utils/send-mail');
+
+class ShareService {
+  constructor() {
+    this.tokenBytes = 24;
+    this.defaultExpiryDays = 30;
+    this.maxExpiryDays = 365;
+  }
+
+  /**
+   * Generate a URL-safe share token
+   * @returns {string} Random token
+   */
+  generateToken() {
+    return crypto.randomBytes(this.tokenBytes).toString('base64url');
+  }
+
+  /**
+   * Resolve and verify ownership of the item being shared
+   * @param {string} userId - Owner user ID
+   * @param {Object} target - { contentId, fileId, groupId } (exactly one)
+   * @returns {Promise<Object>} { type, record }
+   */
+  async resolveTarget(userId, { contentId, fileId, groupId }) {
+    const provided = [contentId, fileId, groupId].filter(Boolean);
+    if (provided.length !== 1) {
+      throw new Error('Exactly one of content_id, file_id or group_id is required');
+    }
+
+    if (contentId) {
+      const record = await Content.findOne({ where: { id: contentId, user_id: userId } });
+      if (!record) throw new Error('Content not found');
+      return { type: 'content', record };
+    }
+
+    if (fileId) {
+      const record = await File.findOne({ where: { id: fileId, user_id: userId } });
+      if (!record) throw new Error('File not found');
+      return { type: 'file', record };
+    }
+
+    const record = await ContentGroup.findOne({ where: { id: groupId, user_id: userId } });
+    if (!record) throw new Error('Content group not found');
+    return { type: 'group', record };
+  }
+
+  /**
+   * Resolve the list of recipient contacts for a share
+   * @param {string} userId - Owner user ID
+   * @param {Object} recipients - { contactId, contactGroupId }
+   * @returns {Promise<Array>} Array of Contact records, or [null] for a public link
+   */
+  async resolveRecipients(userId, { contactId, contactGroupId }) {
+    if (contactGroupId) {
+      const group = await ContactGroup.findOne({ where: { id: contactGroupId, user_id: userId } });
+      if (!group) throw new Error('Contact group not found');
+
+      const members = await ContactGroupMember.findAll({
+        where: { group_id: contactGroupId },
+        include: [{ model: Contact, where: { user_id: userId } }]
+      });
+
+      const contacts = members.map(m => m.Contact).filter(Boolean);
+      if (contacts.length === 0) throw new Error('Contact group has no members');
+      return contacts;
+    }
+
+    if (contactId) {
+      const contact = await Contact.findOne({ where: { id: contactId, user_id: userId } });
+      if (!contact) throw new Error('Contact not found');
+      return [contact];
+    }
+
+    return [null];
+  }
+
+  /**
+   * Compute the expiry date for a new link
+   * @param {number|null} expiresInDays - Requested lifetime in days (0 = never)
+   * @returns {Date|null} Expiry date
+   */
+  computeExpiry(expiresInDays) {
+    if (expiresInDays === 0) return null;
+    const days = Number.isFinite(expiresInDays) && expiresInDays > 0
+      ? Math.min(expiresInDays, this.maxExpiryDays)
+      : this.defaultExpiryDays;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Create share links
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - Share options
+   * @param {string} options.contentId - Content to share
+   * @param {string} options.fileId - File to share
+   * @param {string} options.groupId - Content group to share
+   * @param {string} options.contactId - Recipient contact
+   * @param {string} options.contactGroupId - Recipient contact group
+   * @param {number} options.expiresInDays - Lifetime in days (0 = never expires)
+   * @param {string} options.password - Optional password
+   * @param {string} options.message - Optional message shown to the recipient
+   * @param {string} options.language - Recipient language
+   * @param {boolean} options.notify - Email contact recipients the link
+   * @param {Object} client - { ip, userAgent } of the creator
+   * @returns {Promise<Array>} Created ShareLink records
+   */
+  async createShare(userId, options, client = {}) {
+    const target = await this.resolveTarget(userId, options);
+    const recipients = await this.resolveRecipients(userId, options);
+    const passwordHash = options.password ? await bcrypt.hash(options.password, 12) : null;
+    const expiresAt = this.computeExpiry(options.expiresInDays);
+
+    const shareMethod = options.contactGroupId ? 'contact_group' : (options.contactId ? 'contact' : 'link');
+    const links = [];
+
+    for (const contact of recipients) {
+      const link = await ShareLink.create({
+        user_id: userId,
+        token: this.generateToken(),
+        share_type: target.type,
+        content_id: target.type === 'content' ? target.record.id : null,
+        file_id: target.type === 'file' ? target.record.id : null,
+        content_group_id: target.type === 'group' ? target.record.id : null,
+        contact_id: contact ? contact.id : null,
+        contact_group_id: options.contactGroupId || null,
+        password_hash: passwordHash,
+        expires_at: expiresAt,
+        metadata: {
+          message: options.message || null,
+          language: options.language || null
+        }
+      });
+
+      await this.writeLog(link, 'created', shareMethod, client, options.language);
+      links.push(link);
+    }
+
+    if (options.notify) {
+      await this.notifyRecipients(links, recipients, target, options.senderName, options.message);
+    }
+
+    logAuthEvent('SHARE_CREATED', {
+      userId,
+      targetType: target.type,
+      targetId: target.record.id,
+      shareMethod,
+      linkCount: links.length,
+      passwordProtected: !!passwordHash,
+      expiresAt
+    });
+
+    return links;
+  }
+
+  /**
+   * Build the absolute URL of a share link
+   * @param {string} token - Share token
+   * @returns {string} Absolute URL
+   */
+  buildShareUrl(token) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.APP_PORT || process.env.PORT || 3000}`;
+    return `${baseUrl}/shares/view/${token}`;
+  }
+
+  /**
+   * Email share links to contact recipients that have an email address.
+   * Failures are logged and recorded in the link metadata but never abort the share.
+   * @param {Array} links - Created ShareLink records
+   * @param {Array} recipients - Contact records (aligned with links)
+   * @param {Object} target - Resolved share target
+   * @param {string} senderName - Display name of the sharing user
+   * @param {string} message - Optional personal message
+   */
+  async notifyRecipients(links, recipients, target, senderName, message) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const escape = (value) => String(value || '').replace(/[&<>"']/g, c => entities[c]);
+    const title = target.record.generated_title || target.record.name || target.record.filename || target.record.url;
+
+    for (let i = 0; i < links.length; i++) {
+      const contact = recipients[i];
+      const email = contact && Array.isArray(contact.emails) ? (contact.emails.find(e => e && e.value) || {}).value : null;
+      if (!email) continue;
+
+      const link = links[i];
+      let notified = false;
+      try {
+        await sendMail({
+          to: email,
+          subject: `${senderName || 'A DaySave user'} shared "${title}" with you`,
+          html: `<p>Hello ${escape(contact.name)},</p>` +
+            `<p>${escape(senderName || 'A DaySave user')} shared <strong>${escape(title)}</strong> with you.</p>` +
+            (message ? `<blockquote>${escape(message)}</blockquote>` : '') +
+            `<p><a href="${this.buildShareUrl(link.token)}">Open shared item</a></p>` +
+            (link.expires_at ? `<p>This link expires on ${new Date(link.expires_at).toUTCString()}.</p>` : '')
+        });
+        notified = true;
+      } catch (error) {
+        logAuthError('SHARE_NOTIFY_ERROR', error, { shareLinkId: link.id, contactId: contact.id });
+      }
+
+      await link.update({ metadata: { ...(link.metadata || {}), notified, notified_email: email } });
+    }
+  }
+
+  /**
+   * Write a ShareLog entry for a link
+   * @param {Object} link - ShareLink record
+   * @param {string} action - created, viewed, revoked, password_failed
+   * @param {string} shareMethod - link, contact or contact_group
+   * @param {Object} client - { ip, userAgent }
+   * @param {string} language - Optional language
+   */
+  async writeLog(link, action, shareMethod = null, client = {}, language = null) {
+    try {
+      await ShareLog.create({
+        user_id: link.user_id,
+        share_link_id: link.id,
+        content_id: link.content_id,
+        file_id: link.file_id,
+        contact_id: link.contact_id,
+        group_id: link.content_group_id || link.contact_group_id,
+        share_method: shareMethod || this.getShareMethod(link),
+        language,
+        action,
+        client_ip: client.ip || null,
+        user_agent: client.userAgent || null
+      });
+    } catch (error) {
+      logAuthError('SHARE_LOG_WRITE_ERROR', error, { shareLinkId: link.id, action });
+    }
+  }
+
+  /**
+   * Derive the share method (link, contact, contact_group) from a link
+   */
+  getShareMethod(link) {
+    if (link.contact_group_id) return 'contact_group';
+    if (link.contact_id) return 'contact';
+    return 'link';
+  }
+
+  /**
+   * Get the status of a link without loading the shared item
+   * @param {Object} link - ShareLink record
+   * @returns {string} active, revoked or expired
+   */
+  getLinkStatus(link) {
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Find a link by token
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} { link, status } where status is active, revoked, expired or not_found
+   */
+  async findByToken(token) {
+    if (!token || typeof token !== 'string' || token.length > 64) {
+      return { link: null, status: 'not_found' };
+    }
+
+    const link = await ShareLink.findOne({
+      where: { token },
+      include: [{ model: Contact, attributes: ['id', 'name'] }]
+    });
+
+    if (!link) return { link: null, status: 'not_found' };
+    return { link, status: this.getLinkStatus(link) };
+  }
+
+  /**
+   * Check a password against a link
+   * @param {Object} link - ShareLink record
+   * @param {string} password - Provided password
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<boolean>} Whether the password matches
+   */
+  async verifyPassword(link, password, client = {}) {
+    if (!link.password_hash) return true;
+    const valid = !!password && await bcrypt.compare(password, link.password_hash);
+    if (!valid) {
+      await this.writeLog(link, 'password_failed', null, client);
+    }
+    return valid;
+  }
+
+  /**
+   * Record a successful view
+   * @param {Object} link - ShareLink record
+   * @param {Object} client - { ip, userAgent }
+   */
+  async recordView(link, client = {}) {
+    await link.update({
+      view_count: link.view_count + 1,
+      last_viewed_at: new Date()
+    });
+    await this.writeLog(link, 'viewed', null, client);
+  }
+
+  /**
+   * Revoke a link owned by the user
+   * @param {string} userId - Owner user ID
+   * @param {string} linkId - ShareLink ID
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} Revoked link
+   */
+  async revokeShare(userId, linkId, client = {}) {
+    const link = await ShareLink.findOne({ where: { id: linkId, user_id: userId } });
+    if (!link) throw new Error('Share link not found');
+    if (link.revoked_at) return link;
+
+    await link.update({ revoked_at: new Date() });
+    await this.writeLog(link, 'revoked', null, client);
+
+    logAuthEvent('SHARE_REVOKED', {
+      userId,
+      targetType: 'share_link',
+      targetId: link.id
+    });
+
+    return link;
+  }
+
+  /**
+   * List a user's share links
+   * @param {string} userId - Owner user ID
+   * @param {Object} filters - { contentId, fileId, groupId, includeInactive }
+   * @returns {Promise<Array>} Share links with status
+   */
+  async listShares(userId, filters = {}) {
+    const where = { user_id: userId };
+    if (filters.contentId) where.content_id = filters.contentId;
+    if (filters.fileId) where.file_id = filters.fileId;
+    if (filters.groupId) where.content_group_id = filters.groupId;
+    if (!filters.includeInactive) {
+      where.revoked_at = null;
+      where[Op.or] = [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }];
+    }
+
+    // password_hash is loaded for password_protected; serializeLink() strips it
+    const links = await ShareLink.findAll({
+      where,
+      include: [
+        { model: Content, attributes: ['id', 'url', 'generated_title'] },
+        { model: File, attributes: ['id', 'filename', 'generated_title'] },
+        { model: ContentGroup, attributes: ['id', 'name'] },
+        { model: Contact, attributes: ['id', 'name'] },
+        { model: ContactGroup, attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: filters.limit || 200
+    });
+
+    return links.map(link => this.serializeLink(link));
+  }
+
+  /**
+   * Get the ShareLog entries of a link owned by the user
+   * @param {string} userId - Owner user ID
+   * @param {string} linkId - ShareLink ID
+   * @returns {Promise<Array>} Log entries (newest first)
+   */
+  async getShareLogs(userId, linkId) {
+    const link = await ShareLink.findOne({ where: { id: linkId, user_id: userId } });
+    if (!link) throw new Error('Share link not found');
+
+    return ShareLog.findAll({
+      where: { share_link_id: link.id },
+      include: [{ model: Contact, attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 500
+    });
+  }
+
+  /**
+   * Serialize a link for JSON responses
+   * @param {Object} link - ShareLink record with includes
+   * @returns {Object} Plain object
+   */
+  serializeLink(link) {
+    const json = link.toJSON();
+    delete json.password_hash;
+
+    let targetTitle = null;
+    if (link.Content) targetTitle = link.Content.generated_title || link.Content.url;
+    if (link.File) targetTitle = link.File.generated_title || link.File.filename;
+    if (link.ContentGroup) targetTitle = link.ContentGroup.name;
+
+    return {
+      ...json,
+      status: this.getLinkStatus(link),
+      password_protected: !!link.password_hash,
+      target_title: targetTitle,
+      path: `/shares/view/${link.token}`
+    };
+  }
+}
+
+module.exports = new ShareService();
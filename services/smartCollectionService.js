@@ -0,0 +1,322 @@
+/**
+ * Smart Collection Service
+ *
+ * Smart collections are saved content list filter sets (tag, from/to,
+ * content_type, status, search). Their matching items are kept in
+ * smart_collection_matches and re-evaluated as content arrives or finishes
+ * analysis, which gives a count badge, a "new since last viewed" count and
+ * optional email notification of new matches.
+ *
+ * FEATURES:
+ * - Create, rename, re-filter, reorder and delete smart collections
+ * - Evaluation with the same filters as the content list (contentFilterService)
+ * - Debounced re-evaluation per user after uploads, edits and analysis jobs
+ * - One email per collection listing the new matches (utils/send-mail.js)
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, SmartCollection, SmartCollectionMatch, Content, File, User } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+const sendMail = require('../utils/send-mail');
+const contentFilterService = require('./contentFilterService');
+const jobQueueService = require('./jobQueueService');
+
+const EVALUATION_DELAY_MS = parseInt(process.env.SMART_COLLECTION_DELAY_MS, 10) || 30000;
+const MAX_EMAIL_ITEMS = 10;
+
+class SmartCollectionService {
+  constructor() {
+    this.pending = new Map();
+
+    // Analysis adds tags, summaries and transcripts, so finished jobs can change matches
+    const onJobFinished = ({ job }) => this.scheduleEvaluation(job.user_id);
+    jobQueueService.on('jobCompleted', onJobFinished);
+    jobQueueService.on('jobFailed', onJobFinished);
+  }
+
+  /**
+   * Whether an error thrown by this service is caused by the caller's input
+   * @param {Error} error - Error thrown by a service method
+   * @returns {boolean} True for client errors
+   */
+  isClientError(error) {
+    return [
+      'A smart collection with this name already exists',
+      'Choose at least one filter to save',
+      'All smart collections must belong to you'
+    ].includes(error.message);
+  }
+
+  /**
+   * Load a smart collection owned by the user
+   * @param {string} userId - Owner user ID
+   * @param {string} collectionId - Smart collection ID
+   * @returns {Promise<Object>} SmartCollection record
+   */
+  async getOwnedCollection(userId, collectionId) {
+    const collection = await SmartCollection.findOne({ where: { id: collectionId, user_id: userId } });
+    if (!collection) throw new Error('Smart collection not found');
+    return collection;
+  }
+
+  /**
+   * List the user's smart collections with match and "new" counts
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Collections ordered by position then name
+   */
+  async listCollections(userId) {
+    const collections = await SmartCollection.findAll({
+      where: { user_id: userId },
+      order: [['position', 'ASC'], ['name', 'ASC']]
+    });
+
+    const result = [];
+    for (const collection of collections) {
+      const newCount = await SmartCollectionMatch.count({
+        where: {
+          smart_collection_id: collection.id,
+          createdAt: { [Op.gt]: collection.last_viewed_at || collection.createdAt }
+        }
+      });
+      result.push({ ...this.serialize(collection), new_count: newCount });
+    }
+    return result;
+  }
+
+  serialize(collection) {
+    return {
+      id: collection.id,
+      name: collection.name,
+      filters: collection.filters,
+      position: collection.position,
+      show_count: collection.show_count,
+      notify_email: collection.notify_email,
+      match_count: collection.match_count,
+      url: contentFilterService.toListUrl(collection.filters),
+      last_evaluated_at: collection.last_evaluated_at,
+      last_viewed_at: collection.last_viewed_at,
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    };
+  }
+
+  /**
+   * Create a smart collection and record its current matches (no email for those)
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - { name, filters, showCount, notifyEmail }
+   * @returns {Promise<Object>} SmartCollection record
+   */
+  async createCollection(userId, { name, filters, showCount = true, notifyEmail = false }) {
+    const normalized = contentFilterService.normalize(filters);
+    if (!contentFilterService.hasFilters(normalized)) throw new Error('Choose at least one filter to save');
+
+    const existing = await SmartCollection.findOne({ where: { user_id: userId, name } });
+    if (existing) throw new Error('A smart collection with this name already exists');
+
+    const position = await SmartCollection.count({ where: { user_id: userId } });
+    const collection = await SmartCollection.create({
+      user_id: userId,
+      name,
+      filters: normalized,
+      position,
+      show_count: showCount,
+      notify_email: notifyEmail,
+      last_viewed_at: new Date()
+    });
+    await this.evaluate(collection, { baseline: true });
+    return collection;
+  }
+
+  /**
+   * Update a smart collection. New filters reset the baseline of known matches.
+   * @param {string} userId - Owner user ID
+   * @param {string} collectionId - Smart collection ID
+   * @param {Object} data - { name, filters, showCount, notifyEmail } (undefined = unchanged)
+   * @returns {Promise<Object>} Updated collection
+   */
+  async updateCollection(userId, collectionId, { name, filters, showCount, notifyEmail }) {
+    const collection = await this.getOwnedCollection(userId, collectionId);
+    const updates = {};
+
+    if (name !== undefined && name !== collection.name) {
+      const existing = await SmartCollection.findOne({ where: { user_id: userId, name, id: { [Op.ne]: collection.id } } });
+      if (existing) throw new Error('A smart collection with this name already exists');
+      updates.name = name;
+    }
+
+    let filtersChanged = false;
+    if (filters !== undefined) {
+      const normalized = contentFilterService.normalize(filters);
+      if (!contentFilterService.hasFilters(normalized)) throw new Error('Choose at least one filter to save');
+      filtersChanged = JSON.stringify(normalized) !== JSON.stringify(collection.filters);
+      updates.filters = normalized;
+    }
+    if (showCount !== undefined) updates.show_count = showCount;
+    if (notifyEmail !== undefined) updates.notify_email = notifyEmail;
+
+    await collection.update(updates);
+    if (filtersChanged) await this.evaluate(collection, { baseline: true });
+    return collection;
+  }
+
+  /**
+   * Delete a smart collection (matched items are kept)
+   * @param {string} userId - Owner user ID
+   * @param {string} collectionId - Smart collection ID
+   */
+  async deleteCollection(userId, collectionId) {
+    const collection = await this.getOwnedCollection(userId, collectionId);
+    await sequelize.transaction(async (transaction) => {
+      await SmartCollectionMatch.destroy({ where: { smart_collection_id: collection.id }, transaction });
+      await collection.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Reorder the user's smart collections
+   * @param {string} userId - Owner user ID
+   * @param {Array<string>} orderedIds - Collection IDs in their new order
+   */
+  async reorderCollections(userId, orderedIds) {
+    const count = await SmartCollection.count({ where: { user_id: userId, id: { [Op.in]: orderedIds } } });
+    if (count !== new Set(orderedIds).size) throw new Error('All smart collections must belong to you');
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < orderedIds.length; i++) {
+        await SmartCollection.update({ position: i }, { where: { id: orderedIds[i], user_id: userId }, transaction });
+      }
+    });
+  }
+
+  /**
+   * Re-evaluate a collection and mark it viewed (clears its "new" count)
+   * @param {string} userId - Owner user ID
+   * @param {string} collectionId - Smart collection ID
+   * @returns {Promise<Object>} SmartCollection record
+   */
+  async open(userId, collectionId) {
+    const collection = await this.getOwnedCollection(userId, collectionId);
+    await this.evaluate(collection);
+    await collection.update({ last_viewed_at: new Date() });
+    return collection;
+  }
+
+  /**
+   * Sync the stored matches of a collection with its filters
+   * @param {Object} collection - SmartCollection record
+   * @param {Object} options - { baseline } marks every new match as already notified
+   * @returns {Promise<number>} Number of newly matched items
+   */
+  async evaluate(collection, { baseline = false } = {}) {
+    const { contentIds, fileIds } = await contentFilterService.findMatchingIds(collection.user_id, collection.filters);
+    const existing = await SmartCollectionMatch.findAll({
+      where: { smart_collection_id: collection.id },
+      attributes: ['id', 'content_id', 'file_id'],
+      raw: true
+    });
+
+    const current = new Set([...contentIds, ...fileIds]);
+    const known = new Set(existing.map(match => match.content_id || match.file_id));
+    const stale = existing.filter(match => !current.has(match.content_id || match.file_id)).map(match => match.id);
+    // Without email there is nothing to send later, so new matches count as notified
+    const notifiedAt = baseline || !collection.notify_email ? new Date() : null;
+    const rows = [
+      ...contentIds.filter(id => !known.has(id)).map(id => ({ smart_collection_id: collection.id, content_id: id, notified_at: notifiedAt })),
+      ...fileIds.filter(id => !known.has(id)).map(id => ({ smart_collection_id: collection.id, file_id: id, notified_at: notifiedAt }))
+    ];
+
+    if (stale.length) await SmartCollectionMatch.destroy({ where: { id: { [Op.in]: stale } } });
+    if (rows.length) await SmartCollectionMatch.bulkCreate(rows);
+    await collection.update({ match_count: current.size, last_evaluated_at: new Date() });
+    return baseline ? 0 : rows.length;
+  }
+
+  /**
+   * Re-evaluate all of a user's collections and email new matches
+   * @param {string} userId - Owner user ID
+   */
+  async evaluateUser(userId) {
+    const collections = await SmartCollection.findAll({ where: { user_id: userId } });
+    for (const collection of collections) {
+      try {
+        const added = await this.evaluate(collection);
+        if (added > 0 && collection.notify_email) await this.notify(collection);
+      } catch (error) {
+        logAuthError('SMART_COLLECTION_EVALUATE_ERROR', error, { userId, smartCollectionId: collection.id });
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate a user's collections shortly, so a burst of uploads or
+   * finished jobs leads to one evaluation and at most one email per collection
+   * @param {string} userId - Owner user ID
+   */
+  scheduleEvaluation(userId) {
+    if (!userId || this.pending.has(userId)) return;
+    const timer = setTimeout(() => {
+      this.pending.delete(userId);
+      this.evaluateUser(userId)
+        .catch(error => logAuthError('SMART_COLLECTION_EVALUATE_ERROR', error, { userId }));
+    }, EVALUATION_DELAY_MS);
+    timer.unref();
+    this.pending.set(userId, timer);
+  }
+
+  /**
+   * Email the owner about matches that have not been notified yet
+   * @param {Object} collection - SmartCollection record
+   */
+  async notify(collection) {
+    const [user, matches] = await Promise.all([
+      User.findByPk(collection.user_id, { attributes: ['id', 'username', 'email'] }),
+      SmartCollectionMatch.findAll({
+        where: { smart_collection_id: collection.id, notified_at: null },
+        include: [
+          { model: Content, attributes: ['id', 'url', 'generated_title'], required: false },
+          { model: File, attributes: ['id', 'filename', 'generated_title'], required: false }
+        ],
+        order: [['createdAt', 'DESC']]
+      })
+    ]);
+    if (!user || !user.email || matches.length === 0) return;
+
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const escape = (value) => String(value || '').replace(/[&<>"']/g, c => entities[c]);
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.APP_PORT || 3000}`;
+    const items = matches.slice(0, MAX_EMAIL_ITEMS).map(match => {
+      const record = match.Content || match.File;
+      const title = record ? record.generated_title || record.url || record.filename : 'Untitled item';
+      const link = match.content_id ? `/content/${match.content_id}/analysis/view` : `/files/${match.file_id}`;
+      return `<li><a href="${baseUrl}${link}">${escape(title)}</a></li>`;
+    });
+    const more = matches.length - items.length;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${matches.length} new item${matches.length === 1 ? '' : 's'} in "${collection.name}"`,
+        html: `<p>Hello ${escape(user.username)},</p>` +
+          `<p>New items match your smart collection <strong>${escape(collection.name)}</strong>:</p>` +
+          `<ul>${items.join('')}</ul>` +
+          (more > 0 ? `<p>…and ${more} more.</p>` : '') +
+          `<p><a href="${baseUrl}/content/smart-collections/${collection.id}/open">Open the collection</a></p>` +
+          `<p>You can turn these emails off in the collection's settings.</p>`
+      });
+    } catch (error) {
+      // sendMail already logged it; the matches stay pending for the next evaluation
+      return;
+    }
+
+    await SmartCollectionMatch.update(
+      { notified_at: new Date() },
+      { where: { id: { [Op.in]: matches.map(match => match.id) } } }
+    );
+    logAuthEvent('SMART_COLLECTION_NOTIFIED', { userId: user.id, smartCollectionId: collection.id, items: matches.length });
+  }
+}
+
+module.exports = new SmartCollectionService();
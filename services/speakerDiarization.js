@@ -0,0 +1,578 @@
+/**
+ * Speaker Diarization
+ *
+ * Pure helpers for splitting a recording into speaker turns ("who spoke
+ * when"): turning Google Speech word-level speaker tags into turns, and a
+ * local fallback that clusters short windows of audio by voice features
+ * (pitch, spectral shape, zero-crossing rate). Also aligns transcript text
+ * to the turns and builds the per-speaker voice embeddings that go into
+ * VoicePrintDatabase fingerprints.
+ *
+ * Audio is 16 kHz mono signed 16-bit little-endian PCM
+ * (ffmpeg -ac 1 -ar 16000 -f s16le), so no audio library is needed.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 512; // 32 ms analysis frames
+const WINDOW_SECONDS = 1.5; // stretch of speech that gets one embedding when clustering
+const MIN_TURN_SECONDS = 1.0; // shorter turns are merged into their neighbour
+const MAX_SPEAKERS = 6;
+// Embedding distance (root mean square per dimension) up to which two stretches of audio count as one voice
+const SAME_SPEAKER_DISTANCE = 0.45;
+// Longest pause inside one turn; a longer silence starts a new turn even for the same speaker
+const MAX_TURN_GAP = 2.0;
+// Clustering compares every pair of segments, so very long recordings are pre-merged to this many
+const MAX_CLUSTER_SEGMENTS = 200;
+const BAND_FREQUENCIES = [200, 400, 700, 1000, 1500, 2200, 3000, 4000];
+const MIN_PITCH = 60;
+const MAX_PITCH = 400;
+const TURN_COLORS = 8;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Seconds from a Google Speech time offset: { seconds, nanos }, "1.500s" or a number
+ */
+function timeOffsetSeconds(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return parseFloat(value) || 0;
+  return Number(value.seconds || 0) + Number(value.nanos || 0) / 1e9;
+}
+
+/**
+ * Words with speaker tags from a Google Speech response
+ *
+ * With diarization enabled, the last result repeats every word of the
+ * recording with its speakerTag; earlier results carry no tags.
+ *
+ * @param {Array<Object>} results - response.results
+ * @returns {Array<Object>} { word, start, end, speakerTag }
+ */
+function wordsFromGoogleResults(results = []) {
+  for (let i = results.length - 1; i >= 0; i--) {
+    const words = results[i].alternatives?.[0]?.words || [];
+    if (words.some(word => word.speakerTag)) {
+      return words.map(word => ({
+        word: word.word,
+        start: timeOffsetSeconds(word.startTime),
+        end: timeOffsetSeconds(word.endTime),
+        speakerTag: word.speakerTag || 0
+      }));
+    }
+  }
+  return [];
+}
+
+/**
+ * Speaker numbers 1..n in order of first appearance
+ * @param {Array<Object>} turns - { speaker, ... } in time order
+ */
+function renumberSpeakers(turns) {
+  const numbers = new Map();
+  return turns.map(turn => {
+    if (!numbers.has(turn.speaker)) numbers.set(turn.speaker, numbers.size + 1);
+    return { ...turn, speaker: numbers.get(turn.speaker) };
+  });
+}
+
+/**
+ * Turns from tagged words: a new turn starts when the speaker changes or
+ * after a pause longer than MAX_TURN_GAP
+ * @param {Array<Object>} words - From wordsFromGoogleResults
+ * @returns {Array<Object>} { start, end, speaker, text }
+ */
+function turnsFromWords(words) {
+  const turns = [];
+  for (const word of words) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === word.speakerTag && word.start - last.end <= MAX_TURN_GAP) {
+      last.end = Math.max(last.end, word.end);
+      last.words.push(word.word);
+    } else {
+      turns.push({ start: word.start, end: word.end, speaker: word.speakerTag, words: [word.word] });
+    }
+  }
+  return renumberSpeakers(turns.map(({ words: turnWords, ...turn }) => ({
+    ...turn,
+    start: round(turn.start),
+    end: round(turn.end),
+    text: turnWords.join(' ')
+  })));
+}
+
+/**
+ * Int16 samples from raw s16le bytes (copied, since ffmpeg output buffers
+ * are not necessarily 2-byte aligned)
+ */
+function samplesFromPcm(buffer) {
+  const samples = new Int16Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(i * 2);
+  return samples;
+}
+
+// Power at one frequency (Goertzel algorithm)
+function goertzel(samples, offset, length, frequency, sampleRate) {
+  const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  let previous = 0;
+  let beforePrevious = 0;
+  for (let i = 0; i < length; i++) {
+    const current = samples[offset + i] + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return (previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious) / length;
+}
+
+// Fundamental frequency by normalized autocorrelation on a 2x decimated frame, 0 when unvoiced
+function estimatePitch(samples, offset, length, sampleRate) {
+  const half = Math.floor(length / 2);
+  const reduced = new Float64Array(half);
+  for (let i = 0; i < half; i++) reduced[i] = (samples[offset + 2 * i] + samples[offset + 2 * i + 1]) / 2;
+  const rate = sampleRate / 2;
+  const minLag = Math.floor(rate / MAX_PITCH);
+  const maxLag = Math.min(half - 1, Math.ceil(rate / MIN_PITCH));
+
+  let energy = 0;
+  for (let i = 0; i < half; i++) energy += reduced[i] * reduced[i];
+  if (!energy) return 0;
+
+  let bestLag = 0;
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < half; i++) sum += reduced[i] * reduced[i + lag];
+    const correlation = sum / energy * half / (half - lag);
+    if (correlation > best) {
+      best = correlation;
+      bestLag = lag;
+    }
+  }
+  return best > 0.5 && bestLag ? rate / bestLag : 0;
+}
+
+/**
+ * Per-frame loudness, zero-crossing rate, pitch and band energies
+ * @param {Int16Array} samples - Mono PCM
+ * @param {number} sampleRate
+ * @returns {Array<Object>} { time, rms, zcr, pitch, bands }
+ */
+function frameFeatures(samples, sampleRate = SAMPLE_RATE) {
+  const frames = [];
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += FRAME_SIZE) {
+    let squares = 0;
+    let crossings = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      squares += sample * sample;
+      if (i && (sample >= 0) !== (samples[offset + i - 1] >= 0)) crossings++;
+    }
+    const rms = Math.sqrt(squares / FRAME_SIZE);
+    // Pitch and spectrum only matter for frames loud enough to be speech
+    const audible = rms >= 100;
+    frames.push({
+      time: offset / sampleRate,
+      rms,
+      zcr: crossings / FRAME_SIZE,
+      pitch: audible ? estimatePitch(samples, offset, FRAME_SIZE, sampleRate) : 0,
+      bands: audible
+        ? BAND_FREQUENCIES.map(frequency => Math.log10(1 + [0.85, 1, 1.15]
+          .reduce((sum, factor) => sum + goertzel(samples, offset, FRAME_SIZE, frequency * factor, sampleRate), 0) / 3))
+        : null
+    });
+  }
+  return frames;
+}
+
+function percentile(sorted, fraction) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))] : 0;
+}
+
+/**
+ * Which frames contain speech: louder than the noise floor (quietest fifth
+ * of the recording) by a margin, without demanding more than a quarter of
+ * the loud level so recordings that are speech throughout still pass
+ * @returns {Array<boolean>}
+ */
+function speechMask(frames) {
+  const levels = frames.map(frame => frame.rms).sort((a, b) => a - b);
+  const threshold = Math.max(100, Math.min(percentile(levels, 0.2) * 3, percentile(levels, 0.9) * 0.25));
+  return frames.map(frame => frame.rms >= threshold && !!frame.bands);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Voice embedding of speech frames
+ *
+ * Scaled so a difference of 1 in any dimension is large: [pitch in half
+ * octaves from 150 Hz, pitch spread, spectral shape per band (log energy
+ * relative to the frame's mean, independent of loudness), zero-crossing rate].
+ *
+ * @returns {Array<number>|null} null when there are no speech frames
+ */
+function voiceEmbedding(frames) {
+  if (!frames.length) return null;
+  const pitches = frames.filter(frame => frame.pitch).map(frame => Math.log2(frame.pitch / 150));
+  const pitch = pitches.length ? median(pitches) : 0;
+  const spread = pitches.length
+    ? Math.sqrt(pitches.reduce((sum, value) => sum + (value - pitch) ** 2, 0) / pitches.length)
+    : 0;
+
+  const shape = BAND_FREQUENCIES.map(() => 0);
+  for (const frame of frames) {
+    const level = frame.bands.reduce((sum, value) => sum + value, 0) / frame.bands.length;
+    frame.bands.forEach((value, band) => { shape[band] += (value - level) / frames.length; });
+  }
+  const zcr = frames.reduce((sum, frame) => sum + frame.zcr, 0) / frames.length;
+
+  return [2 * pitch, 2 * spread, ...shape, 10 * zcr].map(value => round(value, 4));
+}
+
+function embeddingDistance(a, b) {
+  if (!a || !b || a.length !== b.length || !a.length) return Infinity;
+  return Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0) / a.length);
+}
+
+/**
+ * Similarity (0-1) of two voice embeddings: 1 for the same vector, 0.5 at
+ * SAME_SPEAKER_DISTANCE, 0 at twice that
+ */
+function embeddingSimilarity(a, b) {
+  const distance = embeddingDistance(a, b);
+  return Number.isFinite(distance) ? Math.max(0, 1 - distance / (2 * SAME_SPEAKER_DISTANCE)) : 0;
+}
+
+/**
+ * Consecutive WINDOW_SECONDS stretches that are at least half speech, each
+ * with the embedding of its speech frames
+ * @returns {Array<Object>} { start, end, embedding, weight }
+ */
+function speechWindows(frames, mask, sampleRate = SAMPLE_RATE) {
+  const frameSeconds = FRAME_SIZE / sampleRate;
+  const perWindow = Math.max(1, Math.round(WINDOW_SECONDS / frameSeconds));
+  const windows = [];
+  for (let first = 0; first < frames.length; first += perWindow) {
+    const speech = [];
+    for (let i = first; i < Math.min(frames.length, first + perWindow); i++) {
+      if (mask[i]) speech.push(frames[i]);
+    }
+    if (speech.length * 2 < perWindow) continue;
+    windows.push({
+      start: speech[0].time,
+      end: speech[speech.length - 1].time + frameSeconds,
+      embedding: voiceEmbedding(speech),
+      weight: speech.length
+    });
+  }
+  return windows;
+}
+
+function mergeCentroid(a, b) {
+  const weight = a.weight + b.weight;
+  return a.centroid.map((value, i) => (value * a.weight + b.centroid[i] * b.weight) / weight);
+}
+
+/**
+ * Local diarization: speaker turns from clustered speech windows
+ *
+ * Neighbouring windows with the same voice are first joined into segments,
+ * then segments are merged bottom-up (closest voices first) until no two
+ * clusters are within SAME_SPEAKER_DISTANCE and there are at most maxSpeakers.
+ *
+ * @param {Array<Object>} windows - From speechWindows
+ * @param {Object} options - { maxSpeakers, distance }
+ * @returns {Array<Object>} { start, end, speaker } with speakers numbered 1..n
+ */
+function turnsFromWindows(windows, options = {}) {
+  const maxSpeakers = options.maxSpeakers || MAX_SPEAKERS;
+  const threshold = options.distance || SAME_SPEAKER_DISTANCE;
+
+  const segments = [];
+  for (const window of windows) {
+    const last = segments[segments.length - 1];
+    if (last && window.start - last.end <= MAX_TURN_GAP && embeddingDistance(last.centroid, window.embedding) <= threshold) {
+      last.centroid = mergeCentroid(last, { centroid: window.embedding, weight: window.weight });
+      last.weight += window.weight;
+      last.end = window.end;
+    } else {
+      segments.push({ start: window.start, end: window.end, centroid: window.embedding, weight: window.weight });
+    }
+  }
+
+  while (segments.length > MAX_CLUSTER_SEGMENTS) {
+    let closest = 0;
+    for (let i = 1; i < segments.length - 1; i++) {
+      if (embeddingDistance(segments[i].centroid, segments[i + 1].centroid)
+        < embeddingDistance(segments[closest].centroid, segments[closest + 1].centroid)) closest = i;
+    }
+    const [a, b] = segments.slice(closest, closest + 2);
+    segments.splice(closest, 2, { start: a.start, end: b.end, centroid: mergeCentroid(a, b), weight: a.weight + b.weight });
+  }
+
+  // Bottom-up clustering over segments
+  const clusters = segments.map((segment, index) => ({ centroid: segment.centroid, weight: segment.weight, members: [index] }));
+  while (clusters.length > 1) {
+    let pair = null;
+    let closest = Infinity;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const distance = embeddingDistance(clusters[i].centroid, clusters[j].centroid);
+        if (distance < closest) {
+          closest = distance;
+          pair = [i, j];
+        }
+      }
+    }
+    if (closest > threshold && clusters.length <= maxSpeakers) break;
+    const [i, j] = pair;
+    clusters[i] = {
+      centroid: mergeCentroid(clusters[i], clusters[j]),
+      weight: clusters[i].weight + clusters[j].weight,
+      members: clusters[i].members.concat(clusters[j].members)
+    };
+    clusters.splice(j, 1);
+  }
+  clusters.forEach((cluster, clusterIndex) => {
+    for (const member of cluster.members) segments[member].speaker = clusterIndex;
+  });
+
+  const turns = [];
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker && segment.start - last.end <= MAX_TURN_GAP) {
+      last.end = segment.end;
+    } else {
+      turns.push({ start: segment.start, end: segment.end, speaker: segment.speaker });
+    }
+  }
+  return renumberSpeakers(absorbShortTurns(turns)).map(turn => ({ ...turn, start: round(turn.start), end: round(turn.end) }));
+}
+
+/**
+ * Short turns (coughs, "mm-hm", misclustered windows) become part of the
+ * previous turn, or the next one at the start of the recording
+ */
+function absorbShortTurns(turns, minSeconds = MIN_TURN_SECONDS) {
+  const result = turns.map(turn => ({ ...turn }));
+  for (let i = 0; i < result.length && result.length > 1;) {
+    const turn = result[i];
+    if (turn.end - turn.start >= minSeconds) {
+      i++;
+      continue;
+    }
+    if (i > 0) {
+      result[i - 1].end = Math.max(result[i - 1].end, turn.end);
+    } else {
+      result[1].start = turn.start;
+    }
+    result.splice(i, 1);
+    // Neighbours that now belong to the same speaker become one turn
+    if (i > 0 && i < result.length && result[i - 1].speaker === result[i].speaker
+      && result[i].start - result[i - 1].end <= MAX_TURN_GAP) {
+      result[i - 1].end = result[i].end;
+      result.splice(i, 1);
+    }
+    i = Math.max(0, i - 1);
+  }
+  return result;
+}
+
+/**
+ * Plain transcript text spread over turns in proportion to their length,
+ * for transcripts without word timings (Whisper text, failed Google run)
+ * @returns {Array<Object>} Turns with text
+ */
+function alignText(turns, text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const total = turns.reduce((sum, turn) => sum + (turn.end - turn.start), 0);
+  let elapsed = 0;
+  let used = 0;
+  return turns.map((turn, index) => {
+    elapsed += turn.end - turn.start;
+    const upTo = index === turns.length - 1 ? words.length : Math.round(words.length * (total ? elapsed / total : 0));
+    const turnText = words.slice(used, upTo).join(' ');
+    used = Math.max(used, upTo);
+    return { ...turn, text: turnText };
+  });
+}
+
+/**
+ * Totals per speaker
+ * @returns {Array<Object>} { speaker, totalDuration, turnCount, wordCount, firstAppearance, lastAppearance, text }
+ */
+function speakerSummaries(turns) {
+  const summaries = new Map();
+  for (const turn of turns) {
+    if (!summaries.has(turn.speaker)) {
+      summaries.set(turn.speaker, {
+        speaker: turn.speaker,
+        totalDuration: 0,
+        turnCount: 0,
+        wordCount: 0,
+        firstAppearance: turn.start,
+        lastAppearance: turn.end,
+        texts: []
+      });
+    }
+    const summary = summaries.get(turn.speaker);
+    summary.totalDuration += turn.end - turn.start;
+    summary.turnCount++;
+    if (turn.text) {
+      summary.wordCount += turn.text.split(/\s+/).filter(Boolean).length;
+      summary.texts.push(turn.text);
+    }
+    summary.lastAppearance = Math.max(summary.lastAppearance, turn.end);
+  }
+  return [...summaries.values()]
+    .sort((a, b) => a.speaker - b.speaker)
+    .map(({ texts, ...summary }) => ({ ...summary, totalDuration: round(summary.totalDuration), text: texts.join(' ') }));
+}
+
+/**
+ * Voice measurements per speaker from the speech frames inside their turns
+ * @returns {Map<number, Object>} speaker -> { pitchHz, loudnessDb, snrDb, embedding }
+ */
+function speakerVoices(frames, mask, turns, sampleRate = SAMPLE_RATE) {
+  const frameSeconds = FRAME_SIZE / sampleRate;
+  const silent = frames.filter((frame, i) => !mask[i]).map(frame => frame.rms).sort((a, b) => a - b);
+  const noise = Math.max(1, percentile(silent, 0.5));
+  const voices = new Map();
+
+  for (const speaker of new Set(turns.map(turn => turn.speaker))) {
+    const own = turns.filter(turn => turn.speaker === speaker);
+    const speech = frames.filter((frame, i) => mask[i]
+      && own.some(turn => frame.time >= turn.start - frameSeconds && frame.time < turn.end));
+    if (!speech.length) continue;
+    const pitches = speech.filter(frame => frame.pitch).map(frame => frame.pitch);
+    const level = Math.sqrt(speech.reduce((sum, frame) => sum + frame.rms * frame.rms, 0) / speech.length);
+    voices.set(speaker, {
+      pitchHz: pitches.length ? Math.round(median(pitches)) : null,
+      loudnessDb: round(20 * Math.log10(level / 32768), 1),
+      snrDb: silent.length ? round(20 * Math.log10(level / noise), 1) : null,
+      embedding: voiceEmbedding(speech)
+    });
+  }
+  return voices;
+}
+
+/**
+ * VoicePrintDatabase characteristics from measured voice and speaking rate
+ * @param {Object} voice - From speakerVoices (may be empty)
+ * @param {Object} summary - From speakerSummaries
+ */
+function voiceCharacteristics(voice, summary, sampleRate = SAMPLE_RATE) {
+  const wordsPerMinute = summary.totalDuration > 0 ? summary.wordCount / (summary.totalDuration / 60) : 0;
+  const pitch = voice.pitchHz;
+  const characteristics = {
+    estimatedPitch: !pitch ? 'medium' : pitch < 140 ? 'low' : pitch < 220 ? 'medium' : 'high',
+    estimatedTempo: !summary.wordCount ? 'normal' : wordsPerMinute < 110 ? 'slow' : wordsPerMinute > 170 ? 'fast' : 'normal',
+    estimatedClarity: voice.snrDb === null || voice.snrDb === undefined
+      ? 'clear'
+      : voice.snrDb < 10 ? 'unclear' : voice.snrDb < 25 ? 'clear' : 'very_clear',
+    estimatedVolume: voice.loudnessDb === undefined ? 'normal' : voice.loudnessDb < -35 ? 'quiet' : voice.loudnessDb > -15 ? 'loud' : 'normal',
+    duration: summary.totalDuration,
+    sampleRate,
+    pitchHz: pitch || null
+  };
+  if (voice.embedding) characteristics.embedding = voice.embedding;
+  return characteristics;
+}
+
+/**
+ * VoicePrintDatabase speaking style from what a speaker said
+ */
+function speakingStyle(text, duration) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const sentences = String(text || '').split(/[.!?]+/).filter(sentence => sentence.trim());
+  const wordsPerMinute = duration > 0 ? words.length / (duration / 60) : 0;
+  return {
+    wordCount: words.length,
+    averageWordLength: words.length ? round(words.reduce((sum, word) => sum + word.length, 0) / words.length) : 0,
+    vocabularyDiversity: words.length ? round(new Set(words.map(word => word.toLowerCase())).size / words.length) : 0,
+    averageSentenceLength: sentences.length ? round(words.length / sentences.length) : 0,
+    pace: wordsPerMinute > 170 ? 'rushed' : wordsPerMinute && wordsPerMinute < 110 ? 'detailed' : 'normal'
+  };
+}
+
+/**
+ * Turns ready for display: speaker name from the stored Speaker rows (by
+ * speaker tag) and a colour slot per speaker
+ * @param {Array<Object>} turns - Stored { start, end, speaker, speakerTag, text }
+ * @param {Array<Object>} speakers - Speaker rows
+ */
+function labelTurns(turns, speakers = []) {
+  if (!Array.isArray(turns)) return [];
+  const names = new Map(speakers.map(speaker => [speaker.speaker_tag, speaker.name]));
+  return turns.map(turn => ({
+    start: turn.start,
+    end: turn.end,
+    text: turn.text || '',
+    name: names.get(turn.speakerTag) || `Speaker ${turn.speaker}`,
+    colorIndex: (Math.max(1, turn.speaker) - 1) % TURN_COLORS
+  }));
+}
+
+/**
+ * IDs of the speakers that are the same person as speakerId: linked through
+ * a voice match (profile_data.matchedSpeakerId) or the same contact, directly
+ * or through other speakers
+ * @param {Array<Object>} speakers - Speaker rows { id, contact_id, profile_data }
+ * @param {string} speakerId
+ * @returns {Array<string>}
+ */
+function linkedSpeakers(speakers, speakerId) {
+  const found = new Set([speakerId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    const contacts = new Set(speakers.filter(speaker => found.has(speaker.id) && speaker.contact_id).map(speaker => speaker.contact_id));
+    for (const speaker of speakers) {
+      if (found.has(speaker.id)) continue;
+      const matched = speaker.profile_data?.matchedSpeakerId;
+      const matchedBy = speakers.some(other => found.has(other.id) && other.profile_data?.matchedSpeakerId === speaker.id);
+      if ((matched && found.has(matched)) || matchedBy || (speaker.contact_id && contacts.has(speaker.contact_id))) {
+        found.add(speaker.id);
+        grew = true;
+      }
+    }
+  }
+  return [...found];
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_SIZE,
+  WINDOW_SECONDS,
+  MIN_TURN_SECONDS,
+  MAX_SPEAKERS,
+  SAME_SPEAKER_DISTANCE,
+  TURN_COLORS,
+  timeOffsetSeconds,
+  wordsFromGoogleResults,
+  turnsFromWords,
+  samplesFromPcm,
+  frameFeatures,
+  speechMask,
+  voiceEmbedding,
+  embeddingDistance,
+  embeddingSimilarity,
+  speechWindows,
+  turnsFromWindows,
+  absorbShortTurns,
+  alignText,
+  speakerSummaries,
+  speakerVoices,
+  voiceCharacteristics,
+  speakingStyle,
+  labelTurns,
+  linkedSpeakers
+};
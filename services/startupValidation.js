@@ -1,5 +1,5 @@
 const nodemailer = require('nodemailer');
-const { OpenAI } = require('openai');
+const OpenAICompatibleProvider = require('./multimedia/OpenAICompatibleProvider');
 const { logAuthEvent, logAuthError } = require('../config/logger');
 const db = require('../models');
 const fetch = require('node-fetch');
@@ -232,22 +232,21 @@ class StartupValidator {
   }
 
   /**
-   * Validate OpenAI API with multiple test requests
+   * Validate the OpenAI (or self-hosted OpenAI-compatible) text API with multiple test requests
    */
   async validateOpenAI() {
+    const ai = OpenAICompatibleProvider.getInstance();
     try {
-      if (!process.env.OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY not configured');
+      if (!ai.isAvailable('text')) {
+        throw new Error('OPENAI_API_KEY not configured (or MM_AI_TEXT_BASE_URL for a self-hosted model)');
       }
 
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
+      const openai = ai.client('text');
 
       const startTime = Date.now();
       
       // Test 1: Simple completion
-      const chatResponse = await openai.chat.completions.create({
+      const chatResponse = await ai.chat('text', {
         model: 'gpt-3.5-turbo',
         messages: [{ role: 'user', content: 'Say "OpenAI test successful"' }],
         max_tokens: 10
@@ -270,6 +269,7 @@ class StartupValidator {
         message: 'OpenAI API connection and chat completion successful',
         critical: false,
         details: {
+          baseURL: ai.settings('text').baseURL,
           apiKeyValid: true,
           chatCompletionWorking: true,
           modelsAvailable: availableModels.length,
@@ -287,6 +287,7 @@ class StartupValidator {
         details: {
           error: error.message,
           hasApiKey: !!process.env.OPENAI_API_KEY,
+          baseURL: ai.settings('text').baseURL,
           errorType: error.status || error.code || 'unknown'
         }
       };
@@ -1,6 +1,7 @@
 const { SubscriptionPlan, UserSubscription, SubscriptionTransaction, User } = require('../models');
 const logger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const webhookService = require('./webhookService');
 
 class SubscriptionService {
   /**
@@ -133,6 +134,14 @@ class SubscriptionService {
         subscriptionId: subscription.id 
       });
 
+      webhookService.emit(userId, 'subscription.changed', {
+        change: 'created',
+        subscription_id: subscription.id,
+        plan: plan.name,
+        billing_cycle: billingCycle,
+        status: subscription.status
+      });
+
       return subscription;
     } catch (error) {
       logger.error('Error creating subscription', { 
@@ -195,6 +204,15 @@ class SubscriptionService {
         prorationAmount 
       });
 
+      webhookService.emit(userId, 'subscription.changed', {
+        change: transactionType,
+        subscription_id: currentSubscription.id,
+        previous_plan: currentPlan.name,
+        plan: newPlan.name,
+        billing_cycle: currentSubscription.billing_cycle,
+        status: currentSubscription.status
+      });
+
       return await this.getUserSubscription(userId);
     } catch (error) {
       logger.error('Error changing subscription', { 
@@ -250,6 +268,13 @@ class SubscriptionService {
         reason 
       });
 
+      webhookService.emit(userId, 'subscription.changed', {
+        change: 'cancelled',
+        subscription_id: subscription.id,
+        immediate,
+        status: subscription.status
+      });
+
       return subscription;
     } catch (error) {
       logger.error('Error cancelling subscription', { 
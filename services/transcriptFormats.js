@@ -0,0 +1,391 @@
+/**
+ * Transcript Formats
+ *
+ * Pure helpers for timestamped transcripts. Segments ({ start, end, text,
+ * speaker?, words? }, seconds) are built from WebVTT captions (YouTube
+ * auto-captions included), Whisper verbose_json, Google Speech results and
+ * diarized speaker turns, turned into display lines (one sentence, or one
+ * caption line for unpunctuated captions) and written out as SRT, WebVTT,
+ * plain text or JSON.
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { timeOffsetSeconds } = require('./speakerDiarization');
+
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Subtitle cues longer than this are split (two lines of ~42 characters)
+const SUBTITLE_MAX_CHARS = 84;
+// Display lines on the analysis page
+const LINE_MAX_CHARS = 240;
+// A pause this long ends a line even without punctuation
+const LINE_MAX_GAP = 1.5;
+// Speaking rate assumed when a transcript has no timings and the media length is unknown
+const WORDS_PER_SECOND = 2.5;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Seconds from a caption timestamp: "01:02:03.456", "02:03.456" or "00:00:01,500" (SRT)
+ */
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, hours, minutes, seconds, fraction] = match;
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * "HH:MM:SS,mmm" (SRT) or "HH:MM:SS.mmm" (WebVTT)
+ */
+function formatTimestamp(seconds, separator = ',') {
+  const total = Math.max(0, Math.round(Number(seconds) * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Word timings inside a YouTube auto-caption line:
+ *   "hello<00:00:00.480><c> everyone</c><00:00:00.960><c> welcome</c>"
+ * The first word starts with the cue, each tagged word at its timestamp.
+ */
+const WORD_TIME = /<\d{1,2}:\d{2}(?::\d{2})?[.,]\d{1,3}>/;
+
+function parseCueWords(line, cueStart, cueEnd) {
+  if (!WORD_TIME.test(line)) return null;
+  const words = [];
+  let start = cueStart;
+  for (const part of line.split(new RegExp(`(${WORD_TIME.source})`))) {
+    if (new RegExp(`^${WORD_TIME.source}$`).test(part)) {
+      start = parseTimestamp(part.slice(1, -1)) ?? start;
+      continue;
+    }
+    const text = decodeEntities(part.replace(/<[^>]*>/g, '')).trim();
+    if (text) words.push({ word: text, start, end: cueEnd });
+  }
+  words.forEach((word, i) => { if (i + 1 < words.length) word.end = words[i + 1].start; });
+  return words;
+}
+
+/**
+ * Segments from WebVTT (or SRT) captions
+ *
+ * YouTube auto-captions roll: every cue repeats the previous line above the
+ * new one and a 10 ms cue repeats it again, so lines already shown in the
+ * previous cue are skipped and only new text becomes a segment.
+ *
+ * @param {string} content - Caption file content
+ * @returns {Array<Object>} { start, end, text, words? }
+ */
+function parseVtt(content) {
+  const blocks = String(content || '').replace(/\r/g, '').split(/\n{2,}/);
+  const segments = [];
+  let previousLines = new Set();
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+    const [from, to] = lines[timing].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to.trim().split(/\s+/)[0]);
+    if (start === null || end === null) continue;
+
+    const cueLines = lines.slice(timing + 1)
+      .map(raw => ({ raw, text: decodeEntities(raw.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim() }))
+      .filter(line => line.text);
+    const fresh = cueLines.filter(line => !previousLines.has(line.text));
+    previousLines = new Set(cueLines.map(line => line.text));
+    if (!fresh.length) continue;
+
+    const segment = { start: round(start), end: round(end), text: fresh.map(line => line.text).join(' ') };
+    const words = fresh.map(line => parseCueWords(line.raw, start, end)).filter(Boolean).flat();
+    if (words.length) segment.words = words.map(word => ({ ...word, start: round(word.start), end: round(word.end) }));
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * Segments from an OpenAI Whisper verbose_json response
+ */
+function segmentsFromWhisper(response) {
+  return (response?.segments || [])
+    .map(segment => ({ start: round(segment.start), end: round(segment.end), text: String(segment.text || '').trim() }))
+    .filter(segment => segment.text);
+}
+
+/**
+ * Segments from Google Speech results, one per result
+ *
+ * With diarization the last result repeats all words with speaker tags and
+ * no transcript of its own; it is skipped here (speakerDiarization uses it).
+ */
+function segmentsFromGoogleResults(results = []) {
+  const segments = [];
+  let previousEnd = 0;
+  for (const result of results) {
+    const alternative = result.alternatives?.[0];
+    const text = String(alternative?.transcript || '').trim();
+    if (!text) continue;
+    const words = (alternative.words || []).map(word => ({
+      word: word.word,
+      start: round(timeOffsetSeconds(word.startTime)),
+      end: round(timeOffsetSeconds(word.endTime))
+    }));
+    const end = words.length ? words[words.length - 1].end : round(timeOffsetSeconds(result.resultEndTime) || previousEnd);
+    const segment = { start: words.length ? words[0].start : previousEnd, end, text };
+    if (words.length) segment.words = words;
+    segments.push(segment);
+    previousEnd = end;
+  }
+  return segments;
+}
+
+/**
+ * Segments from diarized speaker turns ({ start, end, text, speakerTag })
+ */
+function segmentsFromTurns(turns = []) {
+  return turns
+    .filter(turn => turn.text)
+    .map(turn => ({ start: turn.start, end: turn.end, text: turn.text, speaker: turn.speakerTag || null }));
+}
+
+/**
+ * Speaker of each segment: the diarized turn that overlaps it most
+ */
+function assignSpeakers(segments, turns = []) {
+  if (!turns.length) return segments;
+  return segments.map(segment => {
+    let best = null;
+    let bestOverlap = 0;
+    for (const turn of turns) {
+      const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (overlap > bestOverlap) {
+        best = turn;
+        bestOverlap = overlap;
+      }
+    }
+    return best ? { ...segment, speaker: best.speakerTag || null } : segment;
+  });
+}
+
+/**
+ * Estimated segments for a transcript that only exists as text: one per
+ * sentence, spread over the media duration by length (or at an average
+ * speaking rate when the duration is unknown)
+ */
+function segmentsFromText(text, duration) {
+  const sentences = String(text || '').replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [];
+  const parts = sentences.map(sentence => sentence.trim()).filter(Boolean);
+  const totalWords = parts.reduce((sum, part) => sum + part.split(' ').length, 0);
+  const total = duration > 0 ? duration : totalWords / WORDS_PER_SECOND;
+  let elapsed = 0;
+  return parts.map(part => {
+    const length = totalWords ? total * part.split(' ').length / totalWords : 0;
+    const segment = { start: round(elapsed), end: round(elapsed + length), text: part };
+    elapsed += length;
+    return segment;
+  });
+}
+
+// Words with times: from the segment when known, otherwise spread over it by character count (estimated)
+function timedWords(segments) {
+  const words = [];
+  for (const segment of segments) {
+    if (segment.words && segment.words.length) {
+      for (const word of segment.words) words.push({ ...word, speaker: segment.speaker || null });
+      continue;
+    }
+    const tokens = String(segment.text || '').split(/\s+/).filter(Boolean);
+    const characters = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+    const length = Math.max(0, segment.end - segment.start);
+    let offset = 0;
+    for (const token of tokens) {
+      const start = segment.start + length * offset / characters;
+      offset += token.length + 1;
+      words.push({ word: token, start, end: segment.start + length * offset / characters, speaker: segment.speaker || null, estimated: true });
+    }
+  }
+  return words;
+}
+
+/**
+ * Lines for display and subtitles: a line ends at a sentence end, a speaker
+ * change, a pause longer than LINE_MAX_GAP or when it reaches maxChars
+ * (unpunctuated captions then keep roughly their caption lines)
+ *
+ * @param {Array<Object>} segments
+ * @param {Object} options - { maxChars, keepWords } keepWords adds the word
+ *   timings of lines whose words were all measured
+ * @returns {Array<Object>} { start, end, text, speaker, words? }
+ */
+function transcriptLines(segments = [], options = {}) {
+  const maxChars = options.maxChars || LINE_MAX_CHARS;
+  const lines = [];
+  let current = null;
+  for (const word of timedWords(segments)) {
+    if (current && (word.speaker !== current.speaker || word.start - current.end > LINE_MAX_GAP
+      || current.text.length + 1 + word.word.length > maxChars)) {
+      current = null;
+    }
+    if (!current) {
+      current = { start: word.start, end: word.end, text: word.word, speaker: word.speaker, words: [] };
+      lines.push(current);
+    } else {
+      current.text += ` ${word.word}`;
+      current.end = Math.max(current.end, word.end);
+    }
+    current.words.push(word);
+    if (/[.!?]["')\]]*$/.test(word.word)) current = null;
+  }
+  return lines.map(({ words, ...line }) => {
+    const result = { ...line, start: round(line.start), end: round(line.end) };
+    if (options.keepWords && words.every(word => !word.estimated)) {
+      result.words = words.map(word => ({ word: word.word, start: word.start, end: word.end }));
+    }
+    return result;
+  });
+}
+
+/**
+ * Segments after correcting display lines
+ *
+ * The transcript is rebuilt with one segment per display line (the same
+ * lines the player shows, so indexes match). Corrected lines keep their
+ * times but lose word timings; an empty text removes the line.
+ *
+ * @param {Array<Object>} segments
+ * @param {Array<Object>} edits - { index, text } by display line index
+ * @returns {Object} { segments, changed }
+ */
+function applyLineEdits(segments, edits = []) {
+  const lines = transcriptLines(segments, { keepWords: true });
+  let changed = 0;
+  for (const { index, text } of edits) {
+    if (!Number.isInteger(index) || index < 0 || index >= lines.length) {
+      throw new Error(`Line ${index} does not exist`);
+    }
+    const corrected = String(text || '').replace(/\s+/g, ' ').trim();
+    if (corrected === lines[index].text) continue;
+    const { words, ...line } = lines[index];
+    lines[index] = { ...line, text: corrected };
+    changed++;
+  }
+  return {
+    changed,
+    segments: lines
+      .filter(line => line.text)
+      .map(({ speaker, words, ...line }) => ({ ...line, ...(speaker ? { speaker } : {}), ...(words ? { words } : {}) }))
+  };
+}
+
+/**
+ * Flat transcription text of segments (the File/Content transcription field)
+ */
+function segmentsText(segments = []) {
+  return segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function speakerPrefix(line, speakerNames) {
+  const name = line.speaker ? speakerNames[line.speaker] : null;
+  return name ? `${name}: ` : '';
+}
+
+/**
+ * SubRip subtitles
+ * @param {Array<Object>} segments
+ * @param {Object} speakerNames - speaker tag -> display name
+ */
+function toSrt(segments, speakerNames = {}) {
+  return transcriptLines(segments, { maxChars: SUBTITLE_MAX_CHARS })
+    .map((line, i) => `${i + 1}\n${formatTimestamp(line.start)} --> ${formatTimestamp(line.end)}\n${speakerPrefix(line, speakerNames)}${line.text}\n`)
+    .join('\n');
+}
+
+/**
+ * WebVTT subtitles, speakers as voice spans (<v Name>)
+ */
+function toVtt(segments, speakerNames = {}) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = transcriptLines(segments, { maxChars: SUBTITLE_MAX_CHARS }).map(line => {
+    const name = line.speaker ? speakerNames[line.speaker] : null;
+    const text = name ? `<v ${escape(name)}>${escape(line.text)}` : escape(line.text);
+    return `${formatTimestamp(line.start, '.')} --> ${formatTimestamp(line.end, '.')}\n${text}\n`;
+  });
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Plain text, one sentence per line, with speaker names when known
+ */
+function toText(segments, speakerNames = {}) {
+  return transcriptLines(segments).map(line => `${speakerPrefix(line, speakerNames)}${line.text}`).join('\n') + '\n';
+}
+
+/**
+ * JSON export: transcript details plus segments with speaker names
+ */
+function toJson(transcript, speakerNames = {}) {
+  return JSON.stringify({
+    source: transcript.source,
+    language: transcript.language || null,
+    estimated: !!transcript.estimated,
+    segments: transcript.segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker ? speakerNames[segment.speaker] || segment.speaker : null,
+      text: segment.text,
+      ...(segment.words ? { words: segment.words } : {})
+    }))
+  }, null, 2);
+}
+
+/**
+ * Export body for a format
+ * @param {Object} transcript - { source, language, estimated, segments }
+ * @param {string} format - srt | vtt | txt | json
+ */
+function exportTranscript(transcript, format, speakerNames = {}) {
+  switch (format) {
+    case 'srt': return toSrt(transcript.segments, speakerNames);
+    case 'vtt': return toVtt(transcript.segments, speakerNames);
+    case 'txt': return toText(transcript.segments, speakerNames);
+    case 'json': return toJson(transcript, speakerNames);
+    default: throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  SUBTITLE_MAX_CHARS,
+  parseTimestamp,
+  formatTimestamp,
+  parseVtt,
+  segmentsFromWhisper,
+  segmentsFromGoogleResults,
+  segmentsFromTurns,
+  assignSpeakers,
+  segmentsFromText,
+  transcriptLines,
+  applyLineEdits,
+  segmentsText,
+  toSrt,
+  toVtt,
+  toText,
+  toJson,
+  exportTranscript
+};
@@ -0,0 +1,392 @@
+/**
+ * Transcript Service
+ *
+ * Stores timestamped transcripts for content items and files, serves them to
+ * the analysis page player and as downloads, and keeps the user's corrections.
+ *
+ * FEATURES:
+ * - One transcript per item (transcripts table), replaced on re-analysis
+ * - Segments keep the timings of their source: YouTube captions, Whisper
+ *   segments, Google Speech word offsets or diarized speaker turns
+ * - Audio and video items analyzed before timings were kept get estimated
+ *   timings from the flat transcription text (marked as estimated)
+ * - Speaker names from the user's Speaker rows, by speaker tag
+ * - SRT, WebVTT, plain text and JSON export
+ * - Line corrections with a revision history (original, edits, restores,
+ *   re-analyses); the item's transcription text follows the transcript
+ * - Speaker renames apply to every recording of the same person
+ * - Summary, tags, title and sentiment re-derived from the corrected text
+ *   without transcribing again
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const { sequelize, Content, File, Speaker, Transcript, TranscriptRevision, AudioAnalysis } = require('../models');
+const transcriptFormats = require('./transcriptFormats');
+const { TURN_COLORS, linkedSpeakers } = require('./speakerDiarization');
+
+const ITEM_TYPES = {
+  content: { model: Content, key: 'content_id', label: 'Content' },
+  file: { model: File, key: 'file_id', label: 'File' }
+};
+
+// Items whose transcription text is speech; images and documents keep descriptions there
+const TIMED_MEDIA_TYPES = ['video', 'audio'];
+// Source of transcripts whose timings were estimated from plain text
+const ESTIMATED_SOURCE = 'text';
+const DERIVED_FIELDS = ['summary', 'auto_tags', 'generated_title', 'sentiment'];
+const MAX_SPEAKER_NAME = 255;
+
+// analyzeSentiment answers { sentiment, confidence, emotions }; items store { label, score, confidence }
+function sentimentFromAnalysis(analysis) {
+  const label = String(analysis.sentiment || analysis.label || 'neutral').toLowerCase();
+  const confidence = Number(analysis.confidence) || 0;
+  const score = label === 'positive' ? confidence : label === 'negative' ? -confidence : 0;
+  return { label, score, confidence, emotions: analysis.emotions || [] };
+}
+
+class TranscriptService {
+  constructor() {
+    this.analyzer = null;
+  }
+
+  isClientError(error) {
+    return /^(Unsupported format|Line -?\d+ does not exist|No changes|Transcript was changed|Revision \d+ is already|Transcript is too short|AI text analysis is not configured|Speaker name)/.test(error.message);
+  }
+
+  getAnalyzer() {
+    if (!this.analyzer) {
+      const { MultimediaAnalyzer } = require('./multimedia');
+      this.analyzer = new MultimediaAnalyzer({ enableLogging: false });
+    }
+    return this.analyzer;
+  }
+
+  /**
+   * Save (or replace) the transcript of a content item or file
+   *
+   * A transcript the user has corrected keeps its history: the new segments
+   * are recorded as a re-analysis revision, so earlier versions can be restored.
+   *
+   * @param {string} userId
+   * @param {Object} item - { contentId } or { fileId }
+   * @param {Object} transcript - { segments, source, language, duration }
+   * @returns {Promise<Object|null>} Transcript row, null when there are no segments
+   *   (a previous transcript is then removed so it cannot outlive the new text)
+   */
+  async saveTranscript(userId, { contentId = null, fileId = null }, { segments, source, language = null, duration = null }) {
+    const where = contentId ? { content_id: contentId } : { file_id: fileId };
+    if (!Array.isArray(segments) || segments.length === 0) {
+      await Transcript.destroy({ where: { ...where, user_id: userId } });
+      return null;
+    }
+
+    const values = {
+      user_id: userId,
+      content_id: contentId,
+      file_id: fileId,
+      source,
+      language,
+      segments,
+      duration: duration || segments[segments.length - 1].end || null
+    };
+
+    const existing = await Transcript.findOne({ where });
+    if (!existing) return Transcript.create(values);
+
+    await sequelize.transaction(async (transaction) => {
+      await existing.update(values, { transaction });
+      const latest = await this.latestRevision(existing.id, transaction);
+      if (latest > 0) {
+        await this.createRevision(existing, latest + 1, 'reanalysis', 'Replaced by a new analysis', segments, transaction);
+      }
+    });
+    return existing;
+  }
+
+  async findItem(userId, type, id) {
+    const { model, label } = ITEM_TYPES[type];
+    const item = await model.findOne({ where: { id, user_id: userId } });
+    if (!item) throw new Error(`${label} not found`);
+    return item;
+  }
+
+  // Text-only transcript of an audio or video item, null when the item has none
+  estimatedSegments(item) {
+    if (!item.transcription || !TIMED_MEDIA_TYPES.includes(item.content_type)) return null;
+    return transcriptFormats.segmentsFromText(item.transcription, Number(item.metadata?.duration) || 0);
+  }
+
+  async latestRevision(transcriptId, transaction) {
+    return (await TranscriptRevision.max('revision_number', { where: { transcript_id: transcriptId }, transaction })) || 0;
+  }
+
+  async createRevision(transcript, number, changeType, note, segments, transaction) {
+    return TranscriptRevision.create({
+      user_id: transcript.user_id,
+      transcript_id: transcript.id,
+      revision_number: number,
+      change_type: changeType,
+      note,
+      segments
+    }, { transaction });
+  }
+
+  /**
+   * Speaker tag -> display name, numbered by first appearance when unnamed
+   */
+  async speakerNames(userId, segments) {
+    const tags = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    if (!tags.length) return {};
+
+    const speakers = await Speaker.findAll({
+      where: { user_id: userId, speaker_tag: tags },
+      attributes: ['speaker_tag', 'name']
+    });
+    const names = new Map(speakers.map(speaker => [speaker.speaker_tag, speaker.name]));
+    return Object.fromEntries(tags.map((tag, i) => [tag, names.get(tag) || `Speaker ${i + 1}`]));
+  }
+
+  /**
+   * Transcript of a content item or file
+   * @param {string} userId
+   * @param {string} type - content | file
+   * @param {string} id
+   * @returns {Promise<Object>} { source, language, estimated, segments, revision, speakerNames, title }
+   */
+  async getTranscript(userId, type, id) {
+    const item = await this.findItem(userId, type, id);
+    const title = item.generated_title || item.metadata?.title || item.filename || 'transcript';
+    const stored = await Transcript.findOne({ where: { [ITEM_TYPES[type].key]: id } });
+
+    let transcript;
+    if (stored) {
+      transcript = {
+        source: stored.source,
+        language: stored.language,
+        estimated: stored.source === ESTIMATED_SOURCE,
+        segments: stored.segments || [],
+        revision: await this.latestRevision(stored.id)
+      };
+    } else {
+      const segments = this.estimatedSegments(item);
+      if (!segments) throw new Error('Transcript not found');
+      transcript = { source: ESTIMATED_SOURCE, language: null, estimated: true, segments, revision: 0 };
+    }
+
+    return { ...transcript, title, speakerNames: await this.speakerNames(userId, transcript.segments) };
+  }
+
+  /**
+   * Sentence lines for the player, with speaker names and colors
+   */
+  displayLines(transcript) {
+    const tags = Object.keys(transcript.speakerNames);
+    return transcriptFormats.transcriptLines(transcript.segments).map(line => ({
+      ...line,
+      name: line.speaker ? transcript.speakerNames[line.speaker] || null : null,
+      colorIndex: line.speaker ? Math.max(0, tags.indexOf(line.speaker)) % TURN_COLORS : null
+    }));
+  }
+
+  /**
+   * Transcript file for download
+   * @param {string} format - srt | vtt | txt | json
+   * @returns {Promise<Object>} { filename, contentType, body }
+   */
+  async exportTranscript(userId, type, id, format) {
+    const exportFormat = transcriptFormats.EXPORT_FORMATS[format];
+    if (!exportFormat) throw new Error(`Unsupported format: ${format}`);
+
+    const transcript = await this.getTranscript(userId, type, id);
+    const name = String(transcript.title).replace(/\.[a-z0-9]{2,4}$/i, '').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 80);
+
+    return {
+      filename: `${name || 'transcript'}.${exportFormat.extension}`,
+      contentType: exportFormat.contentType,
+      body: transcriptFormats.exportTranscript(transcript, format, transcript.speakerNames)
+    };
+  }
+
+  /**
+   * Stored transcript of an item; an estimated transcript is stored on first use
+   */
+  async storedTranscript(userId, type, id) {
+    const item = await this.findItem(userId, type, id);
+    const key = ITEM_TYPES[type].key;
+    let transcript = await Transcript.findOne({ where: { [key]: id } });
+    if (!transcript) {
+      const segments = this.estimatedSegments(item);
+      if (!segments) throw new Error('Transcript not found');
+      transcript = await Transcript.create({
+        user_id: userId,
+        [key]: id,
+        source: ESTIMATED_SOURCE,
+        segments,
+        duration: Number(item.metadata?.duration) || null
+      });
+    }
+    return { item, transcript };
+  }
+
+  // New segments become the transcript, the item's transcription text and the audio analysis text
+  async applySegments(type, item, transcript, segments, transaction) {
+    const text = transcriptFormats.segmentsText(segments);
+    await transcript.update({ segments }, { transaction });
+    await item.update({ transcription: text }, { transaction });
+
+    const audioAnalysis = await AudioAnalysis.findOne({
+      where: { [ITEM_TYPES[type].key]: item.id, user_id: item.user_id },
+      transaction
+    });
+    if (audioAnalysis && audioAnalysis.transcription_results) {
+      await audioAnalysis.update({
+        transcription_results: { ...audioAnalysis.transcription_results, fullText: text, segments }
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Correct transcript lines
+   * @param {string} userId
+   * @param {string} type - content | file
+   * @param {string} id
+   * @param {Object} changes - { edits: [{ index, text }], baseRevision }; baseRevision
+   *   is the revision the editor loaded, so a save cannot overwrite a newer version
+   * @returns {Promise<Object>} { revision, changed }
+   */
+  async editTranscript(userId, type, id, { edits, baseRevision }) {
+    const { item, transcript } = await this.storedTranscript(userId, type, id);
+
+    return sequelize.transaction(async (transaction) => {
+      let latest = await this.latestRevision(transcript.id, transaction);
+      if (baseRevision !== undefined && baseRevision !== null && Number(baseRevision) !== latest) {
+        throw new Error('Transcript was changed since it was loaded; reload the page and try again');
+      }
+
+      const { segments, changed } = transcriptFormats.applyLineEdits(transcript.segments || [], edits);
+      if (!changed) throw new Error('No changes to save');
+
+      // The first correction also records what the analysis produced
+      if (latest === 0) {
+        await this.createRevision(transcript, 1, 'original', null, transcript.segments, transaction);
+        latest = 1;
+      }
+      await this.applySegments(type, item, transcript, segments, transaction);
+      await this.createRevision(transcript, latest + 1, 'edit', `${changed} line${changed === 1 ? '' : 's'} corrected`, segments, transaction);
+
+      return { revision: latest + 1, changed };
+    });
+  }
+
+  /**
+   * Revision history, newest first (without segments)
+   */
+  async listRevisions(userId, type, id) {
+    await this.findItem(userId, type, id);
+    const transcript = await Transcript.findOne({ where: { [ITEM_TYPES[type].key]: id }, attributes: ['id'] });
+    if (!transcript) return [];
+
+    const revisions = await TranscriptRevision.findAll({
+      where: { transcript_id: transcript.id },
+      order: [['revision_number', 'DESC']]
+    });
+    return revisions.map(revision => ({
+      revision: revision.revision_number,
+      changeType: revision.change_type,
+      note: revision.note,
+      lineCount: transcriptFormats.transcriptLines(revision.segments || []).length,
+      createdAt: revision.createdAt
+    }));
+  }
+
+  /**
+   * Make an earlier revision the current transcript (recorded as a new revision)
+   * @returns {Promise<Object>} { revision }
+   */
+  async restoreRevision(userId, type, id, number) {
+    const { item, transcript } = await this.storedTranscript(userId, type, id);
+
+    return sequelize.transaction(async (transaction) => {
+      const revision = await TranscriptRevision.findOne({
+        where: { transcript_id: transcript.id, revision_number: number },
+        transaction
+      });
+      if (!revision) throw new Error('Revision not found');
+
+      const latest = await this.latestRevision(transcript.id, transaction);
+      if (number === latest) throw new Error(`Revision ${number} is already the current transcript`);
+
+      await this.applySegments(type, item, transcript, revision.segments, transaction);
+      await this.createRevision(transcript, latest + 1, 'restore', `Restored revision ${number}`, revision.segments, transaction);
+      return { revision: latest + 1 };
+    });
+  }
+
+  /**
+   * Rename a speaker in every recording: the speaker with this tag and the
+   * speakers linked to it by voice match or contact
+   * @returns {Promise<Object>} { renamed, previousName }
+   */
+  async renameSpeaker(userId, speakerTag, name) {
+    const newName = String(name || '').trim();
+    if (!newName || newName.length > MAX_SPEAKER_NAME) {
+      throw new Error(`Speaker name must be 1-${MAX_SPEAKER_NAME} characters`);
+    }
+
+    const speaker = await Speaker.findOne({ where: { user_id: userId, speaker_tag: speakerTag } });
+    if (!speaker) throw new Error('Speaker not found');
+
+    const speakers = await Speaker.findAll({
+      where: { user_id: userId },
+      attributes: ['id', 'contact_id', 'profile_data']
+    });
+    const [renamed] = await Speaker.update({ name: newName }, {
+      where: { user_id: userId, id: linkedSpeakers(speakers, speaker.id) }
+    });
+    return { renamed, previousName: speaker.name };
+  }
+
+  /**
+   * Re-derive summary, tags, title and sentiment from the (corrected)
+   * transcription text; transcription itself is not run again
+   * @param {Array<string>} fields - Subset of summary, auto_tags, generated_title, sentiment
+   * @returns {Promise<Object>} Updated fields and their new values
+   */
+  async regenerateFromTranscript(userId, type, id, fields = DERIVED_FIELDS) {
+    const item = await this.findItem(userId, type, id);
+    const text = (item.transcription || '').trim();
+    if (text.length < 20) throw new Error('Transcript is too short to analyze');
+
+    const analyzer = this.getAnalyzer();
+    if (!analyzer.ai.isAvailable('text')) throw new Error('AI text analysis is not configured');
+
+    const updates = {};
+    let summary = item.summary || '';
+    if (fields.includes('summary')) {
+      const generated = await analyzer.generateSummary(text);
+      if (generated) updates.summary = summary = generated;
+    }
+
+    const context = { transcription: text, summary, metadata: item.metadata || {}, platform: item.metadata?.platform || null };
+    if (fields.includes('generated_title')) {
+      const title = await analyzer.generateTitle(context);
+      if (title && title.trim()) updates.generated_title = title.trim();
+    }
+    if (fields.includes('auto_tags')) {
+      const tags = await analyzer.generateTags(context);
+      if (tags && tags.length) updates.auto_tags = [...new Set(tags)];
+    }
+    if (fields.includes('sentiment')) {
+      const sentiment = await analyzer.analyzeSentiment(text);
+      if (sentiment) updates.sentiment = sentimentFromAnalysis(sentiment);
+    }
+
+    if (Object.keys(updates).length) await item.update(updates);
+    return updates;
+  }
+}
+
+module.exports = new TranscriptService();
+module.exports.DERIVED_FIELDS = DERIVED_FIELDS;
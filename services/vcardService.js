@@ -0,0 +1,341 @@
+/**
+ * vCard Service
+ *
+ * Converts between vCard text (2.1, 3.0 and 4.0) and DaySave contact
+ * records. Multi-valued contact fields are stored as [{ label, value }]
+ * arrays, which map onto vCard properties and their TYPE parameters.
+ *
+ * FEATURES:
+ * - Parsing with line unfolding, escaping, property groups (item1.EMAIL)
+ *   with Apple X-ABLabel labels, and quoted-printable values from 2.1 cards
+ * - FN with N / ORG / EMAIL fallbacks for the contact name
+ * - TEL, EMAIL, ADR, URL, IMPP (and X-SKYPE style handles), X-SOCIALPROFILE,
+ *   BDAY, ANNIVERSARY, NOTE, NICKNAME, ORG, TITLE
+ * - Writing 3.0 or 4.0 cards with CRLF line endings and 75-octet folding
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const VERSIONS = ['3.0', '4.0'];
+
+// TYPE values that describe the channel rather than a label worth keeping
+const IGNORED_TYPES = ['pref', 'internet', 'voice', 'x400', 'msg', 'text', 'uri'];
+
+// Legacy per-service messenger properties
+const IM_PROPERTIES = {
+  'X-AIM': 'aim',
+  'X-ICQ': 'icq',
+  'X-JABBER': 'jabber',
+  'X-MSN': 'msn',
+  'X-SKYPE': 'skype',
+  'X-SKYPE-USERNAME': 'skype',
+  'X-YAHOO': 'yahoo',
+  'X-QQ': 'qq',
+  'X-GOOGLE-TALK': 'google talk'
+};
+
+class VCardService {
+  constructor() {
+    this.VERSIONS = VERSIONS;
+  }
+
+  /**
+   * Parse vCard text into contact records
+   * @param {string} text - One or more vCards
+   * @returns {Array<Object>} [{ index, contact, uid, error }] in file order
+   */
+  parse(text) {
+    const cards = [];
+    let current = null;
+
+    for (const line of this.unfold(text)) {
+      const property = this.parseLine(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+        current = [];
+      } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+        if (current) cards.push(current);
+        current = null;
+      } else if (current) {
+        current.push(property);
+      }
+    }
+
+    return cards.map((properties, i) => {
+      const contact = this.toContact(properties);
+      const uid = properties.find(p => p.name === 'UID');
+      return {
+        index: i + 1,
+        contact,
+        uid: uid ? this.unescape(uid.value).trim() || null : null,
+        error: contact.name ? null : 'Card has no name, organization or email'
+      };
+    });
+  }
+
+  /**
+   * Split text into logical lines, joining folded and quoted-printable continuations
+   */
+  unfold(text) {
+    const rawLines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const lines = [];
+    for (const raw of rawLines) {
+      const last = lines.length - 1;
+      if (/^[ \t]/.test(raw) && last >= 0) {
+        lines[last] += raw.slice(1);
+      } else if (last >= 0 && /ENCODING=QUOTED-PRINTABLE/i.test(lines[last]) && lines[last].endsWith('=')) {
+        lines[last] = lines[last].slice(0, -1) + raw;
+      } else {
+        lines.push(raw);
+      }
+    }
+    return lines.filter(line => line.trim());
+  }
+
+  /**
+   * Parse one content line: [group.]NAME;PARAM=value:value
+   * @returns {Object|null} { group, name, params: { TYPE: [] ... }, value }
+   */
+  parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon <= 0) return null;
+
+    const [nameWithGroup, ...paramParts] = line.slice(0, colon).split(';');
+    const dot = nameWithGroup.lastIndexOf('.');
+    const params = {};
+    for (const part of paramParts) {
+      const eq = part.indexOf('=');
+      // vCard 2.1 allows bare types: TEL;HOME;CELL:...
+      const key = (eq === -1 ? 'TYPE' : part.slice(0, eq)).toUpperCase();
+      const values = (eq === -1 ? part : part.slice(eq + 1)).replace(/"/g, '').split(',');
+      params[key] = (params[key] || []).concat(values.map(v => v.trim()).filter(Boolean));
+    }
+
+    let value = line.slice(colon + 1);
+    if ((params.ENCODING || []).some(e => e.toUpperCase() === 'QUOTED-PRINTABLE')) {
+      value = this.decodeQuotedPrintable(value, (params.CHARSET || [])[0]);
+    }
+    return {
+      group: dot === -1 ? null : nameWithGroup.slice(0, dot).toLowerCase(),
+      name: (dot === -1 ? nameWithGroup : nameWithGroup.slice(dot + 1)).toUpperCase(),
+      params,
+      value
+    };
+  }
+
+  decodeQuotedPrintable(value, charset) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substr(i + 1, 2))) {
+        bytes.push(parseInt(value.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(value.charCodeAt(i) & 0xff);
+      }
+    }
+    const encoding = charset && /^(iso-8859-1|latin1|windows-1252)$/i.test(charset) ? 'latin1' : 'utf8';
+    return Buffer.from(bytes).toString(encoding);
+  }
+
+  unescape(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+  }
+
+  /**
+   * Split a structured value (N, ADR, ORG) on unescaped semicolons
+   */
+  components(value) {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        current += value[i] + value[i + 1];
+        i++;
+      } else if (value[i] === ';') {
+        parts.push(current);
+        current = '';
+      } else {
+        current += value[i];
+      }
+    }
+    parts.push(current);
+    return parts.map(part => this.unescape(part).trim());
+  }
+
+  /**
+   * Label for a property from its group's X-ABLabel or its TYPE parameter
+   */
+  labelFor(property, groupLabels, fallback) {
+    if (property.group && groupLabels[property.group]) return groupLabels[property.group];
+    const types = (property.params.TYPE || []).map(t => t.toLowerCase()).filter(t => !IGNORED_TYPES.includes(t));
+    if (!types.length) return fallback;
+    return types[0] === 'cell' ? 'mobile' : types[0];
+  }
+
+  /**
+   * Normalize vCard dates (19850415, 1985-04-15, --0415, 1985-04-15T...) to YYYY-MM-DD or --MM-DD
+   */
+  normalizeDate(value) {
+    const compact = value.trim().replace(/T.*$/, '');
+    let match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(compact);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = /^--(\d{2})-?(\d{2})$/.exec(compact);
+    if (match) return `--${match[1]}-${match[2]}`;
+    return compact;
+  }
+
+  /**
+   * Build a contact record from a card's properties
+   */
+  toContact(properties) {
+    const contact = {
+      name: '', nickname: '', organization: '', job_title: '',
+      phones: [], emails: [], addresses: [], social_profiles: [],
+      instant_messages: [], urls: [], dates: [], notes: []
+    };
+    const groupLabels = {};
+    properties
+      .filter(p => p.group && p.name === 'X-ABLABEL')
+      .forEach(p => { groupLabels[p.group] = this.unescape(p.value).replace(/^_\$!<(.*)>!\$_$/, '$1').toLowerCase(); });
+
+    let structuredName = null;
+    for (const property of properties) {
+      const text = this.unescape(property.value).trim();
+      if (!text && property.name !== 'N') continue;
+
+      switch (property.name) {
+        case 'FN': contact.name = contact.name || text; break;
+        case 'N': structuredName = this.components(property.value); break;
+        case 'NICKNAME': contact.nickname = contact.nickname || text; break;
+        case 'ORG': contact.organization = this.components(property.value).filter(Boolean).join(', '); break;
+        case 'TITLE': contact.job_title = text; break;
+        case 'TEL': contact.phones.push({ label: this.labelFor(property, groupLabels, 'phone'), value: text.replace(/^tel:/i, '') }); break;
+        case 'EMAIL': contact.emails.push({ label: this.labelFor(property, groupLabels, 'email'), value: text.replace(/^mailto:/i, '') }); break;
+        case 'ADR': {
+          // [PO box, extended, street, locality, region, postal code, country]
+          const value = this.components(property.value).filter(Boolean).join(', ');
+          if (value) contact.addresses.push({ label: this.labelFor(property, groupLabels, 'address'), value });
+          break;
+        }
+        case 'URL': contact.urls.push({ label: this.labelFor(property, groupLabels, 'website'), value: text }); break;
+        case 'IMPP': {
+          const scheme = /^([a-z-]+):/i.exec(text);
+          const service = (property.params['X-SERVICE-TYPE'] || [])[0] || (scheme ? scheme[1] : 'im');
+          contact.instant_messages.push({ label: service.toLowerCase(), value: scheme ? text.slice(scheme[0].length) : text });
+          break;
+        }
+        case 'X-SOCIALPROFILE': contact.social_profiles.push({ label: this.labelFor(property, groupLabels, 'social'), value: text }); break;
+        case 'BDAY': contact.dates.push({ label: 'birthday', value: this.normalizeDate(text) }); break;
+        case 'ANNIVERSARY':
+        case 'X-ANNIVERSARY': contact.dates.push({ label: 'anniversary', value: this.normalizeDate(text) }); break;
+        case 'X-ABDATE':
+        case 'X-DATE': contact.dates.push({ label: this.labelFor(property, groupLabels, 'date'), value: this.normalizeDate(text) }); break;
+        case 'NOTE': contact.notes.push({ label: 'note', value: text }); break;
+        default:
+          if (IM_PROPERTIES[property.name]) contact.instant_messages.push({ label: IM_PROPERTIES[property.name], value: text });
+      }
+    }
+
+    if (!contact.name && structuredName) {
+      // N: family; given; additional; prefix; suffix
+      const [family, given, additional, prefix, suffix] = structuredName;
+      contact.name = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+    }
+    if (!contact.name) contact.name = contact.organization || (contact.emails[0] && contact.emails[0].value) || '';
+    return contact;
+  }
+
+  escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/,/g, '\\,').replace(/;/g, '\\;');
+  }
+
+  /**
+   * Fold a content line at 75 octets without splitting characters
+   */
+  fold(line) {
+    const out = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const size = Buffer.byteLength(ch);
+      if (bytes + size > 75) {
+        out.push(current);
+        current = ' ';
+        bytes = 1;
+      }
+      current += ch;
+      bytes += size;
+    }
+    out.push(current);
+    return out.join('\r\n');
+  }
+
+  typeParam(label, version, channel) {
+    if (!label || label === channel) return '';
+    const type = label === 'mobile' ? 'cell' : label;
+    // Labels with spaces or punctuation are quoted (4.0) or dropped to a safe token (3.0)
+    if (/^[a-z0-9-]+$/i.test(type)) return `;TYPE=${version === '4.0' ? type.toLowerCase() : type.toUpperCase()}`;
+    return version === '4.0' ? `;TYPE="${type.replace(/"/g, '')}"` : '';
+  }
+
+  /**
+   * Write one contact as a vCard
+   * @param {Object} contact - Contact record (model instance or plain object)
+   * @param {string} version - '3.0' or '4.0'
+   * @returns {string} vCard text with CRLF line endings
+   */
+  serialize(contact, version = '3.0') {
+    const c = typeof contact.get === 'function' ? contact.get({ plain: true }) : contact;
+    const list = value => (Array.isArray(value) ? value.filter(item => item && item.value) : []);
+    const name = c.name || '';
+    const parts = name.trim().split(/\s+/);
+    const family = parts.length > 1 ? parts.pop() : '';
+    const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+    lines.push(`FN:${this.escape(name)}`);
+    lines.push(`N:${this.escape(family)};${this.escape(parts.join(' '))};;;`);
+    if (c.nickname) lines.push(`NICKNAME:${this.escape(c.nickname)}`);
+    if (c.organization) lines.push(`ORG:${this.escape(c.organization)}`);
+    if (c.job_title) lines.push(`TITLE:${this.escape(c.job_title)}`);
+
+    list(c.phones).forEach(p => lines.push(`TEL${this.typeParam(p.label, version, 'phone')}:${this.escape(p.value)}`));
+    list(c.emails).forEach(e => lines.push(`EMAIL${this.typeParam(e.label, version, 'email')}:${this.escape(e.value)}`));
+    list(c.addresses).forEach(a => lines.push(`ADR${this.typeParam(a.label, version, 'address')}:;;${this.escape(a.value)};;;;`));
+    list(c.urls).forEach(u => lines.push(`URL${this.typeParam(u.label, version, 'website')}:${u.value}`));
+    list(c.instant_messages).forEach(im => {
+      const service = /^[a-z0-9-]+$/i.test(im.label || '') ? im.label.toLowerCase() : 'x-im';
+      lines.push(`IMPP;X-SERVICE-TYPE=${this.escape(im.label || 'im')}:${service}:${im.value}`);
+    });
+    list(c.social_profiles).forEach(s => lines.push(`X-SOCIALPROFILE${this.typeParam(s.label, version, 'social')}:${this.escape(s.value)}`));
+    list(c.dates).forEach(d => {
+      const value = version === '3.0' ? d.value : d.value.replace(/^(\d{4})-(\d{2})-(\d{2})$/, '$1$2$3').replace(/^--(\d{2})-(\d{2})$/, '--$1$2');
+      if (d.label === 'birthday') lines.push(`BDAY:${value}`);
+      else if (d.label === 'anniversary') lines.push(`${version === '4.0' ? 'ANNIVERSARY' : 'X-ANNIVERSARY'}:${value}`);
+      else lines.push(`X-DATE${this.typeParam(d.label, version, 'date')}:${value}`);
+    });
+    list(c.notes).forEach(n => lines.push(`NOTE:${this.escape(n.value)}`));
+
+    // Cards created by CardDAV clients keep their own UID
+    if (c.carddav_uid) lines.push(`UID:${this.escape(c.carddav_uid)}`);
+    else if (c.id) lines.push(`UID:${version === '4.0' ? 'urn:uuid:' : ''}${c.id}`);
+    if (c.updatedAt) lines.push(`REV:${new Date(c.updatedAt).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+    lines.push('END:VCARD');
+    return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Write several contacts into one .vcf body
+   */
+  serializeAll(contacts, version = '3.0') {
+    return contacts.map(contact => this.serialize(contact, version)).join('');
+  }
+}
+
+module.exports = new VCardService();
@@ -0,0 +1,376 @@
+/**
+ * Webhook Service
+ *
+ * Delivers signed JSON event payloads to user-registered webhook endpoints
+ * and keeps a delivery log with automatic retries.
+ *
+ * FEATURES:
+ * - Endpoints per user, optionally bound to one API key
+ * - Events: content.created, content.changed, content.removed,
+ *   analysis.completed, analysis.failed, file.uploaded, subscription.changed
+ * - HMAC-SHA256 signatures (X-DaySave-Signature: t=<unix>,v1=<hex>)
+ * - Exponential backoff retries driven by a background loop
+ * - Delivery log with manual redelivery
+ * - Private network targets refused in production
+ *
+ * AUTHOR: DaySave Development Team
+ * CREATED: 2025-08-20
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { WebhookEndpoint, WebhookDelivery, ApiKey } = require('../models');
+const { logAuthEvent, logAuthError } = require('../config/logger');
+
+const EVENTS = ['content.created', 'content.changed', 'content.removed', 'analysis.completed', 'analysis.failed', 'file.uploaded', 'subscription.changed'];
+
+class WebhookService {
+  constructor() {
+    this.events = EVENTS;
+    this.timeoutMs = 10000;
+    this.retryDelaysMs = [60, 300, 1800, 7200, 21600].map(seconds => seconds * 1000);
+    this.maxAttempts = this.retryDelaysMs.length + 1;
+    this.disableAfterFailures = 20;
+    this.retryTimer = null;
+    this.retryRunning = false;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Signature header value for a body
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Raw JSON body
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} "t=<timestamp>,v1=<hex hmac>"
+   */
+  sign(secret, body, timestamp) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+      const [a, b] = address.split('.').map(Number);
+      return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    const lower = address.toLowerCase();
+    return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd') ||
+      lower.startsWith('fe80') || (lower.startsWith('::ffff:') && this.isPrivateAddress(lower.slice(7)));
+  }
+
+  /**
+   * Reject URLs that are malformed or (in production) point at internal hosts
+   * @param {string} url - Receiver URL
+   */
+  async assertDeliverableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Webhook URL is not valid');
+    }
+    const production = process.env.NODE_ENV === 'production';
+    if (!['https:', 'http:'].includes(parsed.protocol) || (production && parsed.protocol !== 'https:')) {
+      throw new Error(production ? 'Webhook URL must use https' : 'Webhook URL must use http or https');
+    }
+    if (!production) return;
+
+    const isPrivate = await this.resolvesToPrivateAddress(parsed.hostname);
+    if (isPrivate === null) throw new Error('Webhook host could not be resolved');
+    if (isPrivate) {
+      throw new Error('Webhook URL must not point at a private network address');
+    }
+  }
+
+  /**
+   * Whether a host (name or IP literal) resolves to a private network address
+   * @param {string} hostname - URL hostname, IPv6 literals with or without brackets
+   * @returns {Promise<boolean|null>} null when the host cannot be resolved
+   */
+  async resolvesToPrivateAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true }).catch(() => []);
+    if (addresses.length === 0) return null;
+    return addresses.some(({ address }) => this.isPrivateAddress(address));
+  }
+
+  /**
+   * Validate the event list of an endpoint
+   * @param {Array<string>} events - Requested event names
+   * @returns {Array<string>} Normalised list
+   */
+  normaliseEvents(events) {
+    if (!Array.isArray(events) || events.length === 0 || events.includes('*')) return ['*'];
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length) throw new Error(`Unknown webhook events: ${unknown.join(', ')}`);
+    return [...new Set(events)];
+  }
+
+  async getOwnedEndpoint(userId, endpointId, scope = 'defaultScope') {
+    const endpoint = await WebhookEndpoint.scope(scope).findOne({ where: { id: endpointId, user_id: userId } });
+    if (!endpoint) throw new Error('Webhook endpoint not found');
+    return endpoint;
+  }
+
+  async listEndpoints(userId) {
+    return WebhookEndpoint.findAll({
+      where: { user_id: userId },
+      include: [{ model: ApiKey, as: 'apiKey', attributes: ['id', 'key_name', 'key_prefix'] }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Register an endpoint. The secret is only returned here and on rotation.
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - { url, description, events, apiKeyId }
+   * @returns {Promise<Object>} { endpoint, secret }
+   */
+  async createEndpoint(userId, { url, description = null, events, apiKeyId = null }) {
+    await this.assertDeliverableUrl(url);
+    if (apiKeyId) {
+      const key = await ApiKey.findOne({ where: { id: apiKeyId, user_id: userId } });
+      if (!key) throw new Error('API key not found');
+    }
+    const secret = this.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      user_id: userId,
+      api_key_id: apiKeyId,
+      url,
+      description,
+      secret,
+      events: this.normaliseEvents(events)
+    });
+    return { endpoint: await this.getOwnedEndpoint(userId, endpoint.id), secret };
+  }
+
+  async updateEndpoint(userId, endpointId, { url, description, events, enabled }) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId);
+    const updates = {};
+    if (url !== undefined) {
+      await this.assertDeliverableUrl(url);
+      updates.url = url;
+    }
+    if (description !== undefined) updates.description = description || null;
+    if (events !== undefined) updates.events = this.normaliseEvents(events);
+    if (enabled !== undefined) {
+      updates.enabled = !!enabled;
+      if (enabled) updates.consecutive_failures = 0;
+    }
+    await endpoint.update(updates);
+    return endpoint;
+  }
+
+  async rotateSecret(userId, endpointId) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId, 'withSecret');
+    const secret = this.generateSecret();
+    await endpoint.update({ secret });
+    return secret;
+  }
+
+  async deleteEndpoint(userId, endpointId) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId);
+    await endpoint.destroy();
+  }
+
+  async listDeliveries(userId, endpointId, { limit = 50 } = {}) {
+    await this.getOwnedEndpoint(userId, endpointId);
+    return WebhookDelivery.findAll({
+      where: { endpoint_id: endpointId },
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+  }
+
+  /**
+   * Fan an event out to every matching endpoint of the user. Never throws,
+   * so callers can fire and forget from request handlers and pipelines.
+   * @param {string} userId - User the event belongs to
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event data
+   * @param {Object} context - { apiKeyId } when the event was caused through an API key
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async emit(userId, event, data, { apiKeyId = null } = {}) {
+    try {
+      if (!userId || !EVENTS.includes(event)) return 0;
+      const endpoints = await WebhookEndpoint.findAll({
+        where: {
+          user_id: userId,
+          enabled: true,
+          [Op.or]: [{ api_key_id: null }, ...(apiKeyId ? [{ api_key_id: apiKeyId }] : [])]
+        },
+        attributes: ['id', 'events']
+      });
+      const targets = endpoints.filter(e => e.events.includes('*') || e.events.includes(event));
+      if (targets.length === 0) return 0;
+
+      const eventId = uuidv4();
+      const payload = { id: eventId, event, created_at: new Date().toISOString(), data };
+      const deliveries = await WebhookDelivery.bulkCreate(targets.map(endpoint => ({
+        endpoint_id: endpoint.id,
+        user_id: userId,
+        event,
+        event_id: eventId,
+        payload
+      })));
+
+      setImmediate(() => deliveries.forEach(delivery => this.deliver(delivery.id)));
+      return deliveries.length;
+    } catch (error) {
+      logAuthError('WEBHOOK_EMIT_ERROR', error, { userId, event });
+      return 0;
+    }
+  }
+
+  /**
+   * Send one delivery attempt and record the outcome
+   * @param {string} deliveryId - WebhookDelivery ID
+   */
+  async deliver(deliveryId) {
+    const delivery = await WebhookDelivery.findByPk(deliveryId);
+    if (!delivery || ['succeeded', 'failed'].includes(delivery.status)) return delivery;
+    const endpoint = await WebhookEndpoint.scope('withSecret').findByPk(delivery.endpoint_id);
+    if (!endpoint) return delivery;
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const attempt = delivery.attempt_count + 1;
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      await this.assertDeliverableUrl(endpoint.url);
+      const response = await axios.post(endpoint.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: r => r,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DaySave-Webhooks/1.0',
+          'X-DaySave-Event': delivery.event,
+          'X-DaySave-Delivery': delivery.id,
+          'X-DaySave-Signature': this.sign(endpoint.secret, body, Math.floor(started / 1000))
+        }
+      });
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, 2048) : null;
+      if (response.status < 200 || response.status >= 300) errorMessage = `Receiver answered HTTP ${response.status}`;
+    } catch (error) {
+      errorMessage = error.message.slice(0, 500);
+    }
+
+    const succeeded = !errorMessage;
+    const exhausted = !succeeded && attempt >= this.maxAttempts;
+    await delivery.update({
+      status: succeeded ? 'succeeded' : (exhausted ? 'failed' : 'retrying'),
+      attempt_count: attempt,
+      next_attempt_at: succeeded || exhausted ? null : new Date(Date.now() + this.retryDelaysMs[attempt - 1]),
+      response_status: responseStatus,
+      response_body: responseBody,
+      error_message: errorMessage,
+      duration_ms: Date.now() - started,
+      delivered_at: succeeded ? new Date() : null
+    });
+
+    if (succeeded) {
+      await endpoint.update({ consecutive_failures: 0, last_delivery_at: new Date() });
+    } else if (exhausted) {
+      const failures = endpoint.consecutive_failures + 1;
+      const disable = failures >= this.disableAfterFailures;
+      await endpoint.update({ consecutive_failures: failures, ...(disable ? { enabled: false } : {}) });
+      logAuthEvent(disable ? 'WEBHOOK_ENDPOINT_DISABLED' : 'WEBHOOK_DELIVERY_FAILED', {
+        userId: endpoint.user_id,
+        targetType: 'webhook_endpoint',
+        targetId: endpoint.id,
+        deliveryId: delivery.id,
+        event: delivery.event,
+        error: errorMessage
+      });
+    }
+    return delivery;
+  }
+
+  /**
+   * Send an event again as a new delivery (same event ID)
+   * @param {string} userId - Owner user ID
+   * @param {string} deliveryId - Delivery to repeat
+   * @returns {Promise<Object>} New delivery after its first attempt
+   */
+  async redeliver(userId, deliveryId) {
+    const original = await WebhookDelivery.findOne({ where: { id: deliveryId, user_id: userId } });
+    if (!original) throw new Error('Webhook delivery not found');
+    const copy = await WebhookDelivery.create({
+      endpoint_id: original.endpoint_id,
+      user_id: userId,
+      event: original.event,
+      event_id: original.event_id,
+      payload: original.payload,
+      redelivery_of_id: original.id
+    });
+    return this.deliver(copy.id);
+  }
+
+  /**
+   * Attempt every retry that is due
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async processDueRetries() {
+    if (this.retryRunning) return 0;
+    this.retryRunning = true;
+    try {
+      const due = await WebhookDelivery.findAll({
+        where: { status: { [Op.in]: ['pending', 'retrying'] }, next_attempt_at: { [Op.lte]: new Date() } },
+        attributes: ['id'],
+        order: [['next_attempt_at', 'ASC']],
+        limit: 50
+      });
+      for (const { id } of due) {
+        await this.deliver(id);
+      }
+      return due.length;
+    } catch (error) {
+      logAuthError('WEBHOOK_RETRY_LOOP_ERROR', error, {});
+      return 0;
+    } finally {
+      this.retryRunning = false;
+    }
+  }
+
+  /**
+   * Start the background retry loop (called once at server start)
+   * @param {number} intervalMs - Polling interval
+   */
+  startRetryLoop(intervalMs = 60000) {
+    if (this.retryTimer) return;
+    this.retryTimer = setInterval(() => this.processDueRetries(), intervalMs);
+    this.retryTimer.unref();
+  }
+
+  serializeEndpoint(endpoint) {
+    return {
+      id: endpoint.id,
+      url: endpoint.url,
+      description: endpoint.description,
+      events: endpoint.events,
+      enabled: endpoint.enabled,
+      api_key: endpoint.apiKey ? { id: endpoint.apiKey.id, name: endpoint.apiKey.key_name, prefix: endpoint.apiKey.key_prefix } : null,
+      consecutive_failures: endpoint.consecutive_failures,
+      last_delivery_at: endpoint.last_delivery_at,
+      createdAt: endpoint.createdAt
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * AI Provider Test
+ *
+ * Runs the OpenAI-compatible provider against a local stub server: per-capability base URLs and models from
+ * ConfigurationManager (defaults, environment, config file), API keys never sent to self-hosted servers, chat,
+ * Whisper and embedding requests, usage source for cost tracking, PluginRegistry plugins and MultimediaAnalyzer
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ConfigurationManager = require('../services/multimedia/ConfigurationManager');
+const OpenAICompatibleProvider = require('../services/multimedia/OpenAICompatibleProvider');
+
+const AI_ENV = ['OPENAI_API_KEY', 'OPENAI_BASE_URL', 'MM_CONFIG_PATH', 'MM_OPENAI_ENABLED', 'MM_OPENAI_MODEL', 'SEARCH_EMBEDDING_MODEL',
+  ...['TEXT', 'VISION', 'TRANSCRIPTION', 'EMBEDDINGS'].flatMap(cap => [`MM_AI_${cap}_BASE_URL`, `MM_AI_${cap}_MODEL`, `MM_AI_${cap}_API_KEY`])];
+
+// OpenAI-compatible stub: records every request and answers like a self-hosted server
+function startStub(requests) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('latin1');
+      let body = {};
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        body = JSON.parse(raw);
+      } else {
+        // multipart/form-data: only the plain fields are needed
+        for (const match of raw.matchAll(/name="([^"]+)"\r\n\r\n([^\r]*)\r\n/g)) body[match[1]] = match[2];
+      }
+      requests.push({ path: req.url, authorization: req.headers.authorization, body });
+
+      let reply;
+      if (req.url.endsWith('/chat/completions')) {
+        reply = {
+          id: 'stub-1',
+          object: 'chat.completion',
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: `stub reply from ${body.model}` }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+        };
+      } else if (req.url.endsWith('/audio/transcriptions')) {
+        reply = { text: 'hello from the stub', language: 'english', segments: [{ id: 0, start: 0, end: 1.5, text: ' hello from the stub' }] };
+      } else if (req.url.endsWith('/embeddings')) {
+        reply = { object: 'list', model: body.model, data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2, 0.3] }] };
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'not found' } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function setEnv(values) {
+  for (const name of AI_ENV) delete process.env[name];
+  Object.assign(process.env, values);
+}
+
+function providerWith(env) {
+  setEnv(env);
+  const configManager = new ConfigurationManager();
+  configManager.loadDefaults();
+  return new OpenAICompatibleProvider(configManager);
+}
+
+class AIProviderTest {
+  constructor() {
+    this.results = [];
+    this.requests = [];
+  }
+
+  async run() {
+    console.log('🤖 Testing OpenAI-Compatible AI Provider...\n');
+
+    const savedEnv = Object.fromEntries(AI_ENV.map(name => [name, process.env[name]]));
+    this.server = await startStub(this.requests);
+    this.stubURL = `http://127.0.0.1:${this.server.address().port}/v1`;
+
+    try {
+      this.testSettings();
+      await this.testConfigFile();
+      await this.testRequests();
+      await this.testPluginsAndAnalyzer();
+    } catch (error) {
+      this.addResult('Unexpected error', false, error.stack);
+    } finally {
+      this.server.close();
+      setEnv(Object.fromEntries(Object.entries(savedEnv).filter(([, value]) => value !== undefined)));
+    }
+
+    this.generateReport();
+  }
+
+  testSettings() {
+    const none = providerWith({});
+    this.addResult('Unavailable without key or server', !none.isAvailable('text') && none.client('text') === null,
+      'No OPENAI_API_KEY and no self-hosted base URL');
+
+    const hosted = providerWith({ OPENAI_API_KEY: 'sk-test' });
+    const settings = hosted.settings('vision');
+    this.addResult('OpenAI by default', hosted.isAvailable('vision') && settings.baseURL === 'https://api.openai.com/v1'
+      && !hosted.isSelfHosted('vision') && hosted.model('vision', 'gpt-4o-mini') === 'gpt-4o-mini',
+      `${settings.baseURL}, caller's model kept`);
+
+    const local = providerWith({
+      OPENAI_API_KEY: 'sk-secret',
+      MM_AI_TEXT_BASE_URL: `${this.stubURL}/`,
+      MM_AI_TEXT_MODEL: 'llama3',
+      MM_AI_TRANSCRIPTION_BASE_URL: this.stubURL,
+      MM_AI_TRANSCRIPTION_API_KEY: 'whisper-key'
+    });
+    this.addResult('Per-capability base URL and model', local.settings('text').baseURL === this.stubURL
+      && local.model('text', 'gpt-4') === 'llama3' && local.isSelfHosted('text') && !local.isSelfHosted('vision'),
+      `text -> ${local.settings('text').baseURL} (llama3), vision -> OpenAI`);
+    this.addResult('OpenAI key kept from other servers', local.settings('text').apiKey === null
+      && local.settings('transcription').apiKey === 'whisper-key' && local.settings('vision').apiKey === 'sk-secret',
+      'Self-hosted capabilities only use MM_AI_<CAPABILITY>_API_KEY');
+    this.addResult('Clients shared per server', local.client('text') !== local.client('vision')
+      && local.client('vision') === local.client('embeddings'), 'One SDK client per base URL and key');
+
+    const embeddings = providerWith({ OPENAI_API_KEY: 'sk-test', SEARCH_EMBEDDING_MODEL: 'text-embedding-3-large' });
+    this.addResult('SEARCH_EMBEDDING_MODEL still honoured', embeddings.model('embeddings', 'text-embedding-3-small') === 'text-embedding-3-large',
+      embeddings.model('embeddings', 'text-embedding-3-small'));
+
+    const disabled = providerWith({ OPENAI_API_KEY: 'sk-test', MM_OPENAI_ENABLED: 'false' });
+    this.addResult('Provider can be switched off', !disabled.isAvailable('text'), 'MM_OPENAI_ENABLED=false');
+
+    let message = '';
+    try {
+      hosted.settings('music');
+    } catch (error) {
+      message = error.message;
+    }
+    this.addResult('Unknown capability rejected', message === 'Unknown AI capability: music', message);
+  }
+
+  async testConfigFile() {
+    const configPath = path.join(os.tmpdir(), `ai-provider-test-${process.pid}.json`);
+    fs.writeFileSync(configPath, JSON.stringify({
+      plugins: { openai: { capabilities: { vision: { baseURL: this.stubURL, model: 'llava' }, text: { model: 'from-file' } } } }
+    }));
+    try {
+      setEnv({ MM_CONFIG_PATH: configPath, MM_AI_TEXT_MODEL: 'from-env' });
+      const configManager = new ConfigurationManager();
+      await configManager.initialize();
+      const provider = new OpenAICompatibleProvider(configManager);
+      this.addResult('Models from the config file', provider.model('vision') === 'llava' && provider.isAvailable('vision'),
+        `vision -> ${provider.settings('vision').baseURL} (${provider.model('vision')})`);
+      this.addResult('Environment wins over the file', provider.model('text') === 'from-env', provider.model('text'));
+    } finally {
+      fs.unlinkSync(configPath);
+    }
+  }
+
+  async testRequests() {
+    const provider = providerWith({
+      OPENAI_API_KEY: 'sk-secret',
+      OPENAI_BASE_URL: this.stubURL,
+      MM_AI_TEXT_BASE_URL: this.stubURL,
+      MM_AI_TEXT_MODEL: 'llama3',
+      MM_AI_TRANSCRIPTION_BASE_URL: this.stubURL,
+      MM_AI_TRANSCRIPTION_MODEL: 'faster-whisper-small'
+    });
+
+    this.requests.length = 0;
+    const chat = await provider.chat('text', { model: 'gpt-4', messages: [{ role: 'user', content: 'hi' }], max_tokens: 5 });
+    const chatRequest = this.requests[0];
+    this.addResult('Chat sent to the self-hosted server', chatRequest && chatRequest.path === '/v1/chat/completions'
+      && chatRequest.body.model === 'llama3' && chatRequest.body.max_tokens === 5 && chat.choices[0].message.content === 'stub reply from llama3',
+      chat.choices[0].message.content);
+    this.addResult('Placeholder key for self-hosted servers', chatRequest && chatRequest.authorization === 'Bearer not-needed',
+      chatRequest && chatRequest.authorization);
+    this.addResult('Response source for usage tracking', chat.aiSource.provider === 'other' && chat.aiSource.model === 'llama3'
+      && !Object.keys(chat).includes('aiSource'), JSON.stringify(chat.aiSource));
+
+    const audioPath = path.join(os.tmpdir(), `ai-provider-test-${process.pid}.wav`);
+    fs.writeFileSync(audioPath, Buffer.alloc(64));
+    try {
+      this.requests.length = 0;
+      const transcription = await provider.transcribe({ file: fs.createReadStream(audioPath), model: 'whisper-1', response_format: 'verbose_json' });
+      const audioRequest = this.requests[0];
+      this.addResult('Whisper-compatible transcription', audioRequest && audioRequest.path === '/v1/audio/transcriptions'
+        && audioRequest.body.model === 'faster-whisper-small' && audioRequest.body.response_format === 'verbose_json'
+        && transcription.segments.length === 1, transcription.text);
+    } finally {
+      fs.unlinkSync(audioPath);
+    }
+
+    this.requests.length = 0;
+    const embedding = await provider.embed({ model: 'text-embedding-3-small', input: 'hello' });
+    const embeddingRequest = this.requests[0];
+    this.addResult('Embeddings through the provider-wide base URL', embeddingRequest && embeddingRequest.path === '/v1/embeddings'
+      && embeddingRequest.authorization === 'Bearer sk-secret' && embeddingRequest.body.encoding_format === 'float'
+      && embedding.data[0].embedding.length === 3,
+      'OPENAI_BASE_URL with OPENAI_API_KEY, float vectors requested');
+
+    const AiUsageTracker = require('../services/aiUsageTracker');
+    const tracker = new AiUsageTracker();
+    this.addResult('Self-hosted calls cost nothing', tracker.calculateCost('other', 'llama3', 1000, 1000) === 0
+      && tracker.calculateCost('openai', 'gpt-4o-mini', 1000000, 0) === 0.15, 'Pricing only applies to OpenAI models');
+
+    const missing = providerWith({});
+    let message = '';
+    try {
+      await missing.chat('text', { model: 'gpt-4', messages: [] });
+    } catch (error) {
+      message = error.message;
+    }
+    this.addResult('Unconfigured capability fails clearly', message === 'AI text provider is not configured', message);
+  }
+
+  async testPluginsAndAnalyzer() {
+    // The shared provider reads the environment when it is first created
+    setEnv({
+      MM_AI_TEXT_BASE_URL: this.stubURL,
+      MM_AI_TEXT_MODEL: 'llama3',
+      MM_AI_TRANSCRIPTION_BASE_URL: this.stubURL,
+      MM_AI_TRANSCRIPTION_MODEL: 'faster-whisper-small'
+    });
+
+    const PluginRegistry = require('../services/multimedia/PluginRegistry');
+    const registry = new PluginRegistry();
+    await registry.initialize();
+    const report = registry.getStatusReport();
+    this.addResult('Plugins registered per capability', registry.isFeatureAvailable('text_generation')
+      && registry.plugins.get('openai_whisper').provider === 'openai_compatible' && !registry.isFeatureAvailable('embeddings'),
+      `text and transcription on the stub; ${report.disabledPlugins.length} plugins disabled`);
+    this.addResult('Status report shows where AI calls go', report.aiCapabilities.text.selfHosted
+      && report.aiCapabilities.text.model === 'llama3' && report.aiCapabilities.vision.available === false,
+      JSON.stringify(report.aiCapabilities.text));
+
+    this.requests.length = 0;
+    const generated = await registry.executeWithFallback('text_generation', [{ role: 'user', content: 'Title this' }]);
+    this.addResult('Text generation through PluginRegistry', generated.plugin === 'openai_compatible_text'
+      && generated.result.text === 'stub reply from llama3', generated.result.text);
+
+    const { MultimediaAnalyzer } = require('../services/multimedia');
+    const analyzer = new MultimediaAnalyzer({ enableLogging: false });
+    this.requests.length = 0;
+    const summary = await analyzer.generateSummary('A long talk about running the whole pipeline on local models.');
+    this.addResult('MultimediaAnalyzer summary from the local model', summary === 'stub reply from llama3'
+      && this.requests[0] && this.requests[0].body.model === 'llama3', summary);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 AI PROVIDER TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 AI provider tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All AI provider tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new AIProviderTest();
+  test.run();
+}
+
+module.exports = AIProviderTest;
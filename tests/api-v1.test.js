@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * REST API v1 Test
+ *
+ * Verifies API key scope matching (exact scopes and explicit "<scope>/*" patterns), the success,
+ * list and error envelopes, pagination parsing and the shared request validators
+ */
+
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../middleware/apiKey');
+const helpers = require('../routes/api/v1/helpers');
+
+const PERMISSIONS = {
+  '/api/v1/content': ['GET', 'POST'],
+  '/api/v1/content/*': ['GET'],
+  '/api/v1/groups': ['ALL']
+};
+
+// Minimal Express response that records what was sent
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+class ApiV1Test {
+  constructor() {
+    this.results = [];
+  }
+
+  async run() {
+    console.log('🔌 Testing REST API v1...\n');
+
+    try {
+      this.testScopes();
+      this.testEnvelopes();
+      this.testPagination();
+      await this.testValidators();
+    } catch (error) {
+      this.addResult('API tests ran', false, error.message);
+    }
+    this.generateReport();
+  }
+
+  testScopes() {
+    console.log('🔑 Testing Scopes...');
+
+    const allowed = (method, endpoint) => hasPermission(PERMISSIONS, method, endpoint);
+
+    this.addResult('Exact scope and method', allowed('GET', '/api/v1/content') && allowed('post', '/api/v1/content'), 'GET/post /api/v1/content');
+    this.addResult('Method outside the scope denied', !allowed('DELETE', '/api/v1/content'), 'DELETE /api/v1/content');
+    this.addResult('Query string ignored', allowed('GET', '/api/v1/content?page=2&search=a'), '/api/v1/content?page=2');
+    this.addResult('Sub-route through wildcard', allowed('GET', '/api/v1/content/0b7f4d7e-1111-4a4a-9c9c-123456789abc/analysis'), 'GET /api/v1/content/:id/analysis');
+    this.addResult('Wildcard keeps its own methods', !allowed('PUT', '/api/v1/content/0b7f4d7e-1111-4a4a-9c9c-123456789abc'), 'PUT /api/v1/content/:id');
+    this.addResult('Scope does not cover sub-routes by itself', !allowed('GET', '/api/v1/groups/0b7f4d7e-1111-4a4a-9c9c-123456789abc'), 'GET /api/v1/groups/:id');
+    this.addResult('ALL grants every method', allowed('DELETE', '/api/v1/groups'), 'DELETE /api/v1/groups');
+    this.addResult('Sibling prefix not matched', !allowed('GET', '/api/v1/contentx'), 'GET /api/v1/contentx');
+    this.addResult('Other scope denied', !allowed('GET', '/api/v1/files'), 'GET /api/v1/files');
+    this.addResult('Key without permissions denied', !hasPermission({}, 'GET', '/api/v1/content') && !hasPermission(null, 'GET', '/api/v1/content'), '{} / null');
+  }
+
+  testEnvelopes() {
+    console.log('\n✉️  Testing Envelopes...');
+
+    const req = { requestId: 'req-1' };
+
+    const data = fakeResponse();
+    helpers.sendData(req, data, { id: 'c1' }, 201);
+    this.addResult('Success envelope', data.statusCode === 201 && data.body.success === true && data.body.data.id === 'c1' &&
+      data.body.meta.request_id === 'req-1', JSON.stringify(data.body));
+
+    const list = fakeResponse();
+    helpers.sendList(req, list, [{ id: 'a' }, { id: 'b' }], { page: 2, perPage: 2, total: 5 });
+    const pagination = list.body.pagination;
+    this.addResult('List envelope', list.body.success === true && list.body.data.length === 2 && pagination.total_pages === 3 &&
+      pagination.has_next === true && pagination.per_page === 2, JSON.stringify(pagination));
+
+    const empty = fakeResponse();
+    helpers.sendList(req, empty, [], { page: 1, perPage: 25, total: 0 });
+    this.addResult('Empty list has one page', empty.body.pagination.total_pages === 1 && empty.body.pagination.has_next === false,
+      JSON.stringify(empty.body.pagination));
+
+    const error = fakeResponse();
+    helpers.sendError(req, error, 404, 'Content not found');
+    this.addResult('Error envelope', error.statusCode === 404 && error.body.success === false && error.body.error.code === 'not_found' &&
+      error.body.error.message === 'Content not found' && !('details' in error.body.error), JSON.stringify(error.body));
+
+    const auth = fakeResponse();
+    helpers.formatAuthError({}, auth, 429, { error: 'Too many requests', resetTime: '2025-08-20T10:00:00Z' });
+    this.addResult('Auth errors use the error envelope', auth.statusCode === 429 && auth.body.error.code === 'rate_limited' &&
+      auth.body.error.details.reset_time === '2025-08-20T10:00:00Z' && auth.body.meta.request_id === null, JSON.stringify(auth.body));
+  }
+
+  testPagination() {
+    console.log('\n📄 Testing Pagination...');
+
+    const defaults = helpers.parsePagination({});
+    this.addResult('Default page size', defaults.page === 1 && defaults.perPage === 25 && defaults.offset === 0, JSON.stringify(defaults));
+    const paged = helpers.parsePagination({ page: '3', per_page: '10' });
+    this.addResult('Offset from page and per_page', paged.offset === 20, JSON.stringify(paged));
+    const capped = helpers.parsePagination({ page: '-4', per_page: '5000' });
+    this.addResult('Out of range values clamped', capped.page === 1 && capped.perPage === 100, JSON.stringify(capped));
+  }
+
+  async testValidators() {
+    console.log('\n🧪 Testing Validators...');
+
+    const validate = async (body) => {
+      const req = { body, params: { id: 'not-a-uuid' }, query: {} };
+      await Promise.all(helpers.tagList('user_tags').map(rule => rule.run(req)));
+      return { req, errors: validationResult(req).array().map(e => e.msg) };
+    };
+
+    const ok = await validate({ user_tags: ['  travel ', 'food'] });
+    this.addResult('String tags accepted and trimmed', ok.errors.length === 0 && ok.req.body.user_tags[0] === 'travel', JSON.stringify(ok.req.body.user_tags));
+    const absent = await validate({});
+    this.addResult('Tags are optional', absent.errors.length === 0, JSON.stringify(absent.errors));
+    const notArray = await validate({ user_tags: 'travel' });
+    this.addResult('Tags must be an array', notArray.errors.includes('user_tags must be an array'), JSON.stringify(notArray.errors));
+    const objects = await validate({ user_tags: [{ $gt: '' }, 42] });
+    this.addResult('Non-string tags rejected', objects.errors.filter(msg => msg === 'user_tags must contain strings').length === 2,
+      JSON.stringify(objects.errors));
+    const long = await validate({ user_tags: ['x'.repeat(256), '   '] });
+    this.addResult('Empty and over-long tags rejected', long.errors.filter(msg => /1-255 characters/.test(msg)).length === 2,
+      JSON.stringify(long.errors));
+
+    const req = { params: { id: 'not-a-uuid' } };
+    await helpers.idParam().run(req);
+    const res = fakeResponse();
+    const failed = helpers.validationFailed(req, res);
+    this.addResult('Validation errors sent as 400 envelope', failed === true && res.statusCode === 400 &&
+      res.body.error.code === 'validation_failed' && res.body.error.details[0].field === 'id', JSON.stringify(res.body));
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 REST API V1 TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 REST API v1 tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All REST API v1 tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ApiV1Test();
+  test.run();
+}
+
+module.exports = ApiV1Test;
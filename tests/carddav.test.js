@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * CardDAV Test
+ *
+ * Verifies request body parsing, multistatus responses, sync tokens, query filters, ETag preconditions and Basic auth used by the CardDAV endpoint
+ */
+
+const carddavXml = require('../services/carddavXml');
+const carddavService = require('../services/carddavService');
+const { extractApiKey, extractBasicCredentials, isKeyOwner } = require('../middleware/apiKey');
+
+const { NS } = carddavXml;
+
+const PROPFIND = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:cs="http://calendarserver.org/ns/" xmlns:x="http://example.com/ns/">
+  <d:prop><d:getetag/><cs:getctag/><x:color/></d:prop>
+</d:propfind>`;
+
+const QUERY = `<?xml version="1.0" encoding="utf-8"?>
+<card:addressbook-query xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav">
+  <d:prop><d:getetag/></d:prop>
+  <card:filter test="allof">
+    <card:prop-filter name="fn"><card:text-match match-type="starts-with">jane</card:text-match></card:prop-filter>
+    <card:prop-filter name="EMAIL"><card:text-match negate-condition="yes">example.org</card:text-match></card:prop-filter>
+  </card:filter>
+  <card:limit><card:nresults>5</card:nresults></card:limit>
+</card:addressbook-query>`;
+
+const CONTACT = {
+  id: '0b7f4a51-8c3e-4f6a-9d1e-2a3b4c5d6e7f',
+  name: 'Jane Doe',
+  emails: [{ label: 'home', value: 'jane@example.com' }],
+  phones: [{ label: 'mobile', value: '+1 555 0100' }]
+};
+
+class CardDavTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('📇 Testing CardDAV...\n');
+
+    this.testXml();
+    this.testSyncTokens();
+    this.testFilters();
+    this.testPreconditions();
+    this.testBasicAuth();
+    this.generateReport();
+  }
+
+  testXml() {
+    console.log('🧾 Testing XML...');
+
+    const body = carddavXml.parseBody(PROPFIND);
+    this.addResult('Root element parsed', body && body.name === 'propfind' && body.ns === NS.DAV, `Got: ${body && body.name}`);
+    this.addResult('Empty body allowed', carddavXml.parseBody('').root === null, 'Expected root null');
+    this.addResult('Invalid XML rejected', carddavXml.parseBody('<d:propfind xmlns:d="DAV:"><d:prop>') === null, 'Expected null');
+
+    const props = carddavXml.requestedProps(body.root);
+    this.addResult('Requested props with namespaces', props.length === 3 && props[1].ns === NS.CS && props[2].name === 'color',
+      `Got: ${JSON.stringify(props.map(p => `${p.ns}|${p.name}`))}`);
+
+    const available = new Map([[carddavXml.key(NS.DAV, 'getetag'), '&quot;abc&quot;']]);
+    const xml = carddavXml.propResponse('/carddav/jane/contacts/', available, props);
+    this.addResult('Found props answered with 200', /<d:getetag>&quot;abc&quot;<\/d:getetag>.*200 OK/.test(xml), xml);
+    this.addResult('Unknown props answered with 404 in their namespace',
+      /<cs:getctag\/><x:color xmlns:x="http:\/\/example.com\/ns\/"\/>.*404 Not Found/.test(xml), xml);
+    this.addResult('Href escaped', carddavXml.hrefXml('/a&b/') === '<d:href>/a&amp;b/</d:href>', carddavXml.hrefXml('/a&b/'));
+  }
+
+  testSyncTokens() {
+    console.log('\n🔄 Testing Sync Tokens...');
+
+    const token = carddavService.syncToken(42);
+    this.addResult('Token round trip', carddavService.parseSyncToken(token) === 42, `Got: ${token}`);
+    this.addResult('Empty token is initial sync', carddavService.parseSyncToken('') === 0, 'Expected 0');
+    this.addResult('Foreign token rejected', carddavService.parseSyncToken('http://other/sync/1') === null, 'Expected null');
+    this.addResult('Malformed revision rejected', carddavService.parseSyncToken(`${token}x`) === null, 'Expected null');
+  }
+
+  testFilters() {
+    console.log('\n🔍 Testing Query Filters...');
+
+    const query = carddavXml.parseBody(QUERY);
+    const filter = carddavXml.queryFilter(query.root);
+    this.addResult('Filter parsed', filter.test === 'allof' && filter.propFilters[0].name === 'FN' && filter.propFilters[1].textMatches[0].negate,
+      `Got: ${JSON.stringify(filter)}`);
+    this.addResult('Limit parsed', carddavXml.limitOf(query.root) === 5, `Got: ${carddavXml.limitOf(query.root)}`);
+    this.addResult('Matching contact kept', carddavService.matchesFilter(CONTACT, filter), 'Expected match');
+    this.addResult('Negated text match excludes', !carddavService.matchesFilter({ ...CONTACT, emails: [{ label: 'work', value: 'jane@example.org' }] }, filter),
+      'Expected no match');
+    this.addResult('Starts-with checked', !carddavService.matchesFilter({ ...CONTACT, name: 'Mary Jane' }, filter), 'Expected no match');
+    this.addResult('No filter matches all', carddavService.matchesFilter(CONTACT, null), 'Expected match');
+  }
+
+  testPreconditions() {
+    console.log('\n🏷️ Testing ETag Preconditions...');
+
+    const etag = carddavService.etag(CONTACT);
+    this.addResult('ETag changes with the card', etag !== carddavService.etag({ ...CONTACT, name: 'Jane M. Doe' }), `Got: ${etag}`);
+
+    const check = (existing, conditions) => {
+      try {
+        carddavService.checkPreconditions(existing, conditions);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    this.addResult('Matching If-Match passes', check(CONTACT, { ifMatch: etag }) === true, 'Expected pass');
+    this.addResult('Stale If-Match fails', check(CONTACT, { ifMatch: '"stale"' }) === 'Precondition failed', 'Expected 412');
+    this.addResult('If-None-Match * fails for existing card', check(CONTACT, { ifNoneMatch: '*' }) === 'Precondition failed', 'Expected 412');
+    this.addResult('If-None-Match * passes for new card', check(null, { ifNoneMatch: '*' }) === true, 'Expected pass');
+    this.addResult('Error mapped to status', carddavService.statusFor(new Error('Precondition failed')) === 412, 'Expected 412');
+  }
+
+  testBasicAuth() {
+    console.log('\n🔑 Testing Basic Auth...');
+
+    const basic = value => ({ headers: { authorization: `Basic ${Buffer.from(value).toString('base64')}` }, query: {} });
+    const req = basic('jane@example.com:daysave_secret');
+
+    const credentials = extractBasicCredentials(req) || {};
+    this.addResult('User name and key parsed', credentials.username === 'jane@example.com' && credentials.password === 'daysave_secret',
+      `Got: ${JSON.stringify(credentials)}`);
+    this.addResult('Basic key only when opted in', extractApiKey(req, { allowBasicAuth: true }) === 'daysave_secret' && extractApiKey(req) === null,
+      `Got: ${extractApiKey(req)}`);
+    this.addResult('Empty user name rejected', extractBasicCredentials(basic(':daysave_secret')) === null, 'Expected null');
+
+    const owner = { username: 'jane', email: 'Jane@Example.com' };
+    this.addResult('Owner user name or email accepted', isKeyOwner('jane', owner) && isKeyOwner('jane@example.com', owner), 'Expected match');
+    this.addResult('Other user name refused', !isKeyOwner('anyone', owner) && !isKeyOwner('jane', null), 'Expected no match');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CARDDAV TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 CardDAV tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All CardDAV tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new CardDavTest();
+  test.run();
+}
+
+module.exports = CardDavTest;
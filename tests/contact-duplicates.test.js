@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Duplicates Test
+ *
+ * Verifies normalization, pair scoring, candidate search and field merging used by duplicate contact detection
+ */
+
+const contactMatcher = require('../services/contactMatcher');
+
+const CONTACTS = [
+  { id: 'a1', name: 'Jane Doe', emails: [{ label: 'home', value: 'Jane.Doe@Gmail.com' }], phones: [] },
+  { id: 'a2', name: 'J. Doe', emails: [{ label: 'work', value: 'janedoe+news@googlemail.com' }], phones: [] },
+  { id: 'b1', name: 'Robert Smith', emails: [], phones: [{ label: 'mobile', value: '+44 20 7946 0000' }] },
+  { id: 'b2', name: 'Bob', emails: [], phones: [{ label: 'home', value: '020 7946 0000' }] },
+  { id: 'c1', name: 'Jonathan Miller', emails: [], phones: [] },
+  { id: 'c2', name: 'Jonathon Miller', emails: [], phones: [] },
+  { id: 'd1', name: 'Alice Walker', emails: [{ label: 'home', value: 'alice@example.com' }], phones: [] },
+  { id: 'd2', name: 'Alan Walker', emails: [{ label: 'home', value: 'alan@example.com' }], phones: [] }
+];
+
+class ContactDuplicatesTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('👥 Testing Duplicate Contact Detection...\n');
+
+    this.testNormalization();
+    this.testScoring();
+    this.testCombine();
+    this.generateReport();
+  }
+
+  testNormalization() {
+    console.log('🔤 Testing Normalization...');
+
+    const email = contactMatcher.normalizeEmail('J.Doe+tag@GoogleMail.com');
+    this.addResult('Gmail dots, tag and domain', email === 'jdoe@gmail.com', `Got: ${email}`);
+    const other = contactMatcher.normalizeEmail('j.doe+tag@example.com');
+    this.addResult('Dots kept outside Gmail', other === 'j.doe@example.com', `Got: ${other}`);
+    const phone = contactMatcher.normalizePhone('+44 (20) 7946-0000');
+    this.addResult('International and local phone match', phone === contactMatcher.normalizePhone('020 7946 0000'), `Got: ${phone}`);
+    this.addResult('Short numbers ignored', contactMatcher.normalizePhone('112') === null, 'Expected null');
+    const initials = contactMatcher.nameSimilarity('J. Doe', 'Jane Doe');
+    this.addResult('Initial matches first name', initials >= 0.9, `Got: ${initials}`);
+    const order = contactMatcher.nameSimilarity('Doe, Jane', 'Jane Doe');
+    this.addResult('Name order ignored', order === 1, `Got: ${order}`);
+    const accents = contactMatcher.nameSimilarity('José Álvarez', 'Jose Alvarez');
+    this.addResult('Accents ignored', accents === 1, `Got: ${accents}`);
+  }
+
+  testScoring() {
+    console.log('\n📊 Testing Scoring...');
+
+    const candidates = contactMatcher.findCandidates(CONTACTS);
+    const pair = (id1, id2) => candidates.find(c => c.contact_id_1 === id1 && c.contact_id_2 === id2);
+
+    this.addResult('Same Gmail address found', Boolean(pair('a1', 'a2')), JSON.stringify(pair('a1', 'a2')));
+    this.addResult('Email and name score higher', pair('a1', 'a2') && pair('a1', 'a2').score > pair('b1', 'b2').score, 'Expected a1/a2 above b1/b2');
+    this.addResult('Same phone found', Boolean(pair('b1', 'b2')), JSON.stringify(pair('b1', 'b2')));
+    this.addResult('Similar name found', Boolean(pair('c1', 'c2')), JSON.stringify(pair('c1', 'c2')));
+    this.addResult('Reasons listed', pair('c1', 'c2') && /Similar name/.test(pair('c1', 'c2').reasons[0]), JSON.stringify(pair('c1', 'c2') && pair('c1', 'c2').reasons));
+    this.addResult('Different people not matched', !pair('d1', 'd2'), JSON.stringify(pair('d1', 'd2')));
+    this.addResult('Sorted by score', candidates.every((c, i) => i === 0 || candidates[i - 1].score >= c.score), 'Expected descending scores');
+  }
+
+  testCombine() {
+    console.log('\n🔀 Testing Field Merging...');
+
+    const primary = {
+      name: 'Jane Doe',
+      nickname: '',
+      organization: 'Acme',
+      emails: [{ label: 'home', value: 'jane.doe@gmail.com' }],
+      phones: JSON.stringify([{ label: 'mobile', value: '555 0100 00' }])
+    };
+    const duplicate = {
+      name: 'Jane M. Doe',
+      nickname: 'JD',
+      organization: 'Acme Corp',
+      emails: [{ label: 'work', value: 'janedoe@gmail.com' }, { label: 'work', value: 'jane@acme.com' }],
+      phones: [{ label: 'home', value: '5550100 00' }]
+    };
+
+    const kept = contactMatcher.combineFields(primary, duplicate, {});
+    this.addResult('Primary scalar kept', kept.name === 'Jane Doe' && kept.organization === 'Acme', `Got: ${kept.name} / ${kept.organization}`);
+    this.addResult('Empty scalar filled', kept.nickname === 'JD', `Got: ${kept.nickname}`);
+    this.addResult('Emails combined without duplicates', kept.emails.length === 2, `Got: ${JSON.stringify(kept.emails)}`);
+    this.addResult('Phones deduplicated across formats', kept.phones.length === 1, `Got: ${JSON.stringify(kept.phones)}`);
+
+    const chosen = contactMatcher.combineFields(primary, duplicate, { name: 'duplicate' });
+    this.addResult('Choice takes duplicate value', chosen.name === 'Jane M. Doe', `Got: ${chosen.name}`);
+    this.addResult('Unset list fields become empty lists', Array.isArray(chosen.addresses) && chosen.addresses.length === 0, `Got: ${JSON.stringify(chosen.addresses)}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTACT DUPLICATE TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Contact duplicate tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All contact duplicate tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContactDuplicatesTest();
+  test.run();
+}
+
+module.exports = ContactDuplicatesTest;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Graph Test
+ *
+ * Verifies relationship inverses, graph building, depth-limited traversal and shortest paths used by the relationship graph
+ */
+
+const contactGraph = require('../services/contactGraph');
+
+const CONTACTS = [
+  { id: 'ann', name: 'Ann' },
+  { id: 'bob', name: 'Bob', organization: 'Acme' },
+  { id: 'cat', name: 'Cat' },
+  { id: 'dan', name: 'Dan' },
+  { id: 'eve', name: 'Eve' },
+  { id: 'zed', name: 'Zed' }
+];
+
+const ROWS = [
+  { id: 'r1', contact_id_1: 'ann', contact_id_2: 'bob', type: 'Mother', source: 'contact_relation' },
+  { id: 'r2', contact_id_1: 'bob', contact_id_2: 'cat', type: 'boss', source: 'contact_relation' },
+  { id: 'r3', contact_id_1: 'cat', contact_id_2: 'dan', type: 'Friend', source: 'relationship' },
+  { id: 'r4', contact_id_1: 'dan', contact_id_2: 'cat', type: 'Friend', source: 'contact_relation' },
+  { id: 'r5', contact_id_1: 'eve', contact_id_2: 'ann', type: 'Emergency Contact', source: 'contact_relation' },
+  { id: 'r6', contact_id_1: 'ann', contact_id_2: 'ghost', type: 'Friend', source: 'contact_relation' }
+];
+
+class ContactGraphTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🕸️ Testing Contact Relationship Graph...\n');
+
+    this.testTypes();
+    this.testBuild();
+    this.testTraversal();
+    this.testPaths();
+    this.generateReport();
+  }
+
+  testTypes() {
+    console.log('🏷️ Testing Relationship Types...');
+
+    this.addResult('Parent inverts to Child', contactGraph.inverseOf('Parent') === 'Child', `Got: ${contactGraph.inverseOf('Parent')}`);
+    this.addResult('Gendered type inverts to neutral', contactGraph.inverseOf('Mother') === 'Child', `Got: ${contactGraph.inverseOf('Mother')}`);
+    this.addResult('Case ignored', contactGraph.inverseOf('boss') === 'Employee', `Got: ${contactGraph.inverseOf('boss')}`);
+    this.addResult('Unknown type has no inverse', contactGraph.inverseOf('Godparent') === null, `Got: ${contactGraph.inverseOf('Godparent')}`);
+    this.addResult('Category from taxonomy', contactGraph.categoryOf('Mentor') === 'professional', `Got: ${contactGraph.categoryOf('Mentor')}`);
+    this.addResult('Inverse-only type categorized', contactGraph.categoryOf('Grandchild') === 'family', `Got: ${contactGraph.categoryOf('Grandchild')}`);
+  }
+
+  testBuild() {
+    console.log('\n🧱 Testing Graph Building...');
+
+    const graph = contactGraph.buildGraph(CONTACTS, ROWS);
+    const edge = (source, target) => graph.edges.filter(e => e.source === source && e.target === target);
+
+    this.addResult('Isolated contacts left out', !graph.nodes.some(n => n.id === 'zed') && graph.nodes.length === 5, `Got: ${graph.nodes.map(n => n.id)}`);
+    this.addResult('Unknown contacts skipped', !graph.edges.some(e => e.target === 'ghost' || e.source === 'ghost'), 'Expected no ghost edges');
+    this.addResult('Inverse inferred', edge('bob', 'ann').length === 1 && edge('bob', 'ann')[0].type === 'Child' && edge('bob', 'ann')[0].inferred,
+      JSON.stringify(edge('bob', 'ann')));
+    this.addResult('Type normalized to taxonomy', edge('bob', 'cat')[0].type === 'Boss', JSON.stringify(edge('bob', 'cat')));
+    this.addResult('Stored edge not duplicated by inference', edge('dan', 'cat').length === 1 && !edge('dan', 'cat')[0].inferred,
+      JSON.stringify(edge('dan', 'cat')));
+    this.addResult('Unknown inverse labelled', edge('ann', 'eve')[0].type === 'Emergency Contact (inverse)', JSON.stringify(edge('ann', 'eve')));
+    this.addResult('Edge category kept on inverse', edge('cat', 'bob')[0].category === 'professional', JSON.stringify(edge('cat', 'bob')));
+  }
+
+  testTraversal() {
+    console.log('\n🚶 Testing Traversal...');
+
+    const graph = contactGraph.buildGraph(CONTACTS, ROWS);
+    const one = contactGraph.neighborhood(graph, 'bob', 1);
+    this.addResult('Depth 1 reaches direct relations', one.nodes.map(n => n.id).sort().join() === 'ann,bob,cat', `Got: ${one.nodes.map(n => n.id)}`);
+    this.addResult('Edges limited to reached contacts', one.edges.every(e => e.source !== 'dan' && e.target !== 'dan'), 'Expected no dan edges');
+    const two = contactGraph.neighborhood(graph, 'bob', 2);
+    const dan = two.nodes.find(n => n.id === 'dan');
+    this.addResult('Depth recorded per contact', dan && dan.depth === 2, JSON.stringify(dan));
+    const capped = contactGraph.neighborhood(graph, 'bob', 99);
+    this.addResult('Depth capped', capped.depth === contactGraph.MAX_DEPTH, `Got: ${capped.depth}`);
+    const alone = contactGraph.neighborhood(graph, 'zed', 2, CONTACTS[5]);
+    this.addResult('Contact without relations returned alone', alone.nodes.length === 1 && alone.edges.length === 0, JSON.stringify(alone));
+  }
+
+  testPaths() {
+    console.log('\n🧭 Testing Shortest Paths...');
+
+    const graph = contactGraph.buildGraph(CONTACTS, ROWS);
+    const path = contactGraph.shortestPath(graph, 'eve', 'dan');
+    this.addResult('Path found across directions', path && path.map(s => s.to).join() === 'ann,bob,cat,dan', JSON.stringify(path));
+    this.addResult('Steps read from the first contact', path && path[0].type === 'Emergency Contact' && path[1].type === 'Mother', JSON.stringify(path));
+    const back = contactGraph.shortestPath(graph, 'cat', 'ann');
+    this.addResult('Inferred steps flagged', back && back.length === 2 && back[0].type === 'Employee' && back[0].inferred, JSON.stringify(back));
+    this.addResult('Not connected', contactGraph.shortestPath(graph, 'ann', 'zed') === null, 'Expected null');
+    this.addResult('Same contact', contactGraph.shortestPath(graph, 'ann', 'ann').length === 0, 'Expected []');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTACT GRAPH TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Contact graph tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All contact graph tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContactGraphTest();
+  test.run();
+}
+
+module.exports = ContactGraphTest;
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Reminders Test
+ *
+ * Verifies date parsing, next occurrences, upcoming date lists and keep-in-touch due dates used by contact reminders
+ */
+
+const contactReminders = require('../services/contactReminders');
+
+const TODAY = '2025-08-20';
+
+const CONTACTS = [
+  { id: 'a', name: 'Ann', dates: [{ label: 'birthday', value: '1990-08-25' }] },
+  { id: 'b', name: 'Bob', dates: JSON.stringify([{ label: 'Wedding anniversary', value: '--08-20' }]) },
+  { id: 'c', name: 'Cat', dates: [{ label: 'birthday', value: '1985-07-01' }, { label: 'name day', value: '2000-09-10' }] },
+  { id: 'd', name: 'Dan', dates: [{ label: 'birthday', value: 'sometime in spring' }] }
+];
+
+class ContactRemindersTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🎂 Testing Contact Reminders...\n');
+
+    this.testParsing();
+    this.testOccurrences();
+    this.testUpcoming();
+    this.testKeepInTouch();
+    this.generateReport();
+  }
+
+  testParsing() {
+    console.log('📅 Testing Date Parsing...');
+
+    const full = contactReminders.parseDate('1985-04-15');
+    this.addResult('Full date parsed', full && full.year === 1985 && full.month === 4 && full.day === 15, JSON.stringify(full));
+    const compact = contactReminders.parseDate('19850415');
+    this.addResult('vCard basic format parsed', compact && compact.month === 4, JSON.stringify(compact));
+    const noYear = contactReminders.parseDate('--0415');
+    this.addResult('Date without year parsed', noYear && noYear.year === null && noYear.day === 15, JSON.stringify(noYear));
+    this.addResult('Invalid dates rejected', contactReminders.parseDate('1985-13-01') === null && contactReminders.parseDate('soon') === null, 'Expected null');
+    this.addResult('Kinds from labels', contactReminders.dateKind('Birthday') === 'birthday' && contactReminders.dateKind('wedding') === 'anniversary' &&
+      contactReminders.dateKind('name day') === 'date', 'Expected birthday / anniversary / date');
+  }
+
+  testOccurrences() {
+    console.log('\n🔁 Testing Next Occurrences...');
+
+    const later = contactReminders.nextOccurrence('1990-08-25', TODAY);
+    this.addResult('Later this year', later.date === '2025-08-25' && later.days === 5 && later.years === 35, JSON.stringify(later));
+    const today = contactReminders.nextOccurrence('--08-20', TODAY);
+    this.addResult('Today counts', today.days === 0 && today.years === null, JSON.stringify(today));
+    const passed = contactReminders.nextOccurrence('1985-07-01', TODAY);
+    this.addResult('Passed dates roll to next year', passed.date === '2026-07-01' && passed.years === 41, JSON.stringify(passed));
+    const leap = contactReminders.nextOccurrence('2000-02-29', TODAY);
+    this.addResult('29 February on 28 February in other years', leap.date === '2026-02-28', JSON.stringify(leap));
+    const yearEnd = contactReminders.nextOccurrence('--01-02', '2025-12-30');
+    this.addResult('Days counted across the year end', yearEnd.days === 3, JSON.stringify(yearEnd));
+  }
+
+  testUpcoming() {
+    console.log('\n📋 Testing Upcoming Dates...');
+
+    const upcoming = contactReminders.upcomingDates(CONTACTS, TODAY, 30);
+    this.addResult('Dates within range listed soonest first', upcoming.map(i => i.contact.id).join() === 'b,a,c', JSON.stringify(upcoming.map(i => [i.contact.id, i.days])));
+    this.addResult('JSON string dates read', upcoming[0].kind === 'anniversary', JSON.stringify(upcoming[0]));
+    this.addResult('Unparseable dates skipped', !upcoming.some(i => i.contact.id === 'd'), 'Expected no entry for Dan');
+    const week = contactReminders.upcomingDates(CONTACTS, TODAY, 7);
+    this.addResult('Lead time respected', week.length === 2, `Got: ${week.length}`);
+  }
+
+  testKeepInTouch() {
+    console.log('\n🤝 Testing Keep in Touch...');
+
+    const contact = { keep_in_touch_weeks: 2, createdAt: new Date(2025, 6, 1) };
+    const fromCreation = contactReminders.keepInTouchStatus(contact, null, TODAY);
+    this.addResult('Due from creation without interactions', fromCreation.due_date === '2025-07-15' && fromCreation.days === -36, JSON.stringify(fromCreation));
+    const recent = contactReminders.keepInTouchStatus(contact, new Date(2025, 7, 18, 15, 30), TODAY);
+    this.addResult('Due from last interaction', recent.due_date === '2025-09-01' && recent.days === 12, JSON.stringify(recent));
+    this.addResult('No cadence', contactReminders.keepInTouchStatus({ keep_in_touch_weeks: null }, null, TODAY) === null, 'Expected null');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTACT REMINDER TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Contact reminder tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All contact reminder tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContactRemindersTest();
+  test.run();
+}
+
+module.exports = ContactRemindersTest;
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Timeline Test
+ *
+ * Verifies how share logs, mentions, media appearances and audit log entries become timeline events, and how the timeline is filtered and paged
+ */
+
+const contactTimeline = require('../services/contactTimeline');
+
+const CONTENT = { id: 'content-1', generated_title: 'Team offsite', url: 'https://example.com/v', createdAt: '2025-08-10T10:00:00Z' };
+const FILE = { id: 'file-1', generated_title: null, filename: 'call.mp3', createdAt: '2025-08-12T10:00:00Z' };
+
+class ContactTimelineTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🕒 Testing Contact Timeline...\n');
+
+    this.testFilters();
+    this.testEvents();
+    this.testTimeline();
+    this.generateReport();
+  }
+
+  testFilters() {
+    console.log('🔎 Testing Filters...');
+
+    const defaults = contactTimeline.parseFilters({});
+    this.addResult('All types by default', defaults.types.join(',') === contactTimeline.EVENT_TYPES.join(','), defaults.types.join(','));
+    this.addResult('Default paging', defaults.page === 1 && defaults.limit === contactTimeline.DEFAULT_LIMIT, `${defaults.page}/${defaults.limit}`);
+
+    const parsed = contactTimeline.parseFilters({ types: 'share, edit,bogus,share', from: '2025-08-01', to: '2025-08-31', page: '3', limit: '500' });
+    this.addResult('Known types only, deduplicated', parsed.types.join(',') === 'share,edit', parsed.types.join(','));
+    this.addResult('From starts the day', parsed.from.getHours() === 0 && parsed.from.getDate() === 1, String(parsed.from));
+    this.addResult('To ends the day', parsed.to.getHours() === 23 && parsed.to.getMinutes() === 59, String(parsed.to));
+    this.addResult('Limit capped', parsed.limit === contactTimeline.MAX_LIMIT && parsed.page === 3, `${parsed.page}/${parsed.limit}`);
+
+    const invalid = contactTimeline.parseFilters({ from: 'yesterday', to: '2025-13-45', page: '-1' });
+    this.addResult('Invalid dates ignored', invalid.from === null && invalid.to === null, `${invalid.from}/${invalid.to}`);
+    this.addResult('Invalid page falls back', invalid.page === 1, String(invalid.page));
+  }
+
+  testEvents() {
+    console.log('\n🧩 Testing Events...');
+
+    const text = `${'a'.repeat(100)} met Alice Smith at the offsite ${'b'.repeat(100)}`;
+    const excerpt = contactTimeline.snippet(text, 'alice smith');
+    this.addResult('Snippet around the name', excerpt.startsWith('…') && excerpt.endsWith('…') && excerpt.includes('Alice Smith'), excerpt);
+    this.addResult('Snippet without the name', contactTimeline.snippet(text, 'Bob') === null, 'Expected null');
+
+    const share = contactTimeline.shareEvent({ id: 'l1', action: 'created', share_method: 'contact', createdAt: CONTENT.createdAt, Content: CONTENT });
+    this.addResult('Share event', share.type === 'share' && share.title === 'Shared' && share.item.title === 'Team offsite' && share.detail === null,
+      JSON.stringify(share));
+    const groupShare = contactTimeline.shareEvent({ id: 'l2', action: 'viewed', share_method: 'contact_group', createdAt: FILE.createdAt, File: FILE });
+    this.addResult('Group share event', groupShare.title === 'Opened' && groupShare.detail !== null && groupShare.item.title === 'call.mp3',
+      JSON.stringify(groupShare));
+
+    const mention = contactTimeline.mentionEvent('content', { ...CONTENT, summary: 'Nothing here', transcription: 'Then Ali joined' }, ['Alice Smith', 'Ali']);
+    this.addResult('Mention event uses nickname', mention.type === 'mention' && mention.detail.includes('Ali joined') && mention.item.type === 'content',
+      JSON.stringify(mention));
+
+    const seen = contactTimeline.appearanceEvent('file', FILE, { face: true, voice: true });
+    const heard = contactTimeline.appearanceEvent('file', FILE, { face: false, voice: true });
+    this.addResult('Appearance event', seen.title === 'Seen and heard' && heard.title === 'Heard' && heard.item.id === 'file-1',
+      `${seen.title}/${heard.title}`);
+
+    const edit = contactTimeline.editEvent({ id: 'a1', action: 'CONTACT_UPDATED', details: { fields: ['emails', 'notes'] }, createdAt: FILE.createdAt });
+    this.addResult('Edit event lists fields', edit.title === 'Contact edited' && edit.detail === 'Changed: emails, notes' && edit.item === null,
+      JSON.stringify(edit));
+    const unknown = contactTimeline.editEvent({ id: 'a2', action: 'SOMETHING_ELSE', details: null, createdAt: FILE.createdAt });
+    this.addResult('Unknown action readable', unknown.title === 'Something else' && unknown.detail === null, unknown.title);
+  }
+
+  testTimeline() {
+    console.log('\n📜 Testing Timeline...');
+
+    const events = [
+      contactTimeline.shareEvent({ id: 'l1', action: 'created', createdAt: '2025-08-01T10:00:00Z', Content: CONTENT }),
+      contactTimeline.appearanceEvent('content', { ...CONTENT, createdAt: '2025-08-05T10:00:00Z' }, { face: true, voice: false }),
+      contactTimeline.editEvent({ id: 'a1', action: 'CONTACT_CREATED', createdAt: '2025-07-20T10:00:00Z' }),
+      contactTimeline.editEvent({ id: 'a2', action: 'CONTACT_UPDATED', createdAt: '2025-08-20T10:00:00Z' }),
+      contactTimeline.editEvent({ id: 'a3', action: 'CONTACT_UPDATED', createdAt: 'not a date' })
+    ];
+
+    const all = contactTimeline.buildTimeline(events, contactTimeline.parseFilters({}));
+    this.addResult('Newest first, invalid dates dropped', all.total === 4 && all.events[0].id === 'edit:a2' && all.events[3].id === 'edit:a1',
+      all.events.map(event => event.id).join(','));
+    this.addResult('Counts per type', all.counts.edit === 2 && all.counts.share === 1 && all.counts.mention === 0, JSON.stringify(all.counts));
+
+    const edits = contactTimeline.buildTimeline(events, contactTimeline.parseFilters({ types: 'edit' }));
+    this.addResult('Type filter', edits.total === 2 && edits.events.every(event => event.type === 'edit'), String(edits.total));
+
+    const ranged = contactTimeline.buildTimeline(events, contactTimeline.parseFilters({ from: '2025-08-01', to: '2025-08-10' }));
+    this.addResult('Date range', ranged.total === 2 && ranged.events.map(event => event.type).join(',') === 'appearance,share',
+      ranged.events.map(event => event.id).join(','));
+
+    const paged = contactTimeline.buildTimeline(events, contactTimeline.parseFilters({ page: 2, limit: 3 }));
+    this.addResult('Paging', paged.pages === 2 && paged.events.length === 1 && paged.events[0].id === 'edit:a1',
+      `${paged.page}/${paged.pages}: ${paged.events.map(event => event.id).join(',')}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTACT TIMELINE TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Contact timeline tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All contact timeline tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContactTimelineTest();
+  test.run();
+}
+
+module.exports = ContactTimelineTest;
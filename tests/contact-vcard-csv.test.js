@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Contact vCard / CSV Test
+ *
+ * Verifies vCard parsing and writing and CSV column mapping used by contact import/export
+ */
+
+const vcardService = require('../services/vcardService');
+const contactCsvService = require('../services/contactCsvService');
+
+const SAMPLE_VCARD = [
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  'N:Doe;Jane;;Dr.;',
+  'ORG:Example\\, Inc.;Research',
+  'TEL;TYPE=CELL,VOICE:+1 555 0100',
+  'item1.EMAIL;TYPE=INTERNET:jane@example.com',
+  'item1.X-ABLabel:_$!<Other>!$_',
+  'ADR;TYPE=HOME:;;1 Main St;Springfield;;12345;USA',
+  'BDAY:19850415',
+  'NOTE:Line one\\nLine two with a very long text that needs folding when it is written back ',
+  ' out again',
+  'END:VCARD',
+  'BEGIN:VCARD',
+  'VERSION:2.1',
+  'FN;ENCODING=QUOTED-PRINTABLE;CHARSET=UTF-8:J=C3=BCrgen',
+  'TEL;HOME:555-0101',
+  'END:VCARD',
+  'BEGIN:VCARD',
+  'VERSION:4.0',
+  'TEL:123',
+  'END:VCARD'
+].join('\r\n');
+
+class ContactVcardCsvTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('📇 Testing Contact vCard / CSV Conversion...\n');
+
+    this.testVcardParsing();
+    this.testVcardWriting();
+    this.testCsv();
+    this.generateReport();
+  }
+
+  testVcardParsing() {
+    console.log('📥 Testing vCard Parsing...');
+
+    const cards = vcardService.parse(SAMPLE_VCARD);
+    const jane = cards[0].contact;
+    this.addResult('Three cards', cards.length === 3, `Got: ${cards.length}`);
+    this.addResult('Name from N', jane.name === 'Dr. Jane Doe', `Got: ${jane.name}`);
+    this.addResult('Escaped ORG', jane.organization === 'Example, Inc., Research', `Got: ${jane.organization}`);
+    this.addResult('CELL becomes mobile', jane.phones[0].label === 'mobile', `Got: ${jane.phones[0].label}`);
+    this.addResult('Apple group label', jane.emails[0].label === 'other', `Got: ${jane.emails[0].label}`);
+    this.addResult('Structured address', jane.addresses[0].value === '1 Main St, Springfield, 12345, USA', `Got: ${jane.addresses[0].value}`);
+    this.addResult('Birthday normalized', jane.dates[0].value === '1985-04-15', `Got: ${jane.dates[0].value}`);
+    this.addResult('Unfolded note', jane.notes[0].value.endsWith('written back out again') && jane.notes[0].value.includes('\n'), `Got: ${JSON.stringify(jane.notes[0].value)}`);
+    this.addResult('Quoted-printable 2.1', cards[1].contact.name === 'Jürgen', `Got: ${cards[1].contact.name}`);
+    this.addResult('Bare 2.1 type', cards[1].contact.phones[0].label === 'home', `Got: ${cards[1].contact.phones[0].label}`);
+    this.addResult('Card without name reported', cards[2].error !== null, `Got: ${cards[2].error}`);
+  }
+
+  testVcardWriting() {
+    console.log('\n📤 Testing vCard Writing...');
+
+    const contact = vcardService.parse(SAMPLE_VCARD)[0].contact;
+    const v3 = vcardService.serialize(contact, '3.0');
+    const v4 = vcardService.serialize(contact, '4.0');
+    const lines = v3.split('\r\n');
+    this.addResult('Lines folded at 75 octets', lines.every(line => Buffer.byteLength(line) <= 75), `Longest: ${Math.max(...lines.map(l => Buffer.byteLength(l)))}`);
+    this.addResult('3.0 type casing', v3.includes('TEL;TYPE=CELL:+1 555 0100'), v3.split('\r\n').find(l => l.startsWith('TEL')));
+    this.addResult('4.0 date format', v4.includes('BDAY:19850415'), v4.split('\r\n').find(l => l.startsWith('BDAY')));
+
+    const roundTrip = vcardService.parse(v4)[0].contact;
+    this.addResult('Round trip keeps name', roundTrip.name === contact.name, `Got: ${roundTrip.name}`);
+    this.addResult('Round trip keeps note', roundTrip.notes[0].value === contact.notes[0].value, `Got: ${JSON.stringify(roundTrip.notes[0].value)}`);
+    this.addResult('Round trip keeps organization', roundTrip.organization === contact.organization, `Got: ${roundTrip.organization}`);
+  }
+
+  testCsv() {
+    console.log('\n📊 Testing CSV Mapping...');
+
+    const csv = 'Given Name,Family Name,E-mail 1 - Type,E-mail 1 - Value,Home Phone,Notes\r\n' +
+      'Ann,Lee,* Work,"ann@work.com ::: ann@home.com","555, ext 2","Said ""hi""\nTwice"\r\n' +
+      ',,,,,\r\n';
+    const { headers, rows } = contactCsvService.parse(csv);
+    const mapping = contactCsvService.suggestMapping(headers);
+    const fields = mapping.map(m => m.field).join(',');
+    this.addResult('Blank rows skipped', rows.length === 1, `Got: ${rows.length}`);
+    this.addResult('Suggested mapping', fields === 'first_name,last_name,label,email,phone,note', `Got: ${fields}`);
+
+    const contact = contactCsvService.rowToContact(rows[0], mapping);
+    this.addResult('Name from parts', contact.name === 'Ann Lee', `Got: ${contact.name}`);
+    this.addResult('Split multi values', contact.emails.length === 2, `Got: ${contact.emails.length}`);
+    this.addResult('Paired type label', contact.emails[0].label === 'work', `Got: ${contact.emails[0].label}`);
+    this.addResult('Label from header', contact.phones[0].label === 'home' && contact.phones[0].value === '555, ext 2', `Got: ${JSON.stringify(contact.phones[0])}`);
+    this.addResult('Quotes and newlines', contact.notes[0].value === 'Said "hi"\nTwice', `Got: ${JSON.stringify(contact.notes[0].value)}`);
+
+    const exported = contactCsvService.parse(contactCsvService.serialize([contact]));
+    const reimported = contactCsvService.rowToContact(exported.rows[0], contactCsvService.suggestMapping(exported.headers));
+    this.addResult('CSV round trip', JSON.stringify(reimported) === JSON.stringify(contact), `Got: ${JSON.stringify(reimported)}`);
+
+    const formulas = ['=HYPERLINK("http://evil")', '+1 555 0100', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'];
+    const escaped = formulas.map(value => contactCsvService.escapeCell(value));
+    this.addResult('Formula cells prefixed', escaped.every(cell => /^"?'/.test(cell)), `Got: ${JSON.stringify(escaped)}`);
+    this.addResult('Plain cells unchanged', contactCsvService.escapeCell('Ann Lee') === 'Ann Lee' && contactCsvService.escapeCell("O'Brien") === "O'Brien",
+      `Got: ${contactCsvService.escapeCell("O'Brien")}`);
+
+    const risky = { ...contact, name: '=cmd|calc', phones: [{ label: 'mobile', value: '+1 555 0100' }] };
+    const riskyExport = contactCsvService.parse(contactCsvService.serialize([risky]));
+    const riskyImport = contactCsvService.rowToContact(riskyExport.rows[0], contactCsvService.suggestMapping(riskyExport.headers));
+    this.addResult('Prefix removed on import', riskyImport.name === '=cmd|calc' && riskyImport.phones[0].value === '+1 555 0100',
+      `Got: ${riskyImport.name} / ${riskyImport.phones[0] && riskyImport.phones[0].value}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTACT VCARD/CSV TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Contact vCard/CSV tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All contact vCard/CSV tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContactVcardCsvTest();
+  test.run();
+}
+
+module.exports = ContactVcardCsvTest;
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Content Groups Test
+ *
+ * Verifies the nesting rules for content groups (own parent, cycles, depth including the moved
+ * group's sub-groups) and that group covers are resolved in a fixed number of queries
+ */
+
+const { Thumbnail, ContentGroupMember } = require('../models');
+const contentGroupService = require('../services/contentGroupService');
+
+// a > b > c > d, plus a separate tree x > y
+const GROUPS = [
+  { id: 'a', parent_id: null },
+  { id: 'b', parent_id: 'a' },
+  { id: 'c', parent_id: 'b' },
+  { id: 'd', parent_id: 'c' },
+  { id: 'x', parent_id: null },
+  { id: 'y', parent_id: 'x' }
+];
+
+class ContentGroupsTest {
+  constructor() {
+    this.results = [];
+  }
+
+  async run() {
+    console.log('🗂️  Testing Content Groups...\n');
+
+    try {
+      this.testNesting();
+      await this.testCovers();
+    } catch (error) {
+      this.addResult('Content group tests ran', false, error.message);
+    }
+    this.generateReport();
+  }
+
+  testNesting() {
+    console.log('🌳 Testing Nesting...');
+
+    const error = (groupId, parentId) => contentGroupService.nestingError(GROUPS, groupId, parentId);
+
+    this.addResult('Subtree height of a leaf', contentGroupService.subtreeHeight(GROUPS, 'd') === 1, 'Expected 1');
+    this.addResult('Subtree height of a root', contentGroupService.subtreeHeight(GROUPS, 'a') === 4,
+      String(contentGroupService.subtreeHeight(GROUPS, 'a')));
+
+    this.addResult('Own parent rejected', error('b', 'b') === 'A group cannot be its own parent', String(error('b', 'b')));
+    this.addResult('Move into own sub-group rejected', error('b', 'd') === 'A group cannot be moved into one of its sub-groups', String(error('b', 'd')));
+    this.addResult('Unknown parent rejected', error('b', 'zzz') === 'Content group not found', String(error('b', 'zzz')));
+
+    this.addResult('New group at level 5 allowed', error(null, 'd') === null, String(error(null, 'd')));
+    this.addResult('Leaf moved to level 5 allowed', error('y', 'd') === null, String(error('y', 'd')));
+    this.addResult('Two-level tree moved below level 4 rejected', /at most 5 levels/.test(error('x', 'd') || ''), String(error('x', 'd')));
+    this.addResult('Two-level tree moved below level 3 allowed', error('x', 'c') === null, String(error('x', 'c')));
+    this.addResult('Four-level tree moved below a root allowed', error('a', 'x') === null, String(error('a', 'x')));
+    this.addResult('Four-level tree moved below level 2 rejected', /at most 5 levels/.test(error('a', 'y') || ''), String(error('a', 'y')));
+
+    const cyclic = [{ id: 'p', parent_id: 'q' }, { id: 'q', parent_id: 'p' }, { id: 'n', parent_id: null }];
+    this.addResult('Corrupt cycle does not loop', contentGroupService.nestingError(cyclic, 'n', 'p') === null,
+      String(contentGroupService.nestingError(cyclic, 'n', 'p')));
+  }
+
+  async testCovers() {
+    console.log('\n🖼️  Testing Covers...');
+
+    const queries = [];
+    const originalThumbnails = Thumbnail.findAll;
+    const originalMembers = ContentGroupMember.findAll;
+    Thumbnail.findAll = async options => {
+      queries.push('thumbnails');
+      if (options.where.id) return [{ id: 't-cover', file_path: 'thumbs/cover.jpg' }];
+      return [
+        { id: 't1', content_id: 'c1', file_id: null, file_path: 'thumbs/c1.jpg', thumbnail_type: 'main' },
+        { id: 't2', content_id: null, file_id: 'f2', file_path: '/files/serve/thumbs/f2.jpg', thumbnail_type: 'main' }
+      ];
+    };
+    ContentGroupMember.findAll = async () => {
+      queries.push('members');
+      return [
+        { group_id: 'g2', content_id: 'c-none', file_id: null },
+        { group_id: 'g2', content_id: 'c1', file_id: null },
+        { group_id: 'g3', content_id: null, file_id: 'f2' }
+      ];
+    };
+
+    try {
+      const covers = await contentGroupService.getCoverUrls([
+        { id: 'g1', cover_thumbnail_id: 't-cover' },
+        { id: 'g2', cover_thumbnail_id: null },
+        { id: 'g3', cover_thumbnail_id: 'gone' },
+        { id: 'g4', cover_thumbnail_id: null }
+      ]);
+
+      this.addResult('Three queries for four groups', queries.join(',') === 'thumbnails,members,thumbnails', queries.join(','));
+      this.addResult('Explicit cover', covers.get('g1') === '/thumbs/cover.jpg', String(covers.get('g1')));
+      this.addResult('First member with a thumbnail', covers.get('g2') === '/thumbs/c1.jpg', String(covers.get('g2')));
+      this.addResult('Missing explicit cover falls back to members', covers.get('g3') === '/thumbs/f2.jpg', String(covers.get('g3')));
+      this.addResult('Group without members has no cover', !covers.has('g4'), String(covers.get('g4')));
+
+      queries.length = 0;
+      const empty = await contentGroupService.getCoverUrls([]);
+      this.addResult('No groups, no queries', empty.size === 0 && queries.length === 0, queries.join(','));
+    } finally {
+      Thumbnail.findAll = originalThumbnails;
+      ContentGroupMember.findAll = originalMembers;
+    }
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTENT GROUP TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Content group tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All content group tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContentGroupsTest();
+  test.run();
+}
+
+module.exports = ContentGroupsTest;
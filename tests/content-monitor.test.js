@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Content Monitor Test
+ *
+ * Verifies how failed re-checks are classified (removed, private, error), page metadata parsing, change detection
+ * between versions, when a version is stored, how changes are described and that page fetches never reach private
+ * network addresses
+ */
+
+const http = require('http');
+const contentMonitor = require('../services/contentMonitor');
+const contentMonitorService = require('../services/contentMonitorService');
+const webhookService = require('../services/webhookService');
+
+class ContentMonitorTest {
+  constructor() {
+    this.results = [];
+  }
+
+  async run() {
+    console.log('👀 Testing Content Monitor...\n');
+
+    this.testClassification();
+    this.testSnapshots();
+    this.testChanges();
+    this.testSchedule();
+    try {
+      await this.testPrivateAddresses();
+    } catch (error) {
+      this.addResult('Unexpected error', false, error.stack);
+    }
+    this.generateReport();
+  }
+
+  testClassification() {
+    console.log('🚦 Testing Failure Classification...');
+
+    const cases = [
+      ['HTTP status wins', contentMonitor.classifyFailure('Server said hello', 404), 'removed'],
+      ['Gone', contentMonitor.classifyFailure('', 410), 'removed'],
+      ['Forbidden', contentMonitor.classifyFailure('', 403), 'private'],
+      ['yt-dlp unavailable video', contentMonitor.classifyFailure('ERROR: [youtube] abc: Video unavailable'), 'removed'],
+      ['yt-dlp private video', contentMonitor.classifyFailure('ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access'), 'private'],
+      ['Instagram login wall', contentMonitor.classifyFailure('ERROR: [Instagram] xyz: Requested content is not available, rate-limit reached or login required'), 'private'],
+      ['Network error', contentMonitor.classifyFailure('connect ETIMEDOUT 10.0.0.1:443'), 'error'],
+      ['Words containing "login" do not count', contentMonitor.classifyFailure('catalog index unreachable'), 'error']
+    ];
+    for (const [name, actual, expected] of cases) {
+      this.addResult(name, actual === expected, `${actual} (expected ${expected})`);
+    }
+  }
+
+  testSnapshots() {
+    console.log('\n📸 Testing Snapshots...');
+
+    const page = `<html><head><title>Fallback &amp; title</title>
+      <meta content="Bread &amp; butter" property="og:title">
+      <meta name="description" content="  How   to bake
+        bread ">
+    </head></html>`;
+    const metadata = contentMonitor.parseHtmlMetadata(page);
+    this.addResult('Open Graph title preferred', metadata.title === 'Bread & butter', metadata.title);
+    this.addResult('Meta description normalized', metadata.description === 'How to bake bread', metadata.description);
+
+    const plain = contentMonitor.parseHtmlMetadata('<title>Only a title</title>');
+    this.addResult('Title tag fallback', plain.title === 'Only a title' && plain.description === null, plain.title);
+
+    const available = contentMonitor.availableSnapshot({ title: 'Post', comment_count: 12, like_count: 5 }, 200);
+    this.addResult('Available snapshot', available.status === 'available' && available.comment_count === 12 &&
+      available.description === null && available.like_count === undefined, JSON.stringify(available));
+
+    const failed = contentMonitor.failedSnapshot('HTTP 404 Not Found', 404);
+    this.addResult('Failed snapshot', failed.status === 'removed' && failed.http_status === 404 && failed.error === 'HTTP 404 Not Found',
+      JSON.stringify(failed));
+  }
+
+  testChanges() {
+    console.log('\n🔍 Testing Change Detection...');
+
+    const previous = { status: 'available', title: 'Post', description: 'Text', comment_count: 10 };
+    const same = contentMonitor.availableSnapshot({ title: 'Post', description: 'Text', comment_count: 10 });
+    this.addResult('No change', contentMonitor.compareSnapshots(previous, same).length === 0, 'Expected no changes');
+
+    const first = contentMonitor.compareSnapshots(null, same);
+    this.addResult('First check is stored without changes', first.length === 0 && contentMonitor.shouldRecord(null, same, first), 'Baseline');
+
+    const edited = contentMonitor.availableSnapshot({ title: 'Post (edited)', description: 'Text', comment_count: 13 });
+    const changes = contentMonitor.compareSnapshots(previous, edited);
+    this.addResult('Title and comments changed', changes.map(c => c.field).join(',') === 'title,comment_count',
+      changes.map(c => c.field).join(','));
+    this.addResult('Change descriptions', changes.map(contentMonitor.describeChange).join(', ') === 'Title changed, 3 new comments',
+      changes.map(contentMonitor.describeChange).join(', '));
+    this.addResult('Edits are not disappearances', !contentMonitor.isDisappearance(changes), 'content.changed');
+
+    const unknownCount = contentMonitor.availableSnapshot({ title: 'Post', description: 'Text' });
+    this.addResult('Fields a source did not report are ignored', contentMonitor.compareSnapshots(previous, unknownCount).length === 0,
+      'comment_count missing');
+
+    const removed = contentMonitor.failedSnapshot('Video unavailable');
+    const removal = contentMonitor.compareSnapshots(previous, removed);
+    this.addResult('Removal reported alone', removal.length === 1 && removal[0].to === 'removed' && contentMonitor.isDisappearance(removal),
+      contentMonitor.describeChange(removal[0]));
+
+    const back = contentMonitor.compareSnapshots({ status: 'private' }, same);
+    this.addResult('Available again', contentMonitor.describeChange(back[0]) === 'Available again' && !contentMonitor.isDisappearance(back),
+      contentMonitor.describeChange(back[0]));
+
+    const error = contentMonitor.failedSnapshot('socket hang up');
+    const errorChanges = contentMonitor.compareSnapshots(previous, error);
+    this.addResult('Errors are never a change or a version', errorChanges.length === 0 &&
+      !contentMonitor.shouldRecord(previous, error, errorChanges) && !contentMonitor.shouldRecord(null, error, []), error.status);
+
+    this.addResult('Removed comments', contentMonitor.describeChange({ field: 'comment_count', from: 5, to: 4 }) === '1 comment removed',
+      contentMonitor.describeChange({ field: 'comment_count', from: 5, to: 4 }));
+  }
+
+  testSchedule() {
+    console.log('\n⏰ Testing Schedule...');
+
+    this.addResult('Intervals accepted', contentMonitor.parseInterval('168') === 168 && contentMonitor.parseInterval(24) === 24,
+      contentMonitor.WATCH_INTERVALS.join(', '));
+    this.addResult('Other intervals rejected', contentMonitor.parseInterval(1) === null && contentMonitor.parseInterval('daily') === null,
+      'Expected null');
+
+    const next = contentMonitor.nextCheckAt('2025-08-20T10:00:00Z', 6);
+    this.addResult('Next check', next.toISOString() === '2025-08-20T16:00:00.000Z', next.toISOString());
+  }
+
+  async testPrivateAddresses() {
+    console.log('\n🛡️ Testing Private Address Guard...');
+
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:3000/admin', 'http://[::1]/', 'http://10.1.2.3/']) {
+      const snapshot = await contentMonitorService.fetchPage(url);
+      this.addResult(`Refused ${url}`, snapshot.status === 'error' && /private network/.test(snapshot.error) && snapshot.http_status === null,
+        `Got: ${snapshot.status} ${snapshot.error}`);
+    }
+    const ftp = await contentMonitorService.fetchPage('ftp://example.com/file');
+    this.addResult('Other protocols refused', ftp.status === 'error', `Got: ${ftp.error}`);
+
+    // A local server stands in for a public page that redirects to an internal address
+    const hits = [];
+    const server = http.createServer((req, res) => {
+      hits.push(req.url);
+      if (req.url === '/moved') {
+        res.writeHead(302, { Location: '/page' });
+        return res.end();
+      }
+      if (req.url === '/escape') {
+        res.writeHead(301, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><head><title>Public page</title></head></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const original = webhookService.resolvesToPrivateAddress;
+    webhookService.resolvesToPrivateAddress = async host => (host === '127.0.0.1' ? false : original.call(webhookService, host));
+    try {
+      const followed = await contentMonitorService.fetchPage(`${base}/moved`);
+      this.addResult('Public redirects followed', followed.status === 'available' && followed.title === 'Public page',
+        `Got: ${followed.status} ${followed.title}`);
+
+      const escaped = await contentMonitorService.fetchPage(`${base}/escape`);
+      this.addResult('Redirect to private address refused', escaped.status === 'error' && /private network/.test(escaped.error) &&
+        !escaped.title, `Got: ${escaped.status} ${escaped.error}`);
+    } finally {
+      webhookService.resolvesToPrivateAddress = original;
+      server.close();
+    }
+    this.addResult('Only the public hops were requested', hits.join() === '/moved,/page,/escape', `Got: ${hits.join()}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 CONTENT MONITOR TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Content monitor tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All content monitor tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new ContentMonitorTest();
+  test.run();
+}
+
+module.exports = ContentMonitorTest;
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Email In Test
+ *
+ * Verifies personal plus-addresses, how a message is mapped to its recipient's token, link extraction from
+ * text and HTML bodies, body/attachment part selection and the summary reply
+ */
+
+const emailIn = require('../services/emailIn');
+
+const BASE = 'save@daysave.app';
+const TOKEN = '0123456789abcdef01234567';
+
+class EmailInTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('📧 Testing Email In...\n');
+
+    this.testAddresses();
+    this.testUrls();
+    this.testParts();
+    this.testSummary();
+    this.generateReport();
+  }
+
+  testAddresses() {
+    console.log('🔑 Testing Addresses...');
+
+    const token = emailIn.generateToken();
+    this.addResult('Token format', /^[a-f0-9]{24}$/.test(token) && token !== emailIn.generateToken(), token);
+    this.addResult('Personal address', emailIn.personalAddress('Save@DaySave.app', TOKEN) === `save+${TOKEN}@daysave.app`,
+      emailIn.personalAddress('Save@DaySave.app', TOKEN));
+    this.addResult('No address without a valid base or token', emailIn.personalAddress('not-an-address', TOKEN) === null &&
+      emailIn.personalAddress(BASE, 'short') === null, 'Expected null');
+
+    const parsed = emailIn.parseAddresses(['"Alice" <Alice@Example.com>, bob@example.org', 'alice@example.com']);
+    this.addResult('Addresses parsed and deduplicated', parsed.join(',') === 'alice@example.com,bob@example.org', parsed.join(','));
+
+    const headers = { to: [`Me <me@example.com>, "DaySave" <save+${TOKEN.toUpperCase()}@DaySave.app>`] };
+    this.addResult('Token from To', emailIn.tokenFromHeaders(headers, BASE) === TOKEN, String(emailIn.tokenFromHeaders(headers, BASE)));
+    this.addResult('Token from Delivered-To', emailIn.tokenFromHeaders({ to: ['list@example.com'], 'delivered-to': [`save+${TOKEN}@daysave.app`] }, BASE) === TOKEN,
+      'Forwarded through a list');
+    this.addResult('Other domains ignored', emailIn.tokenFromHeaders({ to: [`save+${TOKEN}@evil.example`] }, BASE) === null, 'Expected null');
+    this.addResult('Base address alone has no token', emailIn.tokenFromHeaders({ to: [BASE] }, BASE) === null, 'Expected null');
+
+    this.addResult('Message-ID unwrapped', emailIn.messageIdOf({ 'message-id': ['<abc@mail.example>'] }) === 'abc@mail.example' &&
+      emailIn.messageIdOf({}) === null, 'abc@mail.example');
+    this.addResult('Forward prefixes removed', emailIn.cleanSubject('Fwd: RE: Fw: Great article') === 'Great article', emailIn.cleanSubject('Fwd: RE: Fw: Great article'));
+  }
+
+  testUrls() {
+    console.log('\n🔗 Testing Links...');
+
+    const text = 'Watch https://www.youtube.com/watch?v=abc123. Also (https://example.com/page), and https://en.wikipedia.org/wiki/Bread_(food)!';
+    const urls = emailIn.extractUrls(text, '');
+    this.addResult('Trailing punctuation trimmed', urls.join(' ') ===
+      'https://www.youtube.com/watch?v=abc123 https://example.com/page https://en.wikipedia.org/wiki/Bread_(food)', urls.join(' '));
+
+    const html = '<a href="https://example.com/page">again</a> <a href=\'https://example.com/?a=1&amp;b=2\'>q</a> <a href="mailto:x@y.z">mail</a>';
+    const fromHtml = emailIn.extractUrls('', html);
+    this.addResult('Links from href, entities decoded', fromHtml.join(' ') === 'https://example.com/page https://example.com/?a=1&b=2', fromHtml.join(' '));
+    this.addResult('Text and HTML deduplicated', emailIn.extractUrls(text, html).length === 4, String(emailIn.extractUrls(text, html).length));
+    this.addResult('Hosts without a dot ignored', emailIn.extractUrls('http://localhost/x https://intranet', '').length === 0, 'Expected none');
+
+    const many = Array.from({ length: 30 }, (_, i) => `https://example.com/${i}`).join('\n');
+    this.addResult('Link count capped', emailIn.extractUrls(many, '').length === emailIn.MAX_URLS, String(emailIn.extractUrls(many, '').length));
+  }
+
+  testParts() {
+    console.log('\n📎 Testing Parts...');
+
+    const parts = emailIn.messageParts([
+      { partID: '1.1', type: 'text', subtype: 'plain', encoding: '7BIT', size: 100 },
+      { partID: '1.2', type: 'text', subtype: 'html', encoding: 'QUOTED-PRINTABLE', size: 300 },
+      { partID: '2', type: 'image', subtype: 'jpeg', encoding: 'BASE64', size: 4000, disposition: { type: 'ATTACHMENT', params: { filename: 'photo.jpg' } } },
+      { partID: '3', type: 'application', subtype: 'pdf', encoding: 'BASE64', size: 800, params: { name: 'report.pdf' } },
+      { partID: '4', type: 'text', subtype: 'plain', encoding: '7BIT', size: 50, disposition: { type: 'attachment', params: { filename: 'notes.txt' } } }
+    ]);
+    this.addResult('Bodies selected', parts.text.partID === '1.1' && parts.html.partID === '1.2', `${parts.text.partID}/${parts.html.partID}`);
+    this.addResult('Attachments selected', parts.attachments.map(part => part.partID).join(',') === '2,3,4',
+      parts.attachments.map(part => part.partID).join(','));
+    this.addResult('Attachment name and type', emailIn.attachmentName(parts.attachments[1]) === 'report.pdf' &&
+      emailIn.mimeTypeOf(parts.attachments[0]) === 'image/jpeg', `${emailIn.attachmentName(parts.attachments[1])} ${emailIn.mimeTypeOf(parts.attachments[0])}`);
+    this.addResult('Unnamed attachment and path separators', emailIn.attachmentName({ partID: '5' }) === 'attachment-5' &&
+      emailIn.attachmentName({ partID: '6', params: { name: '../../etc/passwd' } }) === '.._.._etc_passwd', 'Safe names');
+    this.addResult('Decoded size of base64', emailIn.decodedSize(parts.attachments[0]) === 3000 && emailIn.decodedSize(parts.text) === 100, 'base64 is 3/4');
+  }
+
+  testSummary() {
+    console.log('\n✉️  Testing Summary...');
+
+    const summary = emailIn.buildSummary({
+      user: { username: 'alice' },
+      subject: 'Recipes <3',
+      items: [
+        { type: 'content', id: 'c1', title: 'Bread video', summary: 'How to bake', status: 'ready' },
+        { type: 'file', id: 'f1', title: 'photo.jpg', summary: null, status: 'still analyzing' }
+      ],
+      errors: [{ item: 'huge.mov', error: 'File type video/x-huge is not allowed' }],
+      baseUrl: 'https://daysave.app'
+    });
+    this.addResult('Summary subject', summary.subject === 'Saved 2 items: Recipes <3', summary.subject);
+    this.addResult('Summary links and escaping', summary.html.includes('https://daysave.app/content/c1/analysis/view') &&
+      summary.html.includes('https://daysave.app/files/f1/analysis/view') && summary.html.includes('Recipes &lt;3') &&
+      summary.html.includes('(still analyzing)'), 'Links, status, escaped subject');
+    this.addResult('Summary lists failures', summary.html.includes('huge.mov: File type video/x-huge is not allowed'), 'Failure listed');
+
+    const empty = emailIn.buildSummary({ user: { username: 'alice' }, subject: '', baseUrl: 'https://daysave.app' });
+    this.addResult('Nothing found', empty.subject === 'Nothing saved' && empty.html.includes('nothing was saved'), empty.subject);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 EMAIL IN TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Email in tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All email in tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new EmailInTest();
+  test.run();
+}
+
+module.exports = EmailInTest;
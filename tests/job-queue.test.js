@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Job Queue Test
+ *
+ * Verifies de-duplication of active jobs, claiming with leases, retry backoff, final failures,
+ * and recovery of jobs whose worker stopped, with the processing_jobs queries replaced by fakes
+ */
+
+const { sequelize, ProcessingJob, Content, File } = require('../models');
+const jobQueueService = require('../services/jobQueueService');
+const webhookService = require('../services/webhookService');
+
+const job = (overrides = {}) => ({
+  id: 'job-1',
+  user_id: 'user-1',
+  content_id: 'content-1',
+  file_id: null,
+  status: 'processing',
+  priority: 5,
+  retry_count: 0,
+  max_retries: 3,
+  started_at: new Date(),
+  job_config: {},
+  ...overrides
+});
+
+class JobQueueTest {
+  constructor() {
+    this.results = [];
+    this.calls = [];
+    this.originals = [];
+  }
+
+  async run() {
+    console.log('📬 Testing Job Queue...\n');
+
+    this.fake(webhookService, 'emit', async (userId, event) => this.calls.push(['webhook', event]));
+    try {
+      await this.testEnqueue();
+      await this.testClaim();
+      await this.testRetry();
+      await this.testRecovery();
+    } catch (error) {
+      this.addResult('Job queue tests ran', false, error.stack);
+    } finally {
+      this.originals.reverse().forEach(([target, name, original]) => { target[name] = original; });
+    }
+    this.generateReport();
+  }
+
+  fake(target, name, implementation) {
+    this.originals.push([target, name, target[name]]);
+    target[name] = implementation;
+  }
+
+  async testEnqueue() {
+    console.log('➕ Testing Enqueue...');
+
+    let missing = null;
+    try {
+      await jobQueueService.enqueue({ userId: 'user-1', jobType: 'url_analysis' });
+    } catch (error) {
+      missing = error.message;
+    }
+    this.addResult('Content item or file required', missing === 'A job needs a content item or a file', String(missing));
+
+    let active = null;
+    const created = [];
+    const locks = [];
+    this.fake(sequelize, 'transaction', async fn => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+    this.fake(Content, 'findByPk', async (id, options) => { locks.push(['content', id, options.lock]); return { id }; });
+    this.fake(File, 'findByPk', async (id, options) => { locks.push(['file', id, options.lock]); return { id }; });
+    this.fake(ProcessingJob, 'findOne', async () => active);
+    this.fake(ProcessingJob, 'create', async (values, options) => {
+      created.push(options.transaction);
+      return { id: 'job-new', ...values };
+    });
+
+    const queued = [];
+    const onQueued = event => queued.push(event.job.id);
+    jobQueueService.on('jobQueued', onQueued);
+
+    const added = await jobQueueService.enqueue({ userId: 'user-1', contentId: 'content-1', jobType: 'url_analysis', mediaType: 'url', priority: 99 });
+    this.addResult('Item row locked before the check', locks.length === 1 && locks[0].join(',') === 'content,content-1,UPDATE', JSON.stringify(locks));
+    this.addResult('New job inserted in the transaction', created.length === 1 && created[0] !== undefined && added.status === 'pending',
+      JSON.stringify(added));
+    this.addResult('Priority clamped', added.priority === 10, String(added.priority));
+    this.addResult('jobQueued emitted for new jobs', queued.join(',') === 'job-new', queued.join(','));
+
+    const bumped = [];
+    active = { id: 'job-waiting', status: 'pending', priority: 3, update: async values => bumped.push(values) };
+    const existing = await jobQueueService.enqueue({ userId: 'user-1', fileId: 'file-1', jobType: 'file_analysis', mediaType: 'image', priority: 7 });
+    this.addResult('Active job reused', existing.id === 'job-waiting' && created.length === 1, existing.id);
+    this.addResult('File row locked for file jobs', locks[1].join(',') === 'file,file-1,UPDATE', JSON.stringify(locks[1]));
+    this.addResult('Waiting job gets the higher priority', bumped.length === 1 && bumped[0].priority === 7, JSON.stringify(bumped));
+    this.addResult('No jobQueued for reused jobs', queued.length === 1, queued.join(','));
+
+    active = { id: 'job-running', status: 'processing', priority: 3, update: async values => bumped.push(values) };
+    await jobQueueService.enqueue({ userId: 'user-1', contentId: 'content-1', jobType: 'url_analysis', mediaType: 'url', priority: 7 });
+    this.addResult('Running job priority left alone', bumped.length === 1, JSON.stringify(bumped));
+
+    jobQueueService.off('jobQueued', onQueued);
+  }
+
+  async testClaim() {
+    console.log('\n🔒 Testing Claims...');
+
+    const updates = [];
+    jobQueueService.handlers = new Map([['content', async () => ({})]]);
+    this.fake(ProcessingJob, 'getPendingJobs', async () => [
+      job({ id: 'file-job', content_id: null, file_id: 'file-1', status: 'pending' }),
+      job({ id: 'taken', status: 'pending' }),
+      job({ id: 'free', status: 'retrying' })
+    ]);
+    this.fake(ProcessingJob, 'update', async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [options.where.id === 'free' ? 1 : 0];
+    });
+    this.fake(ProcessingJob, 'findByPk', async id => job({ id }));
+
+    const claimed = await jobQueueService.claimNext();
+    this.addResult('Jobs without a handler skipped', !updates.some(u => u.where.id === 'file-job'), updates.map(u => u.where.id).join(','));
+    this.addResult('Lost race moves on to the next job', claimed && claimed.id === 'free' && updates.length === 2, claimed && claimed.id);
+    const claim = updates[1];
+    this.addResult('Claim guarded by the previous status', claim.where.status === 'retrying', JSON.stringify(claim.where));
+    this.addResult('Claim takes a lease', claim.values.status === 'processing' && claim.values.worker_id === jobQueueService.workerId &&
+      claim.values.lease_expires_at.getTime() > Date.now(), JSON.stringify(claim.values));
+
+    updates.length = 0;
+    const extended = await jobQueueService.extendLease('free');
+    this.addResult('Lease extended only for this worker', extended === true && updates[0].where.worker_id === jobQueueService.workerId &&
+      updates[0].where.status === 'processing', JSON.stringify(updates[0].where));
+  }
+
+  async testRetry() {
+    console.log('\n🔁 Testing Retries...');
+
+    const updates = [];
+    ProcessingJob.update = async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    };
+    this.calls.length = 0;
+
+    const before = Date.now();
+    await jobQueueService.fail(job({ retry_count: 2 }), new Error('Timeout'));
+    const retry = updates[0].values;
+    const delay = retry.available_at.getTime() - before;
+    this.addResult('Failed attempt retried', retry.status === 'retrying' && retry.retry_count === 3 && retry.worker_id === null, JSON.stringify(retry));
+    this.addResult('Exponential backoff', delay >= jobQueueService.retryBaseMs * 4 && delay < jobQueueService.retryBaseMs * 4 + 5000, `${delay}ms`);
+    this.addResult('Retry guarded by this worker lease', updates[0].where.worker_id === jobQueueService.workerId, JSON.stringify(updates[0].where));
+    this.addResult('No failure webhook while retrying', this.calls.length === 0, JSON.stringify(this.calls));
+
+    await jobQueueService.fail(job({ retry_count: 3 }), new Error('Timeout'));
+    const final = updates[1].values;
+    this.addResult('Out of retries fails for good', final.status === 'failed' && final.retry_count === 3 && final.completed_at instanceof Date,
+      JSON.stringify(final));
+    this.addResult('analysis.failed webhook', this.calls.map(call => call[1]).join(',') === 'analysis.failed', JSON.stringify(this.calls));
+
+    await jobQueueService.complete(job(), { features: ['summary'] });
+    const done = updates[2];
+    this.addResult('Completion clears the lease', done.values.status === 'completed' && done.values.lease_expires_at === null &&
+      done.where.worker_id === jobQueueService.workerId, JSON.stringify(done));
+    this.addResult('analysis.completed webhook', this.calls[1] && this.calls[1][1] === 'analysis.completed', JSON.stringify(this.calls));
+
+    ProcessingJob.update = async () => [0];
+    this.calls.length = 0;
+    await jobQueueService.complete(job(), {});
+    this.addResult('Lost lease completes nothing', this.calls.length === 0, JSON.stringify(this.calls));
+  }
+
+  async testRecovery() {
+    console.log('\n🩺 Testing Lease Recovery...');
+
+    const lease = new Date(Date.now() - 1000);
+    const updates = [];
+    this.fake(ProcessingJob, 'findAll', async () => [job({ id: 'stale', worker_id: 'gone:1', lease_expires_at: lease })]);
+    ProcessingJob.update = async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    };
+
+    const recovered = await jobQueueService.recoverExpiredLeases();
+    const guard = updates[0] && updates[0].where;
+    this.addResult('Expired lease recovered', recovered === 1 && updates[0].values.status === 'retrying', JSON.stringify(updates[0]));
+    this.addResult('Recovery guarded by the expired lease', guard.id === 'stale' && guard.status === 'processing' && guard.lease_expires_at === lease &&
+      guard.worker_id === undefined, JSON.stringify(guard));
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 JOB QUEUE TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Job queue tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All job queue tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new JobQueueTest();
+  test.run();
+}
+
+module.exports = JobQueueTest;
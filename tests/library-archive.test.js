@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * Library Archive Test
+ *
+ * Exports a small library to a real ZIP and imports it into another account, with the model
+ * queries, file storage and plan checks replaced by fakes. Verifies new IDs, remapped and
+ * deferred references, dropped columns, records skipped for missing media or references,
+ * renamed name clashes and the manifest checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { Op } = require('sequelize');
+const models = require('../models');
+const FileUploadService = require('../services/fileUpload');
+const subscriptionService = require('../services/subscriptionService');
+const smartCollectionService = require('../services/smartCollectionService');
+const libraryExportService = require('../services/libraryExportService');
+const libraryImportService = require('../services/libraryImportService');
+const { SECTIONS } = require('../services/libraryArchive');
+
+const SOURCE_USER = 'user-source';
+const TARGET_USER = 'user-target';
+const id = n => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+const IDS = {
+  contact: id(1),
+  contactGroup: id(2),
+  contactMember: id(3),
+  content: id(4),
+  file: id(5),
+  lostFile: id(6),
+  parentGroup: id(7),
+  childGroup: id(8),
+  groupMember: id(9),
+  remoteThumb: id(10),
+  lostThumb: id(11),
+  chapter: id(12),
+  orphanChapter: id(13),
+  transcript: id(14),
+  face: id(15)
+};
+
+class LibraryArchiveTest {
+  constructor() {
+    this.results = [];
+    this.originals = [];
+    this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daysave-library-test-'));
+  }
+
+  async run() {
+    console.log('📦 Testing Library Archive...\n');
+
+    try {
+      await this.testRoundTrip();
+      await this.testManifestChecks();
+    } catch (error) {
+      this.addResult('Library archive tests ran', false, error.stack);
+    } finally {
+      this.originals.reverse().forEach(([target, name, original]) => { target[name] = original; });
+      fs.rmSync(this.tempDir, { recursive: true, force: true });
+    }
+    this.generateReport();
+  }
+
+  fake(target, name, implementation) {
+    this.originals.push([target, name, target[name]]);
+    target[name] = implementation;
+  }
+
+  /**
+   * Source library: one of most things, plus a file and a thumbnail whose media is missing
+   * @returns {Object} Section name -> records
+   */
+  sourceLibrary() {
+    const mediaPath = path.join(this.tempDir, 'holiday.txt');
+    fs.writeFileSync(mediaPath, 'original file bytes');
+    const owned = values => ({ user_id: SOURCE_USER, createdAt: new Date(), updatedAt: new Date(), ...values });
+
+    const data = Object.fromEntries(SECTIONS.map(section => [section.name, []]));
+    Object.assign(data, {
+      contacts: [owned({ id: IDS.contact, name: 'Ada Lovelace' })],
+      contact_groups: [owned({ id: IDS.contactGroup, name: 'Family', carddav_enabled: false })],
+      contact_group_members: [{ id: IDS.contactMember, contact_id: IDS.contact, group_id: IDS.contactGroup }],
+      content: [owned({ id: IDS.content, url: 'https://example.com/a', social_account_id: 'social-1', content_type: 'unknown' })],
+      files: [
+        owned({ id: IDS.file, filename: 'holiday.txt', file_path: mediaPath, content_type: 'document', metadata: { mimetype: 'text/plain' } }),
+        owned({ id: IDS.lostFile, filename: 'gone.txt', file_path: path.join(this.tempDir, 'gone.txt'), content_type: 'document' })
+      ],
+      content_groups: [
+        owned({ id: IDS.parentGroup, name: 'Trips', parent_id: null, cover_thumbnail_id: IDS.remoteThumb, position: 0 }),
+        owned({ id: IDS.childGroup, name: 'Italy', parent_id: IDS.parentGroup, cover_thumbnail_id: IDS.lostThumb, position: 0 })
+      ],
+      content_group_members: [{ id: IDS.groupMember, content_id: IDS.content, file_id: null, group_id: IDS.childGroup, position: 0 }],
+      thumbnails: [
+        owned({ id: IDS.remoteThumb, content_id: IDS.content, file_path: 'https://cdn.example.com/a.jpg', file_name: 'a.jpg' }),
+        owned({ id: IDS.lostThumb, file_id: IDS.file, file_path: 'uploads/thumbnails/does-not-exist.jpg', file_name: 'b.jpg' })
+      ],
+      video_chapters: [
+        owned({ id: IDS.chapter, file_id: IDS.file, thumbnail_id: IDS.lostThumb, chapter_index: 0, start_seconds: 0, end_seconds: 12 }),
+        owned({ id: IDS.orphanChapter, file_id: IDS.lostFile, chapter_index: 0, start_seconds: 0, end_seconds: 5 })
+      ],
+      transcripts: [owned({ id: IDS.transcript, content_id: IDS.content, source: 'analysis', segments: [{ start: 0, end: 1, text: 'Hi' }] })],
+      faces: [owned({ id: IDS.face, file_id: IDS.file, contact_id: IDS.contact })]
+    });
+    return data;
+  }
+
+  /**
+   * Replace the model queries used by export and import
+   * @returns {Object} { inserted: section -> rows, updates: [{ model, values, id }] }
+   */
+  fakeModels(source) {
+    const inserted = {};
+    const updates = [];
+    const plain = record => ({ ...record, get: () => ({ ...record }) });
+    const existingNames = { ContactGroup: [{ name: 'Family' }] };
+
+    for (const section of SECTIONS) {
+      const Model = models[section.model];
+      this.fake(Model, 'findAll', async ({ where }) => {
+        if (where.user_id === SOURCE_USER) return source[section.name].map(plain);
+        if (where.group_id) return source[section.name].filter(r => where.group_id[Op.in].includes(r.group_id)).map(plain);
+        if (where.user_id === TARGET_USER) return existingNames[section.model] || [];
+        return [];
+      });
+      this.fake(Model, 'bulkCreate', async (rows) => { inserted[section.name] = rows; return rows; });
+      this.fake(Model, 'update', async (values, options) => { updates.push({ model: section.model, values, id: options.where.id }); return [1]; });
+    }
+    this.fake(models.sequelize, 'transaction', async fn => fn({}));
+    return { inserted, updates };
+  }
+
+  async writeZip(zip, name) {
+    const zipPath = path.join(this.tempDir, name);
+    await new Promise((resolve, reject) => {
+      zip.generateNodeStream({ streamFiles: true }).pipe(fs.createWriteStream(zipPath)).on('finish', resolve).on('error', reject);
+    });
+    return zipPath;
+  }
+
+  async testRoundTrip() {
+    console.log('🔄 Testing Round Trip...');
+
+    const source = this.sourceLibrary();
+    const { inserted, updates } = this.fakeModels(source);
+    const uploads = [];
+    this.fake(FileUploadService, 'uploadFile', async (file, userId) => {
+      uploads.push({ name: file.originalname, text: file.buffer.toString('utf8'), mimetype: file.mimetype, userId });
+      return { filePath: `uploads/${userId}/stored-${file.originalname}` };
+    });
+    this.fake(subscriptionService, 'checkUsageLimit', async () => ({ allowed: true }));
+    this.fake(subscriptionService, 'updateUsage', async () => {});
+    this.fake(smartCollectionService, 'evaluate', async () => {});
+
+    const { zip, manifest } = await libraryExportService.buildArchive(SOURCE_USER);
+    this.addResult('Manifest counts every section', SECTIONS.every(s => manifest.counts[s.name] === source[s.name].length), JSON.stringify(manifest.counts));
+    this.addResult('Missing media listed', manifest.missing_media.map(m => m.id).sort().join(',') === [IDS.lostFile, IDS.lostThumb].sort().join(',') &&
+      Object.keys(manifest.media.files).join(',') === IDS.file, JSON.stringify(manifest.missing_media));
+
+    const zipPath = await this.writeZip(zip, 'library.zip');
+    const { imported, skipped } = await libraryImportService.importArchive(TARGET_USER, zipPath);
+
+    const rows = Object.values(inserted).flat();
+    const oldIds = new Set(Object.values(IDS));
+    this.addResult('Every record gets a new ID', rows.length > 0 && rows.every(row => row.id && !oldIds.has(row.id)), `${rows.length} rows`);
+    this.addResult('Owned records belong to the importing user', rows.filter(row => 'user_id' in row).every(row => row.user_id === TARGET_USER),
+      TARGET_USER);
+
+    const newId = (section, index = 0) => inserted[section][index].id;
+    const member = inserted.contact_group_members[0];
+    this.addResult('Member references remapped', member.contact_id === newId('contacts') && member.group_id === newId('contact_groups'),
+      JSON.stringify(member));
+    const groupMember = inserted.content_group_members[0];
+    this.addResult('Collection member references remapped', groupMember.content_id === newId('content') &&
+      groupMember.group_id === newId('content_groups', 1), JSON.stringify(groupMember));
+    const face = inserted.faces[0];
+    this.addResult('Face keeps its file and contact', face.file_id === newId('files') && face.contact_id === newId('contacts'), JSON.stringify(face));
+    this.addResult('Transcript segments kept', inserted.transcripts[0].content_id === newId('content') &&
+      inserted.transcripts[0].segments[0].text === 'Hi', JSON.stringify(inserted.transcripts[0].segments));
+
+    this.addResult('Columns outside the library dropped', !('social_account_id' in inserted.content[0]), Object.keys(inserted.content[0]).join(','));
+    this.addResult('Name clash renamed', inserted.contact_groups[0].name === 'Family (imported)', inserted.contact_groups[0].name);
+
+    this.addResult('File re-stored through the upload service', uploads.length === 1 && uploads[0].text === 'original file bytes' &&
+      uploads[0].mimetype === 'text/plain' && uploads[0].userId === TARGET_USER && inserted.files[0].file_path === 'uploads/user-target/stored-holiday.txt',
+      JSON.stringify(uploads));
+    this.addResult('Remote thumbnail kept as is', inserted.thumbnails.length === 1 && inserted.thumbnails[0].file_path === 'https://cdn.example.com/a.jpg' &&
+      inserted.thumbnails[0].content_id === newId('content'), JSON.stringify(inserted.thumbnails.map(t => t.file_path)));
+    this.addResult('Records without media skipped', imported.files === 1 && skipped.files === 1 && skipped.thumbnails === 1,
+      JSON.stringify({ imported, skipped }));
+
+    const chapter = inserted.video_chapters[0];
+    this.addResult('Reference to a skipped record cleared', inserted.video_chapters.length === 1 && chapter.file_id === newId('files') &&
+      chapter.thumbnail_id === null, JSON.stringify(chapter));
+    this.addResult('Record left without a required reference skipped', skipped.video_chapters === 1, String(skipped.video_chapters));
+
+    const [parent, child] = inserted.content_groups;
+    this.addResult('Deferred references inserted empty', [parent, child].every(g => g.parent_id === null && g.cover_thumbnail_id === null),
+      JSON.stringify([parent, child].map(g => [g.parent_id, g.cover_thumbnail_id])));
+    const groupUpdates = updates.filter(u => u.model === 'ContentGroup');
+    const parentUpdate = groupUpdates.find(u => u.id === child.id && 'parent_id' in u.values);
+    const coverUpdate = groupUpdates.find(u => u.id === parent.id && 'cover_thumbnail_id' in u.values);
+    this.addResult('Deferred parent set after insert', parentUpdate && parentUpdate.values.parent_id === parent.id, JSON.stringify(parentUpdate));
+    this.addResult('Deferred cover set after insert', coverUpdate && coverUpdate.values.cover_thumbnail_id === newId('thumbnails'), JSON.stringify(coverUpdate));
+    this.addResult('Deferred reference to a skipped record left empty', groupUpdates.length === 2, JSON.stringify(groupUpdates));
+  }
+
+  async testManifestChecks() {
+    console.log('\n📜 Testing Manifest Checks...');
+
+    const refusal = async (zipPath) => libraryImportService.readArchive(zipPath).then(({ zip }) => { zip.zipfile.close(); return null; },
+      error => error.message);
+
+    const newer = new JSZip();
+    newer.file('manifest.json', JSON.stringify({ format: 'daysave-library', version: 99 }));
+    this.addResult('Newer version refused', await refusal(await this.writeZip(newer, 'newer.zip')) === 'Unsupported archive version 99', 'version 99');
+
+    const foreign = new JSZip();
+    foreign.file('manifest.json', JSON.stringify({ format: 'something-else', version: 1 }));
+    this.addResult('Other format refused', await refusal(await this.writeZip(foreign, 'foreign.zip')) === 'Not a DaySave library archive', 'something-else');
+
+    const damaged = new JSZip();
+    damaged.file('manifest.json', JSON.stringify({ format: 'daysave-library', version: 1 }));
+    damaged.file('data/contacts.json', '{"not": "an array"}');
+    const damagedMessage = await refusal(await this.writeZip(damaged, 'damaged.zip'));
+    this.addResult('Section that is not an array refused', damagedMessage === 'The archive is damaged (data/contacts.json)', String(damagedMessage));
+
+    const notZip = path.join(this.tempDir, 'plain.zip');
+    fs.writeFileSync(notZip, 'not a zip at all');
+    this.addResult('Non-ZIP upload refused', await refusal(notZip) === 'Not a DaySave library archive', 'plain text');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 LIBRARY ARCHIVE TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Library archive tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All library archive tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new LibraryArchiveTest();
+  test.run();
+}
+
+module.exports = LibraryArchiveTest;
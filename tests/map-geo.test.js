@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Map Geo Test
+ *
+ * Verifies capture locations read from media (EXIF GPS, QuickTime ©xyz) and the geo helpers behind the map view:
+ * address normalization, bounding boxes, distances and clustering
+ */
+
+const geoPoints = require('../services/geoPoints');
+const mediaLocation = require('../services/mediaLocation');
+
+/**
+ * Minimal big-endian JPEG with an EXIF GPS IFD
+ */
+function buildJpeg({ lat, latRef, lng, lngRef, altitude }) {
+  const tiff = Buffer.alloc(200);
+  tiff.write('MM', 0, 'ascii');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  // IFD0: one entry pointing at the GPS IFD
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x8825, 10);
+  tiff.writeUInt16BE(4, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt32BE(26, 18);
+  tiff.writeUInt32BE(0, 22);
+
+  const entries = [
+    [1, 2, 2, Buffer.from(`${latRef}\0`, 'ascii')],
+    [2, 5, 3, lat],
+    [3, 2, 2, Buffer.from(`${lngRef}\0`, 'ascii')],
+    [4, 5, 3, lng],
+    [5, 1, 1, Buffer.from([0])],
+    [6, 5, 1, altitude]
+  ];
+  tiff.writeUInt16BE(entries.length, 26);
+  let data = 26 + 2 + entries.length * 12 + 4;
+  entries.forEach(([tag, type, count, value], i) => {
+    const entry = 28 + i * 12;
+    tiff.writeUInt16BE(tag, entry);
+    tiff.writeUInt16BE(type, entry + 2);
+    tiff.writeUInt32BE(count, entry + 4);
+    if (Buffer.isBuffer(value)) {
+      value.copy(tiff, entry + 8);
+      return;
+    }
+    tiff.writeUInt32BE(data, entry + 8);
+    value.forEach(([num, den]) => {
+      tiff.writeUInt32BE(num, data);
+      tiff.writeUInt32BE(den, data + 4);
+      data += 8;
+    });
+  });
+
+  const header = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(2 + 6 + tiff.length, 10);
+  return Buffer.concat([header, Buffer.from('Exif\0\0', 'ascii'), tiff, Buffer.from([0xff, 0xda])]);
+}
+
+function buildMovie(iso6709) {
+  const text = Buffer.from(iso6709, 'ascii');
+  const atom = Buffer.alloc(12 + text.length);
+  atom.writeUInt32BE(atom.length, 0);
+  Buffer.from([0xa9, 0x78, 0x79, 0x7a]).copy(atom, 4);
+  atom.writeUInt16BE(text.length, 8);
+  atom.writeUInt16BE(0x15c7, 10);
+  text.copy(atom, 12);
+  return Buffer.concat([Buffer.from('....ftypqt  ', 'ascii'), Buffer.alloc(64), atom]);
+}
+
+class MapGeoTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🗺️  Testing Map Geo Helpers...\n');
+
+    this.testMediaLocation();
+    this.testAddresses();
+    this.testBounds();
+    this.testClusters();
+    this.generateReport();
+  }
+
+  testMediaLocation() {
+    console.log('📷 Testing Media Locations...');
+
+    const jpeg = buildJpeg({
+      lat: [[48, 1], [51, 1], [2964, 100]], latRef: 'N',
+      lng: [[2, 1], [17, 1], [4020, 100]], lngRef: 'E',
+      altitude: [[355, 10]]
+    });
+    const paris = mediaLocation.readMediaLocation(jpeg, 'image/jpeg');
+    this.addResult('EXIF GPS', paris && Math.abs(paris.lat - 48.858233) < 1e-5 && Math.abs(paris.lng - 2.2945) < 1e-5 && paris.source === 'exif',
+      JSON.stringify(paris));
+    this.addResult('EXIF altitude', paris && paris.altitude === 35.5, String(paris && paris.altitude));
+
+    const south = mediaLocation.readExifGps(buildJpeg({
+      lat: [[33, 1], [51, 1], [0, 1]], latRef: 'S',
+      lng: [[151, 1], [12, 1], [0, 1]], lngRef: 'W',
+      altitude: [[0, 1]]
+    }));
+    this.addResult('South and west are negative', south && south.lat === -33.85 && south.lng === -151.2, JSON.stringify(south));
+
+    this.addResult('JPEG without EXIF', mediaLocation.readExifGps(Buffer.from([0xff, 0xd8, 0xff, 0xda, 0, 0, 0, 0, 0, 0, 0, 0])) === null, 'Expected null');
+    this.addResult('Garbage bytes', mediaLocation.readExifGps(Buffer.from('not an image at all')) === null, 'Expected null');
+    this.addResult('PNG is not read', mediaLocation.readMediaLocation(jpeg, 'image/png') === null, 'Expected null');
+
+    const movie = mediaLocation.readMediaLocation(buildMovie('+37.7749-122.4194+012.300/'), 'video/quicktime');
+    this.addResult('QuickTime ©xyz', movie && movie.lat === 37.7749 && movie.lng === -122.4194 && movie.altitude === 12.3 && movie.source === 'quicktime',
+      JSON.stringify(movie));
+    this.addResult('ISO 6709 null island rejected', mediaLocation.parseIso6709('+00.0000+000.0000/') === null, 'Expected null');
+    this.addResult('Supported types', mediaLocation.supportsLocation('video/mp4') && !mediaLocation.supportsLocation('audio/mpeg'), 'mp4 yes, mp3 no');
+  }
+
+  testAddresses() {
+    console.log('\n🏠 Testing Addresses...');
+
+    const normalized = geoPoints.normalizeAddress({ label: 'home', value: '  1 Main St\n\nSpringfield ,  IL  ' });
+    this.addResult('Address normalized', normalized === '1 Main St, Springfield, IL', normalized);
+    this.addResult('Hash ignores case', geoPoints.addressHash('1 MAIN ST') === geoPoints.addressHash('1 main st'), 'Same hash');
+    this.addResult('Empty address', geoPoints.normalizeAddress({ label: 'work' }) === '', 'Expected empty');
+
+    this.addResult('Coordinates from lat/lng', JSON.stringify(geoPoints.coordinatesOf({ lat: '1.5', lng: 2 })) === '{"lat":1.5,"lng":2}', 'lat/lng');
+    this.addResult('Coordinates from GeoJSON', JSON.stringify(geoPoints.coordinatesOf({ type: 'Point', coordinates: [2, 1.5] })) === '{"lat":1.5,"lng":2}', 'GeoJSON');
+    this.addResult('Invalid coordinates', geoPoints.coordinatesOf({ latitude: 95, longitude: 0 }) === null, 'Expected null');
+    this.addResult('Point text', JSON.stringify(geoPoints.parsePoint(' 48.85, 2.29 ')) === '{"lat":48.85,"lng":2.29}' && geoPoints.parsePoint('Paris') === null,
+      'lat,lng only');
+  }
+
+  testBounds() {
+    console.log('\n📐 Testing Bounds...');
+
+    const bounds = geoPoints.parseBounds('40,-75,41,-73');
+    this.addResult('Bounds parsed', bounds && bounds.south === 40 && bounds.east === -73, JSON.stringify(bounds));
+    this.addResult('Invalid bounds', geoPoints.parseBounds('41,-75,40,-73') === null && geoPoints.parseBounds('1,2,3') === null, 'Expected null');
+    this.addResult('Point in bounds', geoPoints.inBounds({ lat: 40.7, lng: -74 }, bounds) && !geoPoints.inBounds({ lat: 40.7, lng: -72 }, bounds), 'NYC in, east of box out');
+
+    const pacific = geoPoints.parseBounds('-20,170,20,-170');
+    this.addResult('Antimeridian', geoPoints.inBounds({ lat: 0, lng: 179 }, pacific) && geoPoints.inBounds({ lat: 0, lng: -179 }, pacific) &&
+      !geoPoints.inBounds({ lat: 0, lng: 0 }, pacific), 'Wraps at ±180');
+
+    const km = geoPoints.distanceKm({ lat: 48.8566, lng: 2.3522 }, { lat: 51.5074, lng: -0.1278 });
+    this.addResult('Paris to London', Math.abs(km - 344) < 2, `${km.toFixed(1)} km`);
+
+    const around = geoPoints.boundsAround({ lat: 48.8566, lng: 2.3522 }, 10);
+    const edge = { lat: 48.8566, lng: around.east };
+    this.addResult('Box around a point', around.south < 48.8566 && around.north > 48.8566 && geoPoints.distanceKm({ lat: 48.8566, lng: 2.3522 }, edge) >= 9.9,
+      JSON.stringify(around));
+    this.addResult('Box near the pole covers all longitudes', geoPoints.boundsAround({ lat: 89.99, lng: 0 }, 50).west === -180, 'west -180');
+  }
+
+  testClusters() {
+    console.log('\n📍 Testing Clusters...');
+
+    const points = [
+      { id: 'c1', kind: 'contact', lat: 48.8566, lng: 2.3522, title: 'Alice' },
+      { id: 'f1', kind: 'file', lat: 48.8584, lng: 2.2945, title: 'Tower' },
+      { id: 'f2', kind: 'file', lat: 51.5074, lng: -0.1278, title: 'London' }
+    ];
+    const world = geoPoints.clusterPoints(points, 3);
+    this.addResult('Nearby points merge when zoomed out', world.length === 2 && world[0].count === 2 && world[0].kinds.contact === 1 && world[0].kinds.file === 1,
+      world.map(cluster => cluster.count).join(','));
+    const street = geoPoints.clusterPoints(points, 15);
+    this.addResult('Points split when zoomed in', street.length === 3, String(street.length));
+    this.addResult('Zoom clamped', geoPoints.parseZoom('99') === geoPoints.MAX_ZOOM && geoPoints.parseZoom('x') === geoPoints.DEFAULT_ZOOM, 'Clamped');
+
+    const many = Array.from({ length: 30 }, (_, i) => ({ id: `p${i}`, kind: 'content', lat: 10 + i * 1e-4, lng: 10 }));
+    const [cluster] = geoPoints.clusterPoints(many, 5);
+    this.addResult('Cluster lists a sample', cluster.count === 30 && cluster.points.length === geoPoints.MAX_CLUSTER_POINTS && cluster.bounds.north > cluster.bounds.south,
+      `${cluster.count}/${cluster.points.length}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 MAP GEO TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Map geo tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All map geo tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new MapGeoTest();
+  test.run();
+}
+
+module.exports = MapGeoTest;
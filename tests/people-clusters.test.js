@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * People Clusters Test
+ *
+ * Verifies how faces and speakers are grouped into people (per contact, face group and voice) for the people view
+ */
+
+const peopleClusters = require('../services/peopleClusters');
+
+const CONTACTS = new Map([['c1', { id: 'c1', name: 'Alice Smith' }]]);
+
+const FACES = [
+  { id: 'f1', contact_id: 'c1', face_group_id: 'g1', face_name: 'Alice Smith', user_confirmed: true, name_confidence: 1, content_id: 'content-1' },
+  { id: 'f2', contact_id: 'c1', face_group_id: 'g1', face_name: 'Alice Smith', user_confirmed: false, name_confidence: 0.7, file_id: 'file-1' },
+  { id: 'f3', contact_id: null, face_group_id: 'g2', ai_suggested_name: 'Bob', name_confidence: 0.6, content_id: 'content-1' },
+  { id: 'f4', contact_id: null, face_group_id: 'g2', ai_suggested_name: 'Robert', name_confidence: 0.5, content_id: 'content-2' },
+  { id: 'f5', contact_id: null, face_group_id: 'g2', ai_suggested_name: 'Bob', name_confidence: 0.9, content_id: 'content-3' },
+  { id: 'f6', contact_id: null, face_group_id: null, name_confidence: 0.2, content_id: 'content-4' }
+];
+
+const SPEAKERS = [
+  { id: 's1', contact_id: 'c1', contact_confirmed: true, name: 'Alice Smith', audio_analysis_id: 'a1', voice_fingerprint: { hash: 'h1' }, total_appearances: 3 },
+  { id: 's2', contact_id: null, name: 'Speaker 1', audio_analysis_id: 'a2', voice_fingerprint: { hash: 'h2' } },
+  { id: 's3', contact_id: null, name: 'Speaker 2', audio_analysis_id: 'a3', voice_fingerprint: { hash: 'h2' } },
+  { id: 's4', contact_id: null, name: 'Speaker 3', audio_analysis_id: null, voice_fingerprint: null }
+];
+
+const REFS = new Map([
+  ['a1', { content_id: 'content-9' }],
+  ['a2', { file_id: 'file-2' }],
+  ['a3', { file_id: 'file-2' }]
+]);
+
+class PeopleClustersTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🧑‍🤝‍🧑 Testing People Clusters...\n');
+
+    this.testKeys();
+    this.testFaces();
+    this.testSpeakers();
+    this.generateReport();
+  }
+
+  testKeys() {
+    console.log('🔑 Testing Cluster Keys...');
+
+    this.addResult('Contact wins over face group', peopleClusters.faceKey(FACES[0]) === 'contact:c1', peopleClusters.faceKey(FACES[0]));
+    this.addResult('Face group without contact', peopleClusters.faceKey(FACES[2]) === 'group:g2', peopleClusters.faceKey(FACES[2]));
+    this.addResult('Single face', peopleClusters.faceKey(FACES[5]) === 'face:f6', peopleClusters.faceKey(FACES[5]));
+    this.addResult('Voice fingerprint hash', peopleClusters.speakerKey(SPEAKERS[1]) === 'voice:h2', peopleClusters.speakerKey(SPEAKERS[1]));
+    this.addResult('Speaker without fingerprint', peopleClusters.speakerKey(SPEAKERS[3]) === 'speaker:s4', peopleClusters.speakerKey(SPEAKERS[3]));
+    this.addResult('Most common value', peopleClusters.mostCommon(['Bob', null, 'Robert', 'Bob']) === 'Bob', 'Expected Bob');
+  }
+
+  testFaces() {
+    console.log('\n🙂 Testing Face Clusters...');
+
+    const clusters = peopleClusters.clusterFaces(FACES, CONTACTS);
+    this.addResult('Three people', clusters.length === 3, `Got: ${clusters.map(c => c.key).join(', ')}`);
+
+    const bob = clusters[0];
+    this.addResult('Largest cluster first', bob.key === 'group:g2' && bob.count === 3, `Got: ${bob.key} (${bob.count})`);
+    this.addResult('Suggested name is the most common one', bob.name === 'Bob' && bob.contact === null, `Got: ${bob.name}`);
+    this.addResult('Best match listed first', bob.members[0].id === 'f5', `Got: ${bob.members[0].id}`);
+
+    const alice = clusters.find(c => c.key === 'contact:c1');
+    this.addResult('Linked cluster named after the contact', alice.name === 'Alice Smith' && alice.contact.id === 'c1', JSON.stringify(alice.contact));
+    this.addResult('Confirmed face listed first', alice.confirmed && alice.members[0].id === 'f1', `Got: ${alice.members[0].id}`);
+    this.addResult('Content and files collected', alice.content_ids.join() === 'content-1' && alice.file_ids.join() === 'file-1',
+      `Got: ${alice.content_ids} / ${alice.file_ids}`);
+
+    const unknown = clusters.find(c => c.key === 'face:f6');
+    this.addResult('Face without a name', unknown.name === null && unknown.members[0].name === null, JSON.stringify(unknown.members[0]));
+  }
+
+  testSpeakers() {
+    console.log('\n🎙️ Testing Speaker Clusters...');
+
+    const clusters = peopleClusters.clusterSpeakers(SPEAKERS, REFS, CONTACTS);
+    this.addResult('Same voice grouped', clusters[0].key === 'voice:h2' && clusters[0].count === 2, `Got: ${clusters.map(c => c.key).join(', ')}`);
+    this.addResult('Items counted once', clusters[0].file_ids.length === 1 && clusters[0].content_ids.length === 0, JSON.stringify(clusters[0].file_ids));
+
+    const alice = clusters.find(c => c.key === 'contact:c1');
+    this.addResult('Speaker linked to contact', alice && alice.confirmed && alice.content_ids[0] === 'content-9', JSON.stringify(alice));
+    this.addResult('Appearances kept', alice.members[0].appearances === 3, `Got: ${alice.members[0].appearances}`);
+
+    const many = Array.from({ length: peopleClusters.MAX_MEMBERS + 5 }, (_, i) => ({ id: `x${i}`, name: 'Speaker', voice_fingerprint: { hash: 'same' } }));
+    const big = peopleClusters.clusterSpeakers(many)[0];
+    this.addResult('Members capped, count kept', big.members.length === peopleClusters.MAX_MEMBERS && big.count === many.length,
+      `Got: ${big.members.length} of ${big.count}`);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 PEOPLE CLUSTER TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 People cluster tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All people cluster tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new PeopleClustersTest();
+  test.run();
+}
+
+module.exports = PeopleClustersTest;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Scene Detection Test
+ *
+ * Verifies parsing of ffmpeg scene-score output, shots and chapters built from cuts, segment planning for long
+ * takes, frame quality checks (black, flat, blurry), perceptual hashing for near-duplicates and key moment selection
+ */
+
+const scene = require('../services/sceneDetection');
+
+const SIZE = scene.FRAME_SIZE;
+
+// Synthetic grayscale frames
+function makeFrame(fn) {
+  const pixels = Buffer.alloc(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) pixels[y * SIZE + x] = Math.max(0, Math.min(255, Math.round(fn(x, y))));
+  }
+  return pixels;
+}
+
+// Fine texture on top of a left-to-right fade, and the same texture fading the other way
+const texture = (x, y) => ((Math.floor(x / 2) + Math.floor(y / 2)) % 2 ? 30 : -30);
+const texturedFrame = makeFrame((x, y) => 200 - 2.5 * x + texture(x, y));
+const brighterFrame = makeFrame((x, y) => 215 - 2.5 * x + texture(x, y));
+const mirroredFrame = makeFrame((x, y) => 50 + 2.5 * x + texture(x, y));
+const black = makeFrame(() => 6);
+const gradient = makeFrame((x) => 60 + x * 2);
+
+class SceneDetectionTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🎞️ Testing Scene Detection...\n');
+
+    this.testSceneLog();
+    this.testShots();
+    this.testFrames();
+    this.testSelection();
+    this.generateReport();
+  }
+
+  testSceneLog() {
+    console.log('📜 Testing ffmpeg Output Parsing...');
+
+    const log = [
+      'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'clip.mp4\':',
+      '[Parsed_metadata_2 @ 0x55d5c8] frame:0    pts:126126  pts_time:4.2042',
+      '[Parsed_metadata_2 @ 0x55d5c8] lavfi.scene_score=0.512345',
+      '[Parsed_metadata_2 @ 0x55d5c8] frame:1    pts:360360  pts_time:12.012',
+      '[Parsed_metadata_2 @ 0x55d5c8] lavfi.scene_score=0.340000',
+      'frame=  300 fps=0.0 q=-0.0 Lsize=N/A time=00:00:20.00 bitrate=N/A'
+    ].join('\n');
+    const cuts = scene.parseSceneLog(log);
+    this.addResult('Cuts with scores', cuts.length === 2 && cuts[0].time === 4.2042 && cuts[0].score === 0.512345 && cuts[1].score === 0.34,
+      JSON.stringify(cuts));
+    this.addResult('Empty output', scene.parseSceneLog('').length === 0 && scene.parseSceneLog(null).length === 0, 'No cuts');
+  }
+
+  testShots() {
+    console.log('\n✂️ Testing Shots and Segments...');
+
+    const shots = scene.buildShots([{ time: 4, score: 0.5 }, { time: 4.4, score: 0.9 }, { time: 12, score: 0.35 }, { time: 19.6, score: 0.8 }], 20);
+    this.addResult('Short shots merged', shots.map(s => `${s.start}-${s.end}`).join(',') === '0-4,4-12,12-20',
+      shots.map(s => `${s.start}-${s.end}`).join(','));
+    this.addResult('Chapter scores', shots[0].score === null && shots[1].score === 0.5 && shots[2].score === 0.35,
+      shots.map(s => s.score).join(','));
+
+    const many = Array.from({ length: 30 }, (_, i) => ({ time: (i + 1) * 10, score: i === 7 ? 0.95 : 0.31 + (i % 5) / 100 }));
+    const capped = scene.buildShots(many, 320, { maxChapters: 5 });
+    this.addResult('Chapters capped, strongest cuts kept', capped.length === 5 && capped.some(s => s.start === 80) &&
+      capped[capped.length - 1].end === 320, capped.map(s => s.start).join(','));
+
+    const single = scene.buildShots([], 60);
+    this.addResult('No cuts: one shot', single.length === 1 && single[0].start === 0 && single[0].end === 60, JSON.stringify(single));
+
+    const segments = scene.planSegments(single, 4);
+    this.addResult('Long take split evenly', segments.map(s => `${s.start}-${s.end}`).join(',') === '0-15,15-30,30-45,45-60',
+      segments.map(s => `${s.start}-${s.end}`).join(','));
+    this.addResult('Very short video not over-split', scene.planSegments(scene.buildShots([], 1.5), 5).length === 1, 'One segment');
+    this.addResult('Enough shots: no split', scene.planSegments(shots, 2).length === 3, 'Three segments');
+
+    const times = scene.candidateTimes({ start: 10, end: 20 });
+    this.addResult('Candidates start mid-shot', times.join(',') === '15,13,17', times.join(','));
+  }
+
+  testFrames() {
+    console.log('\n🖼️ Testing Frame Quality...');
+
+    const sharp = scene.frameStats(texturedFrame);
+    this.addResult('Sharp frame accepted', scene.rejectReason(sharp, scene.perceptualHash(texturedFrame)) === null, JSON.stringify(sharp));
+    this.addResult('Black frame rejected', scene.rejectReason(scene.frameStats(black), scene.perceptualHash(black)) === 'black',
+      JSON.stringify(scene.frameStats(black)));
+
+    const flat = scene.frameStats(makeFrame(() => 128));
+    this.addResult('Flat frame rejected', scene.rejectReason(flat, '0000000000000000') === 'flat', JSON.stringify(flat));
+
+    const soft = scene.frameStats(gradient);
+    this.addResult('Blurry frame rejected', scene.rejectReason(soft, scene.perceptualHash(gradient)) === 'blurry', JSON.stringify(soft));
+
+    const hashA = scene.perceptualHash(texturedFrame);
+    const hashB = scene.perceptualHash(brighterFrame);
+    const hashC = scene.perceptualHash(mirroredFrame);
+    this.addResult('Hash format', /^[0-9a-f]{16}$/.test(hashA), hashA);
+    this.addResult('Brightness change keeps the hash', scene.hammingDistance(hashA, hashB) <= 2, `distance ${scene.hammingDistance(hashA, hashB)}`);
+    this.addResult('Different picture, different hash', scene.hammingDistance(hashA, hashC) > scene.DEFAULT_LIMITS.duplicateDistance,
+      `distance ${scene.hammingDistance(hashA, hashC)}`);
+    this.addResult('Near-duplicate rejected', scene.rejectReason(scene.frameStats(brighterFrame), hashB, [hashA]) === 'duplicate',
+      'Same shot twice');
+    this.addResult('Hamming distance', scene.hammingDistance('ff00000000000000', '0f00000000000001') === 5, 'Counted bits');
+  }
+
+  testSelection() {
+    console.log('\n⭐ Testing Key Moment Selection...');
+
+    const stats = { brightness: 120, contrast: 60, sharpness: 500 };
+    const long = scene.keyMomentScore(stats, { start: 0, end: 12 }, { score: 0.9 });
+    const short = scene.keyMomentScore(stats, { start: 0, end: 2 }, { score: 0.9 });
+    const soft = scene.keyMomentScore({ ...stats, sharpness: 50 }, { start: 0, end: 12 }, { score: 0.9 });
+    this.addResult('Score range', long > 0 && long <= 1, String(long));
+    this.addResult('Longer shots and sharper frames score higher', long > short && long > soft, `${long} > ${short}, ${soft}`);
+
+    const frames = [{ time: 3, score: 0.4 }, { time: 9, score: 0.9 }, { time: 15, score: 0.2 }, { time: 21, score: 0.7 }];
+    const picked = scene.selectKeyMoments(frames, 2);
+    this.addResult('Best frames, in time order', picked.map(f => f.time).join(',') === '9,21', picked.map(f => f.time).join(','));
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 SCENE DETECTION TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Scene detection tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All scene detection tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new SceneDetectionTest();
+  test.run();
+}
+
+module.exports = SceneDetectionTest;
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Search Query Parser Test
+ *
+ * Verifies field/phrase parsing, highlighting and type filters used by the
+ * unified search
+ */
+
+const { parseQuery, highlight } = require('../services/searchQueryParser');
+const searchService = require('../services/searchService');
+const { File } = require('../models');
+
+class SearchQueryTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🔎 Testing Search Query Parsing...\n');
+
+    this.testParsing();
+    this.testHighlighting();
+    this.testTypeFilters();
+    this.generateReport();
+  }
+
+  testParsing() {
+    console.log('🧩 Testing Query Parsing...');
+
+    const parsed = parseQuery('speaker:Mike tag:recipe "olive oil" -burnt type:video in:files https://example.com');
+    const clause = value => parsed.clauses.find(c => c.value === value) || {};
+
+    this.addResult('Speaker field', clause('mike').field === 'speaker', `Got: ${clause('mike').field}`);
+    this.addResult('Tag alias', clause('recipe').field === 'tags', `Got: ${clause('recipe').field}`);
+    this.addResult('Quoted phrase', clause('olive oil').phrase === true, `Got: ${clause('olive oil').phrase}`);
+    this.addResult('Negated term', clause('burnt').negate === true, `Got: ${clause('burnt').negate}`);
+    this.addResult('Type filter', parsed.filters.types.join() === 'video', `Got: ${parsed.filters.types.join()}`);
+    this.addResult('Scope filter', parsed.filters.in === 'file', `Got: ${parsed.filters.in}`);
+    this.addResult('Unknown prefix stays text', clause('https://example.com').field === null, `Got: ${clause('https://example.com').field}`);
+    this.addResult('Empty query', parseQuery('   ').clauses.length === 0, `Got: ${parseQuery('   ').clauses.length} clauses`);
+  }
+
+  testHighlighting() {
+    console.log('\n🖍️  Testing Highlighting...');
+
+    const snippet = highlight('Mike made a <recipe> with olive oil', ['olive oil', 'mike']);
+    this.addResult('Marks matches', snippet.includes('<mark>olive oil</mark>') && snippet.includes('<mark>Mike</mark>'), snippet);
+    this.addResult('Escapes HTML', snippet.includes('&lt;recipe&gt;') && !snippet.includes('<recipe>'), snippet);
+    this.addResult('No match returns null', highlight('nothing here', ['olive']) === null, `Got: ${highlight('nothing here', ['olive'])}`);
+  }
+
+  testTypeFilters() {
+    console.log('\n🎞️ Testing Type Filters...');
+
+    // SQL as MySQL runs it, without a connection
+    const sql = where => File.sequelize.getQueryInterface().queryGenerator
+      .selectQuery('files', { where, attributes: ['id'] }, File);
+
+    const contentWhere = searchService.typeWhere('content', ['video']);
+    this.addResult('Content filters on content_type', sql(contentWhere).includes("`content_type` IN ('video')"), sql(contentWhere));
+
+    const fileSql = sql(searchService.typeWhere('file', ['video', 'image']));
+    this.addResult('Files filter on the mimetype JSON path',
+      fileSql.includes("json_unquote(json_extract(`File`.`metadata`,'$.\\\"mimetype\\\"')) LIKE 'video/%'") &&
+      fileSql.includes("LIKE 'image/%'"), fileSql);
+    this.addResult('No serialised-JSON pattern', !fileSql.includes('%"mimetype"'), fileSql);
+
+    const unsafe = sql(searchService.typeWhere('file', ["video'%"]));
+    this.addResult('Type value sanitised', unsafe.includes("LIKE 'video/%'"), unsafe);
+    this.addResult('No types, no filter', Object.keys(searchService.typeWhere('file', [])).length === 0, 'Empty where');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 SEARCH QUERY TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Search query tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All search query tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new SearchQueryTest();
+  test.run();
+}
+
+module.exports = SearchQueryTest;
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Share Links Test
+ *
+ * Verifies share tokens, expiry limits, link status, token lookups, password checks (including the
+ * failed-attempt log) and that serialized links never carry the password hash
+ */
+
+const bcrypt = require('bcryptjs');
+const { ShareLink } = require('../models');
+const shareService = require('../services/shareService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ShareLink stand-in with the fields serializeLink() reads
+const fakeLink = (overrides = {}) => {
+  const values = {
+    id: 'link-1',
+    token: 'tok',
+    password_hash: null,
+    revoked_at: null,
+    expires_at: null,
+    ...overrides
+  };
+  return { ...values, toJSON: () => ({ ...values }) };
+};
+
+class SharesTest {
+  constructor() {
+    this.results = [];
+  }
+
+  async run() {
+    console.log('🔗 Testing Share Links...\n');
+
+    try {
+      this.testTokens();
+      this.testExpiry();
+      await this.testLookup();
+      await this.testPasswords();
+      this.testSerialize();
+    } catch (error) {
+      this.addResult('Share link tests ran', false, error.message);
+    }
+    this.generateReport();
+  }
+
+  testTokens() {
+    console.log('🎟️  Testing Tokens...');
+
+    const tokens = Array.from({ length: 50 }, () => shareService.generateToken());
+    this.addResult('Token is 32 URL-safe characters', tokens.every(token => /^[A-Za-z0-9_-]{32}$/.test(token)), tokens[0]);
+    this.addResult('Tokens are unique', new Set(tokens).size === tokens.length, `${new Set(tokens).size}/${tokens.length}`);
+  }
+
+  testExpiry() {
+    console.log('\n⏳ Testing Expiry...');
+
+    const days = value => {
+      const expiry = shareService.computeExpiry(value);
+      return expiry && Math.round((expiry.getTime() - Date.now()) / DAY_MS);
+    };
+
+    this.addResult('Zero days never expires', shareService.computeExpiry(0) === null, String(shareService.computeExpiry(0)));
+    this.addResult('Requested lifetime used', days(7) === 7, String(days(7)));
+    this.addResult('Lifetime capped', days(10000) === shareService.maxExpiryDays, String(days(10000)));
+    this.addResult('Invalid lifetime uses the default', [undefined, null, -3, NaN, '7'].every(value => days(value) === shareService.defaultExpiryDays),
+      String(days(-3)));
+
+    const past = new Date(Date.now() - 1000);
+    const future = new Date(Date.now() + DAY_MS);
+    this.addResult('Active link', shareService.getLinkStatus(fakeLink({ expires_at: future })) === 'active', 'future expiry');
+    this.addResult('Expired link', shareService.getLinkStatus(fakeLink({ expires_at: past })) === 'expired', 'past expiry');
+    this.addResult('Revoked wins over expiry', shareService.getLinkStatus(fakeLink({ expires_at: past, revoked_at: new Date() })) === 'revoked',
+      'revoked and expired');
+  }
+
+  async testLookup() {
+    console.log('\n🔍 Testing Token Lookup...');
+
+    const queries = [];
+    const original = ShareLink.findOne;
+    ShareLink.findOne = async options => {
+      queries.push(options.where.token);
+      return options.where.token === 'known' ? fakeLink({ token: 'known', revoked_at: new Date() }) : null;
+    };
+
+    try {
+      const invalid = await Promise.all([undefined, '', 42, { $ne: '' }, 'x'.repeat(65)].map(token => shareService.findByToken(token)));
+      this.addResult('Malformed tokens not looked up', invalid.every(r => r.status === 'not_found' && r.link === null) && queries.length === 0,
+        queries.join(','));
+
+      const unknown = await shareService.findByToken('unknown');
+      this.addResult('Unknown token', unknown.status === 'not_found', unknown.status);
+      const known = await shareService.findByToken('known');
+      this.addResult('Known token returns the link status', known.status === 'revoked' && known.link.token === 'known', known.status);
+    } finally {
+      ShareLink.findOne = original;
+    }
+  }
+
+  async testPasswords() {
+    console.log('\n🔐 Testing Passwords...');
+
+    const logged = [];
+    const originalLog = shareService.writeLog;
+    shareService.writeLog = async (link, action, method, client) => logged.push([action, client.ip]);
+
+    try {
+      const open = fakeLink();
+      this.addResult('Link without password opens', await shareService.verifyPassword(open, undefined) === true && logged.length === 0,
+        JSON.stringify(logged));
+
+      const link = fakeLink({ password_hash: await bcrypt.hash('correct horse', 4) });
+      this.addResult('Correct password accepted', await shareService.verifyPassword(link, 'correct horse', { ip: '203.0.113.5' }) === true &&
+        logged.length === 0, JSON.stringify(logged));
+      this.addResult('Wrong password rejected', await shareService.verifyPassword(link, 'Correct horse', { ip: '203.0.113.5' }) === false,
+        'Correct horse');
+      this.addResult('Missing password rejected', await shareService.verifyPassword(link, '', { ip: '203.0.113.5' }) === false, 'empty');
+      this.addResult('Failed attempts logged', logged.length === 2 && logged.every(([action, ip]) => action === 'password_failed' && ip === '203.0.113.5'),
+        JSON.stringify(logged));
+    } finally {
+      shareService.writeLog = originalLog;
+    }
+  }
+
+  testSerialize() {
+    console.log('\n📦 Testing Serialization...');
+
+    const link = fakeLink({ token: 'abc', password_hash: '$2a$12$secret' });
+    link.File = { filename: 'report.pdf', generated_title: null };
+    const json = shareService.serializeLink(link);
+    this.addResult('Password hash stripped', !('password_hash' in json) && !JSON.stringify(json).includes('$2a$'), Object.keys(json).join(','));
+    this.addResult('Password protection flagged', json.password_protected === true &&
+      shareService.serializeLink(fakeLink()).password_protected === false, String(json.password_protected));
+    this.addResult('Status, title and path added', json.status === 'active' && json.target_title === 'report.pdf' && json.path === '/shares/view/abc',
+      JSON.stringify({ status: json.status, target_title: json.target_title, path: json.path }));
+
+    this.addResult('Share method', shareService.getShareMethod({ contact_group_id: 'g', contact_id: 'c' }) === 'contact_group' &&
+      shareService.getShareMethod({ contact_id: 'c' }) === 'contact' && shareService.getShareMethod({}) === 'link', 'contact_group, contact, link');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 SHARE LINK TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Share link tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All share link tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new SharesTest();
+  test.run();
+}
+
+module.exports = SharesTest;
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Speaker Diarization Test
+ *
+ * Verifies speaker turns from Google Speech word tags, the local fallback that clusters synthetic voices by pitch
+ * and spectral shape, transcript alignment, per-speaker summaries and voice embeddings, and embedding-based
+ * matching in VoicePrintDatabase, and finding the same person across recordings for renames
+ */
+
+const diarization = require('../services/speakerDiarization');
+const VoicePrintDatabase = require('../services/multimedia/VoicePrintDatabase');
+
+const RATE = diarization.SAMPLE_RATE;
+
+// A vowel-like voice: harmonics of f0 shaped by two formants, with a little vibrato and loudness movement
+function voice(f0, formants, seconds, amplitude) {
+  const out = new Float64Array(Math.floor(seconds * RATE));
+  let phase = 0;
+  for (let i = 0; i < out.length; i++) {
+    phase += 2 * Math.PI * f0 * (1 + 0.05 * Math.sin(2 * Math.PI * 3 * i / RATE)) / RATE;
+    let sample = 0;
+    for (let harmonic = 1; harmonic * f0 < 4000; harmonic++) {
+      const frequency = harmonic * f0;
+      const gain = formants.reduce((sum, [center, width]) => sum + 1 / (1 + ((frequency - center) / width) ** 2), 0);
+      sample += gain * Math.sin(harmonic * phase) / harmonic;
+    }
+    out[i] = sample * amplitude * (0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * i / RATE));
+  }
+  return out;
+}
+
+const low = seconds => voice(110, [[700, 150], [1200, 200]], seconds, 6000);
+const high = seconds => voice(230, [[400, 120], [2300, 250]], seconds, 5000);
+const silence = seconds => new Float64Array(Math.floor(seconds * RATE)).map((value, i) => ((i * 7919) % 41) - 20);
+
+// s16le bytes, as ffmpeg delivers them
+function pcm(parts) {
+  const buffer = Buffer.alloc(parts.reduce((sum, part) => sum + part.length, 0) * 2);
+  let offset = 0;
+  for (const part of parts) {
+    for (const value of part) {
+      buffer.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), offset);
+      offset += 2;
+    }
+  }
+  return buffer;
+}
+
+class SpeakerDiarizationTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('🗣️ Testing Speaker Diarization...\n');
+
+    this.testGoogleWords();
+    this.testLocalDiarization();
+    this.testAlignmentAndSummaries();
+    this.testVoicePrints();
+    this.generateReport();
+  }
+
+  testGoogleWords() {
+    console.log('☁️ Testing Google Speech Speaker Tags...');
+
+    this.addResult('Time offsets', diarization.timeOffsetSeconds({ seconds: '3', nanos: 500000000 }) === 3.5
+      && diarization.timeOffsetSeconds('1.250s') === 1.25 && diarization.timeOffsetSeconds(2) === 2
+      && diarization.timeOffsetSeconds(undefined) === 0, 'Object, string and number offsets');
+
+    const results = [
+      { alternatives: [{ transcript: 'hi there hello', words: [{ word: 'hi' }, { word: 'there' }] }] },
+      {
+        alternatives: [{
+          words: [
+            { word: 'hi', startTime: { seconds: '0', nanos: 200000000 }, endTime: { seconds: '0', nanos: 500000000 }, speakerTag: 2 },
+            { word: 'there', startTime: { seconds: '0', nanos: 500000000 }, endTime: { seconds: '1' }, speakerTag: 2 },
+            { word: 'hello', startTime: { seconds: '1', nanos: 400000000 }, endTime: { seconds: '2' }, speakerTag: 1 },
+            { word: 'again', startTime: { seconds: '6' }, endTime: { seconds: '6', nanos: 500000000 }, speakerTag: 1 },
+            { word: 'bye', startTime: { seconds: '7' }, endTime: { seconds: '7', nanos: 400000000 }, speakerTag: 2 }
+          ]
+        }]
+      }
+    ];
+    const words = diarization.wordsFromGoogleResults(results);
+    this.addResult('Tagged words from the last result', words.length === 5 && words[0].start === 0.2 && words[0].speakerTag === 2,
+      `${words.length} words`);
+    this.addResult('No tags, no words', diarization.wordsFromGoogleResults([results[0]]).length === 0
+      && diarization.wordsFromGoogleResults().length === 0, 'Untagged results are ignored');
+
+    const turns = diarization.turnsFromWords(words);
+    this.addResult('Turns per speaker change', turns.length === 4 && turns[0].text === 'hi there' && turns[0].start === 0.2
+      && turns[0].end === 1, JSON.stringify(turns.map(turn => turn.text)));
+    this.addResult('Speakers numbered by first appearance', turns[0].speaker === 1 && turns[1].speaker === 2 && turns[3].speaker === 1,
+      'Google tag 2 speaks first and becomes speaker 1');
+    this.addResult('Long pause splits a turn', turns[1].text === 'hello' && turns[2].text === 'again',
+      'Same speaker after a 4 s pause is a new turn');
+  }
+
+  testLocalDiarization() {
+    console.log('\n🎛️ Testing Local Voice Clustering...');
+
+    const buffer = pcm([low(4), silence(0.5), high(3), silence(0.5), low(4)]);
+    const samples = diarization.samplesFromPcm(buffer);
+    this.addResult('PCM decoding', samples.length === buffer.length / 2 && samples[RATE] === buffer.readInt16LE(RATE * 2),
+      `${samples.length} samples`);
+
+    const frames = diarization.frameFeatures(samples);
+    const mask = diarization.speechMask(frames);
+    const pauseFrame = Math.floor(4.2 * RATE / diarization.FRAME_SIZE);
+    this.addResult('Speech detection', mask[10] && !mask[pauseFrame], 'Voice is speech, the pause is not');
+
+    const voiced = frames.filter((frame, i) => mask[i] && frame.time < 4 && frame.pitch);
+    const pitch = voiced.reduce((sum, frame) => sum + frame.pitch, 0) / voiced.length;
+    this.addResult('Pitch estimate', Math.abs(pitch - 110) < 12, `${Math.round(pitch)} Hz for a 110 Hz voice`);
+
+    const windows = diarization.speechWindows(frames, mask);
+    const turns = diarization.turnsFromWindows(windows);
+    this.addResult('Two speakers found', new Set(turns.map(turn => turn.speaker)).size === 2, `${turns.length} turns`);
+    this.addResult('Speaker changes at the right time', turns.length === 3 && turns[0].speaker === 1 && turns[1].speaker === 2
+      && turns[2].speaker === 1 && Math.abs(turns[1].start - 4.5) < 0.6 && Math.abs(turns[1].end - 7.5) < 0.6,
+      JSON.stringify(turns));
+    this.addResult('Speaker cap', new Set(diarization.turnsFromWindows(windows, { maxSpeakers: 1 }).map(turn => turn.speaker)).size === 1,
+      'maxSpeakers 1 merges both voices');
+
+    this.frames = frames;
+    this.mask = mask;
+    this.turns = turns;
+  }
+
+  testAlignmentAndSummaries() {
+    console.log('\n📝 Testing Transcript Alignment and Summaries...');
+
+    const turns = [
+      { start: 0, end: 6, speaker: 1 },
+      { start: 6, end: 8, speaker: 2 },
+      { start: 8, end: 10, speaker: 1 }
+    ];
+    const aligned = diarization.alignText(turns, 'one two three four five six seven eight nine ten');
+    this.addResult('Words spread by duration', aligned[0].text === 'one two three four five six' && aligned[1].text === 'seven eight'
+      && aligned[2].text === 'nine ten', JSON.stringify(aligned.map(turn => turn.text)));
+    this.addResult('No transcript', diarization.alignText(turns, '').every(turn => turn.text === ''), 'Turns keep empty text');
+
+    const absorbed = diarization.absorbShortTurns([
+      { start: 0, end: 3, speaker: 1 },
+      { start: 3, end: 3.4, speaker: 2 },
+      { start: 3.4, end: 6, speaker: 1 }
+    ]);
+    this.addResult('Short turn absorbed', absorbed.length === 1 && absorbed[0].end === 6, JSON.stringify(absorbed));
+
+    const summaries = diarization.speakerSummaries(aligned);
+    this.addResult('Speaker summaries', summaries.length === 2 && summaries[0].totalDuration === 8 && summaries[0].turnCount === 2
+      && summaries[0].wordCount === 8 && summaries[0].lastAppearance === 10 && summaries[1].firstAppearance === 6,
+      JSON.stringify(summaries.map(summary => [summary.speaker, summary.totalDuration, summary.wordCount])));
+
+    const style = diarization.speakingStyle('The plan is ready. We ship it today!', 4);
+    this.addResult('Speaking style', style.wordCount === 8 && style.averageSentenceLength === 4 && style.pace === 'normal',
+      JSON.stringify(style));
+
+    const labelled = diarization.labelTurns(
+      [{ start: 0, end: 2, speaker: 1, speakerTag: 'Speaker_1_1', text: 'hi' }, { start: 2, end: 4, speaker: 10, speakerTag: 'Speaker_1_10' }],
+      [{ speaker_tag: 'Speaker_1_1', name: 'Alice' }]);
+    this.addResult('Turns labelled for display', labelled[0].name === 'Alice' && labelled[0].colorIndex === 0
+      && labelled[1].name === 'Speaker 10' && labelled[1].colorIndex === 1 && labelled[1].text === '',
+      'Names by speaker tag, colours wrap after eight');
+    this.addResult('Missing turns', diarization.labelTurns(undefined).length === 0 && diarization.labelTurns(null).length === 0,
+      'Analyses without diarization show nothing');
+  }
+
+  testVoicePrints() {
+    console.log('\n🔐 Testing Voice Embeddings and Matching...');
+
+    const voices = diarization.speakerVoices(this.frames, this.mask, this.turns);
+    const first = voices.get(1);
+    const second = voices.get(2);
+    this.addResult('Voice per speaker', first && second && Math.abs(first.pitchHz - 110) < 12 && Math.abs(second.pitchHz - 230) < 25,
+      `${first && first.pitchHz} Hz and ${second && second.pitchHz} Hz`);
+    this.addResult('Embeddings differ between voices', diarization.embeddingSimilarity(first.embedding, second.embedding) < 0.3,
+      `similarity ${diarization.embeddingSimilarity(first.embedding, second.embedding)}`);
+
+    // The same low voice in another recording
+    const again = diarization.samplesFromPcm(pcm([silence(0.5), low(3)]));
+    const againFrames = diarization.frameFeatures(again);
+    const againMask = diarization.speechMask(againFrames);
+    const againVoice = diarization.speakerVoices(againFrames, againMask, [{ start: 0, end: 3.5, speaker: 1 }]).get(1);
+    this.addResult('Same voice, similar embedding', diarization.embeddingSimilarity(first.embedding, againVoice.embedding) > 0.7,
+      `similarity ${diarization.embeddingSimilarity(first.embedding, againVoice.embedding)}`);
+    this.addResult('Mismatched embeddings', diarization.embeddingSimilarity([1, 2], [1, 2, 3]) === 0
+      && diarization.embeddingSimilarity(null, [1]) === 0, 'Different lengths never match');
+
+    const summary = { totalDuration: 12, wordCount: 30 };
+    const characteristics = diarization.voiceCharacteristics(first, summary);
+    this.addResult('Characteristics from measurements', characteristics.estimatedPitch === 'low' && characteristics.estimatedTempo === 'normal'
+      && characteristics.embedding === first.embedding, JSON.stringify({ ...characteristics, embedding: undefined }));
+
+    const database = new VoicePrintDatabase({ enableLogging: false });
+    const style = diarization.speakingStyle('word '.repeat(30), 12);
+    const fingerprint = measured => database.generateVoiceFingerprint(diarization.voiceCharacteristics(measured, summary), style);
+    const firstPrint = fingerprint(first);
+    const samePrint = fingerprint(againVoice);
+    const otherPrint = fingerprint(second);
+    this.addResult('Fingerprint carries the embedding', Array.isArray(firstPrint.embedding) && firstPrint.pitchHz === first.pitchHz
+      && typeof firstPrint.hash === 'string', 'embedding and pitchHz stored');
+    this.addResult('Same voice matches', database.calculateSimilarity(firstPrint, samePrint) >= database.similarityThreshold,
+      `similarity ${database.calculateSimilarity(firstPrint, samePrint).toFixed(3)}`);
+    this.addResult('Different voice does not match', database.calculateSimilarity(firstPrint, otherPrint) < database.similarityThreshold,
+      `similarity ${database.calculateSimilarity(firstPrint, otherPrint).toFixed(3)}`);
+
+    // Renaming one speaker renames the same person in other recordings
+    const speakers = [
+      { id: 'a', contact_id: null, profile_data: {} },
+      { id: 'b', contact_id: null, profile_data: { matchedSpeakerId: 'a' } },
+      { id: 'c', contact_id: 'contact-1', profile_data: { matchedSpeakerId: 'b' } },
+      { id: 'd', contact_id: 'contact-1', profile_data: {} },
+      { id: 'e', contact_id: 'contact-2', profile_data: {} }
+    ];
+    const linked = diarization.linkedSpeakers(speakers, 'a').sort();
+    this.addResult('Linked speakers', linked.join(',') === 'a,b,c,d', `${linked.join(', ')} (voice matches and shared contact)`);
+    this.addResult('Unlinked speaker', diarization.linkedSpeakers(speakers, 'e').join(',') === 'e', 'Only itself');
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 SPEAKER DIARIZATION TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Speaker diarization tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All speaker diarization tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new SpeakerDiarizationTest();
+  test.run();
+}
+
+module.exports = SpeakerDiarizationTest;
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Transcript Formats Test
+ *
+ * Verifies WebVTT parsing (rolling YouTube auto-captions, word timings, SRT timestamps), segments from Whisper and
+ * Google Speech, speaker assignment from diarized turns, sentence lines, line corrections, and SRT/WebVTT/text/JSON output
+ */
+
+const formats = require('../services/transcriptFormats');
+
+// Rolling auto-captions as yt-dlp writes them: each cue repeats the previous line (blank lines hold a single
+// space), and 10 ms cues repeat it again
+const YOUTUBE_VTT = [
+  'WEBVTT',
+  'Kind: captions',
+  'Language: en',
+  '',
+  '00:00:00.000 --> 00:00:02.350 align:start position:0%',
+  ' ',
+  'welcome<00:00:00.480><c> back</c><00:00:00.960><c> everyone</c>',
+  '',
+  '00:00:02.350 --> 00:00:02.360 align:start position:0%',
+  'welcome back everyone',
+  ' ',
+  '',
+  '00:00:02.360 --> 00:00:04.500 align:start position:0%',
+  'welcome back everyone',
+  'today<00:00:02.800><c> we</c><00:00:03.100><c> cook</c><00:00:03.600><c> pasta</c>',
+  '',
+  '00:00:04.500 --> 00:00:04.510 align:start position:0%',
+  'today we cook pasta',
+  ' ',
+  ''
+].join('\n');
+
+const GOOGLE_RESULTS = [
+  {
+    alternatives: [{
+      transcript: 'Hello there.',
+      words: [
+        { word: 'Hello', startTime: { seconds: '0', nanos: 100000000 }, endTime: { seconds: '0', nanos: 500000000 } },
+        { word: 'there.', startTime: { seconds: '0', nanos: 500000000 }, endTime: { seconds: '1', nanos: 0 } }
+      ]
+    }]
+  },
+  {
+    alternatives: [{
+      transcript: 'How are you?',
+      words: [
+        { word: 'How', startTime: { seconds: '2' }, endTime: { seconds: '2', nanos: 300000000 } },
+        { word: 'are', startTime: { seconds: '2', nanos: 300000000 }, endTime: { seconds: '2', nanos: 500000000 } },
+        { word: 'you?', startTime: { seconds: '2', nanos: 500000000 }, endTime: { seconds: '3' } }
+      ]
+    }]
+  },
+  // Diarization summary result: all words again, no transcript
+  { alternatives: [{ transcript: '', words: [] }] }
+];
+
+class TranscriptFormatsTest {
+  constructor() {
+    this.results = [];
+  }
+
+  run() {
+    console.log('📝 Testing Transcript Formats...\n');
+
+    this.testTimestamps();
+    this.testVtt();
+    this.testSegmentSources();
+    this.testLines();
+    this.testEdits();
+    this.testExports();
+
+    this.generateReport();
+  }
+
+  testTimestamps() {
+    this.addResult('VTT timestamp', formats.parseTimestamp('01:02:03.456') === 3723.456, '01:02:03.456 -> 3723.456');
+    this.addResult('Short VTT timestamp', formats.parseTimestamp('02:03.5') === 123.5, '02:03.5 -> 123.5');
+    this.addResult('SRT timestamp', formats.parseTimestamp('00:00:01,250') === 1.25, '00:00:01,250 -> 1.25');
+    this.addResult('Invalid timestamp', formats.parseTimestamp('soon') === null, 'null');
+    this.addResult('Timestamp formatting', formats.formatTimestamp(3723.4567) === '01:02:03,457'
+      && formats.formatTimestamp(61, '.') === '00:01:01.000', `${formats.formatTimestamp(3723.4567)}, ${formats.formatTimestamp(61, '.')}`);
+  }
+
+  testVtt() {
+    const segments = formats.parseVtt(YOUTUBE_VTT);
+    this.addResult('Rolling captions deduplicated', segments.length === 2
+      && segments[0].text === 'welcome back everyone' && segments[1].text === 'today we cook pasta',
+      segments.map(segment => segment.text).join(' | '));
+    this.addResult('Cue timings kept', segments[0].start === 0 && segments[1].start === 2.36 && segments[1].end === 4.5,
+      segments.map(segment => `${segment.start}-${segment.end}`).join(', '));
+
+    const words = segments[1].words || [];
+    this.addResult('Word timings parsed', words.length === 4 && words[0].start === 2.36 && words[3].word === 'pasta'
+      && words[3].start === 3.6 && words[2].end === 3.6, words.map(word => `${word.word}@${word.start}`).join(' '));
+
+    const manual = formats.parseVtt('WEBVTT\n\n1\n00:00:01.000 --> 00:00:03.000\n<v Ann>Fish &amp; chips</v>\n\n2\n00:00:03.000 --> 00:00:05.000\nSee you &lt;soon&gt;\n');
+    this.addResult('Manual captions and entities', manual.length === 2 && manual[0].text === 'Fish & chips'
+      && manual[1].text === 'See you <soon>' && !manual[0].words, manual.map(segment => segment.text).join(' | '));
+
+    const srt = formats.parseVtt('1\n00:00:00,500 --> 00:00:02,000\nFrom a subrip file\n');
+    this.addResult('SRT input', srt.length === 1 && srt[0].start === 0.5 && srt[0].end === 2, JSON.stringify(srt[0]));
+  }
+
+  testSegmentSources() {
+    const whisper = formats.segmentsFromWhisper({
+      text: 'One. Two.',
+      segments: [{ id: 0, start: 0, end: 1.2, text: ' One.' }, { id: 1, start: 1.2, end: 2.5, text: ' Two.' }, { id: 2, start: 2.5, end: 3, text: ' ' }]
+    });
+    this.addResult('Whisper segments', whisper.length === 2 && whisper[1].text === 'Two.' && whisper[1].start === 1.2,
+      whisper.map(segment => `${segment.start} ${segment.text}`).join(' | '));
+    this.addResult('Whisper text-only response', formats.segmentsFromWhisper('plain text').length === 0, 'no segments');
+
+    const google = formats.segmentsFromGoogleResults(GOOGLE_RESULTS);
+    this.addResult('Google segments from word offsets', google.length === 2 && google[0].start === 0.1 && google[0].end === 1
+      && google[1].start === 2 && google[1].words.length === 3, google.map(segment => `${segment.start}-${segment.end} ${segment.text}`).join(' | '));
+
+    const turns = [
+      { start: 0, end: 1.5, speakerTag: 'Speaker_1_1', text: 'Hello there.' },
+      { start: 1.5, end: 4, speakerTag: 'Speaker_1_2', text: 'How are you?' }
+    ];
+    const labelled = formats.assignSpeakers(google, turns);
+    this.addResult('Speakers assigned by overlap', labelled[0].speaker === 'Speaker_1_1' && labelled[1].speaker === 'Speaker_1_2',
+      labelled.map(segment => segment.speaker).join(', '));
+    this.addResult('Segments from turns', formats.segmentsFromTurns(turns)[1].speaker === 'Speaker_1_2', 'speaker tag kept');
+
+    const estimated = formats.segmentsFromText('First sentence here. Second one! Third', 12);
+    this.addResult('Estimated segments fill the duration', estimated.length === 3 && estimated[0].start === 0
+      && estimated[2].end === 12 && estimated[1].start === estimated[0].end, estimated.map(segment => `${segment.start}-${segment.end}`).join(', '));
+    const unknownLength = formats.segmentsFromText('Five words in this sentence.');
+    this.addResult('Estimated speaking rate', unknownLength[0].end === 2, `${unknownLength[0].end}s for five words`);
+  }
+
+  testLines() {
+    const lines = formats.transcriptLines([
+      { start: 0, end: 6, text: 'First sentence. Second sentence is here.' },
+      { start: 10, end: 12, text: 'after a pause' }
+    ]);
+    this.addResult('Lines split at sentence ends', lines.length === 3 && lines[0].text === 'First sentence.'
+      && lines[1].text === 'Second sentence is here.', lines.map(line => line.text).join(' | '));
+    this.addResult('Line times interpolated', lines[0].start === 0 && lines[1].start > 2 && lines[1].end === 6 && lines[2].start === 10,
+      lines.map(line => `${line.start}-${line.end}`).join(', '));
+
+    const captions = formats.parseVtt(YOUTUBE_VTT);
+    const merged = formats.transcriptLines(captions);
+    this.addResult('Unpunctuated captions join across short gaps', merged.length === 1 && merged[0].end === 4.5,
+      merged.map(line => line.text).join(' | '));
+
+    const speakers = formats.transcriptLines([
+      { start: 0, end: 1, text: 'yes', speaker: 'A' },
+      { start: 1, end: 2, text: 'no', speaker: 'B' }
+    ]);
+    this.addResult('Lines split at speaker change', speakers.length === 2 && speakers[1].speaker === 'B', speakers.map(line => line.speaker).join(', '));
+
+    const long = formats.transcriptLines([{ start: 0, end: 30, text: 'word '.repeat(60).trim() }], { maxChars: formats.SUBTITLE_MAX_CHARS });
+    this.addResult('Long lines capped', long.length > 1 && long.every(line => line.text.length <= formats.SUBTITLE_MAX_CHARS),
+      `${long.length} lines`);
+  }
+
+  testEdits() {
+    const segments = formats.segmentsFromGoogleResults(GOOGLE_RESULTS).map((segment, i) => ({ ...segment, speaker: `S${i + 1}` }));
+
+    const edited = formats.applyLineEdits(segments, [{ index: 1, text: '  How  are you  doing? ' }]);
+    this.addResult('Line corrected', edited.changed === 1 && edited.segments[1].text === 'How are you doing?'
+      && edited.segments[1].start === 2 && edited.segments[1].speaker === 'S2', JSON.stringify(edited.segments[1]));
+    this.addResult('Word timings dropped only on corrected lines', !edited.segments[1].words
+      && edited.segments[0].words.length === 2, `${edited.segments[0].words.length} words kept on line 0`);
+    this.addResult('Flat text follows corrections', formats.segmentsText(edited.segments) === 'Hello there. How are you doing?',
+      formats.segmentsText(edited.segments));
+
+    const unchanged = formats.applyLineEdits(segments, [{ index: 0, text: 'Hello there.' }]);
+    this.addResult('Unchanged lines not counted', unchanged.changed === 0 && unchanged.segments.length === 2, `${unchanged.changed} changed`);
+
+    const removed = formats.applyLineEdits(segments, [{ index: 0, text: ' ' }]);
+    this.addResult('Empty line removed', removed.changed === 1 && removed.segments.length === 1
+      && removed.segments[0].text === 'How are you?', removed.segments.map(segment => segment.text).join(' | '));
+
+    const estimated = formats.applyLineEdits(formats.segmentsFromText('One two. Three four.', 4), [{ index: 1, text: 'Three, four.' }]);
+    this.addResult('Estimated words not stored', estimated.segments.every(segment => !segment.words), 'No made-up word timings');
+
+    let message = '';
+    try {
+      formats.applyLineEdits(segments, [{ index: 5, text: 'x' }]);
+    } catch (error) {
+      message = error.message;
+    }
+    this.addResult('Missing line rejected', message === 'Line 5 does not exist', message);
+  }
+
+  testExports() {
+    const transcript = {
+      source: 'google-speech',
+      language: 'en-US',
+      segments: formats.assignSpeakers(formats.segmentsFromGoogleResults(GOOGLE_RESULTS), [
+        { start: 0, end: 1.5, speakerTag: 'S1' },
+        { start: 1.5, end: 4, speakerTag: 'S2' }
+      ])
+    };
+    const names = { S1: 'Ann <host>', S2: 'Bob' };
+
+    const srt = formats.exportTranscript(transcript, 'srt', names);
+    this.addResult('SRT output', srt.startsWith('1\n00:00:00,100 --> 00:00:01,000\nAnn <host>: Hello there.\n\n2\n00:00:02,000 --> 00:00:03,000\nBob: How are you?'),
+      JSON.stringify(srt.slice(0, 60)));
+
+    const vtt = formats.exportTranscript(transcript, 'vtt', names);
+    this.addResult('WebVTT output', vtt.startsWith('WEBVTT\n\n00:00:00.100 --> 00:00:01.000\n<v Ann &lt;host&gt;>Hello there.'),
+      JSON.stringify(vtt.slice(0, 70)));
+    const roundTrip = formats.parseVtt(vtt);
+    this.addResult('WebVTT output parses back', roundTrip.length === 2 && roundTrip[1].text === 'How are you?' && roundTrip[1].start === 2,
+      roundTrip.map(segment => segment.text).join(' | '));
+
+    const text = formats.exportTranscript(transcript, 'txt', names);
+    this.addResult('Text output', text === 'Ann <host>: Hello there.\nBob: How are you?\n', JSON.stringify(text));
+
+    const json = JSON.parse(formats.exportTranscript(transcript, 'json', names));
+    this.addResult('JSON output', json.source === 'google-speech' && json.estimated === false && json.segments[1].speaker === 'Bob'
+      && json.segments[0].words.length === 2, `${json.segments.length} segments`);
+
+    const unnamed = formats.exportTranscript({ segments: [{ start: 0, end: 1, text: 'Hi.', speaker: 'S9' }] }, 'txt');
+    this.addResult('Unknown speakers have no prefix', unnamed === 'Hi.\n', JSON.stringify(unnamed));
+
+    let message = '';
+    try {
+      formats.exportTranscript(transcript, 'docx');
+    } catch (error) {
+      message = error.message;
+    }
+    this.addResult('Unsupported format rejected', /^Unsupported format/.test(message), message);
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 TRANSCRIPT FORMATS TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Transcript formats tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All transcript formats tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new TranscriptFormatsTest();
+  test.run();
+}
+
+module.exports = TranscriptFormatsTest;
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Webhooks Test
+ *
+ * Verifies payload signing, private address checks, event lists, and delivery with retry backoff,
+ * final failure and endpoint disabling, with the delivery queries and HTTP client replaced by fakes
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const webhookService = require('../services/webhookService');
+
+// Record stand-in whose update() applies and records the values
+const record = (values) => {
+  const item = {
+    ...values,
+    updates: [],
+    update: async (changes) => {
+      item.updates.push(changes);
+      Object.assign(item, changes);
+      return item;
+    }
+  };
+  return item;
+};
+
+class WebhooksTest {
+  constructor() {
+    this.results = [];
+    this.originals = [];
+  }
+
+  async run() {
+    console.log('🪝 Testing Webhooks...\n');
+
+    try {
+      this.testSigning();
+      await this.testAddresses();
+      this.testEvents();
+      await this.testDelivery();
+      await this.testRetryLoop();
+    } catch (error) {
+      this.addResult('Webhook tests ran', false, error.stack);
+    } finally {
+      this.originals.reverse().forEach(([target, name, original]) => { target[name] = original; });
+    }
+    this.generateReport();
+  }
+
+  fake(target, name, implementation) {
+    this.originals.push([target, name, target[name]]);
+    target[name] = implementation;
+  }
+
+  testSigning() {
+    console.log('✍️  Testing Signatures...');
+
+    const body = JSON.stringify({ id: 'evt-1', event: 'content.created', data: { id: 'c1' } });
+    const header = webhookService.sign('whsec_test', body, 1755684000);
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1755684000.${body}`).digest('hex');
+    this.addResult('Signature header format', /^t=1755684000,v1=[0-9a-f]{64}$/.test(header), header);
+    this.addResult('HMAC over timestamp and body', header.endsWith(`v1=${expected}`), header);
+    this.addResult('Timestamp is part of the signature', webhookService.sign('whsec_test', body, 1755684001).split('v1=')[1] !== expected,
+      'timestamp changed');
+    this.addResult('Secret is part of the signature', webhookService.sign('whsec_other', body, 1755684000) !== header, 'secret changed');
+    this.addResult('Secret format', /^whsec_[A-Za-z0-9_-]{43}$/.test(webhookService.generateSecret()), 'whsec_<base64url>');
+  }
+
+  async testAddresses() {
+    console.log('\n🌐 Testing Addresses...');
+
+    const privateAddresses = ['10.0.0.1', '127.0.0.1', '169.254.169.254', '172.16.5.4', '192.168.1.1', '100.64.0.1', '::1', 'fd00::1',
+      'fe80::1', '::ffff:10.0.0.1'];
+    const publicAddresses = ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8'];
+    const wronglyPublic = privateAddresses.filter(address => !webhookService.isPrivateAddress(address));
+    const wronglyPrivate = publicAddresses.filter(address => webhookService.isPrivateAddress(address));
+    this.addResult('Private ranges detected', wronglyPublic.length === 0, wronglyPublic.join(',') || 'all private');
+    this.addResult('Public addresses allowed', wronglyPrivate.length === 0, wronglyPrivate.join(',') || 'all public');
+    this.addResult('Bracketed IPv6 literal resolved', await webhookService.resolvesToPrivateAddress('[::1]') === true, '[::1]');
+
+    const refusal = async (url) => webhookService.assertDeliverableUrl(url).then(() => null, error => error.message);
+    const environment = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'production';
+      this.addResult('Production requires https', await refusal('http://8.8.8.8/hook') === 'Webhook URL must use https', 'http://8.8.8.8/hook');
+      this.addResult('Production refuses private targets', await refusal('https://169.254.169.254/latest') ===
+        'Webhook URL must not point at a private network address', 'https://169.254.169.254/latest');
+      this.addResult('Production accepts public https', await refusal('https://8.8.8.8/hook') === null, 'https://8.8.8.8/hook');
+      process.env.NODE_ENV = 'development';
+      this.addResult('Development allows local http', await refusal('http://localhost:4000/hook') === null, 'http://localhost:4000/hook');
+      this.addResult('Other schemes refused', await refusal('ftp://example.com/hook') === 'Webhook URL must use http or https', 'ftp://');
+      this.addResult('Malformed URL refused', await refusal('not a url') === 'Webhook URL is not valid', 'not a url');
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  }
+
+  testEvents() {
+    console.log('\n📣 Testing Event Lists...');
+
+    this.addResult('Empty list means every event', webhookService.normaliseEvents([]).join(',') === '*' &&
+      webhookService.normaliseEvents(['content.created', '*']).join(',') === '*', '*');
+    this.addResult('Duplicates removed', webhookService.normaliseEvents(['file.uploaded', 'file.uploaded']).length === 1, 'file.uploaded x2');
+    let unknown = null;
+    try {
+      webhookService.normaliseEvents(['content.created', 'user.deleted']);
+    } catch (error) {
+      unknown = error.message;
+    }
+    this.addResult('Unknown events rejected', unknown === 'Unknown webhook events: user.deleted', String(unknown));
+  }
+
+  async testDelivery() {
+    console.log('\n📤 Testing Delivery...');
+
+    let delivery = null;
+    let endpoint = null;
+    let answer = null;
+    const posts = [];
+    this.fake(WebhookDelivery, 'findByPk', async () => delivery);
+    this.fake(WebhookEndpoint, 'scope', () => ({ findByPk: async () => endpoint }));
+    this.fake(axios, 'post', async (url, body, options) => {
+      posts.push({ url, body, headers: options.headers, maxRedirects: options.maxRedirects });
+      if (answer instanceof Error) throw answer;
+      return { status: answer, data: 'ok' };
+    });
+
+    const newDelivery = (attempts = 0) => record({ id: 'del-1', endpoint_id: 'ep-1', event: 'content.created', status: 'pending',
+      attempt_count: attempts, payload: { id: 'evt-1', event: 'content.created', data: { id: 'c1' } } });
+    const newEndpoint = (failures = 0) => record({ id: 'ep-1', user_id: 'user-1', url: 'https://receiver.example.com/hook',
+      secret: 'whsec_test', enabled: true, consecutive_failures: failures });
+
+    delivery = newDelivery();
+    endpoint = newEndpoint(3);
+    answer = 204;
+    await webhookService.deliver('del-1');
+    const sent = posts[0];
+    const [timestamp, signature] = sent.headers['X-DaySave-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/).slice(1);
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${sent.body}`).digest('hex');
+    this.addResult('Receiver can verify the signature', signature === expected && sent.body === JSON.stringify(delivery.payload), sent.headers['X-DaySave-Signature']);
+    this.addResult('Event and delivery headers', sent.headers['X-DaySave-Event'] === 'content.created' && sent.headers['X-DaySave-Delivery'] === 'del-1' &&
+      sent.maxRedirects === 0, JSON.stringify(sent.headers));
+    this.addResult('2xx marks the delivery succeeded', delivery.status === 'succeeded' && delivery.attempt_count === 1 &&
+      delivery.next_attempt_at === null && delivery.delivered_at instanceof Date, delivery.status);
+    this.addResult('Success resets endpoint failures', endpoint.consecutive_failures === 0, String(endpoint.consecutive_failures));
+
+    delivery = newDelivery();
+    endpoint = newEndpoint();
+    answer = 500;
+    const before = Date.now();
+    await webhookService.deliver('del-1');
+    const firstDelay = delivery.next_attempt_at.getTime() - before;
+    this.addResult('Non-2xx answer retried', delivery.status === 'retrying' && delivery.error_message === 'Receiver answered HTTP 500' &&
+      delivery.response_status === 500, `${delivery.status}: ${delivery.error_message}`);
+    this.addResult('First retry after a minute', firstDelay >= 60000 && firstDelay < 65000, `${firstDelay}ms`);
+
+    delivery = newDelivery(3);
+    answer = new Error('connect ECONNREFUSED');
+    const later = Date.now();
+    await webhookService.deliver('del-1');
+    const fourthDelay = delivery.next_attempt_at.getTime() - later;
+    this.addResult('Backoff grows with attempts', delivery.attempt_count === 4 && fourthDelay >= 7200000 && fourthDelay < 7205000, `${fourthDelay}ms`);
+    this.addResult('Network errors recorded', delivery.error_message === 'connect ECONNREFUSED' && delivery.response_status === null,
+      String(delivery.error_message));
+    this.addResult('Retries leave endpoint failures alone', endpoint.updates.length === 0, JSON.stringify(endpoint.updates));
+
+    delivery = newDelivery(webhookService.maxAttempts - 1);
+    endpoint = newEndpoint(2);
+    answer = 502;
+    await webhookService.deliver('del-1');
+    this.addResult('Last attempt fails for good', delivery.status === 'failed' && delivery.next_attempt_at === null &&
+      delivery.attempt_count === webhookService.maxAttempts, delivery.status);
+    this.addResult('Final failure counted on the endpoint', endpoint.consecutive_failures === 3 && endpoint.enabled === true,
+      JSON.stringify(endpoint.updates));
+
+    delivery = newDelivery(webhookService.maxAttempts - 1);
+    endpoint = newEndpoint(webhookService.disableAfterFailures - 1);
+    await webhookService.deliver('del-1');
+    this.addResult('Endpoint disabled after repeated failures', endpoint.enabled === false, JSON.stringify(endpoint.updates));
+
+    posts.length = 0;
+    delivery = record({ ...newDelivery(), status: 'succeeded' });
+    await webhookService.deliver('del-1');
+    this.addResult('Finished deliveries not sent again', posts.length === 0 && delivery.updates.length === 0, String(posts.length));
+  }
+
+  async testRetryLoop() {
+    console.log('\n🔁 Testing Retry Loop...');
+
+    const delivered = [];
+    let query = null;
+    this.fake(WebhookDelivery, 'findAll', async (options) => {
+      query = options;
+      return [{ id: 'del-a' }, { id: 'del-b' }];
+    });
+    this.fake(webhookService, 'deliver', async (id) => delivered.push(id));
+
+    const attempted = await webhookService.processDueRetries();
+    this.addResult('Due deliveries attempted oldest first', attempted === 2 && delivered.join(',') === 'del-a,del-b' &&
+      query.order[0].join(' ') === 'next_attempt_at ASC', delivered.join(','));
+
+    webhookService.retryRunning = true;
+    const overlapping = await webhookService.processDueRetries();
+    webhookService.retryRunning = false;
+    this.addResult('Overlapping run skipped', overlapping === 0 && delivered.length === 2, String(overlapping));
+  }
+
+  addResult(name, passed, message) {
+    this.results.push({ name, passed, message });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${name}: ${message}`);
+  }
+
+  generateReport() {
+    const passed = this.results.filter(r => r.passed).length;
+    const failed = this.results.length - passed;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 WEBHOOK TESTS: ${passed}/${this.results.length} passed`);
+    console.log('='.repeat(60));
+
+    if (failed > 0) {
+      console.log('\n💥 Webhook tests FAILED');
+      process.exit(1);
+    } else {
+      console.log('\n🎉 All webhook tests PASSED!');
+      process.exit(0);
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const test = new WebhooksTest();
+  test.run();
+}
+
+module.exports = WebhooksTest;
@@ -2,7 +2,14 @@ const nodemailer = require('nodemailer');
 require('dotenv').config();
 const { logAuthEvent, logAuthError } = require('../config/logger');
 
-const transporter = nodemailer.createTransport({
+// SMTP_HOST points mail at another server, e.g. the GreenMail container used
+// to test email-in locally; Gmail otherwise
+const transporter = nodemailer.createTransport(process.env.SMTP_HOST ? {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {})
+} : {
   service: 'gmail',
   auth: {
     user: process.env.GMAIL_USER,
@@ -0,0 +1,12 @@
+/**
+ * Convert a stored Thumbnail.file_path into a URL the browser can load.
+ * Mirrors the normalisation used by the content list.
+ * @param {string} filePath - Stored thumbnail path
+ * @returns {string|null} URL
+ */
+module.exports = function thumbnailUrl(filePath) {
+  if (!filePath) return null;
+  if (filePath.startsWith('http')) return filePath;
+  if (filePath.startsWith('/files/serve/')) return filePath.replace('/files/serve/', '/');
+  return filePath.startsWith('/') ? filePath : `/${filePath}`;
+};
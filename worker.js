@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * DaySave Analysis Worker
+ *
+ * Runs queued ProcessingJobs outside the web server. Start one or more next
+ * to `npm start` (set JOB_WORKER=external on the web server so it only
+ * enqueues):
+ *
+ *   npm run worker
+ *   JOB_WORKER_CONCURRENCY=2 npm run worker
+ *
+ * On SIGTERM/SIGINT the worker stops claiming, waits for running jobs and
+ * hands unfinished ones back to the queue.
+ */
+
+require('dotenv').config();
+
+const db = require('./models');
+const jobQueueService = require('./services/jobQueueService');
+
+async function main() {
+  await db.sequelize.authenticate();
+  console.log('✅ Worker connected to database');
+
+  // Loading the analysis services registers the content and file job handlers
+  require('./services/contentAnalysisService');
+  require('./services/fileAnalysisService');
+  // Embeds finished items for semantic search (when enabled)
+  require('./services/embeddingService');
+
+  jobQueueService.startWorker();
+  console.log(`👷 Analysis worker ${jobQueueService.workerId} running (concurrency ${jobQueueService.concurrency})`);
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`\n🛑 ${signal} received, finishing running jobs...`);
+    await jobQueueService.stopWorker(parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS, 10) || 30000);
+    await db.sequelize.close();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+main().catch(error => {
+  console.error('❌ Worker failed to start:', error.message);
+  process.exit(1);
+});